@@ -7,14 +7,19 @@ import { Message } from './lib/message';
 export import endpoint = require('./lib/endpoint');
 export import errors = require('./lib/errors');
 export import results = require('./lib/results');
-export { anHourFromNow, encodeUriComponentStrict } from './lib/authorization';
+export { anHourFromNow, encodeUriComponentStrict, computeDerivedSymmetricKey } from './lib/authorization';
 export { ConnectionString } from './lib/connection_string';
 export { Message }
 export { SharedAccessSignature } from './lib/shared_access_signature';
 export { RetryOperation } from './lib/retry_operation';
-export { RetryPolicy, NoRetry, ExponentialBackOffWithJitter } from './lib/retry_policy';
+export { RetryPolicy, NoRetry, ExponentialBackOffWithJitter, validateRetryPolicy } from './lib/retry_policy';
+export { CircuitBreakerPolicy, CircuitBreakerOptions, CircuitBreakerState, CircuitBreakerStateChange } from './lib/circuit_breaker_policy';
 export { AuthenticationProvider, AuthenticationType } from './lib/authentication_provider';
-export { getAgentPlatformString } from './lib/utils';
+export { getAgentPlatformString, parseRetryAfter } from './lib/utils';
+export { AbortSignalLike, OperationOptions } from './lib/abort_signal';
+export { TokenCredential, AccessToken, TokenCredentialCache } from './lib/token_credential';
+export { QueryIterationOptions, QueryIterator, QueryIteratorResult, createQueryIterator } from './lib/query_iterator';
+export { Callback, ErrorCallback, DoubleValueCallback, ResultWithHttpResponse, callbackToPromise, errorCallbackToPromise, doubleValueCallbackToPromise, httpCallbackToPromise } from './lib/promise_utils';
 
 export interface Receiver extends EventEmitter {
     on(type: 'message', func: (msg: Message) => void): this;
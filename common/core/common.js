@@ -12,6 +12,7 @@
 module.exports = {
   anHourFromNow: require('./lib/authorization.js').anHourFromNow,
   encodeUriComponentStrict: require('./lib/authorization.js').encodeUriComponentStrict,
+  computeDerivedSymmetricKey: require('./lib/authorization.js').computeDerivedSymmetricKey,
   ConnectionString: require('./lib/connection_string.js').ConnectionString,
   endpoint: require('./lib/endpoint.js'),
   errors: require('./lib/errors.js'),
@@ -22,7 +23,16 @@ module.exports = {
   RetryPolicy: require('./lib/retry_policy.js').RetryPolicy,
   NoRetry: require('./lib/retry_policy.js').NoRetry,
   ExponentialBackOffWithJitter: require('./lib/retry_policy.js').ExponentialBackOffWithJitter,
+  validateRetryPolicy: require('./lib/retry_policy.js').validateRetryPolicy,
+  CircuitBreakerPolicy: require('./lib/circuit_breaker_policy.js').CircuitBreakerPolicy,
+  TokenCredentialCache: require('./lib/token_credential.js').TokenCredentialCache,
+  createQueryIterator: require('./lib/query_iterator.js').createQueryIterator,
   AuthenticationProvider: require('./lib/authentication_provider').X509AuthenticationProvider,
   AuthenticationType: require('./lib/authentication_provider').AuthenticationType,
-  getAgentPlatformString: require('./lib/utils').getAgentPlatformString
+  getAgentPlatformString: require('./lib/utils').getAgentPlatformString,
+  parseRetryAfter: require('./lib/utils').parseRetryAfter,
+  callbackToPromise: require('./lib/promise_utils').callbackToPromise,
+  errorCallbackToPromise: require('./lib/promise_utils').errorCallbackToPromise,
+  doubleValueCallbackToPromise: require('./lib/promise_utils').doubleValueCallbackToPromise,
+  httpCallbackToPromise: require('./lib/promise_utils').httpCallbackToPromise
 };
\ No newline at end of file
@@ -0,0 +1,33 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+/**
+ * Subset of the standard `AbortSignal` interface used by the SDK to let applications cancel long-running operations.
+ * The `signal` property of any `AbortController` implementation can be passed where an `AbortSignalLike` is expected.
+ */
+export interface AbortSignalLike {
+  /**
+   * `true` once the operation has been aborted.
+   */
+  readonly aborted: boolean;
+  /**
+   * Registers a listener called when the operation is aborted. Optional: signals that do not implement it are only checked between retries.
+   */
+  addEventListener?(type: 'abort', listener: () => void): void;
+  /**
+   * Unregisters a listener registered with `addEventListener`.
+   */
+  removeEventListener?(type: 'abort', listener: () => void): void;
+}
+
+/**
+ * Options accepted by the client operations that can be cancelled.
+ */
+export interface OperationOptions {
+  /**
+   * Signal used to cancel the operation: once it is aborted, the operation and its pending retries are stopped and the operation fails with an `OperationCancelledError`.
+   */
+  abortSignal?: AbortSignalLike;
+}
@@ -39,6 +39,25 @@ export function hmacHash(password: string, stringToSign: string): string {
   return hmac.digest('base64');
 }
 
+/**
+ * Computes the symmetric key of a device that belongs to an enrollment group from the group key and the device registration ID.
+ *
+ * @param groupKey        Base64-encoded symmetric key of the enrollment group.
+ * @param registrationId  Registration ID of the device.
+ * @returns               The base64-encoded symmetric key of the device.
+ */
+export function computeDerivedSymmetricKey(groupKey: string, registrationId: string): string {
+  /*Codes_SRS_NODE_COMMON_AUTHORIZATION_16_001: [`computeDerivedSymmetricKey` shall throw a `ReferenceError` if `groupKey` or `registrationId` is falsy.]*/
+  if (!groupKey) {
+    throw new ReferenceError('groupKey cannot be \'' + groupKey + '\'');
+  }
+  if (!registrationId) {
+    throw new ReferenceError('registrationId cannot be \'' + registrationId + '\'');
+  }
+  /*Codes_SRS_NODE_COMMON_AUTHORIZATION_16_002: [`computeDerivedSymmetricKey` shall return the base64-encoded HMAC-SHA256 hash of `registrationId` computed with the base64-decoded `groupKey`.]*/
+  return hmacHash(groupKey, registrationId);
+}
+
 /**
  * Configuration structure used by transports and `AuthenticationProvider` objects to store and exchange credentials.
  *
@@ -0,0 +1,224 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import { EventEmitter } from 'events';
+import * as errors from './errors';
+import { RetryPolicy, ExponentialBackOffWithJitter } from './retry_policy';
+
+/**
+ * State of a {@link azure-iot-common.CircuitBreakerPolicy}:
+ * - `closed`: operations are attempted and retried normally.
+ * - `open`: operations fail immediately with a `CircuitOpenError`.
+ * - `halfOpen`: one operation is attempted to probe the IoT hub, the others fail immediately with a `CircuitOpenError`.
+ */
+export type CircuitBreakerState = 'closed' | 'open' | 'halfOpen';
+
+/**
+ * Object emitted with the `stateChange` event of a {@link azure-iot-common.CircuitBreakerPolicy}.
+ */
+export interface CircuitBreakerStateChange {
+  /**
+   * State before the change.
+   */
+  previousState: CircuitBreakerState;
+  /**
+   * State after the change.
+   */
+  state: CircuitBreakerState;
+  /**
+   * Failure that opened the circuit, if the new state is `open`.
+   */
+  error?: Error;
+}
+
+/**
+ * Options of a {@link azure-iot-common.CircuitBreakerPolicy}.
+ */
+export interface CircuitBreakerOptions {
+  /**
+   * Number of failures within `failureWindowInMs` after which the circuit opens. Defaults to 5.
+   */
+  failureThreshold?: number;
+  /**
+   * Duration of the sliding window in which failures are counted, in milliseconds. Defaults to 60 seconds.
+   */
+  failureWindowInMs?: number;
+  /**
+   * Time after which an open circuit becomes half-open and lets one operation probe the IoT hub, in milliseconds. Defaults to 30 seconds.
+   */
+  cooldownInMs?: number;
+  /**
+   * Function deciding whether the error of an attempt counts as a failure of the IoT hub.
+   * Defaults to the errors that the wrapped policy retries (throttling, service unavailable, timeouts...).
+   */
+  isFailure?: (error: Error) => boolean;
+}
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_FAILURE_WINDOW_IN_MS = 60000;
+const DEFAULT_COOLDOWN_IN_MS = 30000;
+
+/**
+ * Retry policy that stops all the operations that share it when the IoT hub keeps failing, instead of letting each of them back off on its own.
+ * Retry intervals and retryable errors are those of the wrapped policy.
+ *
+ * The circuit opens after `failureThreshold` failures within `failureWindowInMs`: operations then fail immediately with a `CircuitOpenError`.
+ * After `cooldownInMs` the circuit becomes half-open and lets one operation through: the circuit closes if it succeeds and opens again if it fails.
+ *
+ * The same instance can be passed to the `setRetryPolicy` method of several device and service clients.
+ *
+ * @implements {RetryPolicy}
+ */
+/*Codes_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_001: [The `CircuitBreakerPolicy` class shall implement the `RetryPolicy` interface and inherit from `EventEmitter`.]*/
+export class CircuitBreakerPolicy extends EventEmitter implements RetryPolicy {
+  private _policy: RetryPolicy;
+  private _failureThreshold: number;
+  private _failureWindowInMs: number;
+  private _cooldownInMs: number;
+  private _isFailure: (error: Error) => boolean;
+  private _state: CircuitBreakerState = 'closed';
+  private _failureTimes: number[] = [];
+  private _cooldownTimer: any;
+  private _probeStartTime: number;
+
+  /**
+   * Initializes a new instance of the {@link azure-iot-common.CircuitBreakerPolicy} class.
+   * @param policy    Policy used to decide whether and when to retry operations while the circuit is closed. Defaults to {@link azure-iot-common.ExponentialBackOffWithJitter}.
+   * @param options   Failure threshold, failure window and cooldown of the circuit.
+   */
+  constructor(policy?: RetryPolicy, options?: CircuitBreakerOptions) {
+    super();
+    const actualOptions = options || {};
+    /*Codes_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_002: [The constructor shall throw an `ArgumentError` if `options.failureThreshold` is specified and is not a positive integer, or if `options.failureWindowInMs` or `options.cooldownInMs` is specified and is not a positive number.]*/
+    if (actualOptions.failureThreshold !== undefined && !(typeof actualOptions.failureThreshold === 'number' && actualOptions.failureThreshold >= 1 && Math.floor(actualOptions.failureThreshold) === actualOptions.failureThreshold)) {
+      throw new errors.ArgumentError('options.failureThreshold must be a positive integer');
+    }
+    ['failureWindowInMs', 'cooldownInMs'].forEach((optionName) => {
+      const value = actualOptions[optionName];
+      if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+        throw new errors.ArgumentError('options.' + optionName + ' must be a positive number');
+      }
+    });
+
+    /*Codes_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_003: [The constructor shall use an `ExponentialBackOffWithJitter` policy if `policy` is falsy, and default to a threshold of 5 failures in 60 seconds and a cooldown of 30 seconds.]*/
+    this._policy = policy || new ExponentialBackOffWithJitter();
+    this._failureThreshold = actualOptions.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+    this._failureWindowInMs = actualOptions.failureWindowInMs || DEFAULT_FAILURE_WINDOW_IN_MS;
+    this._cooldownInMs = actualOptions.cooldownInMs || DEFAULT_COOLDOWN_IN_MS;
+    this._isFailure = actualOptions.isFailure || ((error) => !!this._policy.shouldRetry(error));
+  }
+
+  /**
+   * Current state of the circuit.
+   */
+  get state(): CircuitBreakerState {
+    return this._state;
+  }
+
+  /**
+   * Computes the interval to wait before retrying, using the wrapped policy.
+   *
+   * @param {number} retryCount    Current retry tentative.
+   * @param {boolean} isThrottled  Boolean indicating whether the Azure IoT hub is throttling operations.
+   * @param {Error} error          The error encountered by the operation.
+   * @returns {number}             The time to wait before attempting a retry in milliseconds.
+   */
+  nextRetryTimeout(retryCount: number, isThrottled: boolean, error?: Error): number {
+    /*Codes_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_004: [The `nextRetryTimeout` method shall return the result of the `nextRetryTimeout` method of the wrapped policy.]*/
+    return this._policy.nextRetryTimeout(retryCount, isThrottled, error);
+  }
+
+  /**
+   * Determines whether an operation should be retried, using the wrapped policy.
+   *
+   * @param {Error} error The error encountered by the operation.
+   * @returns {boolean}   Whether the operation should be retried or not.
+   */
+  shouldRetry(error: Error): boolean {
+    /*Codes_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_005: [The `shouldRetry` method shall return `false` for a `CircuitOpenError` and the result of the `shouldRetry` method of the wrapped policy otherwise.]*/
+    if (error instanceof errors.CircuitOpenError) {
+      return false;
+    }
+    return this._policy.shouldRetry(error);
+  }
+
+  /**
+   * Called by {@link azure-iot-common.RetryOperation} before each attempt: fails the attempt if the circuit is open.
+   *
+   * @returns {Error}     A `CircuitOpenError` if the attempt shall not be made, `undefined` otherwise.
+   */
+  beforeAttempt(): Error {
+    if (this._state === 'closed') {
+      return undefined;
+    } else if (this._state === 'halfOpen') {
+      /*Codes_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_010: [When the circuit is half-open, the `beforeAttempt` method shall let one attempt through and return a `CircuitOpenError` for the other attempts until the outcome of that attempt is known, or until `cooldownInMs` have elapsed without an outcome.]*/
+      if (this._probeStartTime === undefined || Date.now() - this._probeStartTime >= this._cooldownInMs) {
+        this._probeStartTime = Date.now();
+        return undefined;
+      }
+      return new errors.CircuitOpenError('the circuit is half-open and an operation is already probing the IoT hub');
+    } else {
+      /*Codes_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_007: [When the circuit is open, the `beforeAttempt` method shall return a `CircuitOpenError`.]*/
+      return new errors.CircuitOpenError('the circuit is open after too many failures');
+    }
+  }
+
+  /**
+   * Called by {@link azure-iot-common.RetryOperation} with the outcome of each attempt: counts the failures and opens or closes the circuit accordingly.
+   *
+   * @param {Error} error The error of the attempt, or `undefined` if it succeeded.
+   */
+  afterAttempt(error?: Error): void {
+    const failed = !!error && this._isFailure(error);
+    if (this._state === 'closed') {
+      if (failed) {
+        /*Codes_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_006: [The `afterAttempt` method shall open the circuit when `failureThreshold` errors considered failures by `options.isFailure`, or retried by the wrapped policy if `isFailure` is not specified, have been reported within the last `failureWindowInMs`.]*/
+        const now = Date.now();
+        this._failureTimes = this._failureTimes.filter((failureTime) => now - failureTime < this._failureWindowInMs);
+        this._failureTimes.push(now);
+        if (this._failureTimes.length >= this._failureThreshold) {
+          this._open(error);
+        }
+      }
+    } else if (this._state === 'halfOpen') {
+      if (failed) {
+        /*Codes_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_011: [When the circuit is half-open, the `afterAttempt` method shall open the circuit again if the attempt failed.]*/
+        this._open(error);
+      } else {
+        /*Codes_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_012: [When the circuit is half-open, the `afterAttempt` method shall close the circuit and forget the previous failures if the attempt succeeded or failed with an error that is not considered a failure.]*/
+        this._setState('closed');
+      }
+    }
+  }
+
+  private _open(error: Error): void {
+    this._setState('open', error);
+    /*Codes_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_009: [The circuit shall become half-open `cooldownInMs` after it has opened. The cooldown timer shall not keep the process alive.]*/
+    this._cooldownTimer = setTimeout(() => {
+      this._cooldownTimer = undefined;
+      this._setState('halfOpen');
+    }, this._cooldownInMs);
+    if (this._cooldownTimer && typeof this._cooldownTimer.unref === 'function') {
+      this._cooldownTimer.unref();
+    }
+  }
+
+  private _setState(state: CircuitBreakerState, error?: Error): void {
+    const previousState = this._state;
+    this._state = state;
+    this._failureTimes = [];
+    this._probeStartTime = undefined;
+    if (this._cooldownTimer) {
+      clearTimeout(this._cooldownTimer);
+      this._cooldownTimer = undefined;
+    }
+    /*Codes_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_008: [A `stateChange` event shall be emitted with a `CircuitBreakerStateChange` object containing the previous state, the new state and the failure that opened the circuit, if any, every time the state of the circuit changes.]*/
+    const stateChange: CircuitBreakerStateChange = { previousState: previousState, state: state };
+    if (error) {
+      stateChange.error = error;
+    }
+    this.emit('stateChange', stateChange);
+  }
+}
@@ -165,6 +165,10 @@ export class InternalServerError extends Error {
  * @augments {Error}
  */
 export class ServiceUnavailableError extends Error {
+  /**
+   * Time to wait before retrying, in milliseconds, when the service specified it (for example with the `Retry-After` HTTP header).
+   */
+  retryAfterInMs?: number;
   constructor(message?: string) {
     super(message);
     this.name = 'ServiceUnavailableError';
@@ -236,6 +240,10 @@ export class TooManyDevicesError extends Error {
  * @augments {Error}
  */
 export class ThrottlingError extends Error {
+  /**
+   * Time to wait before retrying, in milliseconds, when the service specified it (for example with the `Retry-After` HTTP header).
+   */
+  retryAfterInMs?: number;
   constructor(message?: string) {
     super(message);
     this.name = 'ThrottlingError';
@@ -472,3 +480,47 @@ export class SecurityDeviceError extends Error {
     Error.captureStackTrace(this, this.constructor);
   }
 }
+
+/**
+ * Error thrown when a job scheduled on the IoT hub ends with a failure.
+ *
+ * @augments {Error}
+ */
+export class JobFailedError extends Error {
+  job: any;
+  constructor(message?: string) {
+    super(message);
+    this.name = 'JobFailedError';
+    this.message = message;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Error thrown when the feedback sent by the IoT hub for a cloud-to-device message indicates that it was not delivered.
+ *
+ * @augments {Error}
+ */
+export class DeliveryFailedError extends Error {
+  feedbackRecord: any;
+  constructor(message?: string) {
+    super(message);
+    this.name = 'DeliveryFailedError';
+    this.message = message;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Error returned without attempting an operation when the {@link azure-iot-common.CircuitBreakerPolicy} used to retry it is open.
+ *
+ * @augments {Error}
+ */
+export class CircuitOpenError extends Error {
+  constructor(message?: string) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.message = message;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
@@ -0,0 +1,129 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import { IncomingMessage } from 'http';
+
+/**
+ * Generic callback signature used throughout the SDK: an optional error followed by an optional result.
+ */
+export type Callback<TResult> = (error?: Error, result?: TResult) => void;
+
+/**
+ * Callback signature used by operations that do not produce a result.
+ */
+export type ErrorCallback = (error?: Error) => void;
+
+/**
+ * Callback signature used by operations that produce two results (typically a result and a transport-specific response object).
+ */
+export type DoubleValueCallback<TResult1, TResult2> = (error?: Error, result1?: TResult1, result2?: TResult2) => void;
+
+/**
+ * Result of an HTTP operation: the parsed body of the response and the response itself, for logging or debugging.
+ */
+export interface ResultWithHttpResponse<TResult> {
+  /**
+   * Result of the operation, typically the parsed body of the response.
+   */
+  result: TResult;
+  /**
+   * HTTP response object returned by the service.
+   */
+  response: IncomingMessage;
+}
+
+/**
+ * @private
+ * Runs `callbackOperation` and either forwards its result to `userCallback` if it is specified, or returns a `Promise` that is resolved with the result
+ * or rejected with the error passed to the operation callback.
+ *
+ * @param callbackOperation Function implementing the operation with a callback.
+ * @param userCallback      Optional callback passed by the user of the API.
+ */
+export function callbackToPromise<TResult>(callbackOperation: (callback: Callback<TResult>) => void, userCallback?: Callback<TResult>): Promise<TResult> | void {
+  /*Codes_SRS_NODE_COMMON_PROMISE_UTILS_16_001: [If `userCallback` is specified but is not a function, `callbackToPromise` shall throw a `TypeError`.]*/
+  validateCallback(userCallback);
+
+  if (userCallback) {
+    /*Codes_SRS_NODE_COMMON_PROMISE_UTILS_16_002: [If `userCallback` is specified, `callbackToPromise` shall call `callbackOperation` with `userCallback` and return `undefined`.]*/
+    callbackOperation(userCallback);
+    return;
+  }
+
+  /*Codes_SRS_NODE_COMMON_PROMISE_UTILS_16_003: [If `userCallback` is falsy, `callbackToPromise` shall return a `Promise` that is rejected with the error or resolved with the result passed to the operation callback.]*/
+  return new Promise<TResult>((resolve, reject) => {
+    callbackOperation((err, result) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * @private
+ * Same as {@link callbackToPromise} for operations that only call their callback with an optional error.
+ *
+ * @param callbackOperation Function implementing the operation with a callback.
+ * @param userCallback      Optional callback passed by the user of the API.
+ */
+export function errorCallbackToPromise(callbackOperation: (callback: ErrorCallback) => void, userCallback?: ErrorCallback): Promise<void> | void {
+  return callbackToPromise<void>(callbackOperation, userCallback);
+}
+
+/**
+ * @private
+ * Same as {@link callbackToPromise} for operations that call their callback with two results. Since a `Promise` can only be resolved with one value,
+ * the `packResults` function is used to combine both results into the object the `Promise` is resolved with.
+ *
+ * @param callbackOperation Function implementing the operation with a callback.
+ * @param packResults       Function combining the two results of the operation into one object.
+ * @param userCallback      Optional callback passed by the user of the API.
+ */
+export function doubleValueCallbackToPromise<TResult1, TResult2, TPromiseResult>(
+  callbackOperation: (callback: DoubleValueCallback<TResult1, TResult2>) => void,
+  packResults: (result1?: TResult1, result2?: TResult2) => TPromiseResult,
+  userCallback?: DoubleValueCallback<TResult1, TResult2>): Promise<TPromiseResult> | void {
+  validateCallback(userCallback);
+
+  if (userCallback) {
+    callbackOperation(userCallback);
+    return;
+  }
+
+  /*Codes_SRS_NODE_COMMON_PROMISE_UTILS_16_004: [If `userCallback` is falsy, `doubleValueCallbackToPromise` shall return a `Promise` resolved with the value returned by `packResults` when called with both results of the operation callback.]*/
+  return new Promise<TPromiseResult>((resolve, reject) => {
+    callbackOperation((err, result1, result2) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(packResults(result1, result2));
+      }
+    });
+  });
+}
+
+/**
+ * @private
+ * Same as {@link doubleValueCallbackToPromise} for HTTP operations that call their callback with a result and the HTTP response:
+ * the `Promise` is resolved with a {@link ResultWithHttpResponse} object.
+ *
+ * @param callbackOperation Function implementing the operation with a callback.
+ * @param userCallback      Optional callback passed by the user of the API.
+ */
+export function httpCallbackToPromise<TResult>(callbackOperation: (callback: DoubleValueCallback<TResult, any>) => void, userCallback?: DoubleValueCallback<TResult, any>): Promise<ResultWithHttpResponse<TResult>> | void {
+  /*Codes_SRS_NODE_COMMON_PROMISE_UTILS_16_005: [If `userCallback` is falsy, `httpCallbackToPromise` shall return a `Promise` resolved with an object containing the `result` and the `response` passed to the operation callback.]*/
+  return doubleValueCallbackToPromise<TResult, any, ResultWithHttpResponse<TResult>>(callbackOperation, (result, response) => {
+    return { result: result, response: response };
+  }, userCallback);
+}
+
+function validateCallback(userCallback?: Function): void {
+  if (userCallback && typeof userCallback !== 'function') {
+    throw new TypeError('Callback has to be a function');
+  }
+}
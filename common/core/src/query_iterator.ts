@@ -0,0 +1,98 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import * as errors from './errors';
+import { AbortSignalLike } from './abort_signal';
+
+/**
+ * Options used to control the iteration over the results of a query, item by item.
+ */
+export interface QueryIterationOptions {
+  /**
+   * Maximum number of items to yield. All the results are yielded if not specified.
+   */
+  maxItems?: number;
+  /**
+   * Signal used to stop the iteration: once it is aborted, the next item is rejected with an `OperationCancelledError`.
+   */
+  abortSignal?: AbortSignalLike;
+}
+
+/**
+ * @private
+ * Result of a step of a {@link azure-iot-common.QueryIterator}, shaped like the standard `IteratorResult`.
+ */
+export interface QueryIteratorResult<T> {
+  done: boolean;
+  value: T;
+}
+
+/**
+ * @private
+ * Iterator over the items of a paged query, shaped like the standard `AsyncIterator` so that the query classes only have to add `Symbol.asyncIterator`.
+ */
+export interface QueryIterator<T> {
+  next(): Promise<QueryIteratorResult<T>>;
+  return(value?: any): Promise<QueryIteratorResult<T>>;
+}
+
+/**
+ * @private
+ * Creates an iterator that yields the items of a paged query one by one, fetching the next page when the current one has been consumed.
+ *
+ * @param {Function}  fetchNextPage   Called with a callback to get the items of the next page.
+ * @param {Function}  hasMoreResults  Returns `true` while there are pages left to fetch.
+ * @param {Object}    options         Optional {@link azure-iot-common.QueryIterationOptions} used to cap the number of items or abort the iteration.
+ * @throws {ArgumentError}            If `options.maxItems` is not a positive number.
+ */
+export function createQueryIterator<T>(fetchNextPage: (callback: (err: Error, items?: T[]) => void) => void, hasMoreResults: () => boolean, options?: QueryIterationOptions): QueryIterator<T> {
+  const maxItems = options && options.maxItems !== undefined ? options.maxItems : Infinity;
+  const abortSignal = options && options.abortSignal;
+  /*Codes_SRS_NODE_COMMON_QUERY_ITERATOR_16_001: [The `createQueryIterator` method shall throw an `ArgumentError` if `options.maxItems` is specified and is not a positive number.]*/
+  if (typeof maxItems !== 'number' || !(maxItems > 0)) {
+    throw new errors.ArgumentError('maxItems must be a positive number (got \'' + maxItems + '\')');
+  }
+
+  let pageItems: T[] = [];
+  let yieldedCount = 0;
+  let finished = false;
+
+  const next = (): Promise<QueryIteratorResult<T>> => {
+    if (abortSignal && abortSignal.aborted) {
+      /*Codes_SRS_NODE_COMMON_QUERY_ITERATOR_16_002: [The iterator shall reject with an `OperationCancelledError` and stop if `options.abortSignal` is aborted before an item is yielded.]*/
+      finished = true;
+      return Promise.reject(new errors.OperationCancelledError('query iteration aborted'));
+    } else if (finished || yieldedCount >= maxItems || (pageItems.length === 0 && !hasMoreResults())) {
+      /*Codes_SRS_NODE_COMMON_QUERY_ITERATOR_16_003: [The iterator shall be done once `options.maxItems` items have been yielded or once all the pages have been fetched and all their items yielded.]*/
+      finished = true;
+      return Promise.resolve({ done: true, value: undefined });
+    } else if (pageItems.length > 0) {
+      yieldedCount++;
+      return Promise.resolve({ done: false, value: pageItems.shift() });
+    } else {
+      /*Codes_SRS_NODE_COMMON_QUERY_ITERATOR_16_004: [The iterator shall call `fetchNextPage` when all the items of the current page have been yielded, and reject with the error if the page cannot be fetched.]*/
+      return new Promise<QueryIteratorResult<T>>((resolve, reject) => {
+        fetchNextPage((err, items) => {
+          if (err) {
+            finished = true;
+            reject(err);
+          } else {
+            pageItems = items || [];
+            resolve(next());
+          }
+        });
+      });
+    }
+  };
+
+  return {
+    next: next,
+    return: (value?: any): Promise<QueryIteratorResult<T>> => {
+      /*Codes_SRS_NODE_COMMON_QUERY_ITERATOR_16_005: [The iterator shall stop fetching pages once its `return` method has been called, which happens when a `for await` loop is exited early.]*/
+      finished = true;
+      return Promise.resolve({ done: true, value: value });
+    }
+  };
+}
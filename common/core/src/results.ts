@@ -29,6 +29,58 @@ export class MessageEnqueued implements Result {
   }
 }
 
+/**
+ * Outcome of the transmission of one message of a batch.
+ */
+export interface BatchMessageResult {
+  /**
+   * Error that prevented the message from being enqueued, if any.
+   */
+  error?: Error;
+  /**
+   * Result of the transmission if the message was successfully enqueued, or a {@link MessageQueued} result if it failed and was stored in the offline queue of the client.
+   */
+  result?: MessageEnqueued | MessageQueued;
+}
+
+/**
+ * Result returned when the messages of a batch were sent individually and at least one of them was successfully enqueued.
+ */
+export class MessageBatchEnqueued extends MessageEnqueued {
+  /**
+   * Outcome of the transmission of each message, in the same order as the messages of the batch.
+   */
+  messageResults: BatchMessageResult[];
+  /**
+   * @private
+   * @constructor
+   * @param messageResults outcome of the transmission of each message of the batch.
+   * @param transportObj   optional transport object to help with debugging.
+   */
+  constructor(messageResults: BatchMessageResult[], transportObj?: any) {
+    super(transportObj);
+    this.messageResults = messageResults;
+  }
+}
+
+/**
+ * Result returned when a message could not be sent right away and was stored in the offline queue of the client, to be sent when the connection is back.
+ */
+export class MessageQueued implements Result {
+  /**
+   * @private
+   */
+  transportObj?: any;
+  /**
+   * @private
+   * @constructor
+   * @param transportObj optional transport object to help with debugging.
+   */
+  constructor(transportObj?: any) {
+    this.transportObj = transportObj;
+  }
+}
+
 /**
  * Result returned when a message was successfully rejected.
  */
@@ -5,6 +5,7 @@
 
 import * as errors from './errors';
 import { RetryPolicy } from './retry_policy';
+import { AbortSignalLike } from './abort_signal';
 
 /**
  * Implements the necessary logic to retry operations such as connecting, receiving C2D messages, sending telemetry, twin updates, etc.
@@ -15,15 +16,22 @@ export class RetryOperation {
   private _currentTimeout: any;
   private _totalRetryTime: number = 0;
   private _maxTimeout: number;
+  private _abortSignal: AbortSignalLike;
+  private _onAbort: () => void;
+  private _finalCallback: (err?: Error, result?: any, response?: any) => void;
+  private _cancelled: boolean = false;
+  private _completed: boolean = false;
 
   /**
    * Creates an instance of {@link azure-iot-common.RetryOperation.}
-   * @param {RetryPolicy} policy The retry policy to be used for this operation, which determines what error is "retryable" or not and how fast to retry.
-   * @param {number} maxTimeout  The maximum timeout for this operation, after which no retry will be attempted.
+   * @param {RetryPolicy} policy          The retry policy to be used for this operation, which determines what error is "retryable" or not and how fast to retry.
+   * @param {number} maxTimeout           The maximum timeout for this operation, after which no retry will be attempted.
+   * @param {AbortSignalLike} abortSignal Optional signal that cancels the operation when it is aborted.
    */
-  constructor (policy: RetryPolicy, maxTimeout: number) {
+  constructor (policy: RetryPolicy, maxTimeout: number, abortSignal?: AbortSignalLike) {
     this._policy = policy;
     this._maxTimeout = maxTimeout;
+    this._abortSignal = abortSignal;
   }
 
   /**
@@ -33,34 +41,103 @@ export class RetryOperation {
    * @param {(err?: Error, result?: any) => void} finalCallback                   The callback to call with the final error or result, after retries if necessary.
    */
   retry(operation: (opCallback: (err?: Error, result?: any, response?: any) => void) => void, finalCallback: (err?: Error, result?: any, response?: any) => void): void {
+    this._finalCallback = finalCallback;
+    this._completed = false;
+    /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_007: [The `retry` method shall call the `finalCallback` with an `OperationCancelledError` without calling the `operation` if the operation has been cancelled or the `abortSignal` passed to the constructor is already aborted.]*/
+    if (this._cancelled || (this._abortSignal && this._abortSignal.aborted)) {
+      this._cancelled = true;
+      this._finish(new errors.OperationCancelledError('the operation was cancelled'));
+      return;
+    }
+
+    if (this._abortSignal && typeof this._abortSignal.addEventListener === 'function') {
+      /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_010: [The `retry` method shall cancel the operation as soon as the `abortSignal` passed to the constructor emits an `abort` event, if it supports `addEventListener`, and remove its listener once the `finalCallback` has been called.]*/
+      this._onAbort = () => this.cancel();
+      this._abortSignal.addEventListener('abort', this._onAbort);
+    }
+
     const retryOperation = () => {
+      this._currentTimeout = undefined;
+      /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_011: [The `operation` shall not be retried if the `abortSignal` passed to the constructor is aborted, and the `finalCallback` shall be called with an `OperationCancelledError` instead.]*/
+      if (this._abortSignal && this._abortSignal.aborted) {
+        this.cancel();
+        return;
+      }
+      /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_013: [The `retry` method shall call the `beforeAttempt` method of the policy, if it has one, before each attempt, and call the `finalCallback` with the error it returns, if any, without attempting the `operation`.]*/
+      const attemptError = this._policy && this._policy.beforeAttempt ? this._policy.beforeAttempt() : undefined;
+      if (attemptError) {
+        this._finish(attemptError);
+        return;
+      }
       this._retryCount++;
       /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_001: [The `operation` function should be called at every retry.]*/
       operation((err, result, response) => {
+        /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_014: [The `retry` method shall call the `afterAttempt` method of the policy, if it has one, with the error of each attempt, or no error if it succeeded, even if the operation has been cancelled in the meantime.]*/
+        if (this._policy && this._policy.afterAttempt) {
+          this._policy.afterAttempt(err || undefined);
+        }
+        if (this._completed) {
+          return;
+        }
         if (err) {
           /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_003: [If the `operation` fails with an error the `retry` method should determine whether to retry or not using the `shouldRetry` method of the policy passed to the constructor.]*/
           if (this._policy.shouldRetry(err)) {
             /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_005: [If the `operation` fails and should be retried, the time at which to try again the `operation` should be computed using the `nextRetryTimeout` method of the policy passed to the constructor. ]*/
-            let nextRetryTimeout = this._policy.nextRetryTimeout(this._retryCount, (err instanceof errors.ThrottlingError));
+            let nextRetryTimeout = this._policy.nextRetryTimeout(this._retryCount, (err instanceof errors.ThrottlingError), err);
+            /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_015: [If the error of the `operation` has a `retryAfterInMs` property, the `operation` shall not be retried before this number of milliseconds, unless the policy returned a negative timeout to stop retrying.]*/
+            const retryAfterInMs = (err as any).retryAfterInMs;
+            if (nextRetryTimeout >= 0 && typeof retryAfterInMs === 'number' && retryAfterInMs > nextRetryTimeout) {
+              nextRetryTimeout = retryAfterInMs;
+            }
             this._totalRetryTime += nextRetryTimeout;
             /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_006: [The `operation` should not be retried past the `maxTimeout` parameter passed to the constructor.]*/
             if (this._totalRetryTime > this._maxTimeout || nextRetryTimeout < 0) {
-              finalCallback(err);
+              this._finish(err);
             } else {
               this._currentTimeout = setTimeout(retryOperation, nextRetryTimeout);
             }
           } else {
             /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_004: [If the `operation` fails and should not be retried, the `finalCallback` should be called with the last error as the only parameter. ]*/
-            finalCallback(err);
+            this._finish(err);
           }
         } else {
           /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_002: [If the `operation` is successful the `finalCallback` function should be called with a `null` error parameter and the result of the operation.]*/
-          finalCallback(null, result, response);
+          this._finish(null, result, response);
         }
       });
     };
     retryOperation();
   }
 
-  // A cancel() API would be nice and easy to implement but doesn't exist in other SDKs yet. To be specified first.
+  /**
+   * Cancels the operation: the pending retry, if any, is not executed and the result of the attempt in progress, if any, is ignored.
+   * The final callback is called with an `OperationCancelledError` if the operation has not completed yet.
+   */
+  cancel(): void {
+    /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_012: [The `cancel` method shall do nothing if the operation has already completed.]*/
+    if (this._completed || this._cancelled) {
+      return;
+    }
+    this._cancelled = true;
+    if (this._finalCallback) {
+      /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_008: [The `cancel` method shall clear the timer of the pending retry, if any, and call the `finalCallback` with an `OperationCancelledError` if the operation is in progress.]*/
+      /*Codes_SRS_NODE_COMMON_RETRY_OPERATION_16_009: [Once the operation has been cancelled, the result of the attempt in progress shall be ignored and the `operation` shall not be called again.]*/
+      this._finish(new errors.OperationCancelledError('the operation was cancelled'));
+    }
+  }
+
+  private _finish(err: Error, result?: any, response?: any): void {
+    this._completed = true;
+    if (this._currentTimeout) {
+      clearTimeout(this._currentTimeout);
+      this._currentTimeout = undefined;
+    }
+    if (this._onAbort) {
+      if (typeof this._abortSignal.removeEventListener === 'function') {
+        this._abortSignal.removeEventListener('abort', this._onAbort);
+      }
+      this._onAbort = undefined;
+    }
+    this._finalCallback(err, result, response);
+  }
 }
@@ -4,6 +4,7 @@
 'use strict';
 
 import { ErrorFilter, DefaultErrorFilter } from './retry_error_filter';
+import { ArgumentError } from './errors';
 
 /**
  * Interface describing a retry policy object.
@@ -19,10 +20,11 @@ export interface RetryPolicy {
    *
    * @param {number} retryCount    Current retry tentative.
    * @param {boolean} isThrottled  Boolean indicating whether the Azure IoT hub is throttling operations.
+   * @param {Error} error          The error encountered by the operation. Its `retryAfterInMs` property, if any, is the minimum time to wait requested by the service.
    * @returns {number}             The time to wait before attempting a retry in milliseconds.
    */
   /*Codes_SRS_NODE_COMMON_RETRY_POLICY_16_002: [Any implementation of the `RetryPolicy` interface shall have a `getNextTimeout` method used to return the timeout value corresponding to the current retry count.]*/
-  nextRetryTimeout: (retryCount: number, isThrottled: boolean) => number;
+  nextRetryTimeout: (retryCount: number, isThrottled: boolean, error?: Error) => number;
 
   /**
    * Based on the error passed as argument, determines if an error is transient and if the operation should be retried or not.
@@ -32,6 +34,21 @@ export interface RetryPolicy {
    */
   /*Codes_SRS_NODE_COMMON_RETRY_POLICY_16_001: [Any implementation of the `RetryPolicy` interface shall have a `shouldRetry` method used to evaluate if an error is "retryable" or not.]*/
   shouldRetry: (error: Error) => boolean;
+
+  /**
+   * Optional method called by {@link azure-iot-common.RetryOperation} before each attempt of an operation.
+   * Policies that limit the operations sent to the IoT hub, such as the {@link azure-iot-common.CircuitBreakerPolicy}, use it to fail operations without attempting them.
+   *
+   * @returns {Error}     An error to fail the operation with instead of attempting it, or `undefined` to attempt it.
+   */
+  beforeAttempt?: () => Error;
+
+  /**
+   * Optional method called by {@link azure-iot-common.RetryOperation} with the outcome of each attempt of an operation.
+   *
+   * @param {Error} error The error of the attempt, or `undefined` if it succeeded.
+   */
+  afterAttempt?: (error?: Error) => void;
 }
 
 /**
@@ -177,3 +194,23 @@ export class NoRetry implements RetryPolicy {
     return false;
   }
 }
+
+/**
+ * @private
+ * Checks that an object passed to a `setRetryPolicy` method can be used as a {@link azure-iot-common.RetryPolicy}.
+ *
+ * @param {RetryPolicy} policy  The object to check.
+ * @throws {ReferenceError}     If `policy` is falsy.
+ * @throws {ArgumentError}      If `policy` doesn't have a `shouldRetry` and a `nextRetryTimeout` method.
+ */
+export function validateRetryPolicy(policy: RetryPolicy): void {
+  /*Codes_SRS_NODE_COMMON_RETRY_POLICY_16_011: [The `validateRetryPolicy` function shall throw a `ReferenceError` if `policy` is falsy.]*/
+  if (!policy) {
+    throw new ReferenceError('policy cannot be \'' + policy + '\'');
+  }
+
+  /*Codes_SRS_NODE_COMMON_RETRY_POLICY_16_012: [The `validateRetryPolicy` function shall throw an `ArgumentError` if `policy` does not have a `shouldRetry` method and a `nextRetryTimeout` method.]*/
+  if (typeof policy.shouldRetry !== 'function' || typeof policy.nextRetryTimeout !== 'function') {
+    throw new ArgumentError('policy should have a shouldRetry method and a nextRetryTimeout method');
+  }
+}
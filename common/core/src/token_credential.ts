@@ -0,0 +1,118 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import * as errors from './errors';
+
+/**
+ * Access token returned by a {@link azure-iot-common.TokenCredential}.
+ */
+export interface AccessToken {
+  /**
+   * The access token, sent as a `Bearer` token to the service.
+   */
+  token: string;
+  /**
+   * Expiry time of the token, in milliseconds since the Unix epoch.
+   */
+  expiresOnTimestamp: number;
+}
+
+/**
+ * Credential able to provide Azure Active Directory access tokens, such as the credentials of the `@azure/identity` package.
+ */
+export interface TokenCredential {
+  /**
+   * Gets an access token for the given scopes.
+   * @param scopes    Scopes the token shall be valid for.
+   * @param options   Options of the request, specific to the credential.
+   */
+  getToken(scopes: string | string[], options?: any): Promise<AccessToken | null>;
+}
+
+const REFRESH_MARGIN_IN_MS = 300000;
+
+/**
+ * @private
+ * Caches the access token returned by a {@link azure-iot-common.TokenCredential} and gets a new one when it is about to expire.
+ */
+export class TokenCredentialCache {
+  private _credential: TokenCredential;
+  private _scopes: string | string[];
+  private _accessToken: AccessToken;
+  private _pendingCallbacks: ((err: Error, accessToken?: AccessToken) => void)[];
+
+  constructor(credential: TokenCredential, scopes: string | string[]) {
+    /*Codes_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_001: [The constructor shall throw a `ReferenceError` if `credential` or `scopes` is falsy.]*/
+    if (!credential) throw new ReferenceError('credential cannot be \'' + credential + '\'');
+    if (!scopes) throw new ReferenceError('scopes cannot be \'' + scopes + '\'');
+    /*Codes_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_002: [The constructor shall throw an `ArgumentError` if `credential` does not have a `getToken` method.]*/
+    if (typeof credential.getToken !== 'function') throw new errors.ArgumentError('credential should have a getToken method');
+
+    this._credential = credential;
+    this._scopes = scopes;
+  }
+
+  /**
+   * Calls `callback` with an access token that is valid for at least 5 more minutes.
+   *
+   * @param {Function} callback   Called with an error or the access token.
+   */
+  getToken(callback: (err: Error, accessToken?: AccessToken) => void): void {
+    /*Codes_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_003: [The `getToken` method shall call `callback` with the cached access token if it expires in more than 5 minutes.]*/
+    if (this._accessToken && this.getTimeUntilRefresh() > 0) {
+      callback(null, this._accessToken);
+      return;
+    }
+
+    /*Codes_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_004: [The `getToken` method shall call the `getToken` method of the credential with the scopes passed to the constructor only once for concurrent requests, and call every `callback` with its outcome.]*/
+    if (this._pendingCallbacks) {
+      this._pendingCallbacks.push(callback);
+      return;
+    }
+    this._pendingCallbacks = [callback];
+
+    const complete = (err: Error, accessToken?: AccessToken) => {
+      const callbacks = this._pendingCallbacks;
+      this._pendingCallbacks = undefined;
+      /*Codes_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_008: [The `getToken` method shall call each pending `callback` on its own tick, outside of the promise returned by the credential, so that an error thrown by a `callback` is not turned into a rejection and does not prevent the other callbacks from being called.]*/
+      callbacks.forEach((pendingCallback) => process.nextTick(() => pendingCallback(err, accessToken)));
+    };
+
+    let tokenPromise: Promise<AccessToken | null>;
+    try {
+      tokenPromise = this._credential.getToken(this._scopes);
+    } catch (err) {
+      /*Codes_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_006: [The `getToken` method shall call `callback` with the error thrown or rejected by the `getToken` method of the credential.]*/
+      complete(err);
+      return;
+    }
+
+    Promise.resolve(tokenPromise).then((accessToken) => {
+      if (!accessToken || !accessToken.token) {
+        /*Codes_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_005: [The `getToken` method shall call `callback` with an `UnauthorizedError` if the credential does not return an access token.]*/
+        complete(new errors.UnauthorizedError('the credential did not return an access token'));
+      } else {
+        this._accessToken = accessToken;
+        complete(null, accessToken);
+      }
+    }, (err) => {
+      /*Codes_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_006: [The `getToken` method shall call `callback` with the error thrown or rejected by the `getToken` method of the credential.]*/
+      complete(err);
+    });
+  }
+
+  /**
+   * Time after which the cached access token shall be refreshed, in milliseconds.
+   *
+   * @returns {number}    The time left until 5 minutes before the cached token expires, or 0 if there is no cached token.
+   */
+  getTimeUntilRefresh(): number {
+    /*Codes_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_007: [The `getTimeUntilRefresh` method shall return the number of milliseconds until 5 minutes before the cached access token expires, or 0 if that time has passed or there is no cached access token.]*/
+    if (!this._accessToken) {
+      return 0;
+    }
+    return Math.max(0, this._accessToken.expiresOnTimestamp - REFRESH_MARGIN_IN_MS - Date.now());
+  }
+}
@@ -40,3 +40,29 @@ export function getAgentPlatformString(callback: (platformString?: string) => vo
     callback(ver.join('; '));
   }
 };
+
+/**
+ * @private
+ * Converts the value of a `Retry-After` header, either a number of seconds or an HTTP date, to a number of milliseconds.
+ */
+export function parseRetryAfter(retryAfter: string | string[] | number): number {
+  /*Codes_SRS_NODE_COMMON_UTILS_16_001: [`parseRetryAfter` shall use the first value if `retryAfter` is an array.]*/
+  const value = Array.isArray(retryAfter) ? retryAfter[0] : retryAfter;
+  if (value === undefined || value === null || value === '') {
+    /*Codes_SRS_NODE_COMMON_UTILS_16_004: [`parseRetryAfter` shall return `undefined` if `retryAfter` is missing or cannot be parsed.]*/
+    return undefined;
+  }
+
+  /*Codes_SRS_NODE_COMMON_UTILS_16_002: [`parseRetryAfter` shall return the number of milliseconds corresponding to `retryAfter` if it is a number of seconds.]*/
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return seconds >= 0 ? Math.round(seconds * 1000) : undefined;
+  }
+
+  /*Codes_SRS_NODE_COMMON_UTILS_16_003: [`parseRetryAfter` shall return the number of milliseconds between now and `retryAfter` if it is an HTTP date, or `0` if that date is in the past.]*/
+  const date = Date.parse(value as string);
+  if (isNaN(date)) {
+    return undefined;
+  }
+  return Math.max(0, date - Date.now());
+}
@@ -24,4 +24,27 @@ describe('authorization', function () {
       assert.equal('o1n1hiIVgzVA2+krq9ty1Z4xsIJKJZP3dYT8MOi65Y4=', hash);
     });
   });
+
+  describe('#computeDerivedSymmetricKey', function () {
+    /*Tests_SRS_NODE_COMMON_AUTHORIZATION_16_001: [`computeDerivedSymmetricKey` shall throw a `ReferenceError` if `groupKey` or `registrationId` is falsy.]*/
+    [undefined, null, ''].forEach(function (badValue) {
+      it('throws a ReferenceError if groupKey is \'' + badValue + '\'', function () {
+        assert.throws(function () {
+          authorization.computeDerivedSymmetricKey(badValue, 'my-device');
+        }, ReferenceError);
+      });
+
+      it('throws a ReferenceError if registrationId is \'' + badValue + '\'', function () {
+        assert.throws(function () {
+          authorization.computeDerivedSymmetricKey(key, badValue);
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_COMMON_AUTHORIZATION_16_002: [`computeDerivedSymmetricKey` shall return the base64-encoded HMAC-SHA256 hash of `registrationId` computed with the base64-decoded `groupKey`.]*/
+    it('returns the base64-encoded HMAC SHA-256 hash of the registrationId', function () {
+      var deviceKey = authorization.computeDerivedSymmetricKey(key, 'my-device');
+      assert.equal('v00/cTWad9v7+q8PtUq3Dvt3OaS9RBdBDsNGD+4f550=', deviceKey);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,283 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var EventEmitter = require('events').EventEmitter;
+
+var errors = require('../lib/errors.js');
+var CircuitBreakerPolicy = require('../lib/circuit_breaker_policy.js').CircuitBreakerPolicy;
+var ExponentialBackOffWithJitter = require('../lib/retry_policy.js').ExponentialBackOffWithJitter;
+var RetryOperation = require('../lib/retry_operation.js').RetryOperation;
+
+describe('CircuitBreakerPolicy', function () {
+  var clock;
+  var innerPolicy;
+
+  beforeEach(function () {
+    clock = sinon.useFakeTimers();
+    innerPolicy = {
+      nextRetryTimeout: sinon.stub().returns(42),
+      shouldRetry: sinon.stub().callsFake(function (err) { return err instanceof errors.ServiceUnavailableError; })
+    };
+  });
+
+  afterEach(function () {
+    clock.restore();
+  });
+
+  function failTimes(policy, count) {
+    for (var i = 0; i < count; i++) {
+      policy.afterAttempt(new errors.ServiceUnavailableError('fake'));
+    }
+  }
+
+  describe('#constructor', function () {
+    /*Tests_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_001: [The `CircuitBreakerPolicy` class shall implement the `RetryPolicy` interface and inherit from `EventEmitter`.]*/
+    it('is an EventEmitter that implements the RetryPolicy interface', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy);
+      assert.instanceOf(policy, EventEmitter);
+      assert.isFunction(policy.shouldRetry);
+      assert.isFunction(policy.nextRetryTimeout);
+      assert.strictEqual(policy.state, 'closed');
+    });
+
+    /*Tests_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_002: [The constructor shall throw an `ArgumentError` if `options.failureThreshold` is specified and is not a positive integer, or if `options.failureWindowInMs` or `options.cooldownInMs` is specified and is not a positive number.]*/
+    [
+      { failureThreshold: 0 },
+      { failureThreshold: 1.5 },
+      { failureThreshold: '5' },
+      { failureWindowInMs: 0 },
+      { failureWindowInMs: -1 },
+      { cooldownInMs: 0 },
+      { cooldownInMs: 'soon' }
+    ].forEach(function (badOptions) {
+      it('throws an ArgumentError if the options are ' + JSON.stringify(badOptions), function () {
+        assert.throws(function () {
+          return new CircuitBreakerPolicy(innerPolicy, badOptions);
+        }, errors.ArgumentError);
+      });
+    });
+
+    /*Tests_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_003: [The constructor shall use an `ExponentialBackOffWithJitter` policy if `policy` is falsy, and default to a threshold of 5 failures in 60 seconds and a cooldown of 30 seconds.]*/
+    it('wraps an ExponentialBackOffWithJitter policy by default', function () {
+      var policy = new CircuitBreakerPolicy();
+      var defaultPolicy = new ExponentialBackOffWithJitter();
+      [new errors.ThrottlingError(), new errors.ServiceUnavailableError(), new errors.UnauthorizedError()].forEach(function (err) {
+        assert.strictEqual(policy.shouldRetry(err), defaultPolicy.shouldRetry(err));
+      });
+      assert.strictEqual(policy.nextRetryTimeout(0, false), 0);
+    });
+
+    it('opens after 5 failures in 60 seconds and becomes half-open after 30 seconds by default', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy);
+      failTimes(policy, 4);
+      clock.tick(60000);
+      failTimes(policy, 4);
+      assert.strictEqual(policy.state, 'closed');
+      failTimes(policy, 1);
+      assert.strictEqual(policy.state, 'open');
+      clock.tick(29999);
+      assert.strictEqual(policy.state, 'open');
+      clock.tick(1);
+      assert.strictEqual(policy.state, 'halfOpen');
+    });
+  });
+
+  describe('#nextRetryTimeout', function () {
+    /*Tests_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_004: [The `nextRetryTimeout` method shall return the result of the `nextRetryTimeout` method of the wrapped policy.]*/
+    it('uses the wrapped policy', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy);
+      var throttlingError = new errors.ThrottlingError('fake');
+      assert.strictEqual(policy.nextRetryTimeout(3, true, throttlingError), 42);
+      assert.isTrue(innerPolicy.nextRetryTimeout.calledWith(3, true, throttlingError));
+    });
+  });
+
+  describe('#shouldRetry', function () {
+    /*Tests_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_005: [The `shouldRetry` method shall return `false` for a `CircuitOpenError` and the result of the `shouldRetry` method of the wrapped policy otherwise.]*/
+    it('uses the wrapped policy', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy);
+      assert.isTrue(policy.shouldRetry(new errors.ServiceUnavailableError()));
+      assert.isFalse(policy.shouldRetry(new errors.DeviceNotFoundError()));
+    });
+
+    it('does not retry a CircuitOpenError', function () {
+      innerPolicy.shouldRetry = sinon.stub().returns(true);
+      var policy = new CircuitBreakerPolicy(innerPolicy);
+      assert.isFalse(policy.shouldRetry(new errors.CircuitOpenError()));
+    });
+
+    it('does not count the errors as failures', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy, { failureThreshold: 1 });
+      policy.shouldRetry(new errors.ServiceUnavailableError());
+      assert.strictEqual(policy.state, 'closed');
+    });
+  });
+
+  describe('#afterAttempt', function () {
+    /*Tests_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_006: [The `afterAttempt` method shall open the circuit when `failureThreshold` errors considered failures by `options.isFailure`, or retried by the wrapped policy if `isFailure` is not specified, have been reported within the last `failureWindowInMs`.]*/
+    it('opens the circuit after failureThreshold failures within failureWindowInMs', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy, { failureThreshold: 3, failureWindowInMs: 1000 });
+      failTimes(policy, 2);
+      assert.strictEqual(policy.state, 'closed');
+      failTimes(policy, 1);
+      assert.strictEqual(policy.state, 'open');
+    });
+
+    it('does not count the failures older than failureWindowInMs', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy, { failureThreshold: 3, failureWindowInMs: 1000 });
+      failTimes(policy, 2);
+      clock.tick(1000);
+      failTimes(policy, 2);
+      assert.strictEqual(policy.state, 'closed');
+    });
+
+    it('does not count the successes and the errors that the wrapped policy does not retry', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy, { failureThreshold: 2 });
+      failTimes(policy, 1);
+      policy.afterAttempt();
+      policy.afterAttempt(new errors.DeviceNotFoundError('fake'));
+      assert.strictEqual(policy.state, 'closed');
+      failTimes(policy, 1);
+      assert.strictEqual(policy.state, 'open');
+    });
+
+    it('uses options.isFailure to decide which errors are failures', function () {
+      var isFailure = sinon.stub().callsFake(function (err) { return err instanceof errors.DeviceNotFoundError; });
+      var policy = new CircuitBreakerPolicy(innerPolicy, { failureThreshold: 2, isFailure: isFailure });
+      failTimes(policy, 2);
+      assert.strictEqual(policy.state, 'closed');
+      policy.afterAttempt(new errors.DeviceNotFoundError('fake'));
+      policy.afterAttempt(new errors.DeviceNotFoundError('fake'));
+      assert.strictEqual(policy.state, 'open');
+    });
+
+    /*Tests_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_011: [When the circuit is half-open, the `afterAttempt` method shall open the circuit again if the attempt failed.]*/
+    it('opens the circuit again if the probe fails', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy, { failureThreshold: 1, cooldownInMs: 1000 });
+      failTimes(policy, 1);
+      clock.tick(1000);
+      assert.isUndefined(policy.beforeAttempt());
+      failTimes(policy, 1);
+      assert.strictEqual(policy.state, 'open');
+      clock.tick(999);
+      assert.strictEqual(policy.state, 'open');
+      clock.tick(1);
+      assert.strictEqual(policy.state, 'halfOpen');
+    });
+
+    /*Tests_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_012: [When the circuit is half-open, the `afterAttempt` method shall close the circuit and forget the previous failures if the attempt succeeded or failed with an error that is not considered a failure.]*/
+    [undefined, new errors.DeviceNotFoundError('fake')].forEach(function (probeError) {
+      it('closes the circuit if the probe ' + (probeError ? 'fails with an error that is not a failure' : 'succeeds'), function () {
+        var policy = new CircuitBreakerPolicy(innerPolicy, { failureThreshold: 2, cooldownInMs: 1000 });
+        failTimes(policy, 2);
+        clock.tick(1000);
+        assert.isUndefined(policy.beforeAttempt());
+        policy.afterAttempt(probeError);
+        assert.strictEqual(policy.state, 'closed');
+        assert.isUndefined(policy.beforeAttempt());
+        failTimes(policy, 1);
+        assert.strictEqual(policy.state, 'closed');
+      });
+    });
+  });
+
+  describe('#beforeAttempt', function () {
+    it('lets all the attempts through when the circuit is closed', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy);
+      assert.isUndefined(policy.beforeAttempt());
+      assert.isUndefined(policy.beforeAttempt());
+    });
+
+    /*Tests_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_007: [When the circuit is open, the `beforeAttempt` method shall return a `CircuitOpenError`.]*/
+    it('returns a CircuitOpenError when the circuit is open', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy, { failureThreshold: 1 });
+      failTimes(policy, 1);
+      assert.instanceOf(policy.beforeAttempt(), errors.CircuitOpenError);
+    });
+
+    /*Tests_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_010: [When the circuit is half-open, the `beforeAttempt` method shall let one attempt through and return a `CircuitOpenError` for the other attempts until the outcome of that attempt is known, or until `cooldownInMs` have elapsed without an outcome.]*/
+    it('lets only one attempt through when the circuit is half-open', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy, { failureThreshold: 1, cooldownInMs: 1000 });
+      failTimes(policy, 1);
+      clock.tick(1000);
+      assert.isUndefined(policy.beforeAttempt());
+      assert.instanceOf(policy.beforeAttempt(), errors.CircuitOpenError);
+      assert.strictEqual(policy.state, 'halfOpen');
+    });
+
+    it('lets another attempt through if the probe has no outcome after cooldownInMs', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy, { failureThreshold: 1, cooldownInMs: 1000 });
+      failTimes(policy, 1);
+      clock.tick(1000);
+      assert.isUndefined(policy.beforeAttempt());
+      clock.tick(999);
+      assert.instanceOf(policy.beforeAttempt(), errors.CircuitOpenError);
+      clock.tick(1);
+      assert.isUndefined(policy.beforeAttempt());
+    });
+  });
+
+  describe('stateChange', function () {
+    /*Tests_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_008: [A `stateChange` event shall be emitted with a `CircuitBreakerStateChange` object containing the previous state, the new state and the failure that opened the circuit, if any, every time the state of the circuit changes.]*/
+    /*Tests_SRS_NODE_COMMON_CIRCUIT_BREAKER_POLICY_16_009: [The circuit shall become half-open `cooldownInMs` after it has opened. The cooldown timer shall not keep the process alive.]*/
+    it('is emitted when the circuit opens, becomes half-open and closes', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy, { failureThreshold: 1, cooldownInMs: 1000 });
+      var stateChanges = [];
+      policy.on('stateChange', function (change) { stateChanges.push(change); });
+      var failure = new errors.ServiceUnavailableError('fake');
+      policy.afterAttempt(failure);
+      clock.tick(1000);
+      policy.beforeAttempt();
+      policy.afterAttempt();
+      assert.deepEqual(stateChanges, [
+        { previousState: 'closed', state: 'open', error: failure },
+        { previousState: 'open', state: 'halfOpen' },
+        { previousState: 'halfOpen', state: 'closed' }
+      ]);
+    });
+  });
+
+  describe('with RetryOperation', function () {
+    it('fails the operations sharing the policy without attempting them once the circuit is open', function () {
+      innerPolicy.nextRetryTimeout = sinon.stub().returns(10);
+      var policy = new CircuitBreakerPolicy(innerPolicy, { failureThreshold: 3, cooldownInMs: 1000 });
+      var operation = sinon.stub().callsArgWith(0, new errors.ServiceUnavailableError('fake'));
+      var firstCallback = sinon.spy();
+      var secondCallback = sinon.spy();
+
+      new RetryOperation(policy, 60000).retry(operation, firstCallback);
+      clock.tick(10);
+      clock.tick(10);
+      assert.strictEqual(policy.state, 'open');
+      assert.isTrue(operation.calledThrice);
+      clock.tick(10);
+      assert.isTrue(operation.calledThrice);
+      assert.instanceOf(firstCallback.firstCall.args[0], errors.CircuitOpenError);
+
+      new RetryOperation(policy, 60000).retry(operation, secondCallback);
+      assert.isTrue(operation.calledThrice);
+      assert.instanceOf(secondCallback.firstCall.args[0], errors.CircuitOpenError);
+    });
+
+    it('probes with one operation once the circuit is half-open', function () {
+      var policy = new CircuitBreakerPolicy(innerPolicy, { failureThreshold: 1, cooldownInMs: 1000 });
+      failTimes(policy, 1);
+      clock.tick(1000);
+
+      var probeCallback;
+      var probeFinalCallback = sinon.spy();
+      var otherFinalCallback = sinon.spy();
+      new RetryOperation(policy, 60000).retry(function (callback) { probeCallback = callback; }, probeFinalCallback);
+      new RetryOperation(policy, 60000).retry(sinon.stub().callsArg(0), otherFinalCallback);
+      assert.instanceOf(otherFinalCallback.firstCall.args[0], errors.CircuitOpenError);
+
+      probeCallback(null, 'fakeResult');
+      assert.isTrue(probeFinalCallback.calledWith(null, 'fakeResult'));
+      assert.strictEqual(policy.state, 'closed');
+    });
+  });
+});
@@ -41,7 +41,10 @@ describe('errors', function() {
     errors.TwinRequestError,
     errors.OperationCancelledError,
     errors.DeviceRegistrationFailedError,
-    errors.SecurityDeviceError
+    errors.SecurityDeviceError,
+    errors.JobFailedError,
+    errors.DeliveryFailedError,
+    errors.CircuitOpenError
   ].forEach(function(ErrorCtor) {
     /*Tests_SRS_NODE_COMMON_ERRORS_16_001: All custom error types shall inherit from the standard Javascript error object.*/
     it(ErrorCtor.name + ' inherits from the standard javascript \'Error\' object', function() {
@@ -0,0 +1,118 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var promiseUtils = require('../lib/promise_utils.js');
+
+describe('promise_utils', function () {
+  describe('callbackToPromise', function () {
+    /*Tests_SRS_NODE_COMMON_PROMISE_UTILS_16_001: [If `userCallback` is specified but is not a function, `callbackToPromise` shall throw a `TypeError`.]*/
+    it('throws a TypeError if the userCallback is not a function', function () {
+      assert.throws(function () {
+        promiseUtils.callbackToPromise(function () {}, 'notAFunction');
+      }, TypeError);
+    });
+
+    /*Tests_SRS_NODE_COMMON_PROMISE_UTILS_16_002: [If `userCallback` is specified, `callbackToPromise` shall call `callbackOperation` with `userCallback` and return `undefined`.]*/
+    it('calls the operation with the user callback and returns undefined', function () {
+      var userCallback = sinon.stub();
+      var operation = sinon.stub().callsArgWith(0, null, 'result');
+      var returnValue = promiseUtils.callbackToPromise(operation, userCallback);
+      assert.isUndefined(returnValue);
+      assert.isTrue(operation.calledWith(userCallback));
+      assert.isTrue(userCallback.calledWith(null, 'result'));
+    });
+
+    /*Tests_SRS_NODE_COMMON_PROMISE_UTILS_16_003: [If `userCallback` is falsy, `callbackToPromise` shall return a `Promise` that is rejected with the error or resolved with the result passed to the operation callback.]*/
+    it('returns a promise resolved with the result of the operation', function () {
+      var operation = sinon.stub().callsArgWith(0, null, 'result');
+      return promiseUtils.callbackToPromise(operation).then(function (result) {
+        assert.strictEqual(result, 'result');
+      });
+    });
+
+    /*Tests_SRS_NODE_COMMON_PROMISE_UTILS_16_003: [If `userCallback` is falsy, `callbackToPromise` shall return a `Promise` that is rejected with the error or resolved with the result passed to the operation callback.]*/
+    it('returns a promise rejected with the error of the operation', function () {
+      var testError = new Error('fake');
+      var operation = sinon.stub().callsArgWith(0, testError);
+      return promiseUtils.callbackToPromise(operation).then(function () {
+        assert.fail('promise should have been rejected');
+      }, function (err) {
+        assert.strictEqual(err, testError);
+      });
+    });
+  });
+
+  describe('errorCallbackToPromise', function () {
+    it('returns a promise resolved with no value', function () {
+      var operation = sinon.stub().callsArgWith(0);
+      return promiseUtils.errorCallbackToPromise(operation).then(function (result) {
+        assert.isUndefined(result);
+      });
+    });
+  });
+
+  describe('doubleValueCallbackToPromise', function () {
+    it('throws a TypeError if the userCallback is not a function', function () {
+      assert.throws(function () {
+        promiseUtils.doubleValueCallbackToPromise(function () {}, function () {}, 42);
+      }, TypeError);
+    });
+
+    it('calls the operation with the user callback and returns undefined', function () {
+      var userCallback = sinon.stub();
+      var operation = sinon.stub().callsArgWith(0, null, 'result1', 'result2');
+      var returnValue = promiseUtils.doubleValueCallbackToPromise(operation, function () {}, userCallback);
+      assert.isUndefined(returnValue);
+      assert.isTrue(userCallback.calledWith(null, 'result1', 'result2'));
+    });
+
+    /*Tests_SRS_NODE_COMMON_PROMISE_UTILS_16_004: [If `userCallback` is falsy, `doubleValueCallbackToPromise` shall return a `Promise` resolved with the value returned by `packResults` when called with both results of the operation callback.]*/
+    it('returns a promise resolved with the packed results', function () {
+      var operation = sinon.stub().callsArgWith(0, null, 'result1', 'result2');
+      var packResults = function (result1, result2) {
+        return { first: result1, second: result2 };
+      };
+      return promiseUtils.doubleValueCallbackToPromise(operation, packResults).then(function (result) {
+        assert.deepEqual(result, { first: 'result1', second: 'result2' });
+      });
+    });
+
+    it('returns a promise rejected with the error of the operation', function () {
+      var testError = new Error('fake');
+      var operation = sinon.stub().callsArgWith(0, testError);
+      return promiseUtils.doubleValueCallbackToPromise(operation, function () {}).then(function () {
+        assert.fail('promise should have been rejected');
+      }, function (err) {
+        assert.strictEqual(err, testError);
+      });
+    });
+  });
+
+  describe('httpCallbackToPromise', function () {
+    /*Tests_SRS_NODE_COMMON_PROMISE_UTILS_16_005: [If `userCallback` is falsy, `httpCallbackToPromise` shall return a `Promise` resolved with an object containing the `result` and the `response` passed to the operation callback.]*/
+    it('returns a promise resolved with the result and the response', function () {
+      var fakeResponse = { statusCode: 200 };
+      var operation = sinon.stub().callsArgWith(0, null, 'result', fakeResponse);
+      return promiseUtils.httpCallbackToPromise(operation).then(function (result) {
+        assert.strictEqual(result.result, 'result');
+        assert.strictEqual(result.response, fakeResponse);
+      });
+    });
+
+    it('calls the user callback with the result and the response', function (testCallback) {
+      var fakeResponse = { statusCode: 200 };
+      var operation = sinon.stub().callsArgWith(0, null, 'result', fakeResponse);
+      promiseUtils.httpCallbackToPromise(operation, function (err, result, response) {
+        assert.isNull(err);
+        assert.strictEqual(result, 'result');
+        assert.strictEqual(response, fakeResponse);
+        testCallback();
+      });
+    });
+  });
+});
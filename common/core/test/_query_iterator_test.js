@@ -0,0 +1,112 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var errors = require('../lib/errors.js');
+var createQueryIterator = require('../lib/query_iterator.js').createQueryIterator;
+
+describe('createQueryIterator', function () {
+  var fakePages = function (pages) {
+    var pageIndex = 0;
+    return {
+      fetchNextPage: sinon.spy(function (callback) {
+        callback(null, pages[pageIndex++]);
+      }),
+      hasMoreResults: function () {
+        return pageIndex < pages.length;
+      }
+    };
+  };
+
+  var collect = function (iterator, items) {
+    items = items || [];
+    return iterator.next().then(function (iteration) {
+      if (iteration.done) {
+        return items;
+      } else {
+        items.push(iteration.value);
+        return collect(iterator, items);
+      }
+    });
+  };
+
+  /*Tests_SRS_NODE_COMMON_QUERY_ITERATOR_16_001: [The `createQueryIterator` method shall throw an `ArgumentError` if `options.maxItems` is specified and is not a positive number.]*/
+  [0, -1, null, NaN, '10'].forEach(function (badMaxItems) {
+    it('throws an ArgumentError if maxItems is \'' + badMaxItems + '\'', function () {
+      var pages = fakePages([]);
+      assert.throws(function () {
+        createQueryIterator(pages.fetchNextPage, pages.hasMoreResults, { maxItems: badMaxItems });
+      }, errors.ArgumentError);
+    });
+  });
+
+  /*Tests_SRS_NODE_COMMON_QUERY_ITERATOR_16_003: [The iterator shall be done once `options.maxItems` items have been yielded or once all the pages have been fetched and all their items yielded.]*/
+  /*Tests_SRS_NODE_COMMON_QUERY_ITERATOR_16_004: [The iterator shall call `fetchNextPage` when all the items of the current page have been yielded, and reject with the error if the page cannot be fetched.]*/
+  it('yields the items of all the pages in order', function () {
+    var pages = fakePages([[1, 2], [], null, [3]]);
+    return collect(createQueryIterator(pages.fetchNextPage, pages.hasMoreResults)).then(function (items) {
+      assert.deepEqual(items, [1, 2, 3]);
+      assert.strictEqual(pages.fetchNextPage.callCount, 4);
+    });
+  });
+
+  /*Tests_SRS_NODE_COMMON_QUERY_ITERATOR_16_003: [The iterator shall be done once `options.maxItems` items have been yielded or once all the pages have been fetched and all their items yielded.]*/
+  it('stops after maxItems items without fetching more pages', function () {
+    var pages = fakePages([[1, 2], [3]]);
+    return collect(createQueryIterator(pages.fetchNextPage, pages.hasMoreResults, { maxItems: 2 })).then(function (items) {
+      assert.deepEqual(items, [1, 2]);
+      assert.isTrue(pages.fetchNextPage.calledOnce);
+    });
+  });
+
+  /*Tests_SRS_NODE_COMMON_QUERY_ITERATOR_16_004: [The iterator shall call `fetchNextPage` when all the items of the current page have been yielded, and reject with the error if the page cannot be fetched.]*/
+  it('rejects with the error if a page cannot be fetched and stops', function () {
+    var fakeError = new Error('fake');
+    var fetchNextPage = sinon.stub().callsArgWith(0, fakeError);
+    var iterator = createQueryIterator(fetchNextPage, function () { return true; });
+    return iterator.next().then(function () {
+      assert.fail('the iterator should have rejected');
+    }, function (err) {
+      assert.strictEqual(err, fakeError);
+      return iterator.next();
+    }).then(function (iteration) {
+      assert.isTrue(iteration.done);
+      assert.isTrue(fetchNextPage.calledOnce);
+    });
+  });
+
+  /*Tests_SRS_NODE_COMMON_QUERY_ITERATOR_16_002: [The iterator shall reject with an `OperationCancelledError` and stop if `options.abortSignal` is aborted before an item is yielded.]*/
+  it('rejects with an OperationCancelledError once the abort signal is aborted', function () {
+    var fakeSignal = { aborted: false };
+    var pages = fakePages([[1, 2]]);
+    var iterator = createQueryIterator(pages.fetchNextPage, pages.hasMoreResults, { abortSignal: fakeSignal });
+    return iterator.next().then(function (iteration) {
+      assert.strictEqual(iteration.value, 1);
+      fakeSignal.aborted = true;
+      return iterator.next();
+    }).then(function () {
+      assert.fail('the iterator should have rejected');
+    }, function (err) {
+      assert.instanceOf(err, errors.OperationCancelledError);
+    });
+  });
+
+  /*Tests_SRS_NODE_COMMON_QUERY_ITERATOR_16_005: [The iterator shall stop fetching pages once its `return` method has been called, which happens when a `for await` loop is exited early.]*/
+  it('stops fetching pages once return is called', function () {
+    var pages = fakePages([[1], [2]]);
+    var iterator = createQueryIterator(pages.fetchNextPage, pages.hasMoreResults);
+    return iterator.next().then(function () {
+      return iterator.return();
+    }).then(function (iteration) {
+      assert.isTrue(iteration.done);
+      return iterator.next();
+    }).then(function (iteration) {
+      assert.isTrue(iteration.done);
+      assert.isTrue(pages.fetchNextPage.calledOnce);
+    });
+  });
+});
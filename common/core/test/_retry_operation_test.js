@@ -89,5 +89,286 @@ describe('RetryOperation', function () {
         testCallback();
       });
     });
+
+    /*Tests_SRS_NODE_COMMON_RETRY_OPERATION_16_015: [If the error of the `operation` has a `retryAfterInMs` property, the `operation` shall not be retried before this number of milliseconds, unless the policy returned a negative timeout to stop retrying.]*/
+    it('passes the error to the policy and waits at least retryAfterInMs before retrying', function () {
+      var clock = sinon.useFakeTimers();
+      var testPolicy = {
+        nextRetryTimeout: sinon.stub().returns(100),
+        shouldRetry: sinon.stub().returns(true)
+      };
+      var throttlingError = new errors.ThrottlingError('fake');
+      throttlingError.retryAfterInMs = 5000;
+      var actualOperation = sinon.stub().onFirstCall().callsArgWith(0, throttlingError).onSecondCall().callsArgWith(0, null, 'fakeResult');
+      var finalCallback = sinon.spy();
+
+      new RetryOperation(testPolicy, 60000).retry(actualOperation, finalCallback);
+      assert.isTrue(testPolicy.nextRetryTimeout.calledWith(1, true, throttlingError));
+      clock.tick(4999);
+      assert.isTrue(actualOperation.calledOnce);
+      clock.tick(1);
+      clock.restore();
+      assert.isTrue(actualOperation.calledTwice);
+      assert.isTrue(finalCallback.calledWith(null, 'fakeResult'));
+    });
+
+    it('uses the timeout of the policy if it is longer than retryAfterInMs', function () {
+      var clock = sinon.useFakeTimers();
+      var testPolicy = {
+        nextRetryTimeout: sinon.stub().returns(3000),
+        shouldRetry: sinon.stub().returns(true)
+      };
+      var throttlingError = new errors.ThrottlingError('fake');
+      throttlingError.retryAfterInMs = 1000;
+      var actualOperation = sinon.stub().onFirstCall().callsArgWith(0, throttlingError).onSecondCall().callsArgWith(0, null, 'fakeResult');
+
+      new RetryOperation(testPolicy, 60000).retry(actualOperation, function () {});
+      clock.tick(2999);
+      assert.isTrue(actualOperation.calledOnce);
+      clock.tick(1);
+      clock.restore();
+      assert.isTrue(actualOperation.calledTwice);
+    });
+
+    it('does not retry if the policy returns a negative timeout even if the error has a retryAfterInMs property', function () {
+      var testPolicy = {
+        nextRetryTimeout: sinon.stub().returns(-1),
+        shouldRetry: sinon.stub().returns(true)
+      };
+      var throttlingError = new errors.ThrottlingError('fake');
+      throttlingError.retryAfterInMs = 1000;
+      var finalCallback = sinon.spy();
+
+      new RetryOperation(testPolicy, 60000).retry(sinon.stub().callsArgWith(0, throttlingError), finalCallback);
+      assert.isTrue(finalCallback.calledWith(throttlingError));
+    });
+
+    it('fails with the error if retryAfterInMs exceeds the maximum timeout of the operation', function () {
+      var testPolicy = {
+        nextRetryTimeout: sinon.stub().returns(10),
+        shouldRetry: sinon.stub().returns(true)
+      };
+      var throttlingError = new errors.ThrottlingError('fake');
+      throttlingError.retryAfterInMs = 120000;
+      var finalCallback = sinon.spy();
+
+      new RetryOperation(testPolicy, 60000).retry(sinon.stub().callsArgWith(0, throttlingError), finalCallback);
+      assert.isTrue(finalCallback.calledWith(throttlingError));
+    });
+
+    /*Tests_SRS_NODE_COMMON_RETRY_OPERATION_16_013: [The `retry` method shall call the `beforeAttempt` method of the policy, if it has one, before each attempt, and call the `finalCallback` with the error it returns, if any, without attempting the `operation`.]*/
+    it('calls the beforeAttempt method of the policy before each attempt', function (testCallback) {
+      var testPolicy = {
+        nextRetryTimeout: sinon.stub().returns(1),
+        shouldRetry: sinon.stub().returns(true),
+        beforeAttempt: sinon.stub()
+      };
+      var testError = new Error('fake');
+      var actualOperation = sinon.stub().onFirstCall().callsArgWith(0, testError).onSecondCall().callsArgWith(0, null, 'fakeResult');
+
+      var testOperation = new RetryOperation(testPolicy, 10);
+      testOperation.retry(function (callback) {
+        assert.strictEqual(testPolicy.beforeAttempt.callCount, actualOperation.callCount + 1);
+        actualOperation(callback);
+      }, function (finalErr, finalResult) {
+        assert.isNotOk(finalErr);
+        assert.strictEqual(finalResult, 'fakeResult');
+        assert.isTrue(testPolicy.beforeAttempt.calledTwice);
+        testCallback();
+      });
+    });
+
+    it('calls the final callback with the error returned by beforeAttempt without attempting the operation', function (testCallback) {
+      var attemptError = new Error('do not attempt');
+      var testPolicy = {
+        nextRetryTimeout: sinon.stub().returns(1),
+        shouldRetry: sinon.stub().returns(true),
+        beforeAttempt: sinon.stub().returns(attemptError)
+      };
+      var actualOperation = sinon.stub();
+
+      var testOperation = new RetryOperation(testPolicy, 10);
+      testOperation.retry(actualOperation, function (finalErr) {
+        assert.strictEqual(finalErr, attemptError);
+        assert.isTrue(actualOperation.notCalled);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_COMMON_RETRY_OPERATION_16_014: [The `retry` method shall call the `afterAttempt` method of the policy, if it has one, with the error of each attempt, or no error if it succeeded, even if the operation has been cancelled in the meantime.]*/
+    it('calls the afterAttempt method of the policy with the outcome of each attempt', function (testCallback) {
+      var testPolicy = {
+        nextRetryTimeout: sinon.stub().returns(1),
+        shouldRetry: sinon.stub().returns(true),
+        afterAttempt: sinon.stub()
+      };
+      var testError = new Error('fake');
+      var actualOperation = sinon.stub().onFirstCall().callsArgWith(0, testError).onSecondCall().callsArgWith(0, null, 'fakeResult');
+
+      var testOperation = new RetryOperation(testPolicy, 10);
+      testOperation.retry(actualOperation, function () {
+        assert.isTrue(testPolicy.afterAttempt.calledTwice);
+        assert.strictEqual(testPolicy.afterAttempt.firstCall.args[0], testError);
+        assert.isUndefined(testPolicy.afterAttempt.secondCall.args[0]);
+        testCallback();
+      });
+    });
+
+    it('calls the afterAttempt method of the policy with the outcome of an attempt that completes after the operation was cancelled', function () {
+      var testPolicy = {
+        nextRetryTimeout: sinon.stub().returns(1),
+        shouldRetry: sinon.stub().returns(true),
+        afterAttempt: sinon.stub()
+      };
+      var opCallback;
+      var testError = new Error('fake');
+      var testOperation = new RetryOperation(testPolicy, 10);
+      testOperation.retry(function (callback) { opCallback = callback; }, function () {});
+      testOperation.cancel();
+      opCallback(testError);
+      assert.isTrue(testPolicy.afterAttempt.calledOnce);
+      assert.strictEqual(testPolicy.afterAttempt.firstCall.args[0], testError);
+    });
+  });
+
+  describe('cancel', function () {
+    var retryPolicy;
+
+    function FakeAbortSignal() {
+      var self = this;
+      this.aborted = false;
+      this.listeners = [];
+      this.addEventListener = sinon.spy(function (type, listener) { self.listeners.push(listener); });
+      this.removeEventListener = sinon.spy(function (type, listener) {
+        self.listeners = self.listeners.filter(function (l) { return l !== listener; });
+      });
+      this.abort = function () {
+        self.aborted = true;
+        self.listeners.forEach(function (listener) { listener(); });
+      };
+    }
+
+    beforeEach(function () {
+      retryPolicy = {
+        nextRetryTimeout: sinon.stub().returns(1000),
+        shouldRetry: sinon.stub().returns(true)
+      };
+    });
+
+    /*Tests_SRS_NODE_COMMON_RETRY_OPERATION_16_008: [The `cancel` method shall clear the timer of the pending retry, if any, and call the `finalCallback` with an `OperationCancelledError` if the operation is in progress.]*/
+    it('clears the pending retry and calls the final callback with an OperationCancelledError', function () {
+      var clock = sinon.useFakeTimers();
+      var operation = sinon.stub().callsArgWith(0, new Error('fake'));
+      var finalCallback = sinon.spy();
+      var testOperation = new RetryOperation(retryPolicy, 60000);
+      testOperation.retry(operation, finalCallback);
+      testOperation.cancel();
+      clock.tick(5000);
+      clock.restore();
+      assert.isTrue(operation.calledOnce);
+      assert.isTrue(finalCallback.calledOnce);
+      assert.instanceOf(finalCallback.firstCall.args[0], errors.OperationCancelledError);
+    });
+
+    /*Tests_SRS_NODE_COMMON_RETRY_OPERATION_16_009: [Once the operation has been cancelled, the result of the attempt in progress shall be ignored and the `operation` shall not be called again.]*/
+    it('ignores the result of the attempt in progress', function () {
+      var opCallback;
+      var finalCallback = sinon.spy();
+      var testOperation = new RetryOperation(retryPolicy, 60000);
+      testOperation.retry(function (callback) { opCallback = callback; }, finalCallback);
+      testOperation.cancel();
+      opCallback(null, 'fakeResult');
+      assert.isTrue(finalCallback.calledOnce);
+      assert.instanceOf(finalCallback.firstCall.args[0], errors.OperationCancelledError);
+    });
+
+    /*Tests_SRS_NODE_COMMON_RETRY_OPERATION_16_012: [The `cancel` method shall do nothing if the operation has already completed.]*/
+    it('does nothing if the operation has already completed', function () {
+      var finalCallback = sinon.spy();
+      var testOperation = new RetryOperation(retryPolicy, 60000);
+      testOperation.retry(sinon.stub().callsArgWith(0, null, 'fakeResult'), finalCallback);
+      testOperation.cancel();
+      assert.isTrue(finalCallback.calledOnce);
+      assert.isNull(finalCallback.firstCall.args[0]);
+      assert.strictEqual(finalCallback.firstCall.args[1], 'fakeResult');
+    });
+
+    /*Tests_SRS_NODE_COMMON_RETRY_OPERATION_16_007: [The `retry` method shall call the `finalCallback` with an `OperationCancelledError` without calling the `operation` if the operation has been cancelled or the `abortSignal` passed to the constructor is already aborted.]*/
+    it('fails without calling the operation if it has been cancelled before retry is called', function () {
+      var operation = sinon.stub();
+      var finalCallback = sinon.spy();
+      var testOperation = new RetryOperation(retryPolicy, 60000);
+      testOperation.cancel();
+      testOperation.retry(operation, finalCallback);
+      assert.isTrue(operation.notCalled);
+      assert.instanceOf(finalCallback.firstCall.args[0], errors.OperationCancelledError);
+    });
+
+    it('fails without calling the operation if the abort signal is already aborted', function () {
+      var operation = sinon.stub();
+      var finalCallback = sinon.spy();
+      var testOperation = new RetryOperation(retryPolicy, 60000, { aborted: true });
+      testOperation.retry(operation, finalCallback);
+      assert.isTrue(operation.notCalled);
+      assert.instanceOf(finalCallback.firstCall.args[0], errors.OperationCancelledError);
+    });
+
+    /*Tests_SRS_NODE_COMMON_RETRY_OPERATION_16_010: [The `retry` method shall cancel the operation as soon as the `abortSignal` passed to the constructor emits an `abort` event, if it supports `addEventListener`, and remove its listener once the `finalCallback` has been called.]*/
+    it('cancels the operation as soon as the abort signal is aborted', function () {
+      var clock = sinon.useFakeTimers();
+      var abortSignal = new FakeAbortSignal();
+      var operation = sinon.stub().callsArgWith(0, new Error('fake'));
+      var finalCallback = sinon.spy();
+      var testOperation = new RetryOperation(retryPolicy, 60000, abortSignal);
+      testOperation.retry(operation, finalCallback);
+      abortSignal.abort();
+      assert.isTrue(finalCallback.calledOnce);
+      assert.instanceOf(finalCallback.firstCall.args[0], errors.OperationCancelledError);
+      assert.lengthOf(abortSignal.listeners, 0);
+      clock.tick(5000);
+      clock.restore();
+      assert.isTrue(operation.calledOnce);
+    });
+
+    it('removes its abort listener once the operation has completed', function () {
+      var abortSignal = new FakeAbortSignal();
+      var finalCallback = sinon.spy();
+      var testOperation = new RetryOperation(retryPolicy, 60000, abortSignal);
+      testOperation.retry(sinon.stub().callsArgWith(0, null, 'fakeResult'), finalCallback);
+      assert.isTrue(abortSignal.addEventListener.calledOnce);
+      assert.lengthOf(abortSignal.listeners, 0);
+      abortSignal.abort();
+      assert.isTrue(finalCallback.calledOnce);
+      assert.strictEqual(finalCallback.firstCall.args[1], 'fakeResult');
+    });
+
+    it('completes if the abort signal supports addEventListener but not removeEventListener', function () {
+      var listeners = [];
+      var abortSignal = { aborted: false, addEventListener: function (type, listener) { listeners.push(listener); } };
+      var finalCallback = sinon.spy();
+      var testOperation = new RetryOperation(retryPolicy, 60000, abortSignal);
+      testOperation.retry(sinon.stub().callsArgWith(0, null, 'fakeResult'), finalCallback);
+      assert.lengthOf(listeners, 1);
+      assert.isTrue(finalCallback.calledOnce);
+      assert.strictEqual(finalCallback.firstCall.args[1], 'fakeResult');
+      listeners[0]();
+      assert.isTrue(finalCallback.calledOnce);
+    });
+
+    /*Tests_SRS_NODE_COMMON_RETRY_OPERATION_16_011: [The `operation` shall not be retried if the `abortSignal` passed to the constructor is aborted, and the `finalCallback` shall be called with an `OperationCancelledError` instead.]*/
+    it('does not retry if a signal without addEventListener has been aborted', function () {
+      var clock = sinon.useFakeTimers();
+      var abortSignal = { aborted: false };
+      var operation = sinon.stub().callsArgWith(0, new Error('fake'));
+      var finalCallback = sinon.spy();
+      var testOperation = new RetryOperation(retryPolicy, 60000, abortSignal);
+      testOperation.retry(operation, finalCallback);
+      abortSignal.aborted = true;
+      clock.tick(1000);
+      clock.restore();
+      assert.isTrue(operation.calledOnce);
+      assert.isTrue(finalCallback.calledOnce);
+      assert.instanceOf(finalCallback.firstCall.args[0], errors.OperationCancelledError);
+    });
   });
-});
\ No newline at end of file
+});
@@ -10,6 +10,7 @@ var errors = require('../lib/errors.js');
 var RetryPolicy = require('../lib/retry_policy.js').RetryPolicy;
 var ExponentialBackOffWithJitter = require('../lib/retry_policy.js').ExponentialBackOffWithJitter;
 var NoRetry = require('../lib/retry_policy.js').NoRetry;
+var validateRetryPolicy = require('../lib/retry_policy.js').validateRetryPolicy;
 
 describe('RetryPolicy', function () {
   describe('ExponentialBackOffWithJitter', function () {
@@ -110,4 +111,29 @@ describe('RetryPolicy', function () {
       });
     });
   });
+
+  describe('validateRetryPolicy', function () {
+    /*Tests_SRS_NODE_COMMON_RETRY_POLICY_16_011: [The `validateRetryPolicy` function shall throw a `ReferenceError` if `policy` is falsy.]*/
+    [undefined, null].forEach(function (badPolicy) {
+      it('throws a ReferenceError if the policy is \'' + badPolicy + '\'', function () {
+        assert.throws(function () {
+          validateRetryPolicy(badPolicy);
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_COMMON_RETRY_POLICY_16_012: [The `validateRetryPolicy` function shall throw an `ArgumentError` if `policy` does not have a `shouldRetry` method and a `nextRetryTimeout` method.]*/
+    [{}, { shouldRetry: function () {} }, { nextRetryTimeout: function () {} }].forEach(function (badPolicy) {
+      it('throws an ArgumentError if the policy is ' + JSON.stringify(Object.keys(badPolicy)), function () {
+        assert.throws(function () {
+          validateRetryPolicy(badPolicy);
+        }, errors.ArgumentError);
+      });
+    });
+
+    it('accepts the policies of the SDK', function () {
+      validateRetryPolicy(new NoRetry());
+      validateRetryPolicy(new ExponentialBackOffWithJitter());
+    });
+  });
 });
\ No newline at end of file
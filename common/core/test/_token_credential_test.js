@@ -0,0 +1,178 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var errors = require('../lib/errors.js');
+var TokenCredentialCache = require('../lib/token_credential.js').TokenCredentialCache;
+
+describe('TokenCredentialCache', function () {
+  var fakeScope = 'https://fake.scope/.default';
+
+  var makeCredential = function (lifetimeInMs) {
+    return {
+      getToken: sinon.stub().callsFake(function () {
+        return Promise.resolve({ token: 'fakeToken', expiresOnTimestamp: Date.now() + lifetimeInMs });
+      })
+    };
+  };
+
+  describe('#constructor', function () {
+    /*Tests_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_001: [The constructor shall throw a `ReferenceError` if `credential` or `scopes` is falsy.]*/
+    [undefined, null, ''].forEach(function (badValue) {
+      it('throws a ReferenceError if credential is \'' + badValue + '\'', function () {
+        assert.throws(function () {
+          return new TokenCredentialCache(badValue, fakeScope);
+        }, ReferenceError);
+      });
+
+      it('throws a ReferenceError if scopes is \'' + badValue + '\'', function () {
+        assert.throws(function () {
+          return new TokenCredentialCache(makeCredential(3600000), badValue);
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_002: [The constructor shall throw an `ArgumentError` if `credential` does not have a `getToken` method.]*/
+    it('throws an ArgumentError if the credential does not have a getToken method', function () {
+      assert.throws(function () {
+        return new TokenCredentialCache({}, fakeScope);
+      }, errors.ArgumentError);
+    });
+  });
+
+  describe('#getToken', function () {
+    /*Tests_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_003: [The `getToken` method shall call `callback` with the cached access token if it expires in more than 5 minutes.]*/
+    it('gets a token from the credential and caches it', function (testCallback) {
+      var credential = makeCredential(3600000);
+      var cache = new TokenCredentialCache(credential, fakeScope);
+      cache.getToken(function (err, firstToken) {
+        assert.isNull(err);
+        assert.strictEqual(firstToken.token, 'fakeToken');
+        assert.isTrue(credential.getToken.calledOnce);
+        assert.isTrue(credential.getToken.calledWith(fakeScope));
+        cache.getToken(function (err, secondToken) {
+          assert.isNull(err);
+          assert.strictEqual(secondToken, firstToken);
+          assert.isTrue(credential.getToken.calledOnce);
+          testCallback();
+        });
+      });
+    });
+
+    it('gets a new token if the cached one expires in less than 5 minutes', function (testCallback) {
+      var credential = makeCredential(299000);
+      var cache = new TokenCredentialCache(credential, fakeScope);
+      cache.getToken(function () {
+        cache.getToken(function (err) {
+          assert.isNull(err);
+          assert.isTrue(credential.getToken.calledTwice);
+          testCallback();
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_004: [The `getToken` method shall call the `getToken` method of the credential with the scopes passed to the constructor only once for concurrent requests, and call every `callback` with its outcome.]*/
+    it('calls the credential only once for concurrent requests', function (testCallback) {
+      var credential = makeCredential(3600000);
+      var cache = new TokenCredentialCache(credential, fakeScope);
+      var firstCallback = sinon.spy();
+      cache.getToken(firstCallback);
+      cache.getToken(function (err, accessToken) {
+        assert.isTrue(credential.getToken.calledOnce);
+        assert.isTrue(firstCallback.calledOnce);
+        assert.isTrue(firstCallback.calledWith(null, accessToken));
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_005: [The `getToken` method shall call `callback` with an `UnauthorizedError` if the credential does not return an access token.]*/
+    it('calls the callback with an UnauthorizedError if the credential returns null', function (testCallback) {
+      var cache = new TokenCredentialCache({ getToken: sinon.stub().resolves(null) }, fakeScope);
+      cache.getToken(function (err) {
+        assert.instanceOf(err, errors.UnauthorizedError);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_006: [The `getToken` method shall call `callback` with the error thrown or rejected by the `getToken` method of the credential.]*/
+    it('calls the callback with the error if the credential rejects', function (testCallback) {
+      var fakeError = new Error('fake');
+      var cache = new TokenCredentialCache({ getToken: sinon.stub().rejects(fakeError) }, fakeScope);
+      cache.getToken(function (err) {
+        assert.strictEqual(err, fakeError);
+        testCallback();
+      });
+    });
+
+    it('calls the callback with the error if the credential throws', function (testCallback) {
+      var fakeError = new Error('fake');
+      var cache = new TokenCredentialCache({ getToken: sinon.stub().throws(fakeError) }, fakeScope);
+      cache.getToken(function (err) {
+        assert.strictEqual(err, fakeError);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_008: [The `getToken` method shall call each pending `callback` on its own tick, outside of the promise returned by the credential, so that an error thrown by a `callback` is not turned into a rejection and does not prevent the other callbacks from being called.]*/
+    it('calls the other callbacks and does not reject if a callback throws', function (testCallback) {
+      var fakeError = new Error('fake');
+      var credential = makeCredential(3600000);
+      var cache = new TokenCredentialCache(credential, fakeScope);
+      var uncaughtExceptionListeners = process.listeners('uncaughtException');
+      var uncaughtExceptionSpy = sinon.spy();
+      var unhandledRejectionSpy = sinon.spy();
+      var restoreListeners = function () {
+        process.removeAllListeners('uncaughtException');
+        uncaughtExceptionListeners.forEach(function (listener) {
+          process.on('uncaughtException', listener);
+        });
+        process.removeListener('unhandledRejection', unhandledRejectionSpy);
+      };
+      process.removeAllListeners('uncaughtException');
+      process.on('uncaughtException', uncaughtExceptionSpy);
+      process.on('unhandledRejection', unhandledRejectionSpy);
+
+      cache.getToken(function () {
+        throw fakeError;
+      });
+      cache.getToken(function (err, accessToken) {
+        setTimeout(function () {
+          restoreListeners();
+          assert.isNull(err);
+          assert.strictEqual(accessToken.token, 'fakeToken');
+          assert.isTrue(credential.getToken.calledOnce);
+          assert.isTrue(uncaughtExceptionSpy.calledOnce);
+          assert.isTrue(uncaughtExceptionSpy.calledWith(fakeError));
+          assert.isTrue(unhandledRejectionSpy.notCalled);
+          testCallback();
+        }, 10);
+      });
+    });
+  });
+
+  describe('#getTimeUntilRefresh', function () {
+    /*Tests_SRS_NODE_COMMON_TOKEN_CREDENTIAL_CACHE_16_007: [The `getTimeUntilRefresh` method shall return the number of milliseconds until 5 minutes before the cached access token expires, or 0 if that time has passed or there is no cached access token.]*/
+    it('returns 0 if there is no cached token', function () {
+      var cache = new TokenCredentialCache(makeCredential(3600000), fakeScope);
+      assert.strictEqual(cache.getTimeUntilRefresh(), 0);
+    });
+
+    it('returns the time until 5 minutes before the cached token expires', function (testCallback) {
+      var cache = new TokenCredentialCache({ getToken: sinon.stub().resolves({ token: 'fakeToken', expiresOnTimestamp: 4000000 }) }, fakeScope);
+      cache.getToken(function () {
+        var clock = sinon.useFakeTimers(1000000);
+        assert.strictEqual(cache.getTimeUntilRefresh(), 2700000);
+        clock.tick(2700000);
+        assert.strictEqual(cache.getTimeUntilRefresh(), 0);
+        clock.tick(1000);
+        assert.strictEqual(cache.getTimeUntilRefresh(), 0);
+        clock.restore();
+        testCallback();
+      });
+    });
+  });
+});
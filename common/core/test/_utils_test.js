@@ -8,6 +8,7 @@ var assert = require('chai').assert;
 var os = require('os');
 var getos = require('getos');
 var getAgentPlatformString = require('../lib/utils').getAgentPlatformString;
+var parseRetryAfter = require('../lib/utils').parseRetryAfter;
 
 describe('getAgentPlatformString', function() {
   before(function() {
@@ -57,3 +58,39 @@ describe('getAgentPlatformString', function() {
   });
 });
 
+describe('parseRetryAfter', function() {
+  /*Tests_SRS_NODE_COMMON_UTILS_16_002: [`parseRetryAfter` shall return the number of milliseconds corresponding to `retryAfter` if it is a number of seconds.]*/
+  [
+    { retryAfter: '120', expected: 120000 },
+    { retryAfter: '0', expected: 0 },
+    { retryAfter: '1.5', expected: 1500 },
+    { retryAfter: 3, expected: 3000 }
+  ].forEach(function(testConfig) {
+    it('returns ' + testConfig.expected + ' for ' + JSON.stringify(testConfig.retryAfter), function() {
+      assert.strictEqual(parseRetryAfter(testConfig.retryAfter), testConfig.expected);
+    });
+  });
+
+  /*Tests_SRS_NODE_COMMON_UTILS_16_001: [`parseRetryAfter` shall use the first value if `retryAfter` is an array.]*/
+  it('uses the first value of an array', function() {
+    assert.strictEqual(parseRetryAfter(['2', '10']), 2000);
+  });
+
+  /*Tests_SRS_NODE_COMMON_UTILS_16_003: [`parseRetryAfter` shall return the number of milliseconds between now and `retryAfter` if it is an HTTP date, or `0` if that date is in the past.]*/
+  it('returns the time until an HTTP date', function() {
+    var clock = sinon.useFakeTimers(Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'));
+    try {
+      assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT'), 30000);
+      assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2015 07:27:00 GMT'), 0);
+    } finally {
+      clock.restore();
+    }
+  });
+
+  /*Tests_SRS_NODE_COMMON_UTILS_16_004: [`parseRetryAfter` shall return `undefined` if `retryAfter` is missing or cannot be parsed.]*/
+  [undefined, null, '', 'soon', '-5', []].forEach(function(badValue) {
+    it('returns undefined for ' + JSON.stringify(badValue), function() {
+      assert.isUndefined(parseRetryAfter(badValue));
+    });
+  });
+});
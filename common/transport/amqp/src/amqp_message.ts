@@ -209,4 +209,26 @@ export class AmqpMessage {
     /*Codes_SRS_NODE_IOTHUB_AMQPMSG_16_002: [The `toMessage` method shall return a `Message` object.]*/
     return msg;
   }
+
+  /**
+   * @method          module:azure-iot-amqp-base.AmqpMessage.encodeBatch
+   * @description     Encodes multiple AMQP messages into a single batched AMQP message. Each message is encoded with its own properties and application properties
+   *                  in a separate data section of the body of the batched message.
+   *
+   * @param {AmqpMessage[]}   amqpMessages   The {@linkcode AmqpMessage} objects to encode in the batch.
+   *
+   * @returns {Buffer}        The encoded batched message, ready to be sent with the batched message format.
+   */
+  static encodeBatch(amqpMessages: AmqpMessage[]): Buffer {
+    /*Codes_SRS_NODE_IOTHUB_AMQPMSG_16_018: [The `encodeBatch` method shall throw a `ReferenceError` if the `amqpMessages` argument is falsy.]*/
+    if (!amqpMessages) {
+      throw new ReferenceError('amqpMessages cannot be \'' + amqpMessages + '\'');
+    }
+
+    /*Codes_SRS_NODE_IOTHUB_AMQPMSG_16_019: [The `encodeBatch` method shall encode each message, including its properties and application properties, in its own data section of the body of the batched message.]*/
+    const dataSections = amqpMessages.map((amqpMessage) => rheaMessage.encode(amqpMessage));
+
+    /*Codes_SRS_NODE_IOTHUB_AMQPMSG_16_020: [The `encodeBatch` method shall return the encoded batched message as a `Buffer`.]*/
+    return rheaMessage.encode({ body: rheaMessage.data_sections(dataSections) });
+  }
 }
@@ -3,14 +3,24 @@ import * as dbg from 'debug';
 import * as uuid from 'uuid';
 import { EventEmitter } from 'events';
 import { EventContext, AmqpError, Session, Sender, SenderOptions } from 'rhea';
-import { results } from 'azure-iot-common';
+import { results, errors } from 'azure-iot-common';
 import { AmqpMessage } from './amqp_message';
 import { AmqpLink } from './amqp_link_interface';
 
 const debug = dbg('azure-iot-amqp-base:SenderLink');
 
+//
+// Message format indicating that each data section of the body of the message is an encoded AMQP message.
+//
+const batchMessageFormat = 0x80013700;
+//
+// Maximum size of a message accepted by the IoT Hub, batched messages included.
+//
+const maxBatchSizeInBytes = 256 * 1024;
+
 interface MessageOperation {
-  message: AmqpMessage;
+  message: AmqpMessage | Buffer;
+  format?: number;
   callback: (err?: Error, result?: results.MessageEnqueued) => void;
 }
 
@@ -367,7 +377,8 @@ export class SenderLink extends EventEmitter implements AmqpLink {
               /*Codes_SRS_NODE_AMQP_SENDER_LINK_16_020: [When the link gets attached, the messages shall be sent in the order they were queued.] */
               let opToSend = this._unsentMessageQueue.shift();
               /*Codes_SRS_NODE_AMQP_SENDER_LINK_16_010: [The `send` method shall use the link created by the underlying `rhea` transport to send the specified `message` to the IoT hub.]*/
-              let sendDeliveryObject = this._rheaSender.send(opToSend.message as any);
+              /*Codes_SRS_NODE_AMQP_SENDER_LINK_16_028: [The `sendBatch` method shall use the link created by the underlying `rhea` to send the encoded batch with the batched message format.]*/
+              let sendDeliveryObject = (opToSend.format === undefined) ? this._rheaSender.send(opToSend.message as any) : this._rheaSender.send(opToSend.message as any, undefined, opToSend.format);
               if (sendDeliveryObject.settled) {
                 /*Codes_SRS_NODE_AMQP_SENDER_LINK_06_008: [Handles sending messages that can be settled on send.] */
                 debug('message sent as settled');
@@ -487,6 +498,25 @@ export class SenderLink extends EventEmitter implements AmqpLink {
     this._fsm.handle('send');
   }
 
+  sendBatch(messages: AmqpMessage[], callback: (err?: Error, result?: results.MessageEnqueued) => void): void {
+    /*Codes_SRS_NODE_AMQP_SENDER_LINK_16_027: [The `sendBatch` method shall encode the `messages` into a single batched message using `AmqpMessage.encodeBatch`.]*/
+    const encodedBatch = AmqpMessage.encodeBatch(messages);
+    /*Codes_SRS_NODE_AMQP_SENDER_LINK_16_030: [If the encoded batch is larger than 256KB, the `sendBatch` method shall call the `callback` with a `MessageTooLargeError` and shall not send the batch.]*/
+    if (encodedBatch.length > maxBatchSizeInBytes) {
+      callback(new errors.MessageTooLargeError('The encoded batch (' + encodedBatch.length + ' bytes) exceeds the maximum message size (' + maxBatchSizeInBytes + ' bytes)'));
+      return;
+    }
+
+    debug('placing a batch of ' + messages.length + ' messages in the unsent message queue.');
+    /*Codes_SRS_NODE_AMQP_SENDER_LINK_16_029: [While the link isn't attached, the batches passed to the `sendBatch` method shall be queued with the messages passed to the `send` method.]*/
+    this._unsentMessageQueue.push({
+      message: encodedBatch,
+      format: batchMessageFormat,
+      callback: callback
+    });
+    this._fsm.handle('send');
+  }
+
   private _getErrorName(err: any): string {
     if (err) {
       if (err.condition) {
@@ -329,4 +329,40 @@ describe('AmqpMessage', function () {
       assert.isNotOk(convertedMessage.data, 'is undefined');
     });
   });
-});
\ No newline at end of file
+
+  describe('#encodeBatch', function () {
+    /*Tests_SRS_NODE_IOTHUB_AMQPMSG_16_018: [The `encodeBatch` method shall throw a `ReferenceError` if the `amqpMessages` argument is falsy.]*/
+    [undefined, null].forEach(function (badMessages) {
+      it('throws a ReferenceError if amqpMessages is \'' + badMessages + '\'', function () {
+        assert.throws(function () {
+          AmqpMessage.encodeBatch(badMessages);
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_AMQPMSG_16_019: [The `encodeBatch` method shall encode each message, including its properties and application properties, in its own data section of the body of the batched message.]*/
+    /*Tests_SRS_NODE_IOTHUB_AMQPMSG_16_020: [The `encodeBatch` method shall return the encoded batched message as a `Buffer`.]*/
+    it('encodes each message with its own properties in a separate data section', function () {
+      var message1 = new Message('first');
+      message1.messageId = 'id1';
+      message1.properties.add('key1', 'value1');
+      var message2 = new Message('second');
+      message2.messageId = 'id2';
+      message2.properties.add('key2', 'value2');
+
+      var encodedBatch = AmqpMessage.encodeBatch([AmqpMessage.fromMessage(message1), AmqpMessage.fromMessage(message2)]);
+      assert.instanceOf(encodedBatch, Buffer);
+
+      var decodedBatch = rhea.message.decode(encodedBatch);
+      assert.strictEqual(decodedBatch.body.content.length, 2);
+      var decodedMessage1 = rhea.message.decode(decodedBatch.body.content[0]);
+      var decodedMessage2 = rhea.message.decode(decodedBatch.body.content[1]);
+      assert.strictEqual(decodedMessage1.message_id, 'id1');
+      assert.deepEqual(decodedMessage1.application_properties, { key1: 'value1' });
+      assert.strictEqual(decodedMessage1.body.content.toString(), 'first');
+      assert.strictEqual(decodedMessage2.message_id, 'id2');
+      assert.deepEqual(decodedMessage2.application_properties, { key2: 'value2' });
+      assert.strictEqual(decodedMessage2.body.content.toString(), 'second');
+    });
+  });
+});
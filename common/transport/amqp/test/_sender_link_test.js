@@ -3,6 +3,7 @@ var assert = require('chai').assert;
 var sinon = require('sinon');
 var SenderLink = require('../lib/sender_link.js').SenderLink;
 var AmqpMessage = require('../lib/amqp_message.js').AmqpMessage;
+var errors = require('azure-iot-common').errors;
 
 describe('SenderLink', function() {
 
@@ -72,6 +73,57 @@ describe('SenderLink', function() {
     });
   });
 
+  describe('#sendBatch', function() {
+    var fakeRheaLink, fakeRheaSession, fakeContext;
+
+    beforeEach(function () {
+      fakeRheaLink = new EventEmitter();
+      fakeRheaLink.name = 'rheaSenderLink';
+      fakeContext = {sender: fakeRheaLink};
+      fakeRheaLink.send = sinon.stub().callsFake(() => {process.nextTick(() => {fakeRheaLink.emit('accepted', {delivery: {id: 1 }, sender: fakeRheaLink})}); return {id: 1}});
+      fakeRheaLink.sendable = sinon.stub().returns(true);
+      fakeRheaSession = new EventEmitter();
+      fakeRheaSession.open_sender = sinon.stub().callsFake(() => {process.nextTick( () => {fakeRheaLink.emit('sender_open', fakeContext)});return fakeRheaLink;});
+    });
+
+    /*Tests_SRS_NODE_AMQP_SENDER_LINK_16_027: [The `sendBatch` method shall encode the `messages` into a single batched message using `AmqpMessage.encodeBatch`.]*/
+    /*Tests_SRS_NODE_AMQP_SENDER_LINK_16_028: [The `sendBatch` method shall use the link created by the underlying `rhea` to send the encoded batch with the batched message format.]*/
+    /*Tests_SRS_NODE_AMQP_SENDER_LINK_16_029: [While the link isn't attached, the batches passed to the `sendBatch` method shall be queued with the messages passed to the `send` method.]*/
+    it('attaches the link, sends the encoded batch with the batched message format and calls the callback if successful', function(testCallback) {
+      var fakeMessage1 = new AmqpMessage('');
+      fakeMessage1.message_id = 'first';
+      var fakeMessage2 = new AmqpMessage('');
+      fakeMessage2.message_id = 'second';
+      var expectedBatch = AmqpMessage.encodeBatch([fakeMessage1, fakeMessage2]);
+
+      var link = new SenderLink('link', {}, fakeRheaSession);
+      link.sendBatch([fakeMessage1, fakeMessage2], function(err, result) {
+        assert.isNotOk(err, 'error returned');
+        assert(fakeRheaSession.open_sender.calledOnce);
+        assert(fakeRheaLink.send.calledOnce);
+        assert.isTrue(fakeRheaLink.send.args[0][0].equals(expectedBatch));
+        assert.strictEqual(fakeRheaLink.send.args[0][2], 0x80013700);
+        assert.equal(result.constructor.name, 'MessageEnqueued');
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_AMQP_SENDER_LINK_16_030: [If the encoded batch is larger than 256KB, the `sendBatch` method shall call the `callback` with a `MessageTooLargeError` and shall not send the batch.]*/
+    it('calls the callback with a MessageTooLargeError if the encoded batch is larger than 256KB', function(testCallback) {
+      var bigMessage = new AmqpMessage('');
+      bigMessage.body = require('rhea').message.data_section(Buffer.alloc(200 * 1024));
+
+      var link = new SenderLink('link', {}, fakeRheaSession);
+      link.sendBatch([bigMessage, bigMessage], function(err, result) {
+        assert.instanceOf(err, errors.MessageTooLargeError);
+        assert.isUndefined(result);
+        assert(fakeRheaSession.open_sender.notCalled);
+        assert(fakeRheaLink.send.notCalled);
+        testCallback();
+      });
+    });
+  });
+
   describe('#events', function() {
     it('handles the `sendable` event from `rhea`', function(testCallback) {
       var fakeRheaLink = new EventEmitter();
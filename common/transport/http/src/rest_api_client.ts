@@ -3,7 +3,7 @@
 
 'use strict';
 
-import { anHourFromNow, errors, SharedAccessSignature, X509 } from 'azure-iot-common';
+import { anHourFromNow, errors, SharedAccessSignature, X509, RetryOperation, RetryPolicy, NoRetry, parseRetryAfter, TokenCredential, TokenCredentialCache } from 'azure-iot-common';
 import { Http as HttpBase, HttpRequestOptions } from './http';
 import  * as uuid from 'uuid';
 import { ClientRequest } from 'http';
@@ -40,6 +40,10 @@ export class RestApiClient {
   private _config: RestApiClient.TransportConfig;
   private _http: HttpBase;
   private _userAgent: string;
+  private _retryPolicy: RetryPolicy;
+  private _maxOperationTimeout: number = 240000;
+  private _interceptors: RestApiClient.Interceptor[] = [];
+  private _tokenCredentialCache: TokenCredentialCache;
 
   constructor(config: RestApiClient.TransportConfig, userAgent: string, httpRequestBuilder?: HttpBase) {
     /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_001: [The `RestApiClient` constructor shall throw a `ReferenceError` if config is falsy.]*/
@@ -55,6 +59,14 @@ export class RestApiClient {
     /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_003: [The `RestApiClient` constructor shall use `azure-iot-common.Http` as the internal HTTP client if the `httpBase` argument is `undefined`.]*/
     /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_004: [The `RestApiClient` constructor shall use the value of the `httpBase` argument as the internal HTTP client if present.]*/
     this._http = httpRequestBuilder || new HttpBase();
+
+    /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_038: [The `RestApiClient` constructor shall use a `NoRetry` policy so that requests are not retried unless `setRetryPolicy` is called.]*/
+    this._retryPolicy = new NoRetry();
+
+    if (config.tokenCredential) {
+      /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_044: [The `RestApiClient` constructor shall throw a `ReferenceError` if `config.tokenCredential` is specified and `config.tokenScope` is falsy.]*/
+      this._tokenCredentialCache = new TokenCredentialCache(config.tokenCredential, config.tokenScope);
+    }
   }
 
   /**
@@ -139,52 +151,86 @@ export class RestApiClient {
       headers['Content-Length'] = requestBodyStringSizeInBytes;
     }
 
-    const requestCallback = (err, responseBody, response) =>  {
-      debug(method + ' call to ' + path + ' returned ' + (err ? err : 'success'));
-      if (err) {
-        if (response) {
-          /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_010: [If the HTTP request fails with an error code >= 300 the `executeApiCall` method shall translate the HTTP error into a transport-agnostic error using the `translateError` method and call the `done` callback with the resulting error as the only argument.]*/
-          done(RestApiClient.translateError(responseBody, response));
+    const interceptors = this._interceptors;
+    const sendHttpRequest = (requestDone: RestApiClient.ResponseCallback) => {
+      const requestCallback = (err, responseBody, response) =>  {
+        debug(method + ' call to ' + path + ' returned ' + (err ? err : 'success'));
+        if (err) {
+          if (response) {
+            /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_010: [If the HTTP request fails with an error code >= 300 the `executeApiCall` method shall translate the HTTP error into a transport-agnostic error using the `translateError` method and call the `done` callback with the resulting error as the only argument.]*/
+            requestDone(RestApiClient.translateError(responseBody, response));
+          } else {
+            /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_011: [If the HTTP request fails without an HTTP error code the `executeApiCall` shall call the `done` callback with the error itself as the only argument.]*/
+            requestDone(err);
+          }
         } else {
-          /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_011: [If the HTTP request fails without an HTTP error code the `executeApiCall` shall call the `done` callback with the error itself as the only argument.]*/
-          done(err);
+          /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_009: [If the HTTP request is successful the `executeApiCall` method shall parse the JSON response received and call the `done` callback with a `null` first argument, the parsed result as a second argument and the HTTP response object itself as a third argument.]*/
+          const result = responseBody ? JSON.parse(responseBody) : '';
+          requestDone(null, result, response);
         }
-      } else {
-        /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_009: [If the HTTP request is successful the `executeApiCall` method shall parse the JSON response received and call the `done` callback with a `null` first argument, the parsed result as a second argument and the HTTP response object itself as a third argument.]*/
-        const result = responseBody ? JSON.parse(responseBody) : '';
-        done(null, result, response);
-      }
+      };
+
+      /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_043: [The `executeApiCall` method shall pass the request through the interceptors set with `setOptions`, in the order in which they were specified, before sending it, and pass the HTTP response through them in the reverse order before translating or parsing it.]*/
+      const interceptedRequest: RestApiClient.Request = {
+        method: method,
+        path: path,
+        host: this._config.host,
+        headers: RestApiClient._copy(httpHeaders),
+        body: requestBodyString
+      };
+      this._runInterceptors(interceptors, 0, interceptedRequest, (request, httpCallback) => {
+        /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_008: [The `executeApiCall` method shall build the HTTP request using the arguments passed by the caller.]*/
+        let httpRequest: ClientRequest;
+        if (!!this._config.x509) {
+          /* Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_18_002: [ If an `x509` cert was passed into the constructor via the `config` object, `executeApiCall` shall use it to establish the TLS connection. ] */
+           httpRequest = this._http.buildRequest(request.method, request.path, request.headers, request.host, this._config.x509, httpCallback);
+        } else {
+          /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_13_003: [** If `requestOptions` is not falsy then it shall be passed to the `buildRequest` function.*/
+          if (requestOptions) {
+            httpRequest = this._http.buildRequest(
+              request.method, request.path, request.headers, request.host,
+              requestOptions as HttpRequestOptions, httpCallback
+            );
+          } else {
+            httpRequest = this._http.buildRequest(request.method, request.path, request.headers, request.host, httpCallback);
+          }
+        }
+
+        /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_030: [If `timeout` is defined and is not a function, the HTTP request timeout shall be adjusted to match the value of the argument.]*/
+        if (timeout) {
+          httpRequest.setTimeout(timeout as number);
+        }
+
+        debug('sending ' + request.method + ' call to ' + request.path);
+        if (request.body) {
+          debug('with body ' + request.body);
+          httpRequest.write(request.body);
+        }
+
+        httpRequest.end();
+      }, requestCallback);
     };
 
-    /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_008: [The `executeApiCall` method shall build the HTTP request using the arguments passed by the caller.]*/
-    let request: ClientRequest;
-    if (!!this._config.x509) {
-      /* Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_18_002: [ If an `x509` cert was passed into the constructor via the `config` object, `executeApiCall` shall use it to establish the TLS connection. ] */
-       request = this._http.buildRequest(method, path, httpHeaders, this._config.host, this._config.x509, requestCallback);
-    } else {
-      /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_13_003: [** If `requestOptions` is not falsy then it shall be passed to the `buildRequest` function.*/
-      if (requestOptions) {
-        request = this._http.buildRequest(
-          method, path, httpHeaders, this._config.host,
-          requestOptions as HttpRequestOptions, requestCallback
-        );
+    const sendRequest = (requestDone: RestApiClient.ResponseCallback) => {
+      if (this._tokenCredentialCache) {
+        /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_045: [If `config.tokenCredential` is specified, the `executeApiCall` method shall get an access token from it before each attempt, getting a new one 5 minutes before the previous one expires, and set the `Authorization` header to `Bearer <token>`.]*/
+        this._tokenCredentialCache.getToken((err, accessToken) => {
+          if (err) {
+            /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_046: [If the access token cannot be obtained, the `executeApiCall` method shall call the `done` callback with the error without sending the request.]*/
+            requestDone(err);
+          } else {
+            httpHeaders.Authorization = 'Bearer ' + accessToken.token;
+            sendHttpRequest(requestDone);
+          }
+        });
       } else {
-        request = this._http.buildRequest(method, path, httpHeaders, this._config.host, requestCallback);
+        sendHttpRequest(requestDone);
       }
-    }
-
-    /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_030: [If `timeout` is defined and is not a function, the HTTP request timeout shall be adjusted to match the value of the argument.]*/
-    if (timeout) {
-      request.setTimeout(timeout as number);
-    }
-
-    debug('sending ' + method + ' call to ' + path);
-    if (requestBodyString) {
-      debug('with body ' + requestBodyString);
-      request.write(requestBodyString);
-    }
+    };
 
-    request.end();
+    /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_040: [The `executeApiCall` method shall send the request again if it fails and the retry policy set with `setRetryPolicy` allows it, waiting at least the time specified by the `Retry-After` header of the response, if any.]*/
+    const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
+    retryOp.retry(sendRequest, done);
   }
 
   /**
@@ -205,10 +251,59 @@ export class RestApiClient {
 
   /**
    * @private
+   * Sets the options of the HTTP client, and the interceptors that requests and responses go through if `options.interceptors` is specified.
+   *
+   * @param {RestApiClient.Options} options  The options to set.
+   *
+   * @throws {ArgumentError}                 If `options.interceptors` is not an array of functions.
+   */
+  setOptions(options: RestApiClient.Options | any): void {
+    if (options && options.interceptors !== undefined) {
+      /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_041: [The `setOptions` method shall throw an `ArgumentError` if `options.interceptors` is specified and is not an array of functions, and use these interceptors for all subsequent requests otherwise.]*/
+      if (!Array.isArray(options.interceptors) || options.interceptors.some((interceptor) => typeof interceptor !== 'function')) {
+        throw new errors.ArgumentError('options.interceptors must be an array of functions');
+      }
+      this._interceptors = options.interceptors.slice();
+
+      /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_042: [The `setOptions` method shall not pass `options.interceptors` to `this._http.setOptions`, and shall not call it if `interceptors` is the only property of `options`, so that the HTTP options set previously are kept.]*/
+      const httpOptions = RestApiClient._copy(options);
+      delete httpOptions.interceptors;
+      if (Object.keys(httpOptions).length > 0) {
+        this._http.setOptions(httpOptions);
+      }
+    } else {
+      /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_18_003: [ `setOptions` shall call `this._http.setOptions` passing the same parameters ]*/
+      this._http.setOptions(options);
+    }
+  }
+
+  /**
+   * @private
+   * Sets the retry policy used to retry failed requests. Requests are not retried by default.
+   *
+   * @param {RetryPolicy} policy  The retry policy to use for all subsequent requests.
+   *
+   * @throws {ArgumentError}      If the policy object doesn't have a `shouldRetry` and a `nextRetryTimeout` method.
    */
-  setOptions(options: any): void {
-    /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_18_003: [ `setOptions` shall call `this._http.setOptions` passing the same parameters ]*/
-    this._http.setOptions(options);
+  setRetryPolicy(policy: RetryPolicy): void {
+    /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_039: [The `setRetryPolicy` method shall throw an `ArgumentError` if the policy object doesn't have a `shouldRetry` method and a `nextRetryTimeout` method, and use `policy` for all subsequent requests otherwise.]*/
+    if (!policy || typeof policy.shouldRetry !== 'function' || typeof policy.nextRetryTimeout !== 'function') {
+      throw new errors.ArgumentError('A policy object must have a shouldRetry method and a nextRetryTimeout method');
+    }
+    this._retryPolicy = policy;
+  }
+
+  private _runInterceptors(interceptors: RestApiClient.Interceptor[], index: number, request: RestApiClient.Request, send: (request: RestApiClient.Request, done: RestApiClient.ResponseCallback) => void, done: RestApiClient.ResponseCallback): void {
+    if (index < interceptors.length) {
+      try {
+        interceptors[index](request, (nextRequest, nextDone) => this._runInterceptors(interceptors, index + 1, nextRequest, send, nextDone), done);
+      } catch (err) {
+        /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_047: [The `executeApiCall` method shall call the `done` callback with the error thrown by an interceptor without sending the request, whether it is the first attempt or a retry.]*/
+        done(err);
+      }
+    } else {
+      send(request, done);
+    }
   }
 
   /**
@@ -270,6 +365,8 @@ export class RestApiClient {
       case 429:
         /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_022: [`translateError` shall return an `ThrottlingError` if the HTTP response status code is `429`.]*/
         error = new errors.ThrottlingError(message);
+        /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_037: [`translateError` shall set the `retryAfterInMs` property of the `ThrottlingError` and `ServiceUnavailableError` errors to the value of the `Retry-After` header of the response converted to milliseconds, if present.]*/
+        (error as errors.ThrottlingError).retryAfterInMs = RestApiClient._getRetryAfter(response);
         break;
       case 500:
         /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_023: [`translateError` shall return an `InternalServerError` if the HTTP response status code is `500`.]*/
@@ -282,6 +379,8 @@ export class RestApiClient {
       case 503:
         /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_025: [`translateError` shall return an `ServiceUnavailableError` if the HTTP response status code is `503`.]*/
         error = new errors.ServiceUnavailableError(message);
+        /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_037: [`translateError` shall set the `retryAfterInMs` property of the `ThrottlingError` and `ServiceUnavailableError` errors to the value of the `Retry-After` header of the response converted to milliseconds, if present.]*/
+        (error as errors.ServiceUnavailableError).retryAfterInMs = RestApiClient._getRetryAfter(response);
         break;
       case 504:
         /*Codes_SRS_NODE_IOTHUB_REST_API_CLIENT_16_026: [`translateError` shall return a `GatewayTimeoutError` if the HTTP response status code is `504`.]*/
@@ -296,6 +395,16 @@ export class RestApiClient {
     error.responseBody = body;
     return error;
   }
+
+  private static _copy(source: { [key: string]: any }): { [key: string]: any } {
+    const copy = {};
+    Object.keys(source).forEach((key) => copy[key] = source[key]);
+    return copy;
+  }
+
+  private static _getRetryAfter(response: any): number {
+    return response.headers ? parseRetryAfter(response.headers['retry-after']) : undefined;
+  }
 }
 
 export namespace RestApiClient {
@@ -303,7 +412,46 @@ export namespace RestApiClient {
         host: string | { socketPath: string };
         sharedAccessSignature?: string | SharedAccessSignature;
         x509?: X509;
+        /**
+         * Credential used to get the Azure Active Directory access tokens sent in the `Authorization` header, instead of a shared access signature.
+         */
+        tokenCredential?: TokenCredential;
+        /**
+         * Scopes requested from `tokenCredential`.
+         */
+        tokenScope?: string | string[];
     }
 
     export type ResponseCallback = (err: Error, responseBody?: any, response?: any) => void;
+
+    /**
+     * Request going through the interceptors. Interceptors can change any of its properties.
+     * An interceptor that changes the `body` must also update the `Content-Length` header.
+     */
+    export interface Request {
+        method: HttpMethodVerb;
+        path: string;
+        host: string | { socketPath: string };
+        headers: { [key: string]: any };
+        body?: string;
+    }
+
+    /**
+     * Function that a request goes through before it is sent, and whose `done` callback receives the raw HTTP response
+     * (the error, the response body as a string and the `IncomingMessage`) before it is translated and parsed.
+     * The interceptor calls `next` to pass the (possibly modified) request to the next interceptor, and may wrap `done` to inspect the response.
+     * It may also call `done` without calling `next` to answer the request itself.
+     */
+    export type Interceptor = (request: Request, next: (request: Request, done: ResponseCallback) => void, done: ResponseCallback) => void;
+
+    export interface Options {
+        /**
+         * Interceptors that every request and response go through, the first one being the outermost.
+         */
+        interceptors?: Interceptor[];
+        http?: {
+            agent?: any;
+        };
+        ca?: string;
+    }
 }
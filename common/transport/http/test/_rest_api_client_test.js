@@ -67,6 +67,15 @@ describe('RestApiClient', function() {
       var client = new RestApiClient(fakeConfig, fakeAgent, fakeHttpBase);
       client.executeApiCall('method', 'path', null, null, function() {});
     });
+
+    /*Tests_SRS_NODE_IOTHUB_REST_API_CLIENT_16_044: [The `RestApiClient` constructor shall throw a `ReferenceError` if `config.tokenCredential` is specified and `config.tokenScope` is falsy.]*/
+    [undefined, null, ''].forEach(function(badScope) {
+      it('throws a ReferenceError if config.tokenCredential is specified and config.tokenScope is \'' + badScope + '\'', function() {
+        assert.throws(function() {
+          return new RestApiClient({ host: 'host', tokenCredential: { getToken: function() {} }, tokenScope: badScope }, fakeAgent);
+        }, ReferenceError);
+      });
+    });
   });
 
   describe('#executeApiCall', function() {
@@ -503,6 +512,84 @@ describe('RestApiClient', function() {
         client.executeApiCall('GET', '/test/path', testHeaders, testRequestBody, testCallback);
       });
     });
+
+    describe('retries', function() {
+      var clock;
+
+      beforeEach(function() {
+        clock = sinon.useFakeTimers();
+      });
+
+      afterEach(function() {
+        clock.restore();
+      });
+
+      var makeFakeHttpHelper = function(responses) {
+        return {
+          buildRequest: sinon.spy(function(method, path, headers, host, requestCallback) {
+            var response = responses.shift();
+            return {
+              write: function() {},
+              end: function() {
+                if (response.statusCode < 300) {
+                  requestCallback(null, response.body, response);
+                } else {
+                  requestCallback(new Error(response.statusMessage), response.body, response);
+                }
+              }
+            };
+          })
+        };
+      };
+
+      /*Tests_SRS_NODE_IOTHUB_REST_API_CLIENT_16_038: [The `RestApiClient` constructor shall use a `NoRetry` policy so that requests are not retried unless `setRetryPolicy` is called.]*/
+      it('does not retry failed requests by default', function(testCallback) {
+        var fakeHttpHelper = makeFakeHttpHelper([
+          { statusCode: 503, statusMessage: 'Server Unavailable', headers: { 'retry-after': '1' }, body: '' },
+          { statusCode: 200, body: '' }
+        ]);
+        var client = new RestApiClient(fakeConfig, fakeAgent, fakeHttpHelper);
+        client.executeApiCall('GET', '/test/path', {}, null, function(err) {
+          assert.instanceOf(err, errors.ServiceUnavailableError);
+          assert.isTrue(fakeHttpHelper.buildRequest.calledOnce);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_IOTHUB_REST_API_CLIENT_16_040: [The `executeApiCall` method shall send the request again if it fails and the retry policy set with `setRetryPolicy` allows it, waiting at least the time specified by the `Retry-After` header of the response, if any.]*/
+      it('retries a throttled request after the time specified by the Retry-After header', function(testCallback) {
+        var fakeHttpHelper = makeFakeHttpHelper([
+          { statusCode: 429, statusMessage: 'Too many requests', headers: { 'retry-after': '10' }, body: '' },
+          { statusCode: 200, body: '{"key":"value"}' }
+        ]);
+        var client = new RestApiClient(fakeConfig, fakeAgent, fakeHttpHelper);
+        client.setRetryPolicy({ shouldRetry: function() { return true; }, nextRetryTimeout: function() { return 100; } });
+        client.executeApiCall('GET', '/test/path', {}, null, function(err, result) {
+          assert.isNull(err);
+          assert.deepEqual(result, { key: 'value' });
+          assert.isTrue(fakeHttpHelper.buildRequest.calledTwice);
+          testCallback();
+        });
+        clock.tick(9999);
+        assert.isTrue(fakeHttpHelper.buildRequest.calledOnce);
+        clock.tick(1);
+      });
+
+      it('calls the callback with the last error if the retry policy stops retrying', function(testCallback) {
+        var fakeHttpHelper = makeFakeHttpHelper([
+          { statusCode: 500, statusMessage: 'Internal Server Error', body: '' },
+          { statusCode: 400, statusMessage: 'Bad request', body: '' }
+        ]);
+        var client = new RestApiClient(fakeConfig, fakeAgent, fakeHttpHelper);
+        client.setRetryPolicy({ shouldRetry: function(err) { return err instanceof errors.InternalServerError; }, nextRetryTimeout: function() { return 100; } });
+        client.executeApiCall('GET', '/test/path', {}, null, function(err) {
+          assert.instanceOf(err, errors.ArgumentError);
+          assert.isTrue(fakeHttpHelper.buildRequest.calledTwice);
+          testCallback();
+        });
+        clock.tick(100);
+      });
+    });
   });
 
   describe('#updateSharedAccessSignature', function() {
@@ -599,6 +686,28 @@ describe('RestApiClient', function() {
         assert.equal(err.response, fakeReponse);
       });
     });
+
+    /*Tests_SRS_NODE_IOTHUB_REST_API_CLIENT_16_037: [`translateError` shall set the `retryAfterInMs` property of the `ThrottlingError` and `ServiceUnavailableError` errors to the value of the `Retry-After` header of the response converted to milliseconds, if present.]*/
+    [
+      { statusCode: 429, statusMessage: 'Too many requests', expectedErrorType: errors.ThrottlingError },
+      { statusCode: 503, statusMessage: 'Server Unavailable', expectedErrorType: errors.ServiceUnavailableError }
+    ].forEach(function(testParams) {
+      it('sets the retryAfterInMs property of the \'' + testParams.expectedErrorType.name + '\' if the response has a Retry-After header', function() {
+        var fakeResponse = {
+          statusCode: testParams.statusCode,
+          statusMessage: testParams.statusMessage,
+          headers: { 'retry-after': '30' }
+        };
+        var err = RestApiClient.translateError('', fakeResponse);
+        assert.instanceOf(err, testParams.expectedErrorType);
+        assert.strictEqual(err.retryAfterInMs, 30000);
+      });
+
+      it('does not set the retryAfterInMs property of the \'' + testParams.expectedErrorType.name + '\' if the response has no Retry-After header', function() {
+        var err = RestApiClient.translateError('', { statusCode: testParams.statusCode, statusMessage: testParams.statusMessage, headers: {} });
+        assert.isUndefined(err.retryAfterInMs);
+      });
+    });
   });
 
   describe('#setOptions', function() {
@@ -612,5 +721,276 @@ describe('RestApiClient', function() {
       callback();
     });
 
+    /*Tests_SRS_NODE_IOTHUB_REST_API_CLIENT_16_041: [The `setOptions` method shall throw an `ArgumentError` if `options.interceptors` is specified and is not an array of functions, and use these interceptors for all subsequent requests otherwise.]*/
+    [
+      { description: 'not an array', interceptors: function() {} },
+      { description: 'null', interceptors: null },
+      { description: 'an array containing something else than functions', interceptors: [function() {}, 'foo'] }
+    ].forEach(function(testConfig) {
+      it('throws an ArgumentError if options.interceptors is ' + testConfig.description, function() {
+        var client = new RestApiClient(fakeConfig, fakeAgent, { setOptions: sinon.stub() });
+        assert.throws(function() {
+          client.setOptions({ interceptors: testConfig.interceptors });
+        }, errors.ArgumentError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_REST_API_CLIENT_16_042: [The `setOptions` method shall not pass `options.interceptors` to `this._http.setOptions`, and shall not call it if `interceptors` is the only property of `options`, so that the HTTP options set previously are kept.]*/
+    it('does not call setOptions on the HTTP client if interceptors are the only options', function() {
+      var fakeHttpRequestBuilder = { setOptions: sinon.stub() };
+      var client = new RestApiClient(fakeConfig, fakeAgent, fakeHttpRequestBuilder);
+      client.setOptions({ interceptors: [] });
+      assert.isTrue(fakeHttpRequestBuilder.setOptions.notCalled);
+    });
+
+    it('passes the other options down without the interceptors', function() {
+      var fakeHttpRequestBuilder = { setOptions: sinon.stub() };
+      var fakeHttpOptions = { agent: '__FAKE_AGENT__' };
+      var client = new RestApiClient(fakeConfig, fakeAgent, fakeHttpRequestBuilder);
+      client.setOptions({ http: fakeHttpOptions, interceptors: [] });
+      assert.isTrue(fakeHttpRequestBuilder.setOptions.calledOnce);
+      assert.deepEqual(fakeHttpRequestBuilder.setOptions.args[0][0], { http: fakeHttpOptions });
+    });
+  });
+
+  describe('interceptors', function() {
+    var makeFakeHttpHelper = function(statusCode, responseBody) {
+      return {
+        setOptions: sinon.stub(),
+        buildRequest: sinon.spy(function(method, path, headers, host, requestCallback) {
+          return {
+            write: sinon.stub(),
+            end: function() {
+              var response = { statusCode: statusCode, headers: {} };
+              if (statusCode < 300) {
+                requestCallback(null, responseBody, response);
+              } else {
+                requestCallback(new Error('fake error'), responseBody, response);
+              }
+            }
+          };
+        })
+      };
+    };
+
+    /*Tests_SRS_NODE_IOTHUB_REST_API_CLIENT_16_043: [The `executeApiCall` method shall pass the request through the interceptors set with `setOptions`, in the order in which they were specified, before sending it, and pass the HTTP response through them in the reverse order before translating or parsing it.]*/
+    it('sends the request changed by the interceptors', function(testCallback) {
+      var fakeHttpHelper = makeFakeHttpHelper(200, '{"key":"value"}');
+      var client = new RestApiClient(fakeConfig, fakeAgent, fakeHttpHelper);
+      client.setOptions({
+        interceptors: [
+          function(request, next, done) {
+            assert.strictEqual(request.method, 'POST');
+            assert.strictEqual(request.path, '/test/path');
+            assert.strictEqual(request.host, fakeConfig.host);
+            assert.strictEqual(request.headers.Authorization, fakeConfig.sharedAccessSignature);
+            assert.strictEqual(request.body, '{"foo":"bar"}');
+            request.headers['x-correlation-id'] = 'fakeCorrelationId';
+            next(request, done);
+          },
+          function(request, next, done) {
+            request.headers.Authorization = 'Bearer fakeToken';
+            request.path = '/changed/path';
+            next(request, done);
+          }
+        ]
+      });
+      client.executeApiCall('POST', '/test/path', { 'Content-Type': 'application/json; charset=utf-8' }, { foo: 'bar' }, function(err, result) {
+        assert.isNull(err);
+        assert.deepEqual(result, { key: 'value' });
+        var args = fakeHttpHelper.buildRequest.args[0];
+        assert.strictEqual(args[1], '/changed/path');
+        assert.strictEqual(args[2]['x-correlation-id'], 'fakeCorrelationId');
+        assert.strictEqual(args[2].Authorization, 'Bearer fakeToken');
+        testCallback();
+      });
+    });
+
+    it('passes the raw response through the interceptors in reverse order', function(testCallback) {
+      var fakeHttpHelper = makeFakeHttpHelper(404, '{"Message":"ErrorCode:DeviceNotFound;fake"}');
+      var calls = [];
+      var makeInterceptor = function(name) {
+        return function(request, next, done) {
+          calls.push(name + ':request');
+          next(request, function(err, responseBody, response) {
+            calls.push(name + ':response');
+            assert.strictEqual(response.statusCode, 404);
+            assert.strictEqual(responseBody, '{"Message":"ErrorCode:DeviceNotFound;fake"}');
+            done(err, responseBody, response);
+          });
+        };
+      };
+      var client = new RestApiClient(fakeConfig, fakeAgent, fakeHttpHelper);
+      client.setOptions({ interceptors: [makeInterceptor('first'), makeInterceptor('second')] });
+      client.executeApiCall('GET', '/test/path', {}, null, function(err) {
+        assert.instanceOf(err, errors.DeviceNotFoundError);
+        assert.deepEqual(calls, ['first:request', 'second:request', 'second:response', 'first:response']);
+        testCallback();
+      });
+    });
+
+    it('lets an interceptor answer the request without sending it', function(testCallback) {
+      var fakeHttpHelper = makeFakeHttpHelper(200, '');
+      var client = new RestApiClient(fakeConfig, fakeAgent, fakeHttpHelper);
+      client.setOptions({
+        interceptors: [
+          function(request, next, done) {
+            done(null, '{"cached":true}', { statusCode: 200 });
+          }
+        ]
+      });
+      client.executeApiCall('GET', '/test/path', {}, null, function(err, result) {
+        assert.isNull(err);
+        assert.deepEqual(result, { cached: true });
+        assert.isTrue(fakeHttpHelper.buildRequest.notCalled);
+        testCallback();
+      });
+    });
+
+    it('calls the interceptors again when the request is retried', function(testCallback) {
+      var fakeHttpHelper = makeFakeHttpHelper(503, '');
+      var interceptor = sinon.spy(function(request, next, done) {
+        assert.isUndefined(request.headers['x-attempt']);
+        request.headers['x-attempt'] = 'set';
+        next(request, done);
+      });
+      var client = new RestApiClient(fakeConfig, fakeAgent, fakeHttpHelper);
+      client.setOptions({ interceptors: [interceptor] });
+      client.setRetryPolicy({
+        shouldRetry: function() { return true; },
+        nextRetryTimeout: function(retryCount) { return retryCount < 2 ? 0 : -1; }
+      });
+      client.executeApiCall('GET', '/test/path', {}, null, function(err) {
+        assert.instanceOf(err, errors.ServiceUnavailableError);
+        assert.isTrue(interceptor.calledTwice);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_REST_API_CLIENT_16_047: [The `executeApiCall` method shall call the `done` callback with the error thrown by an interceptor without sending the request, whether it is the first attempt or a retry.]*/
+    it('calls the callback with the error thrown by an interceptor on the first attempt', function(testCallback) {
+      var fakeError = new Error('fake');
+      var fakeHttpHelper = makeFakeHttpHelper(200, '');
+      var client = new RestApiClient(fakeConfig, fakeAgent, fakeHttpHelper);
+      client.setOptions({ interceptors: [function() { throw fakeError; }] });
+      client.executeApiCall('GET', '/test/path', {}, null, function(err) {
+        assert.strictEqual(err, fakeError);
+        assert.isTrue(fakeHttpHelper.buildRequest.notCalled);
+        testCallback();
+      });
+    });
+
+    it('calls the callback with the error thrown by an interceptor when the request is retried', function(testCallback) {
+      var fakeError = new Error('fake');
+      var fakeHttpHelper = makeFakeHttpHelper(503, '');
+      var interceptor = sinon.spy(function(request, next, done) {
+        if (interceptor.calledOnce) {
+          next(request, done);
+        } else {
+          throw fakeError;
+        }
+      });
+      var client = new RestApiClient(fakeConfig, fakeAgent, fakeHttpHelper);
+      client.setOptions({ interceptors: [interceptor] });
+      client.setRetryPolicy({
+        shouldRetry: function(err) { return err instanceof errors.ServiceUnavailableError; },
+        nextRetryTimeout: function() { return 0; }
+      });
+      client.executeApiCall('GET', '/test/path', {}, null, function(err) {
+        assert.strictEqual(err, fakeError);
+        assert.isTrue(interceptor.calledTwice);
+        assert.isTrue(fakeHttpHelper.buildRequest.calledOnce);
+        testCallback();
+      });
+    });
+
+  });
+
+  describe('token credential', function() {
+    var makeFakeHttpHelper = function(responses) {
+      return {
+        buildRequest: sinon.spy(function(method, path, headers, host, requestCallback) {
+          var response = responses.shift();
+          return {
+            write: sinon.stub(),
+            end: function() {
+              if (response.statusCode < 300) {
+                requestCallback(null, response.body, response);
+              } else {
+                requestCallback(new Error(response.statusMessage), response.body, response);
+              }
+            }
+          };
+        })
+      };
+    };
+
+    var makeTokenConfig = function(credential) {
+      return { host: 'host', tokenCredential: credential, tokenScope: 'https://fake.scope/.default' };
+    };
+
+    /*Tests_SRS_NODE_IOTHUB_REST_API_CLIENT_16_045: [If `config.tokenCredential` is specified, the `executeApiCall` method shall get an access token from it before each attempt, getting a new one 5 minutes before the previous one expires, and set the `Authorization` header to `Bearer <token>`.]*/
+    it('sets the Authorization header to the access token returned by the credential', function(testCallback) {
+      var fakeCredential = { getToken: sinon.stub().resolves({ token: 'fakeToken', expiresOnTimestamp: Date.now() + 3600000 }) };
+      var fakeHttpHelper = makeFakeHttpHelper([{ statusCode: 200, body: '' }, { statusCode: 200, body: '' }]);
+      var client = new RestApiClient(makeTokenConfig(fakeCredential), fakeAgent, fakeHttpHelper);
+      client.executeApiCall('GET', '/test/path', {}, null, function(err) {
+        assert.isNull(err);
+        assert.isTrue(fakeCredential.getToken.calledWith('https://fake.scope/.default'));
+        assert.strictEqual(fakeHttpHelper.buildRequest.args[0][2].Authorization, 'Bearer fakeToken');
+        client.executeApiCall('GET', '/test/path', {}, null, function(err) {
+          assert.isNull(err);
+          assert.isTrue(fakeCredential.getToken.calledOnce);
+          assert.strictEqual(fakeHttpHelper.buildRequest.args[1][2].Authorization, 'Bearer fakeToken');
+          testCallback();
+        });
+      });
+    });
+
+    it('gets a new access token when the previous one is about to expire', function(testCallback) {
+      var fakeCredential = { getToken: sinon.stub() };
+      fakeCredential.getToken.onFirstCall().resolves({ token: 'expiringToken', expiresOnTimestamp: Date.now() + 60000 });
+      fakeCredential.getToken.onSecondCall().resolves({ token: 'newToken', expiresOnTimestamp: Date.now() + 3600000 });
+      var fakeHttpHelper = makeFakeHttpHelper([{ statusCode: 200, body: '' }, { statusCode: 200, body: '' }]);
+      var client = new RestApiClient(makeTokenConfig(fakeCredential), fakeAgent, fakeHttpHelper);
+      client.executeApiCall('GET', '/test/path', {}, null, function() {
+        client.executeApiCall('GET', '/test/path', {}, null, function(err) {
+          assert.isNull(err);
+          assert.isTrue(fakeCredential.getToken.calledTwice);
+          assert.strictEqual(fakeHttpHelper.buildRequest.args[1][2].Authorization, 'Bearer newToken');
+          testCallback();
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_REST_API_CLIENT_16_046: [If the access token cannot be obtained, the `executeApiCall` method shall call the `done` callback with the error without sending the request.]*/
+    it('calls the callback with the error if the credential fails', function(testCallback) {
+      var fakeError = new Error('fake');
+      var fakeHttpHelper = makeFakeHttpHelper([{ statusCode: 200, body: '' }]);
+      var client = new RestApiClient(makeTokenConfig({ getToken: sinon.stub().rejects(fakeError) }), fakeAgent, fakeHttpHelper);
+      client.executeApiCall('GET', '/test/path', {}, null, function(err) {
+        assert.strictEqual(err, fakeError);
+        assert.isTrue(fakeHttpHelper.buildRequest.notCalled);
+        testCallback();
+      });
+    });
+  });
+
+  describe('#setRetryPolicy', function() {
+    /*Tests_SRS_NODE_IOTHUB_REST_API_CLIENT_16_039: [The `setRetryPolicy` method shall throw an `ArgumentError` if the policy object doesn't have a `shouldRetry` method and a `nextRetryTimeout` method, and use `policy` for all subsequent requests otherwise.]*/
+    [
+      { description: 'undefined', policy: undefined },
+      { description: 'null', policy: null },
+      { description: 'an empty object', policy: {} },
+      { description: 'missing a nextRetryTimeout method', policy: { shouldRetry: function() {} } },
+      { description: 'missing a shouldRetry method', policy: { nextRetryTimeout: function() {} } }
+    ].forEach(function(testConfig) {
+      it('throws an ArgumentError if the policy is ' + testConfig.description, function() {
+        var client = new RestApiClient(fakeConfig, fakeAgent, {});
+        assert.throws(function() {
+          client.setRetryPolicy(testConfig.policy);
+        }, errors.ArgumentError);
+      });
+    });
   });
-});
\ No newline at end of file
+});
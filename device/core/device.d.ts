@@ -14,4 +14,8 @@ export { EdgedAuthConfig, IotEdgeAuthenticationProvider } from './lib/iotedge_au
 export { Twin, TwinProperties } from './lib/twin';
 export { DeviceClientOptions, HttpReceiverOptions, AmqpTransportOptions, HttpTransportOptions, MqttTransportOptions } from './lib/interfaces';
 export { getUserAgentString } from './lib/utils';
+export { ConnectionState, ConnectionStateChange, ConnectionStateChangeReason } from './lib/connection_state';
+export { BlobUploadOptions, BlobUploadProgress } from './lib/blob_upload';
+export { MessageStore, QueuedMessage, InMemoryMessageStore, FileMessageStore, OfflineQueueOptions, MessageDropReason } from './lib/offline_queue';
+export { FirmwareUpdateAgent, FirmwareUpdateAgentOptions, FirmwareUpdateHandlers, FirmwareUpdateRequest, FirmwareUpdateState, FirmwareUpdateStatus, FirmwareUpdateStateStore, InMemoryFirmwareUpdateStateStore, FileFirmwareUpdateStateStore } from './lib/firmware_update';
 export { MethodMessage, DeviceTransport } from './lib/internal_client'
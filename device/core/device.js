@@ -56,5 +56,10 @@ module.exports = {
   SharedAccessKeyAuthenticationProvider: require('./lib/sak_authentication_provider').SharedAccessKeyAuthenticationProvider,
   Twin: require('./lib/twin').Twin,
   TwinProperties: require('./lib/twin').TwinProperties,
-  getUserAgentString: require('./lib/utils').getUserAgentString
+  getUserAgentString: require('./lib/utils').getUserAgentString,
+  InMemoryMessageStore: require('./lib/offline_queue').InMemoryMessageStore,
+  FileMessageStore: require('./lib/offline_queue').FileMessageStore,
+  FirmwareUpdateAgent: require('./lib/firmware_update').FirmwareUpdateAgent,
+  InMemoryFirmwareUpdateStateStore: require('./lib/firmware_update').InMemoryFirmwareUpdateStateStore,
+  FileFirmwareUpdateStateStore: require('./lib/firmware_update').FileFirmwareUpdateStateStore
 };
\ No newline at end of file
@@ -4,7 +4,7 @@
 'use strict';
 
 import { Stream } from 'stream';
-import { AuthenticationProvider } from 'azure-iot-common';
+import { AuthenticationProvider, AbortSignalLike, errors as commonErrors } from 'azure-iot-common';
 
 import { BlobUploadResult } from './blob_upload_result';
 import { BlobUploader as DefaultBlobUploader } from './blob_uploader';
@@ -23,6 +23,54 @@ export interface UploadParams {
     correlationId: string;
 }
 
+/**
+ * Progress of a blob upload, as passed to the `onProgress` option of {@link azure-iot-device.Client.uploadToBlob}.
+ */
+export interface BlobUploadProgress {
+  /**
+   * Number of bytes of the stream that have been uploaded so far.
+   */
+  uploadedBytes: number;
+  /**
+   * Total number of bytes to upload.
+   */
+  totalBytes: number;
+}
+
+/**
+ * Options of {@link azure-iot-device.Client.uploadToBlob}.
+ */
+export interface BlobUploadOptions {
+  /**
+   * Size of the blocks the stream is split into, in bytes. Defaults to 4 MiB, cannot exceed 100 MiB.
+   */
+  blockSizeInBytes?: number;
+  /**
+   * Maximum number of blocks uploaded at the same time. Defaults to 2.
+   */
+  parallelism?: number;
+  /**
+   * Function called with the progress of the upload every time a block has been uploaded.
+   */
+  onProgress?: (progress: BlobUploadProgress) => void;
+  /**
+   * Signal used to abort the upload. The upload stops before the next block and fails with an `OperationCancelledError`.
+   */
+  abortSignal?: AbortSignalLike;
+  /**
+   * MIME content type of the blob. Storage uses `application/octet-stream` if not specified.
+   */
+  contentType?: string;
+  /**
+   * Content encodings that have been applied to the content of the blob, such as `gzip`.
+   */
+  contentEncoding?: string;
+  /**
+   * Custom metadata of the blob. Names must be valid C# identifiers and values must be strings.
+   */
+  metadata?: { [name: string]: string };
+}
+
 /**
  * @private
  */
@@ -35,14 +83,14 @@ export interface FileUpload {
  * @private
  */
 export interface BlobUploader {
-  uploadToBlob(uploadParams: UploadParams, stream: Stream, streamLength: number, done: (err: Error, body?: any, result?: { statusCode: number, body: string }) => void): void;
+  uploadToBlob(uploadParams: UploadParams, stream: Stream, streamLength: number, options: BlobUploadOptions, done: (err: Error, body?: any, result?: { statusCode: number, body: string }) => void): void;
 }
 
 /**
  * @private
  */
 export interface BlobUpload {
-  uploadToBlob(blobName: string, stream: Stream, streamLength: number, done: (err?: Error) => void): void;
+  uploadToBlob(blobName: string, stream: Stream, streamLength: number, options: BlobUploadOptions, done: (err?: Error) => void): void;
 }
 
 /**
@@ -65,7 +113,17 @@ export class BlobUploadClient implements BlobUpload {
     this._blobUploader = blobUploader ? blobUploader : new DefaultBlobUploader();
   }
 
-  uploadToBlob(blobName: string, stream: Stream, streamLength: number, done: (err?: Error) => void): void {
+  uploadToBlob(blobName: string, stream: Stream, streamLength: number, done: (err?: Error) => void): void;
+  uploadToBlob(blobName: string, stream: Stream, streamLength: number, options: BlobUploadOptions, done: (err?: Error) => void): void;
+  uploadToBlob(blobName: string, stream: Stream, streamLength: number, optionsOrDone: BlobUploadOptions | ((err?: Error) => void), done?: (err?: Error) => void): void {
+    let options: BlobUploadOptions;
+    if (typeof optionsOrDone === 'function') {
+      options = {};
+      done = optionsOrDone;
+    } else {
+      options = optionsOrDone || {};
+    }
+
     /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_CLIENT_16_004: [`uploadToBlob` shall obtain a blob SAS token using the IoT Hub service file upload API endpoint.]*/
     this._fileUploadApi.getBlobSharedAccessSignature(blobName, (err, uploadParams) => {
       if (err) {
@@ -74,9 +132,9 @@ export class BlobUploadClient implements BlobUpload {
         error.innerError = err;
         done(error);
       } else {
-        /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_CLIENT_16_006: [`uploadToBlob` shall upload the stream to the specified blob using its BlobUploader instance.]*/
-        this._blobUploader.uploadToBlob(uploadParams, stream, streamLength, (err, body, result) => {
-          const uploadResult = BlobUploadResult.fromAzureStorageCallbackArgs(err, body, result);
+        /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_CLIENT_16_006: [`uploadToBlob` shall upload the stream to the specified blob using its BlobUploader instance, with the `options` passed as argument.]*/
+        this._blobUploader.uploadToBlob(uploadParams, stream, streamLength, options, (uploadErr, body, result) => {
+          const uploadResult = BlobUploadResult.fromAzureStorageCallbackArgs(uploadErr, body, result);
           /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_CLIENT_16_008: [`uploadToBlob` shall notify the result of a blob upload to the IoT Hub service using the file upload API endpoint.]*/
           this._fileUploadApi.notifyUploadComplete(uploadParams.correlationId, uploadResult, (err) => {
             if (err) {
@@ -84,6 +142,9 @@ export class BlobUploadClient implements BlobUpload {
               let error = new errors.BlobUploadNotificationError('Could not notify the IoT Hub of the file upload completion.');
               error.innerError = err;
               done(error);
+            } else if (uploadErr instanceof commonErrors.OperationCancelledError) {
+              /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_CLIENT_16_011: [`uploadToBlob` shall call the `done` callback with the `OperationCancelledError` of the `BlobUploader` once IoT Hub has been notified of the failed upload if the upload was aborted.]*/
+              done(uploadErr);
             } else {
               /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_CLIENT_16_010: [`uploadToBlob` shall call the `done` callback with no arguments if IoT Hub was successfully notified of the blob upload outcome, regardless of the success state of the transfer itself.]*/
               done();
@@ -3,22 +3,283 @@
 
 'use strict';
 
-import { Stream } from 'stream';
-import { errors } from 'azure-iot-common';
-import { UploadParams, BlobUploader as BlobUploaderInterface } from './blob_upload_client';
+import { Stream, Readable } from 'stream';
+import * as querystring from 'querystring';
+import * as dbg from 'debug';
+const debug = dbg('azure-iot-device:BlobUploader');
+
+import { errors, RetryOperation, RetryPolicy, NoRetry, ExponentialBackOffWithJitter } from 'azure-iot-common';
+import { UploadParams, BlobUploadOptions, BlobUploader as BlobUploaderInterface } from './blob_upload_client';
+
+/**
+ * @private
+ */
+export interface StorageResponse {
+  statusCode: number;
+  body: string;
+}
 
 /**
  * @private
  */
 export interface BlobService {
-    createBlockBlobFromStream(containerName: string, blobName: string, stream: Stream, streamLength: number, done: (err: Error, body?: any, result?: { statusCode: number, body: string }) => void): void;
+  createBlockFromText(blockId: string, containerName: string, blobName: string, content: Buffer, options: any, done: (err: Error, response?: StorageResponse) => void): void;
+  commitBlocks(containerName: string, blobName: string, blockList: { LatestBlocks: string[] }, options: any, done: (err: Error, body?: any, result?: StorageResponse) => void): void;
 }
 
 /**
  * @private
  */
 export interface StorageApi {
-    createBlobServiceWithSas(hostName: string, sasToken: string): BlobService;
+  createBlobServiceWithSas(hostName: string, sasToken: string): BlobService;
+}
+
+/**
+ * @private
+ */
+export const DEFAULT_BLOCK_SIZE_IN_BYTES = 4 * 1024 * 1024;
+/**
+ * @private
+ */
+export const MAX_BLOCK_SIZE_IN_BYTES = 100 * 1024 * 1024;
+/**
+ * @private
+ */
+export const MAX_BLOCK_COUNT = 50000;
+/**
+ * @private
+ */
+export const DEFAULT_PARALLELISM = 2;
+
+/**
+ * @private
+ * Retries the storage requests that failed because of the network or of a transient server error.
+ * Authentication and other client errors (such as an expired SAS token) are not retried.
+ */
+export class BlobStorageRetryPolicy implements RetryPolicy {
+  private _backOff: ExponentialBackOffWithJitter = new ExponentialBackOffWithJitter();
+
+  shouldRetry(err: Error): boolean {
+    if (err instanceof errors.OperationCancelledError) {
+      return false;
+    }
+    const statusCode = (err as any).statusCode;
+    return !statusCode || statusCode === 408 || statusCode >= 500;
+  }
+
+  nextRetryTimeout(retryCount: number, isThrottled: boolean): number {
+    return this._backOff.nextRetryTimeout(retryCount, isThrottled);
+  }
+}
+
+interface Block {
+  id: string;
+  content: Buffer;
+}
+
+type UploadCallback = (err: Error, body?: any, result?: StorageResponse) => void;
+
+/**
+ * Splits a stream into blocks, uploads them and commits the block list. One instance is used per upload.
+ */
+class BlockBlobUpload {
+  private _blockIds: string[] = [];
+  private _readyBlocks: Block[] = [];
+  private _bufferedChunks: Buffer[] = [];
+  private _bufferedLength: number = 0;
+  private _blocksInFlight: number = 0;
+  private _uploadedBytes: number = 0;
+  private _streamEnded: boolean = false;
+  private _finished: boolean = false;
+  private _blockSize: number;
+  private _parallelism: number;
+  private _sasExpiry: number;
+  private _done: UploadCallback;
+  private _onData: (chunk: Buffer | string) => void;
+  private _onEnd: () => void;
+  private _onError: (err: Error) => void;
+
+  constructor(private _blobService: BlobService, private _blobInfo: UploadParams, private _stream: Readable, private _streamLength: number, private _options: BlobUploadOptions, private _retryPolicy: RetryPolicy) {
+    this._blockSize = _options.blockSizeInBytes || DEFAULT_BLOCK_SIZE_IN_BYTES;
+    this._parallelism = _options.parallelism || DEFAULT_PARALLELISM;
+    this._sasExpiry = BlockBlobUpload._getSasExpiry(_blobInfo.sasToken);
+    this._onData = (chunk) => this._bufferChunk(typeof chunk === 'string' ? new Buffer(chunk) : chunk);
+    this._onEnd = () => this._endStream();
+    /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_017: [`uploadToBlob` shall call the `done` callback with the error emitted by the stream if it fails to be read.]*/
+    this._onError = (err) => this._finish(err);
+  }
+
+  start(done: UploadCallback): void {
+    this._done = done;
+    if (this._isAborted()) {
+      return;
+    }
+    this._stream.on('data', this._onData);
+    this._stream.on('end', this._onEnd);
+    this._stream.on('error', this._onError);
+    this._stream.resume();
+  }
+
+  private _bufferChunk(chunk: Buffer): void {
+    this._bufferedChunks.push(chunk);
+    this._bufferedLength += chunk.length;
+    /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_010: [`uploadToBlob` shall split the stream into blocks of `options.blockSizeInBytes` bytes, or 4 MiB if `options.blockSizeInBytes` is not specified, the last block holding the remaining bytes, and identify each block by its index in the stream.]*/
+    while (this._bufferedLength >= this._blockSize) {
+      this._cutBlock(this._blockSize);
+    }
+    this._uploadNextBlocks();
+    if (this._readyBlocks.length > 0) {
+      // all the upload slots are busy: stop buffering the stream until a block is done.
+      this._stream.pause();
+    }
+  }
+
+  private _endStream(): void {
+    this._streamEnded = true;
+    if (this._bufferedLength > 0) {
+      this._cutBlock(this._bufferedLength);
+    }
+    if (this._blocksInFlight === 0 && this._readyBlocks.length === 0) {
+      this._commit();
+    } else {
+      this._uploadNextBlocks();
+    }
+  }
+
+  private _cutBlock(length: number): void {
+    const buffer = Buffer.concat(this._bufferedChunks, this._bufferedLength);
+    const id = BlockBlobUpload._blockId(this._blockIds.length);
+    this._blockIds.push(id);
+    this._readyBlocks.push({ id: id, content: buffer.slice(0, length) });
+    this._bufferedChunks = length < buffer.length ? [buffer.slice(length)] : [];
+    this._bufferedLength = buffer.length - length;
+  }
+
+  private _uploadNextBlocks(): void {
+    while (!this._finished && this._blocksInFlight < this._parallelism && this._readyBlocks.length > 0) {
+      if (this._isAborted()) {
+        return;
+      }
+      this._uploadBlock(this._readyBlocks.shift());
+    }
+  }
+
+  private _uploadBlock(block: Block): void {
+    this._blocksInFlight++;
+    /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_011: [`uploadToBlob` shall upload the blocks with `createBlockFromText`, with no more than `options.parallelism` blocks in progress at the same time, or 2 if `options.parallelism` is not specified.]*/
+    this._retryUntilSasExpiry((retryCallback) => {
+      this._blobService.createBlockFromText(block.id, this._blobInfo.containerName, this._blobInfo.blobName, block.content, {}, (err, response) => retryCallback(err, undefined, response));
+    }, (err, body, response) => {
+      this._blocksInFlight--;
+      if (this._finished) {
+        return;
+      }
+      if (err) {
+        /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_015: [`uploadToBlob` shall call the `done` callback with the error and the storage response of the first block that could not be uploaded, and stop reading the stream.]*/
+        this._finish(err, undefined, response && response.statusCode ? response : undefined);
+      } else {
+        this._uploadedBytes += block.content.length;
+        /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_013: [`uploadToBlob` shall call `options.onProgress` with the number of `uploadedBytes` and the `totalBytes` to upload every time a block has been uploaded.]*/
+        if (this._options.onProgress) {
+          this._options.onProgress({ uploadedBytes: this._uploadedBytes, totalBytes: this._streamLength });
+        }
+        if (this._streamEnded && this._readyBlocks.length === 0 && this._blocksInFlight === 0) {
+          this._commit();
+        } else {
+          this._uploadNextBlocks();
+          if (this._readyBlocks.length === 0 && !this._streamEnded && !this._finished) {
+            this._stream.resume();
+          }
+        }
+      }
+    });
+  }
+
+  private _commit(): void {
+    if (this._isAborted()) {
+      return;
+    }
+    debug('committing ' + this._blockIds.length + ' blocks to ' + this._blobInfo.blobName);
+    /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_012: [`uploadToBlob` shall commit the list of blocks in the order of the stream once all blocks have been uploaded and the stream has ended.]*/
+    /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_018: [`uploadToBlob` shall commit the list of blocks with the `options.contentType` and `options.contentEncoding` as content settings and the `options.metadata` as metadata of the blob, if specified.]*/
+    const commitOptions: any = {};
+    if (this._options.contentType || this._options.contentEncoding) {
+      commitOptions.contentSettings = {};
+      if (this._options.contentType) {
+        commitOptions.contentSettings.contentType = this._options.contentType;
+      }
+      if (this._options.contentEncoding) {
+        commitOptions.contentSettings.contentEncoding = this._options.contentEncoding;
+      }
+    }
+    if (this._options.metadata) {
+      commitOptions.metadata = this._options.metadata;
+    }
+    this._retryUntilSasExpiry((retryCallback) => {
+      this._blobService.commitBlocks(this._blobInfo.containerName, this._blobInfo.blobName, { LatestBlocks: this._blockIds }, commitOptions, retryCallback);
+    }, (err, body, result) => {
+      /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_005: [`uploadToBlob` shall call the `done` calback with the result of the storage api call.]*/
+      this._finish(err, body, result);
+    });
+  }
+
+  private _isAborted(): boolean {
+    if (this._options.abortSignal && this._options.abortSignal.aborted) {
+      /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_016: [`uploadToBlob` shall stop reading the stream and call the `done` callback with an `OperationCancelledError` as soon as it sees that `options.abortSignal` is aborted, before starting or retrying a block or committing the block list.]*/
+      this._finish(new errors.OperationCancelledError('the blob upload was aborted'));
+      return true;
+    }
+    return false;
+  }
+
+  private _finish(err: Error, body?: any, result?: StorageResponse): void {
+    if (!this._finished) {
+      this._finished = true;
+      this._stream.removeListener('data', this._onData);
+      this._stream.removeListener('end', this._onEnd);
+      this._stream.removeListener('error', this._onError);
+      if (err) {
+        this._stream.pause();
+      }
+      this._done(err, body, result);
+    }
+  }
+
+  private _retryUntilSasExpiry(operation: (retryCallback: (err?: Error, body?: any, response?: StorageResponse) => void) => void, done: (err?: Error, body?: any, response?: StorageResponse) => void): void {
+    /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_014: [`uploadToBlob` shall retry a block or the commit of the block list that failed with a network error, a 408 or a 5xx status code, as long as the SAS token is valid, without uploading the other blocks again.]*/
+    const maxTimeout = this._sasExpiry ? this._sasExpiry - Date.now() : 0;
+    const retryOp = new RetryOperation(maxTimeout > 0 ? this._retryPolicy : new NoRetry(), maxTimeout);
+    // the retry operation only passes the error of the last attempt: keep its response to report the status code to the IoT hub.
+    let lastResponse: StorageResponse;
+    retryOp.retry((retryCallback) => {
+      if (this._finished || (this._options.abortSignal && this._options.abortSignal.aborted)) {
+        lastResponse = undefined;
+        retryCallback(new errors.OperationCancelledError('the blob upload was aborted'));
+      } else {
+        operation((err, body, response) => {
+          lastResponse = response;
+          retryCallback(err, body, response);
+        });
+      }
+    }, (err, body, response) => {
+      if (err) {
+        debug('storage request failed: ' + err.toString());
+      }
+      done(err, body, err ? lastResponse : response);
+    });
+  }
+
+  private static _blockId(index: number): string {
+    // all the block identifiers of a blob must have the same length.
+    const paddedIndex = ('00000' + index).slice(-6);
+    return new Buffer('block-' + paddedIndex).toString('base64');
+  }
+
+  private static _getSasExpiry(sasToken: string): number {
+    const query = querystring.parse(sasToken.replace(/^\?/, ''));
+    const expiry = query.se ? Date.parse(query.se as string) : NaN;
+    return isNaN(expiry) ? undefined : expiry;
+  }
 }
 
 /**
@@ -26,6 +287,7 @@ export interface StorageApi {
  */
 export class BlobUploader implements BlobUploaderInterface {
   storageApi: StorageApi;
+  retryPolicy: RetryPolicy = new BlobStorageRetryPolicy();
 
   constructor(storageApi?: StorageApi) { // TODO: interface
     if (storageApi) {
@@ -37,7 +299,9 @@ export class BlobUploader implements BlobUploaderInterface {
     }
   }
 
-  uploadToBlob(blobInfo: UploadParams, stream: Stream, streamLength: number, done: (err: Error, body?: any, result?: { statusCode: number, body: string }) => void): void {
+  uploadToBlob(blobInfo: UploadParams, stream: Stream, streamLength: number, done: (err: Error, body?: any, result?: StorageResponse) => void): void;
+  uploadToBlob(blobInfo: UploadParams, stream: Stream, streamLength: number, options: BlobUploadOptions, done: (err: Error, body?: any, result?: StorageResponse) => void): void;
+  uploadToBlob(blobInfo: UploadParams, stream: Stream, streamLength: number, optionsOrDone: BlobUploadOptions | ((err: Error, body?: any, result?: StorageResponse) => void), done?: (err: Error, body?: any, result?: StorageResponse) => void): void {
     /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_001: [`uploadToBlob` shall throw a `ReferenceError` if `blobInfo` is falsy.]*/
     if (!blobInfo) throw new ReferenceError('blobInfo cannot be \'' + blobInfo + '\'');
     /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_002: [`uploadToBlob` shall throw a `ReferenceError` if `stream` is falsy.]*/
@@ -50,12 +314,54 @@ export class BlobUploader implements BlobUploaderInterface {
       throw new errors.ArgumentError('Invalid upload parameters');
     }
 
+    let options: BlobUploadOptions;
+    if (typeof optionsOrDone === 'function') {
+      options = {};
+      done = optionsOrDone;
+    } else {
+      options = optionsOrDone || {};
+    }
+
+    /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_009: [`uploadToBlob` shall throw an `ArgumentError` if `options.blockSizeInBytes` is not a positive integer no greater than 100 MiB, if `options.parallelism` is not a positive integer, or if the stream would be split into more than 50000 blocks.]*/
+    /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_019: [`uploadToBlob` shall throw an `ArgumentError` if `options.contentType` or `options.contentEncoding` is specified and is not a string, or if `options.metadata` is specified and is not an object whose names are valid C# identifiers and whose values are strings.]*/
+    BlobUploader.validateOptions(options, streamLength);
+
     if (!this.storageApi) {
       /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_06_002: [`BlobUploader` should delay load azure-storage into the storageAPI property if `storageApi` is falsy]*/
       this.storageApi = require('azure-storage');
     }
     const blobService = this.storageApi.createBlobServiceWithSas(blobInfo.hostName, blobInfo.sasToken);
-    /*Codes_SRS_NODE_DEVICE_BLOB_UPLOAD_16_005: [`uploadToBlob` shall call the `done` calback with the result of the storage api call.]*/
-    blobService.createBlockBlobFromStream(blobInfo.containerName, blobInfo.blobName, stream, streamLength, done);
+    new BlockBlobUpload(blobService, blobInfo, stream as Readable, streamLength, options, this.retryPolicy).start(done);
+  }
+
+  /**
+   * @private
+   */
+  static validateOptions(options: BlobUploadOptions, streamLength: number): void {
+    const isPositiveInteger = (value: number): boolean => typeof value === 'number' && value > 0 && Math.floor(value) === value;
+    if (options.blockSizeInBytes !== undefined && !(isPositiveInteger(options.blockSizeInBytes) && options.blockSizeInBytes <= MAX_BLOCK_SIZE_IN_BYTES)) {
+      throw new errors.ArgumentError('options.blockSizeInBytes must be a positive integer no greater than ' + MAX_BLOCK_SIZE_IN_BYTES);
+    }
+    if (options.parallelism !== undefined && !isPositiveInteger(options.parallelism)) {
+      throw new errors.ArgumentError('options.parallelism must be a positive integer');
+    }
+    if (Math.ceil(streamLength / (options.blockSizeInBytes || DEFAULT_BLOCK_SIZE_IN_BYTES)) > MAX_BLOCK_COUNT) {
+      throw new errors.ArgumentError('the stream cannot be split into more than ' + MAX_BLOCK_COUNT + ' blocks: use a bigger options.blockSizeInBytes');
+    }
+    ['contentType', 'contentEncoding'].forEach((optionName) => {
+      if (options[optionName] !== undefined && typeof options[optionName] !== 'string') {
+        throw new errors.ArgumentError('options.' + optionName + ' must be a string');
+      }
+    });
+    if (options.metadata !== undefined) {
+      if (!options.metadata || typeof options.metadata !== 'object') {
+        throw new errors.ArgumentError('options.metadata must be an object');
+      }
+      Object.keys(options.metadata).forEach((name) => {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) || typeof options.metadata[name] !== 'string') {
+          throw new errors.ArgumentError('options.metadata.' + name + ' must be a string and its name a valid C# identifier');
+        }
+      });
+    }
   }
 }
@@ -3,5 +3,6 @@
 
 'use strict';
 
-export { BlobUploadClient } from './blob_upload_client';
+export { BlobUploadClient, BlobUploadOptions, BlobUploadProgress } from './blob_upload_client';
+export { BlobUploader } from './blob_uploader';
 export { BlobSasError, BlobUploadNotificationError } from './blob_upload_errors';
@@ -0,0 +1,47 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+/**
+ * State of the connection between a device or module client and the Azure IoT hub:
+ * - `disconnected`: the client is not connected, either because it has not been opened yet, because it has been closed, or because opening it failed.
+ * - `connecting`: the client is being opened.
+ * - `connected`: the client is connected and its subscriptions (C2D messages, input messages, methods, desired properties) are active.
+ * - `reconnecting`: the connection was lost because of a retryable error and the client is reestablishing it.
+ * - `disconnectedPermanently`: the connection was lost and could not be reestablished: the application has to open the client again.
+ */
+export type ConnectionState = 'disconnected' | 'connecting' | 'connected' | 'reconnecting' | 'disconnectedPermanently';
+
+/**
+ * Reason of a change in the {@link ConnectionState} of a client:
+ * - `clientOpen`: the application called `open`.
+ * - `clientClose`: the application called `close`.
+ * - `connectionOk`: the connection has been established or reestablished successfully.
+ * - `communicationError`: the connection failed or was lost because of a network or protocol error.
+ * - `badCredential`: the Azure IoT hub rejected the credentials of the client.
+ * - `retryExpired`: the retry policy gave up trying to establish or reestablish the connection.
+ */
+export type ConnectionStateChangeReason = 'clientOpen' | 'clientClose' | 'connectionOk' | 'communicationError' | 'badCredential' | 'retryExpired';
+
+/**
+ * Object passed with the `connectionStateChange` event of the device and module clients.
+ */
+export interface ConnectionStateChange {
+  /**
+   * State of the connection before the change.
+   */
+  previousState: ConnectionState;
+  /**
+   * New state of the connection.
+   */
+  state: ConnectionState;
+  /**
+   * Reason of the change.
+   */
+  reason: ConnectionStateChangeReason;
+  /**
+   * Error that caused the change, if any.
+   */
+  error?: Error;
+}
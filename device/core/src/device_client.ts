@@ -3,21 +3,52 @@
 
 'use strict';
 
-import { Stream } from 'stream';
+import { Stream, PassThrough } from 'stream';
+import * as fs from 'fs';
 import * as dbg from 'debug';
 const debug = dbg('azure-iot-device:InternalClient');
 
-import { AuthenticationProvider, RetryOperation, ConnectionString, results } from 'azure-iot-common';
+import { AuthenticationProvider, RetryOperation, ConnectionString, errors, results } from 'azure-iot-common';
+import { Callback, ErrorCallback, callbackToPromise, errorCallbackToPromise } from 'azure-iot-common';
 import { InternalClient, DeviceTransport } from './internal_client';
-import { BlobUploadClient } from './blob_upload';
+import { BlobUploadClient, BlobUploadOptions, BlobUploader } from './blob_upload';
 import { SharedAccessSignatureAuthenticationProvider } from './sas_authentication_provider';
 import { X509AuthenticationProvider } from './x509_authentication_provider';
 import { SharedAccessKeyAuthenticationProvider } from './sak_authentication_provider';
 import { DeviceMethodRequest, DeviceMethodResponse } from './device_method';
 
-function safeCallback(callback?: (err?: Error, result?: any) => void, error?: Error, result?: any): void {
-  if (callback) callback(error, result);
+/**
+ * @private
+ * Opens a new stream on the source of a blob upload at every attempt, so that a file or a buffer can be uploaded again if the upload is retried.
+ */
+function openUploadSource(source: Stream | string | Buffer, streamLength: number, options: BlobUploadOptions, callback: (err: Error, stream?: Stream, streamLength?: number) => void): void {
+  if (Buffer.isBuffer(source)) {
+    /*Codes_SRS_NODE_DEVICE_CLIENT_16_105: [If `source` is a file path or a `Buffer`, the `uploadToBlob` method shall upload its content with a length equal to the size of the file or of the buffer.]*/
+    const bufferStream = new PassThrough();
+    bufferStream.end(source);
+    callback(null, bufferStream, source.length);
+  } else if (typeof source === 'string') {
+    fs.stat(source, (err, stats) => {
+      if (err) {
+        /*Codes_SRS_NODE_DEVICE_CLIENT_16_109: [The `uploadToBlob` method shall call the `done` callback with an error if the file cannot be read, is not a file, is empty or has too many blocks for `options.blockSizeInBytes`.]*/
+        callback(err);
+      } else if (!stats.isFile() || stats.size === 0) {
+        callback(new errors.ArgumentError(source + ' is not a file or is empty'));
+      } else {
+        try {
+          BlobUploader.validateOptions(options, stats.size);
+        } catch (validationErr) {
+          callback(validationErr);
+          return;
+        }
+        callback(null, fs.createReadStream(source), stats.size);
+      }
+    });
+  } else {
+    callback(null, source, streamLength);
+  }
 }
+
 /**
  * IoT Hub device client used to connect a device with an Azure IoT hub.
  *
@@ -28,7 +59,6 @@ function safeCallback(callback?: (err?: Error, result?: any) => void, error?: Er
  */
 export class Client extends InternalClient {
   private _c2dEnabled: boolean;
-  private _deviceDisconnectHandler: (err?: Error, result?: any) => void;
   private blobUploadClient: BlobUploadClient; // Casing is wrong and should be corrected.
   /**
    * @constructor
@@ -70,25 +100,6 @@ export class Client extends InternalClient {
     this._transport.on('message', (msg) => {
       this.emit('message', msg);
     });
-
-    this._deviceDisconnectHandler = (err) => {
-      debug('transport disconnect event: ' + (err ? err.toString() : 'no error'));
-      if (err && this._retryPolicy.shouldRetry(err)) {
-        /*Codes_SRS_NODE_DEVICE_CLIENT_16_097: [If the transport emits a `disconnect` event while the client is subscribed to c2d messages the retry policy shall be used to reconnect and re-enable the feature using the transport `enableC2D` method.]*/
-        if (this._c2dEnabled) {
-          this._c2dEnabled = false;
-          debug('re-enabling C2D link');
-          this._enableC2D((err) => {
-            if (err) {
-              /*Codes_SRS_NODE_DEVICE_CLIENT_16_102: [If the retry policy fails to reestablish the C2D functionality a `disconnect` event shall be emitted with a `results.Disconnected` object.]*/
-              this.emit('disconnect', new results.Disconnected(err));
-            }
-          });
-        }
-      }
-    };
-
-    this._transport.on('disconnect', this._deviceDisconnectHandler);
   }
 
   /**
@@ -97,10 +108,14 @@ export class Client extends InternalClient {
    * *Note: After calling this method the Client object cannot be reused.*
    *
    * @param closeCallback Function to call once the transport is disconnected and the client closed.
+   * @returns {Promise<results.Disconnected> | void} Promise if no callback function was passed, void otherwise.
    */
-  close(closeCallback?: (err?: Error, result?: results.Disconnected) => void): void {
-    this._transport.removeListener('disconnect', this._deviceDisconnectHandler);
-    super.close(closeCallback);
+  close(closeCallback: Callback<results.Disconnected>): void;
+  close(): Promise<results.Disconnected>;
+  close(closeCallback?: Callback<results.Disconnected>): Promise<results.Disconnected> | void {
+    return callbackToPromise((_callback) => {
+      super.close(_callback);
+    }, closeCallback);
   }
 
   /**
@@ -114,31 +129,112 @@ export class Client extends InternalClient {
   }
 
   /**
-   * @description      The `uploadToBlob` method uploads a stream to a blob.
+   * @description      The `uploadToBlob` method uploads a stream, a file or a buffer to a blob.
+   *                   The content is split into blocks that are uploaded in parallel and committed once they have all been uploaded.
+   *                   A block that fails because of the network is retried as long as the blob shared access signature is valid,
+   *                   without uploading the other blocks again.
    *
-   * @param {String}   blobName         The name to use for the blob that will be created with the content of the stream.
-   * @param {Stream}   stream           The data to that should be uploaded to the blob.
-   * @param {Number}   streamLength     The size of the data to that should be uploaded to the blob.
+   * @param {String}   blobName         The name to use for the blob that will be created with the content.
+   * @param {Stream|String|Buffer} source  The stream to upload, the path of the file to upload or the buffer to upload.
+   * @param {Number}   streamLength     The size of the data of the stream. Only used, and required, when `source` is a stream:
+   *                                    the size of a file or of a buffer is read automatically.
+   * @param {Object}   [options]        Optional settings:
+   *                                    - blockSizeInBytes  [optional] Size of the blocks, 4 MiB by default.
+   *                                    - parallelism       [optional] Maximum number of blocks uploaded at the same time, 2 by default.
+   *                                    - onProgress        [optional] Function called with the progress of the upload after each block.
+   *                                    - abortSignal       [optional] Signal used to abort the upload with an `OperationCancelledError`.
+   *                                    - contentType       [optional] MIME content type of the blob.
+   *                                    - contentEncoding   [optional] Content encodings applied to the content of the blob.
+   *                                    - metadata          [optional] Custom metadata of the blob, as an object of strings.
    * @param {Function} done             The callback to call when the upload is complete.
    *
-   * @throws {ReferenceException} If blobName or stream or streamLength is falsy.
+   * @returns {Promise<void> | void} Promise if no callback function was passed, void otherwise.
+   *
+   * @throws {ReferenceException} If blobName or source is falsy, or if source is a stream and streamLength is falsy.
+   * @throws {ArgumentError}      If the options are not valid or if source is an empty buffer.
    */
-  uploadToBlob(blobName: string, stream: Stream, streamLength: number, done: (err?: Error) => void): void {
+  uploadToBlob(blobName: string, stream: Stream, streamLength: number, done: ErrorCallback): void;
+  uploadToBlob(blobName: string, stream: Stream, streamLength: number, options: BlobUploadOptions, done: ErrorCallback): void;
+  uploadToBlob(blobName: string, stream: Stream, streamLength: number, options?: BlobUploadOptions): Promise<void>;
+  uploadToBlob(blobName: string, source: string | Buffer, done: ErrorCallback): void;
+  uploadToBlob(blobName: string, source: string | Buffer, options: BlobUploadOptions, done: ErrorCallback): void;
+  uploadToBlob(blobName: string, source: string | Buffer, options?: BlobUploadOptions): Promise<void>;
+  uploadToBlob(blobName: string, source: Stream | string | Buffer, streamLengthOrOptionsOrDone?: number | BlobUploadOptions | ErrorCallback, optionsOrDone?: BlobUploadOptions | ErrorCallback, done?: ErrorCallback): Promise<void> | void {
     /*Codes_SRS_NODE_DEVICE_CLIENT_16_037: [The `uploadToBlob` method shall throw a `ReferenceError` if `blobName` is falsy.]*/
     if (!blobName) throw new ReferenceError('blobName cannot be \'' + blobName + '\'');
     /*Codes_SRS_NODE_DEVICE_CLIENT_16_038: [The `uploadToBlob` method shall throw a `ReferenceError` if `stream` is falsy.]*/
-    if (!stream) throw new ReferenceError('stream cannot be \'' + stream + '\'');
-    /*Codes_SRS_NODE_DEVICE_CLIENT_16_039: [The `uploadToBlob` method shall throw a `ReferenceError` if `streamLength` is falsy.]*/
-    if (!streamLength) throw new ReferenceError('streamLength cannot be \'' + streamLength + '\'');
-
-    const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
-    retryOp.retry((opCallback) => {
-      /*Codes_SRS_NODE_DEVICE_CLIENT_16_040: [The `uploadToBlob` method shall call the `done` callback with an `Error` object if the upload fails.]*/
-      /*Codes_SRS_NODE_DEVICE_CLIENT_16_041: [The `uploadToBlob` method shall call the `done` callback no parameters if the upload succeeds.]*/
-      this.blobUploadClient.uploadToBlob(blobName, stream, streamLength, opCallback);
-    }, (err, result) => {
-      safeCallback(done, err, result);
-    });
+    if (!source) throw new ReferenceError('stream cannot be \'' + source + '\'');
+
+    let streamLength: number;
+    let optionsOrCallback: BlobUploadOptions | ErrorCallback;
+    let actualCallback: ErrorCallback;
+    if (typeof source === 'string' || Buffer.isBuffer(source)) {
+      optionsOrCallback = streamLengthOrOptionsOrDone as BlobUploadOptions | ErrorCallback;
+      actualCallback = optionsOrDone as ErrorCallback;
+      /*Codes_SRS_NODE_DEVICE_CLIENT_16_106: [The `uploadToBlob` method shall throw an `ArgumentError` if `source` is an empty buffer.]*/
+      if (Buffer.isBuffer(source) && source.length === 0) throw new errors.ArgumentError('the buffer to upload cannot be empty');
+      streamLength = Buffer.isBuffer(source) ? source.length : undefined;
+    } else {
+      streamLength = streamLengthOrOptionsOrDone as number;
+      optionsOrCallback = optionsOrDone;
+      actualCallback = done;
+      /*Codes_SRS_NODE_DEVICE_CLIENT_16_039: [The `uploadToBlob` method shall throw a `ReferenceError` if `streamLength` is falsy.]*/
+      if (!streamLength) throw new ReferenceError('streamLength cannot be \'' + streamLength + '\'');
+    }
+
+    let options: BlobUploadOptions;
+    if (typeof optionsOrCallback === 'function') {
+      options = {};
+      actualCallback = optionsOrCallback;
+    } else {
+      options = optionsOrCallback || {};
+    }
+
+    /*Codes_SRS_NODE_DEVICE_CLIENT_16_103: [The `uploadToBlob` method shall throw an `ArgumentError` if `options.blockSizeInBytes` is not a positive integer no greater than 100 MiB, if `options.parallelism` is not a positive integer, or if the stream would be split into more than 50000 blocks.]*/
+    /*Codes_SRS_NODE_DEVICE_CLIENT_16_107: [The `uploadToBlob` method shall throw an `ArgumentError` if `options.contentType` or `options.contentEncoding` is specified and is not a string, or if `options.metadata` is specified and is not an object whose names are valid C# identifiers and whose values are strings.]*/
+    BlobUploader.validateOptions(options, streamLength);
+
+    return errorCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_DEVICE_CLIENT_16_110: [The `uploadToBlob` method shall pass `options.abortSignal` to the `RetryOperation` used to upload the blob, so that aborting the signal stops the pending retries and fails the upload with an `OperationCancelledError`.]*/
+      const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout, options.abortSignal);
+      retryOp.retry((opCallback) => {
+        openUploadSource(source, streamLength, options, (err, stream, length) => {
+          if (err) {
+            opCallback(err);
+          } else {
+            /*Codes_SRS_NODE_DEVICE_CLIENT_16_040: [The `uploadToBlob` method shall call the `done` callback with an `Error` object if the upload fails.]*/
+            /*Codes_SRS_NODE_DEVICE_CLIENT_16_041: [The `uploadToBlob` method shall call the `done` callback no parameters if the upload succeeds.]*/
+            /*Codes_SRS_NODE_DEVICE_CLIENT_16_104: [The `uploadToBlob` method shall pass the `options` to the blob upload client.]*/
+            this.blobUploadClient.uploadToBlob(blobName, stream, length, options, (uploadErr) => {
+              if (typeof source === 'string') {
+                /*Codes_SRS_NODE_DEVICE_CLIENT_16_108: [The `uploadToBlob` method shall close the file it opened once the upload has completed or failed.]*/
+                (stream as fs.ReadStream).destroy();
+              }
+              opCallback(uploadErr);
+            });
+          }
+        });
+      }, (err) => {
+        _callback(err);
+      });
+    }, actualCallback);
+  }
+
+  /**
+   * @private
+   */
+  protected _getSubscriptionRestorers(): ((callback: ErrorCallback) => void)[] {
+    const restorers = super._getSubscriptionRestorers();
+    /*Codes_SRS_NODE_DEVICE_CLIENT_16_097: [If the transport emits a `disconnect` event while the client is subscribed to c2d messages the retry policy shall be used to reconnect and re-enable the feature using the transport `enableC2D` method.]*/
+    /*Codes_SRS_NODE_DEVICE_CLIENT_16_102: [If the retry policy fails to reestablish the C2D functionality a `disconnect` event shall be emitted with a `results.Disconnected` object.]*/
+    if (this._c2dEnabled) {
+      restorers.push((restoreCallback) => {
+        this._c2dEnabled = false;
+        debug('re-enabling C2D link');
+        this._enableC2D(restoreCallback);
+      });
+    }
+    return restorers;
   }
 
   private _enableC2D(callback: (err?: Error) => void): void {
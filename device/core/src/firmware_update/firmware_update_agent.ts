@@ -0,0 +1,300 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import { EventEmitter } from 'events';
+import * as url from 'url';
+import * as dbg from 'debug';
+const debug = dbg('azure-iot-device:FirmwareUpdateAgent');
+
+import { errors, ErrorCallback, errorCallbackToPromise } from 'azure-iot-common';
+import { Client } from '../device_client';
+import { Twin } from '../twin';
+import { DeviceMethodRequest, DeviceMethodResponse } from '../device_method';
+import { FirmwareUpdateRequest, FirmwareUpdateState, FirmwareUpdateStatus, FirmwareUpdateStateStore, InMemoryFirmwareUpdateStateStore } from './firmware_update_state_store';
+
+/**
+ * Steps of the firmware update implemented by the application and called by the {@link FirmwareUpdateAgent}.
+ */
+export interface FirmwareUpdateHandlers {
+  /**
+   * Downloads the firmware package and calls back with the location of the downloaded image (a file path, typically), which is persisted with the state of the update.
+   */
+  download(request: FirmwareUpdateRequest, callback: (err?: Error, image?: string) => void): void;
+  /**
+   * Verifies the downloaded image (hash, signature...) before it is applied. The image is applied without verification if not specified.
+   */
+  verify?(request: FirmwareUpdateRequest, image: string, callback: (err?: Error) => void): void;
+  /**
+   * Applies the verified image. If applying the image reboots the device, the callback is never called and the agent calls `isApplied` when it is started again.
+   */
+  apply(request: FirmwareUpdateRequest, image: string, callback: (err?: Error) => void): void;
+  /**
+   * Checks whether the image of an update that was interrupted while it was being applied is now running.
+   * If not specified, such an update fails instead of being applied again.
+   */
+  isApplied?(request: FirmwareUpdateRequest, image: string, callback: (err?: Error, applied?: boolean) => void): void;
+}
+
+/**
+ * Options used to configure a {@link FirmwareUpdateAgent}.
+ */
+export interface FirmwareUpdateAgentOptions {
+  /**
+   * Store used to persist the state of the update in progress. Defaults to an {@link InMemoryFirmwareUpdateStateStore}:
+   * use a {@link FileFirmwareUpdateStateStore} to resume the updates interrupted by a reboot.
+   */
+  stateStore?: FirmwareUpdateStateStore;
+  /**
+   * Name of the device method that starts an update. Defaults to `firmwareUpdate`.
+   */
+  methodName?: string;
+}
+
+/**
+ * Implements the firmware update device management pattern: handles the `firmwareUpdate` device method, runs the download, verify and apply steps
+ * provided by the application and reports the progress of the update in the `iothubDM.firmwareUpdate` reported property of the device twin.
+ *
+ * @fires FirmwareUpdateAgent#statusChange Emitted with the {@link FirmwareUpdateState} every time the status of the update changes.
+ */
+export class FirmwareUpdateAgent extends EventEmitter {
+  private _client: Client;
+  private _handlers: FirmwareUpdateHandlers;
+  private _stateStore: FirmwareUpdateStateStore;
+  private _methodName: string;
+  private _twin: Twin;
+  private _started: boolean = false;
+  private _updateInProgress: boolean = false;
+
+  /**
+   * @param client   Device client used to receive the device method and to update the reported properties.
+   * @param handlers Download, verify and apply steps of the update.
+   * @param options  Optional settings of the agent.
+   *
+   * @throws {ReferenceError} If `client` or `handlers` is falsy.
+   * @throws {ArgumentError}  If `handlers.download` or `handlers.apply` is not a function.
+   */
+  constructor(client: Client, handlers: FirmwareUpdateHandlers, options?: FirmwareUpdateAgentOptions) {
+    super();
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_001: [The `FirmwareUpdateAgent` constructor shall throw a `ReferenceError` if `client` or `handlers` is falsy.]*/
+    if (!client) throw new ReferenceError('client cannot be \'' + client + '\'');
+    if (!handlers) throw new ReferenceError('handlers cannot be \'' + handlers + '\'');
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_002: [The `FirmwareUpdateAgent` constructor shall throw an `ArgumentError` if `handlers.download` or `handlers.apply` is not a function.]*/
+    if (typeof handlers.download !== 'function' || typeof handlers.apply !== 'function') {
+      throw new errors.ArgumentError('handlers.download and handlers.apply must be functions');
+    }
+
+    this._client = client;
+    this._handlers = handlers;
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_003: [The `FirmwareUpdateAgent` shall use an `InMemoryFirmwareUpdateStateStore` if the `stateStore` option is not specified, and the `firmwareUpdate` method name if the `methodName` option is not specified.]*/
+    this._stateStore = (options && options.stateStore) || new InMemoryFirmwareUpdateStateStore();
+    this._methodName = (options && options.methodName) || 'firmwareUpdate';
+  }
+
+  /**
+   * @description  Gets the device twin, resumes the update that was in progress when the agent was last stopped, if any,
+   *               and starts handling the firmware update device method.
+   *
+   * @param {Function} [done]  Callback called once the agent is ready to receive update requests.
+   *
+   * @returns {Promise<void> | void} Promise if no callback function was passed, void otherwise.
+   */
+  start(done: ErrorCallback): void;
+  start(): Promise<void>;
+  start(done?: ErrorCallback): Promise<void> | void {
+    return errorCallbackToPromise((_callback) => {
+      if (this._started) {
+        /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_004: [The `start` method shall call its callback with an `InvalidOperationError` if the agent has already been started.]*/
+        _callback(new errors.InvalidOperationError('the firmware update agent has already been started'));
+        return;
+      }
+
+      /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_005: [The `start` method shall get the device twin and load the persisted state of the update, and call its callback with an error if either fails.]*/
+      this._client.getTwin((twinErr, twin) => {
+        if (twinErr) {
+          _callback(twinErr);
+          return;
+        }
+
+        this._stateStore.load((loadErr, state) => {
+          if (loadErr) {
+            _callback(loadErr);
+            return;
+          }
+
+          this._twin = twin;
+          this._started = true;
+          /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_006: [The `start` method shall register a handler for the firmware update device method.]*/
+          this._client.onDeviceMethod(this._methodName, (request, response) => this._onUpdateRequest(request, response));
+
+          if (state && state.status !== 'completed' && state.status !== 'failed') {
+            debug('resuming firmware update in status ' + state.status);
+            this._updateInProgress = true;
+            this._resume(state);
+          }
+          _callback();
+        });
+      });
+    }, done);
+  }
+
+  private _onUpdateRequest(request: DeviceMethodRequest, response: DeviceMethodResponse): void {
+    const updateRequest: FirmwareUpdateRequest = request.payload;
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_007: [The agent shall respond to the device method with a 400 status if the payload does not have a `fwPackageUri` property using the `https` protocol.]*/
+    if (!updateRequest || typeof updateRequest.fwPackageUri !== 'string' || url.parse(updateRequest.fwPackageUri).protocol !== 'https:') {
+      this._sendResponse(response, 400, 'Invalid URL format. Must use https:// protocol.');
+      return;
+    }
+
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_008: [The agent shall respond to the device method with a 409 status if an update is already in progress.]*/
+    if (this._updateInProgress) {
+      this._sendResponse(response, 409, 'A firmware update is already in progress.');
+      return;
+    }
+
+    this._updateInProgress = true;
+    const state: FirmwareUpdateState = { status: 'waiting', request: updateRequest };
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_009: [The agent shall persist the update in the `waiting` status, report it with the `fwPackageUri` and respond to the device method with a 200 status before starting the download.]*/
+    this._transition(state, 'waiting', { fwPackageUri: updateRequest.fwPackageUri, error: null }, (err) => {
+      if (err) {
+        /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_010: [The agent shall respond to the device method with a 500 status if the state of the update cannot be persisted.]*/
+        this._updateInProgress = false;
+        this._sendResponse(response, 500, 'Could not start the firmware update: ' + err.message);
+      } else {
+        this._sendResponse(response, 200, 'Firmware update started.');
+        this._download(state);
+      }
+    });
+  }
+
+  private _resume(state: FirmwareUpdateState): void {
+    if (state.status === 'applying') {
+      if (typeof this._handlers.isApplied !== 'function') {
+        /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_017: [If the persisted update is in the `applying` status and `handlers.isApplied` is not specified, the agent shall fail the update instead of applying the image again.]*/
+        this._fail(state, new Error('the firmware update was interrupted while the image was being applied'));
+      } else {
+        /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_018: [If the persisted update is in the `applying` status, the agent shall call `handlers.isApplied` and complete the update if it calls back with `true`, or verify and apply the image again if it calls back with `false`.]*/
+        this._handlers.isApplied(state.request, state.image, (err, applied) => {
+          if (err) {
+            this._fail(state, err);
+          } else if (applied) {
+            this._complete(state);
+          } else {
+            this._verifyAndApply(state);
+          }
+        });
+      }
+    } else {
+      /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_016: [If the persisted update is in the `waiting` or `downloading` status, the agent shall download the image again.]*/
+      this._download(state);
+    }
+  }
+
+  private _download(state: FirmwareUpdateState): void {
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_011: [The agent shall persist and report the `downloading` status with a `startedDownloadingTime` before calling `handlers.download` with the request.]*/
+    this._transition(state, 'downloading', { startedDownloadingTime: new Date().toISOString() }, (transitionErr) => {
+      if (transitionErr) {
+        this._fail(state, transitionErr);
+        return;
+      }
+
+      this._handlers.download(state.request, (err, image) => {
+        if (err) {
+          /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_014: [The agent shall fail the update if the state cannot be persisted or if a handler calls back with an error.]*/
+          this._fail(state, err);
+        } else {
+          state.image = image;
+          this._verifyAndApply(state);
+        }
+      });
+    });
+  }
+
+  private _verifyAndApply(state: FirmwareUpdateState): void {
+    const verify = this._handlers.verify ? this._handlers.verify.bind(this._handlers) : (request, image, callback) => callback();
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_012: [The agent shall call `handlers.verify`, if specified, with the request and the downloaded image before applying it.]*/
+    verify(state.request, state.image, (verifyErr) => {
+      if (verifyErr) {
+        this._fail(state, verifyErr);
+        return;
+      }
+
+      const now = new Date().toISOString();
+      /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_013: [The agent shall persist and report the `applying` status with the `downloadCompleteTime` and `startedApplyingImage` times before calling `handlers.apply` with the request and the image.]*/
+      this._transition(state, 'applying', { downloadCompleteTime: now, startedApplyingImage: now }, (transitionErr) => {
+        if (transitionErr) {
+          this._fail(state, transitionErr);
+          return;
+        }
+
+        this._handlers.apply(state.request, state.image, (applyErr) => {
+          if (applyErr) {
+            this._fail(state, applyErr);
+          } else {
+            this._complete(state);
+          }
+        });
+      });
+    });
+  }
+
+  private _complete(state: FirmwareUpdateState): void {
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_015: [Once the image has been applied, the agent shall report the `completed` status with a `lastFirmwareUpdate` time and clear the persisted state.]*/
+    this._finish(state, 'completed', { lastFirmwareUpdate: new Date().toISOString() });
+  }
+
+  private _fail(state: FirmwareUpdateState, err: Error): void {
+    debug('firmware update failed: ' + err.toString());
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_014: [The agent shall fail the update if the state cannot be persisted or if a handler calls back with an error.]*/
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_019: [When the update fails, the agent shall report the `failed` status with the message of the error and clear the persisted state.]*/
+    this._finish(state, 'failed', { error: err.message });
+  }
+
+  private _finish(state: FirmwareUpdateState, status: FirmwareUpdateStatus, reportedProperties: { [key: string]: any }): void {
+    state.status = status;
+    this._report(state, reportedProperties, () => {
+      this._stateStore.clear((clearErr) => {
+        if (clearErr) {
+          debug('could not clear the firmware update state: ' + clearErr.toString());
+        }
+        this._updateInProgress = false;
+        this.emit('statusChange', state);
+      });
+    });
+  }
+
+  private _transition(state: FirmwareUpdateState, status: FirmwareUpdateStatus, reportedProperties: { [key: string]: any }, callback: (err?: Error) => void): void {
+    state.status = status;
+    this._stateStore.save(state, (saveErr) => {
+      if (saveErr) {
+        callback(saveErr);
+      } else {
+        this._report(state, reportedProperties, () => {
+          this.emit('statusChange', state);
+          callback();
+        });
+      }
+    });
+  }
+
+  private _report(state: FirmwareUpdateState, reportedProperties: { [key: string]: any }, callback: () => void): void {
+    const firmwareUpdate = { status: state.status };
+    Object.keys(reportedProperties).forEach((key) => firmwareUpdate[key] = reportedProperties[key]);
+    this._twin.properties.reported.update({ iothubDM: { firmwareUpdate: firmwareUpdate } }, (err) => {
+      if (err) {
+        /*Codes_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_020: [The agent shall carry on with the update if the reported properties cannot be updated.]*/
+        debug('could not report the firmware update status: ' + err.toString());
+      }
+      callback();
+    });
+  }
+
+  private _sendResponse(response: DeviceMethodResponse, status: number, payload: string): void {
+    response.send(status, payload, (err) => {
+      if (err) {
+        debug('could not send the response to the firmware update method: ' + err.toString());
+      }
+    });
+  }
+}
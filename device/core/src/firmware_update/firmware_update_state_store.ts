@@ -0,0 +1,158 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import * as fs from 'fs';
+
+/**
+ * Status of a firmware update, as reported in `reported.iothubDM.firmwareUpdate.status`.
+ */
+export type FirmwareUpdateStatus = 'waiting' | 'downloading' | 'applying' | 'completed' | 'failed';
+
+/**
+ * Payload of the `firmwareUpdate` device method. Properties other than `fwPackageUri` (hash, signature...) are passed as-is to the update handlers.
+ */
+export interface FirmwareUpdateRequest {
+  /**
+   * URI of the firmware package to download. Must use the `https` protocol.
+   */
+  fwPackageUri: string;
+  [key: string]: any;
+}
+
+/**
+ * State of the firmware update in progress, persisted by the {@link FirmwareUpdateAgent} before each step so that the update can be resumed after a restart.
+ */
+export interface FirmwareUpdateState {
+  /**
+   * Current status of the update.
+   */
+  status: FirmwareUpdateStatus;
+  /**
+   * Request that started the update.
+   */
+  request: FirmwareUpdateRequest;
+  /**
+   * Location of the downloaded firmware image, as returned by the `download` handler, once the download has completed.
+   */
+  image?: string;
+}
+
+/**
+ * Interface that must be implemented by the objects used to persist the state of the firmware update in progress.
+ */
+export interface FirmwareUpdateStateStore {
+  /**
+   * Loads the state of the update in progress, or `undefined` if there is none. Called once when the agent is started.
+   */
+  load(callback: (err?: Error, state?: FirmwareUpdateState) => void): void;
+  /**
+   * Persists the state of the update in progress, replacing the previous one.
+   */
+  save(state: FirmwareUpdateState, callback: (err?: Error) => void): void;
+  /**
+   * Removes the persisted state once the update has completed or failed.
+   */
+  clear(callback: (err?: Error) => void): void;
+}
+
+/**
+ * Firmware update state store that keeps the state in memory: an update interrupted by a restart of the process is not resumed.
+ */
+export class InMemoryFirmwareUpdateStateStore implements FirmwareUpdateStateStore {
+  private _state: FirmwareUpdateState;
+
+  /**
+   * Calls back with the state currently in the store.
+   */
+  load(callback: (err?: Error, state?: FirmwareUpdateState) => void): void {
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_001: [The `InMemoryFirmwareUpdateStateStore.load` method shall call its callback with the last state saved and not cleared, or `undefined` if there is none.]*/
+    callback(null, this._state);
+  }
+
+  /**
+   * Replaces the state in the store.
+   */
+  save(state: FirmwareUpdateState, callback: (err?: Error) => void): void {
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_002: [The `InMemoryFirmwareUpdateStateStore.save` method shall replace the stored state with a copy of `state` and call its callback with no arguments.]*/
+    this._state = JSON.parse(JSON.stringify(state));
+    callback();
+  }
+
+  /**
+   * Removes the state from the store.
+   */
+  clear(callback: (err?: Error) => void): void {
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_003: [The `InMemoryFirmwareUpdateStateStore.clear` method shall remove the stored state and call its callback with no arguments.]*/
+    this._state = undefined;
+    callback();
+  }
+}
+
+/**
+ * Firmware update state store that persists the state in a JSON file, so that an update interrupted by a reboot can be resumed.
+ */
+export class FileFirmwareUpdateStateStore implements FirmwareUpdateStateStore {
+  private _filePath: string;
+
+  /**
+   * @param filePath Path of the file in which the state is persisted. Its directory must exist.
+   */
+  constructor(filePath: string) {
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_004: [The `FileFirmwareUpdateStateStore` constructor shall throw a `ReferenceError` if `filePath` is falsy.]*/
+    if (!filePath) {
+      throw new ReferenceError('filePath cannot be \'' + filePath + '\'');
+    }
+    this._filePath = filePath;
+  }
+
+  /**
+   * Reads the state from the file.
+   */
+  load(callback: (err?: Error, state?: FirmwareUpdateState) => void): void {
+    fs.readFile(this._filePath, 'utf8', (err: NodeJS.ErrnoException, contents) => {
+      if (err) {
+        /*Codes_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_005: [The `FileFirmwareUpdateStateStore.load` method shall call its callback with `undefined` if the file does not exist, and with an error if it cannot be read or parsed.]*/
+        callback(err.code === 'ENOENT' ? null : err);
+      } else {
+        let state: FirmwareUpdateState;
+        try {
+          /*Codes_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_006: [The `FileFirmwareUpdateStateStore.load` method shall call its callback with the state parsed from the JSON content of the file.]*/
+          state = JSON.parse(contents);
+        } catch (parseErr) {
+          /*Codes_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_005: [The `FileFirmwareUpdateStateStore.load` method shall call its callback with `undefined` if the file does not exist, and with an error if it cannot be read or parsed.]*/
+          callback(parseErr);
+          return;
+        }
+        callback(null, state);
+      }
+    });
+  }
+
+  /**
+   * Writes the state to the file.
+   */
+  save(state: FirmwareUpdateState, callback: (err?: Error) => void): void {
+    const tempFilePath = this._filePath + '.tmp';
+    /*Codes_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_007: [The `FileFirmwareUpdateStateStore.save` method shall write the state as JSON to a temporary file and then rename it to the path of the store, so that a partially written state is never loaded.]*/
+    fs.writeFile(tempFilePath, JSON.stringify(state), 'utf8', (writeErr) => {
+      if (writeErr) {
+        /*Codes_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_008: [The `FileFirmwareUpdateStateStore.save` method shall call its callback with an error if the state cannot be written.]*/
+        callback(writeErr);
+      } else {
+        fs.rename(tempFilePath, this._filePath, (renameErr) => callback(renameErr));
+      }
+    });
+  }
+
+  /**
+   * Deletes the file.
+   */
+  clear(callback: (err?: Error) => void): void {
+    fs.unlink(this._filePath, (err: NodeJS.ErrnoException) => {
+      /*Codes_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_009: [The `FileFirmwareUpdateStateStore.clear` method shall delete the file and call its callback with an error only if the file exists and cannot be deleted.]*/
+      callback(err && err.code !== 'ENOENT' ? err : undefined);
+    });
+  }
+}
@@ -0,0 +1,7 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+export { FirmwareUpdateStatus, FirmwareUpdateRequest, FirmwareUpdateState, FirmwareUpdateStateStore, InMemoryFirmwareUpdateStateStore, FileFirmwareUpdateStateStore } from './firmware_update_state_store';
+export { FirmwareUpdateAgent, FirmwareUpdateAgentOptions, FirmwareUpdateHandlers } from './firmware_update_agent';
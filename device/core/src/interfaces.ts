@@ -69,6 +69,12 @@ export interface HttpTransportOptions {
    * Optional configuration parameters to use for receive polling.
    */
   receivePolicy?: HttpReceiverOptions;
+
+  /**
+   * Optional configuration parameters to use when polling the device twin for desired properties updates.
+   * Only the `interval`, `at` and `cron` scheduling options apply: each poll retrieves the whole twin.
+   */
+  desiredPropertiesPolicy?: HttpReceiverOptions;
 }
 
 /**
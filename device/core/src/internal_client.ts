@@ -12,10 +12,13 @@ const debug = dbg('azure-iot-device:InternalClient');
 
 import { results, errors, Message, X509 } from 'azure-iot-common';
 import { SharedAccessSignature as CommonSharedAccessSignature } from 'azure-iot-common';
-import { ExponentialBackOffWithJitter, RetryPolicy, RetryOperation } from 'azure-iot-common';
+import { ExponentialBackOffWithJitter, RetryPolicy, RetryOperation, OperationOptions, AbortSignalLike } from 'azure-iot-common';
+import { Callback, ErrorCallback, callbackToPromise, errorCallbackToPromise } from 'azure-iot-common';
 import { DeviceMethodRequest, DeviceMethodResponse } from './device_method';
 import { Twin, TwinProperties } from './twin';
 import { DeviceClientOptions } from './interfaces';
+import { OfflineMessageQueue, OfflineQueueOptions } from './offline_queue';
+import { ConnectionState, ConnectionStateChangeReason } from './connection_state';
 
 /**
  * @private
@@ -54,10 +57,17 @@ export abstract class InternalClient extends EventEmitter {
    */
   protected _maxOperationTimeout: number;
   protected _retryPolicy: RetryPolicy;
+  protected _offlineQueue: OfflineMessageQueue;
+  /**
+   * @private
+   * Maximum time (in milliseconds) during which the client tries to reconnect after losing its connection, before giving up and moving to the `disconnectedPermanently` state.
+   */
+  protected _maxReconnectWindow: number;
 
   private _methodCallbackMap: any;
   private _disconnectHandler: (err?: Error, result?: any) => void;
   private _methodsEnabled: boolean;
+  private _connectionState: ConnectionState;
 
   constructor(transport: DeviceTransport, connStr?: string) {
     /*Codes_SRS_NODE_INTERNAL_CLIENT_05_001: [The Client constructor shall throw ReferenceError if the transport argument is falsy.]*/
@@ -65,6 +75,8 @@ export abstract class InternalClient extends EventEmitter {
 
     super();
     this._methodsEnabled = false;
+    /*Codes_SRS_NODE_INTERNAL_CLIENT_16_117: [The initial connection state of the client shall be `disconnected`.]*/
+    this._connectionState = 'disconnected';
 
     if (connStr) {
       throw new errors.InvalidOperationError('the connectionString parameter of the constructor is not used - users of the SDK should be using the `fromConnectionString` factory method.');
@@ -83,29 +95,29 @@ export abstract class InternalClient extends EventEmitter {
     this._disconnectHandler = (err) => {
       debug('transport disconnect event: ' + (err ? err.toString() : 'no error'));
       if (err && this._retryPolicy.shouldRetry(err)) {
-        /*Codes_SRS_NODE_INTERNAL_CLIENT_16_098: [If the transport emits a `disconnect` event while the client is subscribed to direct methods the retry policy shall be used to reconnect and re-enable the feature using the transport `enableMethods` method.]*/
-        if (this._methodsEnabled) {
-          this._methodsEnabled = false;
-          debug('re-enabling Methods link');
-          this._enableMethods((err) => {
-            if (err) {
-              /*Codes_SRS_NODE_INTERNAL_CLIENT_16_100: [If the retry policy fails to reestablish the direct methods functionality a `disconnect` event shall be emitted with a `results.Disconnected` object.]*/
-              this.emit('disconnect', new results.Disconnected(err));
-            }
-          });
-        }
-
-        /*Codes_SRS_NODE_INTERNAL_CLIENT_16_099: [If the transport emits a `disconnect` event while the client is subscribed to desired properties updates the retry policy shall be used to reconnect and re-enable the feature using the transport `enableTwinDesiredPropertiesUpdates` method.]*/
-        if (this._twin && this._twin.desiredPropertiesUpdatesEnabled) {
-          debug('re-enabling Twin');
-          this._twin.enableTwinDesiredPropertiesUpdates((err) => {
-            if (err) {
-              /*Codes_SRS_NODE_INTERNAL_CLIENT_16_101: [If the retry policy fails to reestablish the twin desired properties updates functionality a `disconnect` event shall be emitted with a `results.Disconnected` object.]*/
-              this.emit('disconnect', new results.Disconnected(err));
-            }
-          });
-        }
+        /*Codes_SRS_NODE_INTERNAL_CLIENT_16_111: [If the transport emits a `disconnect` event with an error that the retry policy considers retryable, the connection state shall change to `reconnecting` with the `communicationError` reason and the error.]*/
+        this._setConnectionState('reconnecting', 'communicationError', err);
+        this._reconnect((reconnectErr) => {
+          if (this._connectionState !== 'reconnecting') {
+            debug('connection state changed while reconnecting: ' + this._connectionState);
+          } else if (reconnectErr) {
+            /*Codes_SRS_NODE_INTERNAL_CLIENT_16_112: [If the retry policy fails to reconnect the transport or to restore the subscriptions of the client, the connection state shall change to `disconnectedPermanently` with the `retryExpired` reason and the error.]*/
+            this._setConnectionState('disconnectedPermanently', 'retryExpired', reconnectErr);
+            /*Codes_SRS_NODE_INTERNAL_CLIENT_16_100: [If the retry policy fails to reestablish the direct methods functionality a `disconnect` event shall be emitted with a `results.Disconnected` object.]*/
+            /*Codes_SRS_NODE_INTERNAL_CLIENT_16_101: [If the retry policy fails to reestablish the twin desired properties updates functionality a `disconnect` event shall be emitted with a `results.Disconnected` object.]*/
+            /*Codes_SRS_NODE_INTERNAL_CLIENT_16_126: [If the retry policy fails to reconnect the transport within the maximum reconnect window, a `disconnect` event shall be emitted with a `results.Disconnected` object.]*/
+            this.emit('disconnect', new results.Disconnected(reconnectErr));
+          } else {
+            /*Codes_SRS_NODE_INTERNAL_CLIENT_16_113: [Once the transport is reconnected and all the subscriptions of the client have been restored, the connection state shall change to `connected` with the `connectionOk` reason.]*/
+            this._setConnectionState('connected', 'connectionOk');
+            /*Codes_SRS_NODE_INTERNAL_CLIENT_16_127: [Once the client is reconnected, it shall replay the offline queue if it is enabled and contains messages.]*/
+            this._replayOfflineQueue();
+          }
+        });
       } else {
+        /*Codes_SRS_NODE_INTERNAL_CLIENT_16_115: [If the transport emits a `disconnect` event with an error that the retry policy does not consider retryable, the connection state shall change to `disconnectedPermanently` with a reason derived from the error: `badCredential` for an `UnauthorizedError`, `communicationError` otherwise.]*/
+        /*Codes_SRS_NODE_INTERNAL_CLIENT_16_116: [If the transport emits a `disconnect` event without an error, the connection state shall change to `disconnected` with the `communicationError` reason.]*/
+        this._setConnectionState(err ? 'disconnectedPermanently' : 'disconnected', this._reasonFromError(err), err);
         this.emit('disconnect', new results.Disconnected(err));
       }
     };
@@ -114,6 +126,8 @@ export abstract class InternalClient extends EventEmitter {
 
     this._retryPolicy = new ExponentialBackOffWithJitter();
     this._maxOperationTimeout = MAX_OPERATION_TIMEOUT;
+    /*Codes_SRS_NODE_INTERNAL_CLIENT_16_124: [The maximum reconnect window shall default to 4 minutes.]*/
+    this._maxReconnectWindow = MAX_OPERATION_TIMEOUT;
   }
 
   /*Codes_SRS_NODE_INTERNAL_CLIENT_05_016: [When a Client method encounters an error in the transport, the callback function (indicated by the done argument) shall be invoked with the following arguments:
@@ -122,58 +136,145 @@ export abstract class InternalClient extends EventEmitter {
   err - null
   response - a transport-specific response object]*/
 
-  updateSharedAccessSignature(sharedAccessSignature: string, updateSasCallback?: (err?: Error, result?: results.SharedAccessSignatureUpdated) => void): void {
+  updateSharedAccessSignature(sharedAccessSignature: string, updateSasCallback: Callback<results.SharedAccessSignatureUpdated>): void;
+  updateSharedAccessSignature(sharedAccessSignature: string): Promise<results.SharedAccessSignatureUpdated>;
+  updateSharedAccessSignature(sharedAccessSignature: string, updateSasCallback?: Callback<results.SharedAccessSignatureUpdated>): Promise<results.SharedAccessSignatureUpdated> | void {
     /*Codes_SRS_NODE_INTERNAL_CLIENT_16_031: [The updateSharedAccessSignature method shall throw a ReferenceError if the sharedAccessSignature parameter is falsy.]*/
     if (!sharedAccessSignature) throw new ReferenceError('sharedAccessSignature is falsy');
 
-    const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
-    retryOp.retry((opCallback) => {
-      this._transport.updateSharedAccessSignature(sharedAccessSignature, opCallback);
-    }, (err, result) => {
-      if (!err) {
-        this.emit('_sharedAccessSignatureUpdated');
-      }
-      safeCallback(updateSasCallback, err, result);
-    });
+    return callbackToPromise((_callback) => {
+      const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
+      retryOp.retry((opCallback) => {
+        this._transport.updateSharedAccessSignature(sharedAccessSignature, opCallback);
+      }, (err, result) => {
+        if (!err) {
+          this.emit('_sharedAccessSignatureUpdated');
+        }
+        _callback(err, result);
+      });
+    }, updateSasCallback);
   }
 
-  open(openCallback: (err?: Error, result?: results.Connected) => void): void {
-    const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
-    retryOp.retry((opCallback) => {
-      this._transport.connect(opCallback);
-    }, (connectErr, connectResult) => {
-      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_060: [The `open` method shall call the `openCallback` callback with a null error object and a `results.Connected()` result object if the transport is already connected, doesn't need to connect or has just connected successfully.]*/
-      safeCallback(openCallback, connectErr, connectResult);
-    });
+  open(openCallback: Callback<results.Connected>): void;
+  open(options: OperationOptions, openCallback: Callback<results.Connected>): void;
+  open(options?: OperationOptions): Promise<results.Connected>;
+  open(optionsOrCallback?: OperationOptions | Callback<results.Connected>, openCallback?: Callback<results.Connected>): Promise<results.Connected> | void {
+    const options: OperationOptions = typeof optionsOrCallback === 'function' ? {} : optionsOrCallback || {};
+    const actualCallback = typeof optionsOrCallback === 'function' ? optionsOrCallback : openCallback;
+    return callbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_118: [The `open` method shall change the connection state to `connecting` with the `clientOpen` reason if the client is not connected.]*/
+      if (this._connectionState !== 'connected') {
+        this._setConnectionState('connecting', 'clientOpen');
+      }
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_131: [The `open` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` connecting the transport.]*/
+      const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout, options.abortSignal);
+      let cancelled = false;
+      retryOp.retry((opCallback) => {
+        this._transport.connect((err, result) => {
+          if (cancelled && !err && this._connectionState === 'disconnected') {
+            /*Codes_SRS_NODE_INTERNAL_CLIENT_16_141: [If `open` has been cancelled while the transport was connecting, the transport shall be disconnected once it connects, unless the client has been opened again in the meantime.]*/
+            debug('disconnecting the transport that connected after open was cancelled');
+            this._transport.disconnect((disconnectErr) => {
+              if (disconnectErr) {
+                debug('error disconnecting the transport after open was cancelled: ' + disconnectErr.toString());
+              }
+            });
+          }
+          opCallback(err, result);
+        });
+      }, (connectErr, connectResult) => {
+        if (connectErr) {
+          /*Codes_SRS_NODE_INTERNAL_CLIENT_16_120: [If the transport fails to connect, the connection state shall change to `disconnected` with the error and the `retryExpired` reason if the error is retryable, `badCredential` for an `UnauthorizedError` and `communicationError` otherwise.]*/
+          if (connectErr instanceof errors.OperationCancelledError) {
+            cancelled = true;
+            /*Codes_SRS_NODE_INTERNAL_CLIENT_16_133: [If `open` is cancelled with `options.abortSignal`, the connection state shall change to `disconnected` with the `clientClose` reason.]*/
+            this._setConnectionState('disconnected', 'clientClose', connectErr);
+          } else {
+            this._setConnectionState('disconnected', this._retryPolicy.shouldRetry(connectErr) ? 'retryExpired' : this._reasonFromError(connectErr), connectErr);
+          }
+        } else {
+          /*Codes_SRS_NODE_INTERNAL_CLIENT_16_045: [If the transport successfully establishes a connection the `open` method shall subscribe to the `disconnect` event of the transport.]*/
+          /*Codes_SRS_NODE_INTERNAL_CLIENT_16_144: [The `open` method shall subscribe to the `disconnect` event of the transport only once, even if it is called again after `close`.]*/
+          this._transport.removeListener('disconnect', this._disconnectHandler);
+          this._transport.on('disconnect', this._disconnectHandler);
+          /*Codes_SRS_NODE_INTERNAL_CLIENT_16_119: [The `open` method shall change the connection state to `connected` with the `connectionOk` reason once the transport is connected.]*/
+          this._setConnectionState('connected', 'connectionOk');
+          /*Codes_SRS_NODE_INTERNAL_CLIENT_16_110: [The `open` method shall start replaying the offline queue if it is enabled and contains messages once the transport is connected.]*/
+          this._replayOfflineQueue();
+        }
+        /*Codes_SRS_NODE_INTERNAL_CLIENT_16_060: [The `open` method shall call the `openCallback` callback with a null error object and a `results.Connected()` result object if the transport is already connected, doesn't need to connect or has just connected successfully.]*/
+        _callback(connectErr, connectResult);
+      });
+    }, actualCallback);
   }
 
-  sendEvent(message: Message, sendEventCallback?: (err?: Error, result?: results.MessageEnqueued) => void): void {
-    const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
-    retryOp.retry((opCallback) => {
-      /*Codes_SRS_NODE_INTERNAL_CLIENT_05_007: [The sendEvent method shall send the event indicated by the message argument via the transport associated with the Client instance.]*/
-      this._transport.sendEvent(message, opCallback);
-    }, (err, result) => {
-      safeCallback(sendEventCallback, err, result);
-    });
+  sendEvent(message: Message, sendEventCallback: Callback<results.MessageEnqueued>): void;
+  sendEvent(message: Message, options: OperationOptions, sendEventCallback: Callback<results.MessageEnqueued>): void;
+  sendEvent(message: Message, options?: OperationOptions): Promise<results.MessageEnqueued>;
+  sendEvent(message: Message, optionsOrCallback?: OperationOptions | Callback<results.MessageEnqueued>, sendEventCallback?: Callback<results.MessageEnqueued>): Promise<results.MessageEnqueued> | void {
+    const options: OperationOptions = typeof optionsOrCallback === 'function' ? {} : optionsOrCallback || {};
+    const actualCallback = typeof optionsOrCallback === 'function' ? optionsOrCallback : sendEventCallback;
+    return callbackToPromise((_callback) => {
+      if (this._offlineQueue) {
+        if (options.abortSignal && options.abortSignal.aborted) {
+          /*Codes_SRS_NODE_INTERNAL_CLIENT_16_132: [When the offline queue is enabled, the `sendEvent` and `sendEventBatch` methods shall call their callback with an `OperationCancelledError` without sending or queuing the messages if `options.abortSignal` is already aborted.]*/
+          _callback(new errors.OperationCancelledError('the operation was cancelled'));
+          return;
+        }
+        this._sendOrQueue([message], undefined, options, (opCallback) => this._transport.sendEvent(message, opCallback), _callback);
+        return;
+      }
+
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_135: [The `sendEvent` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` sending the message.]*/
+      const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout, options.abortSignal);
+      retryOp.retry((opCallback) => {
+        /*Codes_SRS_NODE_INTERNAL_CLIENT_05_007: [The sendEvent method shall send the event indicated by the message argument via the transport associated with the Client instance.]*/
+        this._transport.sendEvent(message, opCallback);
+      }, (err, result) => {
+        _callback(err, result);
+      });
+    }, actualCallback);
   }
 
-  sendEventBatch(messages: Message[], sendEventBatchCallback?: (err?: Error, result?: results.MessageEnqueued) => void): void {
-    const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
-    retryOp.retry((opCallback) => {
-      /*Codes_SRS_NODE_INTERNAL_CLIENT_05_008: [The sendEventBatch method shall send the list of events (indicated by the messages argument) via the transport associated with the Client instance.]*/
-      this._transport.sendEventBatch(messages, opCallback);
-    }, (err, result) => {
-      safeCallback(sendEventBatchCallback, err, result);
-    });
+  sendEventBatch(messages: Message[], sendEventBatchCallback: Callback<results.MessageEnqueued>): void;
+  sendEventBatch(messages: Message[], options: OperationOptions, sendEventBatchCallback: Callback<results.MessageEnqueued>): void;
+  sendEventBatch(messages: Message[], options?: OperationOptions): Promise<results.MessageEnqueued>;
+  sendEventBatch(messages: Message[], optionsOrCallback?: OperationOptions | Callback<results.MessageEnqueued>, sendEventBatchCallback?: Callback<results.MessageEnqueued>): Promise<results.MessageEnqueued> | void {
+    const options: OperationOptions = typeof optionsOrCallback === 'function' ? {} : optionsOrCallback || {};
+    const actualCallback = typeof optionsOrCallback === 'function' ? optionsOrCallback : sendEventBatchCallback;
+    return callbackToPromise((_callback) => {
+      if (this._offlineQueue) {
+        if (options.abortSignal && options.abortSignal.aborted) {
+          /*Codes_SRS_NODE_INTERNAL_CLIENT_16_132: [When the offline queue is enabled, the `sendEvent` and `sendEventBatch` methods shall call their callback with an `OperationCancelledError` without sending or queuing the messages if `options.abortSignal` is already aborted.]*/
+          _callback(new errors.OperationCancelledError('the operation was cancelled'));
+          return;
+        }
+        this._sendOrQueue(messages, undefined, options, (opCallback) => this._transport.sendEventBatch(messages, opCallback), _callback);
+        return;
+      }
+
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_136: [The `sendEventBatch` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` sending the messages.]*/
+      const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout, options.abortSignal);
+      retryOp.retry((opCallback) => {
+        /*Codes_SRS_NODE_INTERNAL_CLIENT_05_008: [The sendEventBatch method shall send the list of events (indicated by the messages argument) via the transport associated with the Client instance.]*/
+        this._transport.sendEventBatch(messages, opCallback);
+      }, (err, result) => {
+        _callback(err, result);
+      });
+    }, actualCallback);
   }
 
-  close(closeCallback?: (err?: Error, result?: results.Disconnected) => void): void {
-    this._closeTransport((err, result) => {
-      safeCallback(closeCallback, err, result);
-    });
+  close(closeCallback: Callback<results.Disconnected>): void;
+  close(): Promise<results.Disconnected>;
+  close(closeCallback?: Callback<results.Disconnected>): Promise<results.Disconnected> | void {
+    return callbackToPromise((_callback) => {
+      this._closeTransport(_callback);
+    }, closeCallback);
   }
 
-  setTransportOptions(options: any, done?: (err?: Error, result?: results.TransportConfigured) => void): void {
+  setTransportOptions(options: any, done: Callback<results.TransportConfigured>): void;
+  setTransportOptions(options: any): Promise<results.TransportConfigured>;
+  setTransportOptions(options: any, done?: Callback<results.TransportConfigured>): Promise<results.TransportConfigured> | void {
     /*Codes_SRS_NODE_INTERNAL_CLIENT_16_024: [The ‘setTransportOptions’ method shall throw a ‘ReferenceError’ if the options object is falsy] */
     if (!options) throw new ReferenceError('options cannot be falsy.');
     /*Codes_SRS_NODE_INTERNAL_CLIENT_16_025: [The ‘setTransportOptions’ method shall throw a ‘NotImplementedError’ if the transport doesn’t implement a ‘setOption’ method.] */
@@ -185,90 +286,131 @@ export abstract class InternalClient extends EventEmitter {
       }
     };
 
-    const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
-    retryOp.retry((opCallback) => {
-      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_021: [The ‘setTransportOptions’ method shall call the ‘setOptions’ method on the transport object.]*/
-      this._transport.setOptions(clientOptions, opCallback);
-    }, (err) => {
-      if (err) {
-        safeCallback(done, err);
-      } else {
-        safeCallback(done, null, new results.TransportConfigured());
-      }
-    });
+    return callbackToPromise((_callback) => {
+      const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
+      retryOp.retry((opCallback) => {
+        /*Codes_SRS_NODE_INTERNAL_CLIENT_16_021: [The ‘setTransportOptions’ method shall call the ‘setOptions’ method on the transport object.]*/
+        this._transport.setOptions(clientOptions, opCallback);
+      }, (err) => {
+        if (err) {
+          _callback(err);
+        } else {
+          _callback(null, new results.TransportConfigured());
+        }
+      });
+    }, done);
   }
 
   /**
    * Passes options to the `Client` object that can be used to configure the transport.
    * @param options   A {@link DeviceClientOptions} object.
    * @param done      The callback to call once the options have been set.
+   *
+   * @returns {Promise<results.TransportConfigured> | void} Promise if no callback function was passed, void otherwise.
    */
-  setOptions(options: DeviceClientOptions, done?: (err?: Error, result?: results.TransportConfigured) => void): void {
+  setOptions(options: DeviceClientOptions, done: Callback<results.TransportConfigured>): void;
+  setOptions(options: DeviceClientOptions): Promise<results.TransportConfigured>;
+  setOptions(options: DeviceClientOptions, done?: Callback<results.TransportConfigured>): Promise<results.TransportConfigured> | void {
     /*Codes_SRS_NODE_INTERNAL_CLIENT_16_042: [The `setOptions` method shall throw a `ReferenceError` if the options object is falsy.]*/
     if (!options) throw new ReferenceError('options cannot be falsy.');
 
-    /*Codes_SRS_NODE_INTERNAL_CLIENT_06_001: [The `setOptions` method shall assume the `ca` property is the name of an already existent file and it will attempt to read that file as a pem into a string value and pass the string to config object `ca` property.  Otherwise, it is assumed to be a pem string.] */
-    if (options.ca) {
-      fs.readFile(options.ca, 'utf8', (err, contents) => {
-        if (!err) {
-          let localOptions: DeviceClientOptions = {};
-          for (let k in options) {
-            localOptions[k] = options[k];
+    return callbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_06_001: [The `setOptions` method shall assume the `ca` property is the name of an already existent file and it will attempt to read that file as a pem into a string value and pass the string to config object `ca` property.  Otherwise, it is assumed to be a pem string.] */
+      if (options.ca) {
+        fs.readFile(options.ca, 'utf8', (err, contents) => {
+          if (!err) {
+            let localOptions: DeviceClientOptions = {};
+            for (let k in options) {
+              localOptions[k] = options[k];
+            }
+            localOptions.ca = contents;
+            this._invokeSetOptions(localOptions, _callback);
+          } else {
+            this._invokeSetOptions(options, _callback);
           }
-          localOptions.ca = contents;
-          this._invokeSetOptions(localOptions, done);
-        } else {
-          this._invokeSetOptions(options, done);
-        }
-      });
-    } else {
-      this._invokeSetOptions(options, done);
-    }
+        });
+      } else {
+        this._invokeSetOptions(options, _callback);
+      }
+    }, done);
   }
 
-  complete(message: Message, completeCallback: (err?: Error, result?: results.MessageCompleted) => void): void {
+  complete(message: Message, completeCallback: Callback<results.MessageCompleted>): void;
+  complete(message: Message, options: OperationOptions, completeCallback: Callback<results.MessageCompleted>): void;
+  complete(message: Message, options?: OperationOptions): Promise<results.MessageCompleted>;
+  complete(message: Message, optionsOrCallback?: OperationOptions | Callback<results.MessageCompleted>, completeCallback?: Callback<results.MessageCompleted>): Promise<results.MessageCompleted> | void {
     /*Codes_SRS_NODE_INTERNAL_CLIENT_16_016: [The ‘complete’ method shall throw a ReferenceError if the ‘message’ parameter is falsy.] */
     if (!message) throw new ReferenceError('message is \'' + message + '\'');
 
-    const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
-    retryOp.retry((opCallback) => {
-      this._transport.complete(message, opCallback);
-    }, (err, result) => {
-      safeCallback(completeCallback, err, result);
-    });
+    const options: OperationOptions = typeof optionsOrCallback === 'function' ? {} : optionsOrCallback || {};
+    const actualCallback = typeof optionsOrCallback === 'function' ? optionsOrCallback : completeCallback;
+    return callbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_137: [The `complete` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` settling the message.]*/
+      const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout, options.abortSignal);
+      retryOp.retry((opCallback) => {
+        this._transport.complete(message, opCallback);
+      }, (err, result) => {
+        _callback(err, result);
+      });
+    }, actualCallback);
   }
 
-  reject(message: Message, rejectCallback: (err?: Error, result?: results.MessageRejected) => void): void {
+  reject(message: Message, rejectCallback: Callback<results.MessageRejected>): void;
+  reject(message: Message, options: OperationOptions, rejectCallback: Callback<results.MessageRejected>): void;
+  reject(message: Message, options?: OperationOptions): Promise<results.MessageRejected>;
+  reject(message: Message, optionsOrCallback?: OperationOptions | Callback<results.MessageRejected>, rejectCallback?: Callback<results.MessageRejected>): Promise<results.MessageRejected> | void {
     /*Codes_SRS_NODE_INTERNAL_CLIENT_16_018: [The reject method shall throw a ReferenceError if the ‘message’ parameter is falsy.] */
     if (!message) throw new ReferenceError('message is \'' + message + '\'');
-    const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
-    retryOp.retry((opCallback) => {
-      this._transport.reject(message, opCallback);
-    }, (err, result) => {
-      safeCallback(rejectCallback, err, result);
-    });
+
+    const options: OperationOptions = typeof optionsOrCallback === 'function' ? {} : optionsOrCallback || {};
+    const actualCallback = typeof optionsOrCallback === 'function' ? optionsOrCallback : rejectCallback;
+    return callbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_138: [The `reject` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` settling the message.]*/
+      const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout, options.abortSignal);
+      retryOp.retry((opCallback) => {
+        this._transport.reject(message, opCallback);
+      }, (err, result) => {
+        _callback(err, result);
+      });
+    }, actualCallback);
   }
 
-  abandon(message: Message, abandonCallback: (err?: Error, result?: results.MessageAbandoned) => void): void {
+  abandon(message: Message, abandonCallback: Callback<results.MessageAbandoned>): void;
+  abandon(message: Message, options: OperationOptions, abandonCallback: Callback<results.MessageAbandoned>): void;
+  abandon(message: Message, options?: OperationOptions): Promise<results.MessageAbandoned>;
+  abandon(message: Message, optionsOrCallback?: OperationOptions | Callback<results.MessageAbandoned>, abandonCallback?: Callback<results.MessageAbandoned>): Promise<results.MessageAbandoned> | void {
     /*Codes_SRS_NODE_INTERNAL_CLIENT_16_017: [The abandon method shall throw a ReferenceError if the ‘message’ parameter is falsy.] */
     if (!message) throw new ReferenceError('message is \'' + message + '\'');
 
-    const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
-    retryOp.retry((opCallback) => {
-      this._transport.abandon(message, opCallback);
-    }, (err, result) => {
-      safeCallback(abandonCallback, err, result);
-    });
+    const options: OperationOptions = typeof optionsOrCallback === 'function' ? {} : optionsOrCallback || {};
+    const actualCallback = typeof optionsOrCallback === 'function' ? optionsOrCallback : abandonCallback;
+    return callbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_139: [The `abandon` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` settling the message.]*/
+      const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout, options.abortSignal);
+      retryOp.retry((opCallback) => {
+        this._transport.abandon(message, opCallback);
+      }, (err, result) => {
+        _callback(err, result);
+      });
+    }, actualCallback);
   }
 
-  getTwin(done: (err?: Error, twin?: Twin) => void): void {
-    /*Codes_SRS_NODE_INTERNAL_CLIENT_16_094: [If this is the first call to `getTwin` the method shall instantiate a new `Twin` object  and pass it the transport currently in use.]*/
-    if (!this._twin) {
-      this._twin = new Twin(this._transport, this._retryPolicy, this._maxOperationTimeout);
-    }
+  getTwin(done: Callback<Twin>): void;
+  getTwin(options: OperationOptions, done: Callback<Twin>): void;
+  getTwin(options?: OperationOptions): Promise<Twin>;
+  getTwin(optionsOrCallback?: OperationOptions | Callback<Twin>, done?: Callback<Twin>): Promise<Twin> | void {
+    const options: OperationOptions = typeof optionsOrCallback === 'function' ? {} : optionsOrCallback || {};
+    const actualCallback = typeof optionsOrCallback === 'function' ? optionsOrCallback : done;
+    return callbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_094: [If this is the first call to `getTwin` the method shall instantiate a new `Twin` object  and pass it the transport currently in use.]*/
+      if (!this._twin) {
+        this._twin = new Twin(this._transport, this._retryPolicy, this._maxOperationTimeout);
+      }
 
-    /*Codes_SRS_NODE_INTERNAL_CLIENT_16_095: [The `getTwin` method shall call the `get()` method on the `Twin` object currently in use and pass it its `done` argument for a callback.]*/
-    this._twin.get(done);
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_095: [The `getTwin` method shall call the `get()` method on the `Twin` object currently in use and pass it its `done` argument for a callback.]*/
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_140: [The `getTwin` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` getting the twin.]*/
+      this._twin.get(options, _callback);
+    }, actualCallback);
   }
 
   /**
@@ -296,6 +438,122 @@ export abstract class InternalClient extends EventEmitter {
     }
   }
 
+  /**
+   * Sets the maximum time during which the client tries to reconnect automatically, using its retry policy, after losing its connection
+   * because of a retryable error. Once the connection is back, every subscription of the client (C2D or input messages, direct methods
+   * and desired properties updates) is restored. If the client cannot reconnect within this window, its connection state changes to
+   * `disconnectedPermanently` and a `disconnect` event is emitted. The default is 4 minutes.
+   *
+   * @param maxReconnectWindow  Maximum reconnect window in milliseconds. `0` means the client tries to reconnect only once.
+   */
+  setMaxReconnectWindow(maxReconnectWindow: number): void {
+    /*Codes_SRS_NODE_INTERNAL_CLIENT_16_125: [The `setMaxReconnectWindow` method shall throw an `ArgumentError` if `maxReconnectWindow` is not a positive number or 0.]*/
+    if (typeof maxReconnectWindow !== 'number' || isNaN(maxReconnectWindow) || maxReconnectWindow < 0) {
+      throw new errors.ArgumentError('maxReconnectWindow must be a positive number or 0 (got \'' + maxReconnectWindow + '\')');
+    }
+
+    /*Codes_SRS_NODE_INTERNAL_CLIENT_16_130: [Any reconnection happening after a `setMaxReconnectWindow` call shall use the window set during that call.]*/
+    this._maxReconnectWindow = maxReconnectWindow;
+  }
+
+  /**
+   * Current state of the connection between the client and the Azure IoT hub.
+   * Every change is signaled with a `connectionStateChange` event carrying a {@link ConnectionStateChange} object.
+   */
+  get connectionState(): ConnectionState {
+    /*Codes_SRS_NODE_INTERNAL_CLIENT_16_121: [The `connectionState` getter shall return the current connection state of the client.]*/
+    return this._connectionState;
+  }
+
+  /**
+   * Enables the offline queue: messages sent with `sendEvent`, `sendEventBatch` (and `sendOutputEvent`, `sendOutputEventBatch` for modules)
+   * that cannot be sent because of a retryable error are persisted in a {@link MessageStore} and replayed in order, under the retry policy
+   * of the client, when the connection is back. The operation that queued a message completes with a {@link azure-iot-common.results.MessageQueued} result.
+   *
+   * Messages persisted by a previous instance of the client in the same store are loaded and replayed.
+   * A `messageDropped` event is emitted with the message, a {@link MessageDropReason} and the error if any, whenever a message is dropped.
+   *
+   * @param options   Optional {@link OfflineQueueOptions} object used to configure the store and the limits of the queue.
+   * @param done      The callback to call once the queue has been loaded and enabled.
+   *
+   * @returns {Promise<void> | void} Promise if no callback function was passed, void otherwise.
+   */
+  enableOfflineQueue(options: OfflineQueueOptions, done: ErrorCallback): void;
+  enableOfflineQueue(options?: OfflineQueueOptions): Promise<void>;
+  enableOfflineQueue(options?: OfflineQueueOptions, done?: ErrorCallback): Promise<void> | void {
+    /*Codes_SRS_NODE_INTERNAL_CLIENT_16_102: [The `enableOfflineQueue` method shall throw an `InvalidOperationError` if the offline queue is already enabled.]*/
+    if (this._offlineQueue) {
+      throw new errors.InvalidOperationError('the offline queue is already enabled');
+    }
+
+    return errorCallbackToPromise((_callback) => {
+      const offlineQueue = new OfflineMessageQueue(options);
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_103: [The client shall emit a `messageDropped` event with the message, the reason and the error if any, when the offline queue drops a message.]*/
+      offlineQueue.on('messageDropped', (message, reason, err) => this.emit('messageDropped', message, reason, err));
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_104: [The `enableOfflineQueue` method shall load the messages persisted in the store and call its callback with an error if they cannot be loaded.]*/
+      offlineQueue.load((err) => {
+        if (err) {
+          _callback(err);
+        } else {
+          this._offlineQueue = offlineQueue;
+          /*Codes_SRS_NODE_INTERNAL_CLIENT_16_105: [The `enableOfflineQueue` method shall start replaying the messages loaded from the store, if any.]*/
+          this._replayOfflineQueue();
+          _callback();
+        }
+      });
+    }, done);
+  }
+
+  protected _sendOrQueue(messages: Message[], outputName: string, options: OperationOptions, sendOperation: (callback: Callback<results.MessageEnqueued>) => void, callback: Callback<results.MessageEnqueued>): void {
+    if (this._offlineQueue.length > 0) {
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_106: [When the offline queue is enabled and contains messages, new messages shall be added to the queue so that they are sent in order.]*/
+      this._enqueueMessages(messages, outputName, options.abortSignal, callback);
+    } else {
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_107: [When the offline queue is enabled and empty, messages shall be sent with a single transport operation and added to the queue if it fails with an error that the retry policy considers retryable.]*/
+      sendOperation((err, result) => {
+        if (err && this._retryPolicy.shouldRetry(err)) {
+          if (options.abortSignal && options.abortSignal.aborted) {
+            /*Codes_SRS_NODE_INTERNAL_CLIENT_16_142: [When the offline queue is enabled, messages shall not be added to the queue and the callback shall be called with an `OperationCancelledError` if `options.abortSignal` has been aborted while they were being sent.]*/
+            callback(new errors.OperationCancelledError('the operation was cancelled'));
+            return;
+          }
+          debug('queuing messages after error: ' + err.toString());
+          this._enqueueMessages(messages, outputName, options.abortSignal, callback);
+        } else if (!err && result instanceof results.MessageBatchEnqueued) {
+          this._enqueueFailedBatchMessages(messages, outputName, options.abortSignal, result, callback);
+        } else {
+          callback(err, result);
+        }
+      });
+    }
+  }
+
+  /**
+   * @private
+   * Returns the functions re-enabling the features the client had subscribed to. Overridden by the device and module clients to add their own features.
+   */
+  protected _getSubscriptionRestorers(): ((callback: ErrorCallback) => void)[] {
+    const restorers: ((callback: ErrorCallback) => void)[] = [];
+    /*Codes_SRS_NODE_INTERNAL_CLIENT_16_098: [If the transport emits a `disconnect` event while the client is subscribed to direct methods the retry policy shall be used to reconnect and re-enable the feature using the transport `enableMethods` method.]*/
+    if (this._methodsEnabled) {
+      restorers.push((callback) => {
+        this._methodsEnabled = false;
+        debug('re-enabling Methods link');
+        this._enableMethods(callback);
+      });
+    }
+
+    /*Codes_SRS_NODE_INTERNAL_CLIENT_16_099: [If the transport emits a `disconnect` event while the client is subscribed to desired properties updates the retry policy shall be used to reconnect and re-enable the feature using the transport `enableTwinDesiredPropertiesUpdates` method.]*/
+    if (this._twin && this._twin.desiredPropertiesUpdatesEnabled) {
+      restorers.push((callback) => {
+        debug('re-enabling Twin');
+        this._twin.enableTwinDesiredPropertiesUpdates(callback);
+      });
+    }
+
+    return restorers;
+  }
+
   protected _onDeviceMethod(methodName: string, callback: (request: DeviceMethodRequest, response: DeviceMethodResponse) => void): void {
     // validate input args
     this._validateDeviceMethodInputs(methodName, callback);
@@ -397,17 +655,147 @@ export abstract class InternalClient extends EventEmitter {
   //   }
   // }
 
+  private _enqueueMessages(messages: Message[], outputName: string, abortSignal: AbortSignalLike, callback: Callback<results.MessageEnqueued>): void {
+    let remaining = messages.length;
+    let enqueueError: Error;
+    /*Codes_SRS_NODE_INTERNAL_CLIENT_16_134: [If `messages` is an empty array, the callback shall be called immediately with a `results.MessageQueued` object and nothing shall be added to the offline queue.]*/
+    if (remaining === 0) {
+      callback(null, new results.MessageQueued());
+      return;
+    }
+
+    messages.forEach((message) => {
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_143: [When the offline queue is enabled, aborting `options.abortSignal` shall remove the messages that are still waiting in the queue.]*/
+      this._offlineQueue.enqueue(message, outputName, abortSignal, (err) => {
+        enqueueError = enqueueError || err;
+        if (--remaining === 0) {
+          this._replayOfflineQueue();
+          /*Codes_SRS_NODE_INTERNAL_CLIENT_16_108: [Once the messages have been added to the offline queue, the callback shall be called with a `results.MessageQueued` object, or with the first error that prevented a message from being added.]*/
+          if (enqueueError) {
+            callback(enqueueError);
+          } else {
+            callback(null, new results.MessageQueued());
+          }
+        }
+      });
+    });
+  }
+
+  private _enqueueFailedBatchMessages(messages: Message[], outputName: string, abortSignal: AbortSignalLike, batchResult: results.MessageBatchEnqueued, callback: Callback<results.MessageEnqueued>): void {
+    const retryableIndexes: number[] = [];
+    batchResult.messageResults.forEach((messageResult, index) => {
+      if (!messageResult.error) {
+        return;
+      } else if (this._retryPolicy.shouldRetry(messageResult.error) && !(abortSignal && abortSignal.aborted)) {
+        retryableIndexes.push(index);
+      } else {
+        /*Codes_SRS_NODE_INTERNAL_CLIENT_16_146: [When the offline queue is enabled, a `messageDropped` event shall be emitted with the `error` reason, or `cancelled` if `options.abortSignal` has been aborted, for each message of a batch that failed without being added to the queue.]*/
+        this.emit('messageDropped', messages[index], abortSignal && abortSignal.aborted ? 'cancelled' : 'error', messageResult.error);
+      }
+    });
+
+    if (retryableIndexes.length === 0) {
+      callback(null, batchResult);
+      return;
+    }
+
+    /*Codes_SRS_NODE_INTERNAL_CLIENT_16_145: [When the offline queue is enabled, the messages of a batch that failed with an error that the retry policy considers retryable shall be added to the queue, and their entry in the `messageResults` of the `results.MessageBatchEnqueued` object passed to the callback shall be replaced by a `results.MessageQueued` result.]*/
+    debug('queuing ' + retryableIndexes.length + ' messages that failed in a batch');
+    this._enqueueMessages(retryableIndexes.map((index) => messages[index]), outputName, abortSignal, (err) => {
+      if (err) {
+        debug('could not queue the messages that failed in a batch: ' + err.toString());
+      } else {
+        retryableIndexes.forEach((index) => {
+          batchResult.messageResults[index] = { result: new results.MessageQueued() };
+        });
+      }
+      callback(null, batchResult);
+    });
+  }
+
+  private _setConnectionState(state: ConnectionState, reason: ConnectionStateChangeReason, error?: Error): void {
+    const previousState = this._connectionState;
+    if (previousState !== state) {
+      debug('connection state: ' + previousState + ' -> ' + state + ' (' + reason + ')');
+      this._connectionState = state;
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_122: [A `connectionStateChange` event shall be emitted with a `ConnectionStateChange` object containing the previous state, the new state, the reason and the error if any, every time the connection state changes.]*/
+      this.emit('connectionStateChange', { previousState: previousState, state: state, reason: reason, error: error });
+    }
+  }
+
+  private _reasonFromError(err?: Error): ConnectionStateChangeReason {
+    return err instanceof errors.UnauthorizedError ? 'badCredential' : 'communicationError';
+  }
+
+  private _reconnect(callback: ErrorCallback): void {
+    /*Codes_SRS_NODE_INTERNAL_CLIENT_16_114: [After a retryable `disconnect` event, the client shall reconnect the transport using its `connect` method within a `RetryOperation` built with the retry policy and the maximum reconnect window.]*/
+    const retryOp = new RetryOperation(this._retryPolicy, this._maxReconnectWindow);
+    retryOp.retry((opCallback) => {
+      if (this._connectionState !== 'reconnecting') {
+        /*Codes_SRS_NODE_INTERNAL_CLIENT_16_128: [The client shall stop trying to reconnect if the connection state is no longer `reconnecting`, for example because the application closed or opened the client.]*/
+        opCallback(new errors.OperationCancelledError('the client is no longer reconnecting'));
+      } else {
+        this._transport.connect(opCallback);
+      }
+    }, (connectErr) => {
+      if (connectErr) {
+        callback(connectErr);
+      } else {
+        /*Codes_SRS_NODE_INTERNAL_CLIENT_16_129: [Once the transport is reconnected, the client shall restore all its subscriptions: C2D or input messages, direct methods and desired properties updates.]*/
+        this._restoreSubscriptions(callback);
+      }
+    });
+  }
+
+  private _restoreSubscriptions(callback: ErrorCallback): void {
+    const restorers = this._getSubscriptionRestorers();
+    let remaining = restorers.length;
+    let firstError: Error;
+    if (remaining === 0) {
+      callback();
+      return;
+    }
+
+    restorers.forEach((restore) => {
+      restore((err) => {
+        firstError = firstError || err;
+        if (--remaining === 0) {
+          callback(firstError);
+        }
+      });
+    });
+  }
+
+  private _replayOfflineQueue(): void {
+    if (this._offlineQueue && this._offlineQueue.length > 0) {
+      this._offlineQueue.replay(this._retryPolicy, this._maxOperationTimeout, (queuedMessage, callback) => {
+        if (queuedMessage.outputName) {
+          this._transport.sendOutputEvent(queuedMessage.outputName, queuedMessage.message, callback);
+        } else {
+          this._transport.sendEvent(queuedMessage.message, callback);
+        }
+      });
+    }
+  }
+
   private _closeTransport(closeCallback: (err?: Error, result?: any) => void): void {
     const onDisconnected = (err?: Error, result?: any): void => {
-      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_056: [The `close` method shall not throw if the `closeCallback` is not passed.]*/
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_056: [If the `closeCallback` callback is not passed, the `close` method shall not throw and shall return a `Promise` that is resolved with the result of the operation or rejected with its error.]*/
       /*Codes_SRS_NODE_INTERNAL_CLIENT_16_055: [The `close` method shall call the `closeCallback` function when done with either a single Error object if it failed or null and a results.Disconnected object if successful.]*/
       safeCallback(closeCallback, err, result);
     };
 
+    /*Codes_SRS_NODE_INTERNAL_CLIENT_16_109: [The `close` method shall stop replaying the offline queue once the message being sent, if any, completes.]*/
+    if (this._offlineQueue) {
+      this._offlineQueue.stopReplay();
+    }
+
     /*Codes_SRS_NODE_INTERNAL_CLIENT_16_046: [The `close` method shall remove the listener that has been attached to the transport `disconnect` event.]*/
     this._transport.removeListener('disconnect', this._disconnectHandler);
     /*Codes_SRS_NODE_INTERNAL_CLIENT_16_001: [The `close` function shall call the transport's `disconnect` function if it exists.]*/
     this._transport.disconnect((disconnectError, disconnectResult) => {
+      /*Codes_SRS_NODE_INTERNAL_CLIENT_16_123: [The `close` method shall change the connection state to `disconnected` with the `clientClose` reason once the transport is disconnected.]*/
+      this._setConnectionState('disconnected', 'clientClose', disconnectError);
       onDisconnected(disconnectError, disconnectResult);
     });
   }
@@ -7,19 +7,15 @@ import * as dbg from 'debug';
 const debug = dbg('azure-iot-device:ModuleClient');
 
 import * as fs from 'fs';
-import { results, Message, RetryOperation, ConnectionString, AuthenticationProvider } from 'azure-iot-common';
+import { results, Message, RetryOperation, ConnectionString, AuthenticationProvider, OperationOptions } from 'azure-iot-common';
 import { InternalClient, DeviceTransport } from './internal_client';
-import { errors } from 'azure-iot-common';
+import { errors, Callback, ErrorCallback, callbackToPromise } from 'azure-iot-common';
 import { SharedAccessKeyAuthenticationProvider } from './sak_authentication_provider';
 import { SharedAccessSignatureAuthenticationProvider } from './sas_authentication_provider';
 import { IotEdgeAuthenticationProvider } from './iotedge_authentication_provider';
-import { MethodParams, MethodCallback, MethodClient, DeviceMethodRequest, DeviceMethodResponse } from './device_method';
+import { MethodParams, MethodResult, MethodClient, DeviceMethodRequest, DeviceMethodResponse } from './device_method';
 import { DeviceClientOptions } from './interfaces';
 
-function safeCallback(callback?: (err?: Error, result?: any) => void, error?: Error, result?: any): void {
-  if (callback) callback(error, result);
-}
-
 /**
  * IoT Hub device client used to connect a device with an Azure IoT hub.
  *
@@ -30,7 +26,6 @@ function safeCallback(callback?: (err?: Error, result?: any) => void, error?: Er
  */
 export class ModuleClient extends InternalClient {
   private _inputMessagesEnabled: boolean;
-  private _moduleDisconnectHandler: (err?: Error, result?: any) => void;
   private _methodClient: MethodClient;
 
   /**
@@ -74,25 +69,6 @@ export class ModuleClient extends InternalClient {
         });
       }
     });
-
-    this._moduleDisconnectHandler = (err) => {
-      debug('transport disconnect event: ' + (err ? err.toString() : 'no error'));
-      if (err && this._retryPolicy.shouldRetry(err)) {
-        if (this._inputMessagesEnabled) {
-          this._inputMessagesEnabled = false;
-          debug('re-enabling input message link');
-          this._enableInputMessages((err) => {
-            if (err) {
-              /*Codes_SRS_NODE_MODULE_CLIENT_16_102: [If the retry policy fails to reestablish the C2D functionality a `disconnect` event shall be emitted with a `results.Disconnected` object.]*/
-              this.emit('disconnect', new results.Disconnected(err));
-            }
-          });
-        }
-      }
-    };
-
-    /*Codes_SRS_NODE_MODULE_CLIENT_16_045: [If the transport successfully establishes a connection the `open` method shall subscribe to the `disconnect` event of the transport.]*/
-    this._transport.on('disconnect', this._moduleDisconnectHandler);
   }
 
   /**
@@ -100,17 +76,37 @@ export class ModuleClient extends InternalClient {
    * @param outputName Name of the output to send the event to
    * @param message Message to send to the given output
    * @param callback Function to call when the operation has been queued.
+   * @returns {Promise<results.MessageEnqueued> | void} Promise if no callback function was passed, void otherwise.
    */
-  sendOutputEvent(outputName: string, message: Message, callback: (err?: Error, result?: results.MessageEnqueued) => void): void {
-    const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
-    retryOp.retry((opCallback) => {
-      /* Codes_SRS_NODE_MODULE_CLIENT_18_010: [ The `sendOutputEvent` method shall send the event indicated by the `message` argument via the transport associated with the Client instance. ]*/
-      this._transport.sendOutputEvent(outputName, message, opCallback);
-    }, (err, result) => {
-      /*Codes_SRS_NODE_MODULE_CLIENT_18_018: [ When the `sendOutputEvent` method completes, the `callback` function shall be invoked with the same arguments as the underlying transport method's callback. ]*/
-      /*Codes_SRS_NODE_MODULE_CLIENT_18_019: [ The `sendOutputEvent` method shall not throw if the `callback` is not passed. ]*/
-      safeCallback(callback, err, result);
-    });
+  sendOutputEvent(outputName: string, message: Message, callback: Callback<results.MessageEnqueued>): void;
+  sendOutputEvent(outputName: string, message: Message, options: OperationOptions, callback: Callback<results.MessageEnqueued>): void;
+  sendOutputEvent(outputName: string, message: Message, options?: OperationOptions): Promise<results.MessageEnqueued>;
+  sendOutputEvent(outputName: string, message: Message, optionsOrCallback?: OperationOptions | Callback<results.MessageEnqueued>, callback?: Callback<results.MessageEnqueued>): Promise<results.MessageEnqueued> | void {
+    const options: OperationOptions = typeof optionsOrCallback === 'function' ? {} : optionsOrCallback || {};
+    const actualCallback = typeof optionsOrCallback === 'function' ? optionsOrCallback : callback;
+    return callbackToPromise((_callback) => {
+      if (this._offlineQueue) {
+        if (options.abortSignal && options.abortSignal.aborted) {
+          /*Codes_SRS_NODE_MODULE_CLIENT_16_113: [When the offline queue is enabled, the `sendOutputEvent` and `sendOutputEventBatch` methods shall call their callback with an `OperationCancelledError` without sending or queuing the messages if `options.abortSignal` is already aborted.]*/
+          _callback(new errors.OperationCancelledError('the operation was cancelled'));
+          return;
+        }
+        /*Codes_SRS_NODE_MODULE_CLIENT_16_110: [When the offline queue is enabled, the `sendOutputEvent` method shall add the message to the queue with its `outputName` if it cannot be sent because of a retryable error or if the queue already contains messages.]*/
+        this._sendOrQueue([message], outputName, options, (opCallback) => this._transport.sendOutputEvent(outputName, message, opCallback), _callback);
+        return;
+      }
+
+      /*Codes_SRS_NODE_MODULE_CLIENT_16_112: [The `sendOutputEvent` and `sendOutputEventBatch` methods shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` executing the operation, so that aborting the signal stops the pending retries and fails the operation with an `OperationCancelledError`.]*/
+      const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout, options.abortSignal);
+      retryOp.retry((opCallback) => {
+        /* Codes_SRS_NODE_MODULE_CLIENT_18_010: [ The `sendOutputEvent` method shall send the event indicated by the `message` argument via the transport associated with the Client instance. ]*/
+        this._transport.sendOutputEvent(outputName, message, opCallback);
+      }, (err, result) => {
+        /*Codes_SRS_NODE_MODULE_CLIENT_18_018: [ When the `sendOutputEvent` method completes, the `callback` function shall be invoked with the same arguments as the underlying transport method's callback. ]*/
+        /*Codes_SRS_NODE_MODULE_CLIENT_18_019: [ If the `callback` argument is not passed, the `sendOutputEvent` method shall not throw and shall return a `Promise` that is resolved with the result of the operation or rejected with its error. ]*/
+        _callback(err, result);
+      });
+    }, actualCallback);
   }
 
   /**
@@ -118,28 +114,53 @@ export class ModuleClient extends InternalClient {
    * @param outputName Name of the output to send the events to
    * @param message Messages to send to the given output
    * @param callback Function to call when the operations have been queued.
+   * @returns {Promise<results.MessageEnqueued> | void} Promise if no callback function was passed, void otherwise.
    */
-  sendOutputEventBatch(outputName: string, messages: Message[], callback: (err?: Error, result?: results.MessageEnqueued) => void): void {
-    const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
-    retryOp.retry((opCallback) => {
-      /* Codes_SRS_NODE_MODULE_CLIENT_18_011: [ The `sendOutputEventBatch` method shall send the list of events (indicated by the `messages` argument) via the transport associated with the Client instance. ]*/
-      this._transport.sendOutputEventBatch(outputName, messages, opCallback);
-    }, (err, result) => {
-      /*Codes_SRS_NODE_MODULE_CLIENT_18_021: [ When the `sendOutputEventBatch` method completes the `callback` function shall be invoked with the same arguments as the underlying transport method's callback. ]*/
-      /*Codes_SRS_NODE_MODULE_CLIENT_18_022: [ The `sendOutputEventBatch` method shall not throw if the `callback` is not passed. ]*/
-      safeCallback(callback, err, result);
-    });
+  sendOutputEventBatch(outputName: string, messages: Message[], callback: Callback<results.MessageEnqueued>): void;
+  sendOutputEventBatch(outputName: string, messages: Message[], options: OperationOptions, callback: Callback<results.MessageEnqueued>): void;
+  sendOutputEventBatch(outputName: string, messages: Message[], options?: OperationOptions): Promise<results.MessageEnqueued>;
+  sendOutputEventBatch(outputName: string, messages: Message[], optionsOrCallback?: OperationOptions | Callback<results.MessageEnqueued>, callback?: Callback<results.MessageEnqueued>): Promise<results.MessageEnqueued> | void {
+    const options: OperationOptions = typeof optionsOrCallback === 'function' ? {} : optionsOrCallback || {};
+    const actualCallback = typeof optionsOrCallback === 'function' ? optionsOrCallback : callback;
+    return callbackToPromise((_callback) => {
+      if (this._offlineQueue) {
+        if (options.abortSignal && options.abortSignal.aborted) {
+          /*Codes_SRS_NODE_MODULE_CLIENT_16_113: [When the offline queue is enabled, the `sendOutputEvent` and `sendOutputEventBatch` methods shall call their callback with an `OperationCancelledError` without sending or queuing the messages if `options.abortSignal` is already aborted.]*/
+          _callback(new errors.OperationCancelledError('the operation was cancelled'));
+          return;
+        }
+        /*Codes_SRS_NODE_MODULE_CLIENT_16_111: [When the offline queue is enabled, the `sendOutputEventBatch` method shall add the messages to the queue with their `outputName` if they cannot be sent because of a retryable error or if the queue already contains messages.]*/
+        this._sendOrQueue(messages, outputName, options, (opCallback) => this._transport.sendOutputEventBatch(outputName, messages, opCallback), _callback);
+        return;
+      }
+
+      /*Codes_SRS_NODE_MODULE_CLIENT_16_112: [The `sendOutputEvent` and `sendOutputEventBatch` methods shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` executing the operation, so that aborting the signal stops the pending retries and fails the operation with an `OperationCancelledError`.]*/
+      const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout, options.abortSignal);
+      retryOp.retry((opCallback) => {
+        /* Codes_SRS_NODE_MODULE_CLIENT_18_011: [ The `sendOutputEventBatch` method shall send the list of events (indicated by the `messages` argument) via the transport associated with the Client instance. ]*/
+        this._transport.sendOutputEventBatch(outputName, messages, opCallback);
+      }, (err, result) => {
+        /*Codes_SRS_NODE_MODULE_CLIENT_18_021: [ When the `sendOutputEventBatch` method completes the `callback` function shall be invoked with the same arguments as the underlying transport method's callback. ]*/
+        /*Codes_SRS_NODE_MODULE_CLIENT_18_022: [ If the `callback` argument is not passed, the `sendOutputEventBatch` method shall not throw and shall return a `Promise` that is resolved with the result of the operation or rejected with its error. ]*/
+        _callback(err, result);
+      });
+    }, actualCallback);
   }
+
   /**
    * Closes the transport connection and destroys the client resources.
    *
    * *Note: After calling this method the ModuleClient object cannot be reused.*
    *
    * @param closeCallback Function to call once the transport is disconnected and the client closed.
+   * @returns {Promise<results.Disconnected> | void} Promise if no callback function was passed, void otherwise.
    */
-  close(closeCallback?: (err?: Error, result?: results.Disconnected) => void): void {
-    this._transport.removeListener('disconnect', this._moduleDisconnectHandler);
-    super.close(closeCallback);
+  close(closeCallback: Callback<results.Disconnected>): void;
+  close(): Promise<results.Disconnected>;
+  close(closeCallback?: Callback<results.Disconnected>): Promise<results.Disconnected> | void {
+    return callbackToPromise((_callback) => {
+      super.close(_callback);
+    }, closeCallback);
   }
 
   /**
@@ -150,10 +171,13 @@ export class ModuleClient extends InternalClient {
    * @param moduleId      target module identifier on the device identified with the `deviceId` argument
    * @param methodParams  parameters of the direct method call
    * @param callback      callback that will be invoked either with an Error object or the result of the method call.
+   * @returns {Promise<MethodResult> | void} Promise if no callback function was passed, void otherwise.
    */
-  invokeMethod(deviceId: string, methodParams: MethodParams, callback: MethodCallback): void;
-  invokeMethod(deviceId: string, moduleId: string, methodParams: MethodParams, callback: MethodCallback): void;
-  invokeMethod(deviceId: string, moduleIdOrMethodParams: string | MethodParams, methodParamsOrCallback: MethodParams | MethodCallback, callback?: MethodCallback): void {
+  invokeMethod(deviceId: string, methodParams: MethodParams, callback: Callback<MethodResult>): void;
+  invokeMethod(deviceId: string, moduleId: string, methodParams: MethodParams, callback: Callback<MethodResult>): void;
+  invokeMethod(deviceId: string, methodParams: MethodParams): Promise<MethodResult>;
+  invokeMethod(deviceId: string, moduleId: string, methodParams: MethodParams): Promise<MethodResult>;
+  invokeMethod(deviceId: string, moduleIdOrMethodParams: string | MethodParams, methodParamsOrCallback?: MethodParams | Callback<MethodResult>, callback?: Callback<MethodResult>): Promise<MethodResult> | void {
     /*Codes_SRS_NODE_MODULE_CLIENT_16_093: [`invokeMethod` shall throw a `ReferenceError` if the `deviceId` argument is falsy.]*/
     if (!deviceId) {
       throw new ReferenceError('deviceId cannot be \'' + deviceId + '\'');
@@ -178,8 +202,10 @@ export class ModuleClient extends InternalClient {
       throw new errors.ArgumentError('the name property of the methodParams argument cannot be \'' + (actualMethodParams as MethodParams).methodName + '\'');
     }
 
-    /*Codes_SRS_NODE_MODULE_CLIENT_16_097: [`invokeMethod` shall call the `invokeMethod` API of the `MethodClient` API that was created for the `ModuleClient` instance.]*/
-    this._methodClient.invokeMethod(deviceId, actualModuleId, actualMethodParams as MethodParams, actualCallback);
+    return callbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_MODULE_CLIENT_16_097: [`invokeMethod` shall call the `invokeMethod` API of the `MethodClient` API that was created for the `ModuleClient` instance.]*/
+      this._methodClient.invokeMethod(deviceId, actualModuleId, actualMethodParams as MethodParams, _callback);
+    }, actualCallback as Callback<MethodResult>);
   }
 
   /**
@@ -196,14 +222,33 @@ export class ModuleClient extends InternalClient {
    * Passes options to the `ModuleClient` object that can be used to configure the transport.
    * @param options   A {@link DeviceClientOptions} object.
    * @param done      The callback to call once the options have been set.
+   * @returns {Promise<results.TransportConfigured> | void} Promise if no callback function was passed, void otherwise.
    */
-  setOptions(options: DeviceClientOptions, done?: (err?: Error, result?: results.TransportConfigured) => void): void {
+  setOptions(options: DeviceClientOptions, done: Callback<results.TransportConfigured>): void;
+  setOptions(options: DeviceClientOptions): Promise<results.TransportConfigured>;
+  setOptions(options: DeviceClientOptions, done?: Callback<results.TransportConfigured>): Promise<results.TransportConfigured> | void {
     /*Codes_SRS_NODE_MODULE_CLIENT_16_098: [The `setOptions` method shall call the `setOptions` method with the `options` argument on the `MethodClient` object of the `ModuleClient`.]*/
     this._methodClient.setOptions(options);
     /*Codes_SRS_NODE_MODULE_CLIENT_16_042: [The `setOptions` method shall throw a `ReferenceError` if the options object is falsy.]*/
     /*Codes_SRS_NODE_MODULE_CLIENT_16_043: [The `done` callback shall be invoked with no parameters when it has successfully finished setting the client and/or transport options.]*/
     /*Codes_SRS_NODE_MODULE_CLIENT_16_044: [The `done` callback shall be invoked with a standard javascript `Error` object and no result object if the client could not be configured as requested.]*/
-    super.setOptions(options, done);
+    return super.setOptions(options, done);
+  }
+
+  /**
+   * @private
+   */
+  protected _getSubscriptionRestorers(): ((callback: ErrorCallback) => void)[] {
+    const restorers = super._getSubscriptionRestorers();
+    /*Codes_SRS_NODE_MODULE_CLIENT_16_102: [If the retry policy fails to reestablish the C2D functionality a `disconnect` event shall be emitted with a `results.Disconnected` object.]*/
+    if (this._inputMessagesEnabled) {
+      restorers.push((restoreCallback) => {
+        this._inputMessagesEnabled = false;
+        debug('re-enabling input message link');
+        this._enableInputMessages(restoreCallback);
+      });
+    }
+    return restorers;
   }
 
   private _disableInputMessages(callback: (err?: Error) => void): void {
@@ -0,0 +1,184 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as dbg from 'debug';
+const debug = dbg('azure-iot-device:FileMessageStore');
+
+import { Message } from 'azure-iot-common';
+import { MessageStore, QueuedMessage } from './message_store';
+
+const fileNameRegex = /^\d+\.json$/;
+const tempFileNameRegex = /^\d+\.json\.tmp$/;
+
+/**
+ * Message store that persists each message in its own JSON file in a directory, so that messages that have not been sent survive a restart of the process.
+ */
+export class FileMessageStore implements MessageStore {
+  private _directory: string;
+
+  /**
+   * @param directory Path of the directory in which the messages are persisted. It is created if it does not exist.
+   */
+  constructor(directory: string) {
+    /*Codes_SRS_NODE_FILE_MESSAGE_STORE_16_001: [The `FileMessageStore` constructor shall throw a `ReferenceError` if `directory` is falsy.]*/
+    if (!directory) {
+      throw new ReferenceError('directory cannot be \'' + directory + '\'');
+    }
+    this._directory = directory;
+  }
+
+  /**
+   * Creates the directory if necessary and reads all the messages persisted in it.
+   */
+  load(callback: (err?: Error, queuedMessages?: QueuedMessage[]) => void): void {
+    /*Codes_SRS_NODE_FILE_MESSAGE_STORE_16_002: [The `load` method shall create the directory if it does not exist.]*/
+    fs.mkdir(this._directory, (mkdirErr: NodeJS.ErrnoException) => {
+      if (mkdirErr && mkdirErr.code !== 'EEXIST') {
+        /*Codes_SRS_NODE_FILE_MESSAGE_STORE_16_003: [The `load` method shall call its callback with an error if the directory cannot be created or read.]*/
+        callback(mkdirErr);
+        return;
+      }
+
+      fs.readdir(this._directory, (readdirErr, fileNames) => {
+        if (readdirErr) {
+          /*Codes_SRS_NODE_FILE_MESSAGE_STORE_16_003: [The `load` method shall call its callback with an error if the directory cannot be created or read.]*/
+          callback(readdirErr);
+          return;
+        }
+
+        const tempFiles = fileNames.filter((fileName) => tempFileNameRegex.test(fileName));
+        const messageFiles = fileNames.filter((fileName) => fileNameRegex.test(fileName));
+        const queuedMessages: QueuedMessage[] = [];
+        let remaining = tempFiles.length + messageFiles.length;
+        if (remaining === 0) {
+          callback(null, queuedMessages);
+          return;
+        }
+
+        const onFileProcessed = () => {
+          if (--remaining === 0) {
+            callback(null, queuedMessages);
+          }
+        };
+
+        /*Codes_SRS_NODE_FILE_MESSAGE_STORE_16_011: [The `load` method shall delete the temporary files left in the directory by messages that were being added when the process stopped.]*/
+        tempFiles.forEach((fileName) => this._deleteTempFile(path.join(this._directory, fileName), onFileProcessed));
+
+        messageFiles.forEach((fileName) => {
+          fs.readFile(path.join(this._directory, fileName), 'utf8', (readErr, contents) => {
+            if (readErr) {
+              debug('could not read ' + fileName + ': ' + readErr.toString());
+            } else {
+              try {
+                /*Codes_SRS_NODE_FILE_MESSAGE_STORE_16_004: [The `load` method shall call its callback with the messages deserialized from the message files found in the directory, with their data, properties and system properties.]*/
+                queuedMessages.push(FileMessageStore._deserialize(contents));
+              } catch (parseErr) {
+                /*Codes_SRS_NODE_FILE_MESSAGE_STORE_16_005: [The `load` method shall ignore the files that cannot be read or parsed.]*/
+                debug('could not parse ' + fileName + ': ' + parseErr.toString());
+              }
+            }
+
+            onFileProcessed();
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Writes the message to a new file in the directory.
+   */
+  add(queuedMessage: QueuedMessage, callback: (err?: Error) => void): void {
+    const filePath = this._filePath(queuedMessage);
+    const tempFilePath = filePath + '.tmp';
+    /*Codes_SRS_NODE_FILE_MESSAGE_STORE_16_006: [The `add` method shall write the serialized message to a temporary file and then rename it to `<sequenceNumber>.json` so that partially written messages are never loaded.]*/
+    fs.writeFile(tempFilePath, FileMessageStore._serialize(queuedMessage), 'utf8', (writeErr) => {
+      if (writeErr) {
+        /*Codes_SRS_NODE_FILE_MESSAGE_STORE_16_007: [The `add` method shall call its callback with an error if the message cannot be written.]*/
+        /*Codes_SRS_NODE_FILE_MESSAGE_STORE_16_010: [The `add` method shall delete the temporary file if the message cannot be written or the file cannot be renamed.]*/
+        this._deleteTempFile(tempFilePath, () => callback(writeErr));
+      } else {
+        fs.rename(tempFilePath, filePath, (renameErr) => {
+          if (renameErr) {
+            /*Codes_SRS_NODE_FILE_MESSAGE_STORE_16_010: [The `add` method shall delete the temporary file if the message cannot be written or the file cannot be renamed.]*/
+            this._deleteTempFile(tempFilePath, () => callback(renameErr));
+          } else {
+            callback(null);
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Deletes the file of the message.
+   */
+  remove(queuedMessage: QueuedMessage, callback: (err?: Error) => void): void {
+    fs.unlink(this._filePath(queuedMessage), (err: NodeJS.ErrnoException) => {
+      /*Codes_SRS_NODE_FILE_MESSAGE_STORE_16_008: [The `remove` method shall delete the file of the message and call its callback with no error if the file does not exist.]*/
+      /*Codes_SRS_NODE_FILE_MESSAGE_STORE_16_009: [The `remove` method shall call its callback with an error if the file exists and cannot be deleted.]*/
+      callback(err && err.code !== 'ENOENT' ? err : undefined);
+    });
+  }
+
+  private _deleteTempFile(tempFilePath: string, callback: () => void): void {
+    fs.unlink(tempFilePath, (err: NodeJS.ErrnoException) => {
+      if (err && err.code !== 'ENOENT') {
+        debug('could not delete ' + tempFilePath + ': ' + err.toString());
+      }
+      callback();
+    });
+  }
+
+  private _filePath(queuedMessage: QueuedMessage): string {
+    // zero-padding keeps the files sorted by sequence number when listed.
+    const paddedSequenceNumber = ('0000000000000000' + queuedMessage.sequenceNumber).slice(-16);
+    return path.join(this._directory, paddedSequenceNumber + '.json');
+  }
+
+  private static _serialize(queuedMessage: QueuedMessage): string {
+    const message = queuedMessage.message;
+    const data = message.getData();
+    return JSON.stringify({
+      sequenceNumber: queuedMessage.sequenceNumber,
+      enqueuedTimeUtc: queuedMessage.enqueuedTimeUtc,
+      outputName: queuedMessage.outputName,
+      message: {
+        data: typeof data === 'string' ? data : message.getBytes().toString('base64'),
+        isBinary: typeof data !== 'string',
+        properties: message.properties.propertyList,
+        messageId: message.messageId,
+        to: message.to,
+        expiryTimeUtc: message.expiryTimeUtc,
+        correlationId: message.correlationId,
+        userId: message.userId,
+        ack: message.ack,
+        contentType: message.contentType,
+        contentEncoding: message.contentEncoding
+      }
+    });
+  }
+
+  private static _deserialize(contents: string): QueuedMessage {
+    const parsed = JSON.parse(contents);
+    const serializedMessage = parsed.message;
+    const message = new Message(serializedMessage.isBinary ? new Buffer(serializedMessage.data, 'base64') : serializedMessage.data);
+    serializedMessage.properties.forEach((property) => message.properties.add(property.key, property.value));
+    ['messageId', 'to', 'expiryTimeUtc', 'correlationId', 'userId', 'ack', 'contentType', 'contentEncoding'].forEach((key) => {
+      if (serializedMessage[key] !== undefined) {
+        message[key] = serializedMessage[key];
+      }
+    });
+
+    return {
+      sequenceNumber: parsed.sequenceNumber,
+      enqueuedTimeUtc: parsed.enqueuedTimeUtc,
+      outputName: parsed.outputName,
+      message: message
+    };
+  }
+}
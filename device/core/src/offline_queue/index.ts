@@ -0,0 +1,8 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+export { MessageStore, QueuedMessage, InMemoryMessageStore } from './message_store';
+export { FileMessageStore } from './file_message_store';
+export { OfflineMessageQueue, OfflineQueueOptions, MessageDropReason } from './offline_message_queue';
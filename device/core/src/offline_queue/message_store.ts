@@ -0,0 +1,81 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import { Message } from 'azure-iot-common';
+
+/**
+ * Message stored in the offline queue of a client, waiting to be sent.
+ */
+export interface QueuedMessage {
+  /**
+   * Monotonically increasing number used to send the messages in the order they were queued.
+   */
+  sequenceNumber: number;
+  /**
+   * Time at which the message was queued, in milliseconds since the epoch.
+   */
+  enqueuedTimeUtc: number;
+  /**
+   * Message to send.
+   */
+  message: Message;
+  /**
+   * Name of the module output the message shall be sent to, if the message was sent with `sendOutputEvent`.
+   */
+  outputName?: string;
+}
+
+/**
+ * Interface that must be implemented by the objects used to persist the messages of the offline queue.
+ *
+ * The offline queue keeps track of the order of the messages using their `sequenceNumber`: stores do not need to preserve insertion order.
+ */
+export interface MessageStore {
+  /**
+   * Loads all the messages that have been persisted and not removed yet. Called once when the offline queue is enabled.
+   */
+  load(callback: (err?: Error, queuedMessages?: QueuedMessage[]) => void): void;
+  /**
+   * Persists a new message.
+   */
+  add(queuedMessage: QueuedMessage, callback: (err?: Error) => void): void;
+  /**
+   * Removes a message that has been sent or dropped.
+   */
+  remove(queuedMessage: QueuedMessage, callback: (err?: Error) => void): void;
+}
+
+/**
+ * Message store that keeps the messages in memory: messages are lost if the process exits before they are sent.
+ */
+export class InMemoryMessageStore implements MessageStore {
+  private _queuedMessages: QueuedMessage[] = [];
+
+  /**
+   * Calls back with the messages currently in the store.
+   */
+  load(callback: (err?: Error, queuedMessages?: QueuedMessage[]) => void): void {
+    /*Codes_SRS_NODE_IN_MEMORY_MESSAGE_STORE_16_001: [The `load` method shall call its callback with an array containing the messages that have been added and not removed.]*/
+    callback(null, this._queuedMessages.slice());
+  }
+
+  /**
+   * Adds a message to the store.
+   */
+  add(queuedMessage: QueuedMessage, callback: (err?: Error) => void): void {
+    /*Codes_SRS_NODE_IN_MEMORY_MESSAGE_STORE_16_002: [The `add` method shall store the `queuedMessage` object and call its callback with no arguments.]*/
+    this._queuedMessages.push(queuedMessage);
+    callback();
+  }
+
+  /**
+   * Removes a message from the store.
+   */
+  remove(queuedMessage: QueuedMessage, callback: (err?: Error) => void): void {
+    /*Codes_SRS_NODE_IN_MEMORY_MESSAGE_STORE_16_003: [The `remove` method shall remove the message with the same `sequenceNumber` as `queuedMessage` from the store, if any, and call its callback with no arguments.]*/
+    this._queuedMessages = this._queuedMessages.filter((m) => m.sequenceNumber !== queuedMessage.sequenceNumber);
+    callback();
+  }
+}
@@ -0,0 +1,269 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import { EventEmitter } from 'events';
+import * as dbg from 'debug';
+const debug = dbg('azure-iot-device:OfflineMessageQueue');
+
+import { errors, Message, RetryPolicy, RetryOperation, AbortSignalLike } from 'azure-iot-common';
+import { MessageStore, QueuedMessage, InMemoryMessageStore } from './message_store';
+
+/**
+ * Reason passed with the `messageDropped` event:
+ * - `overflow`: the message was removed to respect the `maxMessageCount` or `maxQueueSize` limits, or is larger than `maxQueueSize`.
+ * - `expired`: the message was queued for longer than `maxMessageAge`.
+ * - `error`: the message could not be sent because of an error that the retry policy considers not retryable.
+ * - `cancelled`: the abort signal passed with the message was aborted while the message was waiting in the queue.
+ */
+export type MessageDropReason = 'overflow' | 'expired' | 'error' | 'cancelled';
+
+/**
+ * Options used to configure the offline queue of a client. Passed to {@link Client.enableOfflineQueue}.
+ */
+export interface OfflineQueueOptions {
+  /**
+   * Store used to persist the queued messages. Defaults to an {@link InMemoryMessageStore}.
+   */
+  store?: MessageStore;
+  /**
+   * Maximum number of messages in the queue. When it is reached, the oldest messages are dropped to make room for new ones. No limit if not specified.
+   */
+  maxMessageCount?: number;
+  /**
+   * Maximum total size of the bodies of the queued messages, in bytes. When it is reached, the oldest messages are dropped to make room for new ones. No limit if not specified.
+   */
+  maxQueueSize?: number;
+  /**
+   * Maximum time a message can stay in the queue, in milliseconds. Older messages are dropped instead of being sent. No limit if not specified.
+   */
+  maxMessageAge?: number;
+}
+
+/**
+ * @private
+ * Persists the messages that a client could not send and replays them in order, under the retry policy of the client.
+ */
+export class OfflineMessageQueue extends EventEmitter {
+  private _store: MessageStore;
+  private _options: OfflineQueueOptions;
+  private _queuedMessages: QueuedMessage[] = [];
+  private _inFlightMessage: QueuedMessage;
+  private _inFlightOperation: RetryOperation;
+  private _abortListenerRemovers: { [sequenceNumber: number]: () => void } = {};
+  private _pendingAddCount: number = 0;
+  private _nextSequenceNumber: number = 0;
+  private _replaying: boolean = false;
+  private _stopRequested: boolean = false;
+
+  constructor(options?: OfflineQueueOptions) {
+    super();
+    this._options = options || {};
+    /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_001: [The `OfflineMessageQueue` shall use an `InMemoryMessageStore` if the `store` option is not specified.]*/
+    this._store = this._options.store || new InMemoryMessageStore();
+  }
+
+  /**
+   * Number of messages that have not been sent or dropped yet, including the one being sent.
+   */
+  get length(): number {
+    return this._queuedMessages.length + this._pendingAddCount + (this._inFlightMessage ? 1 : 0);
+  }
+
+  load(callback: (err?: Error) => void): void {
+    this._store.load((err, queuedMessages) => {
+      if (err) {
+        /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_002: [The `load` method shall call its callback with an error if the store fails to load the persisted messages.]*/
+        callback(err);
+      } else {
+        /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_003: [The `load` method shall order the persisted messages by `sequenceNumber` and number the next messages after the highest `sequenceNumber` found.]*/
+        queuedMessages.sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+        this._queuedMessages = queuedMessages;
+        if (queuedMessages.length > 0) {
+          this._nextSequenceNumber = queuedMessages[queuedMessages.length - 1].sequenceNumber + 1;
+        }
+        /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_004: [The `load` method shall drop the persisted messages that are older than `maxMessageAge` with the `expired` reason.]*/
+        this._dropExpiredMessages();
+        callback();
+      }
+    });
+  }
+
+  enqueue(message: Message, outputName: string, abortSignal: AbortSignalLike, callback: (err?: Error) => void): void {
+    const messageSize = this._messageSize(message);
+    if (this._options.maxQueueSize && messageSize > this._options.maxQueueSize) {
+      /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_005: [The `enqueue` method shall emit a `messageDropped` event with the `overflow` reason and call its callback with a `MessageTooLargeError` if the message is larger than `maxQueueSize`.]*/
+      this.emit('messageDropped', message, 'overflow');
+      callback(new errors.MessageTooLargeError('message is larger than the maximum size of the offline queue'));
+      return;
+    }
+
+    this._dropExpiredMessages();
+
+    /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_006: [The `enqueue` method shall drop the oldest messages with the `overflow` reason until the queue respects the `maxMessageCount` and `maxQueueSize` limits with the new message.]*/
+    while (this._queuedMessages.length > 0 && this._isFull(messageSize)) {
+      this._drop(this._queuedMessages.shift(), 'overflow');
+    }
+
+    /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_017: [If the queue still does not respect the `maxMessageCount` and `maxQueueSize` limits once all the other messages have been dropped, the `enqueue` method shall cancel the `RetryOperation` of the message being sent and drop it with the `overflow` reason.]*/
+    if (this._inFlightMessage && this._isFull(messageSize)) {
+      const inFlightMessage = this._inFlightMessage;
+      this._inFlightMessage = undefined;
+      this._inFlightOperation.cancel();
+      this._drop(inFlightMessage, 'overflow');
+    }
+
+    const queuedMessage: QueuedMessage = {
+      sequenceNumber: this._nextSequenceNumber++,
+      enqueuedTimeUtc: Date.now(),
+      message: message,
+      outputName: outputName
+    };
+
+    this._pendingAddCount++;
+    /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_007: [The `enqueue` method shall add the message to the store and call its callback with the error returned by the store, if any.]*/
+    this._store.add(queuedMessage, (err) => {
+      this._pendingAddCount--;
+      if (!err && abortSignal && abortSignal.aborted) {
+        /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_018: [If `abortSignal` is aborted before the message has been added to the store, the `enqueue` method shall remove it from the store, emit a `messageDropped` event with the `cancelled` reason and call its callback with an `OperationCancelledError`.]*/
+        this._drop(queuedMessage, 'cancelled');
+        callback(new errors.OperationCancelledError('the operation was cancelled'));
+        return;
+      }
+
+      if (!err) {
+        // adds can complete out of order with asynchronous stores: insert according to the sequence number.
+        let index = this._queuedMessages.length;
+        while (index > 0 && this._queuedMessages[index - 1].sequenceNumber > queuedMessage.sequenceNumber) {
+          index--;
+        }
+        this._queuedMessages.splice(index, 0, queuedMessage);
+        this._listenToAbortSignal(queuedMessage, abortSignal);
+      }
+      callback(err);
+    });
+  }
+
+  replay(retryPolicy: RetryPolicy, maxOperationTimeout: number, sendOperation: (queuedMessage: QueuedMessage, callback: (err?: Error) => void) => void): void {
+    this._stopRequested = false;
+    /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_008: [The `replay` method shall do nothing if the queue is already being replayed.]*/
+    if (this._replaying) {
+      return;
+    }
+    this._replaying = true;
+
+    const sendNext = () => {
+      /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_010: [The `replay` method shall drop the messages older than `maxMessageAge` with the `expired` reason instead of sending them.]*/
+      this._dropExpiredMessages();
+
+      /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_009: [The `replay` method shall stop once the queue is empty or after `stopReplay` has been called.]*/
+      if (this._stopRequested || this._queuedMessages.length === 0) {
+        this._replaying = false;
+        return;
+      }
+
+      const queuedMessage = this._queuedMessages.shift();
+      this._inFlightMessage = queuedMessage;
+      /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_011: [The `replay` method shall send the messages one by one, in order, using `sendOperation` within a `RetryOperation` built with `retryPolicy` and `maxOperationTimeout`.]*/
+      const retryOp = new RetryOperation(retryPolicy, maxOperationTimeout);
+      this._inFlightOperation = retryOp;
+      retryOp.retry((opCallback) => {
+        sendOperation(queuedMessage, opCallback);
+      }, (err) => {
+        this._inFlightOperation = undefined;
+        if (this._inFlightMessage !== queuedMessage) {
+          // the message has been dropped while it was being sent: it is neither removed again nor put back in the queue.
+          sendNext();
+          return;
+        }
+        this._inFlightMessage = undefined;
+        if (!err) {
+          /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_012: [The `replay` method shall remove each message that has been sent from the store.]*/
+          this._removeFromStore(queuedMessage);
+          sendNext();
+        } else if (retryPolicy.shouldRetry(err)) {
+          /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_013: [If `sendOperation` still fails with a retryable error once the `RetryOperation` gives up, the `replay` method shall keep the message at the head of the queue and stop.]*/
+          debug('giving up replaying the queue for now: ' + err.toString());
+          this._queuedMessages.unshift(queuedMessage);
+          this._replaying = false;
+        } else {
+          /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_014: [If `sendOperation` fails with an error that is not retryable, the `replay` method shall drop the message with the `error` reason and continue with the next message.]*/
+          this._drop(queuedMessage, 'error', err);
+          sendNext();
+        }
+      });
+    };
+
+    sendNext();
+  }
+
+  stopReplay(): void {
+    /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_015: [The `stopReplay` method shall let the message being sent complete and then stop replaying the queue.]*/
+    this._stopRequested = true;
+  }
+
+  private _listenToAbortSignal(queuedMessage: QueuedMessage, abortSignal: AbortSignalLike): void {
+    if (abortSignal && typeof abortSignal.addEventListener === 'function') {
+      const onAbort = () => {
+        const index = this._queuedMessages.indexOf(queuedMessage);
+        /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_019: [If `abortSignal` is aborted while the message is waiting in the queue, the message shall be removed from the queue and the store, and dropped with the `cancelled` reason. A message that is being sent is not affected.]*/
+        if (index !== -1) {
+          this._queuedMessages.splice(index, 1);
+          this._drop(queuedMessage, 'cancelled');
+        }
+      };
+      abortSignal.addEventListener('abort', onAbort);
+      this._abortListenerRemovers[queuedMessage.sequenceNumber] = () => {
+        if (typeof abortSignal.removeEventListener === 'function') {
+          abortSignal.removeEventListener('abort', onAbort);
+        }
+      };
+    }
+  }
+
+  private _isFull(additionalSize: number): boolean {
+    const countExceeded = this._options.maxMessageCount && this.length + 1 > this._options.maxMessageCount;
+    const sizeExceeded = this._options.maxQueueSize && this._queueSize() + additionalSize > this._options.maxQueueSize;
+    return !!(countExceeded || sizeExceeded);
+  }
+
+  private _queueSize(): number {
+    const queued = this._queuedMessages.reduce((total, queuedMessage) => total + this._messageSize(queuedMessage.message), 0);
+    return queued + (this._inFlightMessage ? this._messageSize(this._inFlightMessage.message) : 0);
+  }
+
+  private _messageSize(message: Message): number {
+    return message.getBytes().length;
+  }
+
+  private _isExpired(queuedMessage: QueuedMessage): boolean {
+    return !!this._options.maxMessageAge && Date.now() - queuedMessage.enqueuedTimeUtc > this._options.maxMessageAge;
+  }
+
+  private _dropExpiredMessages(): void {
+    while (this._queuedMessages.length > 0 && this._isExpired(this._queuedMessages[0])) {
+      this._drop(this._queuedMessages.shift(), 'expired');
+    }
+  }
+
+  private _drop(queuedMessage: QueuedMessage, reason: MessageDropReason, err?: Error): void {
+    debug('dropping message ' + queuedMessage.sequenceNumber + ': ' + reason);
+    this._removeFromStore(queuedMessage);
+    /*Codes_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_016: [A `messageDropped` event shall be emitted with the message, the reason and the error if any, every time a message is dropped.]*/
+    this.emit('messageDropped', queuedMessage.message, reason, err);
+  }
+
+  private _removeFromStore(queuedMessage: QueuedMessage): void {
+    const removeAbortListener = this._abortListenerRemovers[queuedMessage.sequenceNumber];
+    if (removeAbortListener) {
+      delete this._abortListenerRemovers[queuedMessage.sequenceNumber];
+      removeAbortListener();
+    }
+    this._store.remove(queuedMessage, (err) => {
+      if (err) {
+        debug('could not remove message ' + queuedMessage.sequenceNumber + ' from the store: ' + err.toString());
+      }
+    });
+  }
+}
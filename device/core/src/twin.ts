@@ -8,7 +8,7 @@ import * as traverse from 'traverse';
 import * as dbg from 'debug';
 const debug = dbg('azure-iot-device:Twin');
 
-import { RetryPolicy, RetryOperation } from 'azure-iot-common';
+import { RetryPolicy, RetryOperation, OperationOptions } from 'azure-iot-common';
 import { DeviceTransport } from './internal_client';
 
 /**
@@ -76,10 +76,16 @@ export class Twin extends EventEmitter {
   /**
    * Gets the whole twin from the service.
    *
+   * @param options  Optional settings: `abortSignal` cancels the operation and its pending retries when it is aborted.
    * @param callback function that shall be called back with either the twin or an error if the transport fails to retrieve the twin.
    */
-  get(callback: (err: Error, twin?: Twin) => void): void {
-    const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout);
+  get(callback: (err: Error, twin?: Twin) => void): void;
+  get(options: OperationOptions, callback: (err: Error, twin?: Twin) => void): void;
+  get(optionsOrCallback: OperationOptions | ((err: Error, twin?: Twin) => void), callback?: (err: Error, twin?: Twin) => void): void {
+    const options: OperationOptions = typeof optionsOrCallback === 'function' ? {} : optionsOrCallback || {};
+    const actualCallback = typeof optionsOrCallback === 'function' ? optionsOrCallback : callback;
+    /*Codes_SRS_NODE_DEVICE_TWIN_16_015: [The `get` method shall pass `options.abortSignal`, if specified, to the `RetryOperation` used to get the twin, so that aborting the signal fails the operation with an `OperationCancelledError`.]*/
+    const retryOp = new RetryOperation(this._retryPolicy, this._maxOperationTimeout, options.abortSignal);
     retryOp.retry((opCallback) => {
       this._clearCachedProperties();
       /*Codes_SRS_NODE_DEVICE_TWIN_16_002: [The `get` method shall call the `getTwin` method of the `Transport` object with a callback.]*/
@@ -97,7 +103,7 @@ export class Twin extends EventEmitter {
           opCallback(null, this);
         }
       });
-    }, callback);
+    }, actualCallback);
   }
 
   /**
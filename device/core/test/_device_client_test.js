@@ -7,11 +7,15 @@ var assert = require('chai').assert;
 var util = require('util');
 var sinon = require('sinon');
 var stream = require('stream');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
 var EventEmitter = require('events').EventEmitter;
 var FakeTransport = require('./fake_transport.js');
 var Message = require('azure-iot-common').Message;
 var errors = require('azure-iot-common').errors;
 var results = require('azure-iot-common').results;
+var NoRetry = require('azure-iot-common').NoRetry;
 var X509AuthenticationProvider = require('../lib/x509_authentication_provider').X509AuthenticationProvider;
 var Client = require('../lib/device_client').Client;
 
@@ -113,7 +117,7 @@ describe('Device Client', function () {
     /*Tests_SRS_NODE_DEVICE_CLIENT_16_040: [The `uploadToBlob` method shall call the `done` callback with an `Error` object if the upload fails.]*/
     it('calls the done callback with an Error object if the upload fails', function(done) {
       var FakeBlobUploader = function () {
-        this.uploadToBlob = function(blobName, stream, streamLength, callback) {
+        this.uploadToBlob = function(blobName, stream, streamLength, options, callback) {
           callback(new Error('fake error'));
         };
       };
@@ -128,7 +132,7 @@ describe('Device Client', function () {
     /*Tests_SRS_NODE_DEVICE_CLIENT_16_041: [The `uploadToBlob` method shall call the `done` callback no parameters if the upload succeeds.]*/
     it('calls the done callback with no parameters if the upload succeeded', function (done) {
       var FakeBlobUploader = function () {
-        this.uploadToBlob = function(blobName, stream, streamLength, callback) {
+        this.uploadToBlob = function(blobName, stream, streamLength, options, callback) {
           callback();
         };
       };
@@ -136,6 +140,201 @@ describe('Device Client', function () {
       var client = new Client(new EventEmitter(), null, new FakeBlobUploader());
       client.uploadToBlob('blobName', new stream.Readable(), 42, done);
     });
+
+    it('returns a Promise resolved when the upload succeeds if no callback is passed', function () {
+      var fakeBlobUploader = {
+        uploadToBlob: sinon.stub().callsArgWith(4)
+      };
+
+      var client = new Client(new EventEmitter(), null, fakeBlobUploader);
+      return client.uploadToBlob('blobName', new stream.Readable(), 42).then(function () {
+        assert.isTrue(fakeBlobUploader.uploadToBlob.calledOnce);
+      });
+    });
+
+    it('returns a Promise rejected with the error if the upload fails and no callback is passed', function () {
+      var testError = new Error('fake error');
+      var fakeBlobUploader = {
+        uploadToBlob: sinon.stub().callsArgWith(4, testError)
+      };
+
+      var client = new Client(new EventEmitter(), null, fakeBlobUploader);
+      client.setRetryPolicy(new NoRetry());
+      return client.uploadToBlob('blobName', new stream.Readable(), 42).then(function () {
+        assert.fail('the promise should have been rejected');
+      }, function (err) {
+        assert.strictEqual(err, testError);
+      });
+    });
+
+    /*Tests_SRS_NODE_DEVICE_CLIENT_16_103: [The `uploadToBlob` method shall throw an `ArgumentError` if `options.blockSizeInBytes` is not a positive integer no greater than 100 MiB, if `options.parallelism` is not a positive integer, or if the stream would be split into more than 50000 blocks.]*/
+    [
+      { blockSizeInBytes: 0 },
+      { blockSizeInBytes: 1.5 },
+      { blockSizeInBytes: 100 * 1024 * 1024 + 1 },
+      { parallelism: 0 },
+      { parallelism: 'two' },
+      { blockSizeInBytes: 1, streamLength: 50001 }
+    ].forEach(function (badOptions) {
+      it('throws an ArgumentError if the options are ' + JSON.stringify(badOptions), function () {
+        var fakeBlobUploader = { uploadToBlob: sinon.stub() };
+        var client = new Client(new EventEmitter(), null, fakeBlobUploader);
+        assert.throws(function () {
+          client.uploadToBlob('blobName', new stream.Readable(), badOptions.streamLength || 42, badOptions, function () {});
+        }, errors.ArgumentError);
+        assert.isTrue(fakeBlobUploader.uploadToBlob.notCalled);
+      });
+    });
+
+    /*Tests_SRS_NODE_DEVICE_CLIENT_16_104: [The `uploadToBlob` method shall pass the `options` to the blob upload client.]*/
+    it('passes the options to the blob upload client', function (testCallback) {
+      var fakeOptions = { blockSizeInBytes: 1024, parallelism: 4, onProgress: function () {} };
+      var fakeStream = new stream.Readable();
+      var fakeBlobUploader = { uploadToBlob: sinon.stub().callsArgWith(4) };
+      var client = new Client(new EventEmitter(), null, fakeBlobUploader);
+      client.uploadToBlob('blobName', fakeStream, 42, fakeOptions, function (err) {
+        assert.isNotOk(err);
+        assert.isTrue(fakeBlobUploader.uploadToBlob.calledWith('blobName', fakeStream, 42, fakeOptions));
+        testCallback();
+      });
+    });
+
+    it('returns a Promise if options are passed but no callback', function () {
+      var fakeBlobUploader = { uploadToBlob: sinon.stub().callsArgWith(4) };
+      var client = new Client(new EventEmitter(), null, fakeBlobUploader);
+      return client.uploadToBlob('blobName', new stream.Readable(), 42, { parallelism: 1 }).then(function () {
+        assert.deepEqual(fakeBlobUploader.uploadToBlob.firstCall.args[3], { parallelism: 1 });
+      });
+    });
+
+    /*Tests_SRS_NODE_DEVICE_CLIENT_16_110: [The `uploadToBlob` method shall pass `options.abortSignal` to the `RetryOperation` used to upload the blob, so that aborting the signal stops the pending retries and fails the upload with an `OperationCancelledError`.]*/
+    it('does not retry the upload once the abort signal is aborted', function (testCallback) {
+      var abortSignal = { aborted: false };
+      var fakeBlobUploader = {
+        uploadToBlob: sinon.spy(function (blobName, stream, streamLength, options, callback) {
+          abortSignal.aborted = true;
+          callback(new errors.TimeoutError('fake'));
+        })
+      };
+      var client = new Client(new EventEmitter(), null, fakeBlobUploader);
+      client.setRetryPolicy({ shouldRetry: function () { return true; }, nextRetryTimeout: function () { return 0; } });
+      client.uploadToBlob('blobName', new stream.Readable(), 42, { abortSignal: abortSignal }, function (err) {
+        assert.instanceOf(err, errors.OperationCancelledError);
+        assert.isTrue(fakeBlobUploader.uploadToBlob.calledOnce);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_DEVICE_CLIENT_16_105: [If `source` is a file path or a `Buffer`, the `uploadToBlob` method shall upload its content with a length equal to the size of the file or of the buffer.]*/
+    /*Tests_SRS_NODE_DEVICE_CLIENT_16_108: [The `uploadToBlob` method shall close the file it opened once the upload has completed or failed.]*/
+    it('uploads the content of a file with its size', function (testCallback) {
+      var filePath = path.join(os.tmpdir(), 'azure-iot-device-upload-test-' + process.pid + '.txt');
+      fs.writeFileSync(filePath, 'fake file content');
+      var uploadedStream;
+      var fakeBlobUploader = {
+        uploadToBlob: function (blobName, source, streamLength, options, callback) {
+          assert.strictEqual(blobName, 'blobName');
+          assert.strictEqual(streamLength, 17);
+          assert.deepEqual(options, { contentType: 'text/plain' });
+          uploadedStream = source;
+          var chunks = [];
+          source.on('data', function (chunk) { chunks.push(chunk); });
+          source.on('end', function () {
+            assert.strictEqual(Buffer.concat(chunks).toString(), 'fake file content');
+            callback();
+          });
+        }
+      };
+      var client = new Client(new EventEmitter(), null, fakeBlobUploader);
+      client.uploadToBlob('blobName', filePath, { contentType: 'text/plain' }, function (err) {
+        fs.unlinkSync(filePath);
+        assert.isNotOk(err);
+        assert.isTrue(uploadedStream.destroyed);
+        testCallback();
+      });
+    });
+
+    it('uploads the content of a buffer with its length', function () {
+      var fakeBlobUploader = {
+        uploadToBlob: function (blobName, source, streamLength, options, callback) {
+          assert.strictEqual(streamLength, 3);
+          assert.deepEqual(options, {});
+          var chunks = [];
+          source.on('data', function (chunk) { chunks.push(chunk); });
+          source.on('end', function () {
+            assert.deepEqual(Buffer.concat(chunks), Buffer.from([1, 2, 3]));
+            callback();
+          });
+        }
+      };
+      var client = new Client(new EventEmitter(), null, fakeBlobUploader);
+      return client.uploadToBlob('blobName', Buffer.from([1, 2, 3]));
+    });
+
+    /*Tests_SRS_NODE_DEVICE_CLIENT_16_106: [The `uploadToBlob` method shall throw an `ArgumentError` if `source` is an empty buffer.]*/
+    it('throws an ArgumentError if the buffer is empty', function () {
+      var fakeBlobUploader = { uploadToBlob: sinon.stub() };
+      var client = new Client(new EventEmitter(), null, fakeBlobUploader);
+      assert.throws(function () {
+        client.uploadToBlob('blobName', Buffer.alloc(0), function () {});
+      }, errors.ArgumentError);
+      assert.isTrue(fakeBlobUploader.uploadToBlob.notCalled);
+    });
+
+    /*Tests_SRS_NODE_DEVICE_CLIENT_16_107: [The `uploadToBlob` method shall throw an `ArgumentError` if `options.contentType` or `options.contentEncoding` is specified and is not a string, or if `options.metadata` is specified and is not an object whose names are valid C# identifiers and whose values are strings.]*/
+    [
+      { contentType: 42 },
+      { contentEncoding: {} },
+      { metadata: 'fake' },
+      { metadata: { 'not-valid': 'value' } },
+      { metadata: { name: 42 } }
+    ].forEach(function (badOptions) {
+      it('throws an ArgumentError if the options are ' + JSON.stringify(badOptions), function () {
+        var fakeBlobUploader = { uploadToBlob: sinon.stub() };
+        var client = new Client(new EventEmitter(), null, fakeBlobUploader);
+        assert.throws(function () {
+          client.uploadToBlob('blobName', Buffer.from('fake'), badOptions, function () {});
+        }, errors.ArgumentError);
+        assert.isTrue(fakeBlobUploader.uploadToBlob.notCalled);
+      });
+    });
+
+    /*Tests_SRS_NODE_DEVICE_CLIENT_16_109: [The `uploadToBlob` method shall call the `done` callback with an error if the file cannot be read, is not a file, is empty or has too many blocks for `options.blockSizeInBytes`.]*/
+    it('calls the done callback with an error if the file does not exist', function (testCallback) {
+      var fakeBlobUploader = { uploadToBlob: sinon.stub() };
+      var client = new Client(new EventEmitter(), null, fakeBlobUploader);
+      client.setRetryPolicy(new NoRetry());
+      client.uploadToBlob('blobName', path.join(os.tmpdir(), 'azure-iot-device-upload-test-does-not-exist'), function (err) {
+        assert.strictEqual(err.code, 'ENOENT');
+        assert.isTrue(fakeBlobUploader.uploadToBlob.notCalled);
+        testCallback();
+      });
+    });
+
+    it('calls the done callback with an ArgumentError if the path is not a file', function (testCallback) {
+      var fakeBlobUploader = { uploadToBlob: sinon.stub() };
+      var client = new Client(new EventEmitter(), null, fakeBlobUploader);
+      client.setRetryPolicy(new NoRetry());
+      client.uploadToBlob('blobName', os.tmpdir(), function (err) {
+        assert.instanceOf(err, errors.ArgumentError);
+        assert.isTrue(fakeBlobUploader.uploadToBlob.notCalled);
+        testCallback();
+      });
+    });
+
+    it('calls the done callback with an ArgumentError if the file has too many blocks', function (testCallback) {
+      var filePath = path.join(os.tmpdir(), 'azure-iot-device-upload-test-blocks-' + process.pid + '.txt');
+      fs.writeFileSync(filePath, Buffer.alloc(50001));
+      var fakeBlobUploader = { uploadToBlob: sinon.stub() };
+      var client = new Client(new EventEmitter(), null, fakeBlobUploader);
+      client.setRetryPolicy(new NoRetry());
+      client.uploadToBlob('blobName', filePath, { blockSizeInBytes: 1 }, function (err) {
+        fs.unlinkSync(filePath);
+        assert.instanceOf(err, errors.ArgumentError);
+        assert.isTrue(fakeBlobUploader.uploadToBlob.notCalled);
+        testCallback();
+      });
+    });
   });
 
   describe('#on(\'message\')', function () {
@@ -232,6 +431,7 @@ describe('Device Client', function () {
       };
 
       fakeTransport = new EventEmitter();
+      fakeTransport.connect = sinon.stub().callsArg(0);
       fakeTransport.enableC2D = sinon.stub().callsArg(0);
       fakeTransport.enableMethods = sinon.stub().callsArg(0);
       fakeTransport.onDeviceMethod = sinon.stub();
@@ -259,13 +259,16 @@ var ModuleClient = require('../lib/module_client').ModuleClient;
         });
       });
 
-      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_061: [The `open` method shall not throw if the `openCallback` callback has not been provided.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_061: [If the `openCallback` callback is not passed, the `open` method shall not throw and shall return a `Promise` that is resolved with the result of the operation or rejected with its error.]*/
       it('doesn\'t throw if the callback hasn\'t been passed as argument', function () {
         var transport = new FakeTransport();
         var client = new ClientCtor(transport);
+        var returnValue;
         assert.doesNotThrow(function () {
-          client.open();
+          returnValue = client.open();
         });
+        assert.instanceOf(returnValue, Promise);
+        return returnValue;
       });
     });
 
@@ -284,11 +287,13 @@ var ModuleClient = require('../lib/module_client').ModuleClient;
 
       it('calls the callback immediately if the client is already disconnected', function (testCallback) {
         var transport = new FakeTransport();
-        sinon.stub(transport, 'disconnect').callsFake(function () {
-          assert.fail();
-        });
+        sinon.stub(transport, 'disconnect').callsArgWith(0, null, new results.Disconnected());
         var client = new ClientCtor(transport);
-        client.close(testCallback());
+        client.close(function (err, result) {
+          assert.isNotOk(err);
+          assert.instanceOf(result, results.Disconnected);
+          testCallback();
+        });
       });
 
       /*Tests_SRS_NODE_INTERNAL_CLIENT_16_046: [** The `disconnect` method shall remove the listener that has been attached to the transport `disconnect` event.]*/
@@ -342,17 +347,258 @@ var ModuleClient = require('../lib/module_client').ModuleClient;
 
     ['sendEvent', 'sendEventBatch', 'complete', 'reject', 'abandon'].forEach(function (funcName) {
       describe('#' + funcName, function () {
-        /*Tests_SRS_NODE_INTERNAL_CLIENT_16_051: [The `sendEventBatch` method shall not throw if the `sendEventBatchCallback` is not passed.]*/
-        /*Tests_SRS_NODE_INTERNAL_CLIENT_16_047: [The `sendEvent` method shall not throw if the `sendEventCallback` is not passed.]*/
-        /*Tests_SRS_NODE_INTERNAL_CLIENT_16_067: [The `complete` method shall not throw if the `completeCallback` is not passed.]*/
-        /*Tests_SRS_NODE_INTERNAL_CLIENT_16_071: [The `reject` method shall not throw if the `rejectCallback` is not passed.]*/
-        /*Tests_SRS_NODE_INTERNAL_CLIENT_16_075: [The `abandon` method shall not throw if the `abandonCallback` is not passed.]*/
-        it('doesn\'t throw if no callback is given and the method exists on the transport', function () {
+        /*Tests_SRS_NODE_INTERNAL_CLIENT_16_051: [If the `sendEventBatchCallback` callback is not passed, the `sendEventBatch` method shall not throw and shall return a `Promise` that is resolved with the result of the operation or rejected with its error.]*/
+        /*Tests_SRS_NODE_INTERNAL_CLIENT_16_047: [If the `sendEventCallback` callback is not passed, the `sendEvent` method shall not throw and shall return a `Promise` that is resolved with the result of the operation or rejected with its error.]*/
+        /*Tests_SRS_NODE_INTERNAL_CLIENT_16_067: [If the `completeCallback` callback is not passed, the `complete` method shall not throw and shall return a `Promise` that is resolved with the result of the operation or rejected with its error.]*/
+        /*Tests_SRS_NODE_INTERNAL_CLIENT_16_071: [If the `rejectCallback` callback is not passed, the `reject` method shall not throw and shall return a `Promise` that is resolved with the result of the operation or rejected with its error.]*/
+        /*Tests_SRS_NODE_INTERNAL_CLIENT_16_075: [If the `abandonCallback` callback is not passed, the `abandon` method shall not throw and shall return a `Promise` that is resolved with the result of the operation or rejected with its error.]*/
+        it('doesn\'t throw and returns a Promise if no callback is given and the method exists on the transport', function (testCallback) {
           var transport = new FakeTransport();
           var client = new ClientCtor(transport);
           client.open(function () {
+            var returnValue;
             assert.doesNotThrow(function () {
-              client[funcName]('message');
+              returnValue = client[funcName]('message');
+            });
+            assert.instanceOf(returnValue, Promise);
+            returnValue.then(function () {
+              testCallback();
+            }, testCallback);
+          });
+        });
+      });
+    });
+
+    [
+      { methodName: 'open', transportMethodName: 'connect', args: [], expectedResultCtor: 'Connected' },
+      { methodName: 'close', transportMethodName: 'disconnect', args: [], expectedResultCtor: 'Disconnected' },
+      { methodName: 'sendEvent', transportMethodName: 'sendEvent', args: [new Message('foo')], expectedResultCtor: 'MessageEnqueued' },
+      { methodName: 'sendEventBatch', transportMethodName: 'sendEventBatch', args: [[new Message('foo')]], expectedResultCtor: 'MessageEnqueued' },
+      { methodName: 'complete', transportMethodName: 'complete', args: [new Message('foo')], expectedResultCtor: 'MessageCompleted' },
+      { methodName: 'reject', transportMethodName: 'reject', args: [new Message('foo')], expectedResultCtor: 'MessageRejected' },
+      { methodName: 'abandon', transportMethodName: 'abandon', args: [new Message('foo')], expectedResultCtor: 'MessageAbandoned' },
+      { methodName: 'updateSharedAccessSignature', transportMethodName: 'updateSharedAccessSignature', args: ['sas'], expectedResultCtor: 'SharedAccessSignatureUpdated' },
+      { methodName: 'setTransportOptions', transportMethodName: 'setOptions', args: [{}], expectedResultCtor: 'TransportConfigured' }
+    ].forEach(function (testConfig) {
+      describe('#' + testConfig.methodName + ' (Promise)', function () {
+        it('returns a Promise resolved with the result if no callback is passed', function () {
+          var client = new ClientCtor(new FakeTransport());
+          var returnValue = client[testConfig.methodName].apply(client, testConfig.args);
+          assert.instanceOf(returnValue, Promise);
+          return returnValue.then(function (result) {
+            assert.strictEqual(result.constructor.name, testConfig.expectedResultCtor);
+          });
+        });
+
+        it('returns a Promise rejected with the transport error if no callback is passed', function () {
+          var testError = new Error('fake error');
+          var dummyTransport = new FakeTransport();
+          sinon.stub(dummyTransport, testConfig.transportMethodName).callsArgWith(testConfig.args.length, testError);
+          var client = new ClientCtor(dummyTransport);
+          client.setRetryPolicy(new NoRetry());
+          return client[testConfig.methodName].apply(client, testConfig.args).then(function () {
+            assert.fail('the promise should have been rejected');
+          }, function (err) {
+            assert.strictEqual(err, testError);
+          });
+        });
+
+        it('returns undefined if a callback is passed', function (testCallback) {
+          var client = new ClientCtor(new FakeTransport());
+          var returnValue = client[testConfig.methodName].apply(client, testConfig.args.concat([function (err) {
+            testCallback(err);
+          }]));
+          assert.isUndefined(returnValue);
+        });
+      });
+    });
+
+    describe('#getTwin (Promise)', function () {
+      it('returns a Promise resolved with the Twin object if no callback is passed', function () {
+        var client = new ClientCtor(new FakeTransport());
+        return client.getTwin().then(function (twin) {
+          assert.instanceOf(twin, Twin);
+        });
+      });
+    });
+
+    describe('cancellation', function () {
+      function FakeAbortSignal() {
+        var self = this;
+        this.aborted = false;
+        this.listeners = [];
+        this.addEventListener = function (type, listener) { self.listeners.push(listener); };
+        this.removeEventListener = function (type, listener) {
+          self.listeners = self.listeners.filter(function (l) { return l !== listener; });
+        };
+        this.abort = function () {
+          self.aborted = true;
+          self.listeners.forEach(function (listener) { listener(); });
+        };
+      }
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_131: [The `open` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` connecting the transport.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_135: [The `sendEvent` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` sending the message.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_136: [The `sendEventBatch` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` sending the messages.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_137: [The `complete` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` settling the message.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_138: [The `reject` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` settling the message.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_139: [The `abandon` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` settling the message.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_140: [The `getTwin` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` getting the twin.]*/
+      [
+        { methodName: 'open', transportMethodName: 'connect', args: [] },
+        { methodName: 'sendEvent', transportMethodName: 'sendEvent', args: [new Message('foo')] },
+        { methodName: 'sendEventBatch', transportMethodName: 'sendEventBatch', args: [[new Message('foo')]] },
+        { methodName: 'complete', transportMethodName: 'complete', args: [new Message('foo')] },
+        { methodName: 'reject', transportMethodName: 'reject', args: [new Message('foo')] },
+        { methodName: 'abandon', transportMethodName: 'abandon', args: [new Message('foo')] },
+        { methodName: 'getTwin', transportMethodName: 'getTwin', args: [] }
+      ].forEach(function (testConfig) {
+        it(testConfig.methodName + ' fails with an OperationCancelledError without calling the transport if the abort signal is already aborted', function (testCallback) {
+          var dummyTransport = new FakeTransport();
+          sinon.spy(dummyTransport, testConfig.transportMethodName);
+          var client = new ClientCtor(dummyTransport);
+          client[testConfig.methodName].apply(client, testConfig.args.concat([{ abortSignal: { aborted: true } }, function (err) {
+            assert.instanceOf(err, errors.OperationCancelledError);
+            assert.isTrue(dummyTransport[testConfig.transportMethodName].notCalled);
+            testCallback();
+          }]));
+        });
+
+        it(testConfig.methodName + ' stops retrying and fails with an OperationCancelledError when the abort signal is aborted', function () {
+          var dummyTransport = new FakeTransport();
+          sinon.stub(dummyTransport, testConfig.transportMethodName).callsArgWith(testConfig.args.length, new errors.TimeoutError('fake'));
+          var client = new ClientCtor(dummyTransport);
+          client.setRetryPolicy({ shouldRetry: function () { return true; }, nextRetryTimeout: function () { return 60000; } });
+          var abortSignal = new FakeAbortSignal();
+          var promise = client[testConfig.methodName].apply(client, testConfig.args.concat([{ abortSignal: abortSignal }]));
+          abortSignal.abort();
+          return promise.then(function () {
+            assert.fail('the promise should have been rejected');
+          }, function (err) {
+            assert.instanceOf(err, errors.OperationCancelledError);
+            assert.isTrue(dummyTransport[testConfig.transportMethodName].calledOnce);
+            assert.lengthOf(abortSignal.listeners, 0);
+          });
+        });
+      });
+
+      it('open resolves with the connection result if the abort signal is not aborted', function () {
+        var client = new ClientCtor(new FakeTransport());
+        return client.open({ abortSignal: new FakeAbortSignal() }).then(function (result) {
+          assert.instanceOf(result, results.Connected);
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_133: [If `open` is cancelled with `options.abortSignal`, the connection state shall change to `disconnected` with the `clientClose` reason.]*/
+      it('changes the connection state to disconnected with the clientClose reason if open is cancelled', function (testCallback) {
+        var client = new ClientCtor(new FakeTransport());
+        client.on('connectionStateChange', function (change) {
+          if (change.state === 'disconnected') {
+            assert.strictEqual(change.reason, 'clientClose');
+            assert.instanceOf(change.error, errors.OperationCancelledError);
+            testCallback();
+          }
+        });
+        client.open({ abortSignal: { aborted: true } }, function () {});
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_141: [If `open` has been cancelled while the transport was connecting, the transport shall be disconnected once it connects, unless the client has been opened again in the meantime.]*/
+      it('disconnects the transport if it connects after open has been cancelled', function (testCallback) {
+        var dummyTransport = new FakeTransport();
+        var connectCallback;
+        sinon.stub(dummyTransport, 'connect').callsFake(function (callback) {
+          connectCallback = callback;
+        });
+        sinon.spy(dummyTransport, 'disconnect');
+        var client = new ClientCtor(dummyTransport);
+        var abortSignal = new FakeAbortSignal();
+        client.open({ abortSignal: abortSignal }, function (err) {
+          assert.instanceOf(err, errors.OperationCancelledError);
+          connectCallback(null, new results.Connected());
+          assert.isTrue(dummyTransport.disconnect.calledOnce);
+          assert.strictEqual(client.connectionState, 'disconnected');
+          testCallback();
+        });
+        abortSignal.abort();
+      });
+
+      it('does not disconnect the transport if the client has been opened again when the cancelled connection completes', function (testCallback) {
+        var dummyTransport = new FakeTransport();
+        var connectCallbacks = [];
+        sinon.stub(dummyTransport, 'connect').callsFake(function (callback) {
+          connectCallbacks.push(callback);
+        });
+        sinon.spy(dummyTransport, 'disconnect');
+        var client = new ClientCtor(dummyTransport);
+        var abortSignal = new FakeAbortSignal();
+        client.open({ abortSignal: abortSignal }, function () {});
+        abortSignal.abort();
+        client.open(function (err) {
+          assert.isNull(err);
+          assert.isTrue(dummyTransport.disconnect.notCalled);
+          testCallback();
+        });
+        connectCallbacks[0](null, new results.Connected());
+        connectCallbacks[1](null, new results.Connected());
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_132: [When the offline queue is enabled, the `sendEvent` and `sendEventBatch` methods shall call their callback with an `OperationCancelledError` without sending or queuing the messages if `options.abortSignal` is already aborted.]*/
+      ['sendEvent', 'sendEventBatch'].forEach(function (methodName) {
+        it(methodName + ' fails with an OperationCancelledError without sending or queuing the messages if the offline queue is enabled and the abort signal is aborted', function (testCallback) {
+          var dummyTransport = new FakeTransport();
+          sinon.spy(dummyTransport, methodName);
+          var client = new ClientCtor(dummyTransport);
+          client.enableOfflineQueue({}, function () {
+            var message = new Message('foo');
+            client[methodName](methodName === 'sendEvent' ? message : [message], { abortSignal: { aborted: true } }, function (err) {
+              assert.instanceOf(err, errors.OperationCancelledError);
+              assert.isTrue(dummyTransport[methodName].notCalled);
+              assert.strictEqual(client._offlineQueue.length, 0);
+              testCallback();
+            });
+          });
+        });
+
+        /*Tests_SRS_NODE_INTERNAL_CLIENT_16_142: [When the offline queue is enabled, messages shall not be added to the queue and the callback shall be called with an `OperationCancelledError` if `options.abortSignal` has been aborted while they were being sent.]*/
+        it(methodName + ' does not queue the messages if the abort signal is aborted while they are being sent', function (testCallback) {
+          var dummyTransport = new FakeTransport();
+          var abortSignal = new FakeAbortSignal();
+          sinon.stub(dummyTransport, methodName).callsFake(function (messages, callback) {
+            abortSignal.abort();
+            callback(new errors.NotConnectedError('fake'));
+          });
+          var client = new ClientCtor(dummyTransport);
+          client.enableOfflineQueue({}, function () {
+            var message = new Message('foo');
+            client[methodName](methodName === 'sendEvent' ? message : [message], { abortSignal: abortSignal }, function (err) {
+              assert.instanceOf(err, errors.OperationCancelledError);
+              assert.strictEqual(client._offlineQueue.length, 0);
+              testCallback();
+            });
+          });
+        });
+
+        /*Tests_SRS_NODE_INTERNAL_CLIENT_16_143: [When the offline queue is enabled, aborting `options.abortSignal` shall remove the messages that are still waiting in the queue.]*/
+        it(methodName + ' removes the queued messages when the abort signal is aborted', function (testCallback) {
+          var dummyTransport = new FakeTransport();
+          dummyTransport.sendEvent = sinon.stub().callsArgWith(1, new errors.NotConnectedError('fake'));
+          dummyTransport.sendEventBatch = sinon.stub().callsArgWith(1, new errors.NotConnectedError('fake'));
+          var client = new ClientCtor(dummyTransport);
+          client.setRetryPolicy({ shouldRetry: function () { return true; }, nextRetryTimeout: function () { return -1; } });
+          var abortSignal = new FakeAbortSignal();
+          var dropped = sinon.spy();
+          client.on('messageDropped', dropped);
+          client.enableOfflineQueue({}, function () {
+            client.sendEvent(new Message('first'), function () {
+              var message = new Message('foo');
+              client[methodName](methodName === 'sendEvent' ? message : [message], { abortSignal: abortSignal }, function (err, result) {
+                assert.instanceOf(result, results.MessageQueued);
+                assert.strictEqual(client._offlineQueue.length, 2);
+                abortSignal.abort();
+                assert.strictEqual(client._offlineQueue.length, 1);
+                assert.isTrue(dropped.calledWith(message, 'cancelled'));
+                testCallback();
+              });
             });
           });
         });
@@ -607,6 +853,510 @@ var ModuleClient = require('../lib/module_client').ModuleClient;
       });
     });
 
+    describe('setMaxReconnectWindow', function () {
+      var fakeTransport, client;
+      beforeEach(function () {
+        this.clock = sinon.useFakeTimers();
+        fakeTransport = new FakeTransport();
+        client = new ClientCtor(fakeTransport);
+        client.setRetryPolicy({
+          shouldRetry: function () { return true; },
+          nextRetryTimeout: function () { return 60000; }
+        });
+      });
+
+      afterEach(function () {
+        this.clock.restore();
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_125: [The `setMaxReconnectWindow` method shall throw an `ArgumentError` if `maxReconnectWindow` is not a positive number or 0.]*/
+      [undefined, null, -1, NaN, '1000'].forEach(function (badWindow) {
+        it('throws an ArgumentError if maxReconnectWindow is \'' + badWindow + '\'', function () {
+          assert.throws(function () {
+            client.setMaxReconnectWindow(badWindow);
+          }, errors.ArgumentError);
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_124: [The maximum reconnect window shall default to 4 minutes.]*/
+      it('keeps trying to reconnect for 4 minutes by default', function (testCallback) {
+        var clock = this.clock;
+        client.open(function () {
+          fakeTransport.connect = sinon.stub().callsArgWith(0, new errors.NotConnectedError('fake'));
+          fakeTransport.emit('disconnect', new errors.NotConnectedError('fake'));
+          clock.tick(239999);
+          assert.strictEqual(client.connectionState, 'reconnecting');
+          assert.strictEqual(fakeTransport.connect.callCount, 4);
+          clock.tick(1);
+          assert.strictEqual(client.connectionState, 'disconnectedPermanently');
+          assert.strictEqual(fakeTransport.connect.callCount, 5);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_130: [Any reconnection happening after a `setMaxReconnectWindow` call shall use the window set during that call.]*/
+      it('gives up reconnecting once the new window is exceeded', function (testCallback) {
+        var clock = this.clock;
+        client.setMaxReconnectWindow(90000);
+        client.open(function () {
+          fakeTransport.connect = sinon.stub().callsArgWith(0, new errors.NotConnectedError('fake'));
+          fakeTransport.emit('disconnect', new errors.NotConnectedError('fake'));
+          clock.tick(60000);
+          assert.strictEqual(fakeTransport.connect.callCount, 2);
+          assert.strictEqual(client.connectionState, 'disconnectedPermanently');
+          testCallback();
+        });
+      });
+
+      it('tries to reconnect only once if the window is 0', function (testCallback) {
+        client.setMaxReconnectWindow(0);
+        client.open(function () {
+          fakeTransport.connect = sinon.stub().callsArgWith(0, new errors.NotConnectedError('fake'));
+          fakeTransport.emit('disconnect', new errors.NotConnectedError('fake'));
+          assert.isTrue(fakeTransport.connect.calledOnce);
+          assert.strictEqual(client.connectionState, 'disconnectedPermanently');
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_128: [The client shall stop trying to reconnect if the connection state is no longer `reconnecting`, for example because the application closed or opened the client.]*/
+      it('stops trying to reconnect if the client is closed', function (testCallback) {
+        var clock = this.clock;
+        client.open(function () {
+          fakeTransport.connect = sinon.stub().callsArgWith(0, new errors.NotConnectedError('fake'));
+          fakeTransport.emit('disconnect', new errors.NotConnectedError('fake'));
+          client.close(function () {
+            clock.tick(240000);
+            assert.isTrue(fakeTransport.connect.calledOnce);
+            assert.strictEqual(client.connectionState, 'disconnected');
+            testCallback();
+          });
+        });
+      });
+    });
+
+    describe('#enableOfflineQueue', function () {
+      var fakeTransport, testRetryPolicy, client;
+      beforeEach(function () {
+        testRetryPolicy = {
+          shouldRetry: function (err) { return err instanceof errors.NotConnectedError; },
+          nextRetryTimeout: function () { return -1; }
+        };
+        fakeTransport = new FakeTransport();
+        client = new ClientCtor(fakeTransport);
+        client.setRetryPolicy(testRetryPolicy);
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_102: [The `enableOfflineQueue` method shall throw an `InvalidOperationError` if the offline queue is already enabled.]*/
+      it('throws an InvalidOperationError if the offline queue is already enabled', function (testCallback) {
+        client.enableOfflineQueue({}, function () {
+          assert.throws(function () {
+            client.enableOfflineQueue({}, function () {});
+          }, errors.InvalidOperationError);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_104: [The `enableOfflineQueue` method shall load the messages persisted in the store and call its callback with an error if they cannot be loaded.]*/
+      it('calls back with an error if the store cannot be loaded', function (testCallback) {
+        var fakeError = new Error('fake');
+        client.enableOfflineQueue({ store: { load: sinon.stub().callsArgWith(0, fakeError) } }, function (err) {
+          assert.strictEqual(err, fakeError);
+          testCallback();
+        });
+      });
+
+      it('returns a Promise if no callback is passed', function () {
+        return client.enableOfflineQueue();
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_105: [The `enableOfflineQueue` method shall start replaying the messages loaded from the store, if any.]*/
+      it('replays the messages loaded from the store', function (testCallback) {
+        var persistedMessage = new Message('persisted');
+        var fakeStore = {
+          load: sinon.stub().callsArgWith(0, null, [{ sequenceNumber: 0, enqueuedTimeUtc: Date.now(), message: persistedMessage }]),
+          remove: sinon.stub().callsArg(1)
+        };
+        sinon.spy(fakeTransport, 'sendEvent');
+        client.enableOfflineQueue({ store: fakeStore }, function () {
+          assert.isTrue(fakeTransport.sendEvent.calledOnce);
+          assert.strictEqual(fakeTransport.sendEvent.firstCall.args[0], persistedMessage);
+          assert.isTrue(fakeStore.remove.calledOnce);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_107: [When the offline queue is enabled and empty, messages shall be sent with a single transport operation and added to the queue if it fails with an error that the retry policy considers retryable.]*/
+      it('sends the message directly when the queue is empty', function (testCallback) {
+        sinon.spy(fakeTransport, 'sendEvent');
+        client.enableOfflineQueue({}, function () {
+          client.sendEvent(new Message('foo'), function (err, result) {
+            assert.isNull(err);
+            assert.instanceOf(result, results.MessageEnqueued);
+            assert.isTrue(fakeTransport.sendEvent.calledOnce);
+            testCallback();
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_107: [When the offline queue is enabled and empty, messages shall be sent with a single transport operation and added to the queue if it fails with an error that the retry policy considers retryable.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_108: [Once the messages have been added to the offline queue, the callback shall be called with a `results.MessageQueued` object, or with the first error that prevented a message from being added.]*/
+      it('queues the message if the transport fails with a retryable error and replays it', function (testCallback) {
+        var message = new Message('foo');
+        fakeTransport.sendEvent = sinon.stub();
+        fakeTransport.sendEvent.onFirstCall().callsArgWith(1, new errors.NotConnectedError('fake'));
+        fakeTransport.sendEvent.onSecondCall().callsArgWith(1, null, new results.MessageEnqueued());
+        client.enableOfflineQueue({}, function () {
+          client.sendEvent(message, function (err, result) {
+            assert.isNull(err);
+            assert.instanceOf(result, results.MessageQueued);
+            assert.isTrue(fakeTransport.sendEvent.calledTwice);
+            assert.strictEqual(fakeTransport.sendEvent.secondCall.args[0], message);
+            assert.strictEqual(client._offlineQueue.length, 0);
+            testCallback();
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_107: [When the offline queue is enabled and empty, messages shall be sent with a single transport operation and added to the queue if it fails with an error that the retry policy considers retryable.]*/
+      it('calls back with the error if it is not retryable', function (testCallback) {
+        var fakeError = new errors.UnauthorizedError('fake');
+        fakeTransport.sendEvent = sinon.stub().callsArgWith(1, fakeError);
+        client.enableOfflineQueue({}, function () {
+          client.sendEvent(new Message('foo'), function (err) {
+            assert.strictEqual(err, fakeError);
+            assert.strictEqual(client._offlineQueue.length, 0);
+            testCallback();
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_106: [When the offline queue is enabled and contains messages, new messages shall be added to the queue so that they are sent in order.]*/
+      it('queues new messages while the queue contains messages', function (testCallback) {
+        fakeTransport.sendEvent = sinon.stub().callsArgWith(1, new errors.NotConnectedError('fake'));
+        client.enableOfflineQueue({}, function () {
+          client.sendEvent(new Message('first'), function () {
+            var sendEventCount = fakeTransport.sendEvent.callCount;
+            client.sendEvent(new Message('second'), function (err, result) {
+              assert.instanceOf(result, results.MessageQueued);
+              assert.strictEqual(client._offlineQueue.length, 2);
+              // only the replay of the head of the queue was attempted: the second message was not sent directly.
+              assert.strictEqual(fakeTransport.sendEvent.callCount, sendEventCount + 1);
+              assert.strictEqual(fakeTransport.sendEvent.lastCall.args[0].getData(), 'first');
+              testCallback();
+            });
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_107: [When the offline queue is enabled and empty, messages shall be sent with a single transport operation and added to the queue if it fails with an error that the retry policy considers retryable.]*/
+      it('queues each message of a batch if the transport fails with a retryable error', function (testCallback) {
+        fakeTransport.sendEventBatch = sinon.stub().callsArgWith(1, new errors.NotConnectedError('fake'));
+        fakeTransport.sendEvent = sinon.stub().callsArgWith(1, new errors.NotConnectedError('fake'));
+        client.enableOfflineQueue({}, function () {
+          client.sendEventBatch([new Message('1'), new Message('2')], function (err, result) {
+            assert.instanceOf(result, results.MessageQueued);
+            assert.strictEqual(client._offlineQueue.length, 2);
+            testCallback();
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_145: [When the offline queue is enabled, the messages of a batch that failed with an error that the retry policy considers retryable shall be added to the queue, and their entry in the `messageResults` of the `results.MessageBatchEnqueued` object passed to the callback shall be replaced by a `results.MessageQueued` result.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_146: [When the offline queue is enabled, a `messageDropped` event shall be emitted with the `error` reason, or `cancelled` if `options.abortSignal` has been aborted, for each message of a batch that failed without being added to the queue.]*/
+      it('queues the messages of a batch that failed with a retryable error and drops the others', function (testCallback) {
+        var messages = [new Message('1'), new Message('2'), new Message('3')];
+        var retryableError = new errors.NotConnectedError('fake');
+        var fatalError = new errors.FormatError('fake');
+        var messageDroppedSpy = sinon.spy();
+        fakeTransport.sendEventBatch = sinon.stub().callsArgWith(1, null, new results.MessageBatchEnqueued([
+          { result: new results.MessageEnqueued() },
+          { error: retryableError },
+          { error: fatalError }
+        ]));
+        fakeTransport.sendEvent = sinon.stub().callsArgWith(1, null, new results.MessageEnqueued());
+        client.on('messageDropped', messageDroppedSpy);
+        client.enableOfflineQueue({}, function () {
+          client.sendEventBatch(messages, function (err, result) {
+            assert.isNull(err);
+            assert.instanceOf(result, results.MessageBatchEnqueued);
+            assert.instanceOf(result.messageResults[0].result, results.MessageEnqueued);
+            assert.instanceOf(result.messageResults[1].result, results.MessageQueued);
+            assert.isUndefined(result.messageResults[1].error);
+            assert.strictEqual(result.messageResults[2].error, fatalError);
+            assert.isTrue(fakeTransport.sendEvent.calledOnce);
+            assert.strictEqual(fakeTransport.sendEvent.firstCall.args[0], messages[1]);
+            assert.isTrue(messageDroppedSpy.calledOnce);
+            assert.isTrue(messageDroppedSpy.calledWith(messages[2], 'error', fatalError));
+            testCallback();
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_134: [If `messages` is an empty array, the callback shall be called immediately with a `results.MessageQueued` object and nothing shall be added to the offline queue.]*/
+      it('calls back immediately if an empty batch is sent while the queue contains messages', function (testCallback) {
+        fakeTransport.sendEvent = sinon.stub().callsArgWith(1, new errors.NotConnectedError('fake'));
+        client.enableOfflineQueue({}, function () {
+          client.sendEvent(new Message('first'), function () {
+            client.sendEventBatch([], function (err, result) {
+              assert.isNull(err);
+              assert.instanceOf(result, results.MessageQueued);
+              assert.strictEqual(client._offlineQueue.length, 1);
+              testCallback();
+            });
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_103: [The client shall emit a `messageDropped` event with the message, the reason and the error if any, when the offline queue drops a message.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_108: [Once the messages have been added to the offline queue, the callback shall be called with a `results.MessageQueued` object, or with the first error that prevented a message from being added.]*/
+      it('emits messageDropped and calls back with an error if the message cannot be queued', function (testCallback) {
+        var message = new Message('too large');
+        var dropped = sinon.spy();
+        client.on('messageDropped', dropped);
+        fakeTransport.sendEvent = sinon.stub().callsArgWith(1, new errors.NotConnectedError('fake'));
+        client.enableOfflineQueue({ maxQueueSize: 1 }, function () {
+          client.sendEvent(message, function (err) {
+            assert.instanceOf(err, errors.MessageTooLargeError);
+            assert.isTrue(dropped.calledOnce);
+            assert.isTrue(dropped.calledWith(message, 'overflow'));
+            testCallback();
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_110: [The `open` method shall start replaying the offline queue if it is enabled and contains messages once the transport is connected.]*/
+      it('replays the queue when the client is opened', function (testCallback) {
+        fakeTransport.sendEvent = sinon.stub().callsArgWith(1, new errors.NotConnectedError('fake'));
+        client.enableOfflineQueue({}, function () {
+          client.sendEvent(new Message('foo'), function () {
+            assert.strictEqual(client._offlineQueue.length, 1);
+            fakeTransport.sendEvent = sinon.stub().callsArgWith(1, null, new results.MessageEnqueued());
+            client.open(function () {
+              assert.isTrue(fakeTransport.sendEvent.calledOnce);
+              assert.strictEqual(client._offlineQueue.length, 0);
+              testCallback();
+            });
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_109: [The `close` method shall stop replaying the offline queue once the message being sent, if any, completes.]*/
+      it('stops replaying the queue when the client is closed', function (testCallback) {
+        client.enableOfflineQueue({}, function () {
+          sinon.spy(client._offlineQueue, 'stopReplay');
+          client.close(function () {
+            assert.isTrue(client._offlineQueue.stopReplay.calledOnce);
+            testCallback();
+          });
+        });
+      });
+    });
+
+    describe('#connectionState', function () {
+      var fakeTransport, testRetryPolicy, client, stateChanges;
+      beforeEach(function () {
+        testRetryPolicy = {
+          shouldRetry: function (err) { return err instanceof errors.NotConnectedError; },
+          nextRetryTimeout: function () { return -1; }
+        };
+        fakeTransport = new FakeTransport();
+        client = new ClientCtor(fakeTransport);
+        client.setRetryPolicy(testRetryPolicy);
+        stateChanges = [];
+        client.on('connectionStateChange', function (change) {
+          stateChanges.push(change);
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_117: [The initial connection state of the client shall be `disconnected`.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_121: [The `connectionState` getter shall return the current connection state of the client.]*/
+      it('is disconnected initially', function () {
+        assert.strictEqual(client.connectionState, 'disconnected');
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_118: [The `open` method shall change the connection state to `connecting` with the `clientOpen` reason if the client is not connected.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_119: [The `open` method shall change the connection state to `connected` with the `connectionOk` reason once the transport is connected.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_122: [A `connectionStateChange` event shall be emitted with a `ConnectionStateChange` object containing the previous state, the new state, the reason and the error if any, every time the connection state changes.]*/
+      it('goes through connecting and connected when the client is opened', function (testCallback) {
+        client.open(function () {
+          assert.deepEqual(stateChanges, [
+            { previousState: 'disconnected', state: 'connecting', reason: 'clientOpen', error: undefined },
+            { previousState: 'connecting', state: 'connected', reason: 'connectionOk', error: undefined }
+          ]);
+          assert.strictEqual(client.connectionState, 'connected');
+          client.open(function () {
+            assert.strictEqual(stateChanges.length, 2);
+            testCallback();
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_120: [If the transport fails to connect, the connection state shall change to `disconnected` with the error and the `retryExpired` reason if the error is retryable, `badCredential` for an `UnauthorizedError` and `communicationError` otherwise.]*/
+      [
+        { error: new errors.UnauthorizedError('fake'), reason: 'badCredential' },
+        { error: new errors.NotConnectedError('fake'), reason: 'retryExpired' },
+        { error: new errors.FormatError('fake'), reason: 'communicationError' }
+      ].forEach(function (testConfig) {
+        it('changes to disconnected with the \'' + testConfig.reason + '\' reason if the transport fails to connect with a ' + testConfig.error.name, function (testCallback) {
+          fakeTransport.connect = sinon.stub().callsArgWith(0, testConfig.error);
+          client.open(function (err) {
+            assert.strictEqual(err, testConfig.error);
+            assert.strictEqual(client.connectionState, 'disconnected');
+            assert.deepEqual(stateChanges[1], { previousState: 'connecting', state: 'disconnected', reason: testConfig.reason, error: testConfig.error });
+            testCallback();
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_123: [The `close` method shall change the connection state to `disconnected` with the `clientClose` reason once the transport is disconnected.]*/
+      it('changes to disconnected with the clientClose reason when the client is closed', function (testCallback) {
+        client.open(function () {
+          client.close(function () {
+            assert.strictEqual(client.connectionState, 'disconnected');
+            assert.strictEqual(stateChanges[2].reason, 'clientClose');
+            testCallback();
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_111: [If the transport emits a `disconnect` event with an error that the retry policy considers retryable, the connection state shall change to `reconnecting` with the `communicationError` reason and the error.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_114: [After a retryable `disconnect` event, the client shall reconnect the transport using its `connect` method within a `RetryOperation` built with the retry policy and the maximum reconnect window.]*/
+      it('goes through reconnecting and back to connected once the transport is reconnected', function (testCallback) {
+        var fakeError = new errors.NotConnectedError('fake');
+        sinon.spy(fakeTransport, 'connect');
+        client.open(function () {
+          fakeTransport.emit('disconnect', fakeError);
+          assert.isTrue(fakeTransport.connect.calledTwice);
+          assert.deepEqual(stateChanges.slice(2), [
+            { previousState: 'connected', state: 'reconnecting', reason: 'communicationError', error: fakeError },
+            { previousState: 'reconnecting', state: 'connected', reason: 'connectionOk', error: undefined }
+          ]);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_112: [If the retry policy fails to reconnect the transport or to restore the subscriptions of the client, the connection state shall change to `disconnectedPermanently` with the `retryExpired` reason and the error.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_126: [If the retry policy fails to reconnect the transport within the maximum reconnect window, a `disconnect` event shall be emitted with a `results.Disconnected` object.]*/
+      it('changes to disconnectedPermanently and emits a disconnect event if the transport cannot be reconnected', function (testCallback) {
+        var fakeError = new errors.NotConnectedError('still not connected');
+        client.open(function () {
+          fakeTransport.connect = sinon.stub().callsArgWith(0, fakeError);
+          client.on('disconnect', function (result) {
+            assert.instanceOf(result, results.Disconnected);
+            assert.strictEqual(result.transportObj, fakeError);
+            assert.deepEqual(stateChanges[3], { previousState: 'reconnecting', state: 'disconnectedPermanently', reason: 'retryExpired', error: fakeError });
+            testCallback();
+          });
+          fakeTransport.emit('disconnect', new errors.NotConnectedError('fake'));
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_129: [Once the transport is reconnected, the client shall restore all its subscriptions: C2D or input messages, direct methods and desired properties updates.]*/
+      it('restores the subscriptions after reconnecting the transport', function (testCallback) {
+        fakeTransport.enableMethods = sinon.stub().callsArg(0);
+        fakeTransport.onDeviceMethod = sinon.stub();
+        client.open(function () {
+          client._onDeviceMethod('method', function () {});
+          sinon.spy(fakeTransport, 'connect');
+          fakeTransport.emit('disconnect', new errors.NotConnectedError('fake'));
+          assert.isTrue(fakeTransport.connect.calledOnce);
+          assert.isTrue(fakeTransport.connect.calledBefore(fakeTransport.enableMethods.secondCall));
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_127: [Once the client is reconnected, it shall replay the offline queue if it is enabled and contains messages.]*/
+      it('replays the offline queue once reconnected', function (testCallback) {
+        var fakeMessage = new Message('fake');
+        client.open(function () {
+          client.enableOfflineQueue({}, function () {
+            fakeTransport.sendEvent = sinon.stub().callsArgWith(1, new errors.NotConnectedError('fake'));
+            client.sendEvent(fakeMessage, function (err, result) {
+              assert.instanceOf(result, results.MessageQueued);
+              fakeTransport.sendEvent = sinon.stub().callsArgWith(1, null, new results.MessageEnqueued());
+              fakeTransport.emit('disconnect', new errors.NotConnectedError('fake'));
+              assert.isTrue(fakeTransport.sendEvent.calledOnce);
+              assert.strictEqual(fakeTransport.sendEvent.firstCall.args[0], fakeMessage);
+              testCallback();
+            });
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_045: [If the transport successfully establishes a connection the `open` method shall subscribe to the `disconnect` event of the transport.]*/
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_144: [The `open` method shall subscribe to the `disconnect` event of the transport only once, even if it is called again after `close`.]*/
+      it('reconnects after a disconnect event if the client has been closed and opened again', function (testCallback) {
+        var fakeError = new errors.NotConnectedError('fake');
+        client.open(function () {
+          client.close(function () {
+            client.open(function () {
+              assert.strictEqual(fakeTransport.listeners('disconnect').length, 1);
+              sinon.spy(fakeTransport, 'connect');
+              fakeTransport.emit('disconnect', fakeError);
+              assert.isTrue(fakeTransport.connect.calledOnce);
+              assert.deepEqual(stateChanges.slice(5), [
+                { previousState: 'connected', state: 'reconnecting', reason: 'communicationError', error: fakeError },
+                { previousState: 'reconnecting', state: 'connected', reason: 'connectionOk', error: undefined }
+              ]);
+              testCallback();
+            });
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_113: [Once the transport is reconnected and all the subscriptions of the client have been restored, the connection state shall change to `connected` with the `connectionOk` reason.]*/
+      it('goes back to connected once the subscriptions are restored', function (testCallback) {
+        fakeTransport.enableMethods = sinon.stub().callsArg(0);
+        fakeTransport.onDeviceMethod = sinon.stub();
+        client.open(function () {
+          client._onDeviceMethod('method', function () {});
+          fakeTransport.emit('disconnect', new errors.NotConnectedError('fake'));
+          assert.isTrue(fakeTransport.enableMethods.calledTwice);
+          assert.strictEqual(stateChanges[2].state, 'reconnecting');
+          assert.deepEqual(stateChanges[3], { previousState: 'reconnecting', state: 'connected', reason: 'connectionOk', error: undefined });
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_112: [If the retry policy fails to reconnect the transport or to restore the subscriptions of the client, the connection state shall change to `disconnectedPermanently` with the `retryExpired` reason and the error.]*/
+      it('changes to disconnectedPermanently if the subscriptions cannot be restored', function (testCallback) {
+        var fakeError = new errors.NotConnectedError('still not connected');
+        fakeTransport.enableMethods = sinon.stub().callsArg(0);
+        fakeTransport.onDeviceMethod = sinon.stub();
+        client.open(function () {
+          client._onDeviceMethod('method', function () {});
+          fakeTransport.enableMethods = sinon.stub().callsArgWith(0, fakeError);
+          client.on('disconnect', function (result) {
+            assert.instanceOf(result, results.Disconnected);
+            assert.strictEqual(client.connectionState, 'disconnectedPermanently');
+            assert.deepEqual(stateChanges[3], { previousState: 'reconnecting', state: 'disconnectedPermanently', reason: 'retryExpired', error: fakeError });
+            testCallback();
+          });
+          fakeTransport.emit('disconnect', new errors.NotConnectedError('fake'));
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_115: [If the transport emits a `disconnect` event with an error that the retry policy does not consider retryable, the connection state shall change to `disconnectedPermanently` with a reason derived from the error: `badCredential` for an `UnauthorizedError`, `communicationError` otherwise.]*/
+      it('changes to disconnectedPermanently with the badCredential reason if the transport is disconnected with an UnauthorizedError', function (testCallback) {
+        var fakeError = new errors.UnauthorizedError('fake');
+        client.open(function () {
+          fakeTransport.emit('disconnect', fakeError);
+          assert.deepEqual(stateChanges[2], { previousState: 'connected', state: 'disconnectedPermanently', reason: 'badCredential', error: fakeError });
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_INTERNAL_CLIENT_16_116: [If the transport emits a `disconnect` event without an error, the connection state shall change to `disconnected` with the `communicationError` reason.]*/
+      it('changes to disconnected if the transport is disconnected without an error', function (testCallback) {
+        client.open(function () {
+          fakeTransport.emit('disconnect');
+          assert.deepEqual(stateChanges[2], { previousState: 'connected', state: 'disconnected', reason: 'communicationError', error: undefined });
+          testCallback();
+        });
+      });
+    });
+
     describe('transport.on(\'disconnect\') handler', function () {
       var fakeTransport, fakeRetryPolicy;
       beforeEach(function () {
@@ -616,6 +1366,7 @@ var ModuleClient = require('../lib/module_client').ModuleClient;
         };
 
         fakeTransport = new EventEmitter();
+        fakeTransport.connect = sinon.stub().callsArg(0);
         fakeTransport.enableC2D = sinon.stub().callsArg(0);
         fakeTransport.enableTwinDesiredPropertiesUpdates = sinon.stub().callsArg(0);
         fakeTransport.getTwin = sinon.stub().callsArgWith(0, null, new Twin(fakeTransport, fakeRetryPolicy));
@@ -473,14 +473,91 @@ describe('ModuleClient', function () {
 
   ['sendOutputEvent', 'sendOutputEventBatch'].forEach(function(funcName) {
     describe('#' + funcName, function() {
-      /*Tests_SRS_NODE_MODULE_CLIENT_18_019: [The `sendOutputEvent` method shall not throw if the `callback` is not passed. ]*/
-      /*Tests_SRS_NODE_MODULE_CLIENT_18_022: [The `sendOutputEventBatch` method shall not throw if the `callback` is not passed. ]*/
-      it('doesn\'t throw if no callback is given and the method exists on the transport', function() {
+      /*Tests_SRS_NODE_MODULE_CLIENT_18_019: [If the `callback` argument is not passed, the `sendOutputEvent` method shall not throw and shall return a `Promise` that is resolved with the result of the operation or rejected with its error. ]*/
+      /*Tests_SRS_NODE_MODULE_CLIENT_18_022: [If the `callback` argument is not passed, the `sendOutputEventBatch` method shall not throw and shall return a `Promise` that is resolved with the result of the operation or rejected with its error. ]*/
+      it('doesn\'t throw and returns a Promise if no callback is given and the method exists on the transport', function(testCallback) {
         var transport = new FakeTransport();
         var client = new ModuleClient(transport);
         client.open(function() {
+          var returnValue;
           assert.doesNotThrow(function() {
-            client[funcName]('message');
+            returnValue = client[funcName]('outputName', new Message('message'));
+          });
+          assert.instanceOf(returnValue, Promise);
+          returnValue.then(function() {
+            testCallback();
+          }, testCallback);
+        });
+      });
+
+      it('returns a Promise resolved with a MessageEnqueued result if no callback is passed', function () {
+        var client = new ModuleClient(new FakeTransport());
+        return client[funcName]('outputName', new Message('foo')).then(function (result) {
+          assert.instanceOf(result, results.MessageEnqueued);
+        });
+      });
+
+      /*Tests_SRS_NODE_MODULE_CLIENT_16_110: [When the offline queue is enabled, the `sendOutputEvent` method shall add the message to the queue with its `outputName` if it cannot be sent because of a retryable error or if the queue already contains messages.]*/
+      /*Tests_SRS_NODE_MODULE_CLIENT_16_111: [When the offline queue is enabled, the `sendOutputEventBatch` method shall add the messages to the queue with their `outputName` if they cannot be sent because of a retryable error or if the queue already contains messages.]*/
+      it('queues the messages with the output name and replays them with sendOutputEvent when the offline queue is enabled', function (testCallback) {
+        var transport = new FakeTransport();
+        transport[funcName] = sinon.stub().callsArgWith(2, new errors.NotConnectedError('fake'));
+        transport.sendOutputEvent = sinon.stub();
+        transport.sendOutputEvent.onFirstCall().callsArgWith(2, new errors.NotConnectedError('fake'));
+        transport.sendOutputEvent.callsArgWith(2, null, new results.MessageEnqueued());
+        var message = new Message('foo');
+        var client = new ModuleClient(transport);
+        client.setRetryPolicy({
+          shouldRetry: function (err) { return err instanceof errors.NotConnectedError; },
+          nextRetryTimeout: function () { return -1; }
+        });
+        client.enableOfflineQueue({}, function () {
+          client[funcName]('outputName', funcName === 'sendOutputEvent' ? message : [message], function (err, result) {
+            assert.isNull(err);
+            assert.instanceOf(result, results.MessageQueued);
+            client.open(function () {
+              assert.strictEqual(transport.sendOutputEvent.lastCall.args[0], 'outputName');
+              assert.strictEqual(transport.sendOutputEvent.lastCall.args[1], message);
+              assert.strictEqual(client._offlineQueue.length, 0);
+              testCallback();
+            });
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_MODULE_CLIENT_16_112: [The `sendOutputEvent` and `sendOutputEventBatch` methods shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` executing the operation, so that aborting the signal stops the pending retries and fails the operation with an `OperationCancelledError`.]*/
+      it('stops retrying and fails with an OperationCancelledError when the abort signal is aborted', function () {
+        var transport = new FakeTransport();
+        transport[funcName] = sinon.stub().callsArgWith(2, new errors.TimeoutError('fake'));
+        var client = new ModuleClient(transport);
+        client.setRetryPolicy({ shouldRetry: function () { return true; }, nextRetryTimeout: function () { return 60000; } });
+        var abortSignal = { aborted: false };
+        abortSignal.addEventListener = function (type, listener) { abortSignal.onAbort = listener; };
+        abortSignal.removeEventListener = function () { abortSignal.onAbort = undefined; };
+        var promise = client[funcName]('outputName', new Message('foo'), { abortSignal: abortSignal });
+        abortSignal.aborted = true;
+        abortSignal.onAbort();
+        return promise.then(function () {
+          assert.fail('the promise should have been rejected');
+        }, function (err) {
+          assert.instanceOf(err, errors.OperationCancelledError);
+          assert.isTrue(transport[funcName].calledOnce);
+          assert.isUndefined(abortSignal.onAbort);
+        });
+      });
+
+      /*Tests_SRS_NODE_MODULE_CLIENT_16_113: [When the offline queue is enabled, the `sendOutputEvent` and `sendOutputEventBatch` methods shall call their callback with an `OperationCancelledError` without sending or queuing the messages if `options.abortSignal` is already aborted.]*/
+      it('fails with an OperationCancelledError without sending or queuing the messages if the offline queue is enabled and the abort signal is aborted', function (testCallback) {
+        var transport = new FakeTransport();
+        transport[funcName] = sinon.stub();
+        var client = new ModuleClient(transport);
+        client.enableOfflineQueue({}, function () {
+          var message = new Message('foo');
+          client[funcName]('outputName', funcName === 'sendOutputEvent' ? message : [message], { abortSignal: { aborted: true } }, function (err) {
+            assert.instanceOf(err, errors.OperationCancelledError);
+            assert.isTrue(transport[funcName].notCalled);
+            assert.strictEqual(client._offlineQueue.length, 0);
+            testCallback();
           });
         });
       });
@@ -566,6 +643,30 @@ describe('ModuleClient', function () {
       assert.isTrue(fakeMethodClient.invokeMethod.calledOnce);
       assert.isTrue(fakeMethodClient.invokeMethod.calledWith('deviceId', 'moduleId', fakeMethodParams));
     });
+
+    it('returns a Promise resolved with the method result if no callback is passed', function () {
+      var fakeMethodResult = { status: 200, payload: 'foo' };
+      var fakeMethodClient = {
+        invokeMethod: sinon.stub().callsArgWith(3, null, fakeMethodResult)
+      };
+      var client = new ModuleClient(new FakeTransport(), fakeMethodClient);
+      return client.invokeMethod('deviceId', 'moduleId', { methodName: 'methodName' }).then(function (result) {
+        assert.strictEqual(result, fakeMethodResult);
+      });
+    });
+
+    it('returns a Promise rejected with the error if the method call fails and no callback is passed', function () {
+      var testError = new Error('fake error');
+      var fakeMethodClient = {
+        invokeMethod: sinon.stub().callsArgWith(3, testError)
+      };
+      var client = new ModuleClient(new FakeTransport(), fakeMethodClient);
+      return client.invokeMethod('deviceId', { methodName: 'methodName' }).then(function () {
+        assert.fail('the promise should have been rejected');
+      }, function (err) {
+        assert.strictEqual(err, testError);
+      });
+    });
   });
 
   describe('#on(\'inputMessage\')', function () {
@@ -868,6 +969,7 @@ describe('ModuleClient', function () {
       };
 
       fakeTransport = new EventEmitter();
+      fakeTransport.connect = sinon.stub().callsArg(0);
       fakeTransport.enableMethods = sinon.stub().callsArg(0);
       fakeTransport.onDeviceMethod = sinon.stub();
     });
@@ -75,6 +75,25 @@ describe('Twin', function () {
       });
     });
 
+    /*Tests_SRS_NODE_DEVICE_TWIN_16_015: [The `get` method shall pass `options.abortSignal`, if specified, to the `RetryOperation` used to get the twin, so that aborting the signal fails the operation with an `OperationCancelledError`.]*/
+    it('calls its callback with an OperationCancelledError without calling the transport if the abort signal is aborted', function (testCallback) {
+      var twin = new Twin(fakeTransport, fakeRetryPolicy, 0);
+      twin.get({ abortSignal: { aborted: true } }, function (err) {
+        assert.instanceOf(err, errors.OperationCancelledError);
+        assert.isTrue(fakeTransport.getTwin.notCalled);
+        testCallback();
+      });
+    });
+
+    it('calls its callback with the twin if the abort signal is not aborted', function (testCallback) {
+      var twin = new Twin(fakeTransport, fakeRetryPolicy, 0);
+      twin.get({ abortSignal: { aborted: false } }, function (err, result) {
+        assert.isNull(err);
+        assert.strictEqual(result, twin);
+        testCallback();
+      });
+    });
+
     /*Tests_SRS_NODE_DEVICE_TWIN_16_006: [For each desired property that is part of the `TwinProperties` object received, an event named after the path to this property shall be fired and passed the property value as argument.]*/
     it('fires events for the new properties that have been merged', function (testCallback) {
       var twin = new Twin(fakeTransport, fakeRetryPolicy, 0);
@@ -8,6 +8,7 @@ var stream = require('stream');
 var BlobUploadClient = require('../../lib/blob_upload').BlobUploadClient;
 var BlobUploadNotificationError = require('../../lib/blob_upload').BlobUploadNotificationError;
 var BlobSasError = require('../../lib/blob_upload').BlobSasError;
+var errors = require('azure-iot-common').errors;
 
 var FakeFileUploadApi = function() {
   this.getBlobSharedAccessSignature = sinon.spy();
@@ -84,7 +85,7 @@ describe('BlobUploadClient', function() {
       });
     });
 
-    /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_CLIENT_16_006: [`uploadToBlob` shall upload the stream to the specified blob using its BlobUploader instance.]*/
+    /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_CLIENT_16_006: [`uploadToBlob` shall upload the stream to the specified blob using its BlobUploader instance, with the `options` passed as argument.]*/
     it('uploads the stream to the blob', function(done) {
       var fakeStream = new stream.Readable();
       var fakeFileUpload = new FakeFileUploadApi();
@@ -103,10 +104,11 @@ describe('BlobUploadClient', function() {
         callback(null, fakeBlobInfo);
       };
 
-      fakeBlobUploader.uploadToBlob = function(blobInfo, stream, streamLength) {
+      fakeBlobUploader.uploadToBlob = function(blobInfo, stream, streamLength, options) {
         assert.equal(blobInfo, fakeBlobInfo);
         assert.equal(stream, fakeStream);
         assert.equal(streamLength, fakeStreamLength);
+        assert.deepEqual(options, {});
         done();
       };
 
@@ -114,6 +116,23 @@ describe('BlobUploadClient', function() {
       client.uploadToBlob(fakeBlobName, fakeStream, fakeStreamLength, function() {});
     });
 
+    it('passes the options to the blob uploader', function(done) {
+      var fakeOptions = { blockSizeInBytes: 1024, parallelism: 4 };
+      var fakeFileUpload = new FakeFileUploadApi();
+      var fakeBlobUploader = new FakeBlobUploader();
+      fakeFileUpload.getBlobSharedAccessSignature = function(blobName, callback) {
+        callback(null, { correlationId: 'correlationId' });
+      };
+
+      fakeBlobUploader.uploadToBlob = function(blobInfo, stream, streamLength, options) {
+        assert.strictEqual(options, fakeOptions);
+        done();
+      };
+
+      var client = new BlobUploadClient(fakeConfig, fakeFileUpload, fakeBlobUploader);
+      client.uploadToBlob('blobName', new stream.Readable(), 42, fakeOptions, function() {});
+    });
+
     /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_CLIENT_16_008: [`uploadToBlob` shall notify the result of a blob upload to the IoT Hub service using the file upload API endpoint.]*/
     it('sends the file uploaded notification once done with the upload', function() {
       var fakeStream = new stream.Readable();
@@ -133,7 +152,7 @@ describe('BlobUploadClient', function() {
         callback(null, fakeBlobInfo);
       };
 
-      fakeBlobUploader.uploadToBlob = function(blobInfo, stream, streamLength, callback) {
+      fakeBlobUploader.uploadToBlob = function(blobInfo, stream, streamLength, options, callback) {
         callback(null, 'deviceId/' + fakeBlobName,  { statusCode: 200, body: 'Success' });
       };
 
@@ -165,7 +184,7 @@ describe('BlobUploadClient', function() {
         callback(new Error('could not notify hub'));
       };
 
-      fakeBlobUploader.uploadToBlob = function(blobInfo, stream, streamLength, callback) {
+      fakeBlobUploader.uploadToBlob = function(blobInfo, stream, streamLength, options, callback) {
         callback(null, 'deviceId/' + fakeBlobName,  { statusCode: 200, body: 'Success' });
       };
 
@@ -199,7 +218,7 @@ describe('BlobUploadClient', function() {
         callback();
       };
 
-      fakeBlobUploader.uploadToBlob = function(blobInfo, stream, streamLength, callback) {
+      fakeBlobUploader.uploadToBlob = function(blobInfo, stream, streamLength, options, callback) {
         callback(null, 'deviceId/' + fakeBlobName,  { statusCode: 200, body: 'Success' });
       };
 
@@ -209,5 +228,28 @@ describe('BlobUploadClient', function() {
         done();
       });
     });
+
+    /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_CLIENT_16_011: [`uploadToBlob` shall call the `done` callback with the `OperationCancelledError` of the `BlobUploader` once IoT Hub has been notified of the failed upload if the upload was aborted.]*/
+    it('notifies IoT Hub of the failed upload and calls the done callback with an OperationCancelledError if the upload was aborted', function(done) {
+      var fakeError = new errors.OperationCancelledError('aborted');
+      var fakeFileUpload = new FakeFileUploadApi();
+      var fakeBlobUploader = new FakeBlobUploader();
+      fakeFileUpload.getBlobSharedAccessSignature = function(blobName, callback) {
+        callback(null, { correlationId: 'correlationId' });
+      };
+      fakeFileUpload.notifyUploadComplete = sinon.stub().callsArgWith(2);
+      fakeBlobUploader.uploadToBlob = function(blobInfo, stream, streamLength, options, callback) {
+        callback(fakeError);
+      };
+
+      var client = new BlobUploadClient(fakeConfig, fakeFileUpload, fakeBlobUploader);
+      client.uploadToBlob('blobName', new stream.Readable(), 42, {}, function(err) {
+        assert.strictEqual(err, fakeError);
+        var uploadResult = fakeFileUpload.notifyUploadComplete.firstCall.args[1];
+        assert.isFalse(uploadResult.isSuccess);
+        assert.strictEqual(uploadResult.statusCode, -1);
+        done();
+      });
+    });
   });
-});
\ No newline at end of file
+});
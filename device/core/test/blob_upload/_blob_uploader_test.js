@@ -4,9 +4,12 @@
 'use strict';
 
 var assert = require('chai').assert;
+var sinon = require('sinon');
 var stream = require('stream');
-var ArgumentError = require('azure-iot-common').errors.ArgumentError;
+var errors = require('azure-iot-common').errors;
+var ArgumentError = errors.ArgumentError;
 var BlobUploader = require('../../lib/blob_upload/blob_uploader.js').BlobUploader;
+var BlobStorageRetryPolicy = require('../../lib/blob_upload/blob_uploader.js').BlobStorageRetryPolicy;
 var FakeStorageApi = require('./fake_storage_api.js');
 
 describe('BlobUploader', function() {
@@ -130,15 +133,287 @@ describe('BlobUploader', function() {
       });
     });
 
-    /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_16_005: [`uploadToBlob` shall call the `done` calback with the result of the storage api call.]*/
-    it('calls the \'done\' callback with the result of the storage api call', function (done) {
-      var uploader = new BlobUploader(FakeStorageApi);
+    /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_16_009: [`uploadToBlob` shall throw an `ArgumentError` if `options.blockSizeInBytes` is not a positive integer no greater than 100 MiB, if `options.parallelism` is not a positive integer, or if the stream would be split into more than 50000 blocks.]*/
+    [
+      { blockSizeInBytes: -1 },
+      { blockSizeInBytes: 2.5 },
+      { blockSizeInBytes: 100 * 1024 * 1024 + 1 },
+      { parallelism: 0 },
+      { parallelism: 1.5 },
+      { blockSizeInBytes: 1, streamLength: 50001 }
+    ].forEach(function (badOptions) {
+      it('throws an ArgumentError if the options are ' + JSON.stringify(badOptions), function () {
+        assert.throws(function () {
+          var uploader = new BlobUploader(FakeStorageApi);
+          uploader.uploadToBlob(fakeBlobInfo, fakeStream, badOptions.streamLength || 42, badOptions, function () {});
+        }, ArgumentError);
+      });
+    });
+
+    /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_16_019: [`uploadToBlob` shall throw an `ArgumentError` if `options.contentType` or `options.contentEncoding` is specified and is not a string, or if `options.metadata` is specified and is not an object whose names are valid C# identifiers and whose values are strings.]*/
+    [
+      { contentType: 42 },
+      { contentEncoding: true },
+      { metadata: 'fake' },
+      { metadata: { '1name': 'value' } },
+      { metadata: { 'name-with-dash': 'value' } },
+      { metadata: { name: 42 } }
+    ].forEach(function (badOptions) {
+      it('throws an ArgumentError if the options are ' + JSON.stringify(badOptions), function () {
+        assert.throws(function () {
+          var uploader = new BlobUploader(FakeStorageApi);
+          uploader.uploadToBlob(fakeBlobInfo, fakeStream, 42, badOptions, function () {});
+        }, ArgumentError);
+      });
+    });
+
+    describe('block upload', function () {
+      var fakeContent = new Buffer('0123456789');
+      var fakeBlobService;
+      var uploader;
+      var blockInfo;
+
+      function contentStream(content) {
+        var contentStream = new stream.PassThrough();
+        contentStream.end(content);
+        return contentStream;
+      }
+
+      beforeEach(function () {
+        fakeBlobService = new FakeStorageApi.FakeBlobService();
+        sinon.spy(fakeBlobService, 'createBlockFromText');
+        sinon.spy(fakeBlobService, 'commitBlocks');
+        uploader = new BlobUploader({ createBlobServiceWithSas: function () { return fakeBlobService; } });
+        uploader.retryPolicy = new BlobStorageRetryPolicy();
+        uploader.retryPolicy.nextRetryTimeout = function () { return 0; };
+        blockInfo = {
+          hostName: 'host.name',
+          containerName: 'containerName',
+          blobName: 'blobName',
+          sasToken: '?sv=2017-04-17&se=' + encodeURIComponent(new Date(Date.now() + 3600000).toISOString()) + '&sr=b&sp=rw&sig=fakeSig'
+        };
+      });
+
+      /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_16_005: [`uploadToBlob` shall call the `done` calback with the result of the storage api call.]*/
+      /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_16_012: [`uploadToBlob` shall commit the list of blocks in the order of the stream once all blocks have been uploaded and the stream has ended.]*/
+      it('commits the blocks in the order of the stream and calls the \'done\' callback with the result of the commit', function (testCallback) {
+        uploader.uploadToBlob(blockInfo, contentStream(fakeContent), fakeContent.length, { blockSizeInBytes: 4 }, function (err, body, response) {
+          assert.isNull(err);
+          assert.strictEqual(body, 'fakeBody');
+          assert.deepEqual(response, { statusCode: 201, body: 'fakeResponse' });
+          assert.isTrue(fakeBlobService.commitBlocks.calledOnce);
+          var committedContent = Buffer.concat(fakeBlobService.committedBlockIds.map(function (blockId) {
+            return fakeBlobService.blocks[blockId];
+          }));
+          assert.strictEqual(committedContent.toString(), fakeContent.toString());
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_16_018: [`uploadToBlob` shall commit the list of blocks with the `options.contentType` and `options.contentEncoding` as content settings and the `options.metadata` as metadata of the blob, if specified.]*/
+      it('commits the blocks with the content settings and metadata of the options', function (testCallback) {
+        var options = { contentType: 'text/plain', contentEncoding: 'gzip', metadata: { source: 'sensor', _id: '42' } };
+        uploader.uploadToBlob(blockInfo, contentStream(fakeContent), fakeContent.length, options, function (err) {
+          assert.isNull(err);
+          assert.deepEqual(fakeBlobService.commitBlocks.firstCall.args[3], {
+            contentSettings: { contentType: 'text/plain', contentEncoding: 'gzip' },
+            metadata: { source: 'sensor', _id: '42' }
+          });
+          testCallback();
+        });
+      });
+
+      it('commits the blocks without content settings or metadata if the options do not specify them', function (testCallback) {
+        uploader.uploadToBlob(blockInfo, contentStream(fakeContent), fakeContent.length, { blockSizeInBytes: 4 }, function (err) {
+          assert.isNull(err);
+          assert.deepEqual(fakeBlobService.commitBlocks.firstCall.args[3], {});
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_16_010: [`uploadToBlob` shall split the stream into blocks of `options.blockSizeInBytes` bytes, or 4 MiB if `options.blockSizeInBytes` is not specified, the last block holding the remaining bytes, and identify each block by its index in the stream.]*/
+      it('splits the stream into blocks of options.blockSizeInBytes bytes with identifiers of the same length', function (testCallback) {
+        var chunkedStream = new stream.PassThrough();
+        uploader.uploadToBlob(blockInfo, chunkedStream, fakeContent.length, { blockSizeInBytes: 4 }, function (err) {
+          assert.isNull(err);
+          assert.strictEqual(fakeBlobService.createBlockFromText.callCount, 3);
+          assert.deepEqual(fakeBlobService.createBlockFromText.args.map(function (args) { return args[3].length; }), [4, 4, 2]);
+          fakeBlobService.committedBlockIds.forEach(function (blockId) {
+            assert.strictEqual(blockId.length, fakeBlobService.committedBlockIds[0].length);
+          });
+          testCallback();
+        });
+        chunkedStream.write(fakeContent.slice(0, 3));
+        chunkedStream.write(fakeContent.slice(3, 9));
+        chunkedStream.end(fakeContent.slice(9));
+      });
+
+      it('uploads the stream in a single block if it is smaller than 4 MiB and options.blockSizeInBytes is not specified', function (testCallback) {
+        uploader.uploadToBlob(blockInfo, contentStream(fakeContent), fakeContent.length, function (err) {
+          assert.isNull(err);
+          assert.isTrue(fakeBlobService.createBlockFromText.calledOnce);
+          assert.strictEqual(fakeBlobService.createBlockFromText.firstCall.args[3].toString(), fakeContent.toString());
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_16_011: [`uploadToBlob` shall upload the blocks with `createBlockFromText`, with no more than `options.parallelism` blocks in progress at the same time, or 2 if `options.parallelism` is not specified.]*/
+      [undefined, 1, 3].forEach(function (parallelism) {
+        it('does not upload more than ' + (parallelism || 2) + ' blocks at the same time if options.parallelism is ' + parallelism, function (testCallback) {
+          var blocksInFlight = 0;
+          var maxBlocksInFlight = 0;
+          fakeBlobService.createBlockFromText = function (blockId, containerName, blobName, content, options, done) {
+            blocksInFlight++;
+            maxBlocksInFlight = Math.max(maxBlocksInFlight, blocksInFlight);
+            setTimeout(function () {
+              blocksInFlight--;
+              done(null, { statusCode: 201, body: '' });
+            }, 1);
+          };
+          uploader.uploadToBlob(blockInfo, contentStream(fakeContent), fakeContent.length, { blockSizeInBytes: 1, parallelism: parallelism }, function (err) {
+            assert.isNull(err);
+            assert.strictEqual(maxBlocksInFlight, parallelism || 2);
+            assert.strictEqual(fakeBlobService.committedBlockIds.length, fakeContent.length);
+            testCallback();
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_16_013: [`uploadToBlob` shall call `options.onProgress` with the number of `uploadedBytes` and the `totalBytes` to upload every time a block has been uploaded.]*/
+      it('calls options.onProgress every time a block has been uploaded', function (testCallback) {
+        var onProgress = sinon.spy();
+        uploader.uploadToBlob(blockInfo, contentStream(fakeContent), fakeContent.length, { blockSizeInBytes: 4, parallelism: 1, onProgress: onProgress }, function (err) {
+          assert.isNull(err);
+          assert.deepEqual(onProgress.args.map(function (args) { return args[0]; }), [
+            { uploadedBytes: 4, totalBytes: 10 },
+            { uploadedBytes: 8, totalBytes: 10 },
+            { uploadedBytes: 10, totalBytes: 10 }
+          ]);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_16_014: [`uploadToBlob` shall retry a block or the commit of the block list that failed with a network error, a 408 or a 5xx status code, as long as the SAS token is valid, without uploading the other blocks again.]*/
+      [
+        { name: 'a network error', errorProperties: { code: 'ECONNRESET' } },
+        { name: 'a 408 status code', errorProperties: { statusCode: 408 } },
+        { name: 'a 503 status code', errorProperties: { statusCode: 503 } }
+      ].forEach(function (testConfig) {
+        it('retries only the block that failed with ' + testConfig.name, function (testCallback) {
+          var failedOnce = false;
+          fakeBlobService.createBlockFromText = sinon.spy(function (blockId, containerName, blobName, content, options, done) {
+            if (content.toString() === '4567' && !failedOnce) {
+              failedOnce = true;
+              var fakeError = new Error('fake');
+              Object.keys(testConfig.errorProperties).forEach(function (key) {
+                fakeError[key] = testConfig.errorProperties[key];
+              });
+              done(fakeError);
+            } else {
+              this.blocks[blockId] = content;
+              done(null, { statusCode: 201, body: '' });
+            }
+          });
+          uploader.uploadToBlob(blockInfo, contentStream(fakeContent), fakeContent.length, { blockSizeInBytes: 4 }, function (err) {
+            assert.isNull(err);
+            assert.strictEqual(fakeBlobService.createBlockFromText.callCount, 4);
+            assert.deepEqual(fakeBlobService.createBlockFromText.args.map(function (args) { return args[3].toString(); }).sort(), ['0123', '4567', '4567', '89']);
+            assert.isTrue(fakeBlobService.commitBlocks.calledOnce);
+            testCallback();
+          });
+        });
+      });
+
+      it('retries the commit of the block list if it failed with a network error', function (testCallback) {
+        fakeBlobService.commitBlocks = sinon.stub();
+        fakeBlobService.commitBlocks.onFirstCall().callsArgWith(4, new Error('fake'));
+        fakeBlobService.commitBlocks.onSecondCall().callsArgWith(4, null, 'fakeBody', { statusCode: 201, body: '' });
+        uploader.uploadToBlob(blockInfo, contentStream(fakeContent), fakeContent.length, function (err, body) {
+          assert.isNull(err);
+          assert.strictEqual(body, 'fakeBody');
+          assert.isTrue(fakeBlobService.commitBlocks.calledTwice);
+          testCallback();
+        });
+      });
+
+      it('does not retry a block if the SAS token has expired', function (testCallback) {
+        var fakeError = new Error('fake');
+        blockInfo.sasToken = 'sv=2017-04-17&se=' + encodeURIComponent(new Date(Date.now() - 1000).toISOString()) + '&sr=b&sp=rw&sig=fakeSig';
+        fakeBlobService.createBlockFromText = sinon.stub().callsArgWith(5, fakeError);
+        uploader.uploadToBlob(blockInfo, contentStream(fakeContent), fakeContent.length, function (err) {
+          assert.strictEqual(err, fakeError);
+          assert.isTrue(fakeBlobService.createBlockFromText.calledOnce);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_16_015: [`uploadToBlob` shall call the `done` callback with the error and the storage response of the first block that could not be uploaded, and stop reading the stream.]*/
+      it('does not retry a block that failed with a 403 status code and calls the \'done\' callback with the error and the response', function (testCallback) {
+        var fakeError = new Error('fake');
+        fakeError.statusCode = 403;
+        var fakeResponse = { statusCode: 403, body: 'AuthenticationFailed' };
+        fakeBlobService.createBlockFromText = sinon.stub().callsArgWith(5, fakeError, fakeResponse);
+        uploader.uploadToBlob(blockInfo, contentStream(fakeContent), fakeContent.length, { blockSizeInBytes: 4, parallelism: 1 }, function (err, body, response) {
+          assert.strictEqual(err, fakeError);
+          assert.isUndefined(body);
+          assert.strictEqual(response, fakeResponse);
+          assert.isTrue(fakeBlobService.createBlockFromText.calledOnce);
+          assert.isTrue(fakeBlobService.commitBlocks.notCalled);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_16_016: [`uploadToBlob` shall stop reading the stream and call the `done` callback with an `OperationCancelledError` as soon as it sees that `options.abortSignal` is aborted, before starting or retrying a block or committing the block list.]*/
+      it('does not upload anything if options.abortSignal is already aborted', function (testCallback) {
+        uploader.uploadToBlob(blockInfo, contentStream(fakeContent), fakeContent.length, { abortSignal: { aborted: true } }, function (err) {
+          assert.instanceOf(err, errors.OperationCancelledError);
+          assert.isTrue(fakeBlobService.createBlockFromText.notCalled);
+          assert.isTrue(fakeBlobService.commitBlocks.notCalled);
+          testCallback();
+        });
+      });
+
+      it('stops uploading blocks once options.abortSignal is aborted', function (testCallback) {
+        var fakeAbortSignal = { aborted: false };
+        var options = {
+          blockSizeInBytes: 4,
+          parallelism: 1,
+          abortSignal: fakeAbortSignal,
+          onProgress: function () {
+            fakeAbortSignal.aborted = true;
+          }
+        };
+        uploader.uploadToBlob(blockInfo, contentStream(fakeContent), fakeContent.length, options, function (err) {
+          assert.instanceOf(err, errors.OperationCancelledError);
+          assert.isTrue(fakeBlobService.createBlockFromText.calledOnce);
+          assert.isTrue(fakeBlobService.commitBlocks.notCalled);
+          testCallback();
+        });
+      });
+
+      it('does not retry a block once options.abortSignal is aborted', function (testCallback) {
+        var fakeAbortSignal = { aborted: false };
+        fakeBlobService.createBlockFromText = sinon.spy(function (blockId, containerName, blobName, content, options, done) {
+          fakeAbortSignal.aborted = true;
+          done(new Error('fake'));
+        });
+        uploader.uploadToBlob(blockInfo, contentStream(fakeContent), fakeContent.length, { abortSignal: fakeAbortSignal }, function (err) {
+          assert.instanceOf(err, errors.OperationCancelledError);
+          assert.isTrue(fakeBlobService.createBlockFromText.calledOnce);
+          testCallback();
+        });
+      });
 
-      uploader.uploadToBlob(fakeBlobInfo, fakeStream, 42, function (err, body, response) {
-        assert.equal(err, 'fakeError');
-        assert.equal(body, 'fakeBody');
-        assert.equal(response, 'fakeResponse');
-        done();
+      /*Tests_SRS_NODE_DEVICE_BLOB_UPLOAD_16_017: [`uploadToBlob` shall call the `done` callback with the error emitted by the stream if it fails to be read.]*/
+      it('calls the \'done\' callback with the error of the stream', function (testCallback) {
+        var fakeError = new Error('fake');
+        var failingStream = new stream.PassThrough();
+        uploader.uploadToBlob(blockInfo, failingStream, fakeContent.length, function (err) {
+          assert.strictEqual(err, fakeError);
+          assert.isTrue(fakeBlobService.commitBlocks.notCalled);
+          testCallback();
+        });
+        failingStream.emit('error', fakeError);
       });
     });
   });
@@ -3,19 +3,29 @@
 
 'use strict';
 
-function FakeBlobService() {}
+function FakeBlobService() {
+  this.blocks = {};
+  this.committedBlockIds = null;
+}
+
+FakeBlobService.prototype.createBlockFromText = function (blockId, containerName, blobName, content, options, done) {
+  this.blocks[blockId] = content;
+  done(null, { statusCode: 201, body: '' });
+};
 
-FakeBlobService.prototype.createBlockBlobFromStream = function (containerName, blobName, stream, streamLength, done) {
-  done('fakeError', 'fakeBody', 'fakeResponse');
+FakeBlobService.prototype.commitBlocks = function (containerName, blobName, blockList, options, done) {
+  this.committedBlockIds = blockList.LatestBlocks;
+  done(null, 'fakeBody', { statusCode: 201, body: 'fakeResponse' });
 };
 
 function createBlobServiceWithSas (host, sasToken) {
   if (!host) throw new ReferenceError('host cannot be falsy');
   if (!sasToken) throw new ReferenceError('host cannot be falsy');
-  
+
   return new FakeBlobService();
 }
 
 module.exports = {
-  createBlobServiceWithSas: createBlobServiceWithSas
-};
\ No newline at end of file
+  createBlobServiceWithSas: createBlobServiceWithSas,
+  FakeBlobService: FakeBlobService
+};
@@ -0,0 +1,380 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var errors = require('azure-iot-common').errors;
+var FirmwareUpdateAgent = require('../../lib/firmware_update').FirmwareUpdateAgent;
+var InMemoryFirmwareUpdateStateStore = require('../../lib/firmware_update').InMemoryFirmwareUpdateStateStore;
+
+describe('FirmwareUpdateAgent', function () {
+  var fakeRequest = { fwPackageUri: 'https://fake.host/firmware.bin', checksum: 'fakeChecksum' };
+  var fakeTwin;
+  var fakeClient;
+  var fakeHandlers;
+  var stateStore;
+
+  function reportedStatuses() {
+    return fakeTwin.properties.reported.update.args.map(function (args) {
+      return args[0].iothubDM.firmwareUpdate.status;
+    });
+  }
+
+  function lastReported() {
+    return fakeTwin.properties.reported.update.lastCall.args[0].iothubDM.firmwareUpdate;
+  }
+
+  function fakeResponse() {
+    return { send: sinon.stub().callsArg(2) };
+  }
+
+  function callMethod(payload, response) {
+    fakeClient.onDeviceMethod.firstCall.args[1]({ payload: payload }, response);
+  }
+
+  function waitForStatus(agent, status, callback) {
+    agent.on('statusChange', function (state) {
+      if (state.status === status) {
+        callback(state);
+      }
+    });
+  }
+
+  beforeEach(function () {
+    fakeTwin = { properties: { reported: { update: sinon.stub().callsArg(1) } } };
+    fakeClient = {
+      getTwin: sinon.stub().callsArgWith(0, null, fakeTwin),
+      onDeviceMethod: sinon.stub()
+    };
+    fakeHandlers = {
+      download: sinon.stub().callsArgWith(1, null, '/fake/image.bin'),
+      verify: sinon.stub().callsArg(2),
+      apply: sinon.stub().callsArg(2)
+    };
+    stateStore = new InMemoryFirmwareUpdateStateStore();
+  });
+
+  describe('#constructor', function () {
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_001: [The `FirmwareUpdateAgent` constructor shall throw a `ReferenceError` if `client` or `handlers` is falsy.]*/
+    [undefined, null].forEach(function (badValue) {
+      it('throws a ReferenceError if client is \'' + badValue + '\'', function () {
+        assert.throws(function () {
+          return new FirmwareUpdateAgent(badValue, fakeHandlers);
+        }, ReferenceError);
+      });
+
+      it('throws a ReferenceError if handlers is \'' + badValue + '\'', function () {
+        assert.throws(function () {
+          return new FirmwareUpdateAgent(fakeClient, badValue);
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_002: [The `FirmwareUpdateAgent` constructor shall throw an `ArgumentError` if `handlers.download` or `handlers.apply` is not a function.]*/
+    ['download', 'apply'].forEach(function (handlerName) {
+      it('throws an ArgumentError if handlers.' + handlerName + ' is not a function', function () {
+        delete fakeHandlers[handlerName];
+        assert.throws(function () {
+          return new FirmwareUpdateAgent(fakeClient, fakeHandlers);
+        }, errors.ArgumentError);
+      });
+    });
+  });
+
+  describe('#start', function () {
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_003: [The `FirmwareUpdateAgent` shall use an `InMemoryFirmwareUpdateStateStore` if the `stateStore` option is not specified, and the `firmwareUpdate` method name if the `methodName` option is not specified.]*/
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_006: [The `start` method shall register a handler for the firmware update device method.]*/
+    it('registers a handler for the firmwareUpdate method by default', function () {
+      var agent = new FirmwareUpdateAgent(fakeClient, fakeHandlers);
+      return agent.start().then(function () {
+        assert.isTrue(fakeClient.onDeviceMethod.calledOnce);
+        assert.strictEqual(fakeClient.onDeviceMethod.firstCall.args[0], 'firmwareUpdate');
+        assert.isTrue(fakeTwin.properties.reported.update.notCalled);
+      });
+    });
+
+    it('registers a handler for the method name specified in the options', function (testCallback) {
+      var agent = new FirmwareUpdateAgent(fakeClient, fakeHandlers, { methodName: 'fakeMethod' });
+      agent.start(function (err) {
+        assert.isNotOk(err);
+        assert.strictEqual(fakeClient.onDeviceMethod.firstCall.args[0], 'fakeMethod');
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_004: [The `start` method shall call its callback with an `InvalidOperationError` if the agent has already been started.]*/
+    it('calls its callback with an InvalidOperationError if the agent has already been started', function (testCallback) {
+      var agent = new FirmwareUpdateAgent(fakeClient, fakeHandlers);
+      agent.start(function () {
+        agent.start(function (err) {
+          assert.instanceOf(err, errors.InvalidOperationError);
+          assert.isTrue(fakeClient.onDeviceMethod.calledOnce);
+          testCallback();
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_005: [The `start` method shall get the device twin and load the persisted state of the update, and call its callback with an error if either fails.]*/
+    it('calls its callback with an error if the twin cannot be retrieved', function (testCallback) {
+      var testError = new Error('fake');
+      fakeClient.getTwin = sinon.stub().callsArgWith(0, testError);
+      var agent = new FirmwareUpdateAgent(fakeClient, fakeHandlers);
+      agent.start(function (err) {
+        assert.strictEqual(err, testError);
+        assert.isTrue(fakeClient.onDeviceMethod.notCalled);
+        testCallback();
+      });
+    });
+
+    it('calls its callback with an error if the state cannot be loaded', function (testCallback) {
+      var testError = new Error('fake');
+      stateStore.load = sinon.stub().callsArgWith(0, testError);
+      var agent = new FirmwareUpdateAgent(fakeClient, fakeHandlers, { stateStore: stateStore });
+      agent.start(function (err) {
+        assert.strictEqual(err, testError);
+        assert.isTrue(fakeClient.onDeviceMethod.notCalled);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_016: [If the persisted update is in the `waiting` or `downloading` status, the agent shall download the image again.]*/
+    ['waiting', 'downloading'].forEach(function (status) {
+      it('downloads the image again if the persisted update is in the ' + status + ' status', function (testCallback) {
+        stateStore.save({ status: status, request: fakeRequest }, function () {
+          var agent = new FirmwareUpdateAgent(fakeClient, fakeHandlers, { stateStore: stateStore });
+          waitForStatus(agent, 'completed', function () {
+            assert.isTrue(fakeHandlers.download.calledOnce);
+            assert.isTrue(fakeHandlers.apply.calledWith(fakeRequest, '/fake/image.bin'));
+            assert.deepEqual(reportedStatuses(), ['downloading', 'applying', 'completed']);
+            testCallback();
+          });
+          agent.start(function () {});
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_017: [If the persisted update is in the `applying` status and `handlers.isApplied` is not specified, the agent shall fail the update instead of applying the image again.]*/
+    it('fails the update without applying it again if it was interrupted while applying and handlers.isApplied is not specified', function (testCallback) {
+      stateStore.save({ status: 'applying', request: fakeRequest, image: '/fake/image.bin' }, function () {
+        var agent = new FirmwareUpdateAgent(fakeClient, fakeHandlers, { stateStore: stateStore });
+        waitForStatus(agent, 'failed', function () {
+          assert.isTrue(fakeHandlers.apply.notCalled);
+          assert.isString(lastReported().error);
+          testCallback();
+        });
+        agent.start(function () {});
+      });
+    });
+
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_018: [If the persisted update is in the `applying` status, the agent shall call `handlers.isApplied` and complete the update if it calls back with `true`, or verify and apply the image again if it calls back with `false`.]*/
+    it('completes the update if it was interrupted while applying and the image is applied', function (testCallback) {
+      fakeHandlers.isApplied = sinon.stub().callsArgWith(2, null, true);
+      stateStore.save({ status: 'applying', request: fakeRequest, image: '/fake/image.bin' }, function () {
+        var agent = new FirmwareUpdateAgent(fakeClient, fakeHandlers, { stateStore: stateStore });
+        waitForStatus(agent, 'completed', function () {
+          assert.isTrue(fakeHandlers.isApplied.calledWith(fakeRequest, '/fake/image.bin'));
+          assert.isTrue(fakeHandlers.apply.notCalled);
+          assert.isString(lastReported().lastFirmwareUpdate);
+          stateStore.load(function (err, state) {
+            assert.isUndefined(state);
+            testCallback();
+          });
+        });
+        agent.start(function () {});
+      });
+    });
+
+    it('verifies and applies the image again if it was interrupted while applying and the image is not applied', function (testCallback) {
+      fakeHandlers.isApplied = sinon.stub().callsArgWith(2, null, false);
+      stateStore.save({ status: 'applying', request: fakeRequest, image: '/fake/image.bin' }, function () {
+        var agent = new FirmwareUpdateAgent(fakeClient, fakeHandlers, { stateStore: stateStore });
+        waitForStatus(agent, 'completed', function () {
+          assert.isTrue(fakeHandlers.download.notCalled);
+          assert.isTrue(fakeHandlers.verify.calledWith(fakeRequest, '/fake/image.bin'));
+          assert.isTrue(fakeHandlers.apply.calledWith(fakeRequest, '/fake/image.bin'));
+          testCallback();
+        });
+        agent.start(function () {});
+      });
+    });
+
+    it('fails the update if handlers.isApplied calls back with an error', function (testCallback) {
+      fakeHandlers.isApplied = sinon.stub().callsArgWith(2, new Error('fake'));
+      stateStore.save({ status: 'applying', request: fakeRequest, image: '/fake/image.bin' }, function () {
+        var agent = new FirmwareUpdateAgent(fakeClient, fakeHandlers, { stateStore: stateStore });
+        waitForStatus(agent, 'failed', function () {
+          assert.strictEqual(lastReported().error, 'fake');
+          testCallback();
+        });
+        agent.start(function () {});
+      });
+    });
+  });
+
+  describe('firmware update method', function () {
+    var agent;
+
+    beforeEach(function (testCallback) {
+      agent = new FirmwareUpdateAgent(fakeClient, fakeHandlers, { stateStore: stateStore });
+      agent.start(testCallback);
+    });
+
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_007: [The agent shall respond to the device method with a 400 status if the payload does not have a `fwPackageUri` property using the `https` protocol.]*/
+    [undefined, {}, { fwPackageUri: 42 }, { fwPackageUri: 'http://fake.host/firmware.bin' }].forEach(function (badPayload) {
+      it('responds with a 400 status if the payload is ' + JSON.stringify(badPayload), function () {
+        var response = fakeResponse();
+        callMethod(badPayload, response);
+        assert.strictEqual(response.send.firstCall.args[0], 400);
+        assert.isTrue(fakeHandlers.download.notCalled);
+      });
+    });
+
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_009: [The agent shall persist the update in the `waiting` status, report it with the `fwPackageUri` and respond to the device method with a 200 status before starting the download.]*/
+    it('persists and reports the waiting status and responds with a 200 status before downloading', function (testCallback) {
+      fakeHandlers.download = sinon.spy();
+      var response = fakeResponse();
+      var persistedStatuses = [];
+      var save = stateStore.save.bind(stateStore);
+      stateStore.save = function (state, callback) {
+        persistedStatuses.push(state.status);
+        save(state, callback);
+      };
+      callMethod(fakeRequest, response);
+      assert.deepEqual(persistedStatuses, ['waiting', 'downloading']);
+      assert.deepEqual(fakeTwin.properties.reported.update.firstCall.args[0], {
+        iothubDM: { firmwareUpdate: { status: 'waiting', fwPackageUri: fakeRequest.fwPackageUri, error: null } }
+      });
+      assert.strictEqual(response.send.firstCall.args[0], 200);
+      assert.isTrue(response.send.calledBefore(fakeHandlers.download));
+      testCallback();
+    });
+
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_008: [The agent shall respond to the device method with a 409 status if an update is already in progress.]*/
+    it('responds with a 409 status if an update is already in progress', function () {
+      fakeHandlers.download = sinon.spy();
+      callMethod(fakeRequest, fakeResponse());
+      var response = fakeResponse();
+      callMethod(fakeRequest, response);
+      assert.strictEqual(response.send.firstCall.args[0], 409);
+      assert.isTrue(fakeHandlers.download.calledOnce);
+    });
+
+    it('accepts a new update once the previous one has completed', function (testCallback) {
+      var completedCount = 0;
+      waitForStatus(agent, 'completed', function () {
+        completedCount++;
+        if (completedCount === 1) {
+          var response = fakeResponse();
+          callMethod(fakeRequest, response);
+          assert.strictEqual(response.send.firstCall.args[0], 200);
+        } else {
+          assert.isTrue(fakeHandlers.apply.calledTwice);
+          testCallback();
+        }
+      });
+      callMethod(fakeRequest, fakeResponse());
+    });
+
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_010: [The agent shall respond to the device method with a 500 status if the state of the update cannot be persisted.]*/
+    it('responds with a 500 status if the state cannot be persisted', function () {
+      stateStore.save = sinon.stub().callsArgWith(1, new Error('fake'));
+      var response = fakeResponse();
+      callMethod(fakeRequest, response);
+      assert.strictEqual(response.send.firstCall.args[0], 500);
+      assert.isTrue(fakeHandlers.download.notCalled);
+    });
+
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_011: [The agent shall persist and report the `downloading` status with a `startedDownloadingTime` before calling `handlers.download` with the request.]*/
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_012: [The agent shall call `handlers.verify`, if specified, with the request and the downloaded image before applying it.]*/
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_013: [The agent shall persist and report the `applying` status with the `downloadCompleteTime` and `startedApplyingImage` times before calling `handlers.apply` with the request and the image.]*/
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_015: [Once the image has been applied, the agent shall report the `completed` status with a `lastFirmwareUpdate` time and clear the persisted state.]*/
+    it('downloads, verifies and applies the image and reports each status', function (testCallback) {
+      var persistedStatuses = [];
+      var save = stateStore.save.bind(stateStore);
+      stateStore.save = function (state, callback) {
+        persistedStatuses.push(state.status);
+        save(state, callback);
+      };
+      var emittedStatuses = [];
+      agent.on('statusChange', function (state) {
+        emittedStatuses.push(state.status);
+      });
+
+      waitForStatus(agent, 'completed', function () {
+        assert.isTrue(fakeHandlers.download.calledWith(fakeRequest));
+        assert.isTrue(fakeHandlers.verify.calledWith(fakeRequest, '/fake/image.bin'));
+        assert.isTrue(fakeHandlers.apply.calledWith(fakeRequest, '/fake/image.bin'));
+        assert.isTrue(fakeHandlers.verify.calledBefore(fakeHandlers.apply));
+        assert.deepEqual(persistedStatuses, ['waiting', 'downloading', 'applying']);
+        assert.deepEqual(emittedStatuses, ['waiting', 'downloading', 'applying', 'completed']);
+        assert.deepEqual(reportedStatuses(), ['waiting', 'downloading', 'applying', 'completed']);
+        var reported = fakeTwin.properties.reported.update.args.map(function (args) { return args[0].iothubDM.firmwareUpdate; });
+        assert.isString(reported[1].startedDownloadingTime);
+        assert.isString(reported[2].downloadCompleteTime);
+        assert.isString(reported[2].startedApplyingImage);
+        assert.isString(reported[3].lastFirmwareUpdate);
+        stateStore.load(function (err, state) {
+          assert.isUndefined(state);
+          testCallback();
+        });
+      });
+      callMethod(fakeRequest, fakeResponse());
+    });
+
+    it('applies the image without verification if handlers.verify is not specified', function (testCallback) {
+      delete fakeHandlers.verify;
+      waitForStatus(agent, 'completed', function () {
+        assert.isTrue(fakeHandlers.apply.calledWith(fakeRequest, '/fake/image.bin'));
+        testCallback();
+      });
+      callMethod(fakeRequest, fakeResponse());
+    });
+
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_014: [The agent shall fail the update if the state cannot be persisted or if a handler calls back with an error.]*/
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_019: [When the update fails, the agent shall report the `failed` status with the message of the error and clear the persisted state.]*/
+    ['download', 'verify', 'apply'].forEach(function (handlerName) {
+      it('fails the update if handlers.' + handlerName + ' calls back with an error', function (testCallback) {
+        fakeHandlers[handlerName] = sinon.stub().callsArgWith(handlerName === 'download' ? 1 : 2, new Error('fake ' + handlerName + ' error'));
+        waitForStatus(agent, 'failed', function () {
+          assert.deepEqual(lastReported(), { status: 'failed', error: 'fake ' + handlerName + ' error' });
+          if (handlerName !== 'apply') {
+            assert.isTrue(fakeHandlers.apply.notCalled);
+          }
+          stateStore.load(function (err, state) {
+            assert.isUndefined(state);
+            testCallback();
+          });
+        });
+        callMethod(fakeRequest, fakeResponse());
+      });
+    });
+
+    it('fails the update if the state cannot be persisted before applying the image', function (testCallback) {
+      var save = stateStore.save.bind(stateStore);
+      stateStore.save = function (state, callback) {
+        if (state.status === 'applying') {
+          callback(new Error('fake'));
+        } else {
+          save(state, callback);
+        }
+      };
+      waitForStatus(agent, 'failed', function () {
+        assert.isTrue(fakeHandlers.apply.notCalled);
+        testCallback();
+      });
+      callMethod(fakeRequest, fakeResponse());
+    });
+
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_AGENT_16_020: [The agent shall carry on with the update if the reported properties cannot be updated.]*/
+    it('carries on with the update if the reported properties cannot be updated', function (testCallback) {
+      fakeTwin.properties.reported.update = sinon.stub().callsArgWith(1, new Error('fake'));
+      waitForStatus(agent, 'completed', function () {
+        assert.isTrue(fakeHandlers.apply.calledOnce);
+        testCallback();
+      });
+      callMethod(fakeRequest, fakeResponse());
+    });
+  });
+});
@@ -0,0 +1,171 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var InMemoryFirmwareUpdateStateStore = require('../../lib/firmware_update').InMemoryFirmwareUpdateStateStore;
+var FileFirmwareUpdateStateStore = require('../../lib/firmware_update').FileFirmwareUpdateStateStore;
+
+var fakeState = {
+  status: 'applying',
+  request: { fwPackageUri: 'https://fake.host/firmware.bin', checksum: 'fakeChecksum' },
+  image: '/tmp/firmware.bin'
+};
+
+describe('InMemoryFirmwareUpdateStateStore', function () {
+  /*Tests_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_001: [The `InMemoryFirmwareUpdateStateStore.load` method shall call its callback with the last state saved and not cleared, or `undefined` if there is none.]*/
+  it('loads undefined if no state has been saved', function (testCallback) {
+    var store = new InMemoryFirmwareUpdateStateStore();
+    store.load(function (err, state) {
+      assert.isNotOk(err);
+      assert.isUndefined(state);
+      testCallback();
+    });
+  });
+
+  /*Tests_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_002: [The `InMemoryFirmwareUpdateStateStore.save` method shall replace the stored state with a copy of `state` and call its callback with no arguments.]*/
+  it('loads a copy of the last state saved', function (testCallback) {
+    var store = new InMemoryFirmwareUpdateStateStore();
+    var state = JSON.parse(JSON.stringify(fakeState));
+    store.save({ status: 'waiting', request: fakeState.request }, function () {
+      store.save(state, function (err) {
+        assert.isUndefined(err);
+        state.status = 'completed';
+        store.load(function (err, loadedState) {
+          assert.deepEqual(loadedState, fakeState);
+          testCallback();
+        });
+      });
+    });
+  });
+
+  /*Tests_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_003: [The `InMemoryFirmwareUpdateStateStore.clear` method shall remove the stored state and call its callback with no arguments.]*/
+  it('loads undefined once the state has been cleared', function (testCallback) {
+    var store = new InMemoryFirmwareUpdateStateStore();
+    store.save(fakeState, function () {
+      store.clear(function (err) {
+        assert.isUndefined(err);
+        store.load(function (err, state) {
+          assert.isUndefined(state);
+          testCallback();
+        });
+      });
+    });
+  });
+});
+
+describe('FileFirmwareUpdateStateStore', function () {
+  var testFilePath;
+
+  beforeEach(function () {
+    testFilePath = path.join(os.tmpdir(), 'azure-iot-device-fwupdate-test-' + process.pid + '-' + Date.now() + '.json');
+  });
+
+  afterEach(function () {
+    [testFilePath, testFilePath + '.tmp'].forEach(function (filePath) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+  });
+
+  describe('#constructor', function () {
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_004: [The `FileFirmwareUpdateStateStore` constructor shall throw a `ReferenceError` if `filePath` is falsy.]*/
+    [undefined, null, ''].forEach(function (badFilePath) {
+      it('throws a ReferenceError if filePath is \'' + badFilePath + '\'', function () {
+        assert.throws(function () {
+          return new FileFirmwareUpdateStateStore(badFilePath);
+        }, ReferenceError);
+      });
+    });
+  });
+
+  describe('#load', function () {
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_005: [The `FileFirmwareUpdateStateStore.load` method shall call its callback with `undefined` if the file does not exist, and with an error if it cannot be read or parsed.]*/
+    it('calls its callback with no state if the file does not exist', function (testCallback) {
+      var store = new FileFirmwareUpdateStateStore(testFilePath);
+      store.load(function (err, state) {
+        assert.isNotOk(err);
+        assert.isUndefined(state);
+        testCallback();
+      });
+    });
+
+    it('calls its callback with an error if the file cannot be parsed', function (testCallback) {
+      fs.writeFileSync(testFilePath, '{ not json');
+      var store = new FileFirmwareUpdateStateStore(testFilePath);
+      store.load(function (err, state) {
+        assert.instanceOf(err, SyntaxError);
+        assert.isUndefined(state);
+        testCallback();
+      });
+    });
+
+    it('calls its callback with an error if the file cannot be read', function (testCallback) {
+      var store = new FileFirmwareUpdateStateStore(os.tmpdir());
+      store.load(function (err) {
+        assert.strictEqual(err.code, 'EISDIR');
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_006: [The `FileFirmwareUpdateStateStore.load` method shall call its callback with the state parsed from the JSON content of the file.]*/
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_007: [The `FileFirmwareUpdateStateStore.save` method shall write the state as JSON to a temporary file and then rename it to the path of the store, so that a partially written state is never loaded.]*/
+    it('loads the state saved by another instance of the store', function (testCallback) {
+      new FileFirmwareUpdateStateStore(testFilePath).save(fakeState, function (err) {
+        assert.isNotOk(err);
+        assert.isFalse(fs.existsSync(testFilePath + '.tmp'));
+        new FileFirmwareUpdateStateStore(testFilePath).load(function (err, state) {
+          assert.isNotOk(err);
+          assert.deepEqual(state, fakeState);
+          testCallback();
+        });
+      });
+    });
+  });
+
+  describe('#save', function () {
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_008: [The `FileFirmwareUpdateStateStore.save` method shall call its callback with an error if the state cannot be written.]*/
+    it('calls its callback with an error if the state cannot be written', function (testCallback) {
+      var store = new FileFirmwareUpdateStateStore(path.join(testFilePath, 'does-not-exist', 'state.json'));
+      store.save(fakeState, function (err) {
+        assert.strictEqual(err.code, 'ENOENT');
+        testCallback();
+      });
+    });
+  });
+
+  describe('#clear', function () {
+    /*Tests_SRS_NODE_FIRMWARE_UPDATE_STATE_STORE_16_009: [The `FileFirmwareUpdateStateStore.clear` method shall delete the file and call its callback with an error only if the file exists and cannot be deleted.]*/
+    it('deletes the file', function (testCallback) {
+      var store = new FileFirmwareUpdateStateStore(testFilePath);
+      store.save(fakeState, function () {
+        store.clear(function (err) {
+          assert.isUndefined(err);
+          assert.isFalse(fs.existsSync(testFilePath));
+          testCallback();
+        });
+      });
+    });
+
+    it('calls its callback with no error if the file does not exist', function (testCallback) {
+      var store = new FileFirmwareUpdateStateStore(testFilePath);
+      store.clear(function (err) {
+        assert.isUndefined(err);
+        testCallback();
+      });
+    });
+
+    it('calls its callback with an error if the file cannot be deleted', function (testCallback) {
+      var store = new FileFirmwareUpdateStateStore(os.tmpdir());
+      store.clear(function (err) {
+        assert.isOk(err);
+        testCallback();
+      });
+    });
+  });
+});
@@ -0,0 +1,199 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Message = require('azure-iot-common').Message;
+var FileMessageStore = require('../../lib/offline_queue').FileMessageStore;
+
+describe('FileMessageStore', function () {
+  var testDirectory;
+
+  beforeEach(function () {
+    testDirectory = path.join(os.tmpdir(), 'azure-iot-device-file-store-test-' + process.pid + '-' + Date.now());
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(testDirectory)) {
+      fs.readdirSync(testDirectory).forEach(function (fileName) {
+        fs.unlinkSync(path.join(testDirectory, fileName));
+      });
+      fs.rmdirSync(testDirectory);
+    }
+  });
+
+  describe('#constructor', function () {
+    /*Tests_SRS_NODE_FILE_MESSAGE_STORE_16_001: [The `FileMessageStore` constructor shall throw a `ReferenceError` if `directory` is falsy.]*/
+    [undefined, null, ''].forEach(function (badDirectory) {
+      it('throws a ReferenceError if directory is \'' + badDirectory + '\'', function () {
+        assert.throws(function () {
+          return new FileMessageStore(badDirectory);
+        }, ReferenceError);
+      });
+    });
+  });
+
+  describe('#load', function () {
+    /*Tests_SRS_NODE_FILE_MESSAGE_STORE_16_002: [The `load` method shall create the directory if it does not exist.]*/
+    it('creates the directory and calls back with an empty array', function (testCallback) {
+      var store = new FileMessageStore(testDirectory);
+      store.load(function (err, queuedMessages) {
+        assert.isNull(err);
+        assert.isTrue(fs.existsSync(testDirectory));
+        assert.deepEqual(queuedMessages, []);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_FILE_MESSAGE_STORE_16_003: [The `load` method shall call its callback with an error if the directory cannot be created or read.]*/
+    it('calls back with an error if the directory cannot be created', function (testCallback) {
+      var fakeError = new Error('fake');
+      fakeError.code = 'EACCES';
+      sinon.stub(fs, 'mkdir').callsArgWith(1, fakeError);
+      var store = new FileMessageStore(testDirectory);
+      store.load(function (err) {
+        fs.mkdir.restore();
+        assert.strictEqual(err, fakeError);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_FILE_MESSAGE_STORE_16_004: [The `load` method shall call its callback with the messages deserialized from the message files found in the directory, with their data, properties and system properties.]*/
+    it('loads the messages added by another instance', function (testCallback) {
+      var stringMessage = new Message('string body');
+      stringMessage.messageId = 'id';
+      stringMessage.correlationId = 'correlation';
+      stringMessage.contentType = 'application/json';
+      stringMessage.properties.add('key', 'value');
+      var binaryMessage = new Message(new Buffer([0, 1, 2]));
+
+      var writer = new FileMessageStore(testDirectory);
+      writer.load(function () {
+        writer.add({ sequenceNumber: 1, enqueuedTimeUtc: 42, message: stringMessage }, function (err) {
+          assert.isNull(err);
+          writer.add({ sequenceNumber: 2, enqueuedTimeUtc: 43, message: binaryMessage, outputName: 'output' }, function (err) {
+            assert.isNull(err);
+            var reader = new FileMessageStore(testDirectory);
+            reader.load(function (err, queuedMessages) {
+              assert.isNull(err);
+              queuedMessages.sort(function (a, b) { return a.sequenceNumber - b.sequenceNumber; });
+              assert.strictEqual(queuedMessages.length, 2);
+              assert.strictEqual(queuedMessages[0].enqueuedTimeUtc, 42);
+              assert.strictEqual(queuedMessages[0].message.getData(), 'string body');
+              assert.strictEqual(queuedMessages[0].message.messageId, 'id');
+              assert.strictEqual(queuedMessages[0].message.correlationId, 'correlation');
+              assert.strictEqual(queuedMessages[0].message.contentType, 'application/json');
+              assert.strictEqual(queuedMessages[0].message.properties.getValue('key'), 'value');
+              assert.isUndefined(queuedMessages[0].outputName);
+              assert.isTrue(Buffer.isBuffer(queuedMessages[1].message.getData()));
+              assert.deepEqual(queuedMessages[1].message.getBytes(), new Buffer([0, 1, 2]));
+              assert.strictEqual(queuedMessages[1].outputName, 'output');
+              testCallback();
+            });
+          });
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_FILE_MESSAGE_STORE_16_005: [The `load` method shall ignore the files that cannot be read or parsed.]*/
+    it('ignores corrupted files and files that are not message files', function (testCallback) {
+      fs.mkdirSync(testDirectory);
+      fs.writeFileSync(path.join(testDirectory, '0000000000000001.json'), '{ not json');
+      fs.writeFileSync(path.join(testDirectory, 'notes.txt'), '{}');
+      var store = new FileMessageStore(testDirectory);
+      store.load(function (err, queuedMessages) {
+        assert.isNull(err);
+        assert.deepEqual(queuedMessages, []);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_FILE_MESSAGE_STORE_16_011: [The `load` method shall delete the temporary files left in the directory by messages that were being added when the process stopped.]*/
+    it('deletes the temporary files left by a previous instance', function (testCallback) {
+      fs.mkdirSync(testDirectory);
+      fs.writeFileSync(path.join(testDirectory, '0000000000000002.json.tmp'), '{}');
+      var store = new FileMessageStore(testDirectory);
+      store.load(function (err, queuedMessages) {
+        assert.isNull(err);
+        assert.deepEqual(queuedMessages, []);
+        assert.deepEqual(fs.readdirSync(testDirectory), []);
+        testCallback();
+      });
+    });
+  });
+
+  describe('#add', function () {
+    /*Tests_SRS_NODE_FILE_MESSAGE_STORE_16_006: [The `add` method shall write the serialized message to a temporary file and then rename it to `<sequenceNumber>.json` so that partially written messages are never loaded.]*/
+    it('writes the message in a file named after its sequence number', function (testCallback) {
+      var store = new FileMessageStore(testDirectory);
+      store.load(function () {
+        store.add({ sequenceNumber: 12, enqueuedTimeUtc: 42, message: new Message('foo') }, function () {
+          assert.deepEqual(fs.readdirSync(testDirectory), ['0000000000000012.json']);
+          testCallback();
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_FILE_MESSAGE_STORE_16_007: [The `add` method shall call its callback with an error if the message cannot be written.]*/
+    it('calls back with an error if the message cannot be written', function (testCallback) {
+      var store = new FileMessageStore(path.join(testDirectory, 'does-not-exist'));
+      store.add({ sequenceNumber: 12, enqueuedTimeUtc: 42, message: new Message('foo') }, function (err) {
+        assert.instanceOf(err, Error);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_FILE_MESSAGE_STORE_16_010: [The `add` method shall delete the temporary file if the message cannot be written or the file cannot be renamed.]*/
+    it('deletes the temporary file if it cannot be renamed', function (testCallback) {
+      var fakeError = new Error('fake');
+      var store = new FileMessageStore(testDirectory);
+      store.load(function () {
+        sinon.stub(fs, 'rename').callsArgWith(2, fakeError);
+        store.add({ sequenceNumber: 12, enqueuedTimeUtc: 42, message: new Message('foo') }, function (err) {
+          fs.rename.restore();
+          assert.strictEqual(err, fakeError);
+          assert.deepEqual(fs.readdirSync(testDirectory), []);
+          testCallback();
+        });
+      });
+    });
+  });
+
+  describe('#remove', function () {
+    /*Tests_SRS_NODE_FILE_MESSAGE_STORE_16_008: [The `remove` method shall delete the file of the message and call its callback with no error if the file does not exist.]*/
+    it('deletes the file of the message', function (testCallback) {
+      var queuedMessage = { sequenceNumber: 3, enqueuedTimeUtc: 42, message: new Message('foo') };
+      var store = new FileMessageStore(testDirectory);
+      store.load(function () {
+        store.add(queuedMessage, function () {
+          store.remove(queuedMessage, function (err) {
+            assert.isUndefined(err);
+            assert.deepEqual(fs.readdirSync(testDirectory), []);
+            store.remove(queuedMessage, function (err) {
+              assert.isUndefined(err);
+              testCallback();
+            });
+          });
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_FILE_MESSAGE_STORE_16_009: [The `remove` method shall call its callback with an error if the file exists and cannot be deleted.]*/
+    it('calls back with an error if the file cannot be deleted', function (testCallback) {
+      var fakeError = new Error('fake');
+      fakeError.code = 'EBUSY';
+      sinon.stub(fs, 'unlink').callsArgWith(1, fakeError);
+      var store = new FileMessageStore(testDirectory);
+      store.remove({ sequenceNumber: 3 }, function (err) {
+        fs.unlink.restore();
+        assert.strictEqual(err, fakeError);
+        testCallback();
+      });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var Message = require('azure-iot-common').Message;
+var InMemoryMessageStore = require('../../lib/offline_queue').InMemoryMessageStore;
+
+describe('InMemoryMessageStore', function () {
+  var first = { sequenceNumber: 0, enqueuedTimeUtc: 1, message: new Message('first') };
+  var second = { sequenceNumber: 1, enqueuedTimeUtc: 2, message: new Message('second'), outputName: 'output' };
+
+  describe('#load', function () {
+    /*Tests_SRS_NODE_IN_MEMORY_MESSAGE_STORE_16_001: [The `load` method shall call its callback with an array containing the messages that have been added and not removed.]*/
+    it('calls back with an empty array if no message has been added', function (testCallback) {
+      var store = new InMemoryMessageStore();
+      store.load(function (err, queuedMessages) {
+        assert.isNull(err);
+        assert.deepEqual(queuedMessages, []);
+        testCallback();
+      });
+    });
+  });
+
+  describe('#add', function () {
+    /*Tests_SRS_NODE_IN_MEMORY_MESSAGE_STORE_16_002: [The `add` method shall store the `queuedMessage` object and call its callback with no arguments.]*/
+    it('stores the messages', function (testCallback) {
+      var store = new InMemoryMessageStore();
+      store.add(first, function (err) {
+        assert.isUndefined(err);
+        store.add(second, function () {
+          store.load(function (err, queuedMessages) {
+            assert.strictEqual(queuedMessages[0], first);
+            assert.strictEqual(queuedMessages[1], second);
+            testCallback();
+          });
+        });
+      });
+    });
+  });
+
+  describe('#remove', function () {
+    /*Tests_SRS_NODE_IN_MEMORY_MESSAGE_STORE_16_003: [The `remove` method shall remove the message with the same `sequenceNumber` as `queuedMessage` from the store, if any, and call its callback with no arguments.]*/
+    it('removes the message with the same sequence number', function (testCallback) {
+      var store = new InMemoryMessageStore();
+      store.add(first, function () {
+        store.add(second, function () {
+          store.remove({ sequenceNumber: 0 }, function (err) {
+            assert.isUndefined(err);
+            store.load(function (err, queuedMessages) {
+              assert.deepEqual(queuedMessages, [second]);
+              testCallback();
+            });
+          });
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_IN_MEMORY_MESSAGE_STORE_16_003: [The `remove` method shall remove the message with the same `sequenceNumber` as `queuedMessage` from the store, if any, and call its callback with no arguments.]*/
+    it('does not fail if the message is not in the store', function (testCallback) {
+      var store = new InMemoryMessageStore();
+      store.remove(first, function (err) {
+        assert.isUndefined(err);
+        testCallback();
+      });
+    });
+  });
+});
@@ -0,0 +1,441 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var errors = require('azure-iot-common').errors;
+var Message = require('azure-iot-common').Message;
+var OfflineMessageQueue = require('../../lib/offline_queue').OfflineMessageQueue;
+var InMemoryMessageStore = require('../../lib/offline_queue').InMemoryMessageStore;
+
+describe('OfflineMessageQueue', function () {
+  var testRetryPolicy;
+
+  beforeEach(function () {
+    testRetryPolicy = {
+      shouldRetry: function (err) { return err instanceof errors.NotConnectedError; },
+      nextRetryTimeout: function () { return 1; }
+    };
+  });
+
+  function enqueueAll(queue, bodies, callback) {
+    var remaining = bodies.length;
+    bodies.forEach(function (body) {
+      queue.enqueue(new Message(body), undefined, undefined, function (err) {
+        assert.isUndefined(err);
+        if (--remaining === 0) callback();
+      });
+    });
+  }
+
+  describe('#constructor', function () {
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_001: [The `OfflineMessageQueue` shall use an `InMemoryMessageStore` if the `store` option is not specified.]*/
+    it('uses an InMemoryMessageStore by default', function () {
+      var queue = new OfflineMessageQueue();
+      assert.instanceOf(queue._store, InMemoryMessageStore);
+      assert.strictEqual(queue.length, 0);
+    });
+  });
+
+  describe('#load', function () {
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_002: [The `load` method shall call its callback with an error if the store fails to load the persisted messages.]*/
+    it('calls back with an error if the store fails to load', function (testCallback) {
+      var fakeError = new Error('fake');
+      var queue = new OfflineMessageQueue({ store: { load: sinon.stub().callsArgWith(0, fakeError) } });
+      queue.load(function (err) {
+        assert.strictEqual(err, fakeError);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_003: [The `load` method shall order the persisted messages by `sequenceNumber` and number the next messages after the highest `sequenceNumber` found.]*/
+    it('orders the persisted messages and numbers the new messages after them', function (testCallback) {
+      var now = Date.now();
+      var fakeStore = {
+        load: sinon.stub().callsArgWith(0, null, [
+          { sequenceNumber: 7, enqueuedTimeUtc: now, message: new Message('second') },
+          { sequenceNumber: 3, enqueuedTimeUtc: now, message: new Message('first') }
+        ]),
+        add: sinon.stub().callsArg(1),
+        remove: sinon.stub().callsArg(1)
+      };
+      var queue = new OfflineMessageQueue({ store: fakeStore });
+      queue.load(function (err) {
+        assert.isUndefined(err);
+        assert.strictEqual(queue.length, 2);
+        queue.enqueue(new Message('third'), undefined, undefined, function () {
+          assert.strictEqual(fakeStore.add.firstCall.args[0].sequenceNumber, 8);
+          var sent = [];
+          queue.replay(testRetryPolicy, 100, function (queuedMessage, callback) {
+            sent.push(queuedMessage.message.getData());
+            callback();
+          });
+          assert.deepEqual(sent, ['first', 'second', 'third']);
+          testCallback();
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_004: [The `load` method shall drop the persisted messages that are older than `maxMessageAge` with the `expired` reason.]*/
+    it('drops the persisted messages that are too old', function (testCallback) {
+      var oldMessage = new Message('old');
+      var fakeStore = {
+        load: sinon.stub().callsArgWith(0, null, [
+          { sequenceNumber: 0, enqueuedTimeUtc: Date.now() - 10000, message: oldMessage },
+          { sequenceNumber: 1, enqueuedTimeUtc: Date.now(), message: new Message('recent') }
+        ]),
+        remove: sinon.stub().callsArg(1)
+      };
+      var queue = new OfflineMessageQueue({ store: fakeStore, maxMessageAge: 1000 });
+      var dropped = sinon.spy();
+      queue.on('messageDropped', dropped);
+      queue.load(function () {
+        assert.strictEqual(queue.length, 1);
+        assert.isTrue(dropped.calledOnce);
+        assert.isTrue(dropped.calledWith(oldMessage, 'expired'));
+        assert.strictEqual(fakeStore.remove.firstCall.args[0].sequenceNumber, 0);
+        testCallback();
+      });
+    });
+  });
+
+  describe('#enqueue', function () {
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_005: [The `enqueue` method shall emit a `messageDropped` event with the `overflow` reason and call its callback with a `MessageTooLargeError` if the message is larger than `maxQueueSize`.]*/
+    it('rejects messages larger than maxQueueSize', function (testCallback) {
+      var queue = new OfflineMessageQueue({ maxQueueSize: 3 });
+      var tooLarge = new Message('1234');
+      var dropped = sinon.spy();
+      queue.on('messageDropped', dropped);
+      queue.enqueue(tooLarge, undefined, undefined, function (err) {
+        assert.instanceOf(err, errors.MessageTooLargeError);
+        assert.isTrue(dropped.calledWith(tooLarge, 'overflow'));
+        assert.strictEqual(queue.length, 0);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_006: [The `enqueue` method shall drop the oldest messages with the `overflow` reason until the queue respects the `maxMessageCount` and `maxQueueSize` limits with the new message.]*/
+    it('drops the oldest messages when maxMessageCount is reached', function (testCallback) {
+      var queue = new OfflineMessageQueue({ maxMessageCount: 2 });
+      var droppedBodies = [];
+      queue.on('messageDropped', function (message, reason) {
+        assert.strictEqual(reason, 'overflow');
+        droppedBodies.push(message.getData());
+      });
+      enqueueAll(queue, ['1', '2', '3', '4'], function () {
+        assert.deepEqual(droppedBodies, ['1', '2']);
+        assert.strictEqual(queue.length, 2);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_006: [The `enqueue` method shall drop the oldest messages with the `overflow` reason until the queue respects the `maxMessageCount` and `maxQueueSize` limits with the new message.]*/
+    it('drops the oldest messages when maxQueueSize is reached', function (testCallback) {
+      var queue = new OfflineMessageQueue({ maxQueueSize: 6 });
+      var droppedBodies = [];
+      queue.on('messageDropped', function (message) {
+        droppedBodies.push(message.getData());
+      });
+      enqueueAll(queue, ['aa', 'bb', 'cc', 'dddd'], function () {
+        assert.deepEqual(droppedBodies, ['aa', 'bb']);
+        assert.strictEqual(queue.length, 2);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_017: [If the queue still does not respect the `maxMessageCount` and `maxQueueSize` limits once all the other messages have been dropped, the `enqueue` method shall cancel the `RetryOperation` of the message being sent and drop it with the `overflow` reason.]*/
+    it('drops the message being sent if the limits are still exceeded', function (testCallback) {
+      var store = new InMemoryMessageStore();
+      var queue = new OfflineMessageQueue({ store: store, maxMessageCount: 1 });
+      var dropped = sinon.spy();
+      queue.on('messageDropped', dropped);
+      enqueueAll(queue, ['1'], function () {
+        var pendingCallback;
+        var sendOperation = sinon.spy(function (queuedMessage, callback) {
+          pendingCallback = callback;
+        });
+        queue.replay(testRetryPolicy, 100, sendOperation);
+        enqueueAll(queue, ['2'], function () {
+          assert.isTrue(dropped.calledOnce);
+          assert.strictEqual(dropped.firstCall.args[0].getData(), '1');
+          assert.strictEqual(dropped.firstCall.args[1], 'overflow');
+          assert.strictEqual(queue.length, 1);
+
+          // the result of the cancelled send operation is ignored.
+          pendingCallback(new errors.NotConnectedError('fake'));
+          assert.strictEqual(queue.length, 1);
+          store.load(function (err, queuedMessages) {
+            assert.deepEqual(queuedMessages.map(function (queuedMessage) { return queuedMessage.message.getData(); }), ['2']);
+
+            queue.replay(testRetryPolicy, 100, sendOperation);
+            assert.isTrue(sendOperation.calledTwice);
+            assert.strictEqual(sendOperation.secondCall.args[0].message.getData(), '2');
+            testCallback();
+          });
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_007: [The `enqueue` method shall add the message to the store and call its callback with the error returned by the store, if any.]*/
+    it('adds the message and its output name to the store', function (testCallback) {
+      var fakeStore = { add: sinon.stub().callsArg(1) };
+      var queue = new OfflineMessageQueue({ store: fakeStore });
+      var message = new Message('foo');
+      queue.enqueue(message, 'output', undefined, function (err) {
+        assert.isUndefined(err);
+        var queuedMessage = fakeStore.add.firstCall.args[0];
+        assert.strictEqual(queuedMessage.message, message);
+        assert.strictEqual(queuedMessage.outputName, 'output');
+        assert.strictEqual(queuedMessage.sequenceNumber, 0);
+        assert.isNumber(queuedMessage.enqueuedTimeUtc);
+        assert.strictEqual(queue.length, 1);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_007: [The `enqueue` method shall add the message to the store and call its callback with the error returned by the store, if any.]*/
+    it('calls back with the error returned by the store', function (testCallback) {
+      var fakeError = new Error('fake');
+      var queue = new OfflineMessageQueue({ store: { add: sinon.stub().callsArgWith(1, fakeError) } });
+      queue.enqueue(new Message('foo'), undefined, undefined, function (err) {
+        assert.strictEqual(err, fakeError);
+        assert.strictEqual(queue.length, 0);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_018: [If `abortSignal` is aborted before the message has been added to the store, the `enqueue` method shall remove it from the store, emit a `messageDropped` event with the `cancelled` reason and call its callback with an `OperationCancelledError`.]*/
+    it('drops the message and calls back with an OperationCancelledError if the signal is aborted while the message is being added', function (testCallback) {
+      var abortSignal = { aborted: false };
+      var store = new InMemoryMessageStore();
+      var add = store.add.bind(store);
+      sinon.stub(store, 'add').callsFake(function (queuedMessage, callback) {
+        abortSignal.aborted = true;
+        add(queuedMessage, callback);
+      });
+      var queue = new OfflineMessageQueue({ store: store });
+      var dropped = sinon.spy();
+      queue.on('messageDropped', dropped);
+      queue.enqueue(new Message('foo'), undefined, abortSignal, function (err) {
+        assert.instanceOf(err, errors.OperationCancelledError);
+        assert.isTrue(dropped.calledOnce);
+        assert.strictEqual(dropped.firstCall.args[1], 'cancelled');
+        assert.strictEqual(queue.length, 0);
+        store.load(function (err, queuedMessages) {
+          assert.lengthOf(queuedMessages, 0);
+          testCallback();
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_019: [If `abortSignal` is aborted while the message is waiting in the queue, the message shall be removed from the queue and the store, and dropped with the `cancelled` reason. A message that is being sent is not affected.]*/
+    it('removes the message from the queue and the store when the signal is aborted', function (testCallback) {
+      var listeners = [];
+      var abortSignal = {
+        aborted: false,
+        addEventListener: function (type, listener) { listeners.push(listener); },
+        removeEventListener: function (type, listener) { listeners.splice(listeners.indexOf(listener), 1); }
+      };
+      var store = new InMemoryMessageStore();
+      var queue = new OfflineMessageQueue({ store: store });
+      var dropped = sinon.spy();
+      queue.on('messageDropped', dropped);
+      enqueueAll(queue, ['1'], function () {
+        queue.enqueue(new Message('2'), undefined, abortSignal, function (err) {
+          assert.isUndefined(err);
+          assert.lengthOf(listeners, 1);
+          abortSignal.aborted = true;
+          listeners.slice().forEach(function (listener) { listener(); });
+          assert.isTrue(dropped.calledOnce);
+          assert.strictEqual(dropped.firstCall.args[0].getData(), '2');
+          assert.strictEqual(dropped.firstCall.args[1], 'cancelled');
+          assert.lengthOf(listeners, 0);
+          assert.strictEqual(queue.length, 1);
+          store.load(function (err, queuedMessages) {
+            assert.deepEqual(queuedMessages.map(function (queuedMessage) { return queuedMessage.message.getData(); }), ['1']);
+            testCallback();
+          });
+        });
+      });
+    });
+
+    it('does not affect the message being sent when the signal is aborted', function (testCallback) {
+      var listeners = [];
+      var abortSignal = {
+        aborted: false,
+        addEventListener: function (type, listener) { listeners.push(listener); },
+        removeEventListener: function (type, listener) { listeners.splice(listeners.indexOf(listener), 1); }
+      };
+      var queue = new OfflineMessageQueue();
+      var dropped = sinon.spy();
+      queue.on('messageDropped', dropped);
+      queue.enqueue(new Message('foo'), undefined, abortSignal, function () {
+        var pendingCallback;
+        queue.replay(testRetryPolicy, 100, function (queuedMessage, callback) {
+          pendingCallback = callback;
+        });
+        abortSignal.aborted = true;
+        listeners.slice().forEach(function (listener) { listener(); });
+        assert.isTrue(dropped.notCalled);
+        assert.strictEqual(queue.length, 1);
+        pendingCallback();
+        assert.strictEqual(queue.length, 0);
+        assert.lengthOf(listeners, 0);
+        testCallback();
+      });
+    });
+  });
+
+  describe('#replay', function () {
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_008: [The `replay` method shall do nothing if the queue is already being replayed.]*/
+    it('does not start a second replay loop', function (testCallback) {
+      var queue = new OfflineMessageQueue();
+      enqueueAll(queue, ['1', '2'], function () {
+        var sendOperation = sinon.spy();
+        queue.replay(testRetryPolicy, 100, sendOperation);
+        queue.replay(testRetryPolicy, 100, sendOperation);
+        assert.isTrue(sendOperation.calledOnce);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_011: [The `replay` method shall send the messages one by one, in order, using `sendOperation` within a `RetryOperation` built with `retryPolicy` and `maxOperationTimeout`.]*/
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_012: [The `replay` method shall remove each message that has been sent from the store.]*/
+    it('retries and sends the messages in order, then removes them from the store', function (testCallback) {
+      var store = new InMemoryMessageStore();
+      sinon.spy(store, 'remove');
+      var queue = new OfflineMessageQueue({ store: store });
+      var attempts = 0;
+      var sent = [];
+      enqueueAll(queue, ['1', '2', '3'], function () {
+        queue.replay(testRetryPolicy, 1000, function (queuedMessage, callback) {
+          attempts++;
+          if (attempts === 2) {
+            callback(new errors.NotConnectedError('fake'));
+          } else {
+            sent.push(queuedMessage.message.getData());
+            var isLast = sent.length === 3;
+            callback();
+            if (isLast) {
+              assert.deepEqual(sent, ['1', '2', '3']);
+              assert.strictEqual(attempts, 4);
+              assert.strictEqual(store.remove.callCount, 3);
+              assert.strictEqual(queue.length, 0);
+              testCallback();
+            }
+          }
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_013: [If `sendOperation` still fails with a retryable error once the `RetryOperation` gives up, the `replay` method shall keep the message at the head of the queue and stop.]*/
+    it('keeps the message and stops if the retry operation gives up', function (testCallback) {
+      var queue = new OfflineMessageQueue();
+      enqueueAll(queue, ['1', '2'], function () {
+        var sendOperation = sinon.stub().callsArgWith(1, new errors.NotConnectedError('fake'));
+        testRetryPolicy.nextRetryTimeout = function () { return -1; };
+        queue.replay(testRetryPolicy, 100, sendOperation);
+        assert.isTrue(sendOperation.calledOnce);
+        assert.strictEqual(queue.length, 2);
+
+        var sent = [];
+        queue.replay(testRetryPolicy, 100, function (queuedMessage, callback) {
+          sent.push(queuedMessage.message.getData());
+          callback();
+        });
+        assert.deepEqual(sent, ['1', '2']);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_014: [If `sendOperation` fails with an error that is not retryable, the `replay` method shall drop the message with the `error` reason and continue with the next message.]*/
+    it('drops the messages that fail with an error that is not retryable', function (testCallback) {
+      var queue = new OfflineMessageQueue();
+      var fakeError = new errors.UnauthorizedError('fake');
+      var dropped = sinon.spy();
+      queue.on('messageDropped', dropped);
+      enqueueAll(queue, ['1', '2'], function () {
+        var sent = [];
+        queue.replay(testRetryPolicy, 100, function (queuedMessage, callback) {
+          if (queuedMessage.message.getData() === '1') {
+            callback(fakeError);
+          } else {
+            sent.push(queuedMessage.message.getData());
+            callback();
+          }
+        });
+        assert.deepEqual(sent, ['2']);
+        assert.isTrue(dropped.calledOnce);
+        assert.strictEqual(dropped.firstCall.args[0].getData(), '1');
+        assert.strictEqual(dropped.firstCall.args[1], 'error');
+        assert.strictEqual(dropped.firstCall.args[2], fakeError);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_010: [The `replay` method shall drop the messages older than `maxMessageAge` with the `expired` reason instead of sending them.]*/
+    it('drops the messages that are too old instead of sending them', function (testCallback) {
+      var clock = sinon.useFakeTimers(Date.now());
+      var queue = new OfflineMessageQueue({ maxMessageAge: 1000 });
+      var dropped = sinon.spy();
+      queue.on('messageDropped', dropped);
+      enqueueAll(queue, ['old'], function () {
+        clock.tick(2000);
+        enqueueAll(queue, ['recent'], function () {
+          var sent = [];
+          queue.replay(testRetryPolicy, 100, function (queuedMessage, callback) {
+            sent.push(queuedMessage.message.getData());
+            callback();
+          });
+          clock.restore();
+          assert.deepEqual(sent, ['recent']);
+          assert.isTrue(dropped.calledOnce);
+          assert.strictEqual(dropped.firstCall.args[1], 'expired');
+          testCallback();
+        });
+      });
+    });
+  });
+
+  describe('#stopReplay', function () {
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_009: [The `replay` method shall stop once the queue is empty or after `stopReplay` has been called.]*/
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_015: [The `stopReplay` method shall let the message being sent complete and then stop replaying the queue.]*/
+    it('stops replaying after the message being sent', function (testCallback) {
+      var queue = new OfflineMessageQueue();
+      enqueueAll(queue, ['1', '2'], function () {
+        var pendingCallback;
+        var sendOperation = sinon.spy(function (queuedMessage, callback) {
+          pendingCallback = callback;
+        });
+        queue.replay(testRetryPolicy, 100, sendOperation);
+        queue.stopReplay();
+        pendingCallback();
+        assert.isTrue(sendOperation.calledOnce);
+        assert.strictEqual(queue.length, 1);
+        testCallback();
+      });
+    });
+  });
+
+  describe('#on(\'messageDropped\')', function () {
+    /*Tests_SRS_NODE_OFFLINE_MESSAGE_QUEUE_16_016: [A `messageDropped` event shall be emitted with the message, the reason and the error if any, every time a message is dropped.]*/
+    it('removes the dropped messages from the store', function (testCallback) {
+      var store = new InMemoryMessageStore();
+      var queue = new OfflineMessageQueue({ store: store, maxMessageCount: 1 });
+      queue.on('messageDropped', function (message, reason, err) {
+        assert.strictEqual(message.getData(), '1');
+        assert.strictEqual(reason, 'overflow');
+        assert.isUndefined(err);
+      });
+      enqueueAll(queue, ['1', '2'], function () {
+        store.load(function (err, queuedMessages) {
+          assert.strictEqual(queuedMessages.length, 1);
+          assert.strictEqual(queuedMessages[0].message.getData(), '2');
+          testCallback();
+        });
+      });
+    });
+  });
+});
@@ -180,6 +180,16 @@ export class Amqp extends EventEmitter implements DeviceTransport {
               }
             });
           },
+          sendEventBatch: (amqpMessages, sendCallback) => {
+            /*Codes_SRS_NODE_DEVICE_AMQP_16_085: [The `sendEventBatch` and `sendOutputEventBatch` methods shall connect and authenticate the transport if necessary.]*/
+            this._fsm.handle('connect', (err, result) => {
+              if (err) {
+                sendCallback(err);
+              } else {
+                this._fsm.handle('sendEventBatch', amqpMessages, sendCallback);
+              }
+            });
+          },
           updateSharedAccessSignature: (token, callback) => {
             // nothing to do here: the SAS has been updated in the config object.
             callback(null, new results.SharedAccessSignatureUpdated(false));
@@ -353,21 +363,37 @@ export class Amqp extends EventEmitter implements DeviceTransport {
 
             /*Codes_SRS_NODE_DEVICE_AMQP_16_025: [The `sendEvent` method shall create and attach the d2c link if necessary.]*/
             /*Codes_SRS_NODE_DEVICE_AMQP_18_006: [The `sendOutputEvent` method shall create and attach the d2c link if necessary.]*/
-            if (!this._d2cLink) {
-              this._amqp.attachSenderLink(this._d2cEndpoint, null, (err, link) => {
-                if (err) {
-                  handleResult('AMQP Transport: Could not send', sendCallback)(err);
-                } else {
-                  debug('got a new D2C link');
-                  this._d2cLink = link;
-                  this._d2cLink.on('error', this._d2cErrorListener);
-                  this._d2cLink.send(amqpMessage, handleResult('AMQP Transport: Could not send', sendCallback));
-                }
-              });
-            } else {
-              debug('using existing d2c link');
-              this._d2cLink.send(amqpMessage, handleResult('AMQP Transport: Could not send', sendCallback));
-            }
+            this._ensureD2cLink((err) => {
+              if (err) {
+                handleResult('AMQP Transport: Could not send', sendCallback)(err);
+              } else {
+                this._d2cLink.send(amqpMessage, handleResult('AMQP Transport: Could not send', sendCallback));
+              }
+            });
+          },
+          sendEventBatch: (amqpMessages, sendCallback) => {
+            amqpMessages.forEach((amqpMessage) => amqpMessage.to = this._d2cEndpoint);
+
+            /*Codes_SRS_NODE_DEVICE_AMQP_16_086: [The `sendEventBatch` and `sendOutputEventBatch` methods shall create and attach the d2c link if necessary.]*/
+            this._ensureD2cLink((err) => {
+              if (err) {
+                handleResult('AMQP Transport: Could not send batch', sendCallback)(err);
+              } else {
+                /*Codes_SRS_NODE_DEVICE_AMQP_16_087: [The `sendEventBatch` and `sendOutputEventBatch` methods shall send all the messages as a single batched AMQP message using the `sendBatch` method of the d2c link.]*/
+                this._d2cLink.sendBatch(amqpMessages, (err, result) => {
+                  if (err instanceof errors.MessageTooLargeError) {
+                    /*Codes_SRS_NODE_DEVICE_AMQP_16_089: [If the batch exceeds the maximum size of an IoT hub message, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback with the `MessageTooLargeError` reported by the d2c link.]*/
+                    sendCallback(err);
+                  } else if (err) {
+                    /*Codes_SRS_NODE_DEVICE_AMQP_16_090: [If the batch cannot be sent, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback with the translated error.]*/
+                    handleResult('AMQP Transport: Could not send batch', sendCallback)(err);
+                  } else {
+                    /*Codes_SRS_NODE_DEVICE_AMQP_16_088: [Once the batch has been accepted, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback with a `null` error and a `results.MessageBatchEnqueued` object containing the result of the batch for each message.]*/
+                    sendCallback(null, new results.MessageBatchEnqueued(amqpMessages.map(() => ({ result: result }))));
+                  }
+                });
+              }
+            });
           },
           updateSharedAccessSignature: (sharedAccessSignature, updateSasCallback) => {
             /*Codes_SRS_NODE_DEVICE_AMQP_06_010: [If the AMQP connection is established, the `updateSharedAccessSignature` method shall call the amqp transport `putToken` method with the first parameter `audience`, created from the `sr` of the shared access signature, the actual shared access signature, and a callback.]*/
@@ -582,15 +608,14 @@ export class Amqp extends EventEmitter implements DeviceTransport {
   /**
    * @private
    * @method             module:azure-iot-device-amqp.Amqp#sendEventBatch
-   * @description        Not Implemented.
+   * @description        Sends a list of events to the IoT Hub as a single batched AMQP message.
    * @param {Message[]}  messages    The [messages]{@linkcode module:common/message.Message}
    *                                 to be sent.
    * @param {Function}   done        The callback to be invoked when `sendEventBatch`
    *                                 completes execution.
    */
   sendEventBatch(messages: Message[], done: (err?: Error, result?: results.MessageEnqueued) => void): void {
-    /*Codes_SRS_NODE_DEVICE_AMQP_16_052: [The `sendEventBatch` method shall throw a `NotImplementedError`.]*/
-    throw new errors.NotImplementedError('AMQP Transport does not support batching yet');
+    this._sendEventBatch(messages, undefined, done);
   }
 
   /**
@@ -688,19 +713,6 @@ export class Amqp extends EventEmitter implements DeviceTransport {
     }
   }
 
-  /**
-   * @private
-   * The `sendEventBatch` method sends a list of event messages to the IoT Hub.
-   * @param {array<Message>} messages   Array of [Message]{@linkcode module:common/message.Message}
-   *                                    objects to be sent as a batch.
-   * @param {Function}      done      The callback to be invoked when
-   *                                  `sendEventBatch` completes execution.
-   */
-  /* Codes_SRS_NODE_DEVICE_AMQP_16_005: [If sendEventBatch encounters an error before it can send the request, it shall invoke the done callback function and pass the standard JavaScript Error object with a text description of the error (err.message).]  */
-  // sendEventBatch(messages: Message[], done: (err: Error, result?: results.MessageEnqueued) => void) {
-  // Placeholder - Not implemented yet.
-  // };
-
   /**
    * @private
    */
@@ -822,14 +834,57 @@ export class Amqp extends EventEmitter implements DeviceTransport {
    * @private
    */
   sendOutputEventBatch(outputName: string, messages: Message[], done: (err?: Error, result?: results.MessageEnqueued) => void): void {
-    /*Codes_SRS_NODE_DEVICE_AMQP_18_004: [`sendOutputEventBatch` shall throw a `NotImplementedError`.]*/
-    throw new errors.NotImplementedError('Output events are not implemented over AMQP.');
+    this._sendEventBatch(messages, outputName, done);
   }
 
   protected _getConnectionUri(credentials: TransportConfig): string {
     return 'amqps://' + (credentials.gatewayHostName || credentials.host);
   }
 
+  private _sendEventBatch(messages: Message[], outputName: string, done: (err?: Error, result?: results.MessageEnqueued) => void): void {
+    /*Codes_SRS_NODE_DEVICE_AMQP_16_084: [The `sendEventBatch` and `sendOutputEventBatch` methods shall throw a `ReferenceError` if `messages` is falsy.]*/
+    if (!messages) throw new ReferenceError('messages cannot be \'' + messages + '\'');
+
+    /*Codes_SRS_NODE_DEVICE_AMQP_16_091: [If `messages` is an empty array, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback immediately with a `null` error and a `results.MessageBatchEnqueued` object containing no message results.]*/
+    if (messages.length === 0) {
+      done(null, new results.MessageBatchEnqueued([]));
+      return;
+    }
+
+    const amqpMessages = messages.map((message) => {
+      /*Codes_SRS_NODE_DEVICE_AMQP_16_092: [The `sendEventBatch` and `sendOutputEventBatch` methods shall convert each message to an `AmqpMessage`, preserving its properties and application properties.]*/
+      const amqpMessage = AmqpMessage.fromMessage(message);
+      if (outputName) {
+        /*Codes_SRS_NODE_DEVICE_AMQP_16_093: [The `sendOutputEventBatch` method shall set the application property "iothub-outputname" on each message to the `outputName`.]*/
+        if (!amqpMessage.application_properties) {
+          amqpMessage.application_properties = {};
+        }
+        amqpMessage.application_properties['iothub-outputname'] = outputName;
+      }
+      return amqpMessage;
+    });
+
+    this._fsm.handle('sendEventBatch', amqpMessages, done);
+  }
+
+  private _ensureD2cLink(callback: (err?: Error) => void): void {
+    if (!this._d2cLink) {
+      this._amqp.attachSenderLink(this._d2cEndpoint, null, (err, link) => {
+        if (err) {
+          callback(err);
+        } else {
+          debug('got a new D2C link');
+          this._d2cLink = link;
+          this._d2cLink.on('error', this._d2cErrorListener);
+          callback();
+        }
+      });
+    } else {
+      debug('using existing d2c link');
+      callback();
+    }
+  }
+
   private _stopC2DListener(err: Error | undefined, callback: (err?: Error) => void): void {
     const tmpC2DLink = this._c2dLink;
     this._c2dLink = undefined;
@@ -1549,19 +1549,157 @@ describe('Amqp', function () {
     });
   });
 
-  /*Tests_SRS_NODE_DEVICE_AMQP_16_052: [The `sendEventBatch` method shall throw a `NotImplementedError`.]*/
-  /*Tests_SRS_NODE_DEVICE_AMQP_18_004: [`sendOutputEventBatch` shall throw a `NotImplementedError`.]*/
-  [
-    'sendEventBatch',
-    'sendOutputEventBatch'
-  ].forEach(function (methodName) {
-    describe('#' + methodName, function () {
-      it('throws a NotImplementedError', function () {
-        assert.throws(function () {
-          transport[methodName]();
-        }, errors.NotImplementedError);
+  [{
+    functionUnderTest: 'sendEventBatch',
+    invokeFunction: function(msgs, callback) { transport.sendEventBatch(msgs, callback); },
+    expectedOutputName: null
+  },
+  {
+    functionUnderTest: 'sendOutputEventBatch',
+    invokeFunction: function(msgs, callback) { transport.sendOutputEventBatch('_fake_output', msgs, callback); },
+    expectedOutputName: '_fake_output'
+  }].forEach(function(testConfig) {
+    describe('#' + testConfig.functionUnderTest, function () {
+      beforeEach(function () {
+        sender.sendBatch = sinon.stub().callsArgWith(1, null, new results.MessageEnqueued());
+      });
+
+      /*Tests_SRS_NODE_DEVICE_AMQP_16_084: [The `sendEventBatch` and `sendOutputEventBatch` methods shall throw a `ReferenceError` if `messages` is falsy.]*/
+      [undefined, null].forEach(function (badMessages) {
+        it('throws a ReferenceError if messages is \'' + badMessages + '\'', function () {
+          assert.throws(function () {
+            testConfig.invokeFunction(badMessages, function () {});
+          }, ReferenceError);
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_AMQP_16_091: [If `messages` is an empty array, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback immediately with a `null` error and a `results.MessageBatchEnqueued` object containing no message results.]*/
+      it('calls the callback immediately with an empty result if messages is an empty array', function (testCallback) {
+        testConfig.invokeFunction([], function (err, result) {
+          assert.isNull(err);
+          assert.instanceOf(result, results.MessageBatchEnqueued);
+          assert.lengthOf(result.messageResults, 0);
+          assert(fakeBaseClient.connect.notCalled);
+          assert(sender.sendBatch.notCalled);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_AMQP_16_085: [The `sendEventBatch` and `sendOutputEventBatch` methods shall connect and authenticate the transport if necessary.]*/
+      it('automatically connects the transport if necessary', function (testCallback) {
+        testConfig.invokeFunction([new Message('test')], function () {
+          assert(fakeBaseClient.connect.calledOnce);
+          assert(fakeBaseClient.putToken.calledOnce);
+          testCallback();
+        });
+      });
+
+      it('forwards the error if connecting fails while trying to send a batch', function (testCallback) {
+        var fakeError = new Error('failed to connect');
+        fakeBaseClient.connect = sinon.stub().callsArgWith(1, fakeError);
+
+        testConfig.invokeFunction([new Message('test')], function (err) {
+          assert(fakeBaseClient.connect.calledOnce);
+          assert.strictEqual(err.amqpError, fakeError);
+          assert(sender.sendBatch.notCalled);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_AMQP_16_086: [The `sendEventBatch` and `sendOutputEventBatch` methods shall create and attach the d2c link if necessary.]*/
+      it('attaches the messaging link on first send, then reuses it', function (testCallback) {
+        testConfig.invokeFunction([new Message('test')], function () {
+          assert(fakeBaseClient.attachSenderLink.calledOnce);
+          transport.sendEvent(new Message('test2'), function () {
+            assert(fakeBaseClient.attachSenderLink.calledOnce);
+            testConfig.invokeFunction([new Message('test3')], function () {
+              assert(fakeBaseClient.attachSenderLink.calledOnce);
+              assert(sender.sendBatch.calledTwice);
+              testCallback();
+            });
+          });
+        });
+      });
+
+      it('calls the callback with an error if attaching the link fails', function (testCallback) {
+        var fakeError = new Error('fake');
+        fakeBaseClient.attachSenderLink = sinon.stub().callsArgWith(2, fakeError);
+        testConfig.invokeFunction([new Message('test')], function (err) {
+          assert.strictEqual(err.amqpError, fakeError);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_AMQP_16_087: [The `sendEventBatch` and `sendOutputEventBatch` methods shall send all the messages as a single batched AMQP message using the `sendBatch` method of the d2c link.]*/
+      /*Tests_SRS_NODE_DEVICE_AMQP_16_092: [The `sendEventBatch` and `sendOutputEventBatch` methods shall convert each message to an `AmqpMessage`, preserving its properties and application properties.]*/
+      /*Tests_SRS_NODE_DEVICE_AMQP_16_093: [The `sendOutputEventBatch` method shall set the application property "iothub-outputname" on each message to the `outputName`.]*/
+      it('sends all the messages with their own properties in a single batch', function (testCallback) {
+        var message1 = new Message('first');
+        message1.properties.add('key1', 'value1');
+        var message2 = new Message('second');
+        message2.properties.add('key2', 'value2');
+
+        testConfig.invokeFunction([message1, message2], function (err) {
+          assert.isNull(err);
+          assert(sender.sendBatch.calledOnce);
+          assert(sender.send.notCalled);
+          var sentMessages = sender.sendBatch.firstCall.args[0];
+          assert.lengthOf(sentMessages, 2);
+          sentMessages.forEach(function (sentMessage) {
+            assert.instanceOf(sentMessage, AmqpMessage);
+            assert.strictEqual(sentMessage.to, '/devices/deviceId/messages/events');
+          });
+          assert.strictEqual(sentMessages[0].body.content.toString(), 'first');
+          assert.strictEqual(sentMessages[0].application_properties.key1, 'value1');
+          assert.isUndefined(sentMessages[0].application_properties.key2);
+          assert.strictEqual(sentMessages[1].body.content.toString(), 'second');
+          assert.strictEqual(sentMessages[1].application_properties.key2, 'value2');
+          assert.isUndefined(sentMessages[1].application_properties.key1);
+          if (testConfig.expectedOutputName) {
+            assert.strictEqual(sentMessages[0].application_properties['iothub-outputname'], testConfig.expectedOutputName);
+            assert.strictEqual(sentMessages[1].application_properties['iothub-outputname'], testConfig.expectedOutputName);
+          } else {
+            assert.isUndefined(sentMessages[0].application_properties['iothub-outputname']);
+          }
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_AMQP_16_088: [Once the batch has been accepted, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback with a `null` error and a `results.MessageBatchEnqueued` object containing the result of the batch for each message.]*/
+      it('calls the callback with a MessageBatchEnqueued result once the batch is accepted', function (testCallback) {
+        var batchResult = new results.MessageEnqueued();
+        sender.sendBatch = sinon.stub().callsArgWith(1, null, batchResult);
+        testConfig.invokeFunction([new Message('first'), new Message('second')], function (err, result) {
+          assert.isNull(err);
+          assert.instanceOf(result, results.MessageBatchEnqueued);
+          assert.lengthOf(result.messageResults, 2);
+          result.messageResults.forEach(function (messageResult) {
+            assert.isUndefined(messageResult.error);
+            assert.strictEqual(messageResult.result, batchResult);
+          });
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_AMQP_16_089: [If the batch exceeds the maximum size of an IoT hub message, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback with the `MessageTooLargeError` reported by the d2c link.]*/
+      it('calls the callback with the MessageTooLargeError reported by the link if the batch is too large', function (testCallback) {
+        var fakeError = new errors.MessageTooLargeError('fake');
+        sender.sendBatch = sinon.stub().callsArgWith(1, fakeError);
+        testConfig.invokeFunction([new Message('test')], function (err) {
+          assert.strictEqual(err, fakeError);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_AMQP_16_090: [If the batch cannot be sent, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback with the translated error.]*/
+      it('calls the callback with a translated error if sending the batch fails', function (testCallback) {
+        var fakeError = new Error('fake');
+        sender.sendBatch = sinon.stub().callsArgWith(1, fakeError);
+        testConfig.invokeFunction([new Message('test')], function (err) {
+          assert.strictEqual(err.amqpError, fakeError);
+          testCallback();
+        });
       });
     });
   });
 });
-
@@ -49,6 +49,83 @@ let defaultOptions: HttpReceiverOptions = {
   drain: true
 };
 
+let defaultDesiredPropertiesOptions: HttpReceiverOptions = {
+  // Each poll retrieves the whole twin, so desired properties are polled once per minute by default.
+  interval: 60
+};
+
+function removeMetadata(properties: { [key: string]: any }): { [key: string]: any } {
+  let result = {};
+  Object.keys(properties || {}).forEach((key) => {
+    if (key !== '$metadata') {
+      result[key] = properties[key];
+    }
+  });
+  return result;
+}
+
+function isPropertyObject(value: any): boolean {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Computes the patch that turns the `previous` desired properties into the `current` ones, using `null` values for removed properties
+// the same way the IoT hub does when it sends a desired properties patch over MQTT or AMQP.
+function computeDesiredPropertiesPatch(previous: { [key: string]: any }, current: { [key: string]: any }): { [key: string]: any } {
+  let patch = {};
+  Object.keys(current).forEach((key) => {
+    const previousValue = previous[key];
+    const currentValue = current[key];
+    if (isPropertyObject(previousValue) && isPropertyObject(currentValue)) {
+      const propertyPatch = computeDesiredPropertiesPatch(previousValue, currentValue);
+      if (Object.keys(propertyPatch).length > 0) {
+        patch[key] = propertyPatch;
+      }
+    } else if (JSON.stringify(previousValue) !== JSON.stringify(currentValue)) {
+      patch[key] = currentValue;
+    }
+  });
+
+  Object.keys(previous).forEach((key) => {
+    if (!current.hasOwnProperty(key)) {
+      patch[key] = null;
+    }
+  });
+
+  return patch;
+}
+
+function validateReceiverOptions(opts: HttpReceiverOptions): void {
+  /*Codes_SRS_NODE_DEVICE_HTTP_RECEIVER_16_008: [Only one of the interval, at, and cron fields should be populated: if more than one is populated, an ArgumentError shall be thrown.]*/
+  if ((opts.interval && opts.cron) ||
+      (opts.interval && opts.at) ||
+      (opts.interval && opts.manualPolling) ||
+      (opts.at && opts.cron) ||
+      (opts.at && opts.manualPolling) ||
+      (opts.cron && opts.manualPolling)) {
+    throw new errors.ArgumentError('Only one of the (interval|at|cron) fields should be set.');
+  }
+
+  /*Codes_SRS_NODE_DEVICE_HTTP_RECEIVER_16_002: [opts.interval is not a number, an ArgumentError should be thrown.]*/
+  if (opts.interval && typeof (opts.interval) !== 'number') {
+    throw new errors.ArgumentError('The \'interval\' parameter must be a number');
+  }
+
+  /*Codes_SRS_NODE_DEVICE_HTTP_RECEIVER_16_005: [If opts.interval is a negative number, an ArgumentError should be thrown.]*/
+  if (opts.interval && opts.interval <= 0) {
+    throw new errors.ArgumentError('the \'interval\' parameter must be strictly greater than 0 (zero)');
+  }
+
+  /*Codes_SRS_NODE_DEVICE_HTTP_RECEIVER_16_022: [If opts.at is not a Date object, an ArgumentError should be thrown]*/
+  if (opts.at && !(opts.at instanceof Date)) {
+    throw new errors.ArgumentError('The \'at\' parameter must be a Date');
+  }
+
+  /*Codes_SRS_NODE_DEVICE_HTTP_RECEIVER_16_004: [if opts.cron is set it shall be a string that can be interpreted as a cron expression]*/
+  if (opts.cron && typeof (opts.cron) !== 'string') {
+    throw new errors.ArgumentError('The \'at\' parameter must be a String and use the cron syntax (see https://www.npmjs.com/package/node-crontab)');
+  }
+}
+
 /**
  * Provides the transport layer over HTTP for the {@link azure-iot-device.Client} object.
  *
@@ -72,6 +149,10 @@ export class Http extends EventEmitter implements DeviceTransport {
   private _timeoutObj: number;
   private _receiverStarted: boolean;
   private _userAgentString: string;
+  private _desiredPropertiesOpts: HttpReceiverOptions;
+  private _desiredPropertiesPoller: { cancel: () => void };
+  private _desiredPropertiesUpdatesEnabled: boolean;
+  private _lastDesiredProperties: { [key: string]: any };
 
   /**
    * @private
@@ -85,12 +166,17 @@ export class Http extends EventEmitter implements DeviceTransport {
 
     this._opts = defaultOptions;
     this._receiverStarted = false;
+    this._desiredPropertiesOpts = defaultDesiredPropertiesOptions;
   }
 
   /**
    * @private
    */
   connect(callback: (err?: Error, result?: results.Connected) => void): void {
+    /*Codes_SRS_NODE_DEVICE_HTTP_16_056: [The `connect` method shall schedule polling of the device twin again if desired properties updates are enabled and polling was stopped by `disconnect`.]*/
+    if (this._desiredPropertiesUpdatesEnabled) {
+      this._scheduleDesiredPropertiesPolling();
+    }
     /*Codes_SRS_NODE_DEVICE_HTTP_16_028: [The `connect` method shall call its callback immediately with a `null` first argument and a `results.Connected` second argument.]*/
     callback(null, new results.Connected());
   }
@@ -104,6 +190,9 @@ export class Http extends EventEmitter implements DeviceTransport {
       (this._authenticationProvider as SharedAccessKeyAuthenticationProvider).stop();
     }
 
+    /*Codes_SRS_NODE_DEVICE_HTTP_16_049: [The `disconnect` method shall stop polling for desired properties updates if it is running.]*/
+    this._stopDesiredPropertiesPolling();
+
     if (this._receiverStarted) {
       /*Codes_SRS_NODE_DEVICE_HTTP_16_029: [The `disconnect` method shall disable the C2D message receiver if it is running. ]*/
       this.disableC2D((err) => {
@@ -334,9 +423,15 @@ export class Http extends EventEmitter implements DeviceTransport {
 
     // setOptions used to exist both on Http and HttpReceiver with different options class. In order not to break backward compatibility we have
     // to check what properties this options object has to figure out what to do with it.
-    if (options.hasOwnProperty('http') && options.http.hasOwnProperty('receivePolicy')) {
-      /*Codes_SRS_NODE_DEVICE_HTTP_16_004: [The `setOptions` method shall call the `setOptions` method of the HTTP Receiver with the content of the `http.receivePolicy` property of the `options` parameter.]*/
-      this._setReceiverOptions(options.http.receivePolicy);
+    if (options.hasOwnProperty('http') && (options.http.hasOwnProperty('receivePolicy') || options.http.hasOwnProperty('desiredPropertiesPolicy'))) {
+      if (options.http.hasOwnProperty('receivePolicy')) {
+        /*Codes_SRS_NODE_DEVICE_HTTP_16_004: [The `setOptions` method shall call the `setOptions` method of the HTTP Receiver with the content of the `http.receivePolicy` property of the `options` parameter.]*/
+        this._setReceiverOptions(options.http.receivePolicy);
+      }
+      if (options.http.hasOwnProperty('desiredPropertiesPolicy')) {
+        /*Codes_SRS_NODE_DEVICE_HTTP_16_050: [The `setOptions` method shall configure the desired properties polling schedule with the content of the `http.desiredPropertiesPolicy` property of the `options` parameter.]*/
+        this._setDesiredPropertiesOptions(options.http.desiredPropertiesPolicy);
+      }
       if (done) done();
     } else if (options.hasOwnProperty('interval')
               || options.hasOwnProperty('at')
@@ -520,34 +615,108 @@ export class Http extends EventEmitter implements DeviceTransport {
 
   /**
    * @private
+   * @method          module:azure-iot-device-http.Http#getTwin
+   * @description     Retrieves the desired and reported properties of the device twin.
+   *
+   * @param {Function}      done      The callback to be invoked with the twin properties or an error.
    */
   getTwin(done: (err?: Error, twin?: TwinProperties) => void): void {
-    /*Codes_SRS_NODE_DEVICE_HTTP_16_020: [`getTwin` shall throw a `NotImplementedError`.]*/
-    throw new errors.NotImplementedError('Twin is not implemented over HTTP.');
+    this._getTwinDocument((err, twin) => {
+      if (err) {
+        done(err);
+      } else {
+        /*Codes_SRS_NODE_DEVICE_HTTP_16_042: [The `getTwin` method shall call its callback with a `null` error and a `TwinProperties` object containing the `desired` and `reported` properties of the twin, without their `$metadata`.]*/
+        const twinProperties = {
+          desired: removeMetadata(twin.properties.desired),
+          reported: removeMetadata(twin.properties.reported)
+        };
+        this._lastDesiredProperties = twinProperties.desired;
+        done(null, twinProperties);
+      }
+    });
   }
 
   /**
    * @private
+   * @method          module:azure-iot-device-http.Http#updateTwinReportedProperties
+   * @description     Updates the reported properties of the device twin with the patch passed as argument.
+   *
+   * @param {Object}        patch     The reported properties patch.
+   * @param {Function}      done      The callback to be invoked when the patch has been applied or an error occurred.
    */
-  updateTwinReportedProperties(done: (err?: Error) => void): void {
-    /*Codes_SRS_NODE_DEVICE_HTTP_16_034: [`updateTwinReportedProperties` shall throw a `NotImplementedError`.]*/
-    throw new errors.NotImplementedError('Twin is not implemented over HTTP.');
+  updateTwinReportedProperties(patch: any, done: (err?: Error) => void): void {
+    this._ensureAgentString(() => {
+      /*Codes_SRS_NODE_DEVICE_HTTP_16_032: [All HTTP requests shall obtain the credentials necessary to execute the request by calling `getDeviceCredentials` on the `AuthenticationProvider` object passed to the `Http` constructor.]*/
+      this._authenticationProvider.getDeviceCredentials((err, config) => {
+        if (err) {
+          /*Codes_SRS_NODE_DEVICE_HTTP_16_033: [if the `getDeviceCredentials` fails with an error, the Http request shall call its callback with that error]*/
+          done(err);
+        } else {
+          /*Codes_SRS_NODE_DEVICE_HTTP_16_043: [The `updateTwinReportedProperties` method shall construct an HTTP request using information supplied by the caller, as follows:
+          ```
+          PATCH <config.host>/devices/URI_ENCODED(<config.deviceId>)/twin/properties/reported?api-version=<version> HTTP/1.1
+          Content-Type: application/json; charset=utf-8
+          User-Agent: <version string>
+          Host: <config.host>
+
+          <JSON-serialized patch>
+          ```]*/
+          const path = endpoint.deviceTwinPath(encodeUriComponentStrict(config.deviceId)) + '/properties/reported';
+          let httpHeaders = {
+            'Content-Type': 'application/json; charset=utf-8',
+            'User-Agent': this._userAgentString
+          };
+
+          this._insertAuthHeaderIfNecessary(httpHeaders, config);
+
+          const request = this._http.buildRequest('PATCH', path + endpoint.versionQueryString(), httpHeaders, config.host, config.x509, (err, body, response) => {
+            if (err) {
+              /*Codes_SRS_NODE_DEVICE_HTTP_16_044: [If the HTTP request fails, the `updateTwinReportedProperties` method shall call its callback with the error translated using `translateError`.]*/
+              done(response ? translateError('Could not update reported properties: ' + err.message, body, response) : err);
+            } else {
+              /*Codes_SRS_NODE_DEVICE_HTTP_16_045: [The `updateTwinReportedProperties` method shall call its callback with no arguments if the HTTP request succeeds.]*/
+              done();
+            }
+          });
+
+          request.write(JSON.stringify(patch));
+          request.end();
+        }
+      });
+    });
   }
 
   /**
    * @private
+   * @method          module:azure-iot-device-http.Http#enableTwinDesiredPropertiesUpdates
+   * @description     Starts polling the device twin for desired properties updates according to the `http.desiredPropertiesPolicy` options.
+   *
+   * @param {Function}      done      The callback to be invoked once polling has been scheduled.
    */
   enableTwinDesiredPropertiesUpdates(done: (err?: Error) => void): void {
-    /*Codes_SRS_NODE_DEVICE_HTTP_16_035: [`enableTwinDesiredPropertiesUpdates` shall throw a `NotImplementedError`.]*/
-    throw new errors.NotImplementedError('Twin is not implemented over HTTP.');
+    if (this._desiredPropertiesOpts.manualPolling) {
+      /*Codes_SRS_NODE_DEVICE_HTTP_16_055: [The `enableTwinDesiredPropertiesUpdates` method shall call its callback with an `InvalidOperationError` if the `manualPolling` property of the desired properties options is `true`, since the device twin cannot be polled manually for desired properties updates.]*/
+      done(new errors.InvalidOperationError('desired properties updates cannot be enabled with manualPolling: use getTwin to get the desired properties'));
+      return;
+    }
+
+    this._desiredPropertiesUpdatesEnabled = true;
+    this._scheduleDesiredPropertiesPolling();
+    done();
   }
 
   /**
    * @private
+   * @method          module:azure-iot-device-http.Http#disableTwinDesiredPropertiesUpdates
+   * @description     Stops polling the device twin for desired properties updates.
+   *
+   * @param {Function}      done      The callback to be invoked once polling has been stopped.
    */
   disableTwinDesiredPropertiesUpdates(done: (err?: Error) => void): void {
-    /*Codes_SRS_NODE_DEVICE_HTTP_16_036: [`disableTwinDesiredPropertiesUpdates` shall throw a `NotImplementedError`.]*/
-    throw new errors.NotImplementedError('Twin is not implemented over HTTP.');
+    /*Codes_SRS_NODE_DEVICE_HTTP_16_048: [The `disableTwinDesiredPropertiesUpdates` method shall stop polling the device twin and call its callback with no arguments.]*/
+    this._desiredPropertiesUpdatesEnabled = false;
+    this._stopDesiredPropertiesPolling();
+    done();
   }
 
   /**
@@ -616,6 +785,102 @@ export class Http extends EventEmitter implements DeviceTransport {
 
 
 
+  private _getTwinDocument(done: (err?: Error, twin?: any) => void): void {
+    this._ensureAgentString(() => {
+      /*Codes_SRS_NODE_DEVICE_HTTP_16_032: [All HTTP requests shall obtain the credentials necessary to execute the request by calling `getDeviceCredentials` on the `AuthenticationProvider` object passed to the `Http` constructor.]*/
+      this._authenticationProvider.getDeviceCredentials((err, config) => {
+        if (err) {
+          /*Codes_SRS_NODE_DEVICE_HTTP_16_033: [if the `getDeviceCredentials` fails with an error, the Http request shall call its callback with that error]*/
+          done(err);
+        } else {
+          /*Codes_SRS_NODE_DEVICE_HTTP_16_040: [The `getTwin` method shall construct an HTTP request using information supplied by the caller, as follows:
+          ```
+          GET <config.host>/devices/URI_ENCODED(<config.deviceId>)/twin?api-version=<version> HTTP/1.1
+          User-Agent: <version string>
+          Host: <config.host>
+          ```]*/
+          const path = endpoint.deviceTwinPath(encodeUriComponentStrict(config.deviceId));
+          let httpHeaders = {
+            'User-Agent': this._userAgentString
+          };
+
+          this._insertAuthHeaderIfNecessary(httpHeaders, config);
+
+          const request = this._http.buildRequest('GET', path + endpoint.versionQueryString(), httpHeaders, config.host, config.x509, (err, body, response) => {
+            if (err) {
+              /*Codes_SRS_NODE_DEVICE_HTTP_16_041: [If the HTTP request fails, the `getTwin` method shall call its callback with the error translated using `translateError`.]*/
+              done(response ? translateError('Could not get twin: ' + err.message, body, response) : err);
+            } else {
+              let twin;
+              try {
+                twin = JSON.parse(body);
+              } catch (parseErr) {
+                done(parseErr);
+                return;
+              }
+              if (!twin || typeof twin.properties !== 'object' || !twin.properties) {
+                /*Codes_SRS_NODE_DEVICE_HTTP_16_057: [If the twin returned by the service does not have a `properties` object, the `getTwin` method shall call its callback, and polling shall emit an `error` event, with a `FormatError`.]*/
+                done(new errors.FormatError('the twin returned by the service does not have properties'));
+                return;
+              }
+              done(null, twin);
+            }
+          });
+
+          request.end();
+        }
+      });
+    });
+  }
+
+  private _pollDesiredProperties(): void {
+    this._getTwinDocument((err, twin) => {
+      if (err) {
+        /*Codes_SRS_NODE_DEVICE_HTTP_16_051: [If polling the device twin fails, the `Http` object shall emit an `error` event with the error.]*/
+        debug('Error while polling desired properties: ' + err.toString());
+        this.emit('error', err);
+      } else {
+        const desiredProperties = removeMetadata(twin.properties.desired);
+        /*Codes_SRS_NODE_DEVICE_HTTP_16_047: [Each time the device twin is polled, the `Http` object shall emit a `twinDesiredPropertiesUpdate` event with a patch describing the desired properties that changed since the twin was last retrieved, if any, using `null` values for the properties that were removed.]*/
+        const patch = computeDesiredPropertiesPatch(this._lastDesiredProperties || {}, desiredProperties);
+        this._lastDesiredProperties = desiredProperties;
+        if (Object.keys(patch).length > 0) {
+          this.emit('twinDesiredPropertiesUpdate', patch);
+        }
+      }
+    });
+  }
+
+  private _scheduleDesiredPropertiesPolling(): void {
+    /*Codes_SRS_NODE_DEVICE_HTTP_16_046: [The `enableTwinDesiredPropertiesUpdates` method shall schedule polling of the device twin according to the `interval`, `at` or `cron` property of the desired properties options, unless polling is already scheduled.]*/
+    if (!this._desiredPropertiesPoller) {
+      const poll = this._pollDesiredProperties.bind(this);
+      const opts = this._desiredPropertiesOpts;
+      if (opts.interval) {
+        const intervalObj = setInterval(poll, opts.interval * 1000); // opts.interval is in seconds but setInterval takes milliseconds.
+        this._desiredPropertiesPoller = { cancel: () => clearInterval(intervalObj) };
+      } else if (opts.at) {
+        const timeoutObj = setTimeout(() => {
+          /*Codes_SRS_NODE_DEVICE_HTTP_16_054: [Once the device twin has been polled at the date specified by the `at` property of the desired properties options, polling shall be considered stopped, so that calling `enableTwinDesiredPropertiesUpdates` again schedules a new poll.]*/
+          this._desiredPropertiesPoller = undefined;
+          this._desiredPropertiesUpdatesEnabled = false;
+          poll();
+        }, Math.max(opts.at.getTime() - Date.now(), 0));
+        this._desiredPropertiesPoller = { cancel: () => clearTimeout(timeoutObj) };
+      } else if (opts.cron) {
+        const cronObj = cron.scheduleJob(opts.cron, poll);
+        this._desiredPropertiesPoller = { cancel: () => cron.cancelJob(cronObj) };
+      }
+    }
+  }
+
+  private _stopDesiredPropertiesPolling(): void {
+    if (this._desiredPropertiesPoller) {
+      this._desiredPropertiesPoller.cancel();
+      this._desiredPropertiesPoller = undefined;
+    }
+  }
+
   private _insertAuthHeaderIfNecessary(headers: { [key: string]: string }, credentials: TransportConfig): void {
     if (this._authenticationProvider.type === AuthenticationType.Token) {
       /*Codes_SRS_NODE_DEVICE_HTTP_16_012: [If using a shared access signature for authentication, the following additional header should be used in the HTTP request:
@@ -738,35 +1003,7 @@ export class Http extends EventEmitter implements DeviceTransport {
       this._opts = defaultOptions;
     }
 
-    /*Codes_SRS_NODE_DEVICE_HTTP_RECEIVER_16_008: [Only one of the interval, at, and cron fields should be populated: if more than one is populated, an ArgumentError shall be thrown.]*/
-    if ((opts.interval && opts.cron) ||
-        (opts.interval && opts.at) ||
-        (opts.interval && opts.manualPolling) ||
-        (opts.at && opts.cron) ||
-        (opts.at && opts.manualPolling) ||
-        (opts.cron && opts.manualPolling)) {
-      throw new errors.ArgumentError('Only one of the (interval|at|cron) fields should be set.');
-    }
-
-    /*Codes_SRS_NODE_DEVICE_HTTP_RECEIVER_16_002: [opts.interval is not a number, an ArgumentError should be thrown.]*/
-    if (opts.interval && typeof (opts.interval) !== 'number') {
-      throw new errors.ArgumentError('The \'interval\' parameter must be a number');
-    }
-
-    /*Codes_SRS_NODE_DEVICE_HTTP_RECEIVER_16_005: [If opts.interval is a negative number, an ArgumentError should be thrown.]*/
-    if (opts.interval && opts.interval <= 0) {
-      throw new errors.ArgumentError('the \'interval\' parameter must be strictly greater than 0 (zero)');
-    }
-
-    /*Codes_SRS_NODE_DEVICE_HTTP_RECEIVER_16_022: [If opts.at is not a Date object, an ArgumentError should be thrown]*/
-    if (opts.at && !(opts.at instanceof Date)) {
-      throw new errors.ArgumentError('The \'at\' parameter must be a Date');
-    }
-
-    /*Codes_SRS_NODE_DEVICE_HTTP_RECEIVER_16_004: [if opts.cron is set it shall be a string that can be interpreted as a cron expression]*/
-    if (opts.cron && typeof (opts.cron) !== 'string') {
-      throw new errors.ArgumentError('The \'at\' parameter must be a String and use the cron syntax (see https://www.npmjs.com/package/node-crontab)');
-    }
+    validateReceiverOptions(opts);
 
     this._opts = opts;
 
@@ -778,6 +1015,21 @@ export class Http extends EventEmitter implements DeviceTransport {
     }
   }
 
+  private _setDesiredPropertiesOptions(opts: HttpReceiverOptions): void {
+    /*Codes_SRS_NODE_DEVICE_HTTP_16_052: [The desired properties polling options shall be validated the same way as the receiver options.]*/
+    validateReceiverOptions(opts);
+
+    /*Codes_SRS_NODE_DEVICE_HTTP_16_053: [If desired properties polling is already scheduled, it shall be restarted with the new options.]*/
+    const restartPolling = !!this._desiredPropertiesPoller;
+    this._stopDesiredPropertiesPolling();
+    this._desiredPropertiesOpts = opts;
+    if (restartPolling) {
+      this.enableTwinDesiredPropertiesUpdates((err) => {
+        debug(err ? 'Http desired properties polling stopped: ' + err.toString() : 'Http desired properties polling restarted');
+      });
+    }
+  }
+
   private _ensureAgentString(done: () => void): void {
     if (this._userAgentString) {
       done();
@@ -3,7 +3,7 @@
 
 'use strict';
 
-import { errors } from 'azure-iot-common';
+import { errors, parseRetryAfter } from 'azure-iot-common';
 import { IncomingMessage } from 'http';
 
 /**
@@ -45,6 +45,12 @@ export function translateError(message: string, body: any, response: IncomingMes
       /*Codes_SRS_NODE_DEVICE_HTTP_ERRORS_16_007: [`translateError` shall return an `MessageTooLargeError` if the HTTP response status code is `413`.]*/
       error = new errors.MessageTooLargeError(message);
       break;
+    case 429:
+      /*Codes_SRS_NODE_DEVICE_HTTP_ERRORS_16_011: [`translateError` shall return a `ThrottlingError` if the HTTP response status code is `429`.]*/
+      error = new errors.ThrottlingError(message);
+      /*Codes_SRS_NODE_DEVICE_HTTP_ERRORS_16_012: [`translateError` shall set the `retryAfterInMs` property of the `ThrottlingError` and `ServiceUnavailableError` errors to the value of the `Retry-After` header of the response converted to milliseconds, if present.]*/
+      (error as errors.ThrottlingError).retryAfterInMs = response.headers ? parseRetryAfter(response.headers['retry-after']) : undefined;
+      break;
     case 500:
       /*Codes_SRS_NODE_DEVICE_HTTP_ERRORS_16_008: [`translateError` shall return an `InternalServerError` if the HTTP response status code is `500`.]*/
       error = new errors.InternalServerError(message);
@@ -52,6 +58,8 @@ export function translateError(message: string, body: any, response: IncomingMes
     case 503:
       /*Codes_SRS_NODE_DEVICE_HTTP_ERRORS_16_009: [`translateError` shall return an `ServiceUnavailableError` if the HTTP response status code is `503`.]*/
       error = new errors.ServiceUnavailableError(message);
+      /*Codes_SRS_NODE_DEVICE_HTTP_ERRORS_16_012: [`translateError` shall set the `retryAfterInMs` property of the `ThrottlingError` and `ServiceUnavailableError` errors to the value of the `Retry-After` header of the response converted to milliseconds, if present.]*/
+      (error as errors.ServiceUnavailableError).retryAfterInMs = response.headers ? parseRetryAfter(response.headers['retry-after']) : undefined;
       break;
     default:
       /*Codes_SRS_NODE_DEVICE_HTTP_ERRORS_16_002: [If the HTTP error code is unknown, `translateError` should return a generic Javascript `Error` object.]*/
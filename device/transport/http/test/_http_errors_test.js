@@ -15,6 +15,7 @@ describe('translateError', function() {
 /*Tests_SRS_NODE_DEVICE_HTTP_ERRORS_16_005: [`translateError` shall return an `IotHubQuotaExceededError` if the HTTP response status code is `403`.]*/
 /*Tests_SRS_NODE_DEVICE_HTTP_ERRORS_16_006: [`translateError` shall return an `DeviceNotFoundError` if the HTTP response status code is `404`.]*/
 /*Tests_SRS_NODE_DEVICE_HTTP_ERRORS_16_007: [`translateError` shall return an `MessageTooLargeError` if the HTTP response status code is `413`.]*/
+/*Tests_SRS_NODE_DEVICE_HTTP_ERRORS_16_011: [`translateError` shall return a `ThrottlingError` if the HTTP response status code is `429`.]*/
 /*Tests_SRS_NODE_DEVICE_HTTP_ERRORS_16_008: [`translateError` shall return an `InternalServerError` if the HTTP response status code is `500`.]*/
 /*Tests_SRS_NODE_DEVICE_HTTP_ERRORS_16_009: [`translateError` shall return an `ServiceUnavailableError` if the HTTP response status code is `503`.]*/
   [
@@ -23,6 +24,7 @@ describe('translateError', function() {
     { statusCode: 403, statusMessage: 'Forbidden', errorMessage: 'Fake forbidden', expectedErrorType: errors.IotHubQuotaExceededError },
     { statusCode: 404, statusMessage: 'Not found', errorMessage: 'Fake not found', expectedErrorType: errors.DeviceNotFoundError },
     { statusCode: 413, statusMessage: 'Request too large', errorMessage: 'Fake request too large', expectedErrorType: errors.MessageTooLargeError },
+    { statusCode: 429, statusMessage: 'Too many requests', errorMessage: 'Fake too many requests', expectedErrorType: errors.ThrottlingError },
     { statusCode: 500, statusMessage: 'Internal Server Error', errorMessage: 'Fake internal server error', expectedErrorType: errors.InternalServerError },
     { statusCode: 503, statusMessage: 'Server Unavailable', errorMessage: 'Fake server unavailable', expectedErrorType: errors.ServiceUnavailableError }
   ].forEach(function(testParams) {
@@ -51,4 +53,26 @@ describe('translateError', function() {
     assert.equal(err.response, fake_response);
     });
   });
-});
\ No newline at end of file
+
+  /*Tests_SRS_NODE_DEVICE_HTTP_ERRORS_16_012: [`translateError` shall set the `retryAfterInMs` property of the `ThrottlingError` and `ServiceUnavailableError` errors to the value of the `Retry-After` header of the response converted to milliseconds, if present.]*/
+  [
+    { statusCode: 429, statusMessage: 'Too many requests', expectedErrorType: errors.ThrottlingError },
+    { statusCode: 503, statusMessage: 'Server Unavailable', expectedErrorType: errors.ServiceUnavailableError }
+  ].forEach(function(testParams) {
+    it('sets the retryAfterInMs property of the \'' + testParams.expectedErrorType.name + '\' if the response has a Retry-After header', function() {
+      var fakeResponse = {
+        statusCode: testParams.statusCode,
+        statusMessage: testParams.statusMessage,
+        headers: { 'retry-after': '5' }
+      };
+      var err = translateError(new Error('fake error'), '', fakeResponse);
+      assert.instanceOf(err, testParams.expectedErrorType);
+      assert.strictEqual(err.retryAfterInMs, 5000);
+    });
+
+    it('does not set the retryAfterInMs property of the \'' + testParams.expectedErrorType.name + '\' if the response has no Retry-After header', function() {
+      var err = translateError(new Error('fake error'), '', { statusCode: testParams.statusCode, statusMessage: testParams.statusMessage, headers: {} });
+      assert.isUndefined(err.retryAfterInMs);
+    });
+  });
+});
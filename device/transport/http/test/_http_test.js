@@ -11,6 +11,8 @@ var results = require('azure-iot-common').results;
 var ArgumentError = require('azure-iot-common').errors.ArgumentError;
 var NotImplementedError = require('azure-iot-common').errors.NotImplementedError;
 var AuthenticationType = require('azure-iot-common').AuthenticationType;
+var errors = require('azure-iot-common').errors;
+var endpoint = require('azure-iot-common').endpoint;
 var Http = require('../lib/http.js').Http;
 
 var FakeHttp = function () { };
@@ -368,6 +370,374 @@ describe('Http', function () {
       });
     });
   });
+
+  describe('Twin', function () {
+    var fakeTwin;
+    var fakeHttp;
+    var twinResponse;
+
+    beforeEach(function () {
+      fakeTwin = {
+        deviceId: 'deviceId',
+        properties: {
+          desired: { foo: 'bar', nested: { a: 1, b: 2 }, $version: 2, $metadata: { $lastUpdated: 'fakeDate' } },
+          reported: { baz: 42, $version: 5, $metadata: { $lastUpdated: 'fakeDate' } }
+        }
+      };
+      twinResponse = function () { return [null, JSON.stringify(fakeTwin), { statusCode: 200 }]; };
+      fakeHttp = {
+        buildRequest: sinon.stub().callsFake(function (method, path, headers, host, x509, done) {
+          return {
+            write: sinon.stub(),
+            end: function () {
+              done.apply(null, twinResponse());
+            }
+          };
+        }),
+        setOptions: sinon.stub()
+      };
+      transport = new Http(fakeAuthenticationProvider, fakeHttp);
+    });
+
+    describe('#getTwin', function () {
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_040: [The `getTwin` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      GET <config.host>/devices/URI_ENCODED(<config.deviceId>)/twin?api-version=<version> HTTP/1.1
+      User-Agent: <version string>
+      Host: <config.host>
+      ```]*/
+      it('sends a GET request on the twin endpoint', function (testCallback) {
+        transport.getTwin(function () {
+          assert.isTrue(fakeHttp.buildRequest.calledOnce);
+          assert.strictEqual(fakeHttp.buildRequest.args[0][0], 'GET');
+          assert.strictEqual(fakeHttp.buildRequest.args[0][1], '/devices/deviceId/twin' + endpoint.versionQueryString());
+          assert.strictEqual(fakeHttp.buildRequest.args[0][2].Authorization, 'sas.key');
+          assert.isOk(fakeHttp.buildRequest.args[0][2]['User-Agent']);
+          assert.strictEqual(fakeHttp.buildRequest.args[0][3], 'hub.host.name');
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_042: [The `getTwin` method shall call its callback with a `null` error and a `TwinProperties` object containing the `desired` and `reported` properties of the twin, without their `$metadata`.]*/
+      it('calls its callback with the desired and reported properties of the twin', function (testCallback) {
+        transport.getTwin(function (err, twinProperties) {
+          assert.isNull(err);
+          assert.deepEqual(twinProperties, {
+            desired: { foo: 'bar', nested: { a: 1, b: 2 }, $version: 2 },
+            reported: { baz: 42, $version: 5 }
+          });
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_041: [If the HTTP request fails, the `getTwin` method shall call its callback with the error translated using `translateError`.]*/
+      it('calls its callback with a translated error if the request fails', function (testCallback) {
+        twinResponse = function () { return [new Error('Not Found'), '', { statusCode: 404 }]; };
+        transport.getTwin(function (err) {
+          assert.instanceOf(err, errors.DeviceNotFoundError);
+          testCallback();
+        });
+      });
+
+      it('calls its callback with an error if the body of the response cannot be parsed', function (testCallback) {
+        twinResponse = function () { return [null, 'not json', { statusCode: 200 }]; };
+        transport.getTwin(function (err) {
+          assert.instanceOf(err, SyntaxError);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_057: [If the twin returned by the service does not have a `properties` object, the `getTwin` method shall call its callback, and polling shall emit an `error` event, with a `FormatError`.]*/
+      [{}, { properties: null }, null].forEach(function (badTwin) {
+        it('calls its callback with a FormatError if the twin is ' + JSON.stringify(badTwin), function (testCallback) {
+          twinResponse = function () { return [null, JSON.stringify(badTwin), { statusCode: 200 }]; };
+          transport.getTwin(function (err) {
+            assert.instanceOf(err, errors.FormatError);
+            testCallback();
+          });
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_033: [if the `getDeviceCredentials` fails with an error, the Http request shall call its callback with that error]*/
+      it('calls its callback with an error if it fails to get the credentials', function (testCallback) {
+        var fakeError = new Error('fake');
+        var http = new Http({ getDeviceCredentials: function (callback) { callback(fakeError); } }, fakeHttp);
+        http.getTwin(function (err) {
+          assert.strictEqual(err, fakeError);
+          assert.isTrue(fakeHttp.buildRequest.notCalled);
+          testCallback();
+        });
+      });
+    });
+
+    describe('#updateTwinReportedProperties', function () {
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_043: [The `updateTwinReportedProperties` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      PATCH <config.host>/devices/URI_ENCODED(<config.deviceId>)/twin/properties/reported?api-version=<version> HTTP/1.1
+      Content-Type: application/json; charset=utf-8
+      User-Agent: <version string>
+      Host: <config.host>
+
+      <JSON-serialized patch>
+      ```]*/
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_045: [The `updateTwinReportedProperties` method shall call its callback with no arguments if the HTTP request succeeds.]*/
+      it('sends a PATCH request with the serialized patch on the reported properties endpoint', function (testCallback) {
+        var fakePatch = { baz: 43, removed: null };
+        var fakeRequest = { write: sinon.stub(), end: sinon.stub() };
+        fakeHttp.buildRequest = sinon.stub().callsFake(function (method, path, headers, host, x509, done) {
+          fakeRequest.end = function () { done(null, '', { statusCode: 204 }); };
+          return fakeRequest;
+        });
+        transport.updateTwinReportedProperties(fakePatch, function (err) {
+          assert.isUndefined(err);
+          assert.strictEqual(fakeHttp.buildRequest.args[0][0], 'PATCH');
+          assert.strictEqual(fakeHttp.buildRequest.args[0][1], '/devices/deviceId/twin/properties/reported' + endpoint.versionQueryString());
+          assert.strictEqual(fakeHttp.buildRequest.args[0][2]['Content-Type'], 'application/json; charset=utf-8');
+          assert.strictEqual(fakeHttp.buildRequest.args[0][2].Authorization, 'sas.key');
+          assert.isTrue(fakeRequest.write.calledWith(JSON.stringify(fakePatch)));
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_044: [If the HTTP request fails, the `updateTwinReportedProperties` method shall call its callback with the error translated using `translateError`.]*/
+      it('calls its callback with a translated error if the request fails', function (testCallback) {
+        twinResponse = function () { return [new Error('Unauthorized'), '', { statusCode: 401 }]; };
+        transport.updateTwinReportedProperties({ baz: 43 }, function (err) {
+          assert.instanceOf(err, errors.UnauthorizedError);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_033: [if the `getDeviceCredentials` fails with an error, the Http request shall call its callback with that error]*/
+      it('calls its callback with an error if it fails to get the credentials', function (testCallback) {
+        var fakeError = new Error('fake');
+        var http = new Http({ getDeviceCredentials: function (callback) { callback(fakeError); } }, fakeHttp);
+        http.updateTwinReportedProperties({ baz: 43 }, function (err) {
+          assert.strictEqual(err, fakeError);
+          assert.isTrue(fakeHttp.buildRequest.notCalled);
+          testCallback();
+        });
+      });
+    });
+
+    describe('desired properties polling', function () {
+      beforeEach(function () {
+        this.clock = sinon.useFakeTimers();
+      });
+
+      afterEach(function () {
+        transport.disableTwinDesiredPropertiesUpdates(function () {});
+        this.clock.restore();
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_046: [The `enableTwinDesiredPropertiesUpdates` method shall schedule polling of the device twin according to the `interval`, `at` or `cron` property of the desired properties options, unless polling is already scheduled.]*/
+      it('polls the twin every minute by default', function (testCallback) {
+        transport.enableTwinDesiredPropertiesUpdates(function (err) {
+          assert.isUndefined(err);
+          assert.isTrue(fakeHttp.buildRequest.notCalled);
+          this.clock.tick(59999);
+          assert.isTrue(fakeHttp.buildRequest.notCalled);
+          this.clock.tick(1);
+          assert.isTrue(fakeHttp.buildRequest.calledOnce);
+          this.clock.tick(60000);
+          assert.isTrue(fakeHttp.buildRequest.calledTwice);
+          testCallback();
+        }.bind(this));
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_050: [The `setOptions` method shall configure the desired properties polling schedule with the content of the `http.desiredPropertiesPolicy` property of the `options` parameter.]*/
+      it('polls the twin at the interval specified in the desiredPropertiesPolicy options', function (testCallback) {
+        transport.setOptions({ http: { desiredPropertiesPolicy: { interval: 5 } } }, function () {
+          transport.enableTwinDesiredPropertiesUpdates(function () {
+            this.clock.tick(5000);
+            assert.isTrue(fakeHttp.buildRequest.calledOnce);
+            this.clock.tick(5000);
+            assert.isTrue(fakeHttp.buildRequest.calledTwice);
+            testCallback();
+          }.bind(this));
+        }.bind(this));
+      });
+
+      it('polls the twin once at the date specified in the desiredPropertiesPolicy options', function (testCallback) {
+        var inOneHour = new Date(Date.now() + 3600000);
+        transport.setOptions({ http: { desiredPropertiesPolicy: { at: inOneHour } } });
+        transport.enableTwinDesiredPropertiesUpdates(function () {
+          this.clock.tick(3599999);
+          assert.isTrue(fakeHttp.buildRequest.notCalled);
+          this.clock.tick(1);
+          assert.isTrue(fakeHttp.buildRequest.calledOnce);
+          this.clock.tick(3600000);
+          assert.isTrue(fakeHttp.buildRequest.calledOnce);
+          testCallback();
+        }.bind(this));
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_054: [Once the device twin has been polled at the date specified by the `at` property of the desired properties options, polling shall be considered stopped, so that calling `enableTwinDesiredPropertiesUpdates` again schedules a new poll.]*/
+      it('polls the twin again if enabled again after polling at the date specified in the desiredPropertiesPolicy options', function (testCallback) {
+        var inOneHour = new Date(Date.now() + 3600000);
+        transport.setOptions({ http: { desiredPropertiesPolicy: { at: inOneHour } } });
+        transport.enableTwinDesiredPropertiesUpdates(function () {
+          this.clock.tick(3600000);
+          assert.isTrue(fakeHttp.buildRequest.calledOnce);
+          transport.enableTwinDesiredPropertiesUpdates(function () {
+            this.clock.tick(0);
+            assert.isTrue(fakeHttp.buildRequest.calledTwice);
+            testCallback();
+          }.bind(this));
+        }.bind(this));
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_055: [The `enableTwinDesiredPropertiesUpdates` method shall call its callback with an `InvalidOperationError` if the `manualPolling` property of the desired properties options is `true`, since the device twin cannot be polled manually for desired properties updates.]*/
+      it('calls its callback with an InvalidOperationError if the desiredPropertiesPolicy options use manualPolling', function (testCallback) {
+        transport.setOptions({ http: { desiredPropertiesPolicy: { manualPolling: true } } });
+        transport.enableTwinDesiredPropertiesUpdates(function (err) {
+          assert.instanceOf(err, errors.InvalidOperationError);
+          this.clock.tick(3600000);
+          assert.isTrue(fakeHttp.buildRequest.notCalled);
+          testCallback();
+        }.bind(this));
+      });
+
+      it('does not schedule polling twice if already enabled', function (testCallback) {
+        transport.enableTwinDesiredPropertiesUpdates(function () {
+          transport.enableTwinDesiredPropertiesUpdates(function () {
+            this.clock.tick(60000);
+            assert.isTrue(fakeHttp.buildRequest.calledOnce);
+            testCallback();
+          }.bind(this));
+        }.bind(this));
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_052: [The desired properties polling options shall be validated the same way as the receiver options.]*/
+      it('throws an ArgumentError if the desiredPropertiesPolicy options are invalid', function () {
+        assert.throws(function () {
+          transport.setOptions({ http: { desiredPropertiesPolicy: { interval: 5, cron: '* * * * *' } } });
+        }, ArgumentError);
+        assert.throws(function () {
+          transport.setOptions({ http: { desiredPropertiesPolicy: { interval: -1 } } });
+        }, ArgumentError);
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_053: [If desired properties polling is already scheduled, it shall be restarted with the new options.]*/
+      it('restarts polling with the new options if already enabled', function (testCallback) {
+        transport.enableTwinDesiredPropertiesUpdates(function () {
+          transport.setOptions({ http: { desiredPropertiesPolicy: { interval: 10 } } });
+          this.clock.tick(10000);
+          assert.isTrue(fakeHttp.buildRequest.calledOnce);
+          this.clock.tick(50000);
+          assert.strictEqual(fakeHttp.buildRequest.callCount, 6);
+          testCallback();
+        }.bind(this));
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_047: [Each time the device twin is polled, the `Http` object shall emit a `twinDesiredPropertiesUpdate` event with a patch describing the desired properties that changed since the twin was last retrieved, if any, using `null` values for the properties that were removed.]*/
+      it('emits the whole desired properties the first time if the twin was never retrieved', function (testCallback) {
+        transport.on('twinDesiredPropertiesUpdate', function (patch) {
+          assert.deepEqual(patch, { foo: 'bar', nested: { a: 1, b: 2 }, $version: 2 });
+          testCallback();
+        });
+        transport.enableTwinDesiredPropertiesUpdates(function () {
+          this.clock.tick(60000);
+        }.bind(this));
+      });
+
+      it('emits a patch containing only the desired properties that changed since the twin was retrieved', function (testCallback) {
+        var patchSpy = sinon.spy();
+        transport.on('twinDesiredPropertiesUpdate', patchSpy);
+        transport.getTwin(function () {
+          transport.enableTwinDesiredPropertiesUpdates(function () {
+            this.clock.tick(60000);
+            assert.isTrue(patchSpy.notCalled);
+
+            fakeTwin.properties.desired = { nested: { a: 1, b: 3 }, added: true, $version: 3, $metadata: { $lastUpdated: 'newDate' } };
+            this.clock.tick(60000);
+            assert.isTrue(patchSpy.calledOnce);
+            assert.deepEqual(patchSpy.args[0][0], { foo: null, nested: { b: 3 }, added: true, $version: 3 });
+
+            this.clock.tick(60000);
+            assert.isTrue(patchSpy.calledOnce);
+            testCallback();
+          }.bind(this));
+        }.bind(this));
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_051: [If polling the device twin fails, the `Http` object shall emit an `error` event with the error.]*/
+      it('emits an error if polling the twin fails', function (testCallback) {
+        twinResponse = function () { return [new Error('Server Error'), '', { statusCode: 500 }]; };
+        transport.on('error', function (err) {
+          assert.instanceOf(err, errors.InternalServerError);
+          testCallback();
+        });
+        transport.enableTwinDesiredPropertiesUpdates(function () {
+          this.clock.tick(60000);
+        }.bind(this));
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_048: [The `disableTwinDesiredPropertiesUpdates` method shall stop polling the device twin and call its callback with no arguments.]*/
+      it('stops polling when disableTwinDesiredPropertiesUpdates is called', function (testCallback) {
+        transport.enableTwinDesiredPropertiesUpdates(function () {
+          this.clock.tick(60000);
+          transport.disableTwinDesiredPropertiesUpdates(function (err) {
+            assert.isUndefined(err);
+            this.clock.tick(600000);
+            assert.isTrue(fakeHttp.buildRequest.calledOnce);
+            testCallback();
+          }.bind(this));
+        }.bind(this));
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_049: [The `disconnect` method shall stop polling for desired properties updates if it is running.]*/
+      it('stops polling when the transport is disconnected', function (testCallback) {
+        transport.enableTwinDesiredPropertiesUpdates(function () {
+          transport.disconnect(function () {
+            this.clock.tick(600000);
+            assert.isTrue(fakeHttp.buildRequest.notCalled);
+            testCallback();
+          }.bind(this));
+        }.bind(this));
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_056: [The `connect` method shall schedule polling of the device twin again if desired properties updates are enabled and polling was stopped by `disconnect`.]*/
+      it('polls again when the transport is reconnected', function (testCallback) {
+        transport.enableTwinDesiredPropertiesUpdates(function () {
+          transport.disconnect(function () {
+            transport.connect(function () {
+              this.clock.tick(60000);
+              assert.isTrue(fakeHttp.buildRequest.calledOnce);
+              testCallback();
+            }.bind(this));
+          }.bind(this));
+        }.bind(this));
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_056: [The `connect` method shall schedule polling of the device twin again if desired properties updates are enabled and polling was stopped by `disconnect`.]*/
+      it('does not poll when the transport is reconnected if desired properties updates were disabled', function (testCallback) {
+        transport.enableTwinDesiredPropertiesUpdates(function () {
+          transport.disableTwinDesiredPropertiesUpdates(function () {
+            transport.disconnect(function () {
+              transport.connect(function () {
+                this.clock.tick(600000);
+                assert.isTrue(fakeHttp.buildRequest.notCalled);
+                testCallback();
+              }.bind(this));
+            }.bind(this));
+          }.bind(this));
+        }.bind(this));
+      });
+
+      /*Tests_SRS_NODE_DEVICE_HTTP_16_057: [If the twin returned by the service does not have a `properties` object, the `getTwin` method shall call its callback, and polling shall emit an `error` event, with a `FormatError`.]*/
+      it('emits a FormatError if the polled twin does not have properties', function (testCallback) {
+        twinResponse = function () { return [null, '{}', { statusCode: 200 }]; };
+        transport.on('error', function (err) {
+          assert.instanceOf(err, errors.FormatError);
+          testCallback();
+        });
+        transport.enableTwinDesiredPropertiesUpdates(function () {
+          this.clock.tick(60000);
+        }.bind(this));
+      });
+    });
+  });
 });
 
 describe('HttpReceiver', function () {
@@ -802,10 +1172,6 @@ describe('HttpReceiver', function () {
     });
   });
 
-  /*Tests_SRS_NODE_DEVICE_HTTP_16_020: [`getTwin` shall throw a `NotImplementedError`.]*/
-  /*Tests_SRS_NODE_DEVICE_HTTP_16_034: [`updateTwinReportedProperties` shall throw a `NotImplementedError`.]*/
-  /*Tests_SRS_NODE_DEVICE_HTTP_16_035: [`enableTwinDesiredPropertiesUpdates` shall throw a `NotImplementedError`.]*/
-  /*Tests_SRS_NODE_DEVICE_HTTP_16_036: [`disableTwinDesiredPropertiesUpdates` shall throw a `NotImplementedError`.]*/
   /*Tests_SRS_NODE_DEVICE_HTTP_16_024: [`sendMethodResponse` shall throw a `NotImplementedError`.]*/
   /*Tests_SRS_NODE_DEVICE_HTTP_16_025: [`onDeviceMethod` shall throw a `NotImplementedError`.]*/
   /*Tests_SRS_NODE_DEVICE_HTTP_16_026: [`enableMethods` shall throw a `NotImplementedError`.]*/
@@ -815,10 +1181,6 @@ describe('HttpReceiver', function () {
   /*Tests_SRS_NODE_DEVICE_HTTP_18_003: [`sendOutputEvent` shall throw a `NotImplementedError`.]*/
   /*Tests_SRS_NODE_DEVICE_HTTP_18_004: [`sendOutputEventBatch` shall throw a `NotImplementedError`.]*/
   [
-    'getTwin',
-    'updateTwinReportedProperties',
-    'enableTwinDesiredPropertiesUpdates',
-    'disableTwinDesiredPropertiesUpdates',
     'sendMethodResponse',
     'onDeviceMethod',
     'enableMethods',
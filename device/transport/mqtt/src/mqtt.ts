@@ -402,15 +402,17 @@ export class Mqtt extends EventEmitter implements DeviceTransport {
   /**
    * @private
    * @method             module:azure-iot-device-mqtt.Mqtt#sendEventBatch
-   * @description        Not Implemented.
+   * @description        Sends a batch of events to the server. MQTT does not have a notion of batch so each message is published
+   *                     individually on the same connection, and the outcome of each publish is reported in the result.
    * @param {Message[]}  messages    The [messages]{@linkcode module:common/message.Message}
    *                                 to be sent.
    * @param {Function}   done        The callback to be invoked when `sendEventBatch`
-   *                                 completes execution.
+   *                                 completes execution. If every message fails to be published,
+   *                                 it is called with the error of the first message only.
    */
   sendEventBatch(messages: Message[], done: (err?: Error, result?: results.MessageEnqueued) => void): void {
-    /*Codes_SRS_NODE_DEVICE_MQTT_16_056: [The `sendEventBatch` method shall throw a `NotImplementedError`]*/
-    throw new errors.NotImplementedError('MQTT Transport does not support batching yet');
+    debug('sendEventBatch: ' + (messages ? messages.length : messages) + ' messages');
+    this._sendEventBatch(messages, undefined, done);
   }
 
   /**
@@ -643,8 +645,8 @@ export class Mqtt extends EventEmitter implements DeviceTransport {
    * @private
    */
   sendOutputEventBatch(outputName: string, messages: Message[], done: (err?: Error, result?: results.MessageEnqueued) => void): void {
-    /*Codes_SRS_NODE_DEVICE_MQTT_18_051: [ `sendOutputEventBatch` shall throw a `NotImplementedError` exception. ]*/
-    throw new errors.NotImplementedError('MQTT Transport does not support batching yet');
+    debug('sendOutputEventBatch: ' + (messages ? messages.length : messages) + ' messages');
+    this._sendEventBatch(messages, outputName, done);
   }
 
   protected _getBaseTransportConfig(credentials: TransportConfig): MqttBaseTransportConfig {
@@ -713,6 +715,50 @@ export class Mqtt extends EventEmitter implements DeviceTransport {
     }
   }
 
+  private _sendEventBatch(messages: Message[], outputName: string, done: (err?: Error, result?: results.MessageEnqueued) => void): void {
+    /*Codes_SRS_NODE_DEVICE_MQTT_16_086: [The `sendEventBatch` and `sendOutputEventBatch` methods shall throw a `ReferenceError` if `messages` is falsy.]*/
+    if (!messages) throw new ReferenceError('messages cannot be \'' + messages + '\'');
+
+    const messageResults: results.BatchMessageResult[] = [];
+    let pendingCount = messages.length;
+
+    /*Codes_SRS_NODE_DEVICE_MQTT_16_087: [If `messages` is an empty array, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback immediately with a `null` error and a `results.MessageBatchEnqueued` object containing no message results.]*/
+    if (pendingCount === 0) {
+      done(null, new results.MessageBatchEnqueued(messageResults));
+      return;
+    }
+
+    const onBatchComplete = () => {
+      const firstSuccess = messageResults.filter((messageResult) => !messageResult.error)[0];
+      if (!firstSuccess) {
+        /*Codes_SRS_NODE_DEVICE_MQTT_16_090: [If all messages failed to be published, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback with the error of the first message.]*/
+        done(messageResults[0].error);
+      } else {
+        /*Codes_SRS_NODE_DEVICE_MQTT_16_089: [Once all messages have been published or have failed to be published, and at least one of them was published successfully, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback with a `null` error and a `results.MessageBatchEnqueued` object whose `messageResults` array contains, in the same order as `messages`, either the `result` or the `error` of each message.]*/
+        done(null, new results.MessageBatchEnqueued(messageResults));
+      }
+    };
+
+    messages.forEach((message, index) => {
+      /*Codes_SRS_NODE_DEVICE_MQTT_16_088: [The `sendEventBatch` and `sendOutputEventBatch` methods shall publish each message the same way `sendEvent` and `sendOutputEvent` do, without waiting for a message to be acknowledged before publishing the next one.]*/
+      /*Codes_SRS_NODE_DEVICE_MQTT_16_092: [The `sendOutputEventBatch` method shall serialize the `outputName` property as a key-value pair on the topic of each message with the key `$.on`.]*/
+      const outputProps = outputName ? { '$.on': outputName } : undefined;
+      this._fsm.handle('sendEvent', message, outputProps, (err, result) => {
+        if (err) {
+          debug('batch message ' + index + ' send error: ' + err.toString());
+          messageResults[index] = { error: err };
+        } else {
+          messageResults[index] = { result: result };
+        }
+
+        pendingCount--;
+        if (pendingCount === 0) {
+          onBatchComplete();
+        }
+      });
+    });
+  }
+
   private _setupSubscription(topic: TopicDescription, qos: 0 | 1, callback: (err?: Error) => void): void {
     debug('subscribe: ' + JSON.stringify(topic));
     topic.subscribeInProgress = true;
@@ -334,6 +334,135 @@ describe('Mqtt', function () {
     });
   });
 
+  [
+    {
+      testName: 'sendEventBatch',
+      sendFunc: function(transport, messages, callback) {
+        transport.sendEventBatch(messages, callback);
+      },
+      topicWithProps: 'devices/deviceId/messages/events/%24.mid=id1&key1=value1',
+      topicWithoutProps: 'devices/deviceId/messages/events/'
+    },
+    {
+      testName: 'sendOutputEventBatch',
+      sendFunc: function(transport, messages, callback) {
+        transport.sendOutputEventBatch('fakeOutputName', messages, callback);
+      },
+      /*Tests_SRS_NODE_DEVICE_MQTT_16_092: [The `sendOutputEventBatch` method shall serialize the `outputName` property as a key-value pair on the topic of each message with the key `$.on`.]*/
+      topicWithProps: 'devices/deviceId/messages/events/%24.on=fakeOutputName&%24.mid=id1&key1=value1/',
+      topicWithoutProps: 'devices/deviceId/messages/events/%24.on=fakeOutputName/'
+    }
+  ].forEach(function (testConfig) {
+    describe('#' + testConfig.testName, function () {
+      /*Tests_SRS_NODE_DEVICE_MQTT_16_086: [The `sendEventBatch` and `sendOutputEventBatch` methods shall throw a `ReferenceError` if `messages` is falsy.]*/
+      [undefined, null].forEach(function (badMessages) {
+        it('throws a ReferenceError if messages is \'' + badMessages + '\'', function () {
+          var transport = new Mqtt(fakeAuthenticationProvider, fakeMqttBase);
+          assert.throws(function () {
+            testConfig.sendFunc(transport, badMessages, function () {});
+          }, ReferenceError);
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_MQTT_16_087: [If `messages` is an empty array, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback immediately with a `null` error and a `results.MessageBatchEnqueued` object containing no message results.]*/
+      it('calls the callback immediately with an empty result if messages is an empty array', function (testCallback) {
+        var transport = new Mqtt(fakeAuthenticationProvider, fakeMqttBase);
+        testConfig.sendFunc(transport, [], function (err, result) {
+          assert.isNull(err);
+          assert.instanceOf(result, results.MessageBatchEnqueued);
+          assert.deepEqual(result.messageResults, []);
+          assert.isTrue(fakeMqttBase.connect.notCalled);
+          assert.isTrue(fakeMqttBase.publish.notCalled);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_MQTT_16_088: [The `sendEventBatch` and `sendOutputEventBatch` methods shall publish each message the same way `sendEvent` and `sendOutputEvent` do, without waiting for a message to be acknowledged before publishing the next one.]*/
+      it('connects once and publishes all messages without waiting for acknowledgements', function (testCallback) {
+        var publishCallbacks = [];
+        fakeMqttBase.publish = sinon.stub().callsFake(function (topic, data, options, callback) {
+          publishCallbacks.push(callback);
+        });
+        var transport = new Mqtt(fakeAuthenticationProvider, fakeMqttBase);
+        testConfig.sendFunc(transport, [new Message('1'), new Message('2'), new Message('3')], function (err) {
+          assert.isNull(err);
+          testCallback();
+        });
+
+        assert.isTrue(fakeMqttBase.connect.calledOnce);
+        assert.strictEqual(fakeMqttBase.publish.callCount, 3);
+        assert.strictEqual(fakeMqttBase.publish.args[0][1], '1');
+        assert.strictEqual(fakeMqttBase.publish.args[1][1], '2');
+        assert.strictEqual(fakeMqttBase.publish.args[2][1], '3');
+        publishCallbacks.forEach(function (callback) {
+          callback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_MQTT_16_088: [The `sendEventBatch` and `sendOutputEventBatch` methods shall publish each message the same way `sendEvent` and `sendOutputEvent` do, without waiting for a message to be acknowledged before publishing the next one.]*/
+      it('serializes the properties of each message on its own topic', function (testCallback) {
+        var message1 = new Message('1');
+        message1.messageId = 'id1';
+        message1.properties.add('key1', 'value1');
+        var message2 = new Message('2');
+
+        var transport = new Mqtt(fakeAuthenticationProvider, fakeMqttBase);
+        testConfig.sendFunc(transport, [message1, message2], function () {
+          assert.strictEqual(fakeMqttBase.publish.args[0][0], testConfig.topicWithProps);
+          assert.strictEqual(fakeMqttBase.publish.args[1][0], testConfig.topicWithoutProps);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_MQTT_16_089: [Once all messages have been published or have failed to be published, and at least one of them was published successfully, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback with a `null` error and a `results.MessageBatchEnqueued` object whose `messageResults` array contains, in the same order as `messages`, either the `result` or the `error` of each message.]*/
+      it('reports the outcome of each message in the result', function (testCallback) {
+        var publishCallbacks = [];
+        fakeMqttBase.publish = sinon.stub().callsFake(function (topic, data, options, callback) {
+          publishCallbacks.push(callback);
+        });
+        var transport = new Mqtt(fakeAuthenticationProvider, fakeMqttBase);
+        testConfig.sendFunc(transport, [new Message('1'), new Message('2'), new Message('3')], function (err, result) {
+          assert.isNull(err);
+          assert.instanceOf(result, results.MessageBatchEnqueued);
+          assert.strictEqual(result.messageResults.length, 3);
+          assert.instanceOf(result.messageResults[0].result, results.MessageEnqueued);
+          assert.isUndefined(result.messageResults[0].error);
+          assert.instanceOf(result.messageResults[1].error, errors.ServiceUnavailableError);
+          assert.isUndefined(result.messageResults[1].result);
+          assert.instanceOf(result.messageResults[2].result, results.MessageEnqueued);
+          testCallback();
+        });
+
+        // acknowledgements are received out of order
+        publishCallbacks[2](null, { puback: 3 });
+        publishCallbacks[1](new Error('Server unavailable'));
+        publishCallbacks[0](null, { puback: 1 });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_MQTT_16_090: [If all messages failed to be published, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback with the error of the first message.]*/
+      it('calls the callback with the error of the first message if all messages failed to be published', function (testCallback) {
+        fakeMqttBase.publish = sinon.stub().callsArgWith(3, new Error('Server unavailable'));
+        var transport = new Mqtt(fakeAuthenticationProvider, fakeMqttBase);
+        testConfig.sendFunc(transport, [new Message('1'), new Message('2')], function (err, result) {
+          assert.instanceOf(err, errors.ServiceUnavailableError);
+          assert.isUndefined(result);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_DEVICE_MQTT_16_090: [If all messages failed to be published, the `sendEventBatch` and `sendOutputEventBatch` methods shall call their callback with the error of the first message.]*/
+      it('calls the callback with an error if the transport fails to connect', function (testCallback) {
+        fakeMqttBase.connect = sinon.stub().callsArgWith(1, new Error('fake error'));
+        var transport = new Mqtt(fakeAuthenticationProvider, fakeMqttBase);
+        testConfig.sendFunc(transport, [new Message('1'), new Message('2')], function (err) {
+          assert.instanceOf(err, Error);
+          assert.isTrue(fakeMqttBase.publish.notCalled);
+          testCallback();
+        });
+      });
+    });
+  });
+
   describe('#onDeviceMethod', function () {
     it('calls the registered callback when a method is received', function (testCallback) {
       var mqtt = new Mqtt(fakeAuthenticationProvider, fakeMqttBase);
@@ -781,9 +910,7 @@ describe('Mqtt', function () {
 
   /*Tests_SRS_NODE_DEVICE_MQTT_16_004: [The `abandon` method shall throw because MQTT doesn’t support abandoning messages.]*/
   /*Tests_SRS_NODE_DEVICE_MQTT_16_006: [The `reject` method shall throw because MQTT doesn’t support rejecting messages.]*/
-  /*Tests_SRS_NODE_DEVICE_MQTT_16_056: [The `sendEventBatch` method shall throw a `NotImplementedError`]*/
-  /*Tests_SRS_NODE_DEVICE_MQTT_18_051: [`sendOutputEventBatch` shall throw a `NotImplementedError` exception. ]*/
-  ['abandon', 'reject', 'sendEventBatch', 'sendOutputEventBatch'].forEach(function (method) {
+  ['abandon', 'reject'].forEach(function (method) {
     describe('#' + method, function ()  {
       it('throws a NotImplementedError', function () {
         var mqtt = new Mqtt(fakeAuthenticationProvider, fakeMqttBase);
@@ -0,0 +1,40 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var Transport = require('azure-iot-provisioning-device-http').Http;
+
+// Feel free to change the preceding using statement to anyone of the following if you would like to try another protocol.
+// var Transport = require('azure-iot-provisioning-device-amqp').Amqp;
+// var Transport = require('azure-iot-provisioning-device-amqp').AmqpWs;
+// var Transport = require('azure-iot-provisioning-device-mqtt').Mqtt;
+// var Transport = require('azure-iot-provisioning-device-mqtt').MqttWs;
+
+var SymmetricKeySecurityClient = require('azure-iot-security-symmetric-key').SymmetricKeySecurityClient;
+var computeDerivedSymmetricKey = require('azure-iot-security-symmetric-key').computeDerivedSymmetricKey;
+var ProvisioningDeviceClient = require('azure-iot-provisioning-device').ProvisioningDeviceClient;
+
+var provisioningHost = '[provisioning host]';
+var idScope = '[id scope]';
+var registrationId = '[registration id]';
+
+// If the device belongs to an enrollment group, its key is derived from the group key and the registration id.
+// The derived key should be computed ahead of time so that the group key is never stored on the device.
+// If the device uses an individual enrollment, use the key of the enrollment directly instead.
+var symmetricKey = computeDerivedSymmetricKey('[enrollment group key]', registrationId);
+
+var transport = new Transport();
+var securityClient = new SymmetricKeySecurityClient(registrationId, symmetricKey);
+var deviceClient = ProvisioningDeviceClient.create(provisioningHost, idScope, transport, securityClient);
+
+// Register the device.  Do not force a re-registration.
+deviceClient.register(function(err, result) {
+  if (err) {
+    console.log("error registering device: " + err);
+  } else {
+    console.log('registration succeeded');
+    console.log('assigned hub=' + result.assignedHub);
+    console.log('deviceId=' + result.deviceId);
+  }
+});
@@ -3,7 +3,7 @@
 
 'use strict';
 
-import { X509 } from 'azure-iot-common';
+import { X509, SharedAccessSignature } from 'azure-iot-common';
 
 /**
  * Configuration options for provisioning transports.  Passed into the transport's setTransportOptions function.
@@ -136,6 +136,32 @@ export interface X509SecurityClient {
 
 }
 
+/**
+ * @private
+ */
+export interface SymmetricKeyProvisioningTransport extends PollingTransport {
+  setSharedAccessSignature(sas: string): void;
+  setTransportOptions(options: ProvisioningTransportOptions): void;
+}
+
+/**
+ * Public API exposed by the symmetric key security client object.  This is only useful if you're writing your own security client.
+ */
+export interface SymmetricKeySecurityClient {
+  /**
+   * create a shared access signature signed with the symmetric key of the device
+   *
+   * @param idScope   ID scope of the provisioning service instance
+   * @param callback  called when the operation is complete
+   */
+  createSharedAccessSignature(idScope: string, callback: (err?: Error, signature?: SharedAccessSignature) => void): void;
+
+  /**
+   * return the registration Id for the device
+   */
+  getRegistrationId(): string;
+}
+
 /**
  * Public API used to access the ProvisioningDeviceClient object
  */
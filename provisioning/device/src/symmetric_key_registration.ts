@@ -0,0 +1,77 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+import { RegistrationClient, RegistrationRequest, RegistrationResult, DeviceRegistrationResult } from './interfaces';
+import { SymmetricKeyProvisioningTransport, SymmetricKeySecurityClient } from './interfaces';
+import { PollingStateMachine } from './polling_state_machine';
+import * as dbg from 'debug';
+const debug = dbg('azure-iot-provisioning-device:SymmetricKeyRegistration');
+
+/**
+ * Client used to run the registration of a device using symmetric key authentication.
+ */
+export class SymmetricKeyRegistration implements RegistrationClient {
+
+  private _transport: SymmetricKeyProvisioningTransport;
+  private _securityClient: SymmetricKeySecurityClient;
+  private _provisioningHost: string;
+  private _idScope: string;
+  private _pollingStateMachine: PollingStateMachine;
+
+  constructor(provisioningHost: string, idScope: string, transport: SymmetricKeyProvisioningTransport, securityClient: SymmetricKeySecurityClient) {
+    this._provisioningHost = provisioningHost;
+    this._idScope = idScope;
+    this._transport = transport;
+    this._securityClient = securityClient;
+    this._pollingStateMachine = new PollingStateMachine(this._transport);
+  }
+
+  /**
+   * Register the device with the provisioning service.
+   *
+   * @param callback function called when registration is complete.
+   */
+  register(callback: (err?: Error, result?: RegistrationResult) => void): void {
+    /*Codes_SRS_NODE_DPS_SYMMETRIC_KEY_REGISTRATION_16_001: [`register` shall call `createSharedAccessSignature` on the security object with the ID scope to get a shared access signature signed with the symmetric key of the device.]*/
+    this._securityClient.createSharedAccessSignature(this._idScope, (err, sas) => {
+      if (err) {
+        /*Codes_SRS_NODE_DPS_SYMMETRIC_KEY_REGISTRATION_16_002: [If `createSharedAccessSignature` fails, `register` shall call `callback` with the error.]*/
+        debug('security client returned error on shared access signature creation');
+        callback(err);
+      } else {
+        let request: RegistrationRequest = {
+          registrationId: this._securityClient.getRegistrationId(),
+          provisioningHost: this._provisioningHost,
+          idScope: this._idScope
+        };
+        /*Codes_SRS_NODE_DPS_SYMMETRIC_KEY_REGISTRATION_16_003: [`register` shall pass the shared access signature as a string into the `setSharedAccessSignature` method on the transport.]*/
+        this._transport.setSharedAccessSignature(sas.toString());
+        /*Codes_SRS_NODE_DPS_SYMMETRIC_KEY_REGISTRATION_16_004: [`register` shall call `register` on the pollingStateMachine and call `callback` with the registration state of the result.]*/
+        this._pollingStateMachine.register(request, (err?: Error, result?: DeviceRegistrationResult) => {
+          this._pollingStateMachine.disconnect((disconnectErr: Error) => {
+            if (disconnectErr) {
+              debug('error disconnecting.  Ignoring.  ' + disconnectErr);
+            }
+            if (err) {
+              /*Codes_SRS_NODE_DPS_SYMMETRIC_KEY_REGISTRATION_16_005: [If `register` on the pollingStateMachine fails, `register` shall call `callback` with the error.]*/
+              callback(err);
+            } else {
+              callback(null, result.registrationState);
+            }
+          });
+        });
+      }
+    });
+  }
+
+  /**
+   * Cancels the current registration process.
+   *
+   * @param callback function called when the registration has already been canceled.
+   */
+  cancel(callback: (err?: Error) => void): void {
+    /*Codes_SRS_NODE_DPS_SYMMETRIC_KEY_REGISTRATION_16_006: [`cancel` shall call `cancel` on the transport object.]*/
+    this._transport.cancel(callback);
+  }
+}
@@ -33,6 +33,11 @@ var fakeTpmSecurity = {
   cancel:function() {}
 };
 
+var fakeSymmetricKeySecurity = {
+  createSharedAccessSignature: function() {},
+  getRegistrationId: function() {}
+};
+
 var fakeInvalidSecurity = {};
 
 var fakeX509Transport = {
@@ -47,6 +52,14 @@ var fakeTpmTransport = {
   getAuthenticationChallenge: function() {},
 };
 
+var fakeSymmetricKeyTransport = {
+  registrationRequest: function() {},
+  queryOperationStatus: function() {},
+  cancel: function() {},
+  setSharedAccessSignature: function() {},
+  setTransportOptions: function() {}
+};
+
 var fakeProvisioningHost = 'fake_host';
 var fakeIdScope = 'fake idScope';
 
@@ -99,6 +112,19 @@ describe('ProvisioningDeviceClient', function () {
       }, errors.ArgumentError);
     });
 
+    /*Tests_SRS_PROVISIONING_CLIENT_16_001: [If `securityClient` implements `SymmetricKeySecurityClient` and the `transport` implements `SymmetricKeyProvisioningTransport`, then `create` shall return a `SymmetricKeyRegistration` object.]*/
+    it ('correctly returns a SymmetricKeyRegistration object', function() {
+      var client = ProvisioningDeviceClient.create(fakeProvisioningHost, fakeIdScope, fakeSymmetricKeyTransport, fakeSymmetricKeySecurity);
+      assert.strictEqual(client.constructor.name, 'SymmetricKeyRegistration');
+    });
+
+    /*Tests_SRS_PROVISIONING_CLIENT_16_002: [If `securityClient` implements `SymmetricKeySecurityClient` and the `transport` does not implement `SymmetricKeyProvisioningTransport`, then `create` shall throw an `ArgumentError` exception.]*/
+    it ('throws when passed a symmetric key security object and a transport that does not support symmetric keys', function() {
+      assert.throws(function() {
+        ProvisioningDeviceClient.create(fakeProvisioningHost, fakeIdScope, fakeTpmTransport, fakeSymmetricKeySecurity);
+      }, errors.ArgumentError);
+    });
+
     /* Tests_SRS_PROVISIONING_CLIENT_18_005: [ If `securityClient` dos not implement `X509ProvisioningTransport` or `TPMProvisioningTransport`, then `create` shall show an `ArgumentError` exception. ] */
     it ('throws when passed an invalid securityClient object', function() {
       assert.throws(function() {
@@ -0,0 +1,109 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var sinon = require('sinon');
+var assert = require('chai').assert;
+
+var SymmetricKeyRegistration = require('../lib/symmetric_key_registration').SymmetricKeyRegistration;
+
+var fakeSas = {
+  toString: function () { return 'fake_sas'; }
+};
+
+var fakeProvisioningHost = 'fakeHost';
+var fakeIdScope = 'fakeIdScope';
+var fakeRegistrationId = 'fakeRegistrationId';
+
+var fakeResponse = {
+  assignedHub: 'fakeHub',
+  deviceId: 'fakeDeviceId'
+};
+
+describe('SymmetricKeyRegistration', function () {
+  describe('#register', function () {
+    /*Tests_SRS_NODE_DPS_SYMMETRIC_KEY_REGISTRATION_16_001: [`register` shall call `createSharedAccessSignature` on the security object with the ID scope to get a shared access signature signed with the symmetric key of the device.]*/
+    /*Tests_SRS_NODE_DPS_SYMMETRIC_KEY_REGISTRATION_16_003: [`register` shall pass the shared access signature as a string into the `setSharedAccessSignature` method on the transport.]*/
+    /*Tests_SRS_NODE_DPS_SYMMETRIC_KEY_REGISTRATION_16_004: [`register` shall call `register` on the pollingStateMachine and call `callback` with the registration state of the result.]*/
+    it('creates a shared access signature, passes it to the transport and registers the device', function (callback) {
+      var transport = {
+        setSharedAccessSignature: sinon.spy()
+      };
+      var security = {
+        createSharedAccessSignature: sinon.stub().callsArgWith(1, null, fakeSas),
+        getRegistrationId: sinon.stub().returns(fakeRegistrationId)
+      };
+      var clientObj = new SymmetricKeyRegistration(fakeProvisioningHost, fakeIdScope, transport, security);
+      clientObj._pollingStateMachine.register = sinon.stub().callsArgWith(1, null, { registrationState: fakeResponse });
+      clientObj._pollingStateMachine.disconnect = sinon.stub().callsArg(0);
+      clientObj.register(function (err, response) {
+        assert.isNotOk(err);
+        assert.strictEqual(response, fakeResponse);
+        assert.isTrue(security.createSharedAccessSignature.calledOnce);
+        assert.strictEqual(security.createSharedAccessSignature.firstCall.args[0], fakeIdScope);
+        assert.isTrue(transport.setSharedAccessSignature.calledOnce);
+        assert.strictEqual(transport.setSharedAccessSignature.firstCall.args[0], 'fake_sas');
+        assert.isTrue(transport.setSharedAccessSignature.calledBefore(clientObj._pollingStateMachine.register));
+        assert.strictEqual(clientObj._pollingStateMachine.register.firstCall.args[0].provisioningHost, fakeProvisioningHost);
+        assert.strictEqual(clientObj._pollingStateMachine.register.firstCall.args[0].idScope, fakeIdScope);
+        assert.strictEqual(clientObj._pollingStateMachine.register.firstCall.args[0].registrationId, fakeRegistrationId);
+        assert.isTrue(clientObj._pollingStateMachine.disconnect.calledOnce);
+        callback();
+      });
+    });
+
+    /*Tests_SRS_NODE_DPS_SYMMETRIC_KEY_REGISTRATION_16_002: [If `createSharedAccessSignature` fails, `register` shall call `callback` with the error.]*/
+    it('fails if createSharedAccessSignature fails', function (callback) {
+      var fakeError = new Error('fake');
+      var transport = {
+        setSharedAccessSignature: sinon.spy()
+      };
+      var security = {
+        createSharedAccessSignature: sinon.stub().callsArgWith(1, fakeError),
+        getRegistrationId: sinon.stub().returns(fakeRegistrationId)
+      };
+      var clientObj = new SymmetricKeyRegistration(fakeProvisioningHost, fakeIdScope, transport, security);
+      clientObj.register(function (err) {
+        assert.strictEqual(err, fakeError);
+        assert.isTrue(transport.setSharedAccessSignature.notCalled);
+        callback();
+      });
+    });
+
+    /*Tests_SRS_NODE_DPS_SYMMETRIC_KEY_REGISTRATION_16_005: [If `register` on the pollingStateMachine fails, `register` shall call `callback` with the error.]*/
+    it('fails if register fails', function (callback) {
+      var fakeError = new Error('fake');
+      var transport = {
+        setSharedAccessSignature: function () {}
+      };
+      var security = {
+        createSharedAccessSignature: sinon.stub().callsArgWith(1, null, fakeSas),
+        getRegistrationId: sinon.stub().returns(fakeRegistrationId)
+      };
+      var clientObj = new SymmetricKeyRegistration(fakeProvisioningHost, fakeIdScope, transport, security);
+      clientObj._pollingStateMachine.register = sinon.stub().callsArgWith(1, fakeError);
+      clientObj._pollingStateMachine.disconnect = sinon.stub().callsArg(0);
+      clientObj.register(function (err) {
+        assert.strictEqual(err, fakeError);
+        assert.isTrue(clientObj._pollingStateMachine.disconnect.calledOnce);
+        callback();
+      });
+    });
+  });
+
+  describe('#cancel', function () {
+    /*Tests_SRS_NODE_DPS_SYMMETRIC_KEY_REGISTRATION_16_006: [`cancel` shall call `cancel` on the transport object.]*/
+    it('calls cancel on the transport', function (callback) {
+      var transport = {
+        cancel: sinon.stub().callsArgWith(0, null)
+      };
+      var clientObj = new SymmetricKeyRegistration(fakeProvisioningHost, fakeIdScope, transport, {});
+      clientObj.cancel(function (err) {
+        assert.isNotOk(err);
+        assert.isTrue(transport.cancel.calledOnce);
+        callback();
+      });
+    });
+  });
+});
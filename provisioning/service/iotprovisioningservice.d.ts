@@ -2,3 +2,5 @@
 // Licensed under the MIT license. See LICENSE file in the project root for full license information.
 
 export { ProvisioningServiceClient } from './lib/provisioningserviceclient';
+export { computeDerivedSymmetricKey } from 'azure-iot-common';
+export { QueryIterationOptions } from './lib/query';
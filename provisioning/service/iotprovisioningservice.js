@@ -10,5 +10,6 @@
  * @module azure-iot-provisioning-service
  */
 module.exports = {
-  ProvisioningServiceClient: require('./lib/provisioningserviceclient.js').ProvisioningServiceClient
+  ProvisioningServiceClient: require('./lib/provisioningserviceclient.js').ProvisioningServiceClient,
+  computeDerivedSymmetricKey: require('azure-iot-common').computeDerivedSymmetricKey
 };
\ No newline at end of file
@@ -0,0 +1,44 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+'use strict';
+
+var provisioningService = require('azure-iot-provisioning-service');
+var provisioningServiceClient = provisioningService.ProvisioningServiceClient;
+var computeDerivedSymmetricKey = provisioningService.computeDerivedSymmetricKey;
+
+var argv = require('yargs')
+  .usage('Usage: $0 --connectionstring <DEVICE PROVISIONING CONNECTION STRING> --registrationid <DEVICE REGISTRATION ID>')
+  .option('connectionstring', {
+    alias: 'c',
+    describe: 'The connection string for the Device Provisioning instance',
+    type: 'string',
+    demandOption: true
+  })
+  .option('registrationid', {
+    alias: 'r',
+    describe: 'Registration id of a device for which the derived key will be computed',
+    type: 'string',
+    demandOption: true
+  })
+  .argv;
+
+var serviceClient = provisioningServiceClient.fromConnectionString(argv.connectionstring);
+
+// The keys are not specified: the service generates them and returns them in the enrollment group.
+var enrollmentGroup = {
+  enrollmentGroupId: 'symmetric-key-group',
+  attestation: {
+    type: 'symmetricKey'
+  }
+};
+
+serviceClient.createOrUpdateEnrollmentGroup(enrollmentGroup, function (err, enrollmentGroupResponse) {
+  if (err) {
+    console.log('error creating the enrollment group: ' + err);
+  } else {
+    console.log("enrollment group record returned: " + JSON.stringify(enrollmentGroupResponse, null, 2));
+    // The device only needs its own derived key: the group key never has to leave the factory tooling.
+    var deviceKey = computeDerivedSymmetricKey(enrollmentGroupResponse.attestation.symmetricKey.primaryKey, argv.registrationid);
+    console.log('derived key for device ' + argv.registrationid + ': ' + deviceKey);
+  }
+});
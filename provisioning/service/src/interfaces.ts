@@ -9,7 +9,7 @@
 export interface AttestationMechanism {
   /**
    * The type of attestation.  Will be set to a string
-   * either `tpm` or `x509`.
+   * either `tpm`, `x509` or `symmetricKey`.
    */
   type: AttestationTypes;
   /**
@@ -22,9 +22,14 @@ export interface AttestationMechanism {
    * for enrollment.
    */
   x509?: X509Attestation;
+  /**
+   * This property is an object containing the symmetric key specific values
+   * for enrollment.
+   */
+  symmetricKey?: SymmetricKeyAttestation;
 }
 
-export type AttestationTypes = 'none' | 'tpm' | 'x509';
+export type AttestationTypes = 'none' | 'tpm' | 'x509' | 'symmetricKey';
 
 /**
  * Attestation via TPM.
@@ -52,6 +57,26 @@ export interface TpmAttestation {
   storageRootKey: string;
 }
 
+/**
+ * Attestation via symmetric key.
+ */
+export interface SymmetricKeyAttestation {
+  /**
+   * Base64-encoded primary key.
+   *
+   * If neither key is specified when the enrollment is created, the service generates both keys and returns them
+   * in the enrollment object passed to the callback.
+   *
+   * For enrollment groups, the key of each device is derived from this key and the registration id of the device
+   * using `computeDerivedSymmetricKey`.
+   */
+  primaryKey?: string;
+  /**
+   * Base64-encoded secondary key, typically used when the primary key is being rolled over.
+   */
+  secondaryKey?: string;
+}
+
 /**
  * Attestation via X509.
  */
@@ -352,7 +377,7 @@ export interface EnrollmentGroup {
   /**
    * The security mechanism associated with this object.
    *
-   * Currently this MUST be x509.
+   * Currently this MUST be x509 or symmetricKey.
    */
   attestation: AttestationMechanism;
   /**
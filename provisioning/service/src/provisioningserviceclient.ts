@@ -3,7 +3,7 @@
 
 'use strict';
 
-import { errors, SharedAccessSignature, ConnectionString } from 'azure-iot-common';
+import { errors, SharedAccessSignature, ConnectionString, RetryPolicy, validateRetryPolicy, TokenCredential } from 'azure-iot-common';
 import { RestApiClient } from 'azure-iot-http-base';
 import { QuerySpecification, Query, QueryCallback } from './query';
 import { IndividualEnrollment, EnrollmentGroup, DeviceRegistrationState, BulkEnrollmentOperation, BulkEnrollmentOperationResult } from './interfaces';
@@ -12,6 +12,7 @@ import { IndividualEnrollment, EnrollmentGroup, DeviceRegistrationState, BulkEnr
 const packageJson = require('../package.json');
 
 const ArgumentError = errors.ArgumentError;
+const PROVISIONING_TOKEN_SCOPE = 'https://azure-devices-provisioning.net/.default';
 
 export type DeleteCallback = (err?: Error) => void;
 
@@ -20,20 +21,19 @@ export class ProvisioningServiceClient {
   private readonly _enrollmentGroupsPrefix: string = '/enrollmentGroups/';
   private readonly _enrollmentsPrefix: string = '/enrollments/';
   private readonly _registrationsPrefix: string = '/registrations/';
-  private _config: RestApiClient.TransportConfig;
   private _restApiClient: RestApiClient;
 
   constructor(config: RestApiClient.TransportConfig, restApiClient?: RestApiClient) {
     if (!config) {
       /*Codes_SRS_NODE_PROVISIONING_SERVICE_CLIENT_06_001: [The `ProvisioningServiceClient` construction shall throw a `ReferenceError` if the `config` object is falsy.] */
       throw new ReferenceError('The \'config\' parameter cannot be \'' + config + '\'');
-    } else if (!config.host || !config.sharedAccessSignature) {
+    } else if (!config.host || (!config.sharedAccessSignature && !config.tokenCredential)) {
       /*Codes_SRS_NODE_PROVISIONING_SERVICE_CLIENT_06_002: [The `ProvisioningServiceClient` constructor shall throw an `ArgumentError` if the `config` object is missing one or more of the following properties:
                                                             - `host`: the IoT Hub hostname
                                                             - `sharedAccessSignature`: shared access signature with the permissions for the desired operations.] */
+      /*Codes_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_007: [The `ProvisioningServiceClient` constructor shall accept a `config` object with a `tokenCredential` property instead of the `sharedAccessSignature` property.]*/
       throw new ArgumentError('The \'config\' argument is missing either the host or the sharedAccessSignature property');
     }
-    this._config = config;
 
     /*Codes_SRS_NODE_PROVISIONING_SERVICE_CLIENT_06_003: [The `ProvisioningServiceClient` constructor shall use the `restApiClient` provided as a second argument if it is provided.] */
     /*Codes_SRS_NODE_PROVISIONING_SERVICE_CLIENT_06_004: [The `ProvisioningServiceClient` constructor shall use `azure-iot-http-base.RestApiClient` if no `restApiClient` argument is provided.] */
@@ -43,6 +43,8 @@ export class ProvisioningServiceClient {
   /**
    * @method           module:azure-iot-provisioning-service.ProvisioningServiceClient#createOrUpdateIndividualEnrollment
    * @description      Create or update a device enrollment record.
+   *                   When using symmetric key attestation without specifying keys, the keys generated by the service
+   *                   are returned in the enrollment record passed to the callback.
    * @param {object}   enrollment The device enrollment record.
    * @param {function} callback   Invoked upon completion of the operation.
    */
@@ -94,6 +96,8 @@ export class ProvisioningServiceClient {
   /**
    * @method           module:azure-iot-provisioning-service.ProvisioningServiceClient#createOrUpdateEnrollmentGroup
    * @description      Create or update a device enrollment group.
+   *                   When using symmetric key attestation without specifying keys, the keys generated by the service
+   *                   are returned in the enrollment group passed to the callback.
    * @param {object}   enrollmentGroup The device enrollment group.
    * @param {function} callback        Invoked upon completion of the operation.
    */
@@ -195,6 +199,37 @@ export class ProvisioningServiceClient {
     this._delete(this._registrationsPrefix, idOrRegistrationState, etagOrCallback, deleteCallback);
   }
 
+  /**
+   * @method           module:azure-iot-provisioning-service.ProvisioningServiceClient#setRetryPolicy
+   * @description      Sets the policy used to retry the requests that fail, for example because the service is throttling them.
+   *                   Requests are not retried by default. When the policy retries a throttled request, it waits at least the time specified by its `Retry-After` header.
+   * @param {RetryPolicy} policy The retry policy to use for all subsequent requests (e.g. `ExponentialBackOffWithJitter`).
+   */
+  public setRetryPolicy(policy: RetryPolicy): void {
+    /*Codes_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_003: [The `setRetryPolicy` method shall throw a `ReferenceError` if the `policy` argument is falsy.]*/
+    /*Codes_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_004: [The `setRetryPolicy` method shall throw an `ArgumentError` if the `policy` object does not have a `shouldRetry` method and a `nextRetryTimeout` method.]*/
+    validateRetryPolicy(policy);
+
+    /*Codes_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_005: [The `setRetryPolicy` method shall pass the `policy` to the `setRetryPolicy` method of the `RestApiClient` so that it is used by all subsequent requests.]*/
+    if (this._restApiClient.setRetryPolicy) {
+      this._restApiClient.setRetryPolicy(policy);
+    }
+  }
+
+  /**
+   * @method           module:azure-iot-provisioning-service.ProvisioningServiceClient#setOptions
+   * @description      Sets the options of the HTTP requests sent to the Device Provisioning Service, such as the interceptors
+   *                   that enrollment, enrollment group and registration state requests go through.
+   * @param {object}   options    The options to set (e.g. `{ interceptors: [myInterceptor] }`).
+   * @throws {ArgumentError}     If `options.interceptors` is not an array of functions.
+   */
+  public setOptions(options: RestApiClient.Options): void {
+    /*Codes_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_006: [The `setOptions` method shall pass `options` to the `setOptions` method of the `RestApiClient`.]*/
+    if (this._restApiClient.setOptions) {
+      this._restApiClient.setOptions(options);
+    }
+  }
+
   private _getEnrollFunc(prefix: string, querySpecification: QuerySpecification, pageSize: number): (continuationToken: string, done: QueryCallback) => void {
     return (continuationToken, done) => {
       const path = prefix + 'query' + this._versionQueryString();
@@ -266,6 +301,8 @@ export class ProvisioningServiceClient {
 
       <stringified json string of the enrollmentGroup argument>
       ] */
+    /*Codes_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_001: [If the `enrollment` object uses the `symmetricKey` attestation type without a `symmetricKey` property, it shall be sent as is so that the service generates the keys.]*/
+    /*Codes_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_002: [If the `enrollmentGroup` object uses the `symmetricKey` attestation type without a `symmetricKey` property, it shall be sent as is so that the service generates the keys.]*/
     this._restApiClient.executeApiCall('PUT', path, httpHeaders, enrollment, (err, enrollmentResponse, httpResponse) => {
       if (callback) {
         if (err) {
@@ -489,4 +526,26 @@ export class ProvisioningServiceClient {
     return new ProvisioningServiceClient(config);
   }
 
+  /**
+   * @method          module:azure-iot-provisioning-service.ProvisioningServiceClient#fromTokenCredential
+   * @description     Constructs a ProvisioningServiceClient object authenticated with Azure Active Directory.
+   *                  Access tokens are requested from the credential and renewed automatically before they expire.
+   * @param {String}  hostName    The host name of the Device Provisioning Service instance.
+   * @param {Object}  credential  A credential with a `getToken` method, such as the credentials of the `@azure/identity` package.
+   * @returns {module:azure-iot-provisioning-service.ProvisioningServiceClient}
+   */
+  static fromTokenCredential(hostName: string, credential: TokenCredential): ProvisioningServiceClient {
+    /*Codes_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_008: [The `fromTokenCredential` method shall throw a `ReferenceError` if `hostName` or `credential` is falsy.]*/
+    if (!hostName) throw new ReferenceError('hostName cannot be \'' + hostName + '\'');
+    if (!credential) throw new ReferenceError('credential cannot be \'' + credential + '\'');
+
+    const config: RestApiClient.TransportConfig = {
+      host: hostName,
+      tokenCredential: credential,
+      tokenScope: PROVISIONING_TOKEN_SCOPE
+    };
+    /*Codes_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_009: [The `fromTokenCredential` method shall return a new instance of the `ProvisioningServiceClient` object using a `config` object containing `hostName`, `credential` and the `https://azure-devices-provisioning.net/.default` scope.]*/
+    return new ProvisioningServiceClient(config);
+  }
+
 }
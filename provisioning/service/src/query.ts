@@ -3,6 +3,7 @@
 
 'use strict';
 
+import { createQueryIterator, QueryIterationOptions } from 'azure-iot-common';
 import { IndividualEnrollment, EnrollmentGroup, DeviceRegistrationState } from './interfaces';
 
 /**
@@ -27,6 +28,8 @@ export interface QuerySpecification {
 
 export type QueryCallback = (err?: Error, result?: QueryResult, response?: any) => void;
 
+export { QueryIterationOptions };
+
 export class Query {
   continuationToken: string;
   hasMoreResults: boolean;
@@ -72,4 +75,34 @@ export class Query {
       }
     });
   }
+
+  /**
+   * @method              module:azure-iot-provisioning-service.Query#iterate
+   * @description         Iterates over the results of the query item by item, fetching new pages as needed, starting from the current position of the query.
+   * @param {Object}      options   Optional {@link azure-iot-provisioning-service.QueryIterationOptions} object used to cap the number of items or abort the iteration.
+   * @returns {AsyncIterableIterator<IndividualEnrollment | EnrollmentGroup | DeviceRegistrationState>} An async iterator that can be used with `for await`.
+   * @throws {ArgumentError}        If `options.maxItems` is not a positive number.
+   */
+  iterate(options?: QueryIterationOptions): AsyncIterableIterator<IndividualEnrollment | EnrollmentGroup | DeviceRegistrationState> {
+    /*Codes_SRS_NODE_PROVISIONING_SERVICE_QUERY_16_001: [The `iterate` method shall throw an `ArgumentError` if `options.maxItems` is specified and is not a positive number.]*/
+    /*Codes_SRS_NODE_PROVISIONING_SERVICE_QUERY_16_002: [The iterator shall reject with an `OperationCancelledError` and stop if `options.abortSignal` is aborted before an item is yielded.]*/
+    /*Codes_SRS_NODE_PROVISIONING_SERVICE_QUERY_16_003: [The iterator shall be done once `options.maxItems` items have been yielded or once all the pages have been fetched and all their items yielded.]*/
+    /*Codes_SRS_NODE_PROVISIONING_SERVICE_QUERY_16_004: [The iterator shall fetch the next page of results with the `next` method when all the items of the current page have been yielded, and reject with the error if the request fails.]*/
+    /*Codes_SRS_NODE_PROVISIONING_SERVICE_QUERY_16_005: [The iterator shall stop fetching pages once its `return` method has been called, which happens when a `for await` loop is exited early.]*/
+    const iterator = createQueryIterator<IndividualEnrollment | EnrollmentGroup | DeviceRegistrationState>((callback) => {
+      // the service returns the items of the page as an array.
+      this.next((err, result) => callback(err, result as any));
+    }, () => this.hasMoreResults, options) as AsyncIterableIterator<IndividualEnrollment | EnrollmentGroup | DeviceRegistrationState>;
+    iterator[Symbol.asyncIterator] = () => iterator;
+    return iterator;
+  }
+
+  /**
+   * @method              module:azure-iot-provisioning-service.Query#[Symbol.asyncIterator]
+   * @description         Makes the query usable with `for await`: iterates over all its results with the default options of {@link azure-iot-provisioning-service.Query.iterate}.
+   */
+  [Symbol.asyncIterator](): AsyncIterableIterator<IndividualEnrollment | EnrollmentGroup | DeviceRegistrationState> {
+    /*Codes_SRS_NODE_PROVISIONING_SERVICE_QUERY_16_006: [The `Symbol.asyncIterator` method shall return the same iterator as the `iterate` method called without options.]*/
+    return this.iterate();
+  }
 }
@@ -6,6 +6,7 @@
 var assert = require('chai').assert;
 var sinon = require('sinon');
 var errors = require('azure-iot-common').errors;
+var RestApiClient = require('azure-iot-http-base').RestApiClient;
 var ProvisioningServiceClient = require('../lib/provisioningserviceclient.js').ProvisioningServiceClient;
 
 var fakeRegistrationId = 'fakeId';
@@ -157,6 +158,12 @@ describe('ProvisioningServiceClient', function() {
       });
     });
 
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_007: [The `ProvisioningServiceClient` constructor shall accept a `config` object with a `tokenCredential` property instead of the `sharedAccessSignature` property.]*/
+    it('Accepts a config object with a tokenCredential property instead of sharedAccessSignature', function() {
+      var client = new ProvisioningServiceClient({ host: 'host', tokenCredential: { getToken: function() {} }, tokenScope: 'scope' });
+      assert.instanceOf(client, ProvisioningServiceClient);
+    });
+
     /*Tests_SRS_NODE_PROVISIONING_SERVICE_CLIENT_06_003: [The `ProvisioningServiceClient` constructor shall use the `restApiClient` provided as a second argument if it is provided.] */
     /*Tests_SRS_NODE_PROVISIONING_SERVICE_CLIENT_06_004: [The `ProvisioningServiceClient` constructor shall use `azure-iot-http-base.RestApiClient` if no `restApiClient` argument is provided.] */
   });
@@ -179,6 +186,44 @@ describe('ProvisioningServiceClient', function() {
     });
   });
 
+  describe('#fromTokenCredential', function() {
+    var fakeCredential = { getToken: function() {} };
+
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_008: [The `fromTokenCredential` method shall throw a `ReferenceError` if `hostName` or `credential` is falsy.]*/
+    [undefined, null, ''].forEach(function(badValue) {
+      it('Throws if \'hostName\' is \'' + badValue + '\'', function() {
+        assert.throws(function() {
+          return ProvisioningServiceClient.fromTokenCredential(badValue, fakeCredential);
+        }, ReferenceError);
+      });
+
+      it('Throws if \'credential\' is \'' + badValue + '\'', function() {
+        assert.throws(function() {
+          return ProvisioningServiceClient.fromTokenCredential('host', badValue);
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_009: [The `fromTokenCredential` method shall return a new instance of the `ProvisioningServiceClient` object using a `config` object containing `hostName`, `credential` and the `https://azure-devices-provisioning.net/.default` scope.]*/
+    it('Returns a new instance of the ProvisioningServiceClient object that gets access tokens from the credential', function(testCallback) {
+      var credential = { getToken: sinon.stub().returns(Promise.resolve({ token: 'fakeToken', expiresOnTimestamp: Date.now() + 3600000 })) };
+      var client = ProvisioningServiceClient.fromTokenCredential('host', credential);
+      assert.instanceOf(client, ProvisioningServiceClient);
+      client._restApiClient._http = {
+        buildRequest: function(method, path, headers, host, done) {
+          assert.strictEqual(host, 'host');
+          assert.strictEqual(headers.Authorization, 'Bearer fakeToken');
+          assert.isTrue(credential.getToken.calledWith('https://azure-devices-provisioning.net/.default'));
+          return { write: function() {}, end: function() { done(null, '{}', { statusCode: 200 }); } };
+        }
+      };
+      client.getIndividualEnrollment('enrollmentId', function(err) {
+        assert.isNull(err);
+        testCallback();
+      });
+    });
+  });
+
   describe('#createOrUpdateIndividualEnrollment', function(){
 
     /*Tests_SRS_NODE_PROVISIONING_SERVICE_CLIENT_06_009: [The `createOrUpdateIndividualEnrollment` method shall throw `ReferenceError` if the `enrollment` argument is falsy.]*/
@@ -242,6 +287,46 @@ describe('ProvisioningServiceClient', function() {
       de.createOrUpdateIndividualEnrollment(fakeEnrollment, testCallback);
     });
 
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_001: [If the `enrollment` object uses the `symmetricKey` attestation type without a `symmetricKey` property, it shall be sent as is so that the service generates the keys.]*/
+    it('sends the symmetric key attestation without keys as is and returns the keys generated by the service', function(testCallback) {
+      var symKeyEnrollment = {
+        registrationId: fakeRegistrationId,
+        attestation: { type: 'symmetricKey' }
+      };
+      var generatedKeys = { primaryKey: 'primary', secondaryKey: 'secondary' };
+      var fakeHttpHelper = {
+        executeApiCall: function (method, path, httpHeaders, body, done) {
+          assert.strictEqual(body, symKeyEnrollment);
+          assert.notProperty(body.attestation, 'symmetricKey');
+          done(null, { registrationId: fakeRegistrationId, attestation: { type: 'symmetricKey', symmetricKey: generatedKeys } }, { statusCode: 200 });
+        }
+      };
+
+      var de = new ProvisioningServiceClient({ host: 'host', sharedAccessSignature: 'sas' }, fakeHttpHelper);
+      de.createOrUpdateIndividualEnrollment(symKeyEnrollment, function (err, enrollment) {
+        assert.isNull(err);
+        assert.isUndefined(symKeyEnrollment.attestation.symmetricKey);
+        assert.deepEqual(enrollment.attestation.symmetricKey, generatedKeys);
+        testCallback();
+      });
+    });
+
+    it('sends the symmetric keys specified by the caller', function(testCallback) {
+      var symKeyEnrollment = {
+        registrationId: fakeRegistrationId,
+        attestation: { type: 'symmetricKey', symmetricKey: { primaryKey: 'primary', secondaryKey: 'secondary' } }
+      };
+      var fakeHttpHelper = {
+        executeApiCall: function (method, path, httpHeaders, body, done) {
+          assert.strictEqual(body, symKeyEnrollment);
+          done();
+        }
+      };
+
+      var de = new ProvisioningServiceClient({ host: 'host', sharedAccessSignature: 'sas' }, fakeHttpHelper);
+      de.createOrUpdateIndividualEnrollment(symKeyEnrollment, testCallback);
+    });
+
 
   });
 
@@ -306,6 +391,24 @@ describe('ProvisioningServiceClient', function() {
       de.createOrUpdateEnrollmentGroup(fakeEnrollmentGroup, testCallback);
     });
 
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_002: [If the `enrollmentGroup` object uses the `symmetricKey` attestation type without a `symmetricKey` property, it shall be sent as is so that the service generates the keys.]*/
+    it('sends the symmetric key attestation without keys as is', function(testCallback) {
+      var symKeyGroup = {
+        enrollmentGroupId: fakeGroupId,
+        attestation: { type: 'symmetricKey' }
+      };
+      var fakeHttpHelper = {
+        executeApiCall: function (method, path, httpHeaders, body, done) {
+          assert.strictEqual(body, symKeyGroup);
+          assert.notProperty(body.attestation, 'symmetricKey');
+          done();
+        }
+      };
+
+      var de = new ProvisioningServiceClient({ host: 'host', sharedAccessSignature: 'sas' }, fakeHttpHelper);
+      de.createOrUpdateEnrollmentGroup(symKeyGroup, testCallback);
+    });
+
   });
 
   function testDeleteAPI(methodUnderTest, uriPath, falsyArgArgumentName, firstArgumentObject, firstArgumentObjectNoEtag, firstArgumentObjectIdPropertyName) {
@@ -554,4 +657,72 @@ describe('ProvisioningServiceClient', function() {
       de.runBulkEnrollmentOperation(fakeBo, testCallback);
     });
   });
-});
\ No newline at end of file
+
+  describe('#setOptions', function() {
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_006: [The `setOptions` method shall pass `options` to the `setOptions` method of the `RestApiClient`.]*/
+    it('sends the enrollment requests through the interceptors', function(testCallback) {
+      var fakeConfig = { host: 'host', sharedAccessSignature: 'sas' };
+      var fakeHttpHelper = {
+        buildRequest: sinon.spy(function(method, path, headers, host, requestCallback) {
+          return {
+            write: sinon.stub(),
+            end: function() {
+              requestCallback(null, JSON.stringify(fakeEnrollment), { statusCode: 200 });
+            }
+          };
+        })
+      };
+      var client = new ProvisioningServiceClient(fakeConfig, new RestApiClient(fakeConfig, 'fakeAgent', fakeHttpHelper));
+      client.setOptions({
+        interceptors: [function(request, next, done) {
+          request.headers['x-correlation-id'] = 'fakeCorrelationId';
+          next(request, done);
+        }]
+      });
+      client.getIndividualEnrollment(fakeRegistrationId, function(err, enrollment) {
+        assert.isNull(err);
+        assert.strictEqual(enrollment.registrationId, fakeEnrollment.registrationId);
+        assert.strictEqual(fakeHttpHelper.buildRequest.args[0][2]['x-correlation-id'], 'fakeCorrelationId');
+        testCallback();
+      });
+    });
+
+    it('throws an ArgumentError if the interceptors are not functions', function() {
+      var client = new ProvisioningServiceClient({ host: 'host', sharedAccessSignature: 'sas' });
+      assert.throws(function() {
+        client.setOptions({ interceptors: ['notAFunction'] });
+      }, errors.ArgumentError);
+    });
+  });
+
+  describe('#setRetryPolicy', function() {
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_003: [The `setRetryPolicy` method shall throw a `ReferenceError` if the `policy` argument is falsy.]*/
+    [undefined, null].forEach(function(badPolicy) {
+      it('throws a ReferenceError if the policy is \'' + badPolicy + '\'', function() {
+        var client = new ProvisioningServiceClient({ host: 'host', sharedAccessSignature: 'sas' }, {});
+        assert.throws(function() {
+          client.setRetryPolicy(badPolicy);
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_004: [The `setRetryPolicy` method shall throw an `ArgumentError` if the `policy` object does not have a `shouldRetry` method and a `nextRetryTimeout` method.]*/
+    [{ shouldRetry: function() {} }, { nextRetryTimeout: function() {} }].forEach(function(badPolicy) {
+      it('throws an ArgumentError if the policy does not have both a shouldRetry and a nextRetryTimeout method', function() {
+        var client = new ProvisioningServiceClient({ host: 'host', sharedAccessSignature: 'sas' }, {});
+        assert.throws(function() {
+          client.setRetryPolicy(badPolicy);
+        }, errors.ArgumentError);
+      });
+    });
+
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_CLIENT_16_005: [The `setRetryPolicy` method shall pass the `policy` to the `setRetryPolicy` method of the `RestApiClient` so that it is used by all subsequent requests.]*/
+    it('passes the policy to the RestApiClient', function() {
+      var fakeRestApiClient = { setRetryPolicy: sinon.stub() };
+      var fakePolicy = { shouldRetry: function() {}, nextRetryTimeout: function() {} };
+      var client = new ProvisioningServiceClient({ host: 'host', sharedAccessSignature: 'sas' }, fakeRestApiClient);
+      client.setRetryPolicy(fakePolicy);
+      assert.isTrue(fakeRestApiClient.setRetryPolicy.calledWith(fakePolicy));
+    });
+  });
+});
@@ -0,0 +1,117 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var errors = require('azure-iot-common').errors;
+var Query = require('../lib/query.js').Query;
+
+describe('Query', function () {
+  var fakePagedExecuteFn = function (pages) {
+    return sinon.spy(function (continuationToken, done) {
+      var pageIndex = continuationToken ? parseInt(continuationToken, 10) : 0;
+      var nextToken = pageIndex + 1 < pages.length ? (pageIndex + 1).toString() : undefined;
+      done(null, pages[pageIndex], { statusCode: 200, headers: { 'x-ms-continuation': nextToken } });
+    });
+  };
+
+  var collect = function (iterator, items) {
+    items = items || [];
+    return iterator.next().then(function (iteration) {
+      if (iteration.done) {
+        return items;
+      } else {
+        items.push(iteration.value);
+        return collect(iterator, items);
+      }
+    });
+  };
+
+  describe('#iterate', function () {
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_QUERY_16_001: [The `iterate` method shall throw an `ArgumentError` if `options.maxItems` is specified and is not a positive number.]*/
+    [0, -1, null, NaN, '10'].forEach(function (badMaxItems) {
+      it('throws an ArgumentError if maxItems is \'' + badMaxItems + '\'', function () {
+        var query = new Query(function () {});
+        assert.throws(function () {
+          query.iterate({ maxItems: badMaxItems });
+        }, errors.ArgumentError);
+      });
+    });
+
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_QUERY_16_003: [The iterator shall be done once `options.maxItems` items have been yielded or once all the pages have been fetched and all their items yielded.]*/
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_QUERY_16_004: [The iterator shall fetch the next page of results with the `next` method when all the items of the current page have been yielded, and reject with the error if the request fails.]*/
+    it('yields the enrollments of all the pages in order', function () {
+      var fakeExecuteFn = fakePagedExecuteFn([[{ registrationId: 'first' }], [], [{ registrationId: 'second' }, { registrationId: 'third' }]]);
+      var query = new Query(fakeExecuteFn);
+      return collect(query.iterate()).then(function (items) {
+        assert.deepEqual(items, [{ registrationId: 'first' }, { registrationId: 'second' }, { registrationId: 'third' }]);
+        assert.strictEqual(fakeExecuteFn.callCount, 3);
+        assert.isFalse(query.hasMoreResults);
+      });
+    });
+
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_QUERY_16_003: [The iterator shall be done once `options.maxItems` items have been yielded or once all the pages have been fetched and all their items yielded.]*/
+    it('stops after maxItems items without fetching more pages', function () {
+      var fakeExecuteFn = fakePagedExecuteFn([[{ registrationId: 'first' }], [{ registrationId: 'second' }]]);
+      var query = new Query(fakeExecuteFn);
+      return collect(query.iterate({ maxItems: 1 })).then(function (items) {
+        assert.deepEqual(items, [{ registrationId: 'first' }]);
+        assert.isTrue(fakeExecuteFn.calledOnce);
+      });
+    });
+
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_QUERY_16_004: [The iterator shall fetch the next page of results with the `next` method when all the items of the current page have been yielded, and reject with the error if the request fails.]*/
+    it('rejects with the error if a page cannot be fetched', function () {
+      var fakeError = new Error('fake');
+      var query = new Query(sinon.stub().callsArgWith(1, fakeError));
+      return query.iterate().next().then(function () {
+        assert.fail('the iterator should have rejected');
+      }, function (err) {
+        assert.strictEqual(err, fakeError);
+      });
+    });
+
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_QUERY_16_002: [The iterator shall reject with an `OperationCancelledError` and stop if `options.abortSignal` is aborted before an item is yielded.]*/
+    it('rejects with an OperationCancelledError once the abort signal is aborted', function () {
+      var fakeSignal = { aborted: false };
+      var iterator = new Query(fakePagedExecuteFn([[{ registrationId: 'first' }, { registrationId: 'second' }]])).iterate({ abortSignal: fakeSignal });
+      return iterator.next().then(function () {
+        fakeSignal.aborted = true;
+        return iterator.next();
+      }).then(function () {
+        assert.fail('the iterator should have rejected');
+      }, function (err) {
+        assert.instanceOf(err, errors.OperationCancelledError);
+      });
+    });
+
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_QUERY_16_005: [The iterator shall stop fetching pages once its `return` method has been called, which happens when a `for await` loop is exited early.]*/
+    it('stops fetching pages once return is called', function () {
+      var fakeExecuteFn = fakePagedExecuteFn([[{ registrationId: 'first' }], [{ registrationId: 'second' }]]);
+      var iterator = new Query(fakeExecuteFn).iterate();
+      return iterator.next().then(function () {
+        return iterator.return();
+      }).then(function (iteration) {
+        assert.isTrue(iteration.done);
+        return iterator.next();
+      }).then(function (iteration) {
+        assert.isTrue(iteration.done);
+        assert.isTrue(fakeExecuteFn.calledOnce);
+      });
+    });
+  });
+
+  describe('#[Symbol.asyncIterator]', function () {
+    /*Tests_SRS_NODE_PROVISIONING_SERVICE_QUERY_16_006: [The `Symbol.asyncIterator` method shall return the same iterator as the `iterate` method called without options.]*/
+    it('returns an async iterator over all the results', function () {
+      var query = new Query(fakePagedExecuteFn([[{ registrationId: 'first' }], [{ registrationId: 'second' }]]));
+      var iterator = query[Symbol.asyncIterator]();
+      assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+      return collect(iterator).then(function (items) {
+        assert.deepEqual(items, [{ registrationId: 'first' }, { registrationId: 'second' }]);
+      });
+    });
+  });
+});
@@ -11,9 +11,10 @@ import * as async from 'async';
 const debug = dbg('azure-iot-provisioning-device-amqp:Amqp');
 
 import { X509, errors } from 'azure-iot-common';
-import { ProvisioningTransportOptions, X509ProvisioningTransport, TpmProvisioningTransport, RegistrationRequest, RegistrationResult, ProvisioningDeviceConstants } from 'azure-iot-provisioning-device';
+import { ProvisioningTransportOptions, X509ProvisioningTransport, TpmProvisioningTransport, SymmetricKeyProvisioningTransport, RegistrationRequest, RegistrationResult, ProvisioningDeviceConstants } from 'azure-iot-provisioning-device';
 import { Amqp as Base, SenderLink, ReceiverLink, AmqpMessage, AmqpBaseTransportConfig } from 'azure-iot-amqp-base';
 import { GetSasTokenCallback, SaslTpm } from './sasl_tpm';
+import { SaslPlain } from './sasl_plain';
 
 /**
  * @private
@@ -37,11 +38,12 @@ enum DeviceOperations {
 /**
  * Transport used to provision a device over AMQP.
  */
-export class Amqp extends EventEmitter implements X509ProvisioningTransport, TpmProvisioningTransport {
+export class Amqp extends EventEmitter implements X509ProvisioningTransport, TpmProvisioningTransport, SymmetricKeyProvisioningTransport {
   private _amqpBase: Base;
   private _config: ProvisioningTransportOptions = {};
   private _amqpStateMachine: machina.Fsm;
   private _x509Auth: X509;
+  private _sas: string;
   private _endorsementKey: Buffer;
   private _storageRootKey: Buffer;
   private _customSaslMechanism: SaslTpm;
@@ -130,6 +132,12 @@ export class Amqp extends EventEmitter implements X509ProvisioningTransport, Tpm
               sslOptions: this._x509Auth,
               userAgentString: ProvisioningDeviceConstants.userAgent
             };
+            if (this._sas) {
+              /*Codes_SRS_NODE_PROVISIONING_AMQP_16_027: [The `registrationRequest` and `queryOperationStatus` methods shall connect the AMQP client using the PLAIN SASL mechanism with the shared access signature passed to `setSharedAccessSignature` if it was called.]*/
+              const saslPlain = new SaslPlain(request.idScope, request.registrationId, this._sas);
+              config.saslMechanismName = saslPlain.name;
+              config.saslMechanism = saslPlain;
+            }
             this._amqpBase.connect(config, (err) => {
               if (err) {
                 debug('_amqpBase.connect failed');
@@ -426,6 +434,14 @@ export class Amqp extends EventEmitter implements X509ProvisioningTransport, Tpm
     this._x509Auth = auth;
   }
 
+  /**
+   * @private
+   */
+  setSharedAccessSignature(sas: string): void {
+    /*Codes_SRS_NODE_PROVISIONING_AMQP_16_026: [The shared access signature passed to `setSharedAccessSignature` shall be used to connect to the Device Provisioning Service endpoint, when a registration request or registration operation status request are made.]*/
+    this._sas = sas;
+  }
+
   /**
    * @private
    */
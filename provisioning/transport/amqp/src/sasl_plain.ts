@@ -0,0 +1,43 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import * as Builder from 'buffer-builder';
+
+/**
+ * @private
+ */
+export class SaslPlain {
+  public name: string = 'PLAIN';
+  public hostname: string;
+
+  private _idScope: string;
+  private _registrationId: string;
+  private _sharedAccessSignature: string;
+
+  /*Codes_SRS_NODE_PROVISIONING_AMQP_SASL_PLAIN_16_001: [ The `SaslPlain` constructor shall accept the following parameters:
+    `idScope` - the idScope for the provisioning service instance
+    `registrationId` - the registrationId for the device being registered
+    `sharedAccessSignature` - the shared access signature signed with the symmetric key of the device ] */
+  constructor(idScope: string, registrationId: string, sharedAccessSignature: string) {
+    this._idScope = idScope;
+    this._registrationId = registrationId;
+    this._sharedAccessSignature = sharedAccessSignature;
+  }
+
+  start(callback: (err?: Error, response?: any) => void): void {
+    /*Codes_SRS_NODE_PROVISIONING_AMQP_SASL_PLAIN_16_002: [ `start` shall set the `hostname` property to "<idScope>/registrations/<registrationId>". ] */
+    this.hostname = this._idScope + '/registrations/' + this._registrationId;
+
+    /*Codes_SRS_NODE_PROVISIONING_AMQP_SASL_PLAIN_16_003: [ `start` shall call its callback with the init frame content in the form "<0><idScope>/registrations/<registrationId><0><sharedAccessSignature>" where <0> is a zero byte. ] */
+    let init: Buffer = new Builder()
+      .appendUInt8(0)
+      .appendString(this.hostname)
+      .appendUInt8(0)
+      .appendString(this._sharedAccessSignature)
+      .get();
+
+    callback(undefined, init);
+  }
+}
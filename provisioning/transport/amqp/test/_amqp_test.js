@@ -11,6 +11,7 @@ var AmqpMessage = require('azure-iot-amqp-base').AmqpMessage;
 var errors = require('azure-iot-common').errors;
 var ProvisioningDeviceConstants = require('azure-iot-provisioning-device').ProvisioningDeviceConstants;
 var Amqp = require('../lib/amqp.js').Amqp;
+var SaslPlain = require('../lib/sasl_plain').SaslPlain;
 var Builder = require('buffer-builder');
 
 describe('Amqp', function () {
@@ -481,6 +482,31 @@ describe('Amqp', function () {
 
   });
 
+  describe('SymmetricKey', function() {
+    var fakeSas = 'fakeSharedAccessSignature';
+
+    beforeEach(function() {
+      amqp.setSharedAccessSignature(fakeSas);
+    });
+
+    /*Tests_SRS_NODE_PROVISIONING_AMQP_16_026: [The shared access signature passed to `setSharedAccessSignature` shall be used to connect to the Device Provisioning Service endpoint, when a registration request or registration operation status request are made.]*/
+    /*Tests_SRS_NODE_PROVISIONING_AMQP_16_027: [The `registrationRequest` and `queryOperationStatus` methods shall connect the AMQP client using the PLAIN SASL mechanism with the shared access signature passed to `setSharedAccessSignature` if it was called.]*/
+    [registrationRequest, queryOperationStatus].forEach(function(op) {
+      it('connects using the PLAIN SASL mechanism and the shared access signature - ' + op.name, function(testCallback) {
+        op.invoke(function(err) {
+          assert.isNotOk(err);
+          assert.isTrue(fakeAmqpBase.connect.calledOnce);
+          var config = fakeAmqpBase.connect.firstCall.args[0];
+          assert.strictEqual(config.saslMechanismName, 'PLAIN');
+          assert.instanceOf(config.saslMechanism, SaslPlain);
+          assert.strictEqual(config.saslMechanism._sharedAccessSignature, fakeSas);
+          assert.strictEqual(config.saslMechanism._registrationId, 'fakeRegistrationId');
+          testCallback();
+        });
+      });
+    });
+  });
+
   describe('TPM', function() {
     var fakeEndorsementKey = new Buffer('__FAKE_EK__');
     var fakeStorageRootKey = new Buffer('__FAKE_SRK__');
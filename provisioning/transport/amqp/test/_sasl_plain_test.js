@@ -0,0 +1,41 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var SaslPlain = require('../lib/sasl_plain').SaslPlain;
+var assert = require('chai').assert;
+var Builder = require('buffer-builder');
+
+describe('SaslPlain', function () {
+  this.timeout(100);
+  var fakeIdScope = '__IDSCOPE__';
+  var fakeRegistrationId = '__REGISTRATION_ID__';
+  var fakeSharedAccessSignature = '__FAKE_SAS__';
+
+  describe('#start', function() {
+    /*Tests_SRS_NODE_PROVISIONING_AMQP_SASL_PLAIN_16_001: [ The `SaslPlain` constructor shall accept the following parameters:
+      `idScope` - the idScope for the provisioning service instance
+      `registrationId` - the registrationId for the device being registered
+      `sharedAccessSignature` - the shared access signature signed with the symmetric key of the device ] */
+    /*Tests_SRS_NODE_PROVISIONING_AMQP_SASL_PLAIN_16_002: [ `start` shall set the `hostname` property to "<idScope>/registrations/<registrationId>". ] */
+    /*Tests_SRS_NODE_PROVISIONING_AMQP_SASL_PLAIN_16_003: [ `start` shall call its callback with the init frame content in the form "<0><idScope>/registrations/<registrationId><0><sharedAccessSignature>" where <0> is a zero byte. ] */
+    it ('calls its callback with the username and the shared access signature', function(callback) {
+      var sasl = new SaslPlain(fakeIdScope, fakeRegistrationId, fakeSharedAccessSignature);
+      var expectedInit = new Builder()
+        .appendUInt8(0)
+        .appendString(fakeIdScope + '/registrations/' + fakeRegistrationId)
+        .appendUInt8(0)
+        .appendString(fakeSharedAccessSignature)
+        .get();
+
+      assert.strictEqual(sasl.name, 'PLAIN');
+      sasl.start(function(err, init) {
+        assert.isNotOk(err);
+        assert.strictEqual(sasl.hostname, fakeIdScope + '/registrations/' + fakeRegistrationId);
+        assert.deepEqual(init, expectedInit);
+        callback();
+      });
+    });
+  });
+});
@@ -329,6 +329,22 @@ describe('Http', function() {
     });
   });
 
+  describe('#setSharedAccessSignature', function() {
+    /*Tests_SRS_NODE_PROVISIONING_HTTP_16_001: [The shared access signature passed to `setSharedAccessSignature` shall be used in the `Authorization` header of the `registrationRequest` and `queryOperationStatus` requests.]*/
+    [registrationRequest, queryOperationStatus].forEach(function(op) {
+      it('uses the shared access signature in the Authorization header of ' + op.name, function(callback) {
+        http.setSharedAccessSignature('a fake symmetric key SAS');
+        op.invoke(function(err) {
+          assert.isNotOk(err);
+          var headers = fakeBase.buildRequest.firstCall.args[2];
+          assert.strictEqual(headers.Authorization, 'a fake symmetric key SAS');
+          callback();
+        });
+        respond_tpm(null, fakeAssignedResponse, 200);
+      });
+    });
+  });
+
 });
 
 
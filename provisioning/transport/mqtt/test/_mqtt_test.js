@@ -117,6 +117,27 @@ describe('Mqtt', function () {
       });
     });
 
+    /*Tests_SRS_NODE_PROVISIONING_MQTT_16_001: [The shared access signature passed to `setSharedAccessSignature` shall be used as the `sharedAccessSignature` property of the base `TransportConfig` object when connecting to the Device Provisioning Service.]*/
+    [
+      registrationRequest,
+      queryOperationStatus
+    ].forEach(function(op) {
+      it ('connects with the shared access signature - ' + op.name, function(callback) {
+        mqtt.setSharedAccessSignature('fakeSharedAccessSignature');
+        op.invoke(function(err) {
+          assert.oneOf(err, [null, undefined]);
+          assert(fakeBase.connect.calledOnce);
+          var config = fakeBase.connect.firstCall.args[0];
+          assert.strictEqual(config.sharedAccessSignature, 'fakeSharedAccessSignature');
+          assert.isUndefined(config.x509);
+          callback();
+        });
+
+        assert(fakeBase.publish.calledOnce);
+        respond(fakeBase.publish.firstCall);
+      });
+    });
+
     /* Tests_SRS_NODE_PROVISIONING_MQTT_18_041: [ If an error is returned from `_mqttBase.connect`, `Mqtt` shall call `callback` passing in the error..] */
     [
       registrationRequest,
@@ -0,0 +1,5 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+export { SymmetricKeySecurityClient } from './lib/symmetric_key';
+export { computeDerivedSymmetricKey } from 'azure-iot-common';
\ No newline at end of file
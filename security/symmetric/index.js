@@ -0,0 +1,9 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+module.exports = {
+  SymmetricKeySecurityClient: require('./lib/symmetric_key').SymmetricKeySecurityClient,
+  computeDerivedSymmetricKey: require('azure-iot-common').computeDerivedSymmetricKey
+};
\ No newline at end of file
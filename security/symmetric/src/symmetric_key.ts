@@ -0,0 +1,65 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+import { SharedAccessSignature, anHourFromNow, encodeUriComponentStrict } from 'azure-iot-common';
+import * as dbg from 'debug';
+const debug = dbg('azure-iot-security-symmetric-key:SymmetricKeySecurityClient');
+
+/**
+ * Security client using a symmetric key to authenticate a device with the Azure IoT Hub Device Provisioning Service.
+ *
+ * The symmetric key can be the key of an individual enrollment, or the key of the device computed from the key of an
+ * enrollment group using [computeDerivedSymmetricKey]{@link module:azure-iot-common.computeDerivedSymmetricKey}.
+ */
+export class SymmetricKeySecurityClient {
+  private _registrationId: string;
+  private _symmetricKey: string;
+
+  /**
+   * Construct a new symmetric key security object
+   *
+   * @param registrationId  registration Id of the device
+   * @param symmetricKey    base64-encoded symmetric key of the device
+   */
+  constructor(registrationId: string, symmetricKey: string) {
+    /*Codes_SRS_NODE_SYMMETRIC_KEY_SECURITY_CLIENT_16_001: [The `SymmetricKeySecurityClient` constructor shall throw a `ReferenceError` if `registrationId` is falsy.]*/
+    if (!registrationId) {
+      throw new ReferenceError('registrationId cannot be \'' + registrationId + '\'');
+    }
+
+    /*Codes_SRS_NODE_SYMMETRIC_KEY_SECURITY_CLIENT_16_002: [The `SymmetricKeySecurityClient` constructor shall throw a `ReferenceError` if `symmetricKey` is falsy.]*/
+    if (!symmetricKey) {
+      throw new ReferenceError('symmetricKey cannot be \'' + symmetricKey + '\'');
+    }
+
+    this._registrationId = registrationId;
+    this._symmetricKey = symmetricKey;
+  }
+
+  /**
+   * return the registration Id for the device
+   */
+  getRegistrationId(): string {
+    /*Codes_SRS_NODE_SYMMETRIC_KEY_SECURITY_CLIENT_16_003: [`getRegistrationId` shall return the `registrationId` passed to the constructor.]*/
+    return this._registrationId;
+  }
+
+  /**
+   * create a shared access signature signed with the symmetric key of the device, used to authenticate the registration requests
+   *
+   * @param idScope   ID scope of the provisioning service instance
+   * @param callback  called with the shared access signature or an error if it could not be created
+   */
+  createSharedAccessSignature(idScope: string, callback: (err?: Error, signature?: SharedAccessSignature) => void): void {
+    /*Codes_SRS_NODE_SYMMETRIC_KEY_SECURITY_CLIENT_16_004: [`createSharedAccessSignature` shall throw a `ReferenceError` if `idScope` is falsy.]*/
+    if (!idScope) {
+      throw new ReferenceError('idScope cannot be \'' + idScope + '\'');
+    }
+
+    /*Codes_SRS_NODE_SYMMETRIC_KEY_SECURITY_CLIENT_16_005: [`createSharedAccessSignature` shall call its callback with a `SharedAccessSignature` object which resource URI is the URL-encoded `<idScope>/registrations/<registrationId>` string, key name is `registration`, and that is signed with the symmetric key and expires in an hour.]*/
+    const resourceUri = encodeUriComponentStrict(idScope + '/registrations/' + this._registrationId);
+    debug('creating shared access signature for ' + resourceUri);
+    callback(null, SharedAccessSignature.create(resourceUri, 'registration', this._symmetricKey, anHourFromNow()));
+  }
+}
@@ -0,0 +1,80 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var SymmetricKeySecurityClient = require('../lib/symmetric_key').SymmetricKeySecurityClient;
+var SharedAccessSignature = require('azure-iot-common').SharedAccessSignature;
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var fakeRegistrationId = 'fake registration id';
+var fakeSymmetricKey = new Buffer('fake symmetric key').toString('base64');
+var fakeIdScope = 'fake id scope';
+
+describe('SymmetricKeySecurityClient', function () {
+  this.timeout(1000);
+
+  describe('#constructor', function () {
+    /*Tests_SRS_NODE_SYMMETRIC_KEY_SECURITY_CLIENT_16_001: [The `SymmetricKeySecurityClient` constructor shall throw a `ReferenceError` if `registrationId` is falsy.]*/
+    /*Tests_SRS_NODE_SYMMETRIC_KEY_SECURITY_CLIENT_16_002: [The `SymmetricKeySecurityClient` constructor shall throw a `ReferenceError` if `symmetricKey` is falsy.]*/
+    [undefined, null, ''].forEach(function (badValue) {
+      it('throws a ReferenceError if registrationId is \'' + badValue + '\'', function () {
+        assert.throws(function () {
+          return new SymmetricKeySecurityClient(badValue, fakeSymmetricKey);
+        }, ReferenceError);
+      });
+
+      it('throws a ReferenceError if symmetricKey is \'' + badValue + '\'', function () {
+        assert.throws(function () {
+          return new SymmetricKeySecurityClient(fakeRegistrationId, badValue);
+        }, ReferenceError);
+      });
+    });
+  });
+
+  describe('#getRegistrationId', function () {
+    /*Tests_SRS_NODE_SYMMETRIC_KEY_SECURITY_CLIENT_16_003: [`getRegistrationId` shall return the `registrationId` passed to the constructor.]*/
+    it('returns the registrationId', function () {
+      var securityClient = new SymmetricKeySecurityClient(fakeRegistrationId, fakeSymmetricKey);
+      assert.strictEqual(securityClient.getRegistrationId(), fakeRegistrationId);
+    });
+  });
+
+  describe('#createSharedAccessSignature', function () {
+    var clock;
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers(1000000);
+    });
+
+    afterEach(function () {
+      clock.restore();
+    });
+
+    /*Tests_SRS_NODE_SYMMETRIC_KEY_SECURITY_CLIENT_16_004: [`createSharedAccessSignature` shall throw a `ReferenceError` if `idScope` is falsy.]*/
+    [undefined, null, ''].forEach(function (badIdScope) {
+      it('throws a ReferenceError if idScope is \'' + badIdScope + '\'', function () {
+        var securityClient = new SymmetricKeySecurityClient(fakeRegistrationId, fakeSymmetricKey);
+        assert.throws(function () {
+          securityClient.createSharedAccessSignature(badIdScope, function () {});
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_SYMMETRIC_KEY_SECURITY_CLIENT_16_005: [`createSharedAccessSignature` shall call its callback with a `SharedAccessSignature` object which resource URI is the URL-encoded `<idScope>/registrations/<registrationId>` string, key name is `registration`, and that is signed with the symmetric key and expires in an hour.]*/
+    it('calls its callback with a shared access signature signed with the symmetric key', function (testCallback) {
+      var securityClient = new SymmetricKeySecurityClient(fakeRegistrationId, fakeSymmetricKey);
+      securityClient.createSharedAccessSignature(fakeIdScope, function (err, sas) {
+        var expectedResourceUri = encodeURIComponent(fakeIdScope + '/registrations/' + fakeRegistrationId);
+        var expectedSas = SharedAccessSignature.create(expectedResourceUri, 'registration', fakeSymmetricKey, 1000 + 3600);
+        assert.isNull(err);
+        assert.strictEqual(sas.sr, expectedResourceUri);
+        assert.strictEqual(sas.skn, 'registration');
+        assert.strictEqual(sas.se, 1000 + 3600);
+        assert.strictEqual(sas.toString(), expectedSas.toString());
+        testCallback();
+      });
+    });
+  });
+});
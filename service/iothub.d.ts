@@ -8,8 +8,15 @@ export import SharedAccessSignature = require('./lib/shared_access_signature');
 export { Amqp } from './lib/amqp';
 export { AmqpWs } from './lib/amqp_ws';
 export { DeviceMethodParams } from './lib/interfaces';
-export { JobClient } from './lib/job_client';
+export { FeedbackRecord, FeedbackStatusCode, DeliveryAcknowledgementOptions } from './lib/delivery_acknowledgement';
+export { DeviceMethodTarget, DeviceMethodOutcome, DeviceMethodFanOutResult, DeviceMethodFanOutSummary, DeviceMethodFanOutOptions } from './lib/device_method_fan_out';
+export { JobClient, JobWaitOptions, JobProgress, JobWaitResult } from './lib/job_client';
+export { FileNotificationReceiver, FileNotificationReceiverOptions, FileUploadNotification, FileUploadNotificationHandler } from './lib/file_notification_receiver';
+export { TelemetryReceiver, TelemetryReceiverOptions, TelemetryStartPosition, TelemetryEvent, EventHubEndpoint } from './lib/telemetry_receiver';
+export { CheckpointStore, CheckpointKey, TelemetryCheckpoint, InMemoryCheckpointStore, FileCheckpointStore } from './lib/checkpoint_store';
 export * from './lib/configuration';
 export { Device } from './lib/device';
 export { Module } from './lib/module';
 export { Twin } from './lib/twin';
+export { QueryIterationOptions } from './lib/query';
+export { QueryBuilder, QueryCondition, QueryField, QuerySource, QueryValue } from './lib/query_builder';
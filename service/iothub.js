@@ -11,6 +11,8 @@
  * - listening for feedback when cloud-to-device messages are delivered
  * - listening for file upload notifications from devices
  *
+ * The {@link azure-iothub.TelemetryReceiver} receives the telemetry sent by devices from the Event Hub-compatible endpoint of the IoT hub, with checkpoints saved to a pluggable store.
+ *
  * It also supports Device identity registry operations with the {@link azure-iothub.Registry} object:
  * - creating, removing, updating, and listing device identities registered with an IoT hub
  * - get and update and query device twins
@@ -19,6 +21,8 @@
  * - execute direct methods on one or more devices at a specific time
  * - update one or more device twins at a specific time
  *
+ * Queries for the {@link azure-iothub.Registry} and {@link azure-iothub.JobClient} APIs can be built safely with the {@link azure-iothub.QueryBuilder}.
+ *
  * @module azure-iothub
  */
 module.exports = {
@@ -29,6 +33,12 @@ module.exports = {
   Amqp: require('./lib/amqp.js').Amqp,
   AmqpWs: require('./lib/amqp_ws.js').AmqpWs,
   JobClient: require('./lib/job_client.js').JobClient,
+  TelemetryReceiver: require('./lib/telemetry_receiver.js').TelemetryReceiver,
+  InMemoryCheckpointStore: require('./lib/checkpoint_store.js').InMemoryCheckpointStore,
+  FileCheckpointStore: require('./lib/checkpoint_store.js').FileCheckpointStore,
   Device: require('./lib/device.js').Device,
-  Twin: require('./lib/twin.js').Twin
+  Twin: require('./lib/twin.js').Twin,
+  QueryBuilder: require('./lib/query_builder.js').QueryBuilder,
+  QueryCondition: require('./lib/query_builder.js').QueryCondition,
+  QueryField: require('./lib/query_builder.js').QueryField
 };
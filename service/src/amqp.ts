@@ -8,7 +8,7 @@ import * as dbg from 'debug';
 import * as machina from 'machina';
 import * as async from 'async';
 
-import { anHourFromNow, endpoint, errors, results, SharedAccessSignature, Message } from 'azure-iot-common';
+import { anHourFromNow, endpoint, errors, results, SharedAccessSignature, Message, TokenCredentialCache } from 'azure-iot-common';
 import { Amqp as Base, AmqpMessage, SenderLink, AmqpBaseTransportConfig } from 'azure-iot-amqp-base';
 import { translateError } from './amqp_service_errors.js';
 import { Callback } from './interfaces';
@@ -57,6 +57,8 @@ export class Amqp extends EventEmitter implements Client.Transport {
   private _amqp: Base;
   private _renewalTimeout: number;
   private _renewalNumberOfMilliseconds: number = 2700000;
+  private _minimumTokenRenewalInMs: number = 60000;
+  private _tokenCredentialCache: TokenCredentialCache;
   private _fsm: machina.Fsm;
 
   private _c2dEndpoint: string = '/messages/devicebound';
@@ -79,6 +81,9 @@ export class Amqp extends EventEmitter implements Client.Transport {
     this._amqp = amqpBase ? amqpBase : new Base(true);
     this._config = config;
     this._renewalTimeout = null;
+    if (config.tokenCredential) {
+      this._tokenCredentialCache = new TokenCredentialCache(config.tokenCredential, config.tokenScope);
+    }
     this._amqp.setDisconnectHandler((err) => {
       this._fsm.handle('amqpError', err);
     });
@@ -198,6 +203,18 @@ export class Amqp extends EventEmitter implements Client.Transport {
                 this._fsm.transition('disconnecting', err, callback);
               } else {
                 debug('CBS initialized');
+                if (this._tokenCredentialCache) {
+                  /*Codes_SRS_NODE_IOTHUB_SERVICE_AMQP_16_040: [If `config.tokenCredential` is specified, `putToken` shall be invoked with the host name as audience and `Bearer <token>` as token, where `<token>` is the access token returned by the credential for `config.tokenScope`.]*/
+                  this._putBearerToken((err) => {
+                    if (err) {
+                      /*Codes_SRS_NODE_IOTHUB_SERVICE_AMQP_16_041: [If the access token cannot be obtained or `putToken` fails, the client will remain disconnected and the callback, if provided, will be invoked with an error object.]*/
+                      this._fsm.transition('disconnecting', err, callback);
+                    } else {
+                      this._fsm.transition('authenticated', false, callback);
+                    }
+                  });
+                  return;
+                }
                 /*Codes_SRS_NODE_IOTHUB_SERVICE_AMQP_06_003: [If `initializeCBS` is successful, `putToken` shall be invoked with the first parameter audience, created from the sr of the sas signature, the next parameter of the actual sas, and a callback.]*/
                 const audience = SharedAccessSignature.parse(this._config.sharedAccessSignature.toString(), ['sr', 'sig', 'se']).sr;
                 const applicationSuppliedSas = typeof(this._config.sharedAccessSignature) === 'string';
@@ -223,7 +240,10 @@ export class Amqp extends EventEmitter implements Client.Transport {
         },
         authenticated: {
           _onEnter: (applicationSuppliedSas, callback) => {
-            if (!applicationSuppliedSas) {
+            if (this._tokenCredentialCache) {
+              /*Codes_SRS_NODE_IOTHUB_SERVICE_AMQP_16_042: [If `config.tokenCredential` is specified, a new access token shall be put on the CBS link 5 minutes before the current one expires, and at most once a minute.]*/
+              this._scheduleTokenRenewal();
+            } else if (!applicationSuppliedSas) {
               this._renewalTimeout = setTimeout(this._handleSASRenewal.bind(this), this._renewalNumberOfMilliseconds);
             }
             callback(null, new results.Connected());
@@ -290,6 +310,7 @@ export class Amqp extends EventEmitter implements Client.Transport {
               });
             }
           },
+          renewBearerToken: (callback) => this._putBearerToken(callback),
           updateSharedAccessSignature: (updatedSAS, callback) => {
             /*Codes_SRS_NODE_IOTHUB_SERVICE_AMQP_16_031: [The `updateSharedAccessSignature` shall trigger a `putToken` call on the base transport if it is connected.]*/
             const audience = SharedAccessSignature.parse(this._config.sharedAccessSignature.toString(), ['sr', 'sig', 'se']).sr;
@@ -495,6 +516,12 @@ export class Amqp extends EventEmitter implements Client.Transport {
       throw new ReferenceError('sharedAccessSignature cannot be \'' + sharedAccessSignature + '\'');
     }
 
+    if (this._tokenCredentialCache) {
+      /*Codes_SRS_NODE_IOTHUB_SERVICE_AMQP_16_043: [The `updateSharedAccessSignature` shall call the callback with an `InvalidOperationError` if `config.tokenCredential` is specified.]*/
+      callback(new errors.InvalidOperationError('cannot update the shared access signature of a client authenticated with a token credential'));
+      return;
+    }
+
     this._config.sharedAccessSignature = sharedAccessSignature;
     this._fsm.handle('updateSharedAccessSignature', sharedAccessSignature, (err) => {
       if (err) {
@@ -521,4 +548,31 @@ export class Amqp extends EventEmitter implements Client.Transport {
       }
     });
   }
+
+  private _putBearerToken(callback: (err?: Error) => void): void {
+    this._tokenCredentialCache.getToken((err, accessToken) => {
+      if (err) {
+        callback(err);
+      } else {
+        this._amqp.putToken(this._config.host, 'Bearer ' + accessToken.token, callback);
+      }
+    });
+  }
+
+  private _handleTokenRenewal(): void {
+    this._fsm.handle('renewBearerToken', (err) => {
+      if (err) {
+        debug('error automatically renewing the access token: ' + err.toString());
+      }
+      /*Codes_SRS_NODE_IOTHUB_SERVICE_AMQP_16_044: [If renewing the access token fails, a new attempt shall be scheduled one minute later if the client is still connected.]*/
+      if (this._fsm.state === 'authenticated') {
+        this._scheduleTokenRenewal();
+      }
+    });
+  }
+
+  private _scheduleTokenRenewal(): void {
+    const renewalTime = Math.max(this._tokenCredentialCache.getTimeUntilRefresh(), this._minimumTokenRenewalInMs);
+    this._renewalTimeout = setTimeout(this._handleTokenRenewal.bind(this), renewalTime);
+  }
 }
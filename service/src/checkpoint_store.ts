@@ -0,0 +1,192 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import * as fs from 'fs';
+
+/**
+ * Position of the last telemetry message processed by the application in a partition, as saved by {@link azure-iothub.TelemetryReceiver.checkpoint}.
+ */
+export interface TelemetryCheckpoint {
+  /**
+   * Offset of the message in its partition.
+   */
+  offset: string;
+  /**
+   * Sequence number of the message in its partition.
+   */
+  sequenceNumber: number;
+  /**
+   * Time at which the message was enqueued in its partition.
+   */
+  enqueuedTimeUtc: Date;
+}
+
+/**
+ * Identifies the partition a checkpoint belongs to.
+ */
+export interface CheckpointKey {
+  /**
+   * Name of the Event Hub-compatible entity of the IoT hub.
+   */
+  eventHubName: string;
+  /**
+   * Consumer group the telemetry is received with.
+   */
+  consumerGroup: string;
+  /**
+   * Identifier of the partition.
+   */
+  partitionId: string;
+}
+
+/**
+ * Interface that must be implemented by the objects used by the {@link azure-iothub.TelemetryReceiver} to persist its checkpoints.
+ */
+export interface CheckpointStore {
+  /**
+   * Calls back with the last checkpoint saved for a partition, or with `undefined` if there is none.
+   */
+  getCheckpoint(key: CheckpointKey, callback: (err?: Error, checkpoint?: TelemetryCheckpoint) => void): void;
+  /**
+   * Saves the checkpoint of a partition, replacing the previous one.
+   */
+  setCheckpoint(key: CheckpointKey, checkpoint: TelemetryCheckpoint, callback: (err?: Error) => void): void;
+}
+
+function keyToString(key: CheckpointKey): string {
+  return key.eventHubName + '/' + key.consumerGroup + '/' + key.partitionId;
+}
+
+/**
+ * Checkpoint store that keeps the checkpoints in memory: the receiver starts from its configured start position again after the process restarts.
+ */
+export class InMemoryCheckpointStore implements CheckpointStore {
+  private _checkpoints: { [key: string]: TelemetryCheckpoint } = {};
+
+  /**
+   * Calls back with the checkpoint saved for the partition, if any.
+   */
+  getCheckpoint(key: CheckpointKey, callback: (err?: Error, checkpoint?: TelemetryCheckpoint) => void): void {
+    /*Codes_SRS_NODE_IOTHUB_IN_MEMORY_CHECKPOINT_STORE_16_001: [The `getCheckpoint` method shall call its callback with the last checkpoint set for the same `eventHubName`, `consumerGroup` and `partitionId`, or with `undefined` if there is none.]*/
+    callback(null, this._checkpoints[keyToString(key)]);
+  }
+
+  /**
+   * Saves the checkpoint of the partition.
+   */
+  setCheckpoint(key: CheckpointKey, checkpoint: TelemetryCheckpoint, callback: (err?: Error) => void): void {
+    /*Codes_SRS_NODE_IOTHUB_IN_MEMORY_CHECKPOINT_STORE_16_002: [The `setCheckpoint` method shall store the checkpoint, replacing the one previously set for the same key, and call its callback with no arguments.]*/
+    this._checkpoints[keyToString(key)] = checkpoint;
+    callback();
+  }
+}
+
+/**
+ * Checkpoint store that persists the checkpoints of all partitions in a single JSON file, so that the receiver resumes where it stopped after the process restarts.
+ */
+export class FileCheckpointStore implements CheckpointStore {
+  private _filePath: string;
+  private _checkpoints: { [key: string]: TelemetryCheckpoint };
+  private _loadCallbacks: ((err?: Error) => void)[];
+  private _writing: boolean = false;
+  private _pendingWriteCallbacks: ((err?: Error) => void)[] = [];
+
+  /**
+   * @param filePath Path of the file in which the checkpoints are persisted. It is created when the first checkpoint is set.
+   */
+  constructor(filePath: string) {
+    /*Codes_SRS_NODE_IOTHUB_FILE_CHECKPOINT_STORE_16_001: [The `FileCheckpointStore` constructor shall throw a `ReferenceError` if `filePath` is falsy.]*/
+    if (!filePath) {
+      throw new ReferenceError('filePath cannot be \'' + filePath + '\'');
+    }
+    this._filePath = filePath;
+  }
+
+  /**
+   * Reads the file if it has not been read yet and calls back with the checkpoint saved for the partition, if any.
+   */
+  getCheckpoint(key: CheckpointKey, callback: (err?: Error, checkpoint?: TelemetryCheckpoint) => void): void {
+    this._load((err) => {
+      if (err) {
+        callback(err);
+      } else {
+        /*Codes_SRS_NODE_IOTHUB_FILE_CHECKPOINT_STORE_16_003: [The `getCheckpoint` method shall call its callback with the checkpoint read from the file for the same `eventHubName`, `consumerGroup` and `partitionId`, with its `enqueuedTimeUtc` as a `Date`, or with `undefined` if there is none.]*/
+        const checkpoint = this._checkpoints[keyToString(key)];
+        callback(null, checkpoint ? { offset: checkpoint.offset, sequenceNumber: checkpoint.sequenceNumber, enqueuedTimeUtc: new Date(checkpoint.enqueuedTimeUtc as any) } : undefined);
+      }
+    });
+  }
+
+  /**
+   * Saves the checkpoint of the partition and rewrites the file.
+   */
+  setCheckpoint(key: CheckpointKey, checkpoint: TelemetryCheckpoint, callback: (err?: Error) => void): void {
+    this._load((err) => {
+      if (err) {
+        callback(err);
+      } else {
+        this._checkpoints[keyToString(key)] = checkpoint;
+        this._pendingWriteCallbacks.push(callback);
+        this._write();
+      }
+    });
+  }
+
+  private _load(callback: (err?: Error) => void): void {
+    if (this._checkpoints) {
+      callback();
+    } else if (this._loadCallbacks) {
+      this._loadCallbacks.push(callback);
+    } else {
+      this._loadCallbacks = [callback];
+      fs.readFile(this._filePath, 'utf8', (readErr: NodeJS.ErrnoException, contents) => {
+        let loadErr: Error;
+        if (readErr && readErr.code === 'ENOENT') {
+          this._checkpoints = {};
+        } else if (readErr) {
+          /*Codes_SRS_NODE_IOTHUB_FILE_CHECKPOINT_STORE_16_002: [The `getCheckpoint` and `setCheckpoint` methods shall call their callback with an error if the file exists and cannot be read or parsed.]*/
+          loadErr = readErr;
+        } else {
+          try {
+            this._checkpoints = JSON.parse(contents);
+          } catch (parseErr) {
+            loadErr = parseErr;
+          }
+        }
+
+        const loadCallbacks = this._loadCallbacks;
+        this._loadCallbacks = undefined;
+        loadCallbacks.forEach((loadCallback) => loadCallback(loadErr));
+      });
+    }
+  }
+
+  private _write(): void {
+    if (this._writing || this._pendingWriteCallbacks.length === 0) {
+      return;
+    }
+
+    // all the checkpoints set while a write is in progress are saved by the next write.
+    this._writing = true;
+    const writeCallbacks = this._pendingWriteCallbacks;
+    this._pendingWriteCallbacks = [];
+    const tempFilePath = this._filePath + '.tmp';
+    /*Codes_SRS_NODE_IOTHUB_FILE_CHECKPOINT_STORE_16_004: [The `setCheckpoint` method shall write all the checkpoints as JSON to a temporary file and then rename it to `filePath` so that a partially written file is never read.]*/
+    fs.writeFile(tempFilePath, JSON.stringify(this._checkpoints), 'utf8', (writeErr) => {
+      const complete = (err?: Error) => {
+        this._writing = false;
+        /*Codes_SRS_NODE_IOTHUB_FILE_CHECKPOINT_STORE_16_005: [The `setCheckpoint` method shall call its callback with an error if the file cannot be written.]*/
+        writeCallbacks.forEach((writeCallback) => writeCallback(err));
+        this._write();
+      };
+
+      if (writeErr) {
+        complete(writeErr);
+      } else {
+        fs.rename(tempFilePath, this._filePath, (renameErr) => complete(renameErr));
+      }
+    });
+  }
+}
@@ -5,18 +5,24 @@
 
 import { EventEmitter } from 'events';
 import { Agent } from 'https';
-import { anHourFromNow, errors, results, Message, Receiver, SharedAccessSignature } from 'azure-iot-common';
-import { RetryOperation, RetryPolicy, ExponentialBackOffWithJitter } from 'azure-iot-common';
+import { anHourFromNow, errors, results, Message, Receiver, SharedAccessSignature, ResultWithHttpResponse, httpCallbackToPromise, callbackToPromise } from 'azure-iot-common';
+import { RetryOperation, RetryPolicy, ExponentialBackOffWithJitter, OperationOptions, TokenCredential } from 'azure-iot-common';
 import * as ConnectionString from './connection_string';
 import { Amqp } from './amqp';
 import { DeviceMethod } from './device_method';
 import { RestApiClient } from 'azure-iot-http-base';
 import { Callback, DeviceMethodParams } from './interfaces';
+import { Query } from './query';
+import { DeviceMethodFanOut, DeviceMethodTarget, DeviceMethodFanOutOptions, DeviceMethodFanOutSummary } from './device_method_fan_out';
+import { DeliveryAcknowledgementTracker, DeliveryAcknowledgementOptions, FeedbackRecord } from './delivery_acknowledgement';
+import { FileNotificationReceiver, FileNotificationReceiverOptions } from './file_notification_receiver';
+import * as uuid from 'uuid';
 
 // tslint:disable-next-line:no-var-requires
 const packageJson = require('../package.json');
 
 const MAX_RETRY_TIMEOUT = 240000; // 4 minutes
+const IOTHUB_TOKEN_SCOPE = 'https://iothubs.azure.net/.default';
 
 /**
  * The IoT Hub service client is used to communicate with devices through an Azure IoT hub.
@@ -35,6 +41,10 @@ export class Client extends EventEmitter {
   private _transport: Client.Transport;
   private _restApiClient: RestApiClient;
   private _retryPolicy: RetryPolicy;
+  private _deliveryTracker: DeliveryAcknowledgementTracker;
+  private _openCount: number = 0;
+  private _fileUploadNotificationReceiver: FileNotificationReceiver;
+  private _fileNotificationReceiver: Client.ServiceReceiver;
 
   /**
    * @private
@@ -52,17 +62,26 @@ export class Client extends EventEmitter {
 
     /*Codes_SRS_NODE_IOTHUB_CLIENT_16_021: [The `Client` constructor shall initialize the default retry policy to `ExponentialBackoffWithJitter` with a maximum timeout of 4 minutes.]*/
     this._retryPolicy = new ExponentialBackOffWithJitter();
+    this._deliveryTracker = new DeliveryAcknowledgementTracker((callback) => this.getFeedbackReceiver(callback));
   }
 
   /**
    * @method            module:azure-iothub.Client#open
    * @description       Opens the connection to an IoT hub.
+   * @param {Object}    [options] Optional settings:
+   *                              - abortSignal    [optional] A signal that stops the pending retries when aborted.
    * @param {Function}  done    The function to call when the operation is
    *                            complete. `done` will be passed an Error object
    *                            argument, which will be null if the operation
    *                            completed successfully.
    */
-  open(done?: Callback<results.Connected>): void {
+  open(done?: Callback<results.Connected>): void;
+  open(options: OperationOptions, done?: Callback<results.Connected>): void;
+  open(optionsOrDone?: OperationOptions | Callback<results.Connected>, done?: Callback<results.Connected>): void {
+    const options: OperationOptions = typeof optionsOrDone === 'function' ? {} : optionsOrDone || {};
+    if (typeof optionsOrDone === 'function') {
+      done = optionsOrDone;
+    }
     /*Codes_SRS_NODE_IOTHUB_CLIENT_05_008: [The open method shall open a connection to the IoT Hub that was identified when the Client object was created (e.g., in Client.fromConnectionString).]*/
     /*Codes_SRS_NODE_IOTHUB_CLIENT_05_009: [When the open method completes, the callback function (indicated by the done argument) shall be invoked with the following arguments:
     err - standard JavaScript Error object (or subclass)]*/
@@ -71,12 +90,24 @@ export class Client extends EventEmitter {
     /*Codes_SRS_NODE_IOTHUB_CLIENT_05_012: [If the connection is already open when open is called, it shall have no effect—that is, the done callback shall be invoked immediately with a null argument.]*/
     /*Codes_SRS_NODE_IOTHUB_CLIENT_16_006: [The `open` method should not throw if the `done` callback is not specified.]*/
     /*Codes_SRS_NODE_IOTHUB_CLIENT_16_022: [The `open` method shall use the retry policy defined either by default or by a call to `setRetryPolicy` if necessary to connect the transport.]*/
-    const retryOp = new RetryOperation(this._retryPolicy, MAX_RETRY_TIMEOUT);
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_063: [The `open` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` connecting the transport.]*/
+    const retryOp = new RetryOperation(this._retryPolicy, MAX_RETRY_TIMEOUT, options.abortSignal);
+    const openId = ++this._openCount;
+    let cancelled = false;
     retryOp.retry((retryCallback) => {
-      this._transport.connect(retryCallback);
+      this._transport.connect((err, result) => {
+        if (cancelled && !err && openId === this._openCount) {
+          /*Codes_SRS_NODE_IOTHUB_CLIENT_16_073: [If `open` has been cancelled while the transport was connecting, the transport shall be disconnected once it connects, unless `open` has been called again in the meantime.]*/
+          this._transport.disconnect(() => {
+            // the cancelled call to open has already failed: there is nobody to report the outcome of the disconnection to.
+          });
+        }
+        retryCallback(err, result);
+      });
     },
     (err, result) => {
       if (err) {
+        cancelled = err instanceof errors.OperationCancelledError;
         if (done) done(err);
       } else {
         /*Codes_SRS_NODE_IOTHUB_CLIENT_16_002: [If the transport successfully establishes a connection the `open` method shall subscribe to the `disconnect` event of the transport.]*/
@@ -108,6 +139,8 @@ export class Client extends EventEmitter {
       } else {
         /*Codes_SRS_NODE_IOTHUB_CLIENT_16_003: [The `close` method shall remove the listener that has been attached to the transport `disconnect` event.]*/
         this._transport.removeAllListeners('disconnect');
+        /*Codes_SRS_NODE_IOTHUB_CLIENT_16_058: [The `close` method and the `disconnect` event shall stop listening to the feedback receiver and fail the messages still waiting for their acknowledgement with a `NotConnectedError`.]*/
+        this._deliveryTracker.detach(new errors.NotConnectedError('the client was closed before the acknowledgement was received'));
         if (done) done(null, result);
       }
     });
@@ -121,6 +154,8 @@ export class Client extends EventEmitter {
    *                              If `message` is not of type
    *                              {@link module:azure-iot-common.Message|Message},
    *                              it will be converted.
+   * @param {Object}    [options] Optional settings:
+   *                              - abortSignal    [optional] A signal that stops the pending retries when aborted.
    * @param {Function}  done      The function to call when the operation is
    *                              complete. `done` will be called with two
    *                              arguments: an Error object (can be null) and a
@@ -129,7 +164,9 @@ export class Client extends EventEmitter {
    *
    * @throws {ReferenceError}     If `deviceId` or `message` is null, undefined or empty.
    */
-  send(deviceId: string, message: Message | Message.BufferConvertible, done?: Callback<results.MessageEnqueued>): void {
+  send(deviceId: string, message: Message | Message.BufferConvertible, done?: Callback<results.MessageEnqueued>): void;
+  send(deviceId: string, message: Message | Message.BufferConvertible, options: OperationOptions, done?: Callback<results.MessageEnqueued>): void;
+  send(deviceId: string, message: Message | Message.BufferConvertible, optionsOrDone?: OperationOptions | Callback<results.MessageEnqueued>, done?: Callback<results.MessageEnqueued>): void {
     /*Codes_SRS_NODE_IOTHUB_CLIENT_05_013: [The send method shall throw ReferenceError if the deviceId or message arguments are falsy.]*/
     if (!deviceId) {
       throw new ReferenceError('deviceId is \'' + deviceId + '\'');
@@ -155,8 +192,14 @@ export class Client extends EventEmitter {
     /*Codes_SRS_NODE_IOTHUB_CLIENT_05_018: [Otherwise the argument err shall have a transport property containing implementation-specific response information for use in logging and troubleshooting.]*/
     /*Codes_SRS_NODE_IOTHUB_CLIENT_05_019: [If the deviceId has not been registered with the IoT Hub, send shall return an instance of DeviceNotFoundError.]*/
     /*Codes_SRS_NODE_IOTHUB_CLIENT_05_020: [If the queue which receives messages on behalf of the device is full, send shall return and instance of DeviceMaximumQueueDepthExceededError.]*/
+    const options: OperationOptions = typeof optionsOrDone === 'function' ? {} : optionsOrDone || {};
+    if (typeof optionsOrDone === 'function') {
+      done = optionsOrDone;
+    }
+
     /*Codes_SRS_NODE_IOTHUB_CLIENT_16_023: [The `send` method shall use the retry policy defined either by default or by a call to `setRetryPolicy` if necessary to send the message.]*/
-    const retryOp = new RetryOperation(this._retryPolicy, MAX_RETRY_TIMEOUT);
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_069: [The `send` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` sending the message.]*/
+    const retryOp = new RetryOperation(this._retryPolicy, MAX_RETRY_TIMEOUT, options.abortSignal);
     retryOp.retry((retryCallback) => {
       this._transport.send(deviceId, message as Message, retryCallback);
     }, (err, result) => {
@@ -171,6 +214,122 @@ export class Client extends EventEmitter {
     });
   }
 
+  /**
+   * @method            module:azure-iothub.Client#sendWithAcknowledgement
+   * @description       Sends a message to a device and waits for the IoT hub to report whether the device received it.
+   *                    The message is sent with full acknowledgement (`ack: 'full'`) and the feedback records received
+   *                    through the feedback receiver are matched to it by message identifier. The client shares the
+   *                    receiver returned by `getFeedbackReceiver` and only completes the feedback messages whose records
+   *                    are all for messages sent with this method, as long as the application does not listen to the
+   *                    feedback receiver itself: applications that do are responsible for completing every feedback message.
+   * @param {String}    deviceId  The identifier of an existing device identity.
+   * @param {Object}    message   The body of the message to send to the device.
+   *                              If `message` is not of type
+   *                              {@link module:azure-iot-common.Message|Message},
+   *                              it will be converted. A `messageId` is generated if the message does not have one.
+   * @param {Object}    [options] Optional settings:
+   *                              - timeoutInSeconds    [optional] The maximum time to wait for the acknowledgement.
+   * @param {Function}  [done]    The function to call with the feedback record of the message if it was delivered,
+   *                              or with a `DeliveryFailedError` containing the feedback record if it was not.
+   *
+   * @throws {ReferenceError}     If `deviceId` or `message` is null, undefined or empty.
+   * @throws {ArgumentError}      If the message requests an acknowledgement other than `full` or if the options are not valid.
+   * @returns {Promise<FeedbackRecord> | void} Promise if no callback function was passed, void otherwise.
+   */
+  sendWithAcknowledgement(deviceId: string, message: Message | Message.BufferConvertible, done: Callback<FeedbackRecord>): void;
+  sendWithAcknowledgement(deviceId: string, message: Message | Message.BufferConvertible, options: DeliveryAcknowledgementOptions, done: Callback<FeedbackRecord>): void;
+  sendWithAcknowledgement(deviceId: string, message: Message | Message.BufferConvertible, options?: DeliveryAcknowledgementOptions): Promise<FeedbackRecord>;
+  sendWithAcknowledgement(deviceId: string, message: Message | Message.BufferConvertible, optionsOrDone?: DeliveryAcknowledgementOptions | Callback<FeedbackRecord>, done?: Callback<FeedbackRecord>): Promise<FeedbackRecord> | void {
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_046: [The `sendWithAcknowledgement` method shall throw a `ReferenceError` if `deviceId` or `message` is falsy.]*/
+    if (!deviceId) {
+      throw new ReferenceError('deviceId is \'' + deviceId + '\'');
+    }
+    if (!message) {
+      throw new ReferenceError('message is \'' + message + '\'');
+    }
+
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_047: [The `sendWithAcknowledgement` method shall convert the `message` object to type `azure-iot-common.Message` if it is not already of type `azure-iot-common.Message`, and throw an `ArgumentError` if it cannot be converted.]*/
+    if ((<any>message.constructor).name !== 'Message') {
+      if (!Message.isBufferConvertible(message)) {
+        throw new errors.ArgumentError('message is not of type Message or Message.BufferConvertible');
+      }
+      message = new Message(message as Message.BufferConvertible);
+    }
+    const c2dMessage = message as Message;
+
+    let options: DeliveryAcknowledgementOptions;
+    let actualCallback: Callback<FeedbackRecord>;
+    if (typeof optionsOrDone === 'function') {
+      options = {};
+      actualCallback = optionsOrDone;
+    } else {
+      options = optionsOrDone || {};
+      actualCallback = done;
+    }
+
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_048: [The `sendWithAcknowledgement` method shall throw an `ArgumentError` if `options.timeoutInSeconds` is specified and is not a positive number.]*/
+    if (options.timeoutInSeconds !== undefined && !(typeof options.timeoutInSeconds === 'number' && options.timeoutInSeconds > 0)) {
+      throw new errors.ArgumentError('options.timeoutInSeconds must be a positive number');
+    }
+
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_049: [The `sendWithAcknowledgement` method shall set the `ack` property of the message to `full` if it is not set, and throw an `ArgumentError` if it is set to another value.]*/
+    if (!c2dMessage.ack) {
+      c2dMessage.ack = 'full';
+    } else if (c2dMessage.ack !== 'full') {
+      throw new errors.ArgumentError('message.ack must be \'full\' to wait for the acknowledgement of the message');
+    }
+
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_050: [The `sendWithAcknowledgement` method shall set the `messageId` property of the message to a new UUID if it is not set.]*/
+    if (!c2dMessage.messageId) {
+      c2dMessage.messageId = uuid.v4();
+    }
+    const messageId = c2dMessage.messageId.toString();
+
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_057: [The `sendWithAcknowledgement` method shall return a `Promise` if no callback is specified, that is resolved with the feedback record or rejected with the error.]*/
+    return callbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_CLIENT_16_051: [The `sendWithAcknowledgement` method shall listen to the feedback receiver, obtained with `getFeedbackReceiver`, before sending the message, and call its callback with an error if the feedback receiver cannot be obtained.]*/
+      this._deliveryTracker.attach((err) => {
+        if (err) {
+          _callback(err);
+          return;
+        }
+
+        let timer: any;
+        let settled = false;
+        const settle = (settleErr: Error, record?: FeedbackRecord) => {
+          if (!settled) {
+            settled = true;
+            clearTimeout(timer);
+            this._deliveryTracker.untrack(messageId);
+            _callback(settleErr, record);
+          }
+        };
+
+        /*Codes_SRS_NODE_IOTHUB_CLIENT_16_052: [The `sendWithAcknowledgement` method shall call its callback with an `ArgumentError` if another message with the same `messageId` is already waiting for its acknowledgement.]*/
+        /*Codes_SRS_NODE_IOTHUB_CLIENT_16_053: [The `sendWithAcknowledgement` method shall call its callback with the feedback record whose `originalMessageId` matches the `messageId` of the message if its `statusCode` is `Success`.]*/
+        /*Codes_SRS_NODE_IOTHUB_CLIENT_16_054: [The `sendWithAcknowledgement` method shall call its callback with a `DeliveryFailedError` containing the feedback record whose `originalMessageId` matches the `messageId` of the message if its `statusCode` is not `Success`.]*/
+        if (!this._deliveryTracker.track(messageId, settle)) {
+          _callback(new errors.ArgumentError('a message with the id \'' + messageId + '\' is already waiting for its acknowledgement'));
+          return;
+        }
+
+        /*Codes_SRS_NODE_IOTHUB_CLIENT_16_055: [The `sendWithAcknowledgement` method shall call its callback with a `TimeoutError` if the feedback record of the message has not been received after `options.timeoutInSeconds` seconds.]*/
+        if (options.timeoutInSeconds) {
+          timer = setTimeout(() => {
+            settle(new errors.TimeoutError('no acknowledgement received for message ' + messageId + ' within ' + options.timeoutInSeconds + ' seconds'));
+          }, options.timeoutInSeconds * 1000);
+        }
+
+        /*Codes_SRS_NODE_IOTHUB_CLIENT_16_056: [The `sendWithAcknowledgement` method shall send the message using `send` and call its callback with the error if sending fails.]*/
+        this.send(deviceId, c2dMessage, (sendErr) => {
+          if (sendErr) {
+            settle(sendErr);
+          }
+        });
+      });
+    }, actualCallback);
+  }
+
   /**
    * @method            module:azure-iothub.Client#invokeDeviceMethod
    * @description       Invokes a method on a particular device or module.
@@ -181,31 +340,44 @@ export class Client extends EventEmitter {
    *                                        - payload             [optional] The payload to use for the method call.
    *                                        - timeoutInSeconds    [optional] The number of seconds IoT Hub shall wait for the device
    *                                                              to send a response before deeming the method execution a failure.
-   * @param {Function}  done                The callback to call with the result of the method execution.
+   * @param {Object}    [options]           Optional settings:
+   *                                        - abortSignal         [optional] A signal that stops the pending retries when aborted.
+   * @param {Function}  [done]              The callback to call with the result of the method execution.
    *
    * @throws {ReferenceError}  If one of the required parameters is null, undefined or empty.
    * @throws {TypeError}       If one of the parameters is of the wrong type.
+   * @returns {Promise<ResultWithHttpResponse<any>> | void} Promise if no callback function was passed, void otherwise.
    */
-  invokeDeviceMethod(deviceId: string, methodParams: DeviceMethodParams, done?: Callback<any>): void;
-  invokeDeviceMethod(deviceId: string, moduleId: string, methodParams: DeviceMethodParams, done?: Callback<any>): void;
-  invokeDeviceMethod(deviceId: string, moduleIdOrMethodParams: string | DeviceMethodParams, methodParamsOrDone?: DeviceMethodParams | Callback<any>, done?: Callback<any>): void {
+  invokeDeviceMethod(deviceId: string, methodParams: DeviceMethodParams, done: Callback<any>): void;
+  invokeDeviceMethod(deviceId: string, methodParams: DeviceMethodParams, options: OperationOptions, done: Callback<any>): void;
+  invokeDeviceMethod(deviceId: string, moduleId: string, methodParams: DeviceMethodParams, done: Callback<any>): void;
+  invokeDeviceMethod(deviceId: string, moduleId: string, methodParams: DeviceMethodParams, options: OperationOptions, done: Callback<any>): void;
+  invokeDeviceMethod(deviceId: string, methodParams: DeviceMethodParams, options?: OperationOptions): Promise<ResultWithHttpResponse<any>>;
+  invokeDeviceMethod(deviceId: string, moduleId: string, methodParams: DeviceMethodParams, options?: OperationOptions): Promise<ResultWithHttpResponse<any>>;
+  invokeDeviceMethod(deviceId: string, moduleIdOrMethodParams: string | DeviceMethodParams, methodParamsOrOptionsOrDone?: DeviceMethodParams | OperationOptions | Callback<any>, optionsOrDone?: OperationOptions | Callback<any>, done?: Callback<any>): Promise<ResultWithHttpResponse<any>> | void {
     /*Codes_SRS_NODE_IOTHUB_CLIENT_16_014: [The `invokeDeviceMethod` method shall throw a `ReferenceError` if `deviceId` is `null`, `undefined` or an empty string.]*/
     if (deviceId === undefined || deviceId === null || deviceId === '') throw new ReferenceError('deviceId cannot be \'' + deviceId + '\'');
 
     let actualModuleId: string = undefined;
     let actualMethodParams: DeviceMethodParams = undefined;
-    let actualCallback: Callback<any> = undefined;
+    let optionsOrCallback: OperationOptions | Callback<any> = undefined;
+    let callbackAfterOptions: Callback<any> = undefined;
 
     if (typeof moduleIdOrMethodParams === 'string') {
       actualModuleId = moduleIdOrMethodParams;
-      actualMethodParams = methodParamsOrDone as DeviceMethodParams;
-      actualCallback = done;
+      actualMethodParams = methodParamsOrOptionsOrDone as DeviceMethodParams;
+      optionsOrCallback = optionsOrDone;
+      callbackAfterOptions = done;
     } else {
       // actualModuleId stays undefined
       actualMethodParams = moduleIdOrMethodParams;
-      actualCallback = methodParamsOrDone as Callback<any>;
+      optionsOrCallback = methodParamsOrOptionsOrDone as OperationOptions | Callback<any>;
+      callbackAfterOptions = optionsOrDone as Callback<any>;
     }
 
+    const actualOptions: OperationOptions = typeof optionsOrCallback === 'function' ? {} : optionsOrCallback || {};
+    const actualCallback: Callback<any> = typeof optionsOrCallback === 'function' ? optionsOrCallback : callbackAfterOptions;
+
     // Validation of the validity of actualMethodParams is handled in the DeviceMethod constructor.
     /*Codes_SRS_NODE_IOTHUB_CLIENT_16_009: [The `invokeDeviceMethod` method shall initialize a new `DeviceMethod` instance with the `methodName`, `payload` and `timeout` values passed in the arguments.]*/
     const method = new DeviceMethod(actualMethodParams, this._restApiClient);
@@ -214,34 +386,130 @@ export class Client extends EventEmitter {
     /*Codes_SRS_NODE_IOTHUB_CLIENT_16_012: [The `invokeDeviceMethod` method shall call the `done` callback with a standard javascript `Error` object if the request failed.]*/
     /*Codes_SRS_NODE_IOTHUB_CLIENT_16_013: [The `invokeDeviceMethod` method shall call the `done` callback with a `null` first argument, the result of the method execution in the second argument, and the transport-specific response object as a third argument.]*/
     /*Codes_SRS_NODE_IOTHUB_CLIENT_16_026: [The `invokeDeviceMethod` method shall use the retry policy defined either by default or by a call to `setRetryPolicy` if necessary to send the method request.]*/
-    const retryOp = new RetryOperation(this._retryPolicy, MAX_RETRY_TIMEOUT);
-    retryOp.retry((retryCallback) => {
-      /*Codes_SRS_NODE_IOTHUB_CLIENT_18_003: [If `moduleIdOrMethodParams` is a string the `invokeDeviceMethod` method shall call `invokeOnModule` on the new `DeviceMethod` instance. ]*/
-      if (actualModuleId) {
-        method.invokeOnModule(deviceId, actualModuleId, retryCallback);
-      } else {
-        method.invokeOn(deviceId, retryCallback);
-      }
-    }, (err, result, response) => {
-      if (actualCallback) {
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_031: [The `invokeDeviceMethod` method shall return a `Promise` if no callback is specified, that is resolved with an object containing the `result` of the method execution and the transport-specific `response` object, or rejected with the error if the request failed.]*/
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_CLIENT_16_072: [The `invokeDeviceMethod` method shall accept an optional `options` object after the method parameters and pass `options.abortSignal` to the `RetryOperation` invoking the method.]*/
+      const retryOp = new RetryOperation(this._retryPolicy, MAX_RETRY_TIMEOUT, actualOptions.abortSignal);
+      retryOp.retry((retryCallback) => {
+        /*Codes_SRS_NODE_IOTHUB_CLIENT_18_003: [If `moduleIdOrMethodParams` is a string the `invokeDeviceMethod` method shall call `invokeOnModule` on the new `DeviceMethod` instance. ]*/
+        if (actualModuleId) {
+          method.invokeOnModule(deviceId, actualModuleId, retryCallback);
+        } else {
+          method.invokeOn(deviceId, retryCallback);
+        }
+      }, (err, result, response) => {
         if (err) {
-          actualCallback(err);
+          _callback(err);
         } else {
-          actualCallback(null, result, response);
+          _callback(null, result, response);
         }
-      }
-    });
+      });
+    }, actualCallback);
+  }
+
+  /**
+   * @method            module:azure-iothub.Client#invokeDeviceMethodOnMany
+   * @description       Invokes a method on many devices or modules at once, with a limited number of invocations in progress at the same time.
+   *                    Unlike jobs, the method is invoked immediately and only connected devices can respond.
+   * @param {Array|Query} targets           The devices and modules on which to invoke the method: either an array of device identifiers
+   *                                        and `{ deviceId, moduleId }` objects, or a query on device or module twins
+   *                                        (see {@link azure-iothub.Registry.createQuery}).
+   * @param {Object}    params              The method parameters, as for {@link azure-iothub.Client.invokeDeviceMethod}.
+   * @param {Object}    [options]           Optional settings of the fan-out:
+   *                                        - concurrency         [optional] The maximum number of invocations in progress at the same time (defaults to 10).
+   *                                        - timeoutInSeconds    [optional] The maximum time allowed for the invocation on each target, retries included.
+   *                                        - onResult            [optional] A function called with the result of each invocation as soon as it completes.
+   * @param {Function}  [done]              The callback to call with the summary of all the invocations.
+   *
+   * @throws {ReferenceError}  If one of the required parameters is null, undefined or empty.
+   * @throws {ArgumentError}   If the targets or the options are not valid.
+   * @returns {Promise<DeviceMethodFanOutSummary> | void} Promise if no callback function was passed, void otherwise.
+   */
+  invokeDeviceMethodOnMany(targets: DeviceMethodTarget[] | Query, methodParams: DeviceMethodParams, done: Callback<DeviceMethodFanOutSummary>): void;
+  invokeDeviceMethodOnMany(targets: DeviceMethodTarget[] | Query, methodParams: DeviceMethodParams, options: DeviceMethodFanOutOptions, done: Callback<DeviceMethodFanOutSummary>): void;
+  invokeDeviceMethodOnMany(targets: DeviceMethodTarget[] | Query, methodParams: DeviceMethodParams, options?: DeviceMethodFanOutOptions): Promise<DeviceMethodFanOutSummary>;
+  invokeDeviceMethodOnMany(targets: DeviceMethodTarget[] | Query, methodParams: DeviceMethodParams, optionsOrDone?: DeviceMethodFanOutOptions | Callback<DeviceMethodFanOutSummary>, done?: Callback<DeviceMethodFanOutSummary>): Promise<DeviceMethodFanOutSummary> | void {
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_032: [The `invokeDeviceMethodOnMany` method shall throw a `ReferenceError` if `targets` is falsy.]*/
+    if (!targets) throw new ReferenceError('targets cannot be \'' + targets + '\'');
+
+    let actualOptions: DeviceMethodFanOutOptions;
+    let actualCallback: Callback<DeviceMethodFanOutSummary>;
+    if (typeof optionsOrDone === 'function') {
+      actualOptions = {};
+      actualCallback = optionsOrDone;
+    } else {
+      actualOptions = optionsOrDone || {};
+      actualCallback = done;
+    }
+
+    let nextTarget: () => Promise<IteratorResult<any>>;
+    if (Array.isArray(targets)) {
+      /*Codes_SRS_NODE_IOTHUB_CLIENT_16_034: [The `invokeDeviceMethodOnMany` method shall throw a `ReferenceError` if an item of the `targets` array is neither a non-empty string nor an object with a non-empty `deviceId` property.]*/
+      targets.forEach((target) => {
+        const deviceId = typeof target === 'string' ? target : target && target.deviceId;
+        if (!deviceId) throw new ReferenceError('the deviceId of each target cannot be \'' + deviceId + '\'');
+      });
+      let index = 0;
+      const targetArray = targets;
+      nextTarget = () => Promise.resolve(index < targetArray.length ? { done: false, value: targetArray[index++] } : { done: true, value: undefined });
+    } else if (typeof (targets as Query).iterate === 'function') {
+      /*Codes_SRS_NODE_IOTHUB_CLIENT_16_037: [If `targets` is a `Query`, the `invokeDeviceMethodOnMany` method shall invoke the method on the device or module of each item returned by the query, getting the pages of results as the invocations progress.]*/
+      const iterator = (targets as Query).iterate();
+      nextTarget = () => iterator.next();
+    } else {
+      /*Codes_SRS_NODE_IOTHUB_CLIENT_16_033: [The `invokeDeviceMethodOnMany` method shall throw an `ArgumentError` if `targets` is neither an array nor a `Query`.]*/
+      throw new errors.ArgumentError('targets must be an array or a Query');
+    }
+
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_035: [The `invokeDeviceMethodOnMany` method shall throw an `ArgumentError` if `options.concurrency` is specified and is not a positive integer, or if `options.timeoutInSeconds` is specified and is not a positive number.]*/
+    if (actualOptions.concurrency !== undefined && !(typeof actualOptions.concurrency === 'number' && actualOptions.concurrency >= 1 && Math.floor(actualOptions.concurrency) === actualOptions.concurrency)) {
+      throw new errors.ArgumentError('options.concurrency must be a positive integer');
+    }
+    if (actualOptions.timeoutInSeconds !== undefined && !(typeof actualOptions.timeoutInSeconds === 'number' && actualOptions.timeoutInSeconds > 0)) {
+      throw new errors.ArgumentError('options.timeoutInSeconds must be a positive number');
+    }
+
+    // Validation of the validity of methodParams is handled in the DeviceMethod constructor.
+    const method = new DeviceMethod(methodParams, this._restApiClient);
+    const maxRetryTimeout = actualOptions.timeoutInSeconds ? actualOptions.timeoutInSeconds * 1000 : MAX_RETRY_TIMEOUT;
+
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_045: [The `invokeDeviceMethodOnMany` method shall return a `Promise` if no callback is specified, that is resolved with the summary of the invocations or rejected with the error if the query used to get the targets failed.]*/
+    return callbackToPromise((_callback) => {
+      const fanOut = new DeviceMethodFanOut(nextTarget, (deviceId, moduleId, invokeCallback) => {
+        /*Codes_SRS_NODE_IOTHUB_CLIENT_16_036: [The `invokeDeviceMethodOnMany` method shall invoke the method on each target using `invokeOnModule` if the target has a `moduleId` and `invokeOn` otherwise, with the retry policy of the client, limited to `options.timeoutInSeconds` if specified.]*/
+        /*Codes_SRS_NODE_IOTHUB_CLIENT_16_064: [The `invokeDeviceMethodOnMany` method shall pass `options.abortSignal` to the `RetryOperation` of each invocation, so that aborting the signal fails the invocations in progress and the ones not started yet with an `OperationCancelledError`.]*/
+        const retryOp = new RetryOperation(this._retryPolicy, maxRetryTimeout, actualOptions.abortSignal);
+        retryOp.retry((retryCallback) => {
+          if (moduleId) {
+            method.invokeOnModule(deviceId, moduleId, retryCallback);
+          } else {
+            method.invokeOn(deviceId, retryCallback);
+          }
+        }, invokeCallback);
+        return () => retryOp.cancel();
+      }, actualOptions);
+      fanOut.run(_callback);
+    }, actualCallback);
   }
 
   /**
    * @method            module:azure-iothub.Client#getFeedbackReceiver
    * @description       Returns a AmqpReceiver object which emits events when new feedback messages are received by the client.
+   * @param {Object}    [options] Optional settings:
+   *                              - abortSignal    [optional] A signal that stops the pending retries when aborted.
    * @param {Function}  done      The function to call when the operation is
    *                              complete. `done` will be called with two
    *                              arguments: an Error object (can be null) and a
    *                              AmqpReceiver object.
    */
-  getFeedbackReceiver(done: Callback<Client.ServiceReceiver>): void {
+  getFeedbackReceiver(done: Callback<Client.ServiceReceiver>): void;
+  getFeedbackReceiver(options: OperationOptions, done: Callback<Client.ServiceReceiver>): void;
+  getFeedbackReceiver(optionsOrDone: OperationOptions | Callback<Client.ServiceReceiver>, done?: Callback<Client.ServiceReceiver>): void {
+    const options: OperationOptions = typeof optionsOrDone === 'function' ? {} : optionsOrDone || {};
+    if (typeof optionsOrDone === 'function') {
+      done = optionsOrDone;
+    }
+
     /*Codes_SRS_NODE_IOTHUB_CLIENT_05_027: [When the `getFeedbackReceiver` method completes, the callback function (indicated by the `done` argument) shall be invoked with the following arguments:
     - `err` - standard JavaScript `Error` object (or subclass): `null` if the operation was successful
     - `receiver` - an `AmqpReceiver` instance: `undefined` if the operation failed]*/
@@ -252,7 +520,8 @@ export class Client extends EventEmitter {
     message – a JavaScript object containing a batch of one or more feedback records]*/
     /*Codes_SRS_NODE_IOTHUB_CLIENT_05_033: [getFeedbackReceiver shall return the same instance of Client.FeedbackReceiver every time it is called with a given instance of Client.]*/
     /*Codes_SRS_NODE_IOTHUB_CLIENT_16_024: [The `getFeedbackReceiver` method shall use the retry policy defined either by default or by a call to `setRetryPolicy` if necessary to get a feedback receiver object.]*/
-    const retryOp = new RetryOperation(this._retryPolicy, MAX_RETRY_TIMEOUT);
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_070: [The `getFeedbackReceiver` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` getting the receiver.]*/
+    const retryOp = new RetryOperation(this._retryPolicy, MAX_RETRY_TIMEOUT, options.abortSignal);
     retryOp.retry((retryCallback) => {
       this._transport.getFeedbackReceiver(retryCallback);
     }, (err, result) => {
@@ -269,17 +538,27 @@ export class Client extends EventEmitter {
   /**
    * @method            module:azure-iothub.Client#getFileNotificationReceiver
    * @description       Returns a AmqpReceiver object which emits events when new file upload notifications are received by the client.
+   * @param {Object}    [options] Optional settings:
+   *                              - abortSignal    [optional] A signal that stops the pending retries when aborted.
    * @param {Function}  done      The function to call when the operation is
    *                              complete. `done` will be called with two
    *                              arguments: an Error object (can be null) and a
    *                              AmqpReceiver object.
    */
-  getFileNotificationReceiver(done: Callback<Client.ServiceReceiver>): void {
+  getFileNotificationReceiver(done: Callback<Client.ServiceReceiver>): void;
+  getFileNotificationReceiver(options: OperationOptions, done: Callback<Client.ServiceReceiver>): void;
+  getFileNotificationReceiver(optionsOrDone: OperationOptions | Callback<Client.ServiceReceiver>, done?: Callback<Client.ServiceReceiver>): void {
+    const options: OperationOptions = typeof optionsOrDone === 'function' ? {} : optionsOrDone || {};
+    if (typeof optionsOrDone === 'function') {
+      done = optionsOrDone;
+    }
+
     /*Codes_SRS_NODE_IOTHUB_CLIENT_16_001: [When the `getFileNotificationReceiver` method completes, the callback function (indicated by the `done` argument) shall be invoked with the following arguments:
   - `err` - standard JavaScript `Error` object (or subclass): `null` if the operation was successful
   - `receiver` - an `AmqpReceiver` instance: `undefined` if the operation failed]*/
     /*Codes_SRS_NODE_IOTHUB_CLIENT_16_025: [The `getFileNotificationReceiver` method shall use the retry policy defined either by default or by a call to `setRetryPolicy` if necessary to send the get a feedback receiver object.]*/
-    const retryOp = new RetryOperation(this._retryPolicy, MAX_RETRY_TIMEOUT);
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_071: [The `getFileNotificationReceiver` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` getting the receiver.]*/
+    const retryOp = new RetryOperation(this._retryPolicy, MAX_RETRY_TIMEOUT, options.abortSignal);
     retryOp.retry((retryCallback) => {
       this._transport.getFileNotificationReceiver(retryCallback);
     }, (err, result) => {
@@ -293,6 +572,51 @@ export class Client extends EventEmitter {
     });
   }
 
+  /**
+   * @method            module:azure-iothub.Client#getFileUploadNotificationReceiver
+   * @description       Returns a {@link azure-iothub.FileNotificationReceiver} that parses the file upload notifications
+   *                    received by the client and passes them to a handler as `FileUploadNotification` objects.
+   *                    All the file upload notifications of the client go to that receiver: applications using it should not
+   *                    listen to the receiver returned by `getFileNotificationReceiver` too.
+   *                    The receiver is created by the first call: subsequent calls return the same receiver and ignore `options`.
+   * @param {Object}    [options] Optional settings:
+   *                              - autoComplete    [optional] Complete each notification once the handler returns or the Promise it returns is resolved.
+   * @param {Function}  [done]    The function to call with the file upload notification receiver.
+   *
+   * @returns {Promise<FileNotificationReceiver> | void} Promise if no callback function was passed, void otherwise.
+   */
+  getFileUploadNotificationReceiver(done: Callback<FileNotificationReceiver>): void;
+  getFileUploadNotificationReceiver(options: FileNotificationReceiverOptions, done: Callback<FileNotificationReceiver>): void;
+  getFileUploadNotificationReceiver(options?: FileNotificationReceiverOptions): Promise<FileNotificationReceiver>;
+  getFileUploadNotificationReceiver(optionsOrDone?: FileNotificationReceiverOptions | Callback<FileNotificationReceiver>, done?: Callback<FileNotificationReceiver>): Promise<FileNotificationReceiver> | void {
+    let options: FileNotificationReceiverOptions;
+    let actualCallback: Callback<FileNotificationReceiver>;
+    if (typeof optionsOrDone === 'function') {
+      options = {};
+      actualCallback = optionsOrDone;
+    } else {
+      options = optionsOrDone || {};
+      actualCallback = done;
+    }
+
+    return callbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_CLIENT_16_061: [The `getFileUploadNotificationReceiver` method shall get the file notification receiver with `getFileNotificationReceiver` and call its callback with a `FileNotificationReceiver` built from it and the `options`.]*/
+      this.getFileNotificationReceiver((err, receiver) => {
+        if (err) {
+          /*Codes_SRS_NODE_IOTHUB_CLIENT_16_062: [The `getFileUploadNotificationReceiver` method shall call its callback with an error if the file notification receiver cannot be obtained.]*/
+          _callback(err);
+        } else {
+          /*Codes_SRS_NODE_IOTHUB_CLIENT_16_075: [The `getFileUploadNotificationReceiver` method shall call its callback with the `FileNotificationReceiver` it created previously, ignoring the `options`, as long as `getFileNotificationReceiver` returns the same receiver, so that the listeners of the underlying receiver are only added once.]*/
+          if (this._fileNotificationReceiver !== receiver) {
+            this._fileNotificationReceiver = receiver;
+            this._fileUploadNotificationReceiver = new FileNotificationReceiver(receiver, options);
+          }
+          _callback(null, this._fileUploadNotificationReceiver);
+        }
+      });
+    }, actualCallback);
+  }
+
   /**
    * Set the policy used by the client to retry network operations.
    *
@@ -319,10 +643,28 @@ export class Client extends EventEmitter {
     this._retryPolicy = policy;
   }
 
+  /**
+   * @method            module:azure-iothub.Client#setOptions
+   * @description       Sets the options of the HTTP requests sent by `invokeDeviceMethod` and `invokeDeviceMethodOnMany`.
+   *                    Messages, feedback and file notifications are sent over AMQP and do not go through `options.interceptors`.
+   *
+   * @param {Object}    options   The HTTP options, and the {@link azure-iot-http-base.RestApiClient.Interceptor} functions to use.
+   *
+   * @throws {ArgumentError}      If `options.interceptors` is not an array of functions.
+   */
+  setOptions(options: RestApiClient.Options): void {
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_065: [The `setOptions` method shall pass `options` to the `setOptions` method of the `RestApiClient`.]*/
+    if (this._restApiClient && this._restApiClient.setOptions) {
+      this._restApiClient.setOptions(options);
+    }
+  }
+
   private _disconnectHandler(reason: string): void {
     /*Codes_SRS_NODE_IOTHUB_CLIENT_16_004: [** The `disconnect` event shall be emitted when the client is disconnected from the server.]*/
     let evt = new results.Disconnected();
     evt.reason = reason;
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_058: [The `close` method and the `disconnect` event shall stop listening to the feedback receiver and fail the messages still waiting for their acknowledgement with a `NotConnectedError`.]*/
+    this._deliveryTracker.detach(new errors.NotConnectedError('the client was disconnected before the acknowledgement was received'));
     this.emit('disconnect', evt);
   }
 
@@ -398,6 +740,39 @@ export class Client extends EventEmitter {
     /*Codes_SRS_NODE_IOTHUB_CLIENT_05_007: [The fromSharedAccessSignature method shall return a new instance of the Client object, as by a call to new Client(transport).]*/
     return new Client(new transportCtor(config), new RestApiClient(config, packageJson.name + '/' + packageJson.version));
   }
+
+  /**
+   * @method            module:azure-iothub.Client.fromTokenCredential
+   * @static
+   * @description       Creates an IoT Hub service client authenticated with Azure Active Directory
+   *                    using the default transport (Amqp) or the one specified in the third argument.
+   *                    Access tokens are requested from the credential and renewed automatically before they expire.
+   *
+   * @param {String}    hostName      The host name of the IoT hub.
+   * @param {Object}    credential    A credential with a `getToken` method, such as the credentials of the `@azure/identity` package.
+   * @param {Function}  Transport     A transport constructor.
+   *
+   * @returns {module:azure-iothub.Client}
+   */
+  static fromTokenCredential(hostName: string, credential: TokenCredential, transportCtor?: Client.TransportCtor): Client {
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_066: [The `fromTokenCredential` method shall throw a `ReferenceError` if `hostName` or `credential` is falsy.]*/
+    if (!hostName) throw new ReferenceError('hostName cannot be \'' + hostName + '\'');
+    if (!credential) throw new ReferenceError('credential cannot be \'' + credential + '\'');
+
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_067: [The `fromTokenCredential` method shall use the default Transport (Amqp) if the `Transport` optional argument is falsy.]*/
+    if (!transportCtor) {
+      transportCtor = Amqp;
+    }
+
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_068: [The `fromTokenCredential` method shall create the transport and the REST API client with a config object containing `hostName`, `credential` and the `https://iothubs.azure.net/.default` scope, and return a new instance of the `Client` object.]*/
+    const config: Client.TransportConfigOptions = {
+      host: hostName,
+      tokenCredential: credential,
+      tokenScope: IOTHUB_TOKEN_SCOPE
+    };
+
+    return new Client(new transportCtor(config), new RestApiClient(config, packageJson.name + '/' + packageJson.version));
+  }
 }
 
 
@@ -416,11 +791,19 @@ export namespace Client {
       /**
        * The name of the policy used to connect to the Azure IoT Hub service.
        */
-      keyName: string;
+      keyName?: string;
       /**
        * The shared access signature token used to authenticate the connection with the Azure IoT hub.
        */
-      sharedAccessSignature: string | SharedAccessSignature;
+      sharedAccessSignature?: string | SharedAccessSignature;
+      /**
+       * Credential used to get the Azure Active Directory access tokens used to authenticate the connection, instead of a shared access signature.
+       */
+      tokenCredential?: TokenCredential;
+      /**
+       * Scopes requested from `tokenCredential`.
+       */
+      tokenScope?: string | string[];
   }
 
   export interface ServiceReceiver extends Receiver {
@@ -0,0 +1,166 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import * as dbg from 'debug';
+const debug = dbg('azure-iothub:DeliveryAcknowledgementTracker');
+
+import { errors, Message } from 'azure-iot-common';
+import { Client } from './client';
+
+/**
+ * Delivery status reported by the IoT hub in a feedback record:
+ * - `Success`: the device completed the message.
+ * - `Expired`: the message expired before the device received it.
+ * - `DeliveryCountExceeded`: the device abandoned the message too many times.
+ * - `Rejected`: the device rejected the message.
+ * - `Purged`: the message was purged from the queue of the device.
+ */
+export type FeedbackStatusCode = 'Success' | 'Expired' | 'DeliveryCountExceeded' | 'Rejected' | 'Purged';
+
+/**
+ * Record of the delivery of a cloud-to-device message, as sent by the IoT hub in the batches received by the feedback receiver.
+ */
+export interface FeedbackRecord {
+  /**
+   * Identifier of the cloud-to-device message this record is about.
+   */
+  originalMessageId: string;
+  /**
+   * Identifier of the device the message was sent to.
+   */
+  deviceId: string;
+  /**
+   * Generation identifier of the device the message was sent to.
+   */
+  deviceGenerationId: string;
+  /**
+   * Time at which the outcome of the message was known, as an ISO-8601 string.
+   */
+  enqueuedTimeUtc: string;
+  /**
+   * Delivery status of the message.
+   */
+  statusCode: FeedbackStatusCode;
+  /**
+   * Description of the delivery status.
+   */
+  description: string;
+}
+
+/**
+ * Options of {@link azure-iothub.Client.sendWithAcknowledgement}.
+ */
+export interface DeliveryAcknowledgementOptions {
+  /**
+   * Maximum time to wait for the feedback record of the message, in seconds. No limit if not specified.
+   */
+  timeoutInSeconds?: number;
+}
+
+/**
+ * @private
+ * Listens to the feedback receiver of a client and calls the callback registered for each message identifier when the matching feedback record arrives.
+ * The receiver is shared with the application: a feedback message is only completed by the tracker if all its records were expected and nobody else listens to it.
+ */
+export class DeliveryAcknowledgementTracker {
+  private _getFeedbackReceiver: (callback: Client.Callback<Client.ServiceReceiver>) => void;
+  private _receiver: Client.ServiceReceiver;
+  private _attachCallbacks: ((err?: Error) => void)[];
+  private _pendingCallbacks: { [messageId: string]: (err: Error, record?: FeedbackRecord) => void } = {};
+  private _messageListener: (message: Message) => void;
+
+  constructor(getFeedbackReceiver: (callback: Client.Callback<Client.ServiceReceiver>) => void) {
+    this._getFeedbackReceiver = getFeedbackReceiver;
+    this._messageListener = (message) => this._onFeedbackMessage(message);
+  }
+
+  attach(callback: (err?: Error) => void): void {
+    if (this._receiver) {
+      callback();
+    } else if (this._attachCallbacks) {
+      this._attachCallbacks.push(callback);
+    } else {
+      this._attachCallbacks = [callback];
+      this._getFeedbackReceiver((err, receiver) => {
+        const attachCallbacks = this._attachCallbacks;
+        this._attachCallbacks = undefined;
+        if (!err) {
+          this._receiver = receiver;
+          this._receiver.on('message', this._messageListener);
+        }
+        attachCallbacks.forEach((attachCallback) => attachCallback(err));
+      });
+    }
+  }
+
+  track(messageId: string, callback: (err: Error, record?: FeedbackRecord) => void): boolean {
+    if (this._pendingCallbacks[messageId]) {
+      return false;
+    } else {
+      this._pendingCallbacks[messageId] = callback;
+      return true;
+    }
+  }
+
+  untrack(messageId: string): void {
+    delete this._pendingCallbacks[messageId];
+  }
+
+  detach(err: Error): void {
+    if (this._receiver) {
+      this._receiver.removeListener('message', this._messageListener);
+      this._receiver = undefined;
+    }
+
+    const pendingCallbacks = this._pendingCallbacks;
+    this._pendingCallbacks = {};
+    Object.keys(pendingCallbacks).forEach((messageId) => pendingCallbacks[messageId](err));
+  }
+
+  private _onFeedbackMessage(message: Message): void {
+    const receiver = this._receiver;
+    let records: FeedbackRecord[] = [];
+    let allRecordsMatched = false;
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_059: [The client shall parse the body of each feedback message as a JSON array of feedback records and ignore the feedback messages that cannot be parsed.]*/
+    try {
+      records = JSON.parse(message.getBytes().toString());
+    } catch (err) {
+      debug('could not parse feedback message: ' + err.toString());
+    }
+
+    if (Array.isArray(records) && records.length > 0) {
+      allRecordsMatched = records.every((record) => !!this._pendingCallbacks[record.originalMessageId]);
+    } else {
+      records = [];
+    }
+
+    records.forEach((record) => {
+      const callback = this._pendingCallbacks[record.originalMessageId];
+      if (callback) {
+        this.untrack(record.originalMessageId);
+        if (record.statusCode === 'Success') {
+          callback(null, record);
+        } else {
+          const deliveryError = new errors.DeliveryFailedError('message ' + record.originalMessageId + ' was not delivered: ' + record.statusCode);
+          deliveryError.feedbackRecord = record;
+          callback(deliveryError);
+        }
+      }
+    });
+
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_060: [The client shall complete a feedback message once its records have been matched only if all of them are for messages waiting for their acknowledgement and the application does not listen to the feedback receiver, leaving the other feedback messages to the application or to the other clients of the IoT hub.]*/
+    if (!allRecordsMatched) {
+      debug('not completing a feedback message with records for messages that are not tracked');
+    } else if (receiver.listeners('message').length > 1) {
+      debug('not completing a feedback message that the application also listens to');
+    } else {
+      receiver.complete(message, (err) => {
+        if (err) {
+          debug('could not complete feedback message: ' + err.toString());
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,259 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import * as dbg from 'debug';
+const debug = dbg('azure-iothub:DeviceMethodFanOut');
+
+import { errors, AbortSignalLike } from 'azure-iot-common';
+import { Callback } from './interfaces';
+
+const DEFAULT_CONCURRENCY = 10;
+const DEVICE_NOT_ONLINE_ERROR_CODE = 404103;
+
+/**
+ * Device or module on which a direct method is invoked by {@link azure-iothub.Client.invokeDeviceMethodOnMany}:
+ * either a device identifier or an object with a `deviceId` and an optional `moduleId`.
+ */
+export type DeviceMethodTarget = string | { deviceId: string, moduleId?: string };
+
+/**
+ * Outcome of a direct method invocation on one target:
+ * - `succeeded`: the device or module responded (whatever the status it returned).
+ * - `timedOut`: the device or module did not respond in time.
+ * - `offline`: the device exists but is not connected to the IoT hub.
+ * - `failed`: the invocation failed for any other reason (see the `error` property of the result).
+ */
+export type DeviceMethodOutcome = 'succeeded' | 'timedOut' | 'offline' | 'failed';
+
+/**
+ * Result of a direct method invocation on one target, as passed to the `onResult` option and listed in the summary.
+ */
+export interface DeviceMethodFanOutResult {
+  /**
+   * Identifier of the device on which the method was invoked.
+   */
+  deviceId: string;
+  /**
+   * Identifier of the module on which the method was invoked, if any.
+   */
+  moduleId?: string;
+  /**
+   * Outcome of the invocation.
+   */
+  outcome: DeviceMethodOutcome;
+  /**
+   * Result of the method execution (its `status` and `payload`) if the outcome is `succeeded`.
+   */
+  result?: any;
+  /**
+   * Error that caused the invocation to fail if the outcome is not `succeeded`.
+   */
+  error?: Error;
+}
+
+/**
+ * Aggregated results of {@link azure-iothub.Client.invokeDeviceMethodOnMany}.
+ */
+export interface DeviceMethodFanOutSummary {
+  /**
+   * Number of targets on which the method was invoked.
+   */
+  total: number;
+  /**
+   * Number of targets that responded.
+   */
+  succeeded: number;
+  /**
+   * Number of targets that did not respond in time.
+   */
+  timedOut: number;
+  /**
+   * Number of targets that were not connected.
+   */
+  offline: number;
+  /**
+   * Number of targets on which the invocation failed for any other reason.
+   */
+  failed: number;
+  /**
+   * Individual results, in the order in which they completed.
+   */
+  results: DeviceMethodFanOutResult[];
+}
+
+/**
+ * Options of {@link azure-iothub.Client.invokeDeviceMethodOnMany}.
+ */
+export interface DeviceMethodFanOutOptions {
+  /**
+   * Maximum number of invocations in progress at the same time. Defaults to 10.
+   */
+  concurrency?: number;
+  /**
+   * Maximum time allowed for the invocation on each target, retries included, after which the outcome of this target is `timedOut`.
+   * If not specified, each invocation is bound only by the response and connect timeouts of the method parameters and by the retry policy of the client.
+   */
+  timeoutInSeconds?: number;
+  /**
+   * Function called with the result of each invocation as soon as it completes.
+   */
+  onResult?: (result: DeviceMethodFanOutResult) => void;
+  /**
+   * Signal that fails the invocations in progress and the ones not started yet with an `OperationCancelledError` when aborted.
+   */
+  abortSignal?: AbortSignalLike;
+}
+
+/**
+ * @private
+ * Invokes a direct method on every target returned by a `nextTarget` function, with at most `options.concurrency` invocations in progress,
+ * and calls back with the summary once all the targets have been processed.
+ */
+export class DeviceMethodFanOut {
+  private _nextTarget: () => Promise<IteratorResult<any>>;
+  private _invoke: (deviceId: string, moduleId: string, callback: Callback<any>) => () => void;
+  private _options: DeviceMethodFanOutOptions;
+  private _concurrency: number;
+  private _summary: DeviceMethodFanOutSummary = { total: 0, succeeded: 0, timedOut: 0, offline: 0, failed: 0, results: [] };
+  private _inFlightCount: number = 0;
+  private _pulling: boolean = false;
+  private _exhausted: boolean = false;
+  private _finished: boolean = false;
+  private _sourceError: Error;
+  private _done: Callback<DeviceMethodFanOutSummary>;
+
+  constructor(nextTarget: () => Promise<IteratorResult<any>>, invoke: (deviceId: string, moduleId: string, callback: Callback<any>) => () => void, options: DeviceMethodFanOutOptions) {
+    this._nextTarget = nextTarget;
+    this._invoke = invoke;
+    this._options = options;
+    this._concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  }
+
+  run(done: Callback<DeviceMethodFanOutSummary>): void {
+    this._done = done;
+    this._pump();
+  }
+
+  private _pump(): void {
+    if (this._finished) {
+      return;
+    }
+
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_042: [The `invokeDeviceMethodOnMany` method shall call its callback with a summary containing the `total` number of targets, the number of `succeeded`, `timedOut`, `offline` and `failed` invocations and the list of `results` once the invocations on all targets have completed.]*/
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_044: [If the query used to get the targets fails, the `invokeDeviceMethodOnMany` method shall stop starting new invocations and call its callback with the error once the invocations in progress have completed.]*/
+    if ((this._exhausted || this._sourceError) && this._inFlightCount === 0) {
+      this._finished = true;
+      if (this._sourceError) {
+        this._done(this._sourceError);
+      } else {
+        this._done(null, this._summary);
+      }
+    } else if (!this._exhausted && !this._sourceError && !this._pulling && this._inFlightCount < this._concurrency) {
+      /*Codes_SRS_NODE_IOTHUB_CLIENT_16_038: [The `invokeDeviceMethodOnMany` method shall not have more than `options.concurrency` invocations in progress at the same time, or 10 if `options.concurrency` is not specified.]*/
+      this._pulling = true;
+      this._nextTarget().then((iteration) => {
+        this._pulling = false;
+        if (iteration.done) {
+          this._exhausted = true;
+        } else {
+          this._start(iteration.value);
+        }
+        this._pump();
+      }, (err) => {
+        debug('could not get the next target: ' + err.toString());
+        this._pulling = false;
+        this._sourceError = err;
+        this._pump();
+      });
+    }
+  }
+
+  private _start(target: any): void {
+    this._inFlightCount++;
+    const deviceId = typeof target === 'string' ? target : target && target.deviceId;
+    const moduleId = typeof target === 'string' ? undefined : target && target.moduleId;
+    if (!deviceId) {
+      /*Codes_SRS_NODE_IOTHUB_CLIENT_16_043: [The `invokeDeviceMethodOnMany` method shall report a `failed` outcome with an `ArgumentError` for each item of a query that has no `deviceId`.]*/
+      this._complete({ deviceId: deviceId, outcome: 'failed', error: new errors.ArgumentError('the target of the method has no deviceId') });
+      return;
+    }
+
+    let timer: any;
+    let cancelInvocation: () => void;
+    let completed = false;
+    const completeOnce = (err: Error, result?: any) => {
+      if (!completed) {
+        completed = true;
+        clearTimeout(timer);
+        const fanOutResult: DeviceMethodFanOutResult = { deviceId: deviceId, outcome: DeviceMethodFanOut._outcomeOf(err) };
+        if (moduleId) {
+          fanOutResult.moduleId = moduleId;
+        }
+        if (err) {
+          fanOutResult.error = err;
+        } else {
+          fanOutResult.result = result;
+        }
+        this._complete(fanOutResult);
+      }
+    };
+
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_039: [The `invokeDeviceMethodOnMany` method shall report a `timedOut` outcome with a `TimeoutError` for each target on which the invocation has not completed after `options.timeoutInSeconds` seconds, and ignore the late result of this invocation.]*/
+    if (this._options.timeoutInSeconds) {
+      timer = setTimeout(() => {
+        debug('invocation on ' + deviceId + (moduleId ? '/' + moduleId : '') + ' timed out');
+        completeOnce(new errors.TimeoutError('the method invocation did not complete within ' + this._options.timeoutInSeconds + ' seconds'));
+        /*Codes_SRS_NODE_IOTHUB_CLIENT_16_074: [The `invokeDeviceMethodOnMany` method shall cancel the `RetryOperation` of each invocation that timed out, so that it is not retried while other invocations are started.]*/
+        cancelInvocation();
+      }, this._options.timeoutInSeconds * 1000);
+    }
+
+    cancelInvocation = this._invoke(deviceId, moduleId, (err, result) => completeOnce(err, result));
+  }
+
+  private _complete(result: DeviceMethodFanOutResult): void {
+    this._inFlightCount--;
+    this._summary.total++;
+    this._summary[result.outcome]++;
+    this._summary.results.push(result);
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_041: [The `invokeDeviceMethodOnMany` method shall call `options.onResult` with the result of each invocation as soon as it completes.]*/
+    if (this._options.onResult) {
+      this._options.onResult(result);
+    }
+    this._pump();
+  }
+
+  private static _outcomeOf(err: Error): DeviceMethodOutcome {
+    /*Codes_SRS_NODE_IOTHUB_CLIENT_16_040: [The outcome of an invocation shall be:
+    - `succeeded` if the device or module responded,
+    - `timedOut` if the invocation failed with a `TimeoutError`, a `DeviceTimeoutError` or a `GatewayTimeoutError`,
+    - `offline` if the invocation failed with a `404` response carrying the `DeviceNotOnline` IoT Hub error code (`404103`),
+    - `failed` otherwise.]*/
+    if (!err) {
+      return 'succeeded';
+    } else if (err instanceof errors.TimeoutError || err instanceof errors.DeviceTimeoutError || err instanceof errors.GatewayTimeoutError) {
+      return 'timedOut';
+    } else if (DeviceMethodFanOut._isDeviceNotOnline(err)) {
+      return 'offline';
+    } else {
+      return 'failed';
+    }
+  }
+
+  private static _isDeviceNotOnline(err: any): boolean {
+    if (!err.response || err.response.statusCode !== 404 || !err.responseBody) {
+      return false;
+    }
+
+    let body: any;
+    try {
+      body = typeof err.responseBody === 'string' ? JSON.parse(err.responseBody) : err.responseBody;
+    } catch (parseErr) {
+      return false;
+    }
+    // IoT Hub returns a numeric errorCode, older versions of the service an 'ErrorCode:<name>;<message>' string.
+    return !!body && (body.errorCode === DEVICE_NOT_ONLINE_ERROR_CODE || (typeof body.Message === 'string' && body.Message.indexOf('ErrorCode:DeviceNotOnline;') === 0));
+  }
+}
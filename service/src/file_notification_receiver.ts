@@ -0,0 +1,234 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import { EventEmitter } from 'events';
+import * as dbg from 'debug';
+const debug = dbg('azure-iothub:FileNotificationReceiver');
+
+import { errors, results, Message, callbackToPromise } from 'azure-iot-common';
+import { Client } from './client';
+import { Callback } from './interfaces';
+
+/**
+ * Notification sent by the IoT hub when a device has uploaded a file to the storage account associated with the hub.
+ */
+export interface FileUploadNotification {
+  /**
+   * Identifier of the device that uploaded the file.
+   */
+  deviceId: string;
+  /**
+   * URI of the uploaded blob.
+   */
+  blobUri: string;
+  /**
+   * Name of the uploaded blob, prefixed with the identifier of the device.
+   */
+  blobName: string;
+  /**
+   * Time at which the blob was last updated.
+   */
+  lastUpdatedTime: Date;
+  /**
+   * Size of the blob, in bytes.
+   */
+  blobSizeInBytes: number;
+  /**
+   * Time at which the notification was enqueued by the IoT hub.
+   */
+  enqueuedTimeUtc: Date;
+}
+
+/**
+ * Function called by the {@link azure-iothub.FileNotificationReceiver} for each file upload notification.
+ * It may return a Promise: in auto-complete mode the notification is completed once this Promise is resolved.
+ */
+export type FileUploadNotificationHandler = (notification: FileUploadNotification) => Promise<any> | void;
+
+/**
+ * Options of {@link azure-iothub.Client.getFileUploadNotificationReceiver}.
+ */
+export interface FileNotificationReceiverOptions {
+  /**
+   * If `true`, each notification is completed as soon as the handler returns, or once the Promise it returns is resolved.
+   * If `false` (the default), the application has to call `complete`, `abandon` or `reject` itself.
+   * In both modes the notification is abandoned if the handler throws or if the Promise it returns is rejected.
+   */
+  autoComplete?: boolean;
+}
+
+interface PendingNotification {
+  notification: FileUploadNotification;
+  message: Message;
+}
+
+/**
+ * Receives the file upload notifications of an IoT hub and passes them to a handler as {@link azure-iothub.FileUploadNotification} objects.
+ *
+ * Instances should be obtained with {@link azure-iothub.Client.getFileUploadNotificationReceiver}.
+ * Errors of the underlying receiver are forwarded with the `error` event.
+ */
+export class FileNotificationReceiver extends EventEmitter {
+  private _receiver: Client.ServiceReceiver;
+  private _autoComplete: boolean;
+  private _handler: FileUploadNotificationHandler;
+  private _pendingNotifications: PendingNotification[] = [];
+
+  /**
+   * @private
+   */
+  constructor(receiver: Client.ServiceReceiver, options?: FileNotificationReceiverOptions) {
+    super();
+    this._receiver = receiver;
+    this._autoComplete = !!(options && options.autoComplete);
+    /*Codes_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_001: [The `FileNotificationReceiver` shall forward the `error` events of the underlying receiver.]*/
+    this._receiver.on('error', (err) => this.emit('error', err));
+  }
+
+  /**
+   * Registers the function called for each file upload notification and starts receiving notifications.
+   *
+   * @param {FileUploadNotificationHandler} handler   Function called with each notification.
+   *
+   * @throws {ReferenceError}   If `handler` is falsy.
+   * @throws {InvalidOperationError}   If a handler is already registered.
+   */
+  onNotification(handler: FileUploadNotificationHandler): void {
+    /*Codes_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_002: [The `onNotification` method shall throw a `ReferenceError` if `handler` is falsy.]*/
+    if (!handler) throw new ReferenceError('handler cannot be \'' + handler + '\'');
+    /*Codes_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_003: [The `onNotification` method shall throw an `InvalidOperationError` if a handler is already registered.]*/
+    if (this._handler) throw new errors.InvalidOperationError('a file upload notification handler is already registered');
+
+    this._handler = handler;
+    /*Codes_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_004: [The `onNotification` method shall subscribe to the `message` event of the underlying receiver.]*/
+    this._receiver.on('message', (message) => this._onMessage(message));
+  }
+
+  /**
+   * Completes a notification so that the IoT hub does not deliver it again.
+   *
+   * @param {FileUploadNotification} notification   Notification passed to the handler.
+   * @param {Callback}               [done]         Optional function called when the notification has been completed.
+   * @returns {Promise<results.MessageCompleted> | void} Promise if no callback function was passed, void otherwise.
+   */
+  complete(notification: FileUploadNotification, done: Callback<results.MessageCompleted>): void;
+  complete(notification: FileUploadNotification): Promise<results.MessageCompleted>;
+  complete(notification: FileUploadNotification, done?: Callback<results.MessageCompleted>): Promise<results.MessageCompleted> | void {
+    /*Codes_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_010: [The `complete` method shall call `complete` on the underlying receiver with the message the notification was parsed from.]*/
+    return this._settle('complete', notification, done);
+  }
+
+  /**
+   * Abandons a notification so that the IoT hub delivers it again.
+   *
+   * @param {FileUploadNotification} notification   Notification passed to the handler.
+   * @param {Callback}               [done]         Optional function called when the notification has been abandoned.
+   * @returns {Promise<results.MessageAbandoned> | void} Promise if no callback function was passed, void otherwise.
+   */
+  abandon(notification: FileUploadNotification, done: Callback<results.MessageAbandoned>): void;
+  abandon(notification: FileUploadNotification): Promise<results.MessageAbandoned>;
+  abandon(notification: FileUploadNotification, done?: Callback<results.MessageAbandoned>): Promise<results.MessageAbandoned> | void {
+    /*Codes_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_011: [The `abandon` method shall call `abandon` on the underlying receiver with the message the notification was parsed from.]*/
+    return this._settle('abandon', notification, done);
+  }
+
+  /**
+   * Rejects a notification so that the IoT hub never delivers it again.
+   *
+   * @param {FileUploadNotification} notification   Notification passed to the handler.
+   * @param {Callback}               [done]         Optional function called when the notification has been rejected.
+   * @returns {Promise<results.MessageRejected> | void} Promise if no callback function was passed, void otherwise.
+   */
+  reject(notification: FileUploadNotification, done: Callback<results.MessageRejected>): void;
+  reject(notification: FileUploadNotification): Promise<results.MessageRejected>;
+  reject(notification: FileUploadNotification, done?: Callback<results.MessageRejected>): Promise<results.MessageRejected> | void {
+    /*Codes_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_012: [The `reject` method shall call `reject` on the underlying receiver with the message the notification was parsed from.]*/
+    return this._settle('reject', notification, done);
+  }
+
+  private _onMessage(message: Message): void {
+    let notification: FileUploadNotification;
+    try {
+      notification = FileNotificationReceiver._parse(message);
+    } catch (err) {
+      /*Codes_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_006: [The `FileNotificationReceiver` shall reject the messages whose body cannot be parsed as a file upload notification without calling the handler.]*/
+      debug('rejecting malformed file upload notification: ' + err.toString());
+      this._receiver.reject(message, (rejectErr) => {
+        if (rejectErr) {
+          debug('could not reject the malformed notification: ' + rejectErr.toString());
+        }
+      });
+      return;
+    }
+
+    this._pendingNotifications.push({ notification: notification, message: message });
+
+    let handlerResult: Promise<any> | void;
+    try {
+      handlerResult = this._handler(notification);
+    } catch (err) {
+      /*Codes_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_008: [The `FileNotificationReceiver` shall abandon the notification if the handler throws or if the Promise it returns is rejected.]*/
+      this._onHandlerFailure(notification, err);
+      return;
+    }
+
+    if (handlerResult && typeof (handlerResult as Promise<any>).then === 'function') {
+      (handlerResult as Promise<any>).then(() => this._onHandlerSuccess(notification), (err) => this._onHandlerFailure(notification, err));
+    } else {
+      this._onHandlerSuccess(notification);
+    }
+  }
+
+  private _onHandlerSuccess(notification: FileUploadNotification): void {
+    if (this._autoComplete) {
+      /*Codes_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_007: [If `options.autoComplete` is `true`, the `FileNotificationReceiver` shall complete the notification once the handler returns, or once the Promise it returns is resolved.]*/
+      this._settle('complete', notification, (err) => {
+        if (err) {
+          debug('could not complete the notification: ' + err.toString());
+        }
+      });
+    }
+  }
+
+  private _onHandlerFailure(notification: FileUploadNotification, handlerErr: Error): void {
+    debug('file upload notification handler failed: ' + (handlerErr ? handlerErr.toString() : 'no error'));
+    this._settle('abandon', notification, (err) => {
+      if (err) {
+        debug('could not abandon the notification: ' + err.toString());
+      }
+    });
+  }
+
+  private _settle(operation: 'complete' | 'abandon' | 'reject', notification: FileUploadNotification, done?: Callback<any>): Promise<any> | void {
+    return callbackToPromise((_callback) => {
+      const index = this._pendingNotifications.map((pending) => pending.notification).indexOf(notification);
+      if (index === -1) {
+        /*Codes_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_013: [The `complete`, `abandon` and `reject` methods shall call their callback with a `DeviceMessageLockLostError` if the notification has already been settled or was not received by this receiver.]*/
+        _callback(new errors.DeviceMessageLockLostError('the file upload notification has already been settled or was not received by this receiver'));
+      } else {
+        const message = this._pendingNotifications[index].message;
+        this._pendingNotifications.splice(index, 1);
+        this._receiver[operation](message, _callback);
+      }
+    }, done);
+  }
+
+  private static _parse(message: Message): FileUploadNotification {
+    /*Codes_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_005: [The `FileNotificationReceiver` shall parse the JSON body of each message into a `FileUploadNotification` with `lastUpdatedTime` and `enqueuedTimeUtc` as `Date` objects and call the handler with it.]*/
+    const body = JSON.parse(message.getBytes().toString());
+    if (!body || typeof body.deviceId !== 'string' || typeof body.blobUri !== 'string') {
+      throw new errors.FormatError('the file upload notification has no deviceId or blobUri');
+    }
+
+    return {
+      deviceId: body.deviceId,
+      blobUri: body.blobUri,
+      blobName: body.blobName,
+      lastUpdatedTime: new Date(body.lastUpdatedTime),
+      blobSizeInBytes: body.blobSizeInBytes,
+      enqueuedTimeUtc: new Date(body.enqueuedTimeUtc)
+    };
+  }
+}
@@ -4,17 +4,25 @@
 'use strict';
 
 import { Agent } from 'https';
-import { anHourFromNow, endpoint } from 'azure-iot-common';
+import * as dbg from 'debug';
+const debug = dbg('azure-iothub:JobClient');
+
+import { anHourFromNow, endpoint, errors, ResultWithHttpResponse, httpCallbackToPromise, callbackToPromise, RetryPolicy, validateRetryPolicy, TokenCredential } from 'azure-iot-common';
 import * as ConnectionString from './connection_string';
 import * as SharedAccessSignature from './shared_access_signature';
 import { RestApiClient } from 'azure-iot-http-base';
 import { DeviceMethod } from './device_method';
 import { Query } from './query';
-import { DeviceMethodParams } from './interfaces';
+import { QueryBuilder } from './query_builder';
+import { Callback, DeviceMethodParams } from './interfaces';
 
 // tslint:disable-next-line:no-var-requires
 const packageJson = require('../package.json');
 
+const DEFAULT_POLLING_INTERVAL_IN_SECONDS = 5;
+const DEFAULT_MAX_POLLING_INTERVAL_IN_SECONDS = 60;
+const IOTHUB_TOKEN_SCOPE = 'https://iothubs.azure.net/.default';
+
 export type JobType = 'scheduleUpdateTwin' | 'scheduleDeviceMethod';
 export type JobStatus = 'queued' | 'scheduled' | 'running' | 'cancelled' | 'finished';
 
@@ -31,6 +39,64 @@ export interface JobDescription {
   maxExecutionTimeInSeconds: number;
 }
 
+/**
+ * Options of {@link azure-iothub.JobClient.waitForJob}.
+ */
+export interface JobWaitOptions {
+  /**
+   * Time to wait before polling the job again after the first poll, in seconds. Doubled after each poll, up to `maxPollingIntervalInSeconds`. Defaults to 5.
+   */
+  pollingIntervalInSeconds?: number;
+  /**
+   * Maximum time between two polls of the job, in seconds. Defaults to 60.
+   */
+  maxPollingIntervalInSeconds?: number;
+  /**
+   * Maximum time to wait for the job to end, in seconds. No limit if not specified.
+   */
+  timeoutInSeconds?: number;
+  /**
+   * Cancel the job if it has not ended after `timeoutInSeconds`. Defaults to `false`.
+   */
+  cancelOnTimeout?: boolean;
+  /**
+   * Function called with the progress of the job every time it is polled.
+   */
+  onProgress?: (progress: JobProgress) => void;
+}
+
+/**
+ * Progress of a job, as passed to the `onProgress` option of {@link azure-iothub.JobClient.waitForJob}.
+ */
+export interface JobProgress {
+  /**
+   * Identifier of the job.
+   */
+  jobId: string | number;
+  /**
+   * Current status of the job.
+   */
+  status: string;
+  /**
+   * Counts of devices in the job: `deviceCount`, `failedCount`, `succeededCount`, `runningCount` and `pendingCount`.
+   */
+  deviceJobStatistics: any;
+}
+
+/**
+ * Result of {@link azure-iothub.JobClient.waitForJob}.
+ */
+export interface JobWaitResult {
+  /**
+   * The job, as returned by {@link azure-iothub.JobClient.getJob} once it has completed.
+   */
+  job: any;
+  /**
+   * The per-device results of the job, as returned by a query on `devices.jobs`.
+   */
+  deviceResults: any[];
+}
+
 /**
  * Provides methods to create, update, monitor and cancel long-running jobs on an IoT Hub instance, as well as query existing jobs.
  * The Jobs API in Azure IoT Hub allows to schedule direct method calls and twin updates on multiple devices.
@@ -65,8 +131,11 @@ export class JobClient {
    *                                arguments: an Error object (can be null), a
    *                                job object, and a transport-specific response
    *                                object useful for logging or debugging.
+   * @returns {Promise<ResultWithHttpResponse<any>> | void} Promise if no callback function was passed, void otherwise.
    */
-  getJob(jobId: string | number, done: JobClient.JobCallback): void {
+  getJob(jobId: string | number, done: JobClient.JobCallback): void;
+  getJob(jobId: string | number): Promise<ResultWithHttpResponse<any>>;
+  getJob(jobId: string | number, done?: JobClient.JobCallback): Promise<ResultWithHttpResponse<any>> | void {
     /*Codes_SRS_NODE_JOB_CLIENT_16_006: [The `getJob` method shall throw a `ReferenceError` if `jobId` is `null`, `undefined` or an empty string.]*/
     if (jobId === undefined || jobId === null || jobId === '') throw new ReferenceError('jobId cannot be \'' + jobId + '\'');
 
@@ -79,7 +148,9 @@ export class JobClient {
     User-Agent: <sdk-name>/<sdk-version>
     ```]*/
     const path = '/jobs/v2/' + jobId + endpoint.versionQueryString();
-    this._restApiClient.executeApiCall('GET', path, null, null, done);
+    return httpCallbackToPromise((_callback) => {
+      this._restApiClient.executeApiCall('GET', path, null, null, _callback);
+    }, done);
   }
 
 /**
@@ -104,8 +175,11 @@ export class JobClient {
    *                                arguments: an Error object (can be null), a
    *                                job object, and a transport-specific response
    *                                object useful for logging or debugging.
+   * @returns {Promise<ResultWithHttpResponse<any>> | void} Promise if no callback function was passed, void otherwise.
    */
-  cancelJob(jobId: string | number, done: JobClient.JobCallback): void {
+  cancelJob(jobId: string | number, done: JobClient.JobCallback): void;
+  cancelJob(jobId: string | number): Promise<ResultWithHttpResponse<any>>;
+  cancelJob(jobId: string | number, done?: JobClient.JobCallback): Promise<ResultWithHttpResponse<any>> | void {
     /*Codes_SRS_NODE_JOB_CLIENT_16_008: [The `cancelJob` method shall throw a `ReferenceError` if `jobId` is `null`, `undefined` or an empty string.]*/
     if (jobId === undefined || jobId === null || jobId === '') throw new ReferenceError('jobId cannot be \'' + jobId + '\'');
 
@@ -118,7 +192,138 @@ export class JobClient {
     User-Agent: <sdk-name>/<sdk-version>
     ```]*/
     const path = '/jobs/v2/' + jobId + '/cancel' + endpoint.versionQueryString();
-    this._restApiClient.executeApiCall('POST', path, null, null, done);
+    return httpCallbackToPromise((_callback) => {
+      this._restApiClient.executeApiCall('POST', path, null, null, _callback);
+    }, done);
+  }
+
+  /**
+   * @method            module:azure-iothub.JobClient#waitForJob
+   * @description       Polls an existing job until it ends, with an interval that increases after each poll.
+   *
+   * @param {String}    jobId       The identifier of an existing job.
+   * @param {Object}    [options]   Optional settings:
+   *                                - pollingIntervalInSeconds     [optional] The time to wait after the first poll (defaults to 5). Doubled after each poll.
+   *                                - maxPollingIntervalInSeconds  [optional] The maximum time between two polls (defaults to 60).
+   *                                - timeoutInSeconds             [optional] The maximum time to wait for the job to end.
+   *                                - cancelOnTimeout              [optional] Cancel the job if it has not ended after `timeoutInSeconds`.
+   *                                - onProgress                   [optional] A function called with the status and `deviceJobStatistics` of the job every time it is polled.
+   * @param {Function}  [done]      The function to call when the job has ended. `done` will be called with two
+   *                                arguments: an Error object (can be null) and an object containing the final `job`
+   *                                and its per-device results (`deviceResults`).
+   *
+   * @throws {ReferenceError}   If the jobId argument is falsy.
+   * @throws {ArgumentError}    If one of the options is not valid.
+   * @returns {Promise<JobWaitResult> | void} Promise if no callback function was passed, void otherwise.
+   */
+  waitForJob(jobId: string | number, done: Callback<JobWaitResult>): void;
+  waitForJob(jobId: string | number, options: JobWaitOptions, done: Callback<JobWaitResult>): void;
+  waitForJob(jobId: string | number, options?: JobWaitOptions): Promise<JobWaitResult>;
+  waitForJob(jobId: string | number, optionsOrDone?: JobWaitOptions | Callback<JobWaitResult>, done?: Callback<JobWaitResult>): Promise<JobWaitResult> | void {
+    /*Codes_SRS_NODE_JOB_CLIENT_16_038: [The `waitForJob` method shall throw a `ReferenceError` if `jobId` is `null`, `undefined` or an empty string.]*/
+    if (jobId === undefined || jobId === null || jobId === '') throw new ReferenceError('jobId cannot be \'' + jobId + '\'');
+
+    let options: JobWaitOptions;
+    let actualCallback: Callback<JobWaitResult>;
+    if (typeof optionsOrDone === 'function') {
+      options = {};
+      actualCallback = optionsOrDone;
+    } else {
+      options = optionsOrDone || {};
+      actualCallback = done;
+    }
+
+    /*Codes_SRS_NODE_JOB_CLIENT_16_039: [The `waitForJob` method shall throw an `ArgumentError` if `options.pollingIntervalInSeconds`, `options.maxPollingIntervalInSeconds` or `options.timeoutInSeconds` is specified and is not a positive number.]*/
+    ['pollingIntervalInSeconds', 'maxPollingIntervalInSeconds', 'timeoutInSeconds'].forEach((optionName) => {
+      const value = options[optionName];
+      if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+        throw new errors.ArgumentError('options.' + optionName + ' must be a positive number');
+      }
+    });
+
+    const maxPollingInterval = (options.maxPollingIntervalInSeconds || DEFAULT_MAX_POLLING_INTERVAL_IN_SECONDS) * 1000;
+    let pollingInterval = Math.min((options.pollingIntervalInSeconds || DEFAULT_POLLING_INTERVAL_IN_SECONDS) * 1000, maxPollingInterval);
+
+    /*Codes_SRS_NODE_JOB_CLIENT_16_049: [The `waitForJob` method shall return a `Promise` if no callback is specified, that is resolved with the final job and its per-device results or rejected with the error.]*/
+    return callbackToPromise((_callback) => {
+      let pollTimer: any;
+      let timeoutTimer: any;
+      let stopped = false;
+
+      const stop = (err: Error, result?: JobWaitResult) => {
+        if (!stopped) {
+          stopped = true;
+          clearTimeout(pollTimer);
+          clearTimeout(timeoutTimer);
+          _callback(err, result);
+        }
+      };
+
+      const poll = () => {
+        /*Codes_SRS_NODE_JOB_CLIENT_16_040: [The `waitForJob` method shall get the job using `getJob`, immediately and then after `options.pollingIntervalInSeconds` seconds (5 by default), doubling the interval after each poll up to `options.maxPollingIntervalInSeconds` seconds (60 by default).]*/
+        this.getJob(jobId, (err, job) => {
+          if (stopped) {
+            return;
+          }
+
+          if (err) {
+            /*Codes_SRS_NODE_JOB_CLIENT_16_041: [The `waitForJob` method shall call its callback with an error if `getJob` fails.]*/
+            stop(err);
+            return;
+          }
+
+          /*Codes_SRS_NODE_JOB_CLIENT_16_042: [The `waitForJob` method shall call `options.onProgress` with the `jobId`, the `status` and the `deviceJobStatistics` of the job after each poll.]*/
+          if (options.onProgress) {
+            options.onProgress({ jobId: jobId, status: job.status, deviceJobStatistics: job.deviceJobStatistics });
+          }
+
+          if (job.status === 'completed' || job.status === 'finished') {
+            clearTimeout(timeoutTimer);
+            /*Codes_SRS_NODE_JOB_CLIENT_16_043: [Once the job is `completed`, the `waitForJob` method shall query `devices.jobs` for the results of the job on each device and call its callback with an object containing the final `job` and the `deviceResults`.]*/
+            this._getJobDeviceResults(jobId, (queryErr, deviceResults) => {
+              if (queryErr) {
+                /*Codes_SRS_NODE_JOB_CLIENT_16_044: [The `waitForJob` method shall call its callback with an error if the query on `devices.jobs` fails.]*/
+                stop(queryErr);
+              } else {
+                stop(null, { job: job, deviceResults: deviceResults });
+              }
+            });
+          } else if (job.status === 'failed') {
+            /*Codes_SRS_NODE_JOB_CLIENT_16_045: [The `waitForJob` method shall call its callback with a `JobFailedError` containing the `job` if the job has `failed`.]*/
+            const failedError = new errors.JobFailedError('job ' + jobId + ' failed' + (job.failureReason ? ': ' + job.failureReason : ''));
+            failedError.job = job;
+            stop(failedError);
+          } else if (job.status === 'cancelled') {
+            /*Codes_SRS_NODE_JOB_CLIENT_16_046: [The `waitForJob` method shall call its callback with an `OperationCancelledError` if the job has been `cancelled`.]*/
+            stop(new errors.OperationCancelledError('job ' + jobId + ' was cancelled'));
+          } else {
+            pollTimer = setTimeout(poll, pollingInterval);
+            pollingInterval = Math.min(pollingInterval * 2, maxPollingInterval);
+          }
+        });
+      };
+
+      if (options.timeoutInSeconds) {
+        timeoutTimer = setTimeout(() => {
+          const timeoutError = new errors.TimeoutError('job ' + jobId + ' did not end within ' + options.timeoutInSeconds + ' seconds');
+          if (options.cancelOnTimeout) {
+            clearTimeout(pollTimer);
+            /*Codes_SRS_NODE_JOB_CLIENT_16_048: [If `options.cancelOnTimeout` is `true`, the `waitForJob` method shall cancel the job using `cancelJob` before calling its callback with the `TimeoutError`, even if the cancellation fails.]*/
+            this.cancelJob(jobId, (cancelErr) => {
+              if (cancelErr) {
+                debug('could not cancel job ' + jobId + ': ' + cancelErr.toString());
+              }
+              stop(timeoutError);
+            });
+          } else {
+            /*Codes_SRS_NODE_JOB_CLIENT_16_047: [The `waitForJob` method shall stop polling the job and call its callback with a `TimeoutError` if the job has not ended after `options.timeoutInSeconds` seconds.]*/
+            stop(timeoutError);
+          }
+        }, options.timeoutInSeconds * 1000);
+      }
+
+      poll();
+    }, actualCallback);
   }
 
   /**
@@ -143,8 +348,13 @@ export class JobClient {
    * @throws {ReferenceError}   If one or more of the jobId, queryCondition or methodParams arguments are falsy.
    * @throws {ReferenceError}   If methodParams.methodName is falsy.
    * @throws {TypeError}        If the callback is not the last parameter
+   * @returns {Promise<ResultWithHttpResponse<any>> | void} Promise if no callback function was passed, void otherwise.
    */
-  scheduleDeviceMethod(jobId: string | number, queryCondition: string, methodParams: DeviceMethodParams, jobStartTime?: Date | JobClient.JobCallback, maxExecutionTimeInSeconds?: number | JobClient.JobCallback, done?: JobClient.JobCallback): void {
+  scheduleDeviceMethod(jobId: string | number, queryCondition: string, methodParams: DeviceMethodParams, done: JobClient.JobCallback): void;
+  scheduleDeviceMethod(jobId: string | number, queryCondition: string, methodParams: DeviceMethodParams, jobStartTime: Date, done: JobClient.JobCallback): void;
+  scheduleDeviceMethod(jobId: string | number, queryCondition: string, methodParams: DeviceMethodParams, jobStartTime: Date, maxExecutionTimeInSeconds: number, done: JobClient.JobCallback): void;
+  scheduleDeviceMethod(jobId: string | number, queryCondition: string, methodParams: DeviceMethodParams, jobStartTime?: Date, maxExecutionTimeInSeconds?: number): Promise<ResultWithHttpResponse<any>>;
+  scheduleDeviceMethod(jobId: string | number, queryCondition: string, methodParams: DeviceMethodParams, jobStartTime?: Date | JobClient.JobCallback, maxExecutionTimeInSeconds?: number | JobClient.JobCallback, done?: JobClient.JobCallback): Promise<ResultWithHttpResponse<any>> | void {
     /*Codes_SRS_NODE_JOB_CLIENT_16_013: [The `scheduleDeviceMethod` method shall throw a `ReferenceError` if `jobId` is `null`, `undefined` or an empty string.]*/
     if (jobId === undefined || jobId === null || jobId === '') throw new ReferenceError('jobId cannot be \'' + jobId + '\'');
     /*Codes_SRS_NODE_JOB_CLIENT_16_014: [The `scheduleDeviceMethod` method shall throw a `ReferenceError` if `queryCondition` is falsy.]*/
@@ -218,7 +428,9 @@ export class JobClient {
       throw new TypeError('queryCondition must be a sql WHERE clause string');
     }
 
-    this._scheduleJob(jobDesc, done);
+    return httpCallbackToPromise((_callback) => {
+      this._scheduleJob(jobDesc, _callback);
+    }, done);
   }
 
   /**
@@ -239,8 +451,13 @@ export class JobClient {
    *
    * @throws {ReferenceError}   If one or more of the jobId, queryCondition or patch arguments are falsy.
    * @throws {TypeError}        If the callback is not the last parameter
+   * @returns {Promise<ResultWithHttpResponse<any>> | void} Promise if no callback function was passed, void otherwise.
    */
-  scheduleTwinUpdate(jobId: string | number, queryCondition: string, patch: any, jobStartTime?: Date | JobClient.JobCallback, maxExecutionTimeInSeconds?: number | JobClient.JobCallback, done?: JobClient.JobCallback): void {
+  scheduleTwinUpdate(jobId: string | number, queryCondition: string, patch: any, done: JobClient.JobCallback): void;
+  scheduleTwinUpdate(jobId: string | number, queryCondition: string, patch: any, jobStartTime: Date, done: JobClient.JobCallback): void;
+  scheduleTwinUpdate(jobId: string | number, queryCondition: string, patch: any, jobStartTime: Date, maxExecutionTimeInSeconds: number, done: JobClient.JobCallback): void;
+  scheduleTwinUpdate(jobId: string | number, queryCondition: string, patch: any, jobStartTime?: Date, maxExecutionTimeInSeconds?: number): Promise<ResultWithHttpResponse<any>>;
+  scheduleTwinUpdate(jobId: string | number, queryCondition: string, patch: any, jobStartTime?: Date | JobClient.JobCallback, maxExecutionTimeInSeconds?: number | JobClient.JobCallback, done?: JobClient.JobCallback): Promise<ResultWithHttpResponse<any>> | void {
     /*Codes_SRS_NODE_JOB_CLIENT_16_021: [The `scheduleTwinUpdate` method shall throw a `ReferenceError` if `jobId` is `null`, `undefined` or an empty string.]*/
     if (jobId === undefined || jobId === null || jobId === '') throw new ReferenceError('jobId cannot be \'' + jobId + '\'');
     /*Codes_SRS_NODE_JOB_CLIENT_16_022: [The `scheduleTwinUpdate` method shall throw a `ReferenceError` if `query` is falsy.]*/
@@ -298,7 +515,46 @@ export class JobClient {
       maxExecutionTimeInSeconds: <maxExecutionTimeInSeconds>        // format TBD
     }
     ```]*/
-    this._scheduleJob(jobDesc, done);
+    return httpCallbackToPromise((_callback) => {
+      this._scheduleJob(jobDesc, _callback);
+    }, done);
+  }
+
+  /**
+   * @method            module:azure-iothub.JobClient#setRetryPolicy
+   * @description       Sets the policy used to retry the requests that fail, for example because the IoT hub is throttling them.
+   *                    Requests are not retried by default. When the policy retries a throttled request, it waits at least the time specified by its `Retry-After` header.
+   *
+   * @param {RetryPolicy} policy  The retry policy to use for all subsequent requests (e.g. `ExponentialBackOffWithJitter`).
+   *
+   * @throws {ReferenceError}     If the policy is falsy.
+   * @throws {ArgumentError}      If the policy object doesn't have a `shouldRetry` and a `nextRetryTimeout` method.
+   */
+  setRetryPolicy(policy: RetryPolicy): void {
+    /*Codes_SRS_NODE_JOB_CLIENT_16_051: [The `setRetryPolicy` method shall throw a `ReferenceError` if the `policy` argument is falsy.]*/
+    /*Codes_SRS_NODE_JOB_CLIENT_16_052: [The `setRetryPolicy` method shall throw an `ArgumentError` if the `policy` object does not have a `shouldRetry` method and a `nextRetryTimeout` method.]*/
+    validateRetryPolicy(policy);
+
+    /*Codes_SRS_NODE_JOB_CLIENT_16_053: [The `setRetryPolicy` method shall pass the `policy` to the `setRetryPolicy` method of the `RestApiClient` so that it is used by all subsequent requests.]*/
+    if (this._restApiClient.setRetryPolicy) {
+      this._restApiClient.setRetryPolicy(policy);
+    }
+  }
+
+  /**
+   * @method            module:azure-iothub.JobClient#setOptions
+   * @description       Sets the options of the HTTP requests used to schedule, get and cancel jobs. The responses of these requests go through
+   *                    `options.interceptors` before being translated into errors, which can be used to record their latency.
+   *
+   * @param {Object}    options   The HTTP options, and the {@link azure-iot-http-base.RestApiClient.Interceptor} functions to use.
+   *
+   * @throws {ArgumentError}      If `options.interceptors` is not an array of functions.
+   */
+  setOptions(options: RestApiClient.Options): void {
+    /*Codes_SRS_NODE_JOB_CLIENT_16_054: [The `setOptions` method shall pass `options` to the `setOptions` method of the `RestApiClient`.]*/
+    if (this._restApiClient.setOptions) {
+      this._restApiClient.setOptions(options);
+    }
   }
 
   private _getJobsFunc(jobType: JobType, jobStatus: JobStatus, pageSize: number): (continuationToken: string, done: JobClient.JobCallback) => void {
@@ -329,6 +585,52 @@ export class JobClient {
       };
   }
 
+  private _getJobDeviceResults(jobId: string | number, done: Callback<any[]>): void {
+    const sqlQuery = new QueryBuilder().from('devices.jobs').where(QueryBuilder.field('devices.jobs.jobId').equals(jobId.toString())).toString();
+    const query = new Query((continuationToken, queryCallback) => {
+      /*Codes_SRS_NODE_JOB_CLIENT_16_050: [The `waitForJob` method shall query the per-device results of the job as follows:
+      ```
+      POST /devices/query?api-version=<version> HTTP/1.1
+      Authorization: <config.sharedAccessSignature>
+      Content-Type: application/json; charset=utf-8
+      x-ms-continuation: continuationToken
+      Request-Id: <guid>
+
+      {
+        query: "SELECT * FROM devices.jobs WHERE devices.jobs.jobId = '<jobId>'"
+      }
+      ```]*/
+      const path = '/devices/query' + endpoint.versionQueryString();
+      const headers = {
+        'Content-Type': 'application/json; charset=utf-8'
+      };
+
+      if (continuationToken) {
+        headers['x-ms-continuation'] = continuationToken;
+      }
+
+      this._restApiClient.executeApiCall('POST', path, headers, { query: sqlQuery }, queryCallback);
+    });
+
+    let deviceResults = [];
+    const getNextPage = () => {
+      query.next((err, page) => {
+        if (err) {
+          done(err);
+        } else {
+          deviceResults = deviceResults.concat(page);
+          if (query.hasMoreResults) {
+            getNextPage();
+          } else {
+            done(null, deviceResults);
+          }
+        }
+      });
+    };
+
+    getNextPage();
+  }
+
   private _scheduleJob(jobDesc: JobDescription, done: JobClient.JobCallback): void {
     const path = '/jobs/v2/' + encodeURIComponent(jobDesc.jobId.toString()) + endpoint.versionQueryString();
     const headers = {
@@ -337,6 +639,8 @@ export class JobClient {
 
     /*Codes_SRS_NODE_JOB_CLIENT_16_027: [The method shall call the `done` callback with a single argument that is a standard Javascript `Error` object if the request failed.]*/
     /*Codes_SRS_NODE_JOB_CLIENT_16_028: [The method shall call the `done` callback with a `null` error argument, a result and a transport-specific response object if the request was successful.]*/
+    /*Codes_SRS_NODE_JOB_CLIENT_16_036: [If no `done` callback is specified, the method shall return a `Promise` that is rejected with a standard Javascript `Error` object if the request failed.]*/
+    /*Codes_SRS_NODE_JOB_CLIENT_16_037: [If no `done` callback is specified, the method shall return a `Promise` that is resolved with an object containing the `result` and the transport-specific `response` object if the request was successful.]*/
     this._restApiClient.executeApiCall('PUT', path, headers, jobDesc, done);
   }
 
@@ -393,6 +697,34 @@ export class JobClient {
     /*Codes_SRS_NODE_JOB_CLIENT_16_005: [The `fromSharedAccessSignature` method shall return a new `JobClient` instance.]*/
     return new JobClient(new RestApiClient(config, packageJson.name + '/' + packageJson.version));
   }
+
+  /**
+   * @method            module:azure-iothub.JobClient.fromTokenCredential
+   * @description       Constructs a JobClient object authenticated with Azure Active Directory.
+   *                    Access tokens are requested from the credential and renewed automatically before they expire.
+   * @static
+   *
+   * @param {String}    hostName      The host name of the IoT hub.
+   * @param {Object}    credential    A credential with a `getToken` method, such as the credentials of the `@azure/identity` package.
+   *
+   * @throws  {ReferenceError}  If the hostName or credential argument is falsy.
+   *
+   * @returns {module:azure-iothub.JobClient}
+   */
+  static fromTokenCredential(hostName: string, credential: TokenCredential): JobClient {
+    /*Codes_SRS_NODE_JOB_CLIENT_16_055: [The `fromTokenCredential` method shall throw a `ReferenceError` if `hostName` or `credential` is falsy.]*/
+    if (!hostName) throw new ReferenceError('hostName cannot be \'' + hostName + '\'');
+    if (!credential) throw new ReferenceError('credential cannot be \'' + credential + '\'');
+
+    const config = {
+      host: hostName,
+      tokenCredential: credential,
+      tokenScope: IOTHUB_TOKEN_SCOPE
+    };
+
+    /*Codes_SRS_NODE_JOB_CLIENT_16_056: [The `fromTokenCredential` method shall return a new `JobClient` instance that gets access tokens from `credential` for the `https://iothubs.azure.net/.default` scope.]*/
+    return new JobClient(new RestApiClient(config, packageJson.name + '/' + packageJson.version));
+  }
 }
 
 export namespace JobClient {
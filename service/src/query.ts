@@ -3,10 +3,13 @@
 
 'use strict';
 
+import { createQueryIterator, QueryIterationOptions } from 'azure-iot-common';
 import { Twin } from './twin';
 import { Callback } from './interfaces';
 import { Registry } from './registry';
 
+export { QueryIterationOptions };
+
 /**
  * Constructs a Query object that provides APIs to trigger the execution of a device query.
  * SDK users should create queries using the {@link azure-iothub.JobClient.createQuery} and {@link azure-iothub.Registry.createQuery} APIs
@@ -114,4 +117,50 @@ export class Query {
       }
     });
   }
+
+  /**
+   * @method              module:azure-iothub.Query#iterate
+   * @description         Iterates over the results of the query item by item, fetching new pages as needed, starting from the current position of the query.
+   * @param {Object}      options   Optional {@link azure-iothub.QueryIterationOptions} object used to cap the number of items or abort the iteration.
+   * @returns {AsyncIterableIterator<any>} An async iterator that can be used with `for await`.
+   * @throws {ArgumentError}        If `options.maxItems` is not a positive number.
+   */
+  iterate(options?: QueryIterationOptions): AsyncIterableIterator<any> {
+    /*Codes_SRS_NODE_SERVICE_QUERY_16_024: [The `iterate` method shall yield the results of the query as they are returned by the service.]*/
+    return this._iterate((item) => item, options);
+  }
+
+  /**
+   * @method              module:azure-iothub.Query#iterateAsTwin
+   * @description         Iterates over the results of the query item by item and cast them as Twins, fetching new pages as needed, starting from the current position of the query.
+   * @param {Object}      options   Optional {@link azure-iothub.QueryIterationOptions} object used to cap the number of items or abort the iteration.
+   * @returns {AsyncIterableIterator<Twin>} An async iterator that can be used with `for await`.
+   * @throws {ArgumentError}        If `options.maxItems` is not a positive number.
+   */
+  iterateAsTwin(options?: QueryIterationOptions): AsyncIterableIterator<Twin> {
+    /*Codes_SRS_NODE_SERVICE_QUERY_16_025: [The `iterateAsTwin` method shall yield `Twin` objects created from the results of the query.]*/
+    return this._iterate((twinJson) => new Twin(twinJson, this._registry), options);
+  }
+
+  /**
+   * @method              module:azure-iothub.Query#[Symbol.asyncIterator]
+   * @description         Makes the query usable with `for await`: iterates over all its results with the default options of {@link azure-iothub.Query.iterate}.
+   */
+  [Symbol.asyncIterator](): AsyncIterableIterator<any> {
+    /*Codes_SRS_NODE_SERVICE_QUERY_16_023: [The `Symbol.asyncIterator` method shall return the same iterator as the `iterate` method called without options.]*/
+    return this.iterate();
+  }
+
+  private _iterate<T>(toItem: (result: any) => T, options?: QueryIterationOptions): AsyncIterableIterator<T> {
+    /*Codes_SRS_NODE_SERVICE_QUERY_16_018: [The `iterate` and `iterateAsTwin` methods shall throw an `ArgumentError` if `options.maxItems` is specified and is not a positive number.]*/
+    /*Codes_SRS_NODE_SERVICE_QUERY_16_019: [The iterator shall reject with an `OperationCancelledError` and stop if `options.abortSignal` is aborted before an item is yielded.]*/
+    /*Codes_SRS_NODE_SERVICE_QUERY_16_020: [The iterator shall be done once `options.maxItems` items have been yielded or once all the pages have been fetched and all their items yielded.]*/
+    /*Codes_SRS_NODE_SERVICE_QUERY_16_021: [The iterator shall fetch the next page of results with the `next` method when all the items of the current page have been yielded, and reject with the error if the request fails.]*/
+    /*Codes_SRS_NODE_SERVICE_QUERY_16_022: [The iterator shall stop fetching pages once its `return` method has been called, which happens when a `for await` loop is exited early.]*/
+    const iterator = createQueryIterator<T>((callback) => {
+      this.next((err, result) => callback(err, result ? result.map(toItem) : result));
+    }, () => this.hasMoreResults, options) as AsyncIterableIterator<T>;
+    iterator[Symbol.asyncIterator] = () => iterator;
+    return iterator;
+  }
 }
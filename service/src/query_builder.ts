@@ -0,0 +1,365 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import { errors } from 'azure-iot-common';
+
+/**
+ * Collections that can be queried with the IoT Hub query language.
+ */
+export type QuerySource = 'devices' | 'devices.modules' | 'devices.jobs';
+
+/**
+ * Values that can be compared to a field in a query condition. Dates are compared using their ISO 8601 representation.
+ */
+export type QueryValue = string | number | boolean | Date | null;
+
+const querySources = ['devices', 'devices.modules', 'devices.jobs'];
+const pathSegmentRegex = /^\$?[A-Za-z_][A-Za-z0-9_]*$/;
+const aliasRegex = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function validatePath(path: string): void {
+  /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_001: [A `ReferenceError` shall be thrown if a field path is falsy.]*/
+  if (!path) {
+    throw new ReferenceError('path cannot be \'' + path + '\'');
+  }
+
+  /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_002: [An `ArgumentError` shall be thrown if a field path is not a string made of dot-separated identifiers, each optionally prefixed with `$`.]*/
+  if (typeof path !== 'string' || !path.split('.').every((segment) => pathSegmentRegex.test(segment))) {
+    throw new errors.ArgumentError('invalid field path: \'' + path + '\'');
+  }
+}
+
+function formatValue(value: QueryValue): string {
+  if (value === null) {
+    return 'null';
+  } else if (typeof value === 'string') {
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_003: [String values shall be enclosed in single quotes, with backslashes and single quotes escaped with a backslash.]*/
+    return '\'' + value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'') + '\'';
+  } else if (typeof value === 'number') {
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_004: [An `ArgumentError` shall be thrown if a number value is not finite.]*/
+    if (!isFinite(value)) {
+      throw new errors.ArgumentError('numbers used in queries must be finite (got \'' + value + '\')');
+    }
+    return value.toString();
+  } else if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  } else if (value instanceof Date) {
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_005: [Date values shall be formatted as quoted ISO 8601 strings.]*/
+    return '\'' + value.toISOString() + '\'';
+  } else {
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_006: [An `ArgumentError` shall be thrown if a value is not a string, a number, a boolean, a `Date` or `null`.]*/
+    throw new errors.ArgumentError('unsupported query value: \'' + value + '\'');
+  }
+}
+
+/**
+ * Boolean condition on the fields of devices, modules or jobs, built with the methods of {@link azure-iothub.QueryField} and combined with `and`, `or` and `not`.
+ *
+ * Its string representation is the bare condition expected by the `queryCondition` argument of {@link azure-iothub.JobClient.scheduleDeviceMethod}
+ * and {@link azure-iothub.JobClient.scheduleTwinUpdate}, and can be used in the `WHERE` clause of a {@link azure-iothub.QueryBuilder}.
+ */
+export class QueryCondition {
+  private _expression: string;
+
+  /**
+   * @private
+   */
+  constructor(expression: string) {
+    this._expression = expression;
+  }
+
+  /**
+   * Returns a condition that is true when both this condition and `other` are true.
+   */
+  and(other: QueryCondition): QueryCondition {
+    return QueryCondition.and(this, other);
+  }
+
+  /**
+   * Returns a condition that is true when this condition or `other` is true.
+   */
+  or(other: QueryCondition): QueryCondition {
+    return QueryCondition.or(this, other);
+  }
+
+  /**
+   * Returns a condition that is true when this condition is false.
+   */
+  not(): QueryCondition {
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_007: [The `not` method shall return a condition formatted as `NOT (<condition>)`.]*/
+    return new QueryCondition('NOT (' + this._expression + ')');
+  }
+
+  /**
+   * Returns the condition in the IoT Hub query language.
+   */
+  toString(): string {
+    return this._expression;
+  }
+
+  /**
+   * Returns a condition that is true when all the `conditions` are true.
+   */
+  static and(...conditions: QueryCondition[]): QueryCondition {
+    return QueryCondition._combine('AND', conditions);
+  }
+
+  /**
+   * Returns a condition that is true when any of the `conditions` is true.
+   */
+  static or(...conditions: QueryCondition[]): QueryCondition {
+    return QueryCondition._combine('OR', conditions);
+  }
+
+  private static _combine(operator: string, conditions: QueryCondition[]): QueryCondition {
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_008: [The `and` and `or` methods shall throw an `ArgumentError` if they are not given at least one `QueryCondition`.]*/
+    if (conditions.length === 0 || !conditions.every((condition) => condition instanceof QueryCondition)) {
+      throw new errors.ArgumentError(operator + ' expects one or more QueryCondition objects');
+    }
+
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_009: [The `and` and `or` methods shall join the conditions with the `AND` or `OR` operator, each enclosed in parentheses.]*/
+    return new QueryCondition(conditions.map((condition) => '(' + condition.toString() + ')').join(' ' + operator + ' '));
+  }
+}
+
+/**
+ * Field of a device, module or job, used to build {@link azure-iothub.QueryCondition} objects.
+ * Fields are usually created with {@link azure-iothub.QueryBuilder.field}, {@link azure-iothub.QueryBuilder.tag},
+ * {@link azure-iothub.QueryBuilder.reported} and {@link azure-iothub.QueryBuilder.desired}.
+ */
+export class QueryField {
+  private _path: string;
+
+  /**
+   * @param path  Dot-separated path of the field, such as `deviceId` or `properties.reported.firmwareVersion`.
+   */
+  constructor(path: string) {
+    validatePath(path);
+    this._path = path;
+  }
+
+  /**
+   * Returns a condition that is true when the field is equal to `value`.
+   */
+  equals(value: QueryValue): QueryCondition {
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_010: [The comparison methods shall return a condition formatted as `<path> <operator> <formatted value>` with the `=`, `!=`, `>`, `>=`, `<` and `<=` operators.]*/
+    return this._compare('=', value);
+  }
+
+  /**
+   * Returns a condition that is true when the field is not equal to `value`.
+   */
+  notEquals(value: QueryValue): QueryCondition {
+    return this._compare('!=', value);
+  }
+
+  /**
+   * Returns a condition that is true when the field is greater than `value`.
+   */
+  greaterThan(value: QueryValue): QueryCondition {
+    return this._compare('>', value);
+  }
+
+  /**
+   * Returns a condition that is true when the field is greater than or equal to `value`.
+   */
+  greaterThanOrEqual(value: QueryValue): QueryCondition {
+    return this._compare('>=', value);
+  }
+
+  /**
+   * Returns a condition that is true when the field is less than `value`.
+   */
+  lessThan(value: QueryValue): QueryCondition {
+    return this._compare('<', value);
+  }
+
+  /**
+   * Returns a condition that is true when the field is less than or equal to `value`.
+   */
+  lessThanOrEqual(value: QueryValue): QueryCondition {
+    return this._compare('<=', value);
+  }
+
+  /**
+   * Returns a condition that is true when the field is equal to one of the `values`.
+   */
+  in(values: QueryValue[]): QueryCondition {
+    return this._compareToList('IN', values);
+  }
+
+  /**
+   * Returns a condition that is true when the field is not equal to any of the `values`.
+   */
+  notIn(values: QueryValue[]): QueryCondition {
+    return this._compareToList('NIN', values);
+  }
+
+  /**
+   * Returns a condition that is true when the field exists.
+   */
+  isDefined(): QueryCondition {
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_011: [The `isDefined` method shall return a condition formatted as `IS_DEFINED(<path>)`.]*/
+    return new QueryCondition('IS_DEFINED(' + this._path + ')');
+  }
+
+  /**
+   * Returns the path of the field.
+   */
+  toString(): string {
+    return this._path;
+  }
+
+  private _compare(operator: string, value: QueryValue): QueryCondition {
+    return new QueryCondition(this._path + ' ' + operator + ' ' + formatValue(value));
+  }
+
+  private _compareToList(operator: string, values: QueryValue[]): QueryCondition {
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_012: [The `in` and `notIn` methods shall throw an `ArgumentError` if `values` is not a non-empty array.]*/
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new errors.ArgumentError(operator + ' expects a non-empty array of values');
+    }
+
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_013: [The `in` and `notIn` methods shall return a condition formatted as `<path> IN [<formatted values>]` and `<path> NIN [<formatted values>]`.]*/
+    return new QueryCondition(this._path + ' ' + operator + ' [' + values.map(formatValue).join(', ') + ']');
+  }
+}
+
+/**
+ * Builds queries in the IoT Hub query language, escaping the values so that they can safely come from user input.
+ *
+ * @example
+ * const sqlQuery = new QueryBuilder()
+ *   .select('properties.reported.firmwareVersion')
+ *   .count('numberOfDevices')
+ *   .from('devices')
+ *   .where(QueryBuilder.tag('location.region').equals(region).and(QueryBuilder.reported('firmwareVersion').isDefined()))
+ *   .groupBy('properties.reported.firmwareVersion')
+ *   .toString();
+ * const query = registry.createQuery(sqlQuery);
+ */
+export class QueryBuilder {
+  private _fields: string[] = [];
+  private _countAlias: string;
+  private _source: QuerySource = 'devices';
+  private _condition: QueryCondition;
+  private _groupByFields: string[] = [];
+
+  /**
+   * Adds fields to the `SELECT` clause. All the fields (`*`) are selected if neither this method nor {@link azure-iothub.QueryBuilder.count} is called.
+   *
+   * @param fields  Paths of the fields to select, such as `deviceId` or `properties.reported.firmwareVersion`.
+   */
+  select(...fields: (string | QueryField)[]): QueryBuilder {
+    fields.forEach((field) => {
+      const path = field instanceof QueryField ? field.toString() : field;
+      validatePath(path);
+      this._fields.push(path);
+    });
+    return this;
+  }
+
+  /**
+   * Adds `COUNT()` to the `SELECT` clause, optionally with an alias.
+   *
+   * @param alias   Name of the property containing the count in the results.
+   */
+  count(alias?: string): QueryBuilder {
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_014: [The `count` method shall throw an `ArgumentError` if `alias` is specified and is not an identifier.]*/
+    if (alias !== undefined && (typeof alias !== 'string' || !aliasRegex.test(alias))) {
+      throw new errors.ArgumentError('invalid alias: \'' + alias + '\'');
+    }
+    this._countAlias = alias || '';
+    return this;
+  }
+
+  /**
+   * Sets the collection to query. The default is `devices`.
+   */
+  from(source: QuerySource): QueryBuilder {
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_015: [The `from` method shall throw an `ArgumentError` if `source` is not `devices`, `devices.modules` or `devices.jobs`.]*/
+    if (querySources.indexOf(source) === -1) {
+      throw new errors.ArgumentError('source must be one of ' + querySources.join(', ') + ' (got \'' + source + '\')');
+    }
+    this._source = source;
+    return this;
+  }
+
+  /**
+   * Sets the condition of the `WHERE` clause.
+   */
+  where(condition: QueryCondition): QueryBuilder {
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_016: [The `where` method shall throw an `ArgumentError` if `condition` is not a `QueryCondition`.]*/
+    if (!(condition instanceof QueryCondition)) {
+      throw new errors.ArgumentError('condition must be a QueryCondition object');
+    }
+    this._condition = condition;
+    return this;
+  }
+
+  /**
+   * Adds fields to the `GROUP BY` clause.
+   */
+  groupBy(...fields: (string | QueryField)[]): QueryBuilder {
+    fields.forEach((field) => {
+      const path = field instanceof QueryField ? field.toString() : field;
+      validatePath(path);
+      this._groupByFields.push(path);
+    });
+    return this;
+  }
+
+  /**
+   * Returns the full query, to be passed to {@link azure-iothub.Registry.createQuery}.
+   */
+  toString(): string {
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_017: [The `toString` method shall return the query formatted as `SELECT <fields, COUNT() [AS <alias>]> FROM <source> [WHERE <condition>] [GROUP BY <fields>]`, selecting `*` if no field and no count was specified.]*/
+    const selected = this._fields.slice();
+    if (this._countAlias !== undefined) {
+      selected.push(this._countAlias ? 'COUNT() AS ' + this._countAlias : 'COUNT()');
+    }
+
+    let query = 'SELECT ' + (selected.length > 0 ? selected.join(', ') : '*') + ' FROM ' + this._source;
+    if (this._condition) {
+      query += ' WHERE ' + this._condition.toString();
+    }
+    if (this._groupByFields.length > 0) {
+      query += ' GROUP BY ' + this._groupByFields.join(', ');
+    }
+    return query;
+  }
+
+  /**
+   * Creates a field from its full path, such as `deviceId`, `status` or `properties.reported.firmwareVersion`.
+   */
+  static field(path: string): QueryField {
+    return new QueryField(path);
+  }
+
+  /**
+   * Creates a field for a tag of the device twin, such as `location.region` for `tags.location.region`.
+   */
+  static tag(path: string): QueryField {
+    /*Codes_SRS_NODE_IOTHUB_QUERY_BUILDER_16_018: [The `tag`, `reported` and `desired` methods shall prefix the path with `tags.`, `properties.reported.` and `properties.desired.` respectively.]*/
+    validatePath(path);
+    return new QueryField('tags.' + path);
+  }
+
+  /**
+   * Creates a field for a reported property of the device twin, such as `firmwareVersion` for `properties.reported.firmwareVersion`.
+   */
+  static reported(path: string): QueryField {
+    validatePath(path);
+    return new QueryField('properties.reported.' + path);
+  }
+
+  /**
+   * Creates a field for a desired property of the device twin, such as `telemetryInterval` for `properties.desired.telemetryInterval`.
+   */
+  static desired(path: string): QueryField {
+    validatePath(path);
+    return new QueryField('properties.desired.' + path);
+  }
+}
@@ -0,0 +1,73 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import { errors } from 'azure-iot-common';
+
+/**
+ * @private
+ * Token bucket used to stay under an IoT hub quota expressed in operations per minute.
+ * Tokens are refilled continuously, up to a full minute worth of operations, and requests are served in the order they were made.
+ */
+export class RateLimiter {
+  private _tokensPerMinute: number;
+  private _tokens: number;
+  private _lastRefillTime: number;
+  private _queue: { tokens: number, callback: () => void }[] = [];
+  private _timer: any;
+
+  constructor(tokensPerMinute: number) {
+    /*Codes_SRS_NODE_IOTHUB_RATE_LIMITER_16_001: [The `RateLimiter` constructor shall throw an `ArgumentError` if `tokensPerMinute` is not a positive number.]*/
+    if (!(typeof tokensPerMinute === 'number' && tokensPerMinute > 0)) {
+      throw new errors.ArgumentError('tokensPerMinute must be a positive number');
+    }
+    this._tokensPerMinute = tokensPerMinute;
+    /*Codes_SRS_NODE_IOTHUB_RATE_LIMITER_16_002: [The `RateLimiter` shall start with `tokensPerMinute` tokens and refill them continuously at a rate of `tokensPerMinute` per minute, without exceeding `tokensPerMinute`.]*/
+    this._tokens = tokensPerMinute;
+    this._lastRefillTime = Date.now();
+  }
+
+  /**
+   * Calls `callback` once `tokens` tokens are available and have been consumed.
+   *
+   * @param {number} tokens       Number of operations about to be made.
+   * @param {Function} callback   Called when the operations can be made.
+   */
+  acquire(tokens: number, callback: () => void): void {
+    /*Codes_SRS_NODE_IOTHUB_RATE_LIMITER_16_003: [The `acquire` method shall call `callback` once `tokens` tokens are available, and consume them.]*/
+    /*Codes_SRS_NODE_IOTHUB_RATE_LIMITER_16_004: [The `acquire` method shall call the callbacks in the order in which it was called.]*/
+    this._queue.push({ tokens: tokens, callback: callback });
+    this._processQueue();
+  }
+
+  private _processQueue(): void {
+    if (this._timer) {
+      return;
+    }
+
+    this._refill();
+    while (this._queue.length > 0) {
+      /*Codes_SRS_NODE_IOTHUB_RATE_LIMITER_16_005: [A request for more tokens than `tokensPerMinute` shall be served once the bucket is full, and the missing tokens shall be deducted from the next refills.]*/
+      const needed = Math.min(this._queue[0].tokens, this._tokensPerMinute);
+      if (this._tokens < needed) {
+        /*Codes_SRS_NODE_IOTHUB_RATE_LIMITER_16_006: [The `RateLimiter` shall keep the Node.js process running while requests are waiting for tokens, and shall not schedule a timer when no request is waiting.]*/
+        const waitTime = Math.ceil((needed - this._tokens) * 60000 / this._tokensPerMinute);
+        this._timer = setTimeout(() => {
+          this._timer = undefined;
+          this._processQueue();
+        }, waitTime);
+        return;
+      }
+      const request = this._queue.shift();
+      this._tokens -= request.tokens;
+      request.callback();
+    }
+  }
+
+  private _refill(): void {
+    const now = Date.now();
+    this._tokens = Math.min(this._tokensPerMinute, this._tokens + (now - this._lastRefillTime) * this._tokensPerMinute / 60000);
+    this._lastRefillTime = now;
+  }
+}
@@ -3,7 +3,7 @@
 
 'use strict';
 
-import { errors, endpoint, SharedAccessSignature } from 'azure-iot-common';
+import { errors, endpoint, SharedAccessSignature, ResultWithHttpResponse, httpCallbackToPromise, RetryPolicy, validateRetryPolicy, TokenCredential } from 'azure-iot-common';
 import { Agent } from 'https';
 import { RestApiClient } from 'azure-iot-http-base';
 import * as ConnectionString from './connection_string';
@@ -13,22 +13,37 @@ import { Configuration, ConfigurationContent } from './configuration';
 import { Device } from './device';
 import { Callback } from './interfaces';
 import { Module } from './module';
+import { RateLimiter } from './rate_limiter';
 
 // tslint:disable-next-line:no-var-requires
 const packageJson = require('../package.json');
 
 const ArgumentError = errors.ArgumentError;
+const IOTHUB_TOKEN_SCOPE = 'https://iothubs.azure.net/.default';
+
+// Identity registry operations allowed per minute and per unit for each IoT hub tier.
+const bulkQuotaPerUnit: { [tier: string]: number } = {
+  F1: 100,
+  B1: 100,
+  B2: 100,
+  B3: 5000,
+  S1: 100,
+  S2: 100,
+  S3: 5000
+};
 
 /**
  * The Registry class provides access to the IoT Hub device identity service.
  * Users of the SDK should instantiate this class with one of the factory methods:
- * {@link azure-iothub.Registry.fromConnectionString|fromConnectionString} or {@link azure-iothub.Registry.fromSharedAccessSignature|fromSharedAccessSignature}.
+ * {@link azure-iothub.Registry.fromConnectionString|fromConnectionString}, {@link azure-iothub.Registry.fromSharedAccessSignature|fromSharedAccessSignature}
+ * or {@link azure-iothub.Registry.fromTokenCredential|fromTokenCredential}.
  *
  * The protocol used for device identity registry operations is HTTPS.
  */
 /*Codes_SRS_NODE_IOTHUB_REGISTRY_05_001: [The Registry constructor shall accept a transport object]*/
 export class Registry {
   private _restApiClient: RestApiClient;
+  private _bulkRateLimiter: RateLimiter;
 
   /**
    * @private
@@ -36,15 +51,17 @@ export class Registry {
    * @param {Object}  config      An object containing the necessary information to connect to the IoT Hub instance:
    *                              - host: the hostname for the IoT Hub instance
    *                              - sharedAccessSignature: A shared access signature with valid access rights and expiry.
+   *                              - tokenCredential: A credential returning Azure Active Directory access tokens, used instead of sharedAccessSignature.
    */
   constructor(config: Registry.TransportConfig, restApiClient?: RestApiClient) {
     if (!config) {
       /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_023: [The `Registry` constructor shall throw a `ReferenceError` if the config object is falsy.]*/
       throw new ReferenceError('The \'config\' parameter cannot be \'' + config + '\'');
-    } else if (!config.host || !config.sharedAccessSignature) {
+    } else if (!config.host || (!config.sharedAccessSignature && !config.tokenCredential)) {
       /*SRS_NODE_IOTHUB_REGISTRY_05_001: [** The `Registry` constructor shall throw an `ArgumentException` if the config object is missing one or more of the following properties:
       - `host`: the IoT Hub hostname
       - `sharedAccessSignature`: shared access signature with the permissions for the desired operations.]*/
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_069: [The `Registry` constructor shall accept a `config` object with a `tokenCredential` property instead of the `sharedAccessSignature` property.]*/
       throw new ArgumentError('The \'config\' argument is missing either the host or the sharedAccessSignature property');
     }
 
@@ -69,8 +86,11 @@ export class Registry {
    *                                object representing the created device
    *                                identity, and a transport-specific response
    *                                object useful for logging or debugging.
+   * @returns {Promise<ResultWithHttpResponse<Device>> | void} Promise if no callback function was passed, void otherwise.
    */
-  create(deviceInfo: Registry.DeviceDescription, done: Registry.DeviceCallback): void {
+  create(deviceInfo: Registry.DeviceDescription, done: Registry.DeviceCallback): void;
+  create(deviceInfo: Registry.DeviceDescription): Promise<ResultWithHttpResponse<Device>>;
+  create(deviceInfo: Registry.DeviceDescription, done?: Registry.DeviceCallback): Promise<ResultWithHttpResponse<Device>> | void {
     if (!deviceInfo) {
       /*Codes_SRS_NODE_IOTHUB_REGISTRY_07_001: [The `create` method shall throw `ReferenceError` if the `deviceInfo` argument is falsy. **]*/
       throw new ReferenceError('deviceInfo cannot be \'' + deviceInfo + '\'');
@@ -79,30 +99,32 @@ export class Registry {
       throw new ArgumentError('The object \'deviceInfo\' is missing the property: deviceId');
     }
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_026: [The `create` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    PUT /devices/<encodeURIComponent(deviceInfo.deviceId)>?api-version=<version> HTTP/1.1
-    Authorization: <sharedAccessSignature>
-    Content-Type: application/json; charset=utf-8
-    If-Match: *
-    Request-Id: <guid>
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_026: [The `create` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      PUT /devices/<encodeURIComponent(deviceInfo.deviceId)>?api-version=<version> HTTP/1.1
+      Authorization: <sharedAccessSignature>
+      Content-Type: application/json; charset=utf-8
+      If-Match: *
+      Request-Id: <guid>
 
-    <deviceInfo>
-    ```]*/
-    const path = endpoint.devicePath(encodeURIComponent(deviceInfo.deviceId)) + endpoint.versionQueryString();
-    const httpHeaders = {
-      'Content-Type': 'application/json; charset=utf-8'
-    };
+      <deviceInfo>
+      ```]*/
+      const path = endpoint.devicePath(encodeURIComponent(deviceInfo.deviceId)) + endpoint.versionQueryString();
+      const httpHeaders = {
+        'Content-Type': 'application/json; charset=utf-8'
+      };
 
-    let normalizedDeviceInfo = JSON.parse(JSON.stringify(deviceInfo));
-    this._normalizeAuthentication(normalizedDeviceInfo);
-    this._restApiClient.executeApiCall('PUT', path, httpHeaders, normalizedDeviceInfo, (err, device, httpResponse) => {
-      if (err) {
-        done(err);
-      } else {
-        done(null, new Device(device), httpResponse);
-      }
-    });
+      let normalizedDeviceInfo = JSON.parse(JSON.stringify(deviceInfo));
+      this._normalizeAuthentication(normalizedDeviceInfo);
+      this._restApiClient.executeApiCall('PUT', path, httpHeaders, normalizedDeviceInfo, (err, device, httpResponse) => {
+        if (err) {
+          _callback(err);
+        } else {
+          _callback(null, new Device(device), httpResponse);
+        }
+      });
+    }, done);
   }
 
   /**
@@ -119,8 +141,11 @@ export class Registry {
    *                                object representing the updated device
    *                                identity, and a transport-specific response
    *                                object useful for logging or debugging.
+   * @returns {Promise<ResultWithHttpResponse<Device>> | void} Promise if no callback function was passed, void otherwise.
    */
-  update(deviceInfo: Registry.DeviceDescription, done: Registry.DeviceCallback): void {
+  update(deviceInfo: Registry.DeviceDescription, done: Registry.DeviceCallback): void;
+  update(deviceInfo: Registry.DeviceDescription): Promise<ResultWithHttpResponse<Device>>;
+  update(deviceInfo: Registry.DeviceDescription, done?: Registry.DeviceCallback): Promise<ResultWithHttpResponse<Device>> | void {
     if (!deviceInfo) {
       /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_043: [The `update` method shall throw `ReferenceError` if the `deviceInfo` argument is falsy.]*/
       throw new ReferenceError('deviceInfo cannot be \'' + deviceInfo + '\'');
@@ -129,30 +154,32 @@ export class Registry {
       throw new ArgumentError('The object \'deviceInfo\' is missing the property: deviceId');
     }
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_027: [The `update` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    PUT /devices/<encodeURIComponent(deviceInfo.deviceId)>?api-version=<version> HTTP/1.1
-    Authorization: <config.sharedAccessSignature>
-    Content-Type: application/json; charset=utf-8
-    Request-Id: <guid>
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_027: [The `update` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      PUT /devices/<encodeURIComponent(deviceInfo.deviceId)>?api-version=<version> HTTP/1.1
+      Authorization: <config.sharedAccessSignature>
+      Content-Type: application/json; charset=utf-8
+      Request-Id: <guid>
 
-    <deviceInfo>
-    ```]*/
-    const path = endpoint.devicePath(encodeURIComponent(deviceInfo.deviceId)) + endpoint.versionQueryString();
-    const httpHeaders = {
-      'Content-Type': 'application/json; charset=utf-8',
-      'If-Match': '*'
-    };
+      <deviceInfo>
+      ```]*/
+      const path = endpoint.devicePath(encodeURIComponent(deviceInfo.deviceId)) + endpoint.versionQueryString();
+      const httpHeaders = {
+        'Content-Type': 'application/json; charset=utf-8',
+        'If-Match': '*'
+      };
 
-    let normalizedDeviceInfo = JSON.parse(JSON.stringify(deviceInfo));
-    this._normalizeAuthentication(normalizedDeviceInfo);
-    this._restApiClient.executeApiCall('PUT', path, httpHeaders, normalizedDeviceInfo, (err, device, httpResponse) => {
-      if (err) {
-        done(err);
-      } else {
-        done(null, new Device(device), httpResponse);
-      }
-    });
+      let normalizedDeviceInfo = JSON.parse(JSON.stringify(deviceInfo));
+      this._normalizeAuthentication(normalizedDeviceInfo);
+      this._restApiClient.executeApiCall('PUT', path, httpHeaders, normalizedDeviceInfo, (err, device, httpResponse) => {
+        if (err) {
+          _callback(err);
+        } else {
+          _callback(null, new Device(device), httpResponse);
+        }
+      });
+    }, done);
   }
 
   /**
@@ -167,28 +194,33 @@ export class Registry {
    *                                object representing the created device
    *                                identity, and a transport-specific response
    *                                object useful for logging or debugging.
+   * @returns {Promise<ResultWithHttpResponse<Device>> | void} Promise if no callback function was passed, void otherwise.
    */
-  get(deviceId: string, done: Registry.DeviceCallback): void {
+  get(deviceId: string, done: Registry.DeviceCallback): void;
+  get(deviceId: string): Promise<ResultWithHttpResponse<Device>>;
+  get(deviceId: string, done?: Registry.DeviceCallback): Promise<ResultWithHttpResponse<Device>> | void {
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_05_006: [The get method shall throw ReferenceError if the supplied deviceId is falsy.]*/
     if (!deviceId) {
       throw new ReferenceError('deviceId is \'' + deviceId + '\'');
     }
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_028: [The `get` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    GET /devices/<encodeURIComponent(deviceInfo.deviceId)>?api-version=<version> HTTP/1.1
-    Authorization: <config.sharedAccessSignature>
-    Request-Id: <guid>
-    ```]*/
-    const path = endpoint.devicePath(encodeURIComponent(deviceId)) + endpoint.versionQueryString();
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_028: [The `get` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      GET /devices/<encodeURIComponent(deviceInfo.deviceId)>?api-version=<version> HTTP/1.1
+      Authorization: <config.sharedAccessSignature>
+      Request-Id: <guid>
+      ```]*/
+      const path = endpoint.devicePath(encodeURIComponent(deviceId)) + endpoint.versionQueryString();
 
-    this._restApiClient.executeApiCall('GET', path, null, null, (err, device, httpResponse) => {
-      if (err) {
-        done(err);
-      } else {
-        done(null, new Device(device), httpResponse);
-      }
-    });
+      this._restApiClient.executeApiCall('GET', path, null, null, (err, device, httpResponse) => {
+        if (err) {
+          _callback(err);
+        } else {
+          _callback(null, new Device(device), httpResponse);
+        }
+      });
+    }, done);
   }
 
   /**
@@ -203,23 +235,28 @@ export class Registry {
    *                                objects representing the listed device
    *                                identities, and a transport-specific response
    *                                object useful for logging or debugging.
+   * @returns {Promise<ResultWithHttpResponse<Device[]>> | void} Promise if no callback function was passed, void otherwise.
    */
-  list(done: Callback<Device[]>): void {
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_029: [The `list` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    GET /devices?api-version=<version> HTTP/1.1
-    Authorization: <config.sharedAccessSignature>
-    Request-Id: <guid>
-    ```]*/
-    const path = endpoint.devicePath('') + endpoint.versionQueryString();
+  list(done: Callback<Device[]>): void;
+  list(): Promise<ResultWithHttpResponse<Device[]>>;
+  list(done?: Callback<Device[]>): Promise<ResultWithHttpResponse<Device[]>> | void {
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_029: [The `list` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      GET /devices?api-version=<version> HTTP/1.1
+      Authorization: <config.sharedAccessSignature>
+      Request-Id: <guid>
+      ```]*/
+      const path = endpoint.devicePath('') + endpoint.versionQueryString();
 
-    this._restApiClient.executeApiCall('GET', path, null, null, (err, devices, httpResponse) => {
-      if (err) {
-        done(err);
-      } else {
-        done(null, devices ? devices.map((device) => new Device(device)) : [], httpResponse);
-      }
-    });
+      this._restApiClient.executeApiCall('GET', path, null, null, (err, devices, httpResponse) => {
+        if (err) {
+          _callback(err);
+        } else {
+          _callback(null, devices ? devices.map((device) => new Device(device)) : [], httpResponse);
+        }
+      });
+    }, done);
   }
 
   /**
@@ -233,26 +270,31 @@ export class Registry {
    *                                the other methods), and a transport-specific
    *                                response object useful for logging or
    *                                debugging.
+   * @returns {Promise<ResultWithHttpResponse<any>> | void} Promise if no callback function was passed, void otherwise.
    */
-  delete(deviceId: string, done: Registry.ResponseCallback): void {
+  delete(deviceId: string, done: Registry.ResponseCallback): void;
+  delete(deviceId: string): Promise<ResultWithHttpResponse<any>>;
+  delete(deviceId: string, done?: Registry.ResponseCallback): Promise<ResultWithHttpResponse<any>> | void {
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_07_007: [The delete method shall throw ReferenceError if the supplied deviceId is falsy.]*/
     if (!deviceId) {
       throw new ReferenceError('deviceId is \'' + deviceId + '\'');
     }
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_030: [The `delete` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    DELETE /devices/<encodeURIComponent(deviceInfo.deviceId)>?api-version=<version> HTTP/1.1
-    Authorization: <config.sharedAccessSignature>
-    If-Match: *
-    Request-Id: <guid>
-    ```]*/
-    const path = endpoint.devicePath(encodeURIComponent(deviceId)) + endpoint.versionQueryString();
-    const httpHeaders = {
-      'If-Match': '*'
-    };
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_030: [The `delete` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      DELETE /devices/<encodeURIComponent(deviceInfo.deviceId)>?api-version=<version> HTTP/1.1
+      Authorization: <config.sharedAccessSignature>
+      If-Match: *
+      Request-Id: <guid>
+      ```]*/
+      const path = endpoint.devicePath(encodeURIComponent(deviceId)) + endpoint.versionQueryString();
+      const httpHeaders = {
+        'If-Match': '*'
+      };
 
-    this._restApiClient.executeApiCall('DELETE', path, httpHeaders, null, done);
+      this._restApiClient.executeApiCall('DELETE', path, httpHeaders, null, _callback);
+    }, done);
   }
 
   /**
@@ -268,9 +310,15 @@ export class Registry {
    *                                BulkRegistryOperationResult
    *                                and a transport-specific response object useful
    *                                for logging or debugging.
+   * @returns {Promise<ResultWithHttpResponse<Registry.BulkRegistryOperationResult>> | void} Promise if no callback function was passed, void otherwise.
    */
-  addDevices(devices: Registry.DeviceDescription[], done: Registry.BulkDeviceIdentityCallback): void {
-    this._processBulkDevices(devices, 'create', null, null, null, done);
+  addDevices(devices: Registry.DeviceDescription[], done: Registry.BulkDeviceIdentityCallback): void;
+  addDevices(devices: Registry.DeviceDescription[]): Promise<ResultWithHttpResponse<Registry.BulkRegistryOperationResult>>;
+  addDevices(devices: Registry.DeviceDescription[], done?: Registry.BulkDeviceIdentityCallback): Promise<ResultWithHttpResponse<Registry.BulkRegistryOperationResult>> | void {
+    const bulkArray = this._processBulkDevices(devices, 'create', null, null, null);
+    return httpCallbackToPromise((_callback) => {
+      this._bulkOperation(bulkArray, _callback);
+    }, done);
   }
 
   /**
@@ -289,9 +337,15 @@ export class Registry {
    *                                BulkRegistryOperationResult
    *                                and a transport-specific response object useful
    *                                for logging or debugging.
+   * @returns {Promise<ResultWithHttpResponse<Registry.BulkRegistryOperationResult>> | void} Promise if no callback function was passed, void otherwise.
    */
-  updateDevices(devices: Registry.DeviceDescription[], forceUpdate: boolean, done?: Registry.BulkDeviceIdentityCallback): void {
-    this._processBulkDevices(devices, null, forceUpdate, 'Update', 'UpdateIfMatchETag', done);
+  updateDevices(devices: Registry.DeviceDescription[], forceUpdate: boolean, done: Registry.BulkDeviceIdentityCallback): void;
+  updateDevices(devices: Registry.DeviceDescription[], forceUpdate: boolean): Promise<ResultWithHttpResponse<Registry.BulkRegistryOperationResult>>;
+  updateDevices(devices: Registry.DeviceDescription[], forceUpdate: boolean, done?: Registry.BulkDeviceIdentityCallback): Promise<ResultWithHttpResponse<Registry.BulkRegistryOperationResult>> | void {
+    const bulkArray = this._processBulkDevices(devices, null, forceUpdate, 'Update', 'UpdateIfMatchETag');
+    return httpCallbackToPromise((_callback) => {
+      this._bulkOperation(bulkArray, _callback);
+    }, done);
   }
 
   /**
@@ -310,9 +364,15 @@ export class Registry {
    *                                BulkRegistryOperationResult
    *                                and a transport-specific response object useful
    *                                for logging or debugging.
+   * @returns {Promise<ResultWithHttpResponse<Registry.BulkRegistryOperationResult>> | void} Promise if no callback function was passed, void otherwise.
    */
-  removeDevices(devices: Registry.DeviceDescription[], forceRemove: boolean, done: Registry.BulkDeviceIdentityCallback): void {
-    this._processBulkDevices(devices, null, forceRemove, 'Delete', 'DeleteIfMatchETag', done);
+  removeDevices(devices: Registry.DeviceDescription[], forceRemove: boolean, done: Registry.BulkDeviceIdentityCallback): void;
+  removeDevices(devices: Registry.DeviceDescription[], forceRemove: boolean): Promise<ResultWithHttpResponse<Registry.BulkRegistryOperationResult>>;
+  removeDevices(devices: Registry.DeviceDescription[], forceRemove: boolean, done?: Registry.BulkDeviceIdentityCallback): Promise<ResultWithHttpResponse<Registry.BulkRegistryOperationResult>> | void {
+    const bulkArray = this._processBulkDevices(devices, null, forceRemove, 'Delete', 'DeleteIfMatchETag');
+    return httpCallbackToPromise((_callback) => {
+      this._bulkOperation(bulkArray, _callback);
+    }, done);
   }
 
   /**
@@ -322,37 +382,42 @@ export class Registry {
    * @param {String}      outputBlobContainerUri  The URI to a container where a blob will be created with logs of the import process.
    * @param {Function}    done                    The function to call when the job has been created, with two arguments: an error object if an
    *                                              an error happened, (null otherwise) and the job status that can be used to track progress of the devices import.
+   * @returns {Promise<ResultWithHttpResponse<Registry.JobStatus>> | void} Promise if no callback function was passed, void otherwise.
    */
-  importDevicesFromBlob(inputBlobContainerUri: string, outputBlobContainerUri: string, done: Registry.JobCallback): void {
+  importDevicesFromBlob(inputBlobContainerUri: string, outputBlobContainerUri: string, done: Registry.JobCallback): void;
+  importDevicesFromBlob(inputBlobContainerUri: string, outputBlobContainerUri: string): Promise<ResultWithHttpResponse<Registry.JobStatus>>;
+  importDevicesFromBlob(inputBlobContainerUri: string, outputBlobContainerUri: string, done?: Registry.JobCallback): Promise<ResultWithHttpResponse<Registry.JobStatus>> | void {
     /* Codes_SRS_NODE_IOTHUB_REGISTRY_16_001: [A ReferenceError shall be thrown if importBlobContainerUri is falsy] */
     if (!inputBlobContainerUri) throw new ReferenceError('inputBlobContainerUri cannot be falsy');
     /* Codes_SRS_NODE_IOTHUB_REGISTRY_16_002: [A ReferenceError shall be thrown if exportBlobContainerUri is falsy] */
     if (!outputBlobContainerUri) throw new ReferenceError('outputBlobContainerUri cannot be falsy');
 
-    /*SRS_NODE_IOTHUB_REGISTRY_16_031: [The `importDeviceFromBlob` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    POST /jobs/create?api-version=<version> HTTP/1.1
-    Authorization: <config.sharedAccessSignature>
-    Content-Type: application/json; charset=utf-8
-    Request-Id: <guid>
+    return httpCallbackToPromise((_callback) => {
+      /*SRS_NODE_IOTHUB_REGISTRY_16_031: [The `importDeviceFromBlob` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      POST /jobs/create?api-version=<version> HTTP/1.1
+      Authorization: <config.sharedAccessSignature>
+      Content-Type: application/json; charset=utf-8
+      Request-Id: <guid>
 
-    {
-      'type': 'import',
-      'inputBlobContainerUri': '<input container Uri given as parameter>',
-      'outputBlobContainerUri': '<output container Uri given as parameter>'
-    }
-    ```]*/
-    const path = '/jobs/create' + endpoint.versionQueryString();
-    const httpHeaders = {
-      'Content-Type': 'application/json; charset=utf-8'
-    };
-    const importRequest = {
-      'type': 'import',
-      'inputBlobContainerUri': inputBlobContainerUri,
-      'outputBlobContainerUri': outputBlobContainerUri
-    };
+      {
+        'type': 'import',
+        'inputBlobContainerUri': '<input container Uri given as parameter>',
+        'outputBlobContainerUri': '<output container Uri given as parameter>'
+      }
+      ```]*/
+      const path = '/jobs/create' + endpoint.versionQueryString();
+      const httpHeaders = {
+        'Content-Type': 'application/json; charset=utf-8'
+      };
+      const importRequest = {
+        'type': 'import',
+        'inputBlobContainerUri': inputBlobContainerUri,
+        'outputBlobContainerUri': outputBlobContainerUri
+      };
 
-    this._restApiClient.executeApiCall('POST', path, httpHeaders, importRequest, done);
+      this._restApiClient.executeApiCall('POST', path, httpHeaders, importRequest, _callback);
+    }, done);
   }
 
   /**
@@ -362,35 +427,40 @@ export class Registry {
    * @param {Boolean}     excludeKeys             Boolean indicating whether security keys should be excluded from the exported data.
    * @param {Function}    done                    The function to call when the job has been created, with two arguments: an error object if an
    *                                              an error happened, (null otherwise) and the job status that can be used to track progress of the devices export.
+   * @returns {Promise<ResultWithHttpResponse<Registry.JobStatus>> | void} Promise if no callback function was passed, void otherwise.
    */
-  exportDevicesToBlob(outputBlobContainerUri: string, excludeKeys: boolean, done: Registry.JobCallback): void {
+  exportDevicesToBlob(outputBlobContainerUri: string, excludeKeys: boolean, done: Registry.JobCallback): void;
+  exportDevicesToBlob(outputBlobContainerUri: string, excludeKeys: boolean): Promise<ResultWithHttpResponse<Registry.JobStatus>>;
+  exportDevicesToBlob(outputBlobContainerUri: string, excludeKeys: boolean, done?: Registry.JobCallback): Promise<ResultWithHttpResponse<Registry.JobStatus>> | void {
     /* Codes_SRS_NODE_IOTHUB_REGISTRY_16_004: [A ReferenceError shall be thrown if outputBlobContainerUri is falsy] */
     if (!outputBlobContainerUri) throw new ReferenceError('outputBlobContainerUri cannot be falsy');
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_032: [** The `exportDeviceToBlob` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    POST /jobs/create?api-version=<version> HTTP/1.1
-    Authorization: <config.sharedAccessSignature>
-    Content-Type: application/json; charset=utf-8
-    Request-Id: <guid>
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_032: [** The `exportDeviceToBlob` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      POST /jobs/create?api-version=<version> HTTP/1.1
+      Authorization: <config.sharedAccessSignature>
+      Content-Type: application/json; charset=utf-8
+      Request-Id: <guid>
 
-    {
-      'type': 'export',
-      'outputBlobContainerUri': '<output container Uri given as parameter>',
-      'excludeKeysInExport': '<excludeKeys Boolean given as parameter>'
-    }
-    ```]*/
-    const path = '/jobs/create' + endpoint.versionQueryString();
-    const httpHeaders = {
-      'Content-Type': 'application/json; charset=utf-8'
-    };
-    const exportRequest = {
-      'type': 'export',
-      'outputBlobContainerUri': outputBlobContainerUri,
-      'excludeKeysInExport': excludeKeys
-    };
+      {
+        'type': 'export',
+        'outputBlobContainerUri': '<output container Uri given as parameter>',
+        'excludeKeysInExport': '<excludeKeys Boolean given as parameter>'
+      }
+      ```]*/
+      const path = '/jobs/create' + endpoint.versionQueryString();
+      const httpHeaders = {
+        'Content-Type': 'application/json; charset=utf-8'
+      };
+      const exportRequest = {
+        'type': 'export',
+        'outputBlobContainerUri': outputBlobContainerUri,
+        'excludeKeysInExport': excludeKeys
+      };
 
-    this._restApiClient.executeApiCall('POST', path, httpHeaders, exportRequest, done);
+      this._restApiClient.executeApiCall('POST', path, httpHeaders, exportRequest, _callback);
+    }, done);
   }
 
   /**
@@ -398,17 +468,22 @@ export class Registry {
    * @description         List the last import/export jobs (including the active one, if any).
    * @param {Function}    done    The function to call with two arguments: an error object if an error happened,
    *                              (null otherwise) and the list of past jobs as an argument.
+   * @returns {Promise<ResultWithHttpResponse<any>> | void} Promise if no callback function was passed, void otherwise.
    */
-  listJobs(done: Callback<any>): void {
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_037: [The `listJobs` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    GET /jobs?api-version=<version> HTTP/1.1
-    Authorization: <config.sharedAccessSignature>
-    Request-Id: <guid>
-    ```]*/
-    const path = '/jobs' + endpoint.versionQueryString();
+  listJobs(done: Callback<any>): void;
+  listJobs(): Promise<ResultWithHttpResponse<any>>;
+  listJobs(done?: Callback<any>): Promise<ResultWithHttpResponse<any>> | void {
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_037: [The `listJobs` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      GET /jobs?api-version=<version> HTTP/1.1
+      Authorization: <config.sharedAccessSignature>
+      Request-Id: <guid>
+      ```]*/
+      const path = '/jobs' + endpoint.versionQueryString();
 
-    this._restApiClient.executeApiCall('GET', path, null, null, done);
+      this._restApiClient.executeApiCall('GET', path, null, null, _callback);
+    }, done);
   }
 
   /**
@@ -417,19 +492,24 @@ export class Registry {
    * @param {String}      jobId   The identifier of the job for which the user wants to get status information.
    * @param {Function}    done    The function to call with two arguments: an error object if an error happened,
    *                              (null otherwise) and the status of the job whose identifier was passed as an argument.
+   * @returns {Promise<ResultWithHttpResponse<Registry.JobStatus>> | void} Promise if no callback function was passed, void otherwise.
    */
-  getJob(jobId: string, done: Registry.JobCallback): void {
+  getJob(jobId: string, done: Registry.JobCallback): void;
+  getJob(jobId: string): Promise<ResultWithHttpResponse<Registry.JobStatus>>;
+  getJob(jobId: string, done?: Registry.JobCallback): Promise<ResultWithHttpResponse<Registry.JobStatus>> | void {
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_006: [A ReferenceError shall be thrown if jobId is falsy] */
     if (!jobId) throw new ReferenceError('jobId cannot be falsy');
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_038: [The `getJob` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    GET /jobs/<jobId>?api-version=<version> HTTP/1.1
-    Authorization: <config.sharedAccessSignature>
-    Request-Id: <guid>
-    ```]*/
-    const path = '/jobs/' + jobId + endpoint.versionQueryString();
-    this._restApiClient.executeApiCall('GET', path, null, null, done);
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_038: [The `getJob` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      GET /jobs/<jobId>?api-version=<version> HTTP/1.1
+      Authorization: <config.sharedAccessSignature>
+      Request-Id: <guid>
+      ```]*/
+      const path = '/jobs/' + jobId + endpoint.versionQueryString();
+      this._restApiClient.executeApiCall('GET', path, null, null, _callback);
+    }, done);
   }
 
   /**
@@ -438,19 +518,24 @@ export class Registry {
    * @param {String}      jobId   The identifier of the job for which the user wants to get status information.
    * @param {Function}    done    The function to call with two arguments: an error object if an error happened,
    *                              (null otherwise) and the (cancelled) status of the job whose identifier was passed as an argument.
+   * @returns {Promise<ResultWithHttpResponse<Registry.JobStatus>> | void} Promise if no callback function was passed, void otherwise.
    */
-  cancelJob(jobId: string, done: Registry.JobCallback): void {
+  cancelJob(jobId: string, done: Registry.JobCallback): void;
+  cancelJob(jobId: string): Promise<ResultWithHttpResponse<Registry.JobStatus>>;
+  cancelJob(jobId: string, done?: Registry.JobCallback): Promise<ResultWithHttpResponse<Registry.JobStatus>> | void {
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_012: [A ReferenceError shall be thrown if the jobId is falsy] */
     if (!jobId) throw new ReferenceError('jobId cannot be falsy');
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_039: [The `cancelJob` method shall construct an HTTP request using information supplied by the caller as follows:
-    ```
-    DELETE /jobs/<jobId>?api-version=<version> HTTP/1.1
-    Authorization: <config.sharedAccessSignature>
-    Request-Id: <guid>
-    ```]*/
-    const path = '/jobs/' + jobId + endpoint.versionQueryString();
-    this._restApiClient.executeApiCall('DELETE', path, null, null, done);
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_039: [The `cancelJob` method shall construct an HTTP request using information supplied by the caller as follows:
+      ```
+      DELETE /jobs/<jobId>?api-version=<version> HTTP/1.1
+      Authorization: <config.sharedAccessSignature>
+      Request-Id: <guid>
+      ```]*/
+      const path = '/jobs/' + jobId + endpoint.versionQueryString();
+      this._restApiClient.executeApiCall('DELETE', path, null, null, _callback);
+    }, done);
   }
 
   /**
@@ -459,28 +544,31 @@ export class Registry {
    * @param {String}      deviceId   The device identifier.
    * @param {Function}    done       The callback that will be called with either an Error object or
    *                                 the device twin instance.
+   * @returns {Promise<ResultWithHttpResponse<Twin>> | void} Promise if no callback function was passed, void otherwise.
    */
-  getTwin(deviceId: string, done: Registry.ResponseCallback): void {
+  getTwin(deviceId: string, done: Registry.ResponseCallback): void;
+  getTwin(deviceId: string): Promise<ResultWithHttpResponse<Twin>>;
+  getTwin(deviceId: string, done?: Registry.ResponseCallback): Promise<ResultWithHttpResponse<Twin>> | void {
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_019: [The `getTwin` method shall throw a `ReferenceError` if the `deviceId` parameter is falsy.]*/
     if (!deviceId) throw new ReferenceError('the \'deviceId\' cannot be falsy');
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_020: [The `getTwin` method shall throw a `ReferenceError` if the `done` parameter is falsy.]*/
-    if (!done) throw new ReferenceError('the \'done\' argument cannot be falsy');
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_049: [The `getTwin` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    GET /twins/<encodeURIComponent(deviceId)>?api-version=<version> HTTP/1.1
-    Authorization: <config.sharedAccessSignature>
-    Request-Id: <guid>
-    ```]*/
-    const path = '/twins/' + encodeURIComponent(deviceId) + endpoint.versionQueryString();
-    this._restApiClient.executeApiCall('GET', path, null, null, (err, newTwin, response) => {
-      if (err) {
-        done(err);
-      } else {
-        /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_036: [The `getTwin` method shall call the `done` callback with a `Twin` object updated with the latest property values stored in the IoT Hub service.]*/
-        done(null, new Twin(newTwin, this), response);
-      }
-    });
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_049: [The `getTwin` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      GET /twins/<encodeURIComponent(deviceId)>?api-version=<version> HTTP/1.1
+      Authorization: <config.sharedAccessSignature>
+      Request-Id: <guid>
+      ```]*/
+      const path = '/twins/' + encodeURIComponent(deviceId) + endpoint.versionQueryString();
+      this._restApiClient.executeApiCall('GET', path, null, null, (err, newTwin, response) => {
+        if (err) {
+          _callback(err);
+        } else {
+          /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_036: [The `getTwin` method shall call the `done` callback with a `Twin` object updated with the latest property values stored in the IoT Hub service.]*/
+          _callback(null, new Twin(newTwin, this), response);
+        }
+      });
+    }, done);
   }
 
   /**
@@ -490,30 +578,34 @@ export class Registry {
    * @param {String}      moduleId   The module identifier.
    * @param {Function}    done       The callback that will be called with either an Error object or
    *                                 the module twin instance.
-   * @throws {ReferenceError}       If the deviceId, moduleId, or done argument is falsy.
+   * @throws {ReferenceError}       If the deviceId or moduleId argument is falsy.
+   * @returns {Promise<ResultWithHttpResponse<Twin>> | void} Promise if no callback function was passed, void otherwise.
    */
-  getModuleTwin(deviceId: string, moduleId: string, done: (err: Error, twin?: Twin, response?: any) => void): void {
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_001: [The `getModuleTwin` method shall throw a `ReferenceError` exception if `deviceId`, `moduleId`, or `done` is falsy. ]*/
+  getModuleTwin(deviceId: string, moduleId: string, done: (err: Error, twin?: Twin, response?: any) => void): void;
+  getModuleTwin(deviceId: string, moduleId: string): Promise<ResultWithHttpResponse<Twin>>;
+  getModuleTwin(deviceId: string, moduleId: string, done?: (err: Error, twin?: Twin, response?: any) => void): Promise<ResultWithHttpResponse<Twin>> | void {
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_001: [The `getModuleTwin` method shall throw a `ReferenceError` exception if `deviceId` or `moduleId` is falsy. ]*/
     if (!deviceId) throw new ReferenceError('Argument \'deviceId\' cannot be falsy');
     if (!moduleId) throw new ReferenceError('Argument \'moduleId\' cannot be falsy');
-    if (!done) throw new ReferenceError('Argument \'done\' cannot be falsy');
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_002: [The `getModuleTwin` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-      GET /twins/<encodeURIComponent(deviceId)>/modules/<encodeURIComponent(moduleId)>?api-version=<version> HTTP/1.1
-      Authorization: <config.sharedAccessSignature>
-      Request-Id: <guid>
-    ```
-    ]*/
-    const path = `/twins/${encodeURIComponent(deviceId)}/modules/${encodeURIComponent(moduleId)}${endpoint.versionQueryString()}`;
-    this._restApiClient.executeApiCall('GET', path, null, null, (err, newTwin, response) => {
-      if (err) {
-        done(err);
-      } else {
-        /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_003: [The `getModuleTwin` method shall call the `done` callback with a `Twin` object updated with the latest property values stored in the IoT Hub service. ]*/
-        done(null, new Twin(newTwin, this), response);
-      }
-    });
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_002: [The `getModuleTwin` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+        GET /twins/<encodeURIComponent(deviceId)>/modules/<encodeURIComponent(moduleId)>?api-version=<version> HTTP/1.1
+        Authorization: <config.sharedAccessSignature>
+        Request-Id: <guid>
+      ```
+      ]*/
+      const path = `/twins/${encodeURIComponent(deviceId)}/modules/${encodeURIComponent(moduleId)}${endpoint.versionQueryString()}`;
+      this._restApiClient.executeApiCall('GET', path, null, null, (err, newTwin, response) => {
+        if (err) {
+          _callback(err);
+        } else {
+          /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_003: [The `getModuleTwin` method shall call the `done` callback with a `Twin` object updated with the latest property values stored in the IoT Hub service. ]*/
+          _callback(null, new Twin(newTwin, this), response);
+        }
+      });
+    }, done);
   }
 
   /**
@@ -525,8 +617,11 @@ export class Registry {
    *                                 the device twin has been updated since the etag was obtained.
    * @param {Function}    done       The callback that will be called with either an Error object or
    *                                 the device twin instance.
+   * @returns {Promise<ResultWithHttpResponse<Twin>> | void} Promise if no callback function was passed, void otherwise.
    */
-  updateTwin(deviceId: string, patch: any, etag: string, done: Registry.ResponseCallback): void {
+  updateTwin(deviceId: string, patch: any, etag: string, done: Registry.ResponseCallback): void;
+  updateTwin(deviceId: string, patch: any, etag: string): Promise<ResultWithHttpResponse<Twin>>;
+  updateTwin(deviceId: string, patch: any, etag: string, done?: Registry.ResponseCallback): Promise<ResultWithHttpResponse<Twin>> | void {
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_044: [The `updateTwin` method shall throw a `ReferenceError` if the `deviceId` argument is `undefined`, `null` or an empty string.]*/
     if (deviceId === null || deviceId === undefined || deviceId === '') throw new ReferenceError('deviceId cannot be \'' + deviceId + '\'');
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_045: [The `updateTwin` method shall throw a `ReferenceError` if the `patch` argument is falsy.]*/
@@ -534,30 +629,32 @@ export class Registry {
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_046: [The `updateTwin` method shall throw a `ReferenceError` if the `etag` argument is falsy.]*/
     if (!etag) throw new ReferenceError('etag cannot be \'' + etag + '\'');
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_048: [The `updateTwin` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    PATCH /twins/<encodeURIComponent(deviceId)>?api-version=<version> HTTP/1.1
-    Authorization: <config.sharedAccessSignature>
-    Content-Type: application/json; charset=utf-8
-    Request-Id: <guid>
-    If-Match: <etag>
-
-    <patch>
-    ```]*/
-    const path = '/twins/' + encodeURIComponent(deviceId) + endpoint.versionQueryString();
-    const headers = {
-      'Content-Type': 'application/json; charset=utf-8',
-      'If-Match': etag
-    };
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_048: [The `updateTwin` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      PATCH /twins/<encodeURIComponent(deviceId)>?api-version=<version> HTTP/1.1
+      Authorization: <config.sharedAccessSignature>
+      Content-Type: application/json; charset=utf-8
+      Request-Id: <guid>
+      If-Match: <etag>
 
-    this._restApiClient.executeApiCall('PATCH', path, headers, patch, (err, newTwin, response) => {
-      if (err) {
-        done(err);
-      } else {
-        /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_050: [The `updateTwin` method shall call the `done` callback with a `Twin` object updated with the latest property values stored in the IoT Hub service.]*/
-        done(null, new Twin(newTwin, this), response);
-      }
-    });
+      <patch>
+      ```]*/
+      const path = '/twins/' + encodeURIComponent(deviceId) + endpoint.versionQueryString();
+      const headers = {
+        'Content-Type': 'application/json; charset=utf-8',
+        'If-Match': etag
+      };
+
+      this._restApiClient.executeApiCall('PATCH', path, headers, patch, (err, newTwin, response) => {
+        if (err) {
+          _callback(err);
+        } else {
+          /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_050: [The `updateTwin` method shall call the `done` callback with a `Twin` object updated with the latest property values stored in the IoT Hub service.]*/
+          _callback(null, new Twin(newTwin, this), response);
+        }
+      });
+    }, done);
   }
 
   /**
@@ -571,40 +668,44 @@ export class Registry {
    *                                  the module twin has been updated since the etag was obtained.
    * @param {Function}    done        The callback that will be called with either an Error object or
    *                                  the module twin instance.
-   * @throws {ReferenceError}         If the deviceId, moduleId, patch, etag, or done argument is falsy.
+   * @throws {ReferenceError}         If the deviceId, moduleId, patch or etag argument is falsy.
+   * @returns {Promise<ResultWithHttpResponse<Twin>> | void} Promise if no callback function was passed, void otherwise.
    */
-  updateModuleTwin(deviceId: string, moduleId: string, patch: any, etag: string, done: Registry.ResponseCallback): void {
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_004: [The `updateModuleTwin` method shall throw a `ReferenceError` exception if `deviceId`, `moduleId`, `patch`, `etag`,or `done` is falsy. ]*/
+  updateModuleTwin(deviceId: string, moduleId: string, patch: any, etag: string, done: Registry.ResponseCallback): void;
+  updateModuleTwin(deviceId: string, moduleId: string, patch: any, etag: string): Promise<ResultWithHttpResponse<Twin>>;
+  updateModuleTwin(deviceId: string, moduleId: string, patch: any, etag: string, done?: Registry.ResponseCallback): Promise<ResultWithHttpResponse<Twin>> | void {
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_004: [The `updateModuleTwin` method shall throw a `ReferenceError` exception if `deviceId`, `moduleId`, `patch` or `etag` is falsy. ]*/
     if (!deviceId) throw new ReferenceError('Argument \'deviceId\' cannot be falsy');
     if (!moduleId) throw new ReferenceError('Argument \'moduleId\' cannot be falsy');
     if (!patch) throw new ReferenceError('Argument \'patch\' cannot be falsy');
     if (!etag) throw new ReferenceError('Argument \'etag\' cannot be falsy');
-    if (!done) throw new ReferenceError('Argument \'done\' cannot be falsy');
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_005: [The `updateModuleTwin` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    PATCH /twins/<encodeURIComponent(deviceId)>/modules/<encodeURIComponent(moduleId)>?api-version=<version> HTTP/1.1
-    Authorization: <config.sharedAccessSignature>
-    Content-Type: application/json; charset=utf-8
-    Request-Id: <guid>
-    If-Match: <etag>
-    <patch>
-    ```
-    ]*/
-    const path = `/twins/${encodeURIComponent(deviceId)}/modules/${encodeURIComponent(moduleId)}${endpoint.versionQueryString()}`;
-    const headers = {
-      'Content-Type': 'application/json; charset=utf-8',
-      'If-Match': etag
-    };
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_005: [The `updateModuleTwin` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      PATCH /twins/<encodeURIComponent(deviceId)>/modules/<encodeURIComponent(moduleId)>?api-version=<version> HTTP/1.1
+      Authorization: <config.sharedAccessSignature>
+      Content-Type: application/json; charset=utf-8
+      Request-Id: <guid>
+      If-Match: <etag>
+      <patch>
+      ```
+      ]*/
+      const path = `/twins/${encodeURIComponent(deviceId)}/modules/${encodeURIComponent(moduleId)}${endpoint.versionQueryString()}`;
+      const headers = {
+        'Content-Type': 'application/json; charset=utf-8',
+        'If-Match': etag
+      };
 
-    this._restApiClient.executeApiCall('PATCH', path, headers, patch, (err, newTwin, response) => {
-      if (err) {
-        done(err);
-      } else {
-        /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_006: [The `updateModuleTwin` method shall call the `done` callback with a `Twin` object updated with the latest property values stored in the IoT Hub service. ]*/
-        done(null, new Twin(newTwin, this), response);
-      }
-    });
+      this._restApiClient.executeApiCall('PATCH', path, headers, patch, (err, newTwin, response) => {
+        if (err) {
+          _callback(err);
+        } else {
+          /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_006: [The `updateModuleTwin` method shall call the `done` callback with a `Twin` object updated with the latest property values stored in the IoT Hub service. ]*/
+          _callback(null, new Twin(newTwin, this), response);
+        }
+      });
+    }, done);
   }
 
   /**
@@ -634,10 +735,15 @@ export class Registry {
    * @description           Gets statistics about the devices in the device identity registry.
    * @param {Function}      done   The callback that will be called with either an Error object or
    *                               the device registry statistics.
+   * @returns {Promise<ResultWithHttpResponse<Registry.RegistryStatistics>> | void} Promise if no callback function was passed, void otherwise.
    */
-  getRegistryStatistics(done: Callback<Registry.RegistryStatistics>): void {
-    const path = '/statistics/devices' + endpoint.versionQueryString();
-    this._restApiClient.executeApiCall('GET', path, {}, null, done);
+  getRegistryStatistics(done: Callback<Registry.RegistryStatistics>): void;
+  getRegistryStatistics(): Promise<ResultWithHttpResponse<Registry.RegistryStatistics>>;
+  getRegistryStatistics(done?: Callback<Registry.RegistryStatistics>): Promise<ResultWithHttpResponse<Registry.RegistryStatistics>> | void {
+    return httpCallbackToPromise((_callback) => {
+      const path = '/statistics/devices' + endpoint.versionQueryString();
+      this._restApiClient.executeApiCall('GET', path, {}, null, _callback);
+    }, done);
   }
 
   /**
@@ -653,36 +759,41 @@ export class Registry {
    *                                      response object useful for logging or
    *                                      debugging.
    *
-   * @throws {ReferenceError}             The configuration or done parameter is falsy.
+   * @throws {ReferenceError}             The configuration parameter is falsy.
    * @throws {ArgumentError}              The configuration object is missing the id property
+   * @returns {Promise<ResultWithHttpResponse<any>> | void} Promise if no callback function was passed, void otherwise.
    */
-  addConfiguration(configuration: Configuration, done: Registry.ResponseCallback): void {
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_007: [The `addConfiguration` method shall throw a `ReferenceError` exception if `configuration` or `done` is falsy. ]*/
+  addConfiguration(configuration: Configuration, done: Registry.ResponseCallback): void;
+  addConfiguration(configuration: Configuration): Promise<ResultWithHttpResponse<any>>;
+  addConfiguration(configuration: Configuration, done?: Registry.ResponseCallback): Promise<ResultWithHttpResponse<any>> | void {
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_007: [The `addConfiguration` method shall throw a `ReferenceError` exception if `configuration` is falsy. ]*/
     if (!configuration) throw new ReferenceError('configuration cannot be falsy');
-    if (!done) throw new ReferenceError('done cannot be falsy');
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_008: [The `addConfiguration` method shall throw an `ArgumentError` exception if `configuration.id` is falsy. ]*/
     if (!configuration.id) throw new ArgumentError('configuration object is missing id property');
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_009: [The `addConfiguration` method shall set `configuration.schemaVersion` to '1.0' if it is not already set. ]*/
-    if (!configuration.schemaVersion) {
-      configuration.schemaVersion = '1.0';
-    }
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_010: [The `addConfiguration` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    PUT /configurations/<encodeURIComponent(configuration.id)>?api-version=<version> HTTP/1.1
-    Authorization: <sharedAccessSignature>
-    Content-Type: application/json; charset=utf-8
-    Request-Id: <guid>
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_009: [The `addConfiguration` method shall set `configuration.schemaVersion` to '1.0' if it is not already set. ]*/
+      if (!configuration.schemaVersion) {
+        configuration.schemaVersion = '1.0';
+      }
 
-    <configuration>
-    ```
-    ]*/
-    const path = `/configurations/${encodeURIComponent(configuration.id)}${endpoint.versionQueryString()}`;
-    const httpHeaders = {
-      'Content-Type': 'application/json; charset=utf-8'
-    };
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_010: [The `addConfiguration` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      PUT /configurations/<encodeURIComponent(configuration.id)>?api-version=<version> HTTP/1.1
+      Authorization: <sharedAccessSignature>
+      Content-Type: application/json; charset=utf-8
+      Request-Id: <guid>
 
-    this._restApiClient.executeApiCall('PUT', path, httpHeaders, configuration, done);
+      <configuration>
+      ```
+      ]*/
+      const path = `/configurations/${encodeURIComponent(configuration.id)}${endpoint.versionQueryString()}`;
+      const httpHeaders = {
+        'Content-Type': 'application/json; charset=utf-8'
+      };
+
+      this._restApiClient.executeApiCall('PUT', path, httpHeaders, configuration, _callback);
+    }, done);
   }
 
   /**
@@ -693,22 +804,26 @@ export class Registry {
    * @param {Function}  done              The callback which will be called with either an Error object
    *                                      or a module:azure-iothub.Configuration object with the configuration details.
    *
-   * @throws {ReferenceError}             The configurationId or done argument is falsy
+   * @throws {ReferenceError}             The configurationId argument is falsy
+   * @returns {Promise<ResultWithHttpResponse<Configuration>> | void} Promise if no callback function was passed, void otherwise.
    */
-  getConfiguration(configurationId: string, done: (err: Error, configuration?: Configuration, response?: any) => void): void {
+  getConfiguration(configurationId: string, done: (err: Error, configuration?: Configuration, response?: any) => void): void;
+  getConfiguration(configurationId: string): Promise<ResultWithHttpResponse<Configuration>>;
+  getConfiguration(configurationId: string, done?: (err: Error, configuration?: Configuration, response?: any) => void): Promise<ResultWithHttpResponse<Configuration>> | void {
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_011: [The `getConfiguration` method shall throw a `ReferenceError` exception if `configurationId` is falsy. ]*/
     if (!configurationId) throw new ReferenceError('Argument \'configurationId\' cannot be falsy');
-    if (!done) throw new ReferenceError('Argument \'done\' cannot be falsy');
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_012: [The `getConfiguration` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    GET /configurations/<encodeURIComponent(configurationId)>?api-version=<version> HTTP/1.1
-    Authorization: <sharedAccessSignature>
-    Request-Id: <guid>
-    ```
-    ]*/
-    const path = `/configurations/${encodeURIComponent(configurationId)}${endpoint.versionQueryString()}`;
-    this._restApiClient.executeApiCall('GET', path, null, null, done);
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_012: [The `getConfiguration` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      GET /configurations/<encodeURIComponent(configurationId)>?api-version=<version> HTTP/1.1
+      Authorization: <sharedAccessSignature>
+      Request-Id: <guid>
+      ```
+      ]*/
+      const path = `/configurations/${encodeURIComponent(configurationId)}${endpoint.versionQueryString()}`;
+      this._restApiClient.executeApiCall('GET', path, null, null, _callback);
+    }, done);
   }
 
   /**
@@ -719,21 +834,22 @@ export class Registry {
    *                                      or an array of module:azure-iothub.Configuration objects
    *                                      for all the configurations.
    *
-   * @throws {ReferenceError}             The done argument is falsy
+   * @returns {Promise<ResultWithHttpResponse<Configuration[]>> | void} Promise if no callback function was passed, void otherwise.
    */
-  getConfigurations(done: (err: Error, configurations?: Configuration[], response?: any) => void): void {
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_013: [The `getConfigurations` method shall throw a `ReferenceError` exception if `done` is falsy. ]*/
-    if (!done) throw new ReferenceError('Argument \'done\' cannot be falsy');
-
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_014: [The `getConfigurations` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    GET /configurations?api-version=<version> HTTP/1.1
-    Authorization: <sharedAccessSignature>
-    Request-Id: <guid>
-    ```
-    ]*/
-    const path = `/configurations${endpoint.versionQueryString()}`;
-    this._restApiClient.executeApiCall('GET', path, null, null, done);
+  getConfigurations(done: (err: Error, configurations?: Configuration[], response?: any) => void): void;
+  getConfigurations(): Promise<ResultWithHttpResponse<Configuration[]>>;
+  getConfigurations(done?: (err: Error, configurations?: Configuration[], response?: any) => void): Promise<ResultWithHttpResponse<Configuration[]>> | void {
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_014: [The `getConfigurations` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      GET /configurations?api-version=<version> HTTP/1.1
+      Authorization: <sharedAccessSignature>
+      Request-Id: <guid>
+      ```
+      ]*/
+      const path = `/configurations${endpoint.versionQueryString()}`;
+      this._restApiClient.executeApiCall('GET', path, null, null, _callback);
+    }, done);
   }
 
   /**
@@ -751,14 +867,16 @@ export class Registry {
    *                                      response object useful for logging or
    *                                      debugging.
    *
-   * @throws {ReferenceError}             The configuration or done argument is falsy
+   * @throws {ReferenceError}             The configuration argument is falsy
    * @throws {ArgumentError}              The eTag is missing from the Configuration object,
    *                                      but forceUpdate is not set to true, or the configuration
    *                                      object is missing an id property.
+   * @returns {Promise<ResultWithHttpResponse<any>> | void} Promise if no callback function was passed, void otherwise.
    */
   updateConfiguration(configuration: Configuration, done: Registry.ResponseCallback): void;
   updateConfiguration(configuration: Configuration, forceUpdate: boolean, done: Registry.ResponseCallback): void;
-  updateConfiguration(configuration: Configuration, forceUpdateOrDone: boolean | Registry.ResponseCallback, done?: Registry.ResponseCallback): void {
+  updateConfiguration(configuration: Configuration, forceUpdate?: boolean): Promise<ResultWithHttpResponse<any>>;
+  updateConfiguration(configuration: Configuration, forceUpdateOrDone?: boolean | Registry.ResponseCallback, done?: Registry.ResponseCallback): Promise<ResultWithHttpResponse<any>> | void {
     let forceUpdate: boolean;
     if (typeof(forceUpdateOrDone) === 'function') {
       forceUpdate = false;
@@ -767,9 +885,8 @@ export class Registry {
       forceUpdate = forceUpdateOrDone;
     }
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_015: [The `updateConfiguration` method shall throw a `ReferenceError` exception if `configuration` or `done` is falsy. ]*/
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_015: [The `updateConfiguration` method shall throw a `ReferenceError` exception if `configuration` is falsy. ]*/
     if (!configuration) throw new ReferenceError('Argument \'configuration\' cannot be falsy');
-    if (!done) throw new ReferenceError('Argument \'done\' cannot be falsy');
 
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_016: [The `updateConfiguration` method shall throw an `ArgumentError` exception if `forceUpdate` is falsy and `configuration.etag` is also falsy. ]*/
     if (!forceUpdate && !configuration.etag) {
@@ -777,32 +894,35 @@ export class Registry {
     }
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_017: [The `updateConfiguration` method shall throw an `ArgumentError` exception if `configuration.id` is falsy. ]*/
     if (!configuration.id) throw new ArgumentError('configuration object is missing id property');
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_018: [The `updateConfiguration` method shall set ``configuration.schemaVersion` to '1.0' if it is not already set. ]*/
-    if (!configuration.schemaVersion) {
-      configuration.schemaVersion = '1.0';
-    }
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_019: [The `updateConfiguration` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    PUT </configurations/<encodeURIComponent(configurationId)>?api-version=<version> HTTP/1.1
-    Authorization: <sharedAccessSignature>
-    Content-Type: application/json; charset=utf-8
-    If-Match: <etag | *>
-    Request-Id: <guid>
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_018: [The `updateConfiguration` method shall set ``configuration.schemaVersion` to '1.0' if it is not already set. ]*/
+      if (!configuration.schemaVersion) {
+        configuration.schemaVersion = '1.0';
+      }
 
-    <configuration>
-    ```
-    ]*/
-    const path = `/configurations/${encodeURIComponent(configuration.id)}${endpoint.versionQueryString()}`;
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_019: [The `updateConfiguration` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      PUT </configurations/<encodeURIComponent(configurationId)>?api-version=<version> HTTP/1.1
+      Authorization: <sharedAccessSignature>
+      Content-Type: application/json; charset=utf-8
+      If-Match: <etag | *>
+      Request-Id: <guid>
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_020: [If `forceUpdate` is not truthy, the `updateConfigurationMethod` shall put the `etag` parameter into the `If-Match` header value. ]*/
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_021: [If `forceUpdate` is truthy, the `updateConfiguration` method shall put `*` into the `If-Match` header value. ]*/
-    const httpHeaders = {
-      'Content-Type': 'application/json; charset=utf-8',
-      'If-Match': forceUpdate ? '"*"' : '\"' + configuration.etag + '\"'
-    };
+      <configuration>
+      ```
+      ]*/
+      const path = `/configurations/${encodeURIComponent(configuration.id)}${endpoint.versionQueryString()}`;
+
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_020: [If `forceUpdate` is not truthy, the `updateConfigurationMethod` shall put the `etag` parameter into the `If-Match` header value. ]*/
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_021: [If `forceUpdate` is truthy, the `updateConfiguration` method shall put `*` into the `If-Match` header value. ]*/
+      const httpHeaders = {
+        'Content-Type': 'application/json; charset=utf-8',
+        'If-Match': forceUpdate ? '"*"' : '\"' + configuration.etag + '\"'
+      };
 
-    this._restApiClient.executeApiCall('PUT', path, httpHeaders, configuration, done);
+      this._restApiClient.executeApiCall('PUT', path, httpHeaders, configuration, _callback);
+    }, done);
   }
 
   /**
@@ -817,23 +937,27 @@ export class Registry {
    *                                      response object useful for logging or
    *                                      debugging.
    *
-   * @throws {ReferenceError}             The configurationId or done argument is falsy
+   * @throws {ReferenceError}             The configurationId argument is falsy
+   * @returns {Promise<ResultWithHttpResponse<any>> | void} Promise if no callback function was passed, void otherwise.
    */
-  removeConfiguration(configurationId: string, done: Registry.ResponseCallback): void {
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_022: [The `removeConfiguration` method shall throw a `ReferenceError` exception if `configurationId` or `done` is falsy. ]*/
+  removeConfiguration(configurationId: string, done: Registry.ResponseCallback): void;
+  removeConfiguration(configurationId: string): Promise<ResultWithHttpResponse<any>>;
+  removeConfiguration(configurationId: string, done?: Registry.ResponseCallback): Promise<ResultWithHttpResponse<any>> | void {
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_022: [The `removeConfiguration` method shall throw a `ReferenceError` exception if `configurationId` is falsy. ]*/
     if (!configurationId) throw new ReferenceError('Argument \'configurationId\' cannot be falsy');
-    if (!done) throw new ReferenceError('Argument \'done\' cannot be falsy');
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_023: [The `removeConfiguration` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    DELETE /configurations/<encodeURIComponent(configurationId)>?api-version=<version> HTTP/1.1
-    Authorization: <sharedAccessSignature>
-    Request-Id: <guid>
-    ```
-    ]*/
-    const path = `/configurations/${encodeURIComponent(configurationId)}${endpoint.versionQueryString()}`;
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_023: [The `removeConfiguration` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      DELETE /configurations/<encodeURIComponent(configurationId)>?api-version=<version> HTTP/1.1
+      Authorization: <sharedAccessSignature>
+      Request-Id: <guid>
+      ```
+      ]*/
+      const path = `/configurations/${encodeURIComponent(configurationId)}${endpoint.versionQueryString()}`;
 
-    this._restApiClient.executeApiCall('DELETE', path, null, null, done);
+      this._restApiClient.executeApiCall('DELETE', path, null, null, _callback);
+    }, done);
   }
 
   /**
@@ -849,30 +973,34 @@ export class Registry {
    *                                          response object useful for logging or
    *                                          debugging.
    *
-   * @throws {ReferenceError}       If the deviceId, content, or done argument is falsy.
+   * @throws {ReferenceError}       If the deviceId or content argument is falsy.
+   * @returns {Promise<ResultWithHttpResponse<any>> | void} Promise if no callback function was passed, void otherwise.
    */
-  applyConfigurationContentOnDevice(deviceId: string, content: ConfigurationContent, done: Registry.ResponseCallback): void {
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_024: [The `applyConfigurationContentOnDevice` method shall throw a `ReferenceError` exception if `deviceId`, `content`, or `done` is falsy. ]*/
+  applyConfigurationContentOnDevice(deviceId: string, content: ConfigurationContent, done: Registry.ResponseCallback): void;
+  applyConfigurationContentOnDevice(deviceId: string, content: ConfigurationContent): Promise<ResultWithHttpResponse<any>>;
+  applyConfigurationContentOnDevice(deviceId: string, content: ConfigurationContent, done?: Registry.ResponseCallback): Promise<ResultWithHttpResponse<any>> | void {
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_024: [The `applyConfigurationContentOnDevice` method shall throw a `ReferenceError` exception if `deviceId` or `content` is falsy. ]*/
     if (!deviceId) throw new ReferenceError('Argument \'deviceId\' cannot be falsy');
     if (!content) throw new ReferenceError('Argument \'content\' cannot be falsy');
-    if (!done) throw new ReferenceError('Argument \'done\' cannot be falsy');
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_025: [The `applyConfigurationContentOnDevice` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    POST /devices/<encodeURIComponent(deviceId)>/applyConfigurationContent?api-version=<version> HTTP/1.1
-    Authorization: <sharedAccessSignature>
-    Content-Type: application/json; charset=utf-8
-    Request-Id: <guid>
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_025: [The `applyConfigurationContentOnDevice` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      POST /devices/<encodeURIComponent(deviceId)>/applyConfigurationContent?api-version=<version> HTTP/1.1
+      Authorization: <sharedAccessSignature>
+      Content-Type: application/json; charset=utf-8
+      Request-Id: <guid>
 
-    <content>
-    ```
-    ]*/
-    const path = `${endpoint.devicePath(encodeURIComponent(deviceId))}/applyConfigurationContent${endpoint.versionQueryString()}`;
-    const httpHeaders = {
-      'Content-Type': 'application/json; charset=utf-8'
-    };
+      <content>
+      ```
+      ]*/
+      const path = `${endpoint.devicePath(encodeURIComponent(deviceId))}/applyConfigurationContent${endpoint.versionQueryString()}`;
+      const httpHeaders = {
+        'Content-Type': 'application/json; charset=utf-8'
+      };
 
-    this._restApiClient.executeApiCall('POST', path, httpHeaders, content, done);
+      this._restApiClient.executeApiCall('POST', path, httpHeaders, content, _callback);
+    }, done);
   }
 
   /**
@@ -887,37 +1015,41 @@ export class Registry {
    *                                response object useful for logging or
    *                                debugging.
    *
-   * @throws {ReferenceError}       If the module or done argument is falsy.
+   * @throws {ReferenceError}       If the module argument is falsy.
    * @throws {ArgumentError}        If the module object is missing a deviceId or moduleId value.
+   * @returns {Promise<ResultWithHttpResponse<any>> | void} Promise if no callback function was passed, void otherwise.
    */
-  addModule(module: Module, done: Registry.ResponseCallback): void {
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_026: [The `addModule` method shall throw a `ReferenceError` exception if `module` or `done` is falsy. ]*/
+  addModule(module: Module, done: Registry.ResponseCallback): void;
+  addModule(module: Module): Promise<ResultWithHttpResponse<any>>;
+  addModule(module: Module, done?: Registry.ResponseCallback): Promise<ResultWithHttpResponse<any>> | void {
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_026: [The `addModule` method shall throw a `ReferenceError` exception if `module` is falsy. ]*/
     if (!module) throw new ReferenceError('Argument \'module\' cannot be falsy');
-    if (!done) throw new ReferenceError('Argument \'done\' cannot be falsy');
 
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_027: [The `addModule` method shall throw an `ArgumentError` exception if `module.deviceId` or `module.moduleId` is falsy. ]*/
     if (!module.deviceId) throw new ArgumentError('deviceId property is missing from module object');
     if (!module.moduleId) throw new ArgumentError('moduleId property is missing from module object');
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_028: [The `addModule` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    PUT /devices/<encodeURIComponent(module.deviceId)>/modules/<encodeURIComponent(module.moduleId)>?api-version=<version> HTTP/1.1
-    Authorization: <sharedAccessSignature>
-    Content-Type: application/json; charset=utf-8
-    Request-Id: <guid>
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_028: [The `addModule` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      PUT /devices/<encodeURIComponent(module.deviceId)>/modules/<encodeURIComponent(module.moduleId)>?api-version=<version> HTTP/1.1
+      Authorization: <sharedAccessSignature>
+      Content-Type: application/json; charset=utf-8
+      Request-Id: <guid>
 
-    <module>
-    ```
-    ]*/
-    const preparedModule = JSON.parse(JSON.stringify(module));
-    this._normalizeAuthentication(preparedModule);
+      <module>
+      ```
+      ]*/
+      const preparedModule = JSON.parse(JSON.stringify(module));
+      this._normalizeAuthentication(preparedModule);
 
-    const path = `${endpoint.modulePath(encodeURIComponent(preparedModule.deviceId),encodeURIComponent(preparedModule.moduleId))}${endpoint.versionQueryString()}`;
-    const httpHeaders = {
-      'Content-Type': 'application/json; charset=utf-8'
-    };
+      const path = `${endpoint.modulePath(encodeURIComponent(preparedModule.deviceId),encodeURIComponent(preparedModule.moduleId))}${endpoint.versionQueryString()}`;
+      const httpHeaders = {
+        'Content-Type': 'application/json; charset=utf-8'
+      };
 
-    this._restApiClient.executeApiCall('PUT', path, httpHeaders, preparedModule, done);
+      this._restApiClient.executeApiCall('PUT', path, httpHeaders, preparedModule, _callback);
+    }, done);
   }
 
   /**
@@ -929,22 +1061,26 @@ export class Registry {
    *                              or an array of module:azure-iothub.Module objects
    *                              for all the modules.
    *
-   * @throws {ReferenceError}     If the deviceId or done argument is falsy.
+   * @throws {ReferenceError}     If the deviceId argument is falsy.
+   * @returns {Promise<ResultWithHttpResponse<Module[]>> | void} Promise if no callback function was passed, void otherwise.
    */
-  getModulesOnDevice(deviceId: string, done: (err: Error, modules?: Module[], response?: any) => void): void {
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_029: [The `getModulesOnDevice` method shall throw a `ReferenceError` exception if `deviceId` or `done` is falsy. ]*/
+  getModulesOnDevice(deviceId: string, done: (err: Error, modules?: Module[], response?: any) => void): void;
+  getModulesOnDevice(deviceId: string): Promise<ResultWithHttpResponse<Module[]>>;
+  getModulesOnDevice(deviceId: string, done?: (err: Error, modules?: Module[], response?: any) => void): Promise<ResultWithHttpResponse<Module[]>> | void {
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_029: [The `getModulesOnDevice` method shall throw a `ReferenceError` exception if `deviceId` is falsy. ]*/
     if (!deviceId) throw new ReferenceError('Argument \'deviceId\' cannot be falsy');
-    if (!done) throw new ReferenceError('Argument \'done\' cannot be falsy');
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_030: [The `getModulesOnDevice` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    GET /devices/<encodeURIComponent(deviceId)>/modules?api-version=<version> HTTP/1.1
-    Authorization: <sharedAccessSignature>
-    Request-Id: <guid>
-    ```
-    ]*/
-    const path = `${endpoint.devicePath(encodeURIComponent(deviceId))}/modules${endpoint.versionQueryString()}`;
-    this._restApiClient.executeApiCall('GET', path, null, null, done);
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_030: [The `getModulesOnDevice` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      GET /devices/<encodeURIComponent(deviceId)>/modules?api-version=<version> HTTP/1.1
+      Authorization: <sharedAccessSignature>
+      Request-Id: <guid>
+      ```
+      ]*/
+      const path = `${endpoint.devicePath(encodeURIComponent(deviceId))}/modules${endpoint.versionQueryString()}`;
+      this._restApiClient.executeApiCall('GET', path, null, null, _callback);
+    }, done);
   }
 
   /**
@@ -956,23 +1092,27 @@ export class Registry {
    * @param {Function} done       The callback which will be called with either an Error object
    *                              or the module:azure-iothub.Module object for the requested module
    *
-   * @throws {ReferenceError}     If the deviceId, moduleId, or done argument is falsy.
+   * @throws {ReferenceError}     If the deviceId or moduleId argument is falsy.
+   * @returns {Promise<ResultWithHttpResponse<Module>> | void} Promise if no callback function was passed, void otherwise.
    */
-  getModule(deviceId: string, moduleId: string, done: (err: Error, module?: Module, response?: any) => void): void {
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_031: [The `getModule` method shall throw a `ReferenceError` exception if `deviceId`, `moduleId`, or `done` is falsy. ]*/
+  getModule(deviceId: string, moduleId: string, done: (err: Error, module?: Module, response?: any) => void): void;
+  getModule(deviceId: string, moduleId: string): Promise<ResultWithHttpResponse<Module>>;
+  getModule(deviceId: string, moduleId: string, done?: (err: Error, module?: Module, response?: any) => void): Promise<ResultWithHttpResponse<Module>> | void {
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_031: [The `getModule` method shall throw a `ReferenceError` exception if `deviceId` or `moduleId` is falsy. ]*/
     if (!deviceId) throw new ReferenceError('Argument \'deviceId\' cannot be falsy');
     if (!moduleId) throw new ReferenceError('Argument \'moduleId\' cannot be falsy');
-    if (!done) throw new ReferenceError('Argument \'done\' cannot be falsy');
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_032: [The `getModule` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    get /devices/<encodeURIComponent(deviceId)>/modules/<encodeURIComponent(moduleId)>?api-version=<version> HTTP/1.1
-    Authorization: <sharedAccessSignature>
-    Request-Id: <guid>
-    ```
-    ]*/
-    const path = `${endpoint.modulePath(encodeURIComponent(deviceId), encodeURIComponent(moduleId))}${endpoint.versionQueryString()}`;
-    this._restApiClient.executeApiCall('GET', path, null, null, done);
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_032: [The `getModule` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      get /devices/<encodeURIComponent(deviceId)>/modules/<encodeURIComponent(moduleId)>?api-version=<version> HTTP/1.1
+      Authorization: <sharedAccessSignature>
+      Request-Id: <guid>
+      ```
+      ]*/
+      const path = `${endpoint.modulePath(encodeURIComponent(deviceId), encodeURIComponent(moduleId))}${endpoint.versionQueryString()}`;
+      this._restApiClient.executeApiCall('GET', path, null, null, _callback);
+    }, done);
   }
 
   /**
@@ -989,14 +1129,16 @@ export class Registry {
    *                                response object useful for logging or
    *                                debugging.
    *
-   * @throws {ReferenceError}       If the module or done argument is falsy.
+   * @throws {ReferenceError}       If the module argument is falsy.
    * @throws {ArgumentError}        If the module object is missing an etag and
    *                                forceUpdate is not set to true, or the module
    *                                object is missing it's deviceId or moduleId property.
+   * @returns {Promise<ResultWithHttpResponse<any>> | void} Promise if no callback function was passed, void otherwise.
    */
   updateModule(module: Module, done: Registry.ResponseCallback): void;
   updateModule(module: Module, forceUpdate: boolean, done: Registry.ResponseCallback): void;
-  updateModule(module: Module, forceUpdateOrDone: boolean | Registry.ResponseCallback, done?: Registry.ResponseCallback): void {
+  updateModule(module: Module, forceUpdate?: boolean): Promise<ResultWithHttpResponse<any>>;
+  updateModule(module: Module, forceUpdateOrDone?: boolean | Registry.ResponseCallback, done?: Registry.ResponseCallback): Promise<ResultWithHttpResponse<any>> | void {
     let forceUpdate: boolean;
     if (typeof(forceUpdateOrDone) === 'function') {
       forceUpdate = false;
@@ -1005,9 +1147,8 @@ export class Registry {
       forceUpdate = forceUpdateOrDone;
     }
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_033: [The `updateModule` method shall throw a `ReferenceError` exception if `module` or `done` is falsy. ]*/
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_033: [The `updateModule` method shall throw a `ReferenceError` exception if `module` is falsy. ]*/
     if (!module) throw new ReferenceError('Argument \'module\' cannot be falsy');
-    if (!done) throw new ReferenceError('Argument \'done\' cannot be falsy');
 
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_034: [The `updateModule` method shall throw an `ArgumentError` exception if `module.deviceId` or `module.moduleId` is falsy. ]*/
     if (!module.moduleId) throw new ArgumentError('moduleId property is missing from module object');
@@ -1018,30 +1159,32 @@ export class Registry {
       throw new ArgumentError('The ETag should be set while updating the Module.');
     }
 
-    const preparedModule = JSON.parse(JSON.stringify(module));
-    this._normalizeAuthentication(preparedModule);
+    return httpCallbackToPromise((_callback) => {
+      const preparedModule = JSON.parse(JSON.stringify(module));
+      this._normalizeAuthentication(preparedModule);
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_036: [If `forceUpdate` is not truthy, the `updateModule` shall put the `etag` parameter into the `If-Match` header value. ]*/
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_037: [If `forceUpdate` is truthy, the `updateModule` method shall put `*` into the `If-Match` header value. ]*/
-    const httpHeaders = {
-      'Content-Type': 'application/json; charset=utf-8',
-      'If-Match': forceUpdate ? '"*"' : '\"' + preparedModule.etag + '\"'
-    };
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_036: [If `forceUpdate` is not truthy, the `updateModule` shall put the `etag` parameter into the `If-Match` header value. ]*/
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_037: [If `forceUpdate` is truthy, the `updateModule` method shall put `*` into the `If-Match` header value. ]*/
+      const httpHeaders = {
+        'Content-Type': 'application/json; charset=utf-8',
+        'If-Match': forceUpdate ? '"*"' : '\"' + preparedModule.etag + '\"'
+      };
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_038: [The `updateModule` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    PUT /devices/<encodeURIComponent(module.deviceId)>/modules/<encodeURIComponent(module.moduleId)>?api-version=<version> HTTP/1.1
-    Authorization: <sharedAccessSignature>
-    Content-Type: application/json; charset=utf-8
-    If-Match: <etag | *
-    Request-Id: <guid>
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_038: [The `updateModule` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      PUT /devices/<encodeURIComponent(module.deviceId)>/modules/<encodeURIComponent(module.moduleId)>?api-version=<version> HTTP/1.1
+      Authorization: <sharedAccessSignature>
+      Content-Type: application/json; charset=utf-8
+      If-Match: <etag | *
+      Request-Id: <guid>
 
-    <module>
-    ```
-    ]*/
+      <module>
+      ```
+      ]*/
 
-    const path = `${endpoint.modulePath(encodeURIComponent(preparedModule.deviceId),encodeURIComponent(preparedModule.moduleId))}${endpoint.versionQueryString()}`;
-    this._restApiClient.executeApiCall('PUT', path, httpHeaders, preparedModule, done);
+      const path = `${endpoint.modulePath(encodeURIComponent(preparedModule.deviceId),encodeURIComponent(preparedModule.moduleId))}${endpoint.versionQueryString()}`;
+      this._restApiClient.executeApiCall('PUT', path, httpHeaders, preparedModule, _callback);
+    }, done);
   }
 
   /**
@@ -1057,11 +1200,14 @@ export class Registry {
    *                                response object useful for logging or
    *                                debugging.
    *
-   * @throws {ReferenceError}       If the done deviceId, moduleId, or argument is falsy.
+   * @throws {ReferenceError}       If the deviceId or moduleId argument is falsy.
+   * @returns {Promise<ResultWithHttpResponse<any>> | void} Promise if no callback function was passed, void otherwise.
    */
   removeModule(module: Module, done: Registry.ResponseCallback): void;
   removeModule(deviceId: string, moduleId: string, done: Registry.ResponseCallback): void;
-  removeModule(moduleOrDeviceId: Module | string, doneOrModuleId: Registry.ResponseCallback | string, done?: Registry.ResponseCallback): void {
+  removeModule(module: Module): Promise<ResultWithHttpResponse<any>>;
+  removeModule(deviceId: string, moduleId: string): Promise<ResultWithHttpResponse<any>>;
+  removeModule(moduleOrDeviceId: Module | string, doneOrModuleId?: Registry.ResponseCallback | string, done?: Registry.ResponseCallback): Promise<ResultWithHttpResponse<any>> | void {
     let moduleId: string;
     let deviceId: string;
     let etag: string;
@@ -1080,32 +1226,109 @@ export class Registry {
       etag = '*';
     }
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_039: [The `removeModule` method shall throw a `ReferenceError` exception if `deviceId`, `moduleId`, or `done` is falsy. ]*/
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_039: [The `removeModule` method shall throw a `ReferenceError` exception if `deviceId` or `moduleId` is falsy. ]*/
     if (!deviceId) throw new ReferenceError('\'deviceId\' cannot be falsy');
     if (!moduleId) throw new ReferenceError('\'moduleId\' cannot be falsy');
-    if (!done) throw new ReferenceError('Argument \'done\' cannot be falsy');
 
     /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_043: [The `removeModule` method shall throw an `ArgumentError` if `deviceId` or `moduleId` parameters are not strings.]*/
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_044: [The `removeModule` method shall throw an `ArgumentError` if the `done` parameter is not a function.]*/
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_044: [The `removeModule` method shall throw an `ArgumentError` if the `done` parameter is specified and is not a function.]*/
     if (typeof deviceId !== 'string') throw new ArgumentError('\'deviceId\' must be a string');
     if (typeof moduleId !== 'string') throw new ArgumentError('\'moduleId\' must be a string');
-    if (typeof(done) !== 'function') throw new ArgumentError('\'done\' must be a function');
+    if (done && typeof(done) !== 'function') throw new ArgumentError('\'done\' must be a function');
 
-    /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_040: [The `removeModule` method shall construct an HTTP request using information supplied by the caller, as follows:
-    ```
-    DELETE /devices/<encodeURIComponent(deviceId)>/modules/<encodeURIComponent(moduleId)>?api-version=<version> HTTP/1.1
-    Authorization: <sharedAccessSignature>
-    Request-Id: <guid>
-    If-Match: "<etag>"
-    ```
-    ]*/
-    const httpHeaders = {
-      'If-Match': '"' + etag + '"'
-    };
+    return httpCallbackToPromise((_callback) => {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_18_040: [The `removeModule` method shall construct an HTTP request using information supplied by the caller, as follows:
+      ```
+      DELETE /devices/<encodeURIComponent(deviceId)>/modules/<encodeURIComponent(moduleId)>?api-version=<version> HTTP/1.1
+      Authorization: <sharedAccessSignature>
+      Request-Id: <guid>
+      If-Match: "<etag>"
+      ```
+      ]*/
+      const httpHeaders = {
+        'If-Match': '"' + etag + '"'
+      };
 
-    const path = `${endpoint.modulePath(encodeURIComponent(deviceId), encodeURIComponent(moduleId))}${endpoint.versionQueryString()}`;
+      const path = `${endpoint.modulePath(encodeURIComponent(deviceId), encodeURIComponent(moduleId))}${endpoint.versionQueryString()}`;
 
-    this._restApiClient.executeApiCall('DELETE', path, httpHeaders, null, done);
+      this._restApiClient.executeApiCall('DELETE', path, httpHeaders, null, _callback);
+    }, done);
+  }
+
+  /**
+   * @method            module:azure-iothub.Registry#setRetryPolicy
+   * @description       Sets the policy used to retry the requests that fail, for example because the IoT hub is throttling them.
+   *                    Requests are not retried by default. When the policy retries a throttled request, it waits at least the time specified by its `Retry-After` header.
+   *
+   * @param {RetryPolicy} policy  The retry policy to use for all subsequent requests (e.g. `ExponentialBackOffWithJitter`).
+   *
+   * @throws {ReferenceError}     If the policy is falsy.
+   * @throws {ArgumentError}      If the policy object doesn't have a `shouldRetry` and a `nextRetryTimeout` method.
+   */
+  setRetryPolicy(policy: RetryPolicy): void {
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_061: [The `setRetryPolicy` method shall throw a `ReferenceError` if the `policy` argument is falsy.]*/
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_062: [The `setRetryPolicy` method shall throw an `ArgumentError` if the `policy` object does not have a `shouldRetry` method and a `nextRetryTimeout` method.]*/
+    validateRetryPolicy(policy);
+
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_063: [The `setRetryPolicy` method shall pass the `policy` to the `setRetryPolicy` method of the `RestApiClient` so that it is used by all subsequent requests.]*/
+    if (this._restApiClient.setRetryPolicy) {
+      this._restApiClient.setRetryPolicy(policy);
+    }
+  }
+
+  /**
+   * @method            module:azure-iothub.Registry#setOptions
+   * @description       Sets the options of the HTTP requests sent to the device identity registry. Requests to the registry, the twins
+   *                    and the import/export jobs go through `options.interceptors`, which can add headers or log them.
+   *
+   * @param {Object}    options   The HTTP options, and the {@link azure-iot-http-base.RestApiClient.Interceptor} functions to use.
+   *
+   * @throws {ArgumentError}      If `options.interceptors` is not an array of functions.
+   */
+  setOptions(options: RestApiClient.Options): void {
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_068: [The `setOptions` method shall pass `options` to the `setOptions` method of the `RestApiClient`.]*/
+    if (this._restApiClient.setOptions) {
+      this._restApiClient.setOptions(options);
+    }
+  }
+
+  /**
+   * @method            module:azure-iothub.Registry#setBulkRateLimit
+   * @description       Limits the rate at which `addDevices`, `updateDevices` and `removeDevices` send device identities to the IoT hub
+   *                    to stay within the identity registry operations quota of the hub. Each device counts as one operation.
+   *                    Bulk operations that would exceed the quota are delayed until enough operations are allowed.
+   *
+   * @param {Object}    options   Either the `tier` of the IoT hub and its number of `units` (1 by default),
+   *                              or an explicit number of `devicesPerMinute`. Rate limiting is disabled if falsy.
+   *
+   * @throws {ArgumentError}      If the tier is unknown or if the number of units or of devices per minute is not a positive number.
+   */
+  setBulkRateLimit(options: Registry.BulkRateLimitOptions): void {
+    if (!options) {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_067: [The `setBulkRateLimit` method shall disable rate limiting if `options` is falsy.]*/
+      this._bulkRateLimiter = undefined;
+      return;
+    }
+
+    let devicesPerMinute: number;
+    if (options.devicesPerMinute !== undefined) {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_065: [The `setBulkRateLimit` method shall limit the number of devices sent per minute to `options.devicesPerMinute` if specified.]*/
+      devicesPerMinute = options.devicesPerMinute;
+    } else {
+      /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_064: [The `setBulkRateLimit` method shall limit the number of devices sent per minute to the identity registry operations quota of `options.tier` (100 per unit for `F1`, `B1`, `B2`, `S1` and `S2`, 5000 per unit for `B3` and `S3`) multiplied by `options.units`, or 1 unit if not specified.]*/
+      const devicesPerMinutePerUnit = bulkQuotaPerUnit[options.tier];
+      if (!devicesPerMinutePerUnit) {
+        throw new ArgumentError('Unknown IoT hub tier: \'' + options.tier + '\'');
+      }
+      const units = options.units === undefined ? 1 : options.units;
+      if (!(typeof units === 'number' && units >= 1 && Math.floor(units) === units)) {
+        throw new ArgumentError('options.units must be a positive integer');
+      }
+      devicesPerMinute = devicesPerMinutePerUnit * units;
+    }
+
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_066: [The `addDevices`, `updateDevices` and `removeDevices` methods shall wait until sending the devices does not exceed the rate set with `setBulkRateLimit`, if any, and send the requests in the order in which the methods were called.]*/
+    this._bulkRateLimiter = new RateLimiter(devicesPerMinute);
   }
 
   private _bulkOperation(devices: Registry.DeviceDescription[], done: Callback<any>): void {
@@ -1144,10 +1367,16 @@ export class Registry {
       'Content-Type': 'application/json; charset=utf-8'
     };
 
-    this._restApiClient.executeApiCall('POST', path, httpHeaders, devices, done);
+    if (this._bulkRateLimiter) {
+      this._bulkRateLimiter.acquire(devices.length, () => {
+        this._restApiClient.executeApiCall('POST', path, httpHeaders, devices, done);
+      });
+    } else {
+      this._restApiClient.executeApiCall('POST', path, httpHeaders, devices, done);
+    }
   }
 
-  private _processBulkDevices(devices: Registry.DeviceDescription[], operation: Registry.BulkRegistryOperationType, force: boolean, forceTrueAlternative: Registry.BulkRegistryOperationType, forceFalseAlternative: Registry.BulkRegistryOperationType, done: Callback<any>): void {
+  private _processBulkDevices(devices: Registry.DeviceDescription[], operation: Registry.BulkRegistryOperationType, force: boolean, forceTrueAlternative: Registry.BulkRegistryOperationType, forceFalseAlternative: Registry.BulkRegistryOperationType): Registry.DeviceDescription[] {
     if (!devices) {
       /*Codes_SRS_NODE_IOTHUB_REGISTRY_06_004: [The `addDevices` method shall throw `ReferenceError` if the `devices` argument is falsy.]*/
       /*Codes_SRS_NODE_IOTHUB_REGISTRY_06_025: [The `updateDevices` method shall throw `ReferenceError` if the `devices` argument is falsy.]*/
@@ -1206,7 +1435,7 @@ export class Registry {
         }
       });
 
-      this._bulkOperation(bulkArray, done);
+      return bulkArray;
     }
   }
 
@@ -1328,12 +1557,39 @@ export class Registry {
     return new Registry(config);
   }
 
+  /**
+   * @method            module:azure-iothub.Registry.fromTokenCredential
+   * @description       Constructs a Registry object authenticated with Azure Active Directory.
+   *                    Access tokens are requested from the credential and renewed automatically before they expire.
+   * @static
+   *
+   * @param {String}    hostName    The host name of the IoT hub.
+   * @param {Object}    credential  A credential with a `getToken` method, such as the credentials of the `@azure/identity` package.
+   * @returns {module:azure-iothub.Registry}
+   */
+  static fromTokenCredential(hostName: string, credential: TokenCredential): Registry {
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_070: [The `fromTokenCredential` method shall throw a `ReferenceError` if `hostName` or `credential` is falsy.]*/
+    if (!hostName) throw new ReferenceError('hostName cannot be \'' + hostName + '\'');
+    if (!credential) throw new ReferenceError('credential cannot be \'' + credential + '\'');
+
+    const config: Registry.TransportConfig = {
+      host: hostName,
+      tokenCredential: credential,
+      tokenScope: IOTHUB_TOKEN_SCOPE
+    };
+
+    /*Codes_SRS_NODE_IOTHUB_REGISTRY_16_071: [The `fromTokenCredential` method shall return a new instance of the `Registry` object using a `config` object containing `hostName`, `credential` and the `https://iothubs.azure.net/.default` scope.]*/
+    return new Registry(config);
+  }
+
 }
 
 export namespace Registry {
     export interface TransportConfig {
         host: string;
-        sharedAccessSignature: string | SharedAccessSignature;
+        sharedAccessSignature?: string | SharedAccessSignature;
+        tokenCredential?: TokenCredential;
+        tokenScope?: string | string[];
     }
 
     export interface JobStatus {
@@ -1372,4 +1628,21 @@ export namespace Registry {
     }
 
     export type BulkRegistryOperationType = 'create' | 'Update' | 'UpdateIfMatchETag' | 'Delete' | 'DeleteIfMatchETag';
+
+    export type IotHubTier = 'F1' | 'B1' | 'B2' | 'B3' | 'S1' | 'S2' | 'S3';
+
+    export interface BulkRateLimitOptions {
+      /**
+       * Tier of the IoT hub, used to look up its identity registry operations quota.
+       */
+      tier?: IotHubTier;
+      /**
+       * Number of units of the IoT hub. Defaults to 1.
+       */
+      units?: number;
+      /**
+       * Maximum number of devices sent per minute, overriding the quota of the tier.
+       */
+      devicesPerMinute?: number;
+    }
 }
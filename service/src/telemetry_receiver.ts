@@ -0,0 +1,566 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+import { EventEmitter } from 'events';
+import * as url from 'url';
+import * as async from 'async';
+import * as uuid from 'uuid';
+import * as dbg from 'debug';
+import { filter as rheaFilter } from 'rhea';
+const debug = dbg('azure-iothub:TelemetryReceiver');
+
+import { anHourFromNow, errors, callbackToPromise, errorCallbackToPromise, ErrorCallback, Message, SharedAccessSignature } from 'azure-iot-common';
+import { Amqp as Base, AmqpMessage, AmqpBaseTransportConfig, ReceiverLink, SenderLink } from 'azure-iot-amqp-base';
+import * as ConnectionString from './connection_string';
+import { translateError } from './amqp_service_errors';
+import { Callback } from './interfaces';
+import { CheckpointStore, CheckpointKey, TelemetryCheckpoint, InMemoryCheckpointStore } from './checkpoint_store';
+// tslint:disable-next-line:no-var-requires
+const packageJson = require('../package.json');
+
+const DEFAULT_CONSUMER_GROUP = '$Default';
+const MANAGEMENT_ENDPOINT = '$management';
+
+/**
+ * Position from which the telemetry of a partition is received when there is no checkpoint for it:
+ * - `start`: the oldest message retained in the partition.
+ * - `end`: only the messages enqueued after the receiver has started.
+ * - a `Date`: the messages enqueued after this time.
+ * - `{ offset }`: the messages that follow the message with this offset.
+ * - `{ sequenceNumber }`: the messages that follow the message with this sequence number.
+ */
+export type TelemetryStartPosition = 'start' | 'end' | Date | { offset: string } | { sequenceNumber: number };
+
+/**
+ * Options of {@link azure-iothub.TelemetryReceiver.fromConnectionString}.
+ */
+export interface TelemetryReceiverOptions {
+  /**
+   * Consumer group used to receive the telemetry. Defaults to `$Default`.
+   */
+  consumerGroup?: string;
+  /**
+   * Partitions to receive from. Defaults to all the partitions of the Event Hub-compatible endpoint.
+   */
+  partitionIds?: string[];
+  /**
+   * Position from which to receive the telemetry of the partitions that have no checkpoint. Defaults to `end`.
+   */
+  startPosition?: TelemetryStartPosition;
+  /**
+   * Store used to read and save the checkpoints. Defaults to an {@link azure-iothub.InMemoryCheckpointStore}.
+   */
+  checkpointStore?: CheckpointStore;
+}
+
+/**
+ * Event Hub-compatible endpoint of an IoT hub.
+ */
+export interface EventHubEndpoint {
+  /**
+   * Fully-qualified host name of the Event Hubs namespace.
+   */
+  host: string;
+  /**
+   * Name of the Event Hub-compatible entity.
+   */
+  eventHubName: string;
+}
+
+/**
+ * Telemetry message emitted by the {@link azure-iothub.TelemetryReceiver} with the `message` event.
+ */
+export interface TelemetryEvent {
+  /**
+   * Message sent by the device.
+   */
+  message: Message;
+  /**
+   * Identifier of the partition the message was received from.
+   */
+  partitionId: string;
+  /**
+   * Offset of the message in its partition.
+   */
+  offset: string;
+  /**
+   * Sequence number of the message in its partition.
+   */
+  sequenceNumber: number;
+  /**
+   * Time at which the message was enqueued in its partition.
+   */
+  enqueuedTimeUtc: Date;
+  /**
+   * Identifier of the device that sent the message.
+   */
+  deviceId?: string;
+  /**
+   * Identifier of the module that sent the message, if it was sent by a module.
+   */
+  moduleId?: string;
+}
+
+/**
+ * @private
+ */
+export interface TelemetryReceiverConfig {
+  host: string;
+  keyName: string;
+  key: string;
+}
+
+/**
+ * Receives the telemetry sent by devices and modules to an Azure IoT hub from its built-in Event Hub-compatible endpoint,
+ * without requiring an Event Hubs client library.
+ *
+ * Instances should be created with the {@link azure-iothub.TelemetryReceiver.fromConnectionString} factory method.
+ * Once started, the receiver emits a `message` event with a {@link azure-iothub.TelemetryEvent} for each message received from any partition,
+ * and a `disconnect` event if the connection is lost, after which it can be started again and resumes from the last checkpoints.
+ * An `error` event is emitted if the token of the Event Hub-compatible endpoint cannot be renewed, before the connection is closed by the service when the current token expires.
+ */
+export class TelemetryReceiver extends EventEmitter {
+  private _config: TelemetryReceiverConfig;
+  private _consumerGroup: string;
+  private _partitionIds: string[];
+  private _startPosition: TelemetryStartPosition;
+  private _checkpointStore: CheckpointStore;
+  private _amqpFactory: () => Base;
+  private _eventHubEndpoint: EventHubEndpoint;
+  private _amqp: Base;
+  private _partitionEndpoints: string[] = [];
+  private _state: 'stopped' | 'starting' | 'started' | 'stopping' = 'stopped';
+  private _renewalTimeout: any;
+  private _renewalNumberOfMilliseconds: number = 2700000;
+  private _renewalRetryInMs: number = 60000;
+  private _maxTokenRenewalAttempts: number = 10;
+  private _managementTimeoutInMs: number = 60000;
+
+  /**
+   * @private
+   */
+  constructor(config: TelemetryReceiverConfig, options?: TelemetryReceiverOptions, amqpFactory?: () => Base) {
+    super();
+    options = options || {};
+    /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_003: [The `TelemetryReceiver` constructor shall throw an `ArgumentError` if `options.startPosition` is not `start`, `end`, a `Date`, an object with an `offset` string or an object with a `sequenceNumber` number.]*/
+    if (options.startPosition !== undefined) {
+      TelemetryReceiver._filterExpression(options.startPosition);
+    }
+    /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_004: [The `TelemetryReceiver` constructor shall throw an `ArgumentError` if `options.partitionIds` is specified and is not a non-empty array.]*/
+    if (options.partitionIds !== undefined && !(Array.isArray(options.partitionIds) && options.partitionIds.length > 0)) {
+      throw new errors.ArgumentError('options.partitionIds must be a non-empty array');
+    }
+
+    this._config = config;
+    this._consumerGroup = options.consumerGroup || DEFAULT_CONSUMER_GROUP;
+    this._partitionIds = options.partitionIds;
+    this._startPosition = options.startPosition || 'end';
+    this._checkpointStore = options.checkpointStore || new InMemoryCheckpointStore();
+    this._amqpFactory = amqpFactory || (() => new Base(true));
+  }
+
+  /**
+   * Resolves the Event Hub-compatible endpoint of the IoT hub by connecting to the IoT hub and following the redirection of its telemetry endpoint.
+   * The result is cached for the lifetime of the receiver.
+   *
+   * @param {Callback}  [done]   Optional function called with the {@link azure-iothub.EventHubEndpoint} or an error.
+   * @returns {Promise<EventHubEndpoint> | void} Promise if no callback function was passed, void otherwise.
+   */
+  resolveEventHubEndpoint(done: Callback<EventHubEndpoint>): void;
+  resolveEventHubEndpoint(): Promise<EventHubEndpoint>;
+  resolveEventHubEndpoint(done?: Callback<EventHubEndpoint>): Promise<EventHubEndpoint> | void {
+    /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_025: [The `resolveEventHubEndpoint` method shall return a `Promise` if no callback is specified.]*/
+    return callbackToPromise((_callback) => {
+      if (this._eventHubEndpoint) {
+        /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_009: [The `resolveEventHubEndpoint` method shall reuse the endpoint it has already resolved.]*/
+        _callback(null, this._eventHubEndpoint);
+        return;
+      }
+
+      const iotHubAmqp = this._amqpFactory();
+      const redirectedEndpoint = 'messages/events/ConsumerGroups/' + this._consumerGroup + '/Partitions/0';
+      async.waterfall([
+        (callback) => {
+          /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_005: [The `resolveEventHubEndpoint` method shall connect to the IoT hub, initialize CBS and put a token for the IoT hub host created from the shared access key of the connection string.]*/
+          iotHubAmqp.connect(this._connectionConfig(this._config.host), (err) => callback(err));
+        },
+        (callback) => iotHubAmqp.initializeCBS(callback),
+        (callback) => {
+          const token = SharedAccessSignature.create(this._config.host, this._config.keyName, this._config.key, anHourFromNow()).toString();
+          iotHubAmqp.putToken(this._config.host, token, callback);
+        },
+        (callback) => {
+          /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_006: [The `resolveEventHubEndpoint` method shall attach a receiver link to `messages/events/ConsumerGroups/<consumerGroup>/Partitions/0` and resolve the Event Hub-compatible `host` and `eventHubName` from the address of the `amqp:link:redirect` error returned by the IoT hub.]*/
+          iotHubAmqp.attachReceiverLink(redirectedEndpoint, null, (err: any, link) => {
+            if (err && err.condition === 'amqp:link:redirect' && err.info && err.info.address) {
+              const redirectAddress = url.parse(err.info.address);
+              callback(null, { host: redirectAddress.hostname, eventHubName: redirectAddress.pathname.split('/')[1] });
+            } else if (err) {
+              callback(err);
+            } else {
+              /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_007: [The `resolveEventHubEndpoint` method shall call its callback with an error if the IoT hub does not redirect the link.]*/
+              iotHubAmqp.detachReceiverLink(redirectedEndpoint, () => callback(new Error('the IoT hub did not redirect the telemetry endpoint')));
+            }
+          });
+        }
+      ], (err, eventHubEndpoint?: EventHubEndpoint) => {
+        /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_008: [The `resolveEventHubEndpoint` method shall disconnect from the IoT hub and call its callback with the resolved endpoint or with the translated error whether it succeeds or fails.]*/
+        iotHubAmqp.disconnect((disconnectErr) => {
+          if (disconnectErr) {
+            debug('error disconnecting from the IoT hub: ' + disconnectErr.toString());
+          }
+          if (err) {
+            _callback(translateError('could not resolve the Event Hub-compatible endpoint', err));
+          } else {
+            debug('Event Hub-compatible endpoint: ' + eventHubEndpoint.host + '/' + eventHubEndpoint.eventHubName);
+            this._eventHubEndpoint = eventHubEndpoint;
+            _callback(null, eventHubEndpoint);
+          }
+        });
+      });
+    }, done);
+  }
+
+  /**
+   * Connects to the Event Hub-compatible endpoint and starts receiving from the partitions, each from its checkpoint if there is one or from the start position otherwise.
+   *
+   * @param {ErrorCallback}  [done]   Optional function called once the receiver is receiving from all the partitions or if an error happened.
+   * @returns {Promise<void> | void} Promise if no callback function was passed, void otherwise.
+   */
+  start(done: ErrorCallback): void;
+  start(): Promise<void>;
+  start(done?: ErrorCallback): Promise<void> | void {
+    /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_026: [The `start` method shall return a `Promise` if no callback is specified.]*/
+    return errorCallbackToPromise((_callback) => {
+      if (this._state === 'started') {
+        /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_010: [The `start` method shall call its callback immediately if the receiver is already started.]*/
+        _callback();
+        return;
+      } else if (this._state !== 'stopped') {
+        /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_011: [The `start` method shall call its callback with an `InvalidOperationError` if the receiver is starting or stopping.]*/
+        _callback(new errors.InvalidOperationError('the telemetry receiver is ' + this._state));
+        return;
+      }
+
+      this._state = 'starting';
+      async.waterfall([
+        (callback) => this.resolveEventHubEndpoint(callback),
+        (eventHubEndpoint, callback) => {
+          /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_012: [The `start` method shall connect to the Event Hub-compatible host, initialize CBS and put a token for `sb://<host>/<eventHubName>` created from the shared access key of the connection string.]*/
+          this._amqp = this._amqpFactory();
+          this._amqp.setDisconnectHandler((err) => this._onDisconnect(err));
+          this._amqp.connect(this._connectionConfig(eventHubEndpoint.host), (err) => callback(err ? translateError('could not connect to the Event Hub-compatible endpoint', err) : null));
+        },
+        (callback) => this._amqp.initializeCBS((err) => callback(err ? translateError('could not initialize CBS', err) : null)),
+        (callback) => this._putEventHubToken((err) => callback(err ? translateError('could not put the Event Hub token', err) : null)),
+        (callback) => {
+          if (this._partitionIds) {
+            /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_014: [The `start` method shall only receive from the partitions listed in `options.partitionIds` if specified.]*/
+            callback(null, this._partitionIds);
+          } else {
+            this._getPartitionIds(callback);
+          }
+        },
+        (partitionIds, callback) => async.each(partitionIds, (partitionId: string, partitionCallback) => this._receive(partitionId, partitionCallback), callback)
+      ], (err) => {
+        if (err) {
+          debug('could not start: ' + err.toString());
+          /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_018: [The `start` method shall disconnect and call its callback with the error if any step fails, translated if it comes from the AMQP layer.]*/
+          this._close(() => _callback(err));
+        } else {
+          this._state = 'started';
+          this._scheduleTokenRenewal();
+          _callback();
+        }
+      });
+    }, done);
+  }
+
+  /**
+   * Saves the position of a telemetry message in the checkpoint store so that the receiver resumes after it when it is started again.
+   *
+   * @param {TelemetryEvent}  event   Telemetry event emitted by this receiver.
+   * @param {ErrorCallback}   [done]  Optional function called when the checkpoint has been saved.
+   * @returns {Promise<void> | void} Promise if no callback function was passed, void otherwise.
+   *
+   * @throws {ReferenceError}    If `event` is falsy.
+   */
+  checkpoint(event: TelemetryEvent, done: ErrorCallback): void;
+  checkpoint(event: TelemetryEvent): Promise<void>;
+  checkpoint(event: TelemetryEvent, done?: ErrorCallback): Promise<void> | void {
+    /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_019: [The `checkpoint` method shall throw a `ReferenceError` if `event` is falsy.]*/
+    if (!event) throw new ReferenceError('event cannot be \'' + event + '\'');
+
+    /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_027: [The `checkpoint` method shall return a `Promise` if no callback is specified.]*/
+    return errorCallbackToPromise((_callback) => {
+      if (!this._eventHubEndpoint) {
+        /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_020: [The `checkpoint` method shall call its callback with an `InvalidOperationError` if the Event Hub-compatible endpoint has not been resolved yet.]*/
+        _callback(new errors.InvalidOperationError('the telemetry receiver has not been started'));
+      } else {
+        /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_021: [The `checkpoint` method shall call `setCheckpoint` on the checkpoint store with the `eventHubName`, `consumerGroup` and `partitionId` of the event and its `offset`, `sequenceNumber` and `enqueuedTimeUtc`.]*/
+        const checkpoint: TelemetryCheckpoint = { offset: event.offset, sequenceNumber: event.sequenceNumber, enqueuedTimeUtc: event.enqueuedTimeUtc };
+        this._checkpointStore.setCheckpoint(this._checkpointKey(event.partitionId), checkpoint, _callback);
+      }
+    }, done);
+  }
+
+  /**
+   * Stops receiving and disconnects from the Event Hub-compatible endpoint.
+   *
+   * @param {ErrorCallback}  [done]   Optional function called once the receiver is disconnected.
+   * @returns {Promise<void> | void} Promise if no callback function was passed, void otherwise.
+   */
+  stop(done: ErrorCallback): void;
+  stop(): Promise<void>;
+  stop(done?: ErrorCallback): Promise<void> | void {
+    /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_028: [The `stop` method shall return a `Promise` if no callback is specified.]*/
+    return errorCallbackToPromise((_callback) => {
+      if (this._state === 'stopped') {
+        /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_022: [The `stop` method shall call its callback immediately if the receiver is already stopped.]*/
+        _callback();
+      } else if (this._state !== 'started') {
+        _callback(new errors.InvalidOperationError('the telemetry receiver is ' + this._state));
+      } else {
+        /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_023: [The `stop` method shall detach the links of all the partitions, disconnect and call its callback.]*/
+        this._close(_callback);
+      }
+    }, done);
+  }
+
+  private _connectionConfig(host: string): AmqpBaseTransportConfig {
+    return {
+      uri: 'amqps://' + host,
+      userAgentString: packageJson.name + '/' + packageJson.version
+    };
+  }
+
+  private _eventHubToken(): string {
+    const audience = 'sb://' + this._eventHubEndpoint.host + '/' + this._eventHubEndpoint.eventHubName;
+    return SharedAccessSignature.create(encodeURIComponent(audience), this._config.keyName, this._config.key, anHourFromNow()).toString();
+  }
+
+  private _putEventHubToken(callback: (err?: Error) => void): void {
+    const audience = 'sb://' + this._eventHubEndpoint.host + '/' + this._eventHubEndpoint.eventHubName;
+    this._amqp.putToken(audience, this._eventHubToken(), callback);
+  }
+
+  private _scheduleTokenRenewal(failedAttempts: number = 0): void {
+    /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_013: [The receiver shall put a new token every 45 minutes while it is started.]*/
+    const renewalTime = failedAttempts === 0 ? this._renewalNumberOfMilliseconds : this._renewalRetryInMs;
+    this._renewalTimeout = setTimeout(() => {
+      this._putEventHubToken((err) => {
+        if (err) {
+          debug('error automatically renewing the token: ' + err.toString());
+        }
+        if (this._state !== 'started') {
+          return;
+        } else if (!err) {
+          this._scheduleTokenRenewal();
+        } else if (failedAttempts + 1 < this._maxTokenRenewalAttempts) {
+          /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_030: [If putting a new token fails, the receiver shall try again every minute while it is started.]*/
+          this._scheduleTokenRenewal(failedAttempts + 1);
+        } else {
+          /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_031: [If putting a new token fails 10 times in a row, the receiver shall stop trying and emit an `error` event with the translated error.]*/
+          this.emit('error', translateError('could not renew the Event Hub token', err));
+        }
+      });
+    }, renewalTime);
+  }
+
+  private _getPartitionIds(callback: (err?: Error, partitionIds?: string[]) => void): void {
+    const replyTo = 'telemetry-receiver-' + uuid.v4();
+    const request = new AmqpMessage();
+    request.message_id = uuid.v4();
+    request.reply_to = replyTo;
+    /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_015: [If `options.partitionIds` is not specified, the `start` method shall get the partition identifiers by sending a `READ` request of type `com.microsoft:eventhub` for the `eventHubName` to the `$management` endpoint and waiting for the response with the matching `correlation_id`.]*/
+    request.application_properties = {
+      operation: 'READ',
+      name: this._eventHubEndpoint.eventHubName,
+      type: 'com.microsoft:eventhub',
+      security_token: this._eventHubToken()
+    };
+
+    let responseTimeout: any;
+    let completed = false;
+    const detachLinks = (err: Error, partitionIds?: string[]) => {
+      if (completed) {
+        return;
+      }
+      completed = true;
+      clearTimeout(responseTimeout);
+      this._amqp.detachSenderLink(MANAGEMENT_ENDPOINT, () => {
+        this._amqp.detachReceiverLink(MANAGEMENT_ENDPOINT, () => callback(err, partitionIds));
+      });
+    };
+
+    this._amqp.attachSenderLink(MANAGEMENT_ENDPOINT, null, (err, senderLink: SenderLink) => {
+      if (err) {
+        callback(translateError('could not attach the management sender link', err));
+        return;
+      }
+
+      this._amqp.attachReceiverLink(MANAGEMENT_ENDPOINT, { target: { address: replyTo } }, (err, receiverLink: ReceiverLink) => {
+        if (err) {
+          detachLinks(translateError('could not attach the management receiver link', err));
+          return;
+        }
+
+        receiverLink.on('message', (response: AmqpMessage) => {
+          if (response.correlation_id === request.message_id) {
+            const statusCode = response.application_properties && response.application_properties['status-code'];
+            if (statusCode !== 200) {
+              /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_016: [The `start` method shall fail with an error if the status code of the `$management` response is not 200.]*/
+              detachLinks(new Error('could not read the partitions of ' + this._eventHubEndpoint.eventHubName + ': ' + statusCode + ' ' + (response.application_properties && response.application_properties['status-description'])));
+            } else {
+              detachLinks(null, response.body.partition_ids);
+            }
+          }
+        });
+
+        /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_032: [The `start` method shall detach the `$management` links and fail with a `TimeoutError` if the `$management` response is not received within a minute.]*/
+        responseTimeout = setTimeout(() => {
+          detachLinks(new errors.TimeoutError('no response to the request reading the partitions of ' + this._eventHubEndpoint.eventHubName));
+        }, this._managementTimeoutInMs);
+
+        senderLink.send(request, (err) => {
+          if (err) {
+            detachLinks(translateError('could not send the management request', err));
+          }
+        });
+      });
+    });
+  }
+
+  private _receive(partitionId: string, callback: (err?: Error) => void): void {
+    this._checkpointStore.getCheckpoint(this._checkpointKey(partitionId), (err, checkpoint) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_017: [The `start` method shall attach a receiver link to `<eventHubName>/ConsumerGroups/<consumerGroup>/Partitions/<partitionId>` for each partition, with a selector filter starting after the offset of the checkpoint of the partition if there is one, or at `options.startPosition` otherwise.]*/
+      const position: TelemetryStartPosition = checkpoint ? { offset: checkpoint.offset } : this._startPosition;
+      const partitionEndpoint = this._eventHubEndpoint.eventHubName + '/ConsumerGroups/' + this._consumerGroup + '/Partitions/' + partitionId;
+      const linkOptions = {
+        source: {
+          address: partitionEndpoint,
+          filter: rheaFilter.selector(TelemetryReceiver._filterExpression(position))
+        }
+      };
+      this._amqp.attachReceiverLink(partitionEndpoint, linkOptions, (err, link: ReceiverLink) => {
+        if (err) {
+          callback(translateError('could not receive from partition ' + partitionId, err));
+        } else {
+          debug('receiving from partition ' + partitionId);
+          this._partitionEndpoints.push(partitionEndpoint);
+          /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_024: [The receiver shall emit a `message` event with a `TelemetryEvent` for each message received on a partition link, with the `partitionId`, the `x-opt-offset`, `x-opt-sequence-number` and `x-opt-enqueued-time` annotations and the `iothub-connection-device-id` and `iothub-connection-module-id` annotations if present.]*/
+          link.on('message', (amqpMessage: AmqpMessage) => this.emit('message', TelemetryReceiver._toTelemetryEvent(partitionId, amqpMessage)));
+          link.on('error', (err) => this._onDisconnect(err));
+          callback();
+        }
+      });
+    });
+  }
+
+  private _checkpointKey(partitionId: string): CheckpointKey {
+    return {
+      eventHubName: this._eventHubEndpoint.eventHubName,
+      consumerGroup: this._consumerGroup,
+      partitionId: partitionId
+    };
+  }
+
+  private _close(callback: (err?: Error) => void): void {
+    this._state = 'stopping';
+    clearTimeout(this._renewalTimeout);
+    const partitionEndpoints = this._partitionEndpoints;
+    this._partitionEndpoints = [];
+    async.each(partitionEndpoints, (partitionEndpoint: string, detachCallback) => {
+      this._amqp.detachReceiverLink(partitionEndpoint, (err) => {
+        if (err) {
+          debug('error detaching ' + partitionEndpoint + ': ' + err.toString());
+        }
+        detachCallback();
+      });
+    }, () => {
+      const amqp = this._amqp;
+      this._amqp = undefined;
+      if (!amqp) {
+        this._state = 'stopped';
+        callback();
+        return;
+      }
+
+      amqp.disconnect((err) => {
+        this._state = 'stopped';
+        if (err) {
+          debug('error disconnecting: ' + err.toString());
+        }
+        callback(err ? translateError('error while disconnecting the telemetry receiver', err) : undefined);
+      });
+    });
+  }
+
+  private _onDisconnect(err: Error): void {
+    if (this._state === 'started') {
+      debug('connection lost: ' + (err ? err.toString() : 'no error'));
+      /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_029: [If the connection or a partition link fails while the receiver is started, the receiver shall detach all the links, disconnect and emit a `disconnect` event with the translated error.]*/
+      this._close(() => this.emit('disconnect', err ? translateError('the telemetry receiver was disconnected', err) : new errors.NotConnectedError('the telemetry receiver was disconnected')));
+    }
+  }
+
+  /**
+   * Creates a telemetry receiver that resolves the Event Hub-compatible endpoint of the IoT hub from the given connection string.
+   *
+   * @param {String}                    connectionString  Connection string of the IoT hub with a policy that has the `ServiceConnect` permission.
+   * @param {TelemetryReceiverOptions}  [options]         Consumer group, partitions, start position and checkpoint store of the receiver.
+   *
+   * @throws {ReferenceError}    If `connectionString` is falsy.
+   * @throws {ArgumentError}     If the connection string or one of the options is not valid.
+   * @returns {TelemetryReceiver}
+   */
+  static fromConnectionString(connectionString: string, options?: TelemetryReceiverOptions): TelemetryReceiver {
+    /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_001: [The `fromConnectionString` method shall throw a `ReferenceError` if `connectionString` is falsy.]*/
+    if (!connectionString) throw new ReferenceError('connectionString cannot be \'' + connectionString + '\'');
+    /*Codes_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_002: [The `fromConnectionString` method shall parse the connection string and return a new `TelemetryReceiver` using its `HostName`, `SharedAccessKeyName` and `SharedAccessKey`.]*/
+    const cn = ConnectionString.parse(connectionString);
+    return new TelemetryReceiver({ host: cn.HostName, keyName: cn.SharedAccessKeyName, key: cn.SharedAccessKey }, options);
+  }
+
+  private static _filterExpression(position: TelemetryStartPosition): string {
+    if (position === 'start') {
+      return 'amqp.annotation.x-opt-offset > \'-1\'';
+    } else if (position === 'end') {
+      return 'amqp.annotation.x-opt-offset > \'@latest\'';
+    } else if (position instanceof Date) {
+      return 'amqp.annotation.x-opt-enqueued-time > \'' + position.getTime() + '\'';
+    } else if (position && typeof (position as any).offset === 'string') {
+      return 'amqp.annotation.x-opt-offset > \'' + (position as any).offset + '\'';
+    } else if (position && typeof (position as any).sequenceNumber === 'number') {
+      return 'amqp.annotation.x-opt-sequence-number > ' + (position as any).sequenceNumber;
+    } else {
+      throw new errors.ArgumentError('options.startPosition must be \'start\', \'end\', a Date, an offset or a sequence number');
+    }
+  }
+
+  private static _toTelemetryEvent(partitionId: string, amqpMessage: AmqpMessage): TelemetryEvent {
+    const annotations = amqpMessage.message_annotations || {};
+    const enqueuedTime = annotations['x-opt-enqueued-time'];
+    const event: TelemetryEvent = {
+      message: AmqpMessage.toMessage(amqpMessage),
+      partitionId: partitionId,
+      offset: annotations['x-opt-offset'],
+      sequenceNumber: annotations['x-opt-sequence-number'],
+      enqueuedTimeUtc: enqueuedTime instanceof Date ? enqueuedTime : new Date(enqueuedTime)
+    };
+    if (annotations['iothub-connection-device-id']) {
+      event.deviceId = annotations['iothub-connection-device-id'];
+    }
+    if (annotations['iothub-connection-module-id']) {
+      event.moduleId = annotations['iothub-connection-module-id'];
+    }
+    return event;
+  }
+}
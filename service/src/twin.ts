@@ -3,7 +3,7 @@
 
 'use strict';
 
-import { errors } from 'azure-iot-common';
+import { errors, ResultWithHttpResponse, httpCallbackToPromise } from 'azure-iot-common';
 import * as _ from 'lodash';
 import { DeviceIdentity } from './device';
 import { Registry } from './registry';
@@ -123,8 +123,11 @@ export class Twin implements TwinData {
    *                                object representing the created device
    *                                identity, and a transport-specific response
    *                                object useful for logging or debugging.
+   * @returns {Promise<ResultWithHttpResponse<Twin>> | void} Promise if no callback function was passed, void otherwise.
    */
-  get(done: Callback<Twin>): void {
+  get(done: Callback<Twin>): void;
+  get(): Promise<ResultWithHttpResponse<Twin>>;
+  get(done?: Callback<Twin>): Promise<ResultWithHttpResponse<Twin>> | void {
     /*Codes_SRS_NODE_IOTHUB_TWIN_16_020: [If `this.moduleId` is falsy, the `get` method shall call the `getTwin` method of the `Registry` instance stored in `_registry` property with the following parameters:
     - `this.deviceId`
     - `done`]*/
@@ -140,19 +143,22 @@ export class Twin implements TwinData {
       get = (done) => this._registry.getTwin(this.deviceId, done);
     }
 
-    get((err, result, response) => {
-      if (err) {
-        /*Codes_SRS_NODE_IOTHUB_TWIN_16_022: [The method shall call the `done` callback with an `Error` object if the request failed]*/
-        done(err);
-      } else {
-        /*Codes_SRS_NODE_IOTHUB_TWIN_16_021: [The method shall copy properties, tags, and etag in the twin returned in the callback of the `Registry` method call into its parent object.]*/
-        this.properties = result.properties;
-        this.tags = result.tags;
-        this.etag = result.etag;
-        /*Codes_SRS_NODE_IOTHUB_TWIN_16_023: [The method shall call the `done` callback with a `null` error object, its parent instance as a second argument and the transport `response` object as a third argument if the request succeeded.]*/
-        done(null, this, response);
-      }
-    });
+    /*Codes_SRS_NODE_IOTHUB_TWIN_16_024: [If no `done` callback is specified, the method shall return a `Promise` that is rejected with an `Error` object if the request failed, or resolved with an object containing the parent instance as `result` and the transport `response` object if the request succeeded.]*/
+    return httpCallbackToPromise((_callback) => {
+      get((err, result, response) => {
+        if (err) {
+          /*Codes_SRS_NODE_IOTHUB_TWIN_16_022: [The method shall call the `done` callback with an `Error` object if the request failed]*/
+          _callback(err);
+        } else {
+          /*Codes_SRS_NODE_IOTHUB_TWIN_16_021: [The method shall copy properties, tags, and etag in the twin returned in the callback of the `Registry` method call into its parent object.]*/
+          this.properties = result.properties;
+          this.tags = result.tags;
+          this.etag = result.etag;
+          /*Codes_SRS_NODE_IOTHUB_TWIN_16_023: [The method shall call the `done` callback with a `null` error object, its parent instance as a second argument and the transport `response` object as a third argument if the request succeeded.]*/
+          _callback(null, this, response);
+        }
+      });
+    }, done);
   }
 
   /**
@@ -166,8 +172,11 @@ export class Twin implements TwinData {
    *                                object representing the created device
    *                                identity, and a transport-specific response
    *                                object useful for logging or debugging.
+   * @returns {Promise<ResultWithHttpResponse<Twin>> | void} Promise if no callback function was passed, void otherwise.
    */
-  update(patch: any, done: Callback<Twin>): void {
+  update(patch: any, done: Callback<Twin>): void;
+  update(patch: any): Promise<ResultWithHttpResponse<Twin>>;
+  update(patch: any, done?: Callback<Twin>): Promise<ResultWithHttpResponse<Twin>> | void {
     /*Codes_SRS_NODE_IOTHUB_TWIN_16_019: [If `this.moduleId` is falsy, The `update` method shall call the `updateTwin` method of the `Registry` instance stored in `_registry` property with the following parameters:
     - `this.deviceId`
     - `patch`
@@ -186,19 +195,22 @@ export class Twin implements TwinData {
       update = (done) => this._registry.updateTwin(this.deviceId, patch, this.etag, done);
     }
 
-    update((err, result, response) => {
-      if (err) {
-        /*Codes_SRS_NODE_IOTHUB_TWIN_16_022: [The method shall call the `done` callback with an `Error` object if the request failed]*/
-        done(err);
-      } else {
-        /*Codes_SRS_NODE_IOTHUB_TWIN_16_021: [The method shall copy properties, tags, and etag in the twin returned in the callback of the `Registry` method call into its parent object.]*/
-        this.properties = result.properties;
-        this.tags = result.tags;
-        this.etag = result.etag;
-        /*Codes_SRS_NODE_IOTHUB_TWIN_16_023: [The method shall call the `done` callback with a `null` error object, its parent instance as a second argument and the transport `response` object as a third argument if the request succeeded.]*/
-        done(null, this, response);
-      }
-    });
+    /*Codes_SRS_NODE_IOTHUB_TWIN_16_024: [If no `done` callback is specified, the method shall return a `Promise` that is rejected with an `Error` object if the request failed, or resolved with an object containing the parent instance as `result` and the transport `response` object if the request succeeded.]*/
+    return httpCallbackToPromise((_callback) => {
+      update((err, result, response) => {
+        if (err) {
+          /*Codes_SRS_NODE_IOTHUB_TWIN_16_022: [The method shall call the `done` callback with an `Error` object if the request failed]*/
+          _callback(err);
+        } else {
+          /*Codes_SRS_NODE_IOTHUB_TWIN_16_021: [The method shall copy properties, tags, and etag in the twin returned in the callback of the `Registry` method call into its parent object.]*/
+          this.properties = result.properties;
+          this.tags = result.tags;
+          this.etag = result.etag;
+          /*Codes_SRS_NODE_IOTHUB_TWIN_16_023: [The method shall call the `done` callback with a `null` error object, its parent instance as a second argument and the transport `response` object as a third argument if the request succeeded.]*/
+          _callback(null, this, response);
+        }
+      });
+    }, done);
   }
 
   /*Codes_SRS_NODE_IOTHUB_TWIN_16_015: [The `toJSON` method shall return a copy of the `Twin` object that doesn't contain the `_registry` private property.]*/
@@ -165,6 +165,127 @@ describe('Amqp', function() {
       });
     });
 
+    describe('with a token credential', function () {
+      var clock;
+      var makeTokenConfig = function (credential) {
+        return { host: 'hub.host.name', tokenCredential: credential, tokenScope: 'https://fake.scope/.default' };
+      };
+
+      beforeEach(function () {
+        clock = sinon.useFakeTimers();
+      });
+
+      afterEach(function () {
+        clock.restore();
+      });
+
+      /*Tests_SRS_NODE_IOTHUB_SERVICE_AMQP_16_040: [If `config.tokenCredential` is specified, `putToken` shall be invoked with the host name as audience and `Bearer <token>` as token, where `<token>` is the access token returned by the credential for `config.tokenScope`.]*/
+      it('puts the access token returned by the credential as a Bearer token', function (testCallback) {
+        var credential = { getToken: sinon.stub().resolves({ token: 'fakeToken', expiresOnTimestamp: 3600000 }) };
+        var transport = new Amqp(makeTokenConfig(credential), fakeAmqpBase);
+        transport.connect(function (err) {
+          assert.isNull(err);
+          assert.isTrue(credential.getToken.calledWith('https://fake.scope/.default'));
+          assert.isTrue(fakeAmqpBase.putToken.calledOnce);
+          assert.isTrue(fakeAmqpBase.putToken.calledWith('hub.host.name', 'Bearer fakeToken'));
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_IOTHUB_SERVICE_AMQP_16_041: [If the access token cannot be obtained or `putToken` fails, the client will remain disconnected and the callback, if provided, will be invoked with an error object.]*/
+      it('disconnects and calls the callback with an error if the credential fails', function (testCallback) {
+        var fakeError = new Error('fake');
+        var transport = new Amqp(makeTokenConfig({ getToken: sinon.stub().rejects(fakeError) }), fakeAmqpBase);
+        transport.connect(function (err) {
+          assert.instanceOf(err, Error);
+          assert.strictEqual(err.amqpError, fakeError);
+          assert.isTrue(fakeAmqpBase.putToken.notCalled);
+          assert.isTrue(fakeAmqpBase.disconnect.calledOnce);
+          testCallback();
+        });
+      });
+
+      it('disconnects and calls the callback with an error if putToken fails', function (testCallback) {
+        var fakeError = new errors.UnauthorizedError('fake');
+        fakeAmqpBase.putToken = sinon.stub().callsArgWith(2, fakeError);
+        var credential = { getToken: sinon.stub().resolves({ token: 'fakeToken', expiresOnTimestamp: 3600000 }) };
+        var transport = new Amqp(makeTokenConfig(credential), fakeAmqpBase);
+        transport.connect(function (err) {
+          assert.instanceOf(err, Error);
+          assert.isTrue(fakeAmqpBase.disconnect.calledOnce);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_IOTHUB_SERVICE_AMQP_16_042: [If `config.tokenCredential` is specified, a new access token shall be put on the CBS link 5 minutes before the current one expires, and at most once a minute.]*/
+      it('puts a new access token 5 minutes before the current one expires', function (testCallback) {
+        var credential = { getToken: sinon.stub() };
+        credential.getToken.onFirstCall().resolves({ token: 'fakeToken', expiresOnTimestamp: 3600000 });
+        credential.getToken.onSecondCall().resolves({ token: 'newToken', expiresOnTimestamp: 7200000 });
+        fakeAmqpBase.putToken.onSecondCall().callsFake(function (audience, token, callback) {
+          assert.strictEqual(audience, 'hub.host.name');
+          assert.strictEqual(token, 'Bearer newToken');
+          callback();
+          testCallback();
+        });
+        var transport = new Amqp(makeTokenConfig(credential), fakeAmqpBase);
+        transport.connect(function () {
+          clock.tick(3299999);
+          assert.isTrue(credential.getToken.calledOnce);
+          clock.tick(1);
+          assert.isTrue(credential.getToken.calledTwice);
+        });
+      });
+
+      it('does not renew the access token more than once a minute', function (testCallback) {
+        var credential = { getToken: sinon.stub().resolves({ token: 'fakeToken', expiresOnTimestamp: 120000 }) };
+        var transport = new Amqp(makeTokenConfig(credential), fakeAmqpBase);
+        transport.connect(function () {
+          clock.tick(59999);
+          assert.isTrue(credential.getToken.calledOnce);
+          clock.tick(1);
+          assert.isTrue(credential.getToken.calledTwice);
+          testCallback();
+        });
+      });
+
+      /*Tests_SRS_NODE_IOTHUB_SERVICE_AMQP_16_044: [If renewing the access token fails, a new attempt shall be scheduled one minute later if the client is still connected.]*/
+      it('tries to renew the access token again a minute after a failed renewal', function (testCallback) {
+        var credential = { getToken: sinon.stub() };
+        credential.getToken.onFirstCall().resolves({ token: 'fakeToken', expiresOnTimestamp: 3600000 });
+        credential.getToken.onSecondCall().throws(new Error('fake'));
+        credential.getToken.onThirdCall().resolves({ token: 'newToken', expiresOnTimestamp: 7200000 });
+        fakeAmqpBase.putToken.onSecondCall().callsFake(function (audience, token, callback) {
+          assert.strictEqual(token, 'Bearer newToken');
+          callback();
+          testCallback();
+        });
+        var transport = new Amqp(makeTokenConfig(credential), fakeAmqpBase);
+        transport.connect(function () {
+          clock.tick(3300000);
+          assert.isTrue(credential.getToken.calledTwice);
+          process.nextTick(function () {
+            clock.tick(59999);
+            assert.isTrue(credential.getToken.calledTwice);
+            clock.tick(1);
+            assert.isTrue(credential.getToken.calledThrice);
+          });
+        });
+      });
+
+      it('stops renewing the access token when disconnected', function (testCallback) {
+        var credential = { getToken: sinon.stub().resolves({ token: 'fakeToken', expiresOnTimestamp: 3600000 }) };
+        var transport = new Amqp(makeTokenConfig(credential), fakeAmqpBase);
+        transport.connect(function () {
+          transport.disconnect(function () {
+            clock.tick(3600000);
+            assert.isTrue(credential.getToken.calledOnce);
+            testCallback();
+          });
+        });
+      });
+    });
+
     it('calls its callback immediately if it is already connected', function (testCallback) {
       var transport = new Amqp(sasConfig, fakeAmqpBase);
       transport.connect(function () {
@@ -666,6 +787,22 @@ describe('Amqp', function() {
       });
     });
 
+    /*Tests_SRS_NODE_IOTHUB_SERVICE_AMQP_16_043: [The `updateSharedAccessSignature` shall call the callback with an `InvalidOperationError` if `config.tokenCredential` is specified.]*/
+    it('calls its callback with an InvalidOperationError if the client uses a token credential', function (testCallback) {
+      var fakeSas = 'SharedAccessSignature sr=a.hub.net&sig=1234&skn=keyName&se=4567';
+      var credential = { getToken: sinon.stub().resolves({ token: 'fakeToken', expiresOnTimestamp: Date.now() + 3600000 }) };
+      var amqp = new Amqp({ host: 'hub.host.name', tokenCredential: credential, tokenScope: 'https://fake.scope/.default' }, fakeAmqpBase);
+      amqp.connect(function () {
+        amqp.updateSharedAccessSignature(fakeSas, function (err) {
+          assert.instanceOf(err, errors.InvalidOperationError);
+          assert.isTrue(fakeAmqpBase.putToken.calledOnce);
+          amqp.disconnect(function () {
+            testCallback();
+          });
+        });
+      });
+    });
+
     /*Tests_SRS_NODE_IOTHUB_SERVICE_AMQP_16_031: [The `updateSharedAccessSignature` shall trigger a `putToken` call on the base transport if it is connected.]*/
     it('calls putToken on the lower layer amqp object', function (testCallback) {
       var fakeSas = 'SharedAccessSignature sr=a.hub.net&sig=1234&skn=keyName&se=4567';
@@ -0,0 +1,163 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var InMemoryCheckpointStore = require('../lib/checkpoint_store.js').InMemoryCheckpointStore;
+var FileCheckpointStore = require('../lib/checkpoint_store.js').FileCheckpointStore;
+
+var fakeKey = { eventHubName: 'iothub-ehub-fake', consumerGroup: '$Default', partitionId: '0' };
+var fakeCheckpoint = { offset: '1234', sequenceNumber: 42, enqueuedTimeUtc: new Date(1500000000000) };
+
+describe('InMemoryCheckpointStore', function () {
+  describe('#getCheckpoint', function () {
+    /*Tests_SRS_NODE_IOTHUB_IN_MEMORY_CHECKPOINT_STORE_16_001: [The `getCheckpoint` method shall call its callback with the last checkpoint set for the same `eventHubName`, `consumerGroup` and `partitionId`, or with `undefined` if there is none.]*/
+    it('calls back with undefined if no checkpoint has been set for the key', function (testCallback) {
+      var store = new InMemoryCheckpointStore();
+      store.setCheckpoint(fakeKey, fakeCheckpoint, function () {
+        store.getCheckpoint({ eventHubName: 'iothub-ehub-fake', consumerGroup: 'other', partitionId: '0' }, function (err, checkpoint) {
+          assert.isNull(err);
+          assert.isUndefined(checkpoint);
+          testCallback();
+        });
+      });
+    });
+  });
+
+  describe('#setCheckpoint', function () {
+    /*Tests_SRS_NODE_IOTHUB_IN_MEMORY_CHECKPOINT_STORE_16_002: [The `setCheckpoint` method shall store the checkpoint, replacing the one previously set for the same key, and call its callback with no arguments.]*/
+    it('replaces the checkpoint previously set for the same key', function (testCallback) {
+      var store = new InMemoryCheckpointStore();
+      var newCheckpoint = { offset: '5678', sequenceNumber: 43, enqueuedTimeUtc: new Date(1500000001000) };
+      store.setCheckpoint(fakeKey, fakeCheckpoint, function (err) {
+        assert.isUndefined(err);
+        store.setCheckpoint(fakeKey, newCheckpoint, function () {
+          store.getCheckpoint(fakeKey, function (err, checkpoint) {
+            assert.strictEqual(checkpoint, newCheckpoint);
+            testCallback();
+          });
+        });
+      });
+    });
+  });
+});
+
+describe('FileCheckpointStore', function () {
+  var testFilePath;
+
+  beforeEach(function () {
+    testFilePath = path.join(os.tmpdir(), 'azure-iothub-checkpoint-store-test-' + process.pid + '-' + Date.now() + '.json');
+  });
+
+  afterEach(function () {
+    [testFilePath, testFilePath + '.tmp'].forEach(function (filePath) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+  });
+
+  describe('#constructor', function () {
+    /*Tests_SRS_NODE_IOTHUB_FILE_CHECKPOINT_STORE_16_001: [The `FileCheckpointStore` constructor shall throw a `ReferenceError` if `filePath` is falsy.]*/
+    [undefined, null, ''].forEach(function (badPath) {
+      it('throws a ReferenceError if filePath is \'' + badPath + '\'', function () {
+        assert.throws(function () {
+          return new FileCheckpointStore(badPath);
+        }, ReferenceError);
+      });
+    });
+  });
+
+  describe('#getCheckpoint', function () {
+    /*Tests_SRS_NODE_IOTHUB_FILE_CHECKPOINT_STORE_16_003: [The `getCheckpoint` method shall call its callback with the checkpoint read from the file for the same `eventHubName`, `consumerGroup` and `partitionId`, with its `enqueuedTimeUtc` as a `Date`, or with `undefined` if there is none.]*/
+    it('calls back with undefined if the file does not exist', function (testCallback) {
+      var store = new FileCheckpointStore(testFilePath);
+      store.getCheckpoint(fakeKey, function (err, checkpoint) {
+        assert.isNull(err);
+        assert.isUndefined(checkpoint);
+        testCallback();
+      });
+    });
+
+    it('reads the checkpoints saved by another store instance', function (testCallback) {
+      new FileCheckpointStore(testFilePath).setCheckpoint(fakeKey, fakeCheckpoint, function (err) {
+        assert.isNotOk(err);
+        new FileCheckpointStore(testFilePath).getCheckpoint(fakeKey, function (err, checkpoint) {
+          assert.isNull(err);
+          assert.deepEqual(checkpoint, fakeCheckpoint);
+          assert.instanceOf(checkpoint.enqueuedTimeUtc, Date);
+          testCallback();
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_FILE_CHECKPOINT_STORE_16_002: [The `getCheckpoint` and `setCheckpoint` methods shall call their callback with an error if the file exists and cannot be read or parsed.]*/
+    it('calls back with an error if the file cannot be parsed', function (testCallback) {
+      fs.writeFileSync(testFilePath, 'not json');
+      var store = new FileCheckpointStore(testFilePath);
+      store.getCheckpoint(fakeKey, function (err) {
+        assert.instanceOf(err, SyntaxError);
+        store.setCheckpoint(fakeKey, fakeCheckpoint, function (err) {
+          assert.instanceOf(err, SyntaxError);
+          testCallback();
+        });
+      });
+    });
+
+    it('calls back with an error if the file cannot be read', function (testCallback) {
+      var fakeError = new Error('fake');
+      fakeError.code = 'EACCES';
+      sinon.stub(fs, 'readFile').callsArgWith(2, fakeError);
+      var store = new FileCheckpointStore(testFilePath);
+      store.getCheckpoint(fakeKey, function (err) {
+        fs.readFile.restore();
+        assert.strictEqual(err, fakeError);
+        testCallback();
+      });
+    });
+  });
+
+  describe('#setCheckpoint', function () {
+    /*Tests_SRS_NODE_IOTHUB_FILE_CHECKPOINT_STORE_16_004: [The `setCheckpoint` method shall write all the checkpoints as JSON to a temporary file and then rename it to `filePath` so that a partially written file is never read.]*/
+    it('writes the checkpoints of all the partitions to a temporary file and renames it', function (testCallback) {
+      var otherKey = { eventHubName: 'iothub-ehub-fake', consumerGroup: '$Default', partitionId: '1' };
+      var store = new FileCheckpointStore(testFilePath);
+      var writeFileSpy = sinon.spy(fs, 'writeFile');
+      var renameSpy = sinon.spy(fs, 'rename');
+      var remaining = 2;
+      var setCallback = function (err) {
+        if (--remaining === 0) {
+          fs.writeFile.restore();
+          fs.rename.restore();
+          assert.isNotOk(err);
+          assert.strictEqual(writeFileSpy.lastCall.args[0], testFilePath + '.tmp');
+          assert.isTrue(renameSpy.calledWith(testFilePath + '.tmp', testFilePath));
+          assert.isFalse(fs.existsSync(testFilePath + '.tmp'));
+          var saved = JSON.parse(fs.readFileSync(testFilePath, 'utf8'));
+          assert.strictEqual(saved['iothub-ehub-fake/$Default/0'].offset, '1234');
+          assert.strictEqual(saved['iothub-ehub-fake/$Default/1'].offset, '5678');
+          testCallback();
+        }
+      };
+      store.setCheckpoint(fakeKey, fakeCheckpoint, setCallback);
+      store.setCheckpoint(otherKey, { offset: '5678', sequenceNumber: 43, enqueuedTimeUtc: new Date() }, setCallback);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_FILE_CHECKPOINT_STORE_16_005: [The `setCheckpoint` method shall call its callback with an error if the file cannot be written.]*/
+    it('calls back with an error if the file cannot be written', function (testCallback) {
+      var fakeError = new Error('fake');
+      sinon.stub(fs, 'writeFile').callsArgWith(3, fakeError);
+      var store = new FileCheckpointStore(testFilePath);
+      store.setCheckpoint(fakeKey, fakeCheckpoint, function (err) {
+        fs.writeFile.restore();
+        assert.strictEqual(err, fakeError);
+        testCallback();
+      });
+    });
+  });
+});
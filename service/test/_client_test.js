@@ -7,9 +7,13 @@ var assert = require('chai').assert;
 var sinon = require('sinon');
 var EventEmitter = require('events').EventEmitter;
 var Amqp = require('../lib/amqp.js').Amqp;
+var RestApiClient = require('azure-iot-http-base').RestApiClient;
 var Client = require('../lib/client.js').Client;
+var Query = require('../lib/query.js').Query;
+var FileNotificationReceiver = require('../lib/file_notification_receiver.js').FileNotificationReceiver;
 var Message = require('azure-iot-common').Message;
 var errors = require('azure-iot-common').errors;
+var results = require('azure-iot-common').results;
 var SimulatedAmqp = require('./amqp_simulated.js');
 var transportSpecificTests = require('./_client_common_testrun.js');
 
@@ -99,6 +103,45 @@ describe('Client', function () {
     });
   });
 
+  describe('#fromTokenCredential', function () {
+    var fakeCredential = { getToken: function () {} };
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_066: [The `fromTokenCredential` method shall throw a `ReferenceError` if `hostName` or `credential` is falsy.]*/
+    [undefined, null, ''].forEach(function (badValue) {
+      it('throws a ReferenceError if hostName is \'' + badValue + '\'', function () {
+        assert.throws(function () {
+          return Client.fromTokenCredential(badValue, fakeCredential);
+        }, ReferenceError);
+      });
+
+      it('throws a ReferenceError if credential is \'' + badValue + '\'', function () {
+        assert.throws(function () {
+          return Client.fromTokenCredential('hubName.azure-devices.net', badValue);
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_067: [The `fromTokenCredential` method shall use the default Transport (Amqp) if the `Transport` optional argument is falsy.]*/
+    it('creates an instance of the default transport', function () {
+      var client = Client.fromTokenCredential('hubName.azure-devices.net', fakeCredential);
+      assert.instanceOf(client._transport, Amqp);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_068: [The `fromTokenCredential` method shall create the transport and the REST API client with a config object containing `hostName`, `credential` and the `https://iothubs.azure.net/.default` scope, and return a new instance of the `Client` object.]*/
+    it('passes the host name, the credential and the scope to the transport', function () {
+      var FakeTransport = sinon.spy();
+      var client = Client.fromTokenCredential('hubName.azure-devices.net', fakeCredential, FakeTransport);
+      assert.instanceOf(client, Client);
+      assert.instanceOf(client._transport, FakeTransport);
+      assert.isOk(client._restApiClient);
+      assert.deepEqual(FakeTransport.args[0][0], {
+        host: 'hubName.azure-devices.net',
+        tokenCredential: fakeCredential,
+        tokenScope: 'https://iothubs.azure.net/.default'
+      });
+    });
+  });
+
   var goodSendParameters = [
     { obj: new Buffer('foo'), name: 'Buffer' },
     { obj: 'foo', name: 'string' },
@@ -169,6 +212,296 @@ describe('Client', function () {
 
   });
 
+  describe('#sendWithAcknowledgement', function() {
+    var fakeTransport;
+    var fakeReceiver;
+    var client;
+
+    var feedbackMessage = function(records) {
+      return new Message(JSON.stringify(records));
+    };
+
+    var record = function(messageId, statusCode) {
+      return {
+        originalMessageId: messageId,
+        deviceId: 'deviceId',
+        deviceGenerationId: 'generationId',
+        enqueuedTimeUtc: '2018-01-01T00:00:00.000Z',
+        statusCode: statusCode,
+        description: statusCode
+      };
+    };
+
+    beforeEach(function() {
+      fakeReceiver = new EventEmitter();
+      fakeReceiver.complete = sinon.stub().callsArg(1);
+      fakeTransport = new EventEmitter();
+      fakeTransport.connect = sinon.stub().callsArgWith(0, null, new results.Connected());
+      fakeTransport.disconnect = sinon.stub().callsArgWith(0, null, new results.Disconnected());
+      fakeTransport.send = sinon.stub().callsArgWith(2, null, new results.MessageEnqueued());
+      fakeTransport.getFeedbackReceiver = sinon.stub().callsArgWith(0, null, fakeReceiver);
+      client = new Client(fakeTransport);
+      client.setRetryPolicy({ shouldRetry: function() { return false; }, nextRetryTimeout: function() { return 0; } });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_046: [The `sendWithAcknowledgement` method shall throw a `ReferenceError` if `deviceId` or `message` is falsy.]*/
+    [undefined, null, ''].forEach(function(badValue) {
+      it('throws a ReferenceError if deviceId is \'' + badValue + '\'', function() {
+        assert.throws(function() {
+          client.sendWithAcknowledgement(badValue, new Message('msg'), function() {});
+        }, ReferenceError);
+      });
+
+      it('throws a ReferenceError if message is \'' + badValue + '\'', function() {
+        assert.throws(function() {
+          client.sendWithAcknowledgement('deviceId', badValue, function() {});
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_047: [The `sendWithAcknowledgement` method shall convert the `message` object to type `azure-iot-common.Message` if it is not already of type `azure-iot-common.Message`, and throw an `ArgumentError` if it cannot be converted.]*/
+    badSendParameters.forEach(function(testConfig) {
+      it('throws an ArgumentError if message is of type ' + testConfig.name, function() {
+        assert.throws(function() {
+          client.sendWithAcknowledgement('deviceId', testConfig.obj, function() {});
+        }, errors.ArgumentError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_047: [The `sendWithAcknowledgement` method shall convert the `message` object to type `azure-iot-common.Message` if it is not already of type `azure-iot-common.Message`, and throw an `ArgumentError` if it cannot be converted.]*/
+    it('converts the message to a Message', function() {
+      client.sendWithAcknowledgement('deviceId', 'body', function() {});
+      var sentMessage = fakeTransport.send.firstCall.args[1];
+      assert.instanceOf(sentMessage, Message);
+      assert.strictEqual(sentMessage.getData(), 'body');
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_048: [The `sendWithAcknowledgement` method shall throw an `ArgumentError` if `options.timeoutInSeconds` is specified and is not a positive number.]*/
+    [0, -1, '10'].forEach(function(badTimeout) {
+      it('throws an ArgumentError if options.timeoutInSeconds is ' + JSON.stringify(badTimeout), function() {
+        assert.throws(function() {
+          client.sendWithAcknowledgement('deviceId', new Message('msg'), { timeoutInSeconds: badTimeout }, function() {});
+        }, errors.ArgumentError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_049: [The `sendWithAcknowledgement` method shall set the `ack` property of the message to `full` if it is not set, and throw an `ArgumentError` if it is set to another value.]*/
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_050: [The `sendWithAcknowledgement` method shall set the `messageId` property of the message to a new UUID if it is not set.]*/
+    it('sets the ack and messageId properties of the message if they are not set', function() {
+      var message = new Message('msg');
+      client.sendWithAcknowledgement('deviceId', message, function() {});
+      assert.strictEqual(message.ack, 'full');
+      assert.match(message.messageId, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_049: [The `sendWithAcknowledgement` method shall set the `ack` property of the message to `full` if it is not set, and throw an `ArgumentError` if it is set to another value.]*/
+    it('keeps the messageId of the message if it is set', function() {
+      var message = new Message('msg');
+      message.messageId = 'myId';
+      message.ack = 'full';
+      client.sendWithAcknowledgement('deviceId', message, function() {});
+      assert.strictEqual(message.messageId, 'myId');
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_049: [The `sendWithAcknowledgement` method shall set the `ack` property of the message to `full` if it is not set, and throw an `ArgumentError` if it is set to another value.]*/
+    ['none', 'positive', 'negative'].forEach(function(badAck) {
+      it('throws an ArgumentError if the ack property of the message is \'' + badAck + '\'', function() {
+        var message = new Message('msg');
+        message.ack = badAck;
+        assert.throws(function() {
+          client.sendWithAcknowledgement('deviceId', message, function() {});
+        }, errors.ArgumentError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_051: [The `sendWithAcknowledgement` method shall listen to the feedback receiver, obtained with `getFeedbackReceiver`, before sending the message, and call its callback with an error if the feedback receiver cannot be obtained.]*/
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_056: [The `sendWithAcknowledgement` method shall send the message using `send` and call its callback with the error if sending fails.]*/
+    it('gets the feedback receiver once before sending the messages', function() {
+      client.sendWithAcknowledgement('deviceId', new Message('msg1'), function() {});
+      client.sendWithAcknowledgement('deviceId', new Message('msg2'), function() {});
+      assert.isTrue(fakeTransport.getFeedbackReceiver.calledOnce);
+      assert.isTrue(fakeTransport.getFeedbackReceiver.calledBefore(fakeTransport.send));
+      assert.strictEqual(fakeTransport.send.callCount, 2);
+      assert.strictEqual(fakeTransport.send.firstCall.args[0], 'deviceId');
+      assert.strictEqual(fakeReceiver.listeners('message').length, 1);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_051: [The `sendWithAcknowledgement` method shall listen to the feedback receiver, obtained with `getFeedbackReceiver`, before sending the message, and call its callback with an error if the feedback receiver cannot be obtained.]*/
+    it('calls its callback with an error if the feedback receiver cannot be obtained', function(testCallback) {
+      var fakeError = new errors.UnauthorizedError('fake');
+      fakeTransport.getFeedbackReceiver = sinon.stub().callsArgWith(0, fakeError);
+      client.sendWithAcknowledgement('deviceId', new Message('msg'), function(err) {
+        assert.strictEqual(err, fakeError);
+        assert.isTrue(fakeTransport.send.notCalled);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_056: [The `sendWithAcknowledgement` method shall send the message using `send` and call its callback with the error if sending fails.]*/
+    it('calls its callback with an error if the message cannot be sent', function(testCallback) {
+      var fakeError = new errors.DeviceNotFoundError('fake');
+      fakeTransport.send = sinon.stub().callsArgWith(2, fakeError);
+      client.sendWithAcknowledgement('deviceId', new Message('msg'), function(err) {
+        assert.strictEqual(err, fakeError);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_053: [The `sendWithAcknowledgement` method shall call its callback with the feedback record whose `originalMessageId` matches the `messageId` of the message if its `statusCode` is `Success`.]*/
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_059: [The client shall parse the body of each feedback message as a JSON array of feedback records and ignore the feedback messages that cannot be parsed.]*/
+    it('calls its callback with the matching feedback record if the message was delivered', function(testCallback) {
+      var message = new Message('msg');
+      message.messageId = 'id2';
+      var otherCallback = sinon.spy();
+      var otherMessage = new Message('other');
+      otherMessage.messageId = 'id1';
+      client.sendWithAcknowledgement('deviceId', otherMessage, otherCallback);
+      client.sendWithAcknowledgement('deviceId', message, function(err, feedbackRecord) {
+        assert.isNull(err);
+        assert.deepEqual(feedbackRecord, record('id2', 'Success'));
+        assert.isTrue(otherCallback.notCalled);
+        testCallback();
+      });
+
+      fakeReceiver.emit('message', new Message('not json'));
+      fakeReceiver.emit('message', feedbackMessage([record('unknown', 'Success'), record('id2', 'Success')]));
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_060: [The client shall complete a feedback message once its records have been matched only if all of them are for messages waiting for their acknowledgement and the application does not listen to the feedback receiver, leaving the other feedback messages to the application or to the other clients of the IoT hub.]*/
+    it('completes the feedback messages whose records are all for messages waiting for their acknowledgement', function() {
+      var message = new Message('msg');
+      message.messageId = 'id';
+      client.sendWithAcknowledgement('deviceId', message, function() {});
+      var feedback = feedbackMessage([record('id', 'Success')]);
+      fakeReceiver.emit('message', feedback);
+      assert.isTrue(fakeReceiver.complete.calledOnce);
+      assert.isTrue(fakeReceiver.complete.calledWith(feedback));
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_060: [The client shall complete a feedback message once its records have been matched only if all of them are for messages waiting for their acknowledgement and the application does not listen to the feedback receiver, leaving the other feedback messages to the application or to the other clients of the IoT hub.]*/
+    it('does not complete the feedback messages that cannot be parsed or contain records for other messages', function() {
+      var message = new Message('msg');
+      message.messageId = 'id';
+      var callback = sinon.spy();
+      client.sendWithAcknowledgement('deviceId', message, callback);
+      fakeReceiver.emit('message', new Message('not json'));
+      fakeReceiver.emit('message', feedbackMessage([record('sentWithSend', 'Success'), record('id', 'Success')]));
+      assert.isTrue(callback.calledOnce);
+      assert.isTrue(fakeReceiver.complete.notCalled);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_060: [The client shall complete a feedback message once its records have been matched only if all of them are for messages waiting for their acknowledgement and the application does not listen to the feedback receiver, leaving the other feedback messages to the application or to the other clients of the IoT hub.]*/
+    it('does not complete the feedback messages if the application listens to the feedback receiver', function() {
+      var message = new Message('msg');
+      message.messageId = 'id';
+      var callback = sinon.spy();
+      var appListener = sinon.spy();
+      fakeReceiver.on('message', appListener);
+      client.sendWithAcknowledgement('deviceId', message, callback);
+      fakeReceiver.emit('message', feedbackMessage([record('id', 'Success')]));
+      assert.isTrue(callback.calledOnce);
+      assert.isTrue(appListener.calledOnce);
+      assert.isTrue(fakeReceiver.complete.notCalled);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_054: [The `sendWithAcknowledgement` method shall call its callback with a `DeliveryFailedError` containing the feedback record whose `originalMessageId` matches the `messageId` of the message if its `statusCode` is not `Success`.]*/
+    ['Expired', 'DeliveryCountExceeded', 'Rejected', 'Purged'].forEach(function(statusCode) {
+      it('calls its callback with a DeliveryFailedError if the status of the feedback record is ' + statusCode, function(testCallback) {
+        var message = new Message('msg');
+        message.messageId = 'id';
+        client.sendWithAcknowledgement('deviceId', message, function(err) {
+          assert.instanceOf(err, errors.DeliveryFailedError);
+          assert.deepEqual(err.feedbackRecord, record('id', statusCode));
+          testCallback();
+        });
+        fakeReceiver.emit('message', feedbackMessage([record('id', statusCode)]));
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_052: [The `sendWithAcknowledgement` method shall call its callback with an `ArgumentError` if another message with the same `messageId` is already waiting for its acknowledgement.]*/
+    it('calls its callback with an ArgumentError if a message with the same messageId is already waiting for its acknowledgement', function(testCallback) {
+      var message1 = new Message('msg1');
+      message1.messageId = 'id';
+      var message2 = new Message('msg2');
+      message2.messageId = 'id';
+      var firstCallback = sinon.spy();
+      client.sendWithAcknowledgement('deviceId', message1, firstCallback);
+      client.sendWithAcknowledgement('deviceId', message2, function(err) {
+        assert.instanceOf(err, errors.ArgumentError);
+        assert.isTrue(fakeTransport.send.calledOnce);
+        fakeReceiver.emit('message', feedbackMessage([record('id', 'Success')]));
+        assert.isTrue(firstCallback.calledWith(null));
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_055: [The `sendWithAcknowledgement` method shall call its callback with a `TimeoutError` if the feedback record of the message has not been received after `options.timeoutInSeconds` seconds.]*/
+    it('calls its callback with a TimeoutError if the feedback record is not received within timeoutInSeconds', function() {
+      var clock = sinon.useFakeTimers();
+      var callback = sinon.spy();
+      var message = new Message('msg');
+      message.messageId = 'id';
+      client.sendWithAcknowledgement('deviceId', message, { timeoutInSeconds: 10 }, callback);
+      clock.tick(9999);
+      assert.isTrue(callback.notCalled);
+      clock.tick(1);
+      clock.restore();
+      assert.isTrue(callback.calledOnce);
+      assert.instanceOf(callback.firstCall.args[0], errors.TimeoutError);
+      fakeReceiver.emit('message', feedbackMessage([record('id', 'Success')]));
+      assert.isTrue(callback.calledOnce);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_058: [The `close` method and the `disconnect` event shall stop listening to the feedback receiver and fail the messages still waiting for their acknowledgement with a `NotConnectedError`.]*/
+    it('fails the pending messages with a NotConnectedError when the client is closed', function(testCallback) {
+      client.sendWithAcknowledgement('deviceId', new Message('msg'), function(err) {
+        assert.instanceOf(err, errors.NotConnectedError);
+        assert.strictEqual(fakeReceiver.listeners('message').length, 0);
+        testCallback();
+      });
+      client.close();
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_058: [The `close` method and the `disconnect` event shall stop listening to the feedback receiver and fail the messages still waiting for their acknowledgement with a `NotConnectedError`.]*/
+    it('fails the pending messages with a NotConnectedError and gets the feedback receiver again when the transport is disconnected', function(testCallback) {
+      client.open(function() {
+        client.on('disconnect', function() {});
+        client.sendWithAcknowledgement('deviceId', new Message('msg'), function(err) {
+          assert.instanceOf(err, errors.NotConnectedError);
+          assert.strictEqual(fakeReceiver.listeners('message').length, 0);
+          client.sendWithAcknowledgement('deviceId', new Message('msg'), function() {});
+          assert.isTrue(fakeTransport.getFeedbackReceiver.calledTwice);
+          testCallback();
+        });
+        fakeTransport.emit('disconnect');
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_057: [The `sendWithAcknowledgement` method shall return a `Promise` if no callback is specified, that is resolved with the feedback record or rejected with the error.]*/
+    it('returns a Promise resolved with the feedback record if no callback is specified', function() {
+      var message = new Message('msg');
+      message.messageId = 'id';
+      var promise = client.sendWithAcknowledgement('deviceId', message);
+      fakeReceiver.emit('message', feedbackMessage([record('id', 'Success')]));
+      return promise.then(function(feedbackRecord) {
+        assert.strictEqual(feedbackRecord.statusCode, 'Success');
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_057: [The `sendWithAcknowledgement` method shall return a `Promise` if no callback is specified, that is resolved with the feedback record or rejected with the error.]*/
+    it('returns a Promise rejected with the error if no callback is specified', function() {
+      var message = new Message('msg');
+      message.messageId = 'id';
+      var promise = client.sendWithAcknowledgement('deviceId', message, {});
+      fakeReceiver.emit('message', feedbackMessage([record('id', 'Rejected')]));
+      return promise.then(function() {
+        throw new Error('the Promise should have been rejected');
+      }, function(err) {
+        assert.instanceOf(err, errors.DeliveryFailedError);
+      });
+    });
+  });
+
   describe('#invokeDeviceMethod', function() {
     /*Tests_SRS_NODE_IOTHUB_CLIENT_16_014: [The `invokeDeviceMethod` method shall throw a `ReferenceError` if `deviceId` is `null`, `undefined` or an empty string.]*/
     [undefined, null, ''].forEach(function(badDeviceId) {
@@ -202,8 +535,8 @@ describe('Client', function () {
   });
 
   [
-    { functionUnderTest: function(client, param, callback) { client.invokeDeviceMethod('deviceId', param, callback); } },
-    { functionUnderTest: function(client, param, callback) { client.invokeDeviceMethod('deviceId', 'moduleId', param, callback); } },
+    { functionUnderTest: function(client, param, callback) { return client.invokeDeviceMethod('deviceId', param, callback); } },
+    { functionUnderTest: function(client, param, callback) { return client.invokeDeviceMethod('deviceId', 'moduleId', param, callback); } },
   ].forEach(function(testConfig) {
     describe('#invokeDeviceMethod', function() {
       /*Tests_SRS_NODE_IOTHUB_CLIENT_16_009: [The `invokeDeviceMethod` method shall initialize a new instance of `DeviceMethod` with the `methodName` and `timeout` values passed in the arguments.]*/
@@ -249,11 +582,361 @@ describe('Client', function () {
           testCallback();
         });
       });
+
+      /*Tests_SRS_NODE_IOTHUB_CLIENT_16_031: [The `invokeDeviceMethod` method shall return a `Promise` if no callback is specified, that is resolved with an object containing the `result` of the method execution and the transport-specific `response` object, or rejected with the error if the request failed.]*/
+      it('returns a Promise resolved with the result and the response if no callback is specified', function() {
+        var fakeResult = { foo: 'bar' };
+        var fakeResponse = { statusCode: 200 };
+        var fakeRestClient = {
+          executeApiCall: function(method, path, headers, body, timeout, callback) {
+            callback(null, fakeResult, fakeResponse);
+          }
+        };
+        var client = new Client({}, fakeRestClient);
+
+        return testConfig.functionUnderTest(client, { methodName: 'method' }).then(function(res) {
+          assert.strictEqual(res.result, fakeResult);
+          assert.strictEqual(res.response, fakeResponse);
+        });
+      });
+
+      /*Tests_SRS_NODE_IOTHUB_CLIENT_16_031: [The `invokeDeviceMethod` method shall return a `Promise` if no callback is specified, that is resolved with an object containing the `result` of the method execution and the transport-specific `response` object, or rejected with the error if the request failed.]*/
+      it('returns a Promise rejected with the error if the request fails and no callback is specified', function(testCallback) {
+        var fakeError = new errors.UnauthorizedError('will not retry');
+        var fakeRestClientFails = {
+          executeApiCall: function(method, path, headers, body, timeout, callback) {
+            callback(fakeError);
+          }
+        };
+        var client = new Client({}, fakeRestClientFails);
+
+        testConfig.functionUnderTest(client, { methodName: 'method' }).then(function() {
+          testCallback(new Error('the Promise should have been rejected'));
+        }, function(err) {
+          assert.strictEqual(err, fakeError);
+          testCallback();
+        });
+      });
     });
   });
 
 
 
+  describe('#invokeDeviceMethodOnMany', function() {
+    var fakeResult = { status: 200, payload: { foo: 'bar' } };
+    var fakeRestClient;
+    var client;
+
+    var notFoundError = function(errorType, responseBody) {
+      var err = errorType ? new errorType('not found') : new Error('Not found');
+      err.response = { statusCode: 404 };
+      err.responseBody = responseBody;
+      return err;
+    };
+
+    var deviceNotOnlineError = function() {
+      return notFoundError(undefined, JSON.stringify({ errorCode: 404103, message: 'Timed out waiting for device to connect.' }));
+    };
+
+    beforeEach(function() {
+      fakeRestClient = {
+        executeApiCall: sinon.stub().callsArgWith(5, null, fakeResult, { statusCode: 200 })
+      };
+      client = new Client({}, fakeRestClient);
+      client.setRetryPolicy({ shouldRetry: function() { return false; }, nextRetryTimeout: function() { return 0; } });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_032: [The `invokeDeviceMethodOnMany` method shall throw a `ReferenceError` if `targets` is falsy.]*/
+    [undefined, null, ''].forEach(function(badTargets) {
+      it('throws a ReferenceError if targets is \'' + badTargets + '\'', function() {
+        assert.throws(function() {
+          client.invokeDeviceMethodOnMany(badTargets, { methodName: 'method' }, function() {});
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_033: [The `invokeDeviceMethodOnMany` method shall throw an `ArgumentError` if `targets` is neither an array nor a `Query`.]*/
+    it('throws an ArgumentError if targets is neither an array nor a Query', function() {
+      assert.throws(function() {
+        client.invokeDeviceMethodOnMany({ deviceId: 'deviceId' }, { methodName: 'method' }, function() {});
+      }, errors.ArgumentError);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_034: [The `invokeDeviceMethodOnMany` method shall throw a `ReferenceError` if an item of the `targets` array is neither a non-empty string nor an object with a non-empty `deviceId` property.]*/
+    [undefined, null, '', {}, { moduleId: 'moduleId' }].forEach(function(badTarget) {
+      it('throws a ReferenceError if one of the targets is ' + JSON.stringify(badTarget), function() {
+        assert.throws(function() {
+          client.invokeDeviceMethodOnMany(['deviceId', badTarget], { methodName: 'method' }, function() {});
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_035: [The `invokeDeviceMethodOnMany` method shall throw an `ArgumentError` if `options.concurrency` is specified and is not a positive integer, or if `options.timeoutInSeconds` is specified and is not a positive number.]*/
+    [{ concurrency: 0 }, { concurrency: -1 }, { concurrency: 1.5 }, { concurrency: '2' }, { timeoutInSeconds: 0 }, { timeoutInSeconds: -1 }, { timeoutInSeconds: '10' }].forEach(function(badOptions) {
+      it('throws an ArgumentError if the options are ' + JSON.stringify(badOptions), function() {
+        assert.throws(function() {
+          client.invokeDeviceMethodOnMany(['deviceId'], { methodName: 'method' }, badOptions, function() {});
+        }, errors.ArgumentError);
+      });
+    });
+
+    it('throws a ReferenceError if the method name is missing', function() {
+      assert.throws(function() {
+        client.invokeDeviceMethodOnMany(['deviceId'], { payload: 'payload' }, function() {});
+      }, ReferenceError);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_036: [The `invokeDeviceMethodOnMany` method shall invoke the method on each target using `invokeOnModule` if the target has a `moduleId` and `invokeOn` otherwise, with the retry policy of the client, limited to `options.timeoutInSeconds` if specified.]*/
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_042: [The `invokeDeviceMethodOnMany` method shall call its callback with a summary containing the `total` number of targets, the number of `succeeded`, `timedOut`, `offline` and `failed` invocations and the list of `results` once the invocations on all targets have completed.]*/
+    it('invokes the method on each device and module and calls back with the summary', function(testCallback) {
+      client.invokeDeviceMethodOnMany(['device1', { deviceId: 'device2' }, { deviceId: 'device3', moduleId: 'module3' }], { methodName: 'method' }, function(err, summary) {
+        assert.isNull(err);
+        assert.strictEqual(fakeRestClient.executeApiCall.callCount, 3);
+        assert.strictEqual(fakeRestClient.executeApiCall.args[0][1].indexOf('/twins/device1/methods'), 0);
+        assert.strictEqual(fakeRestClient.executeApiCall.args[1][1].indexOf('/twins/device2/methods'), 0);
+        assert.strictEqual(fakeRestClient.executeApiCall.args[2][1].indexOf('/twins/device3/modules/module3/methods'), 0);
+        assert.strictEqual(summary.total, 3);
+        assert.strictEqual(summary.succeeded, 3);
+        assert.strictEqual(summary.timedOut, 0);
+        assert.strictEqual(summary.offline, 0);
+        assert.strictEqual(summary.failed, 0);
+        assert.deepEqual(summary.results, [
+          { deviceId: 'device1', outcome: 'succeeded', result: fakeResult },
+          { deviceId: 'device2', outcome: 'succeeded', result: fakeResult },
+          { deviceId: 'device3', moduleId: 'module3', outcome: 'succeeded', result: fakeResult }
+        ]);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_036: [The `invokeDeviceMethodOnMany` method shall invoke the method on each target using `invokeOnModule` if the target has a `moduleId` and `invokeOn` otherwise, with the retry policy of the client, limited to `options.timeoutInSeconds` if specified.]*/
+    it('uses the retry policy of the client', function(testCallback) {
+      client.setRetryPolicy({ shouldRetry: function() { return true; }, nextRetryTimeout: function() { return 0; } });
+      fakeRestClient.executeApiCall = sinon.stub();
+      fakeRestClient.executeApiCall.onFirstCall().callsArgWith(5, new errors.InternalServerError('retry'));
+      fakeRestClient.executeApiCall.onSecondCall().callsArgWith(5, null, fakeResult, { statusCode: 200 });
+      client.invokeDeviceMethodOnMany(['device1'], { methodName: 'method' }, function(err, summary) {
+        assert.isNull(err);
+        assert.strictEqual(fakeRestClient.executeApiCall.callCount, 2);
+        assert.strictEqual(summary.succeeded, 1);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_040: [The outcome of an invocation shall be:
+    - `succeeded` if the device or module responded,
+    - `timedOut` if the invocation failed with a `TimeoutError`, a `DeviceTimeoutError` or a `GatewayTimeoutError`,
+    - `offline` if the invocation failed with a `404` response carrying the `DeviceNotOnline` IoT Hub error code (`404103`),
+    - `failed` otherwise.]*/
+    it('classifies the outcome of each invocation', function(testCallback) {
+      var errorsByDevice = {
+        gatewayTimeout: new errors.GatewayTimeoutError('timeout'),
+        deviceTimeout: new errors.DeviceTimeoutError('timeout'),
+        offline: deviceNotOnlineError(),
+        legacyOffline: notFoundError(undefined, JSON.stringify({ Message: 'ErrorCode:DeviceNotOnline;device is not online' })),
+        notFound: notFoundError(errors.DeviceNotFoundError),
+        otherNotFound: notFoundError(undefined, JSON.stringify({ errorCode: 404001, message: 'Device not found' })),
+        unauthorized: new errors.UnauthorizedError('unauthorized')
+      };
+      fakeRestClient.executeApiCall = function(method, path, headers, body, timeout, callback) {
+        var deviceId = path.split('/')[2];
+        if (errorsByDevice[deviceId]) {
+          callback(errorsByDevice[deviceId]);
+        } else {
+          callback(null, fakeResult, { statusCode: 200 });
+        }
+      };
+
+      client.invokeDeviceMethodOnMany(['ok', 'gatewayTimeout', 'deviceTimeout', 'offline', 'legacyOffline', 'notFound', 'otherNotFound', 'unauthorized'], { methodName: 'method' }, function(err, summary) {
+        assert.isNull(err);
+        assert.strictEqual(summary.total, 8);
+        assert.strictEqual(summary.succeeded, 1);
+        assert.strictEqual(summary.timedOut, 2);
+        assert.strictEqual(summary.offline, 2);
+        assert.strictEqual(summary.failed, 3);
+        var outcomes = {};
+        summary.results.forEach(function(result) {
+          outcomes[result.deviceId] = result.outcome;
+          if (result.outcome !== 'succeeded') {
+            assert.strictEqual(result.error, errorsByDevice[result.deviceId]);
+          }
+        });
+        assert.deepEqual(outcomes, {
+          ok: 'succeeded',
+          gatewayTimeout: 'timedOut',
+          deviceTimeout: 'timedOut',
+          offline: 'offline',
+          legacyOffline: 'offline',
+          notFound: 'failed',
+          otherNotFound: 'failed',
+          unauthorized: 'failed'
+        });
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_038: [The `invokeDeviceMethodOnMany` method shall not have more than `options.concurrency` invocations in progress at the same time, or 10 if `options.concurrency` is not specified.]*/
+    [
+      { options: { concurrency: 3 }, expected: 3 },
+      { options: {}, expected: 10 }
+    ].forEach(function(testConfig) {
+      it('has at most ' + testConfig.expected + ' invocations in progress when the options are ' + JSON.stringify(testConfig.options), function(testCallback) {
+        var targets = [];
+        for (var i = 0; i < 25; i++) {
+          targets.push('device' + i);
+        }
+        var inProgress = 0;
+        var maxInProgress = 0;
+        fakeRestClient.executeApiCall = function(method, path, headers, body, timeout, callback) {
+          inProgress++;
+          maxInProgress = Math.max(maxInProgress, inProgress);
+          setTimeout(function() {
+            inProgress--;
+            callback(null, fakeResult, { statusCode: 200 });
+          }, 1);
+        };
+
+        client.invokeDeviceMethodOnMany(targets, { methodName: 'method' }, testConfig.options, function(err, summary) {
+          assert.isNull(err);
+          assert.strictEqual(summary.succeeded, 25);
+          assert.strictEqual(maxInProgress, testConfig.expected);
+          testCallback();
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_039: [The `invokeDeviceMethodOnMany` method shall report a `timedOut` outcome with a `TimeoutError` for each target on which the invocation has not completed after `options.timeoutInSeconds` seconds, and ignore the late result of this invocation.]*/
+    it('reports a timedOut outcome for the invocations that do not complete within timeoutInSeconds', function(testCallback) {
+      var slowCallback;
+      fakeRestClient.executeApiCall = function(method, path, headers, body, timeout, callback) {
+        if (path.indexOf('/twins/slow/') === 0) {
+          slowCallback = callback;
+        } else {
+          callback(null, fakeResult, { statusCode: 200 });
+        }
+      };
+      var onResult = sinon.spy();
+
+      client.invokeDeviceMethodOnMany(['slow', 'fast'], { methodName: 'method' }, { timeoutInSeconds: 0.01, onResult: onResult }, function(err, summary) {
+        assert.isNull(err);
+        assert.strictEqual(summary.succeeded, 1);
+        assert.strictEqual(summary.timedOut, 1);
+        var slowResult = summary.results.filter(function(result) { return result.deviceId === 'slow'; })[0];
+        assert.instanceOf(slowResult.error, errors.TimeoutError);
+        slowCallback(null, fakeResult, { statusCode: 200 });
+        assert.strictEqual(onResult.callCount, 2);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_074: [The `invokeDeviceMethodOnMany` method shall cancel the `RetryOperation` of each invocation that timed out, so that it is not retried while other invocations are started.]*/
+    it('does not retry the invocations that timed out', function(testCallback) {
+      var pendingCallback;
+      client.setRetryPolicy({ shouldRetry: function() { return true; }, nextRetryTimeout: function() { return 0; } });
+      fakeRestClient.executeApiCall = sinon.spy(function(method, path, headers, body, timeout, callback) {
+        pendingCallback = callback;
+      });
+      client.invokeDeviceMethodOnMany(['device1'], { methodName: 'method' }, { timeoutInSeconds: 0.01 }, function(err, summary) {
+        assert.isNull(err);
+        assert.strictEqual(summary.timedOut, 1);
+        pendingCallback(new errors.InternalServerError('retry'));
+        setTimeout(function() {
+          assert.isTrue(fakeRestClient.executeApiCall.calledOnce);
+          testCallback();
+        }, 10);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_041: [The `invokeDeviceMethodOnMany` method shall call `options.onResult` with the result of each invocation as soon as it completes.]*/
+    it('calls onResult with each result as soon as it completes', function(testCallback) {
+      var callbacks = {};
+      fakeRestClient.executeApiCall = function(method, path, headers, body, timeout, callback) {
+        callbacks[path.split('/')[2]] = callback;
+        if (Object.keys(callbacks).length === 2) {
+          callbacks.device2(null, fakeResult, { statusCode: 200 });
+          callbacks.device1(deviceNotOnlineError());
+        }
+      };
+      var onResult = sinon.spy();
+
+      client.invokeDeviceMethodOnMany(['device1', 'device2'], { methodName: 'method' }, { onResult: onResult }, function(err, summary) {
+        assert.strictEqual(onResult.callCount, 2);
+        assert.deepEqual(onResult.args[0][0], { deviceId: 'device2', outcome: 'succeeded', result: fakeResult });
+        assert.strictEqual(onResult.args[1][0].deviceId, 'device1');
+        assert.strictEqual(onResult.args[1][0].outcome, 'offline');
+        assert.strictEqual(summary.results[0], onResult.args[0][0]);
+        assert.strictEqual(summary.results[1], onResult.args[1][0]);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_037: [If `targets` is a `Query`, the `invokeDeviceMethodOnMany` method shall invoke the method on the device or module of each item returned by the query, getting the pages of results as the invocations progress.]*/
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_043: [The `invokeDeviceMethodOnMany` method shall report a `failed` outcome with an `ArgumentError` for each item of a query that has no `deviceId`.]*/
+    it('invokes the method on the devices and modules returned by a query', function(testCallback) {
+      var executeQueryFn = sinon.stub();
+      executeQueryFn.onFirstCall().callsArgWith(1, null, [{ deviceId: 'device1' }, { deviceId: 'device2', moduleId: 'module2' }], { headers: { 'x-ms-continuation': 'token' } });
+      executeQueryFn.onSecondCall().callsArgWith(1, null, [{ count: 1 }], { headers: {} });
+      var query = new Query(executeQueryFn);
+
+      client.invokeDeviceMethodOnMany(query, { methodName: 'method' }, function(err, summary) {
+        assert.isNull(err);
+        assert.strictEqual(executeQueryFn.callCount, 2);
+        assert.strictEqual(executeQueryFn.args[1][0], 'token');
+        assert.strictEqual(fakeRestClient.executeApiCall.callCount, 2);
+        assert.strictEqual(fakeRestClient.executeApiCall.args[0][1].indexOf('/twins/device1/methods'), 0);
+        assert.strictEqual(fakeRestClient.executeApiCall.args[1][1].indexOf('/twins/device2/modules/module2/methods'), 0);
+        assert.strictEqual(summary.total, 3);
+        assert.strictEqual(summary.succeeded, 2);
+        assert.strictEqual(summary.failed, 1);
+        assert.instanceOf(summary.results[2].error, errors.ArgumentError);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_044: [If the query used to get the targets fails, the `invokeDeviceMethodOnMany` method shall stop starting new invocations and call its callback with the error once the invocations in progress have completed.]*/
+    it('calls its callback with the error if the query fails', function(testCallback) {
+      var fakeError = new Error('fake');
+      var executeQueryFn = sinon.stub();
+      executeQueryFn.onFirstCall().callsArgWith(1, null, [{ deviceId: 'device1' }], { headers: { 'x-ms-continuation': 'token' } });
+      executeQueryFn.onSecondCall().callsArgWith(1, fakeError);
+      var invocationCallback;
+      fakeRestClient.executeApiCall = function(method, path, headers, body, timeout, callback) {
+        invocationCallback = callback;
+      };
+      var onResult = sinon.spy();
+
+      client.invokeDeviceMethodOnMany(new Query(executeQueryFn), { methodName: 'method' }, { onResult: onResult }, function(err) {
+        assert.strictEqual(err, fakeError);
+        assert.isTrue(onResult.calledOnce);
+        testCallback();
+      });
+
+      setTimeout(function() {
+        assert.isTrue(onResult.notCalled);
+        invocationCallback(null, fakeResult, { statusCode: 200 });
+      }, 10);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_045: [The `invokeDeviceMethodOnMany` method shall return a `Promise` if no callback is specified, that is resolved with the summary of the invocations or rejected with the error if the query used to get the targets failed.]*/
+    it('returns a Promise resolved with the summary if no callback is specified', function() {
+      return client.invokeDeviceMethodOnMany(['device1', 'device2'], { methodName: 'method' }, { concurrency: 1 }).then(function(summary) {
+        assert.strictEqual(summary.total, 2);
+        assert.strictEqual(summary.succeeded, 2);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_045: [The `invokeDeviceMethodOnMany` method shall return a `Promise` if no callback is specified, that is resolved with the summary of the invocations or rejected with the error if the query used to get the targets failed.]*/
+    it('returns a Promise rejected with the error if the query fails and no callback is specified', function() {
+      var fakeError = new Error('fake');
+      var query = new Query(sinon.stub().callsArgWith(1, fakeError));
+      return client.invokeDeviceMethodOnMany(query, { methodName: 'method' }).then(function() {
+        throw new Error('the Promise should have been rejected');
+      }, function(err) {
+        assert.strictEqual(err, fakeError);
+      });
+    });
+  });
+
   describe('#open', function() {
     /*Tests_SRS_NODE_IOTHUB_CLIENT_16_004: [The `disconnect` event shall be emitted when the client is disconnected from the server.]*/
     /*Tests_SRS_NODE_IOTHUB_CLIENT_16_002: [If the transport successfully establishes a connection the `open` method shall subscribe to the `disconnect` event of the transport.]*/
@@ -379,6 +1062,274 @@ describe('Client', function () {
     });
   });
 
+  describe('#getFileUploadNotificationReceiver', function () {
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_061: [The `getFileUploadNotificationReceiver` method shall get the file notification receiver with `getFileNotificationReceiver` and call its callback with a `FileNotificationReceiver` built from it and the `options`.]*/
+    it('calls back with a FileNotificationReceiver wrapping the file notification receiver of the transport', function (testCallback) {
+      var fakeReceiver = new EventEmitter();
+      fakeReceiver.complete = sinon.stub().callsArgWith(1, null, new results.MessageCompleted());
+      var fakeTransport = new EventEmitter();
+      fakeTransport.getFileNotificationReceiver = sinon.stub().callsArgWith(0, null, fakeReceiver);
+      var client = new Client(fakeTransport);
+      client.getFileUploadNotificationReceiver({ autoComplete: true }, function (err, recv) {
+        assert.isNull(err);
+        assert.instanceOf(recv, FileNotificationReceiver);
+        recv.onNotification(function () {});
+        fakeReceiver.emit('message', new Message(JSON.stringify({ deviceId: 'deviceId', blobUri: 'https://fake/blob' })));
+        assert.isTrue(fakeReceiver.complete.calledOnce);
+        testCallback();
+      });
+    });
+
+    it('returns a Promise if no callback is specified', function () {
+      var fakeTransport = new EventEmitter();
+      fakeTransport.getFileNotificationReceiver = sinon.stub().callsArgWith(0, null, new EventEmitter());
+      var client = new Client(fakeTransport);
+      return client.getFileUploadNotificationReceiver().then(function (recv) {
+        assert.instanceOf(recv, FileNotificationReceiver);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_062: [The `getFileUploadNotificationReceiver` method shall call its callback with an error if the file notification receiver cannot be obtained.]*/
+    it('calls its callback with an error if the transport fails to provide a file notification receiver', function (testCallback) {
+      var fakeError = new errors.UnauthorizedError('will not retry');
+      var fakeTransport = new EventEmitter();
+      fakeTransport.getFileNotificationReceiver = sinon.stub().callsArgWith(0, fakeError);
+      var client = new Client(fakeTransport);
+      client.getFileUploadNotificationReceiver(function (err, recv) {
+        assert.strictEqual(err, fakeError);
+        assert.isUndefined(recv);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_075: [The `getFileUploadNotificationReceiver` method shall call its callback with the `FileNotificationReceiver` it created previously, ignoring the `options`, as long as `getFileNotificationReceiver` returns the same receiver, so that the listeners of the underlying receiver are only added once.]*/
+    it('calls back with the same FileNotificationReceiver while the transport returns the same receiver', function (testCallback) {
+      var fakeReceiver = new EventEmitter();
+      fakeReceiver.complete = sinon.stub().callsArgWith(1, null, new results.MessageCompleted());
+      var fakeTransport = new EventEmitter();
+      fakeTransport.getFileNotificationReceiver = sinon.stub().callsArgWith(0, null, fakeReceiver);
+      var client = new Client(fakeTransport);
+      client.getFileUploadNotificationReceiver({ autoComplete: true }, function (err, firstRecv) {
+        firstRecv.onNotification(function () {});
+        client.getFileUploadNotificationReceiver({ autoComplete: true }, function (err, secondRecv) {
+          assert.isNull(err);
+          assert.strictEqual(secondRecv, firstRecv);
+          assert.strictEqual(fakeReceiver.listenerCount('error'), 1);
+          assert.strictEqual(fakeReceiver.listenerCount('message'), 1);
+          fakeReceiver.emit('message', new Message(JSON.stringify({ deviceId: 'deviceId', blobUri: 'https://fake/blob' })));
+          assert.isTrue(fakeReceiver.complete.calledOnce);
+          testCallback();
+        });
+      });
+    });
+
+    it('calls back with a new FileNotificationReceiver if the transport returns a new receiver', function (testCallback) {
+      var fakeTransport = new EventEmitter();
+      fakeTransport.getFileNotificationReceiver = sinon.stub();
+      fakeTransport.getFileNotificationReceiver.onFirstCall().callsArgWith(0, null, new EventEmitter());
+      fakeTransport.getFileNotificationReceiver.onSecondCall().callsArgWith(0, null, new EventEmitter());
+      var client = new Client(fakeTransport);
+      client.getFileUploadNotificationReceiver(function (err, firstRecv) {
+        client.getFileUploadNotificationReceiver(function (err, secondRecv) {
+          assert.isNull(err);
+          assert.instanceOf(secondRecv, FileNotificationReceiver);
+          assert.notStrictEqual(secondRecv, firstRecv);
+          testCallback();
+        });
+      });
+    });
+  });
+
+  describe('cancellation', function () {
+    function FakeAbortSignal() {
+      var self = this;
+      this.aborted = false;
+      this.listeners = [];
+      this.addEventListener = function (type, listener) { self.listeners.push(listener); };
+      this.removeEventListener = function (type, listener) {
+        self.listeners = self.listeners.filter(function (l) { return l !== listener; });
+      };
+      this.abort = function () {
+        self.aborted = true;
+        self.listeners.forEach(function (listener) { listener(); });
+      };
+    }
+
+    var fakeRetryPolicy = {
+      shouldRetry: function () { return true; },
+      nextRetryTimeout: function () { return 60000; }
+    };
+
+    var fakeMethodParams = {
+      methodName: 'method',
+      payload: null,
+      timeoutInSeconds: 42
+    };
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_063: [The `open` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` connecting the transport.]*/
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_069: [The `send` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` sending the message.]*/
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_070: [The `getFeedbackReceiver` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` getting the receiver.]*/
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_071: [The `getFileNotificationReceiver` method shall accept an optional `options` object before the callback and pass `options.abortSignal` to the `RetryOperation` getting the receiver.]*/
+    [
+      { name: 'open', transportMethodName: 'connect', callbackIndex: 0, call: function (client, options, callback) { client.open(options, callback); } },
+      { name: 'send', transportMethodName: 'send', callbackIndex: 2, call: function (client, options, callback) { client.send('deviceId', new Message('foo'), options, callback); } },
+      { name: 'getFeedbackReceiver', transportMethodName: 'getFeedbackReceiver', callbackIndex: 0, call: function (client, options, callback) { client.getFeedbackReceiver(options, callback); } },
+      { name: 'getFileNotificationReceiver', transportMethodName: 'getFileNotificationReceiver', callbackIndex: 0, call: function (client, options, callback) { client.getFileNotificationReceiver(options, callback); } }
+    ].forEach(function (testConfig) {
+      it(testConfig.name + ' stops retrying and fails with an OperationCancelledError when the abort signal is aborted', function (testCallback) {
+        var fakeTransport = new EventEmitter();
+        fakeTransport[testConfig.transportMethodName] = sinon.stub().callsArgWith(testConfig.callbackIndex, new errors.NotConnectedError('fake'));
+        var client = new Client(fakeTransport);
+        client.setRetryPolicy(fakeRetryPolicy);
+        var abortSignal = new FakeAbortSignal();
+        testConfig.call(client, { abortSignal: abortSignal }, function (err) {
+          assert.instanceOf(err, errors.OperationCancelledError);
+          assert.isTrue(fakeTransport[testConfig.transportMethodName].calledOnce);
+          assert.lengthOf(abortSignal.listeners, 0);
+          testCallback();
+        });
+        abortSignal.abort();
+      });
+
+      it(testConfig.name + ' fails with an OperationCancelledError without calling the transport if the abort signal is already aborted', function (testCallback) {
+        var fakeTransport = new EventEmitter();
+        fakeTransport[testConfig.transportMethodName] = sinon.stub();
+        var client = new Client(fakeTransport);
+        var abortSignal = new FakeAbortSignal();
+        abortSignal.abort();
+        testConfig.call(client, { abortSignal: abortSignal }, function (err) {
+          assert.instanceOf(err, errors.OperationCancelledError);
+          assert.isTrue(fakeTransport[testConfig.transportMethodName].notCalled);
+          testCallback();
+        });
+      });
+    });
+
+    it('open connects the transport if options are passed without an abort signal', function (testCallback) {
+      var fakeTransport = new EventEmitter();
+      fakeTransport.connect = sinon.stub().callsArgWith(0, null, new results.Connected());
+      var client = new Client(fakeTransport);
+      client.open({}, function (err, result) {
+        assert.isNull(err);
+        assert.instanceOf(result, results.Connected);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_073: [If `open` has been cancelled while the transport was connecting, the transport shall be disconnected once it connects, unless `open` has been called again in the meantime.]*/
+    it('open disconnects the transport if it connects after open has been cancelled', function (testCallback) {
+      var fakeTransport = new EventEmitter();
+      var connectCallback;
+      fakeTransport.connect = sinon.spy(function (callback) { connectCallback = callback; });
+      fakeTransport.disconnect = sinon.stub().callsArgWith(0, null, new results.Disconnected());
+      var client = new Client(fakeTransport);
+      var abortSignal = new FakeAbortSignal();
+      client.open({ abortSignal: abortSignal }, function (err) {
+        assert.instanceOf(err, errors.OperationCancelledError);
+        connectCallback(null, new results.Connected());
+        assert.isTrue(fakeTransport.disconnect.calledOnce);
+        testCallback();
+      });
+      abortSignal.abort();
+    });
+
+    it('open does not disconnect the transport if open has been called again when the cancelled connection completes', function (testCallback) {
+      var fakeTransport = new EventEmitter();
+      var connectCallbacks = [];
+      fakeTransport.connect = sinon.spy(function (callback) { connectCallbacks.push(callback); });
+      fakeTransport.disconnect = sinon.stub().callsArgWith(0, null, new results.Disconnected());
+      var client = new Client(fakeTransport);
+      var abortSignal = new FakeAbortSignal();
+      client.open({ abortSignal: abortSignal }, function () {});
+      abortSignal.abort();
+      client.open(function (err) {
+        assert.isNull(err);
+        assert.isTrue(fakeTransport.disconnect.notCalled);
+        testCallback();
+      });
+      connectCallbacks[0](null, new results.Connected());
+      connectCallbacks[1](null, new results.Connected());
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_072: [The `invokeDeviceMethod` method shall accept an optional `options` object after the method parameters and pass `options.abortSignal` to the `RetryOperation` invoking the method.]*/
+    [
+      { name: 'a device', call: function (client, options) { return client.invokeDeviceMethod('deviceId', fakeMethodParams, options); } },
+      { name: 'a module', call: function (client, options) { return client.invokeDeviceMethod('deviceId', 'moduleId', fakeMethodParams, options); } }
+    ].forEach(function (testConfig) {
+      it('invokeDeviceMethod on ' + testConfig.name + ' rejects with an OperationCancelledError when the abort signal is aborted', function () {
+        var fakeRestClient = {
+          executeApiCall: sinon.stub().callsArgWith(5, new errors.ServiceUnavailableError('fake'))
+        };
+        var client = new Client(new EventEmitter(), fakeRestClient);
+        client.setRetryPolicy(fakeRetryPolicy);
+        var abortSignal = new FakeAbortSignal();
+        var promise = testConfig.call(client, { abortSignal: abortSignal });
+        abortSignal.abort();
+        return promise.then(function () {
+          assert.fail('the promise should have been rejected');
+        }, function (err) {
+          assert.instanceOf(err, errors.OperationCancelledError);
+          assert.isTrue(fakeRestClient.executeApiCall.calledOnce);
+        });
+      });
+    });
+
+    it('invokeDeviceMethod calls its callback with the result if options are passed without an abort signal', function (testCallback) {
+      var fakeResult = { foo: 'bar' };
+      var fakeRestClient = {
+        executeApiCall: sinon.stub().callsArgWith(5, null, fakeResult, { statusCode: 200 })
+      };
+      var client = new Client(new EventEmitter(), fakeRestClient);
+      client.invokeDeviceMethod('deviceId', 'moduleId', fakeMethodParams, {}, function (err, result) {
+        assert.isNull(err);
+        assert.strictEqual(result, fakeResult);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_064: [The `invokeDeviceMethodOnMany` method shall pass `options.abortSignal` to the `RetryOperation` of each invocation, so that aborting the signal fails the invocations in progress and the ones not started yet with an `OperationCancelledError`.]*/
+    it('invokeDeviceMethodOnMany fails the invocations with an OperationCancelledError once the abort signal is aborted', function () {
+      var fakeRestClient = {
+        executeApiCall: sinon.stub().callsArgWith(5, new errors.ServiceUnavailableError('fake'))
+      };
+      var client = new Client(new EventEmitter(), fakeRestClient);
+      client.setRetryPolicy(fakeRetryPolicy);
+      var abortSignal = new FakeAbortSignal();
+      var promise = client.invokeDeviceMethodOnMany(['device1', 'device2', 'device3'], fakeMethodParams, { concurrency: 1, abortSignal: abortSignal });
+      abortSignal.abort();
+      return promise.then(function (summary) {
+        assert.strictEqual(summary.total, 3);
+        assert.strictEqual(summary.failed, 3);
+        summary.results.forEach(function (result) {
+          assert.instanceOf(result.error, errors.OperationCancelledError);
+        });
+        assert.isTrue(fakeRestClient.executeApiCall.notCalled);
+      });
+    });
+  });
+
+  describe('setOptions', function () {
+    /*Tests_SRS_NODE_IOTHUB_CLIENT_16_065: [The `setOptions` method shall pass `options` to the `setOptions` method of the `RestApiClient`.]*/
+    it('sends the device method invocations through the interceptors', function (testCallback) {
+      var fakeHttpHelper = { buildRequest: sinon.stub(), setOptions: sinon.stub() };
+      var client = new Client(new EventEmitter(), new RestApiClient({ host: 'host', sharedAccessSignature: 'sas' }, 'fakeAgent', fakeHttpHelper));
+      client.setOptions({
+        interceptors: [function (request, next, done) {
+          assert.strictEqual(request.method, 'POST');
+          assert.strictEqual(request.path.indexOf('/twins/deviceId/methods'), 0);
+          assert.strictEqual(JSON.parse(request.body).methodName, 'method');
+          done(null, '{"status":200,"payload":"cached"}', { statusCode: 200 });
+        }]
+      });
+      client.invokeDeviceMethod('deviceId', { methodName: 'method' }, function (err, result) {
+        assert.isNull(err);
+        assert.strictEqual(result.payload, 'cached');
+        assert.isTrue(fakeHttpHelper.buildRequest.notCalled);
+        testCallback();
+      });
+    });
+  });
+
   describe('setRetryPolicy', function () {
     /*Tests_SRS_NODE_IOTHUB_CLIENT_16_027: [The `setRetryPolicy` method shall throw a `ReferenceError` if the `policy` argument is falsy.]*/
     [null, undefined].forEach(function (badPolicy) {
@@ -0,0 +1,254 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var EventEmitter = require('events').EventEmitter;
+var Message = require('azure-iot-common').Message;
+var errors = require('azure-iot-common').errors;
+var results = require('azure-iot-common').results;
+var FileNotificationReceiver = require('../lib/file_notification_receiver.js').FileNotificationReceiver;
+
+var fakeNotificationBody = {
+  deviceId: 'fakeDevice',
+  blobUri: 'https://fakestorage.blob.core.windows.net/fakecontainer/fakeDevice/fakeBlob.txt',
+  blobName: 'fakeDevice/fakeBlob.txt',
+  lastUpdatedTime: '2018-06-29T21:24:52+00:00',
+  blobSizeInBytes: 42,
+  enqueuedTimeUtc: '2018-06-29T21:24:53.0416532Z'
+};
+
+function createFakeReceiver() {
+  var fakeReceiver = new EventEmitter();
+  fakeReceiver.complete = sinon.stub().callsArgWith(1, null, new results.MessageCompleted());
+  fakeReceiver.abandon = sinon.stub().callsArgWith(1, null, new results.MessageAbandoned());
+  fakeReceiver.reject = sinon.stub().callsArgWith(1, null, new results.MessageRejected());
+  return fakeReceiver;
+}
+
+function createFakeMessage(body) {
+  return new Message(JSON.stringify(body || fakeNotificationBody));
+}
+
+describe('FileNotificationReceiver', function () {
+  describe('#constructor', function () {
+    /*Tests_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_001: [The `FileNotificationReceiver` shall forward the `error` events of the underlying receiver.]*/
+    it('forwards the error events of the underlying receiver', function (testCallback) {
+      var fakeReceiver = createFakeReceiver();
+      var fakeError = new Error('fake');
+      var receiver = new FileNotificationReceiver(fakeReceiver);
+      receiver.on('error', function (err) {
+        assert.strictEqual(err, fakeError);
+        testCallback();
+      });
+      fakeReceiver.emit('error', fakeError);
+    });
+  });
+
+  describe('#onNotification', function () {
+    /*Tests_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_002: [The `onNotification` method shall throw a `ReferenceError` if `handler` is falsy.]*/
+    [undefined, null].forEach(function (badHandler) {
+      it('throws a ReferenceError if the handler is \'' + badHandler + '\'', function () {
+        var receiver = new FileNotificationReceiver(createFakeReceiver());
+        assert.throws(function () {
+          receiver.onNotification(badHandler);
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_003: [The `onNotification` method shall throw an `InvalidOperationError` if a handler is already registered.]*/
+    it('throws an InvalidOperationError if a handler is already registered', function () {
+      var receiver = new FileNotificationReceiver(createFakeReceiver());
+      receiver.onNotification(function () {});
+      assert.throws(function () {
+        receiver.onNotification(function () {});
+      }, errors.InvalidOperationError);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_004: [The `onNotification` method shall subscribe to the `message` event of the underlying receiver.]*/
+    it('subscribes to the message event of the underlying receiver only when a handler is registered', function () {
+      var fakeReceiver = createFakeReceiver();
+      var receiver = new FileNotificationReceiver(fakeReceiver);
+      assert.strictEqual(fakeReceiver.listenerCount('message'), 0);
+      receiver.onNotification(function () {});
+      assert.strictEqual(fakeReceiver.listenerCount('message'), 1);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_005: [The `FileNotificationReceiver` shall parse the JSON body of each message into a `FileUploadNotification` with `lastUpdatedTime` and `enqueuedTimeUtc` as `Date` objects and call the handler with it.]*/
+    it('calls the handler with the parsed notification', function () {
+      var fakeReceiver = createFakeReceiver();
+      var receiver = new FileNotificationReceiver(fakeReceiver);
+      var handler = sinon.spy();
+      receiver.onNotification(handler);
+      fakeReceiver.emit('message', createFakeMessage());
+      assert.isTrue(handler.calledOnce);
+      var notification = handler.firstCall.args[0];
+      assert.strictEqual(notification.deviceId, fakeNotificationBody.deviceId);
+      assert.strictEqual(notification.blobUri, fakeNotificationBody.blobUri);
+      assert.strictEqual(notification.blobName, fakeNotificationBody.blobName);
+      assert.strictEqual(notification.blobSizeInBytes, 42);
+      assert.instanceOf(notification.lastUpdatedTime, Date);
+      assert.strictEqual(notification.lastUpdatedTime.getTime(), Date.parse(fakeNotificationBody.lastUpdatedTime));
+      assert.instanceOf(notification.enqueuedTimeUtc, Date);
+      assert.strictEqual(notification.enqueuedTimeUtc.getTime(), Date.parse(fakeNotificationBody.enqueuedTimeUtc));
+    });
+
+    it('does not settle the notification if autoComplete is not enabled', function () {
+      var fakeReceiver = createFakeReceiver();
+      var receiver = new FileNotificationReceiver(fakeReceiver);
+      receiver.onNotification(function () {});
+      fakeReceiver.emit('message', createFakeMessage());
+      assert.isTrue(fakeReceiver.complete.notCalled);
+      assert.isTrue(fakeReceiver.abandon.notCalled);
+      assert.isTrue(fakeReceiver.reject.notCalled);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_006: [The `FileNotificationReceiver` shall reject the messages whose body cannot be parsed as a file upload notification without calling the handler.]*/
+    [
+      { name: 'is not JSON', message: new Message('not json') },
+      { name: 'has no deviceId', message: createFakeMessage({ blobUri: 'https://fake/blob' }) },
+      { name: 'has no blobUri', message: createFakeMessage({ deviceId: 'fakeDevice' }) }
+    ].forEach(function (testConfig) {
+      it('rejects the message without calling the handler if its body ' + testConfig.name, function () {
+        var fakeReceiver = createFakeReceiver();
+        var receiver = new FileNotificationReceiver(fakeReceiver, { autoComplete: true });
+        var handler = sinon.spy();
+        receiver.onNotification(handler);
+        fakeReceiver.emit('message', testConfig.message);
+        assert.isTrue(handler.notCalled);
+        assert.isTrue(fakeReceiver.reject.calledWith(testConfig.message));
+        assert.isTrue(fakeReceiver.complete.notCalled);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_007: [If `options.autoComplete` is `true`, the `FileNotificationReceiver` shall complete the notification once the handler returns, or once the Promise it returns is resolved.]*/
+    it('completes the notification when the handler returns if autoComplete is true', function () {
+      var fakeReceiver = createFakeReceiver();
+      var fakeMessage = createFakeMessage();
+      var receiver = new FileNotificationReceiver(fakeReceiver, { autoComplete: true });
+      receiver.onNotification(function () {});
+      fakeReceiver.emit('message', fakeMessage);
+      assert.isTrue(fakeReceiver.complete.calledOnce);
+      assert.strictEqual(fakeReceiver.complete.firstCall.args[0], fakeMessage);
+    });
+
+    it('completes the notification once the Promise returned by the handler is resolved if autoComplete is true', function (testCallback) {
+      var fakeReceiver = createFakeReceiver();
+      var fakeMessage = createFakeMessage();
+      var resolveHandler;
+      var receiver = new FileNotificationReceiver(fakeReceiver, { autoComplete: true });
+      receiver.onNotification(function () {
+        return new Promise(function (resolve) {
+          resolveHandler = resolve;
+        });
+      });
+      fakeReceiver.emit('message', fakeMessage);
+      setImmediate(function () {
+        assert.isTrue(fakeReceiver.complete.notCalled);
+        resolveHandler();
+        setImmediate(function () {
+          assert.isTrue(fakeReceiver.complete.calledOnce);
+          assert.strictEqual(fakeReceiver.complete.firstCall.args[0], fakeMessage);
+          testCallback();
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_008: [The `FileNotificationReceiver` shall abandon the notification if the handler throws or if the Promise it returns is rejected.]*/
+    [true, false].forEach(function (autoComplete) {
+      it('abandons the notification if the handler throws (autoComplete: ' + autoComplete + ')', function () {
+        var fakeReceiver = createFakeReceiver();
+        var fakeMessage = createFakeMessage();
+        var receiver = new FileNotificationReceiver(fakeReceiver, { autoComplete: autoComplete });
+        receiver.onNotification(function () {
+          throw new Error('fake');
+        });
+        fakeReceiver.emit('message', fakeMessage);
+        assert.isTrue(fakeReceiver.abandon.calledWith(fakeMessage));
+        assert.isTrue(fakeReceiver.complete.notCalled);
+      });
+
+      it('abandons the notification if the Promise returned by the handler is rejected (autoComplete: ' + autoComplete + ')', function (testCallback) {
+        var fakeReceiver = createFakeReceiver();
+        var fakeMessage = createFakeMessage();
+        var receiver = new FileNotificationReceiver(fakeReceiver, { autoComplete: autoComplete });
+        receiver.onNotification(function () {
+          return Promise.reject(new Error('fake'));
+        });
+        fakeReceiver.emit('message', fakeMessage);
+        setImmediate(function () {
+          assert.isTrue(fakeReceiver.abandon.calledWith(fakeMessage));
+          assert.isTrue(fakeReceiver.complete.notCalled);
+          testCallback();
+        });
+      });
+    });
+  });
+
+  [
+    { methodName: 'complete', resultType: results.MessageCompleted },
+    { methodName: 'abandon', resultType: results.MessageAbandoned },
+    { methodName: 'reject', resultType: results.MessageRejected }
+  ].forEach(function (testConfig) {
+    describe('#' + testConfig.methodName, function () {
+      /*Tests_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_010: [The `complete` method shall call `complete` on the underlying receiver with the message the notification was parsed from.]*/
+      /*Tests_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_011: [The `abandon` method shall call `abandon` on the underlying receiver with the message the notification was parsed from.]*/
+      /*Tests_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_012: [The `reject` method shall call `reject` on the underlying receiver with the message the notification was parsed from.]*/
+      it('calls ' + testConfig.methodName + ' on the underlying receiver with the message of the notification', function (testCallback) {
+        var fakeReceiver = createFakeReceiver();
+        var fakeMessage = createFakeMessage();
+        var receiver = new FileNotificationReceiver(fakeReceiver);
+        receiver.onNotification(function (notification) {
+          receiver[testConfig.methodName](notification, function (err, result) {
+            assert.isNull(err);
+            assert.instanceOf(result, testConfig.resultType);
+            assert.isTrue(fakeReceiver[testConfig.methodName].calledOnce);
+            assert.strictEqual(fakeReceiver[testConfig.methodName].firstCall.args[0], fakeMessage);
+            testCallback();
+          });
+        });
+        fakeReceiver.emit('message', fakeMessage);
+      });
+
+      it('returns a Promise if no callback is specified', function (testCallback) {
+        var fakeReceiver = createFakeReceiver();
+        var receiver = new FileNotificationReceiver(fakeReceiver);
+        receiver.onNotification(function (notification) {
+          receiver[testConfig.methodName](notification).then(function (result) {
+            assert.instanceOf(result, testConfig.resultType);
+            testCallback();
+          }).catch(testCallback);
+        });
+        fakeReceiver.emit('message', createFakeMessage());
+      });
+
+      /*Tests_SRS_NODE_IOTHUB_FILE_NOTIFICATION_RECEIVER_16_013: [The `complete`, `abandon` and `reject` methods shall call their callback with a `DeviceMessageLockLostError` if the notification has already been settled or was not received by this receiver.]*/
+      it('calls its callback with a DeviceMessageLockLostError if the notification has already been settled', function (testCallback) {
+        var fakeReceiver = createFakeReceiver();
+        var receiver = new FileNotificationReceiver(fakeReceiver, { autoComplete: true });
+        var receivedNotification;
+        receiver.onNotification(function (notification) {
+          receivedNotification = notification;
+        });
+        fakeReceiver.emit('message', createFakeMessage());
+        receiver[testConfig.methodName](receivedNotification, function (err) {
+          assert.instanceOf(err, errors.DeviceMessageLockLostError);
+          assert.isTrue(fakeReceiver.complete.calledOnce);
+          testCallback();
+        });
+      });
+
+      it('calls its callback with a DeviceMessageLockLostError if the notification was not received by this receiver', function (testCallback) {
+        var fakeReceiver = createFakeReceiver();
+        var receiver = new FileNotificationReceiver(fakeReceiver);
+        receiver[testConfig.methodName]({ deviceId: 'fakeDevice', blobUri: 'https://fake/blob' }, function (err) {
+          assert.instanceOf(err, errors.DeviceMessageLockLostError);
+          assert.isTrue(fakeReceiver[testConfig.methodName].notCalled);
+          testCallback();
+        });
+      });
+    });
+  });
+});
@@ -5,8 +5,10 @@
 
 var assert = require('chai').assert;
 var sinon = require('sinon');
+var errors = require('azure-iot-common').errors;
 
 var endpoint = require('azure-iot-common').endpoint;
+var RestApiClient = require('azure-iot-http-base').RestApiClient;
 var JobClient = require('../lib/job_client.js').JobClient;
 var DeviceMethod = require('../lib/device_method.js').DeviceMethod;
 var Query = require('../lib/query.js').Query;
@@ -61,6 +63,33 @@ describe('JobClient', function() {
       var client = new JobClient(fakeRestApiClient);
       client[fnName].apply(client, successArgs);
     });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_036: [If no `done` callback is specified, the method shall return a `Promise` that is rejected with a standard Javascript `Error` object if the request failed.]*/
+    it('returns a Promise rejected with an Error if the request fails and no callback is specified (' + args.length + ' arguments)', function(cb) {
+      var fakeError = new Error('fake');
+      var fakeRestApiClient = { executeApiCall: sinon.stub().callsArgWith(4, fakeError) };
+
+      var client = new JobClient(fakeRestApiClient);
+      client[fnName].apply(client, args).then(function() {
+        cb(new Error('the Promise should have been rejected'));
+      }, function(err) {
+        assert.strictEqual(err, fakeError);
+        cb();
+      });
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_037: [If no `done` callback is specified, the method shall return a `Promise` that is resolved with an object containing the `result` and the transport-specific `response` object if the request was successful.]*/
+    it('returns a Promise resolved with the result and the response if the request succeeds and no callback is specified (' + args.length + ' arguments)', function() {
+      var fakeResponse = { statusCode: 200 };
+      var fakeResult = { success: true };
+      var fakeRestApiClient = { executeApiCall: sinon.stub().callsArgWith(4, null, fakeResult, fakeResponse) };
+
+      var client = new JobClient(fakeRestApiClient);
+      return client[fnName].apply(client, args).then(function(res) {
+        assert.strictEqual(res.result, fakeResult);
+        assert.strictEqual(res.response, fakeResponse);
+      });
+    });
   }
 
   describe('#constructor', function() {
@@ -100,6 +129,35 @@ describe('JobClient', function() {
     });
   });
 
+  describe('fromTokenCredential', function() {
+    var fakeCredential = { getToken: function() {} };
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_055: [The `fromTokenCredential` method shall throw a `ReferenceError` if `hostName` or `credential` is falsy.]*/
+    [undefined, null, ''].forEach(function(badValue) {
+      testFalsyArg(JobClient.fromTokenCredential, 'hostName', badValue, [badValue, fakeCredential]);
+      testFalsyArg(JobClient.fromTokenCredential, 'credential', badValue, ['host', badValue]);
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_056: [The `fromTokenCredential` method shall return a new `JobClient` instance that gets access tokens from `credential` for the `https://iothubs.azure.net/.default` scope.]*/
+    it('returns a JobClient instance that gets access tokens from the credential', function(testCallback) {
+      var credential = { getToken: sinon.stub().resolves({ token: 'fakeToken', expiresOnTimestamp: Date.now() + 3600000 }) };
+      var client = JobClient.fromTokenCredential('host', credential);
+      assert.instanceOf(client, JobClient);
+      client._restApiClient._http = {
+        buildRequest: function(method, path, headers, host, done) {
+          assert.strictEqual(host, 'host');
+          assert.strictEqual(headers.Authorization, 'Bearer fakeToken');
+          assert.isTrue(credential.getToken.calledWith('https://iothubs.azure.net/.default'));
+          return { write: function() {}, end: function() { done(null, '{}', { statusCode: 200 }); } };
+        }
+      };
+      client.getJob('jobId', function(err) {
+        assert.isNull(err);
+        testCallback();
+      });
+    });
+  });
+
   describe('getJob', function() {
     /*Tests_SRS_NODE_JOB_CLIENT_16_006: [The `getJob` method shall throw a `ReferenceError` if `jobId` is `null`, `undefined` or an empty string.]*/
     [undefined, null, ''].forEach(function(badValue) {
@@ -234,6 +292,262 @@ describe('JobClient', function() {
     });
   });
 
+  describe('waitForJob', function() {
+    var clock;
+    var fakeRestApiClient;
+    var jobStates;
+    var deviceResultPages;
+    var statistics = { deviceCount: 2, failedCount: 0, succeededCount: 1, runningCount: 1, pendingCount: 0 };
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+      jobStates = [];
+      deviceResultPages = [[{ deviceId: 'device1', status: 'completed' }]];
+      fakeRestApiClient = {
+        executeApiCall: sinon.spy(function(method, path, headers, body, callback) {
+          if (method === 'GET') {
+            callback(null, jobStates.length > 1 ? jobStates.shift() : jobStates[0], { statusCode: 200 });
+          } else if (path.indexOf('/devices/query') === 0) {
+            var page = deviceResultPages.shift();
+            callback(null, page, { statusCode: 200, headers: deviceResultPages.length > 0 ? { 'x-ms-continuation': 'token' } : {} });
+          } else {
+            callback(null, { status: 'cancelled' }, { statusCode: 200 });
+          }
+        })
+      };
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    var getJobCallCount = function() {
+      return fakeRestApiClient.executeApiCall.args.filter(function(args) { return args[0] === 'GET'; }).length;
+    };
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_038: [The `waitForJob` method shall throw a `ReferenceError` if `jobId` is `null`, `undefined` or an empty string.]*/
+    [undefined, null, ''].forEach(function(badValue) {
+      testFalsyArg(new JobClient({}).waitForJob, 'jobId', badValue, [badValue, function() {}]);
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_039: [The `waitForJob` method shall throw an `ArgumentError` if `options.pollingIntervalInSeconds`, `options.maxPollingIntervalInSeconds` or `options.timeoutInSeconds` is specified and is not a positive number.]*/
+    [
+      { pollingIntervalInSeconds: 0 },
+      { pollingIntervalInSeconds: '5' },
+      { maxPollingIntervalInSeconds: -1 },
+      { timeoutInSeconds: 0 },
+      { timeoutInSeconds: '10' }
+    ].forEach(function(badOptions) {
+      it('throws an ArgumentError if the options are ' + JSON.stringify(badOptions), function() {
+        var client = new JobClient(fakeRestApiClient);
+        assert.throws(function() {
+          client.waitForJob('jobId', badOptions, function() {});
+        }, errors.ArgumentError);
+      });
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_040: [The `waitForJob` method shall get the job using `getJob`, immediately and then after `options.pollingIntervalInSeconds` seconds (5 by default), doubling the interval after each poll up to `options.maxPollingIntervalInSeconds` seconds (60 by default).]*/
+    it('polls the job with an increasing interval', function() {
+      jobStates = [{ jobId: 'jobId', status: 'running' }];
+      var client = new JobClient(fakeRestApiClient);
+      client.waitForJob('jobId', { pollingIntervalInSeconds: 10, maxPollingIntervalInSeconds: 30 }, function() {});
+      assert.strictEqual(getJobCallCount(), 1);
+      assert.strictEqual(fakeRestApiClient.executeApiCall.args[0][1], '/jobs/v2/jobId' + endpoint.versionQueryString());
+      clock.tick(9999);
+      assert.strictEqual(getJobCallCount(), 1);
+      clock.tick(1);
+      assert.strictEqual(getJobCallCount(), 2);
+      clock.tick(20000);
+      assert.strictEqual(getJobCallCount(), 3);
+      clock.tick(29999);
+      assert.strictEqual(getJobCallCount(), 3);
+      clock.tick(1);
+      assert.strictEqual(getJobCallCount(), 4);
+      clock.tick(30000);
+      assert.strictEqual(getJobCallCount(), 5);
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_040: [The `waitForJob` method shall get the job using `getJob`, immediately and then after `options.pollingIntervalInSeconds` seconds (5 by default), doubling the interval after each poll up to `options.maxPollingIntervalInSeconds` seconds (60 by default).]*/
+    it('uses default polling intervals of 5 to 60 seconds', function() {
+      jobStates = [{ jobId: 'jobId', status: 'running' }];
+      var client = new JobClient(fakeRestApiClient);
+      client.waitForJob('jobId', function() {});
+      clock.tick(5000);
+      assert.strictEqual(getJobCallCount(), 2);
+      clock.tick(10000 + 20000);
+      assert.strictEqual(getJobCallCount(), 4);
+      clock.tick(40000);
+      assert.strictEqual(getJobCallCount(), 5);
+      clock.tick(59999);
+      assert.strictEqual(getJobCallCount(), 5);
+      clock.tick(1);
+      assert.strictEqual(getJobCallCount(), 6);
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_042: [The `waitForJob` method shall call `options.onProgress` with the `jobId`, the `status` and the `deviceJobStatistics` of the job after each poll.]*/
+    /*Tests_SRS_NODE_JOB_CLIENT_16_043: [Once the job is `completed`, the `waitForJob` method shall query `devices.jobs` for the results of the job on each device and call its callback with an object containing the final `job` and the `deviceResults`.]*/
+    it('reports the progress and calls its callback with the job and the device results once the job is completed', function(testCallback) {
+      var completedJob = { jobId: 'jobId', status: 'completed', deviceJobStatistics: statistics };
+      jobStates = [{ jobId: 'jobId', status: 'queued' }, { jobId: 'jobId', status: 'running', deviceJobStatistics: statistics }, completedJob];
+      deviceResultPages = [[{ deviceId: 'device1' }], [{ deviceId: 'device2' }]];
+      var onProgress = sinon.spy();
+      var client = new JobClient(fakeRestApiClient);
+      client.waitForJob('jobId', { onProgress: onProgress }, function(err, result) {
+        assert.isNull(err);
+        assert.strictEqual(result.job, completedJob);
+        assert.deepEqual(result.deviceResults, [{ deviceId: 'device1' }, { deviceId: 'device2' }]);
+        assert.strictEqual(onProgress.callCount, 3);
+        assert.deepEqual(onProgress.args[0][0], { jobId: 'jobId', status: 'queued', deviceJobStatistics: undefined });
+        assert.deepEqual(onProgress.args[1][0], { jobId: 'jobId', status: 'running', deviceJobStatistics: statistics });
+        assert.deepEqual(onProgress.args[2][0], { jobId: 'jobId', status: 'completed', deviceJobStatistics: statistics });
+        testCallback();
+      });
+      clock.tick(5000);
+      clock.tick(10000);
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_050: [The `waitForJob` method shall query the per-device results of the job as follows:
+    ```
+    POST /devices/query?api-version=<version> HTTP/1.1
+    Authorization: <config.sharedAccessSignature>
+    Content-Type: application/json; charset=utf-8
+    x-ms-continuation: continuationToken
+    Request-Id: <guid>
+
+    {
+      query: "SELECT * FROM devices.jobs WHERE devices.jobs.jobId = '<jobId>'"
+    }
+    ```]*/
+    it('queries the device results with an escaped job identifier and the continuation token', function(testCallback) {
+      jobStates = [{ jobId: 'it\'s', status: 'completed' }];
+      deviceResultPages = [[], []];
+      var client = new JobClient(fakeRestApiClient);
+      client.waitForJob('it\'s', function(err) {
+        assert.isNull(err);
+        var queryCalls = fakeRestApiClient.executeApiCall.args.filter(function(args) { return args[0] === 'POST'; });
+        assert.strictEqual(queryCalls.length, 2);
+        assert.strictEqual(queryCalls[0][1], '/devices/query' + endpoint.versionQueryString());
+        assert.strictEqual(queryCalls[0][2]['Content-Type'], 'application/json; charset=utf-8');
+        assert.isUndefined(queryCalls[0][2]['x-ms-continuation']);
+        assert.deepEqual(queryCalls[0][3], { query: 'SELECT * FROM devices.jobs WHERE devices.jobs.jobId = \'it\\\'s\'' });
+        assert.strictEqual(queryCalls[1][2]['x-ms-continuation'], 'token');
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_041: [The `waitForJob` method shall call its callback with an error if `getJob` fails.]*/
+    it('calls its callback with an error if getJob fails', function(testCallback) {
+      var fakeError = new Error('fake');
+      fakeRestApiClient.executeApiCall = sinon.stub().callsArgWith(4, fakeError);
+      var client = new JobClient(fakeRestApiClient);
+      client.waitForJob('jobId', function(err) {
+        assert.strictEqual(err, fakeError);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_044: [The `waitForJob` method shall call its callback with an error if the query on `devices.jobs` fails.]*/
+    it('calls its callback with an error if the device results query fails', function(testCallback) {
+      var fakeError = new Error('fake');
+      fakeRestApiClient.executeApiCall = function(method, path, headers, body, callback) {
+        if (method === 'GET') {
+          callback(null, { jobId: 'jobId', status: 'completed' });
+        } else {
+          callback(fakeError);
+        }
+      };
+      var client = new JobClient(fakeRestApiClient);
+      client.waitForJob('jobId', function(err) {
+        assert.strictEqual(err, fakeError);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_045: [The `waitForJob` method shall call its callback with a `JobFailedError` containing the `job` if the job has `failed`.]*/
+    it('calls its callback with a JobFailedError if the job failed', function(testCallback) {
+      var failedJob = { jobId: 'jobId', status: 'failed', failureReason: 'reason' };
+      jobStates = [{ jobId: 'jobId', status: 'running' }, failedJob];
+      var client = new JobClient(fakeRestApiClient);
+      client.waitForJob('jobId', function(err) {
+        assert.instanceOf(err, errors.JobFailedError);
+        assert.strictEqual(err.job, failedJob);
+        assert.include(err.message, 'reason');
+        testCallback();
+      });
+      clock.tick(5000);
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_046: [The `waitForJob` method shall call its callback with an `OperationCancelledError` if the job has been `cancelled`.]*/
+    it('calls its callback with an OperationCancelledError if the job was cancelled', function(testCallback) {
+      jobStates = [{ jobId: 'jobId', status: 'cancelled' }];
+      var client = new JobClient(fakeRestApiClient);
+      client.waitForJob('jobId', function(err) {
+        assert.instanceOf(err, errors.OperationCancelledError);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_047: [The `waitForJob` method shall stop polling the job and call its callback with a `TimeoutError` if the job has not ended after `options.timeoutInSeconds` seconds.]*/
+    it('calls its callback with a TimeoutError and stops polling if the job has not ended within timeoutInSeconds', function() {
+      jobStates = [{ jobId: 'jobId', status: 'running' }];
+      var callback = sinon.spy();
+      var client = new JobClient(fakeRestApiClient);
+      client.waitForJob('jobId', { timeoutInSeconds: 12 }, callback);
+      clock.tick(11999);
+      assert.isTrue(callback.notCalled);
+      clock.tick(1);
+      assert.isTrue(callback.calledOnce);
+      assert.instanceOf(callback.args[0][0], errors.TimeoutError);
+      var pollCount = getJobCallCount();
+      clock.tick(120000);
+      assert.strictEqual(getJobCallCount(), pollCount);
+      assert.isFalse(fakeRestApiClient.executeApiCall.args.some(function(args) { return args[1].indexOf('/cancel') > 0; }));
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_048: [If `options.cancelOnTimeout` is `true`, the `waitForJob` method shall cancel the job using `cancelJob` before calling its callback with the `TimeoutError`, even if the cancellation fails.]*/
+    [null, new Error('fake')].forEach(function(cancelError) {
+      it('cancels the job before calling its callback with a TimeoutError if cancelOnTimeout is true and the cancellation ' + (cancelError ? 'fails' : 'succeeds'), function(testCallback) {
+        jobStates = [{ jobId: 'jobId', status: 'running' }];
+        var getJob = fakeRestApiClient.executeApiCall;
+        fakeRestApiClient.executeApiCall = sinon.spy(function(method, path, headers, body, callback) {
+          if (path.indexOf('/cancel') > 0) {
+            callback(cancelError);
+          } else {
+            getJob(method, path, headers, body, callback);
+          }
+        });
+        var client = new JobClient(fakeRestApiClient);
+        client.waitForJob('jobId', { timeoutInSeconds: 1, cancelOnTimeout: true }, function(err) {
+          assert.instanceOf(err, errors.TimeoutError);
+          assert.isTrue(fakeRestApiClient.executeApiCall.calledWith('POST', '/jobs/v2/jobId/cancel' + endpoint.versionQueryString()));
+          testCallback();
+        });
+        clock.tick(1000);
+      });
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_049: [The `waitForJob` method shall return a `Promise` if no callback is specified, that is resolved with the final job and its per-device results or rejected with the error.]*/
+    it('returns a Promise resolved with the job and the device results if no callback is specified', function() {
+      jobStates = [{ jobId: 'jobId', status: 'completed' }];
+      var client = new JobClient(fakeRestApiClient);
+      return client.waitForJob('jobId').then(function(result) {
+        assert.strictEqual(result.job.status, 'completed');
+        assert.deepEqual(result.deviceResults, [{ deviceId: 'device1', status: 'completed' }]);
+      });
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_049: [The `waitForJob` method shall return a `Promise` if no callback is specified, that is resolved with the final job and its per-device results or rejected with the error.]*/
+    it('returns a Promise rejected with the error if the job fails and no callback is specified', function() {
+      jobStates = [{ jobId: 'jobId', status: 'failed' }];
+      var client = new JobClient(fakeRestApiClient);
+      return client.waitForJob('jobId', {}).then(function() {
+        throw new Error('the Promise should have been rejected');
+      }, function(err) {
+        assert.instanceOf(err, errors.JobFailedError);
+      });
+    });
+  });
+
   describe('cancelJob', function() {
     /*Tests_SRS_NODE_JOB_CLIENT_16_008: [The `cancelJob` method shall throw a `ReferenceError` if `jobId` is `null`, `undefined` or an empty string.]*/
     [undefined, null, ''].forEach(function(badValue) {
@@ -454,4 +768,67 @@ describe('JobClient', function() {
     testCallback('scheduleTwinUpdate', ['jobId', 'query', {tags: null}, new Date()]);
     testCallback('scheduleTwinUpdate', ['jobId', 'query', {tags: null}, new Date(), 3600]);
   });
-});
\ No newline at end of file
+
+  describe('setOptions', function() {
+    /*Tests_SRS_NODE_JOB_CLIENT_16_054: [The `setOptions` method shall pass `options` to the `setOptions` method of the `RestApiClient`.]*/
+    it('passes the responses of the job requests through the interceptors before translating them', function(testCallback) {
+      var fakeHttpHelper = {
+        setOptions: sinon.stub(),
+        buildRequest: function(method, path, headers, host, requestCallback) {
+          return {
+            write: sinon.stub(),
+            end: function() {
+              requestCallback(new Error('Too many requests'), '', { statusCode: 429 });
+            }
+          };
+        }
+      };
+      var observedStatusCodes = [];
+      var client = new JobClient(new RestApiClient({ host: 'host', sharedAccessSignature: 'sas' }, 'fakeAgent', fakeHttpHelper));
+      client.setOptions({
+        interceptors: [function(request, next, done) {
+          next(request, function(err, responseBody, response) {
+            observedStatusCodes.push(response.statusCode);
+            done(err, responseBody, response);
+          });
+        }]
+      });
+      client.getJob('jobId', function(err) {
+        assert.instanceOf(err, errors.ThrottlingError);
+        assert.deepEqual(observedStatusCodes, [429]);
+        testCallback();
+      });
+    });
+  });
+
+  describe('setRetryPolicy', function() {
+    /*Tests_SRS_NODE_JOB_CLIENT_16_051: [The `setRetryPolicy` method shall throw a `ReferenceError` if the `policy` argument is falsy.]*/
+    [undefined, null].forEach(function(badPolicy) {
+      it('throws a ReferenceError if the policy is \'' + badPolicy + '\'', function() {
+        var client = new JobClient({});
+        assert.throws(function() {
+          client.setRetryPolicy(badPolicy);
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_052: [The `setRetryPolicy` method shall throw an `ArgumentError` if the `policy` object does not have a `shouldRetry` method and a `nextRetryTimeout` method.]*/
+    [{ shouldRetry: function() {} }, { nextRetryTimeout: function() {} }].forEach(function(badPolicy) {
+      it('throws an ArgumentError if the policy does not have both a shouldRetry and a nextRetryTimeout method', function() {
+        var client = new JobClient({});
+        assert.throws(function() {
+          client.setRetryPolicy(badPolicy);
+        }, errors.ArgumentError);
+      });
+    });
+
+    /*Tests_SRS_NODE_JOB_CLIENT_16_053: [The `setRetryPolicy` method shall pass the `policy` to the `setRetryPolicy` method of the `RestApiClient` so that it is used by all subsequent requests.]*/
+    it('passes the policy to the RestApiClient', function() {
+      var fakeRestApiClient = { setRetryPolicy: sinon.stub() };
+      var fakePolicy = { shouldRetry: function() {}, nextRetryTimeout: function() {} };
+      var client = new JobClient(fakeRestApiClient);
+      client.setRetryPolicy(fakePolicy);
+      assert.isTrue(fakeRestApiClient.setRetryPolicy.calledWith(fakePolicy));
+    });
+  });
+});
@@ -0,0 +1,212 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var errors = require('azure-iot-common').errors;
+var QueryBuilder = require('../lib/query_builder.js').QueryBuilder;
+var QueryCondition = require('../lib/query_builder.js').QueryCondition;
+var QueryField = require('../lib/query_builder.js').QueryField;
+
+describe('QueryBuilder', function () {
+  describe('field paths', function () {
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_001: [A `ReferenceError` shall be thrown if a field path is falsy.]*/
+    [undefined, null, ''].forEach(function (badPath) {
+      it('throws a ReferenceError if the path is \'' + badPath + '\'', function () {
+        assert.throws(function () {
+          return new QueryField(badPath);
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_002: [An `ArgumentError` shall be thrown if a field path is not a string made of dot-separated identifiers, each optionally prefixed with `$`.]*/
+    ['tags.a b', 'tags..region', 'tags.region = \'x\' OR 1', 'tags[\'region\']', 'properties.reported.1st', 42].forEach(function (badPath) {
+      it('throws an ArgumentError if the path is \'' + badPath + '\'', function () {
+        assert.throws(function () {
+          return new QueryField(badPath);
+        }, errors.ArgumentError);
+      });
+    });
+
+    it('accepts metadata paths', function () {
+      assert.strictEqual(new QueryField('properties.reported.$metadata.$lastUpdated').toString(), 'properties.reported.$metadata.$lastUpdated');
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_018: [The `tag`, `reported` and `desired` methods shall prefix the path with `tags.`, `properties.reported.` and `properties.desired.` respectively.]*/
+    it('prefixes tags, reported and desired properties', function () {
+      assert.strictEqual(QueryBuilder.field('deviceId').toString(), 'deviceId');
+      assert.strictEqual(QueryBuilder.tag('location.region').toString(), 'tags.location.region');
+      assert.strictEqual(QueryBuilder.reported('firmwareVersion').toString(), 'properties.reported.firmwareVersion');
+      assert.strictEqual(QueryBuilder.desired('telemetryInterval').toString(), 'properties.desired.telemetryInterval');
+    });
+
+    it('validates the paths of tags, reported and desired properties before prefixing them', function () {
+      assert.throws(function () {
+        QueryBuilder.tag('');
+      }, ReferenceError);
+      assert.throws(function () {
+        QueryBuilder.reported('a OR b');
+      }, errors.ArgumentError);
+    });
+  });
+
+  describe('values', function () {
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_003: [String values shall be enclosed in single quotes, with backslashes and single quotes escaped with a backslash.]*/
+    it('escapes single quotes and backslashes in strings', function () {
+      assert.strictEqual(QueryBuilder.tag('city').equals('O\'Hare').toString(), 'tags.city = \'O\\\'Hare\'');
+      assert.strictEqual(QueryBuilder.tag('path').equals('c:\\temp\\').toString(), 'tags.path = \'c:\\\\temp\\\\\'');
+      assert.strictEqual(QueryBuilder.tag('city').equals('\' OR 1=1 OR \'').toString(), 'tags.city = \'\\\' OR 1=1 OR \\\'\'');
+    });
+
+    it('formats numbers, booleans and null', function () {
+      assert.strictEqual(QueryBuilder.reported('temperature').greaterThan(-1.5).toString(), 'properties.reported.temperature > -1.5');
+      assert.strictEqual(QueryBuilder.reported('enabled').equals(true).toString(), 'properties.reported.enabled = true');
+      assert.strictEqual(QueryBuilder.reported('enabled').notEquals(false).toString(), 'properties.reported.enabled != false');
+      assert.strictEqual(QueryBuilder.tag('owner').equals(null).toString(), 'tags.owner = null');
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_004: [An `ArgumentError` shall be thrown if a number value is not finite.]*/
+    [NaN, Infinity, -Infinity].forEach(function (badNumber) {
+      it('throws an ArgumentError if a number is \'' + badNumber + '\'', function () {
+        assert.throws(function () {
+          QueryBuilder.reported('temperature').lessThan(badNumber);
+        }, errors.ArgumentError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_005: [Date values shall be formatted as quoted ISO 8601 strings.]*/
+    it('formats dates as ISO 8601 strings', function () {
+      var date = new Date(Date.UTC(2018, 5, 1, 12, 30, 0));
+      assert.strictEqual(QueryBuilder.field('lastActivityTime').greaterThanOrEqual(date).toString(), 'lastActivityTime >= \'2018-06-01T12:30:00.000Z\'');
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_006: [An `ArgumentError` shall be thrown if a value is not a string, a number, a boolean, a `Date` or `null`.]*/
+    [undefined, {}, [1], function () {}].forEach(function (badValue) {
+      it('throws an ArgumentError if the value is \'' + badValue + '\'', function () {
+        assert.throws(function () {
+          QueryBuilder.tag('region').equals(badValue);
+        }, errors.ArgumentError);
+      });
+    });
+  });
+
+  describe('QueryField', function () {
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_010: [The comparison methods shall return a condition formatted as `<path> <operator> <formatted value>` with the `=`, `!=`, `>`, `>=`, `<` and `<=` operators.]*/
+    [
+      { method: 'equals', operator: '=' },
+      { method: 'notEquals', operator: '!=' },
+      { method: 'greaterThan', operator: '>' },
+      { method: 'greaterThanOrEqual', operator: '>=' },
+      { method: 'lessThan', operator: '<' },
+      { method: 'lessThanOrEqual', operator: '<=' }
+    ].forEach(function (testConfig) {
+      it('uses the ' + testConfig.operator + ' operator for ' + testConfig.method, function () {
+        var condition = QueryBuilder.reported('batteryLevel')[testConfig.method](20);
+        assert.instanceOf(condition, QueryCondition);
+        assert.strictEqual(condition.toString(), 'properties.reported.batteryLevel ' + testConfig.operator + ' 20');
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_011: [The `isDefined` method shall return a condition formatted as `IS_DEFINED(<path>)`.]*/
+    it('formats isDefined as IS_DEFINED', function () {
+      assert.strictEqual(QueryBuilder.desired('telemetryInterval').isDefined().toString(), 'IS_DEFINED(properties.desired.telemetryInterval)');
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_013: [The `in` and `notIn` methods shall return a condition formatted as `<path> IN [<formatted values>]` and `<path> NIN [<formatted values>]`.]*/
+    it('formats in and notIn as IN and NIN with escaped values', function () {
+      assert.strictEqual(QueryBuilder.tag('city').in(['Redmond', 'O\'Hare']).toString(), 'tags.city IN [\'Redmond\', \'O\\\'Hare\']');
+      assert.strictEqual(QueryBuilder.reported('firmwareVersion').notIn(['1.0', 2]).toString(), 'properties.reported.firmwareVersion NIN [\'1.0\', 2]');
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_012: [The `in` and `notIn` methods shall throw an `ArgumentError` if `values` is not a non-empty array.]*/
+    [undefined, [], 'Redmond'].forEach(function (badValues) {
+      it('throws an ArgumentError if the values of in are \'' + badValues + '\'', function () {
+        assert.throws(function () {
+          QueryBuilder.tag('city').in(badValues);
+        }, errors.ArgumentError);
+      });
+    });
+  });
+
+  describe('QueryCondition', function () {
+    var regionCondition = QueryBuilder.tag('region').equals('US');
+    var versionCondition = QueryBuilder.reported('version').greaterThan(2);
+
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_009: [The `and` and `or` methods shall join the conditions with the `AND` or `OR` operator, each enclosed in parentheses.]*/
+    it('combines conditions with AND and OR', function () {
+      assert.strictEqual(regionCondition.and(versionCondition).toString(), '(tags.region = \'US\') AND (properties.reported.version > 2)');
+      assert.strictEqual(regionCondition.or(versionCondition).toString(), '(tags.region = \'US\') OR (properties.reported.version > 2)');
+      assert.strictEqual(QueryCondition.or(regionCondition, versionCondition, QueryBuilder.field('deviceId').equals('d1')).toString(), '(tags.region = \'US\') OR (properties.reported.version > 2) OR (deviceId = \'d1\')');
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_007: [The `not` method shall return a condition formatted as `NOT (<condition>)`.]*/
+    it('negates a condition with NOT', function () {
+      assert.strictEqual(regionCondition.and(versionCondition).not().toString(), 'NOT ((tags.region = \'US\') AND (properties.reported.version > 2))');
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_008: [The `and` and `or` methods shall throw an `ArgumentError` if they are not given at least one `QueryCondition`.]*/
+    it('throws an ArgumentError if and or or are not given QueryCondition objects', function () {
+      assert.throws(function () {
+        QueryCondition.and();
+      }, errors.ArgumentError);
+      assert.throws(function () {
+        regionCondition.or('tags.region = \'EU\'');
+      }, errors.ArgumentError);
+    });
+  });
+
+  describe('#toString', function () {
+    /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_017: [The `toString` method shall return the query formatted as `SELECT <fields, COUNT() [AS <alias>]> FROM <source> [WHERE <condition>] [GROUP BY <fields>]`, selecting `*` if no field and no count was specified.]*/
+    it('selects all the devices by default', function () {
+      assert.strictEqual(new QueryBuilder().toString(), 'SELECT * FROM devices');
+    });
+
+    it('builds a query with fields, a source and a condition', function () {
+      var query = new QueryBuilder()
+        .select('deviceId', QueryBuilder.field('moduleId'))
+        .from('devices.modules')
+        .where(QueryBuilder.reported('status').equals('running'))
+        .toString();
+      assert.strictEqual(query, 'SELECT deviceId, moduleId FROM devices.modules WHERE properties.reported.status = \'running\'');
+    });
+
+    it('builds an aggregation query with COUNT and GROUP BY', function () {
+      var query = new QueryBuilder()
+        .select(QueryBuilder.reported('firmwareVersion'))
+        .count('numberOfDevices')
+        .groupBy(QueryBuilder.reported('firmwareVersion'))
+        .toString();
+      assert.strictEqual(query, 'SELECT properties.reported.firmwareVersion, COUNT() AS numberOfDevices FROM devices GROUP BY properties.reported.firmwareVersion');
+    });
+
+    it('builds a count query without alias', function () {
+      assert.strictEqual(new QueryBuilder().count().from('devices.jobs').where(QueryBuilder.field('status').equals('failed')).toString(), 'SELECT COUNT() FROM devices.jobs WHERE status = \'failed\'');
+    });
+  });
+
+  /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_014: [The `count` method shall throw an `ArgumentError` if `alias` is specified and is not an identifier.]*/
+  ['', 'number of devices', 42].forEach(function (badAlias) {
+    it('throws an ArgumentError if the alias of count is \'' + badAlias + '\'', function () {
+      assert.throws(function () {
+        new QueryBuilder().count(badAlias);
+      }, errors.ArgumentError);
+    });
+  });
+
+  /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_015: [The `from` method shall throw an `ArgumentError` if `source` is not `devices`, `devices.modules` or `devices.jobs`.]*/
+  ['jobs', 'devices; DROP', undefined].forEach(function (badSource) {
+    it('throws an ArgumentError if the source is \'' + badSource + '\'', function () {
+      assert.throws(function () {
+        new QueryBuilder().from(badSource);
+      }, errors.ArgumentError);
+    });
+  });
+
+  /*Tests_SRS_NODE_IOTHUB_QUERY_BUILDER_16_016: [The `where` method shall throw an `ArgumentError` if `condition` is not a `QueryCondition`.]*/
+  it('throws an ArgumentError if the condition is a string', function () {
+    assert.throws(function () {
+      new QueryBuilder().where('tags.region = \'US\'');
+    }, errors.ArgumentError);
+  });
+});
@@ -7,6 +7,7 @@ var assert = require('chai').assert;
 var sinon = require('sinon');
 var Query = require('../lib/query.js').Query;
 var Twin = require('../lib/twin.js').Twin;
+var errors = require('azure-iot-common').errors;
 
 describe('Query', function() {
   describe('#constructor', function() {
@@ -208,4 +209,164 @@ describe('Query', function() {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('#iterate', function() {
+    var fakePagedExecuteFn = function (pages) {
+      return sinon.spy(function (continuationToken, done) {
+        var pageIndex = continuationToken ? parseInt(continuationToken, 10) : 0;
+        var nextToken = pageIndex + 1 < pages.length ? (pageIndex + 1).toString() : undefined;
+        done(null, pages[pageIndex], { statusCode: 200, headers: { 'x-ms-continuation': nextToken } });
+      });
+    };
+
+    var collect = function (iterator, items) {
+      items = items || [];
+      return iterator.next().then(function (iteration) {
+        if (iteration.done) {
+          return items;
+        } else {
+          items.push(iteration.value);
+          return collect(iterator, items);
+        }
+      });
+    };
+
+    /*Tests_SRS_NODE_SERVICE_QUERY_16_018: [The `iterate` and `iterateAsTwin` methods shall throw an `ArgumentError` if `options.maxItems` is specified and is not a positive number.]*/
+    [0, -1, null, NaN, '10'].forEach(function (badMaxItems) {
+      it('throws an ArgumentError if maxItems is \'' + badMaxItems + '\'', function () {
+        var query = new Query(function () {});
+        assert.throws(function () {
+          query.iterate({ maxItems: badMaxItems });
+        }, errors.ArgumentError);
+      });
+    });
+
+    /*Tests_SRS_NODE_SERVICE_QUERY_16_020: [The iterator shall be done once `options.maxItems` items have been yielded or once all the pages have been fetched and all their items yielded.]*/
+    /*Tests_SRS_NODE_SERVICE_QUERY_16_021: [The iterator shall fetch the next page of results with the `next` method when all the items of the current page have been yielded, and reject with the error if the request fails.]*/
+    it('yields the items of all the pages in order', function () {
+      var fakeExecuteFn = fakePagedExecuteFn([[{ id: 1 }, { id: 2 }], [], [{ id: 3 }]]);
+      var query = new Query(fakeExecuteFn);
+      return collect(query.iterate()).then(function (items) {
+        assert.deepEqual(items, [{ id: 1 }, { id: 2 }, { id: 3 }]);
+        assert.strictEqual(fakeExecuteFn.callCount, 3);
+        assert.isFalse(query.hasMoreResults);
+      });
+    });
+
+    /*Tests_SRS_NODE_SERVICE_QUERY_16_020: [The iterator shall be done once `options.maxItems` items have been yielded or once all the pages have been fetched and all their items yielded.]*/
+    it('stops after maxItems items without fetching more pages', function () {
+      var fakeExecuteFn = fakePagedExecuteFn([[{ id: 1 }, { id: 2 }], [{ id: 3 }]]);
+      var query = new Query(fakeExecuteFn);
+      return collect(query.iterate({ maxItems: 2 })).then(function (items) {
+        assert.deepEqual(items, [{ id: 1 }, { id: 2 }]);
+        assert.isTrue(fakeExecuteFn.calledOnce);
+      });
+    });
+
+    /*Tests_SRS_NODE_SERVICE_QUERY_16_021: [The iterator shall fetch the next page of results with the `next` method when all the items of the current page have been yielded, and reject with the error if the request fails.]*/
+    it('rejects with the error if a page cannot be fetched', function () {
+      var fakeError = new Error('fake');
+      var query = new Query(sinon.stub().callsArgWith(1, fakeError));
+      return query.iterate().next().then(function () {
+        assert.fail('the iterator should have rejected');
+      }, function (err) {
+        assert.strictEqual(err, fakeError);
+      });
+    });
+
+    /*Tests_SRS_NODE_SERVICE_QUERY_16_019: [The iterator shall reject with an `OperationCancelledError` and stop if `options.abortSignal` is aborted before an item is yielded.]*/
+    it('rejects with an OperationCancelledError once the abort signal is aborted', function () {
+      var fakeSignal = { aborted: false };
+      var fakeExecuteFn = fakePagedExecuteFn([[{ id: 1 }, { id: 2 }]]);
+      var iterator = new Query(fakeExecuteFn).iterate({ abortSignal: fakeSignal });
+      return iterator.next().then(function (iteration) {
+        assert.deepEqual(iteration.value, { id: 1 });
+        fakeSignal.aborted = true;
+        return iterator.next();
+      }).then(function () {
+        assert.fail('the iterator should have rejected');
+      }, function (err) {
+        assert.instanceOf(err, errors.OperationCancelledError);
+      });
+    });
+
+    /*Tests_SRS_NODE_SERVICE_QUERY_16_022: [The iterator shall stop fetching pages once its `return` method has been called, which happens when a `for await` loop is exited early.]*/
+    it('stops fetching pages once return is called', function () {
+      var fakeExecuteFn = fakePagedExecuteFn([[{ id: 1 }], [{ id: 2 }]]);
+      var iterator = new Query(fakeExecuteFn).iterate();
+      return iterator.next().then(function () {
+        return iterator.return();
+      }).then(function (iteration) {
+        assert.isTrue(iteration.done);
+        return iterator.next();
+      }).then(function (iteration) {
+        assert.isTrue(iteration.done);
+        assert.isTrue(fakeExecuteFn.calledOnce);
+      });
+    });
+
+    /*Tests_SRS_NODE_SERVICE_QUERY_16_024: [The `iterate` method shall yield the results of the query as they are returned by the service.]*/
+    it('yields the raw items even if the query was created by a Registry', function () {
+      var query = new Query(fakePagedExecuteFn([[{ deviceId: 'deviceId1', jobId: 'jobId1' }, { numberOfDevices: 42 }]]), {});
+      return collect(query.iterate()).then(function (items) {
+        assert.notInstanceOf(items[0], Twin);
+        assert.deepEqual(items, [{ deviceId: 'deviceId1', jobId: 'jobId1' }, { numberOfDevices: 42 }]);
+      });
+    });
+  });
+
+  describe('#iterateAsTwin', function() {
+    /*Tests_SRS_NODE_SERVICE_QUERY_16_018: [The `iterate` and `iterateAsTwin` methods shall throw an `ArgumentError` if `options.maxItems` is specified and is not a positive number.]*/
+    it('throws an ArgumentError if maxItems is not a positive number', function () {
+      var query = new Query(function () {}, {});
+      assert.throws(function () {
+        query.iterateAsTwin({ maxItems: 0 });
+      }, errors.ArgumentError);
+    });
+
+    /*Tests_SRS_NODE_SERVICE_QUERY_16_025: [The `iterateAsTwin` method shall yield `Twin` objects created from the results of the query.]*/
+    it('yields Twin objects created from the results of the query', function () {
+      var fakeRegistry = {};
+      var pages = [[{ deviceId: 'deviceId1' }], [{ deviceId: 'deviceId2', moduleId: 'moduleId2' }]];
+      var query = new Query(function (continuationToken, done) {
+        var pageIndex = continuationToken ? 1 : 0;
+        done(null, pages[pageIndex], { statusCode: 200, headers: { 'x-ms-continuation': pageIndex === 0 ? 'next' : undefined } });
+      }, fakeRegistry);
+      var iterator = query.iterateAsTwin({ maxItems: 2 });
+      assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+      return iterator.next().then(function (first) {
+        assert.instanceOf(first.value, Twin);
+        assert.strictEqual(first.value.deviceId, 'deviceId1');
+        return iterator.next();
+      }).then(function (second) {
+        assert.instanceOf(second.value, Twin);
+        assert.strictEqual(second.value.moduleId, 'moduleId2');
+        return iterator.next();
+      }).then(function (last) {
+        assert.isTrue(last.done);
+      });
+    });
+  });
+
+  describe('#[Symbol.asyncIterator]', function() {
+    /*Tests_SRS_NODE_SERVICE_QUERY_16_023: [The `Symbol.asyncIterator` method shall return the same iterator as the `iterate` method called without options.]*/
+    it('returns an async iterator over all the results', function () {
+      var pages = [[{ id: 1 }], [{ id: 2 }]];
+      var query = new Query(function (continuationToken, done) {
+        var pageIndex = continuationToken ? 1 : 0;
+        done(null, pages[pageIndex], { statusCode: 200, headers: { 'x-ms-continuation': pageIndex === 0 ? 'next' : undefined } });
+      });
+      var iterator = query[Symbol.asyncIterator]();
+      assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+      return iterator.next().then(function (first) {
+        assert.deepEqual(first, { done: false, value: { id: 1 } });
+        return iterator.next();
+      }).then(function (second) {
+        assert.deepEqual(second, { done: false, value: { id: 2 } });
+        return iterator.next();
+      }).then(function (last) {
+        assert.isTrue(last.done);
+      });
+    });
+  });
+});
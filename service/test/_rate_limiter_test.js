@@ -0,0 +1,115 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var errors = require('azure-iot-common').errors;
+var RateLimiter = require('../lib/rate_limiter.js').RateLimiter;
+
+describe('RateLimiter', function () {
+  var clock;
+
+  beforeEach(function () {
+    clock = sinon.useFakeTimers();
+  });
+
+  afterEach(function () {
+    clock.restore();
+  });
+
+  describe('#constructor', function () {
+    /*Tests_SRS_NODE_IOTHUB_RATE_LIMITER_16_001: [The `RateLimiter` constructor shall throw an `ArgumentError` if `tokensPerMinute` is not a positive number.]*/
+    [undefined, null, 0, -1, '100'].forEach(function (badTokensPerMinute) {
+      it('throws an ArgumentError if tokensPerMinute is \'' + badTokensPerMinute + '\'', function () {
+        assert.throws(function () {
+          return new RateLimiter(badTokensPerMinute);
+        }, errors.ArgumentError);
+      });
+    });
+  });
+
+  describe('#acquire', function () {
+    /*Tests_SRS_NODE_IOTHUB_RATE_LIMITER_16_002: [The `RateLimiter` shall start with `tokensPerMinute` tokens and refill them continuously at a rate of `tokensPerMinute` per minute, without exceeding `tokensPerMinute`.]*/
+    /*Tests_SRS_NODE_IOTHUB_RATE_LIMITER_16_003: [The `acquire` method shall call `callback` once `tokens` tokens are available, and consume them.]*/
+    it('calls the callback immediately while tokens are available', function () {
+      var limiter = new RateLimiter(100);
+      var callback = sinon.spy();
+      limiter.acquire(60, callback);
+      limiter.acquire(40, callback);
+      assert.isTrue(callback.calledTwice);
+    });
+
+    it('waits for the tokens to be refilled', function () {
+      var limiter = new RateLimiter(100);
+      var first = sinon.spy();
+      var second = sinon.spy();
+      limiter.acquire(100, first);
+      limiter.acquire(50, second);
+      assert.isTrue(first.calledOnce);
+      assert.isTrue(second.notCalled);
+      clock.tick(29999);
+      assert.isTrue(second.notCalled);
+      clock.tick(1);
+      assert.isTrue(second.calledOnce);
+    });
+
+    it('does not accumulate more than tokensPerMinute tokens', function () {
+      var limiter = new RateLimiter(100);
+      var callback = sinon.spy();
+      clock.tick(600000);
+      limiter.acquire(100, callback);
+      limiter.acquire(1, callback);
+      assert.isTrue(callback.calledOnce);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_RATE_LIMITER_16_004: [The `acquire` method shall call the callbacks in the order in which it was called.]*/
+    it('calls the callbacks in order even if a later request needs fewer tokens', function () {
+      var limiter = new RateLimiter(100);
+      var order = [];
+      limiter.acquire(90, function () { order.push(1); });
+      limiter.acquire(50, function () { order.push(2); });
+      limiter.acquire(1, function () { order.push(3); });
+      assert.deepEqual(order, [1]);
+      clock.tick(24000);
+      assert.deepEqual(order, [1, 2]);
+      clock.tick(600);
+      assert.deepEqual(order, [1, 2, 3]);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_RATE_LIMITER_16_005: [A request for more tokens than `tokensPerMinute` shall be served once the bucket is full, and the missing tokens shall be deducted from the next refills.]*/
+    it('serves a request larger than tokensPerMinute once the bucket is full and deducts the excess from the next refills', function () {
+      var limiter = new RateLimiter(100);
+      var first = sinon.spy();
+      var second = sinon.spy();
+      limiter.acquire(150, first);
+      assert.isTrue(first.calledOnce);
+      limiter.acquire(100, second);
+      clock.tick(89999);
+      assert.isTrue(second.notCalled);
+      clock.tick(1);
+      assert.isTrue(second.calledOnce);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_RATE_LIMITER_16_006: [The `RateLimiter` shall keep the Node.js process running while requests are waiting for tokens, and shall not schedule a timer when no request is waiting.]*/
+    it('keeps the process running while requests are waiting for tokens', function () {
+      clock.restore();
+      var limiter = new RateLimiter(100);
+      limiter.acquire(100, function () {});
+      limiter.acquire(50, function () {});
+      assert.isTrue(limiter._timer.hasRef());
+      clearTimeout(limiter._timer);
+      clock = sinon.useFakeTimers();
+    });
+
+    it('does not schedule a timer when no request is waiting', function () {
+      var limiter = new RateLimiter(100);
+      limiter.acquire(100, function () {});
+      assert.isUndefined(limiter._timer);
+      limiter.acquire(50, function () {});
+      clock.tick(30000);
+      assert.isUndefined(limiter._timer);
+    });
+  });
+});
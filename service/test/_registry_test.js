@@ -7,6 +7,7 @@ var assert = require('chai').assert;
 var sinon = require('sinon');
 var endpoint = require('azure-iot-common').endpoint;
 var errors = require('azure-iot-common').errors;
+var RestApiClient = require('azure-iot-http-base').RestApiClient;
 var Registry = require('../lib/registry.js').Registry;
 var Twin = require('../lib/twin.js').Twin;
 var Query = require('../lib/query.js').Query;
@@ -113,17 +114,17 @@ function testErrorCallback(methodUnderTest, arg1, arg2, arg3, arg4, arg5) {
 
   var invokeMethodUnderTest = function(registry, callback) {
     if (arg5) {
-      registry[methodUnderTest](arg1, arg2, arg3, arg4, arg5, callback);
+      return registry[methodUnderTest](arg1, arg2, arg3, arg4, arg5, callback);
     } else if (arg4) {
-      registry[methodUnderTest](arg1, arg2, arg3, arg4, callback);
+      return registry[methodUnderTest](arg1, arg2, arg3, arg4, callback);
     } else if (arg3) {
-      registry[methodUnderTest](arg1, arg2, arg3, callback);
+      return registry[methodUnderTest](arg1, arg2, arg3, callback);
     } else if (arg2) {
-      registry[methodUnderTest](arg1, arg2, callback);
+      return registry[methodUnderTest](arg1, arg2, callback);
     } else if (arg1) {
-      registry[methodUnderTest](arg1, callback);
+      return registry[methodUnderTest](arg1, callback);
     } else {
-      registry[methodUnderTest](callback);
+      return registry[methodUnderTest](callback);
     }
   };
 
@@ -165,6 +166,26 @@ function testErrorCallback(methodUnderTest, arg1, arg2, arg3, arg4, arg5) {
 
     invokeMethodUnderTest(registry, callback);
   });
+
+  /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_060: [If the `done` callback is not specified, any registry operation method shall return a `Promise` that is rejected with the error that would have been passed to the `done` callback.]*/
+  it('returns a Promise rejected with the error if no callback is specified', function(testCallback) {
+    var fakeError = new errors.DeviceNotFoundError('Not found');
+    var FakeHttpErrorHelper = {
+      executeApiCall: function (method, path, httpHeaders, body, done) {
+        done(fakeError);
+      }
+    };
+
+    var registry = new Registry(fakeConfig, FakeHttpErrorHelper);
+    var promise = invokeMethodUnderTest(registry);
+    assert.instanceOf(promise, Promise);
+    promise.then(function() {
+      testCallback(new Error('the Promise should have been rejected'));
+    }, function(err) {
+      assert.strictEqual(err, fakeError);
+      testCallback();
+    });
+  });
 }
 
 
@@ -196,6 +217,12 @@ describe('Registry', function() {
       });
     });
 
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_069: [The `Registry` constructor shall accept a `config` object with a `tokenCredential` property instead of the `sharedAccessSignature` property.]*/
+    it('accepts a config object with a tokenCredential property instead of sharedAccessSignature', function() {
+      var registry = new Registry({ host: 'host', tokenCredential: { getToken: function() {} }, tokenScope: 'scope' });
+      assert.instanceOf(registry, Registry);
+    });
+
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_024: [The `Registry` constructor shall use the `httpHelper` provided as a second argument if it is provided.]*/
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_025: [The `Registry` constructor shall use `azure-iot-http-base.Http` if no `httpHelper` argument is provided.]*/
   });
@@ -236,6 +263,45 @@ describe('Registry', function() {
     });
   });
 
+  describe('#fromTokenCredential', function() {
+    var fakeCredential = { getToken: function() {} };
+
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_070: [The `fromTokenCredential` method shall throw a `ReferenceError` if `hostName` or `credential` is falsy.]*/
+    [undefined, null, ''].forEach(function(badValue) {
+      it('throws if \'hostName\' is \'' + badValue + '\'', function() {
+        assert.throws(function() {
+          return Registry.fromTokenCredential(badValue, fakeCredential);
+        }, ReferenceError);
+      });
+
+      it('throws if \'credential\' is \'' + badValue + '\'', function() {
+        assert.throws(function() {
+          return Registry.fromTokenCredential('host', badValue);
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_071: [The `fromTokenCredential` method shall return a new instance of the `Registry` object using a `config` object containing `hostName`, `credential` and the `https://iothubs.azure.net/.default` scope.]*/
+    it('returns a new instance of the Registry object that gets access tokens from the credential', function(testCallback) {
+      var credential = { getToken: sinon.stub().resolves({ token: 'fakeToken', expiresOnTimestamp: Date.now() + 3600000 }) };
+      var registry = Registry.fromTokenCredential('host', credential);
+      assert.instanceOf(registry, Registry);
+      registry._restApiClient._http = {
+        setOptions: sinon.stub(),
+        buildRequest: function(method, path, headers, host, done) {
+          assert.strictEqual(host, 'host');
+          assert.strictEqual(headers.Authorization, 'Bearer fakeToken');
+          assert.isTrue(credential.getToken.calledWith('https://iothubs.azure.net/.default'));
+          return { write: function() {}, end: function() { done(null, '{"deviceId":"deviceId"}', { statusCode: 200 }); } };
+        }
+      };
+      registry.get('deviceId', function(err) {
+        assert.isNull(err);
+        testCallback();
+      });
+    });
+  });
+
   describe('#create', function(){
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_07_001: [The `create` method shall throw `ReferenceError` if the `deviceInfo` argument is falsy.]*/
     [undefined, null].forEach(function(badDeviceInfo) {
@@ -434,16 +500,6 @@ describe('Registry', function() {
       testFalsyArg('getTwin', 'deviceId', badDeviceId, ReferenceError);
     });
 
-    /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_020: [The `getTwin` method shall throw a `ReferenceError` if the `done` parameter is falsy.]*/
-    [undefined, null].forEach(function(badCallback) {
-      it('throws a ReferenceError if \'done\' is \'' + badCallback + '\'', function() {
-        var registry = new Registry({ host: 'host', sharedAccessSignature: 'sas' });
-        assert.throws(function(){
-          registry.getTwin('deviceId', badCallback);
-        }, ReferenceError);
-      });
-    });
-
     testErrorCallback('getTwin', fakeDevice.deviceId);
 
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_036: [The `getTwin` method shall call the `done` callback with a `Twin` object updated with the latest property values stored in the IoT Hub servce.]*/
@@ -1058,10 +1114,9 @@ describe('Registry', function() {
   describe ('#getModuleTwin', function() {
     testErrorCallback('getModuleTwin', 'deviceId', 'moduleId');
 
-    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_001: [The `getModuleTwin` method shall throw a `ReferenceError` exception if `deviceId`, `moduleId`, or `done` is falsy. ]*/
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_001: [The `getModuleTwin` method shall throw a `ReferenceError` exception if `deviceId` or `moduleId` is falsy. ]*/
     testAllFalsyArgValues('getModuleTwin', 'deviceId', 0, 'deviceId', 'moduleId');
     testAllFalsyArgValues('getModuleTwin', 'moduleId', 1, 'deviceId', 'moduleId');
-    testAllFalsyArgValues('getModuleTwin', 'done', 2, 'deviceId', 'moduleId');
 
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_002: [The `getModuleTwin` method shall construct an HTTP request using information supplied by the caller, as follows:
     ```
@@ -1102,12 +1157,11 @@ describe('Registry', function() {
   describe ('#updateModuleTwin', function() {
     testErrorCallback('updateModuleTwin', 'deviceId', 'moduleId', {}, 'etag');
 
-    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_004: [The `updateModuleTwin` method shall throw a `ReferenceError` exception if `deviceId`, `moduleId`, `patch`, `etag`, or `done` is falsy. ]*/
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_004: [The `updateModuleTwin` method shall throw a `ReferenceError` exception if `deviceId`, `moduleId`, `patch` or `etag` is falsy. ]*/
     testAllFalsyArgValues('updateModuleTwin', 'deviceId', 0, 'deviceId', 'moduleId', {}, 'etag');
     testAllFalsyArgValues('updateModuleTwin', 'moduleId', 1, 'deviceId', 'moduleId', {}, 'etag');
     testAllFalsyArgValues('updateModuleTwin', 'patch', 2, 'deviceId', 'moduleId', {}, 'etag');
     testAllFalsyArgValues('updateModuleTwin', 'etag', 3, 'deviceId', 'moduleId', {}, 'etag');
-    testAllFalsyArgValues('updateModuleTwin', 'done', 4, 'deviceId', 'moduleId', {}, 'etag');
 
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_005: [The `updateModuleTwin` method shall construct an HTTP request using information supplied by the caller, as follows:
     ```
@@ -1162,9 +1216,8 @@ describe('Registry', function() {
   describe ('#addConfiguration', function() {
     testErrorCallback('addConfiguration', fakeConfiguration);
 
-    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_007: [The `addConfiguration` method shall throw a `ReferenceError` exception if `configuration` or `done` is falsy. ]*/
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_007: [The `addConfiguration` method shall throw a `ReferenceError` exception if `configuration` is falsy. ]*/
     testAllFalsyArgValues('addConfiguration', 'configuration', 0, fakeConfiguration);
-    testAllFalsyArgValues('addConfiguration', 'done', 1, fakeConfiguration);
 
     [undefined, null, ''].forEach(function(badValue) {
       /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_008: [The `addConfiguration` method shall throw an `ArgumentError` exception if `configuration.id` is falsy. ]*/
@@ -1205,7 +1258,6 @@ describe('Registry', function() {
 
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_011: [The `getConfiguration` method shall throw a `ReferenceError` exception if `configurationId` is falsy. ]*/
     testAllFalsyArgValues('getConfiguration', 'configurationId', 0, 'id');
-    testAllFalsyArgValues('getConfiguration', 'done', 1, 'id');
 
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_012: [The `getConfiguration` method shall construct an HTTP request using information supplied by the caller, as follows:
     ```
@@ -1231,9 +1283,6 @@ describe('Registry', function() {
   describe ('#getConfigurations', function() {
     testErrorCallback('getConfigurations');
 
-    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_013: [The `getConfigurations` method shall throw a `ReferenceError` exception if `done` is falsy. ]*/
-    testAllFalsyArgValues('getConfigurations', 'done', 0);
-
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_014: [The `getConfigurations` method shall construct an HTTP request using information supplied by the caller, as follows:
     ```
     GET /configurations?api-version=<version> HTTP/1.1
@@ -1260,9 +1309,8 @@ describe('Registry', function() {
     testErrorCallback('updateConfiguration', fakeConfiguration, true);
     testErrorCallback('updateConfiguration', fakeConfiguration, false);
 
-    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_015: [The `updateConfiguration` method shall throw a `ReferenceError` exception if `configuration` or `done` is falsy. ]*/
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_015: [The `updateConfiguration` method shall throw a `ReferenceError` exception if `configuration` is falsy. ]*/
     testAllFalsyArgValues('updateConfiguration', 'configuration', 0, fakeConfiguration, false);
-    testAllFalsyArgValues('updateConfiguration', 'done', 2, fakeConfiguration, false);
 
     [undefined, null, ''].forEach(function(badValue) {
       /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_016: [The `updateConfiguration` method shall throw an `ArgumentError` exception if `forceUpdate` is falsy and `configuration.etag` is also falsy. ]*/
@@ -1320,9 +1368,8 @@ describe('Registry', function() {
   describe ('#removeConfiguration', function() {
     testErrorCallback('removeConfiguration', 'id');
 
-    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_022: [The `removeConfiguration` method shall throw a `ReferenceError` exception if `configurationId` or `done` is falsy. ]*/
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_022: [The `removeConfiguration` method shall throw a `ReferenceError` exception if `configurationId` is falsy. ]*/
     testAllFalsyArgValues('removeConfiguration', 'configurationId', 0, 'id');
-    testAllFalsyArgValues('removeConfiguration', 'done', 1, 'id');
 
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_023: [The `removeConfiguration` method shall construct an HTTP request using information supplied by the caller, as follows:
     ```
@@ -1349,10 +1396,9 @@ describe('Registry', function() {
   describe ('#applyConfigurationContentOnDevice', function() {
     testErrorCallback('applyConfigurationContentOnDevice', 'id', {});
 
-    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_024: [The `applyConfigurationContentOnDevice` method shall throw a `ReferenceError` exception if `deviceId`, `content`, or `done` is falsy. ]*/
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_024: [The `applyConfigurationContentOnDevice` method shall throw a `ReferenceError` exception if `deviceId` or `content` is falsy. ]*/
     testAllFalsyArgValues('applyConfigurationContentOnDevice', 'deviceId', 0, 'id', {});
     testAllFalsyArgValues('applyConfigurationContentOnDevice', 'content', 1, 'id', {});
-    testAllFalsyArgValues('applyConfigurationContentOnDevice', 'done', 2, 'id', {});
 
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_025: [The `applyConfigurationContentOnDevice` method shall construct an HTTP request using information supplied by the caller, as follows:
     ```
@@ -1391,9 +1437,8 @@ describe('Registry', function() {
   describe ('#addModule', function() {
     testErrorCallback('addModule', fakeModule);
 
-    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_026: [The `addModule` method shall throw a `ReferenceError` exception if `module` or `done` is falsy. ]*/
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_026: [The `addModule` method shall throw a `ReferenceError` exception if `module` is falsy. ]*/
     testAllFalsyArgValues('addModule', 'module', 0, fakeModule);
-    testAllFalsyArgValues('addModule', 'done', 1, fakeModule);
 
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_027: [The `addModule` method shall throw an `ArgumentError` exception if `module.deviceId` or `module.moduleId` is falsy. ]*/
     [undefined, null, ''].forEach(function(badValue) {
@@ -1433,9 +1478,8 @@ describe('Registry', function() {
   describe ('#getModulesOnDevice', function() {
     testErrorCallback('getModulesOnDevice', 'deviceId');
 
-    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_029: [The `getModulesOnDevice` method shall throw a `ReferenceError` exception if `deviceId` or `done` is falsy. ]*/
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_029: [The `getModulesOnDevice` method shall throw a `ReferenceError` exception if `deviceId` is falsy. ]*/
     testAllFalsyArgValues('getModulesOnDevice', 'deviceId', 0, 'deviceId');
-    testAllFalsyArgValues('getModulesOnDevice', 'done', 1, 'deviceId');
 
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_030: [The `getModulesOnDevice` method shall construct an HTTP request using information supplied by the caller, as follows:
     ```
@@ -1462,10 +1506,9 @@ describe('Registry', function() {
   describe ('#getModule', function() {
     testErrorCallback('getModule', 'deviceId', 'moduleId');
 
-    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_031: [The `getModule` method shall throw a `ReferenceError` exception if `deviceId`, `moduleId`, or `done` is falsy. ]*/
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_031: [The `getModule` method shall throw a `ReferenceError` exception if `deviceId` or `moduleId` is falsy. ]*/
     testAllFalsyArgValues('getModule', 'deviceId', 0, 'deviceId', 'moduleId');
     testAllFalsyArgValues('getModule', 'moduleId', 1, 'deviceId', 'moduleId');
-    testAllFalsyArgValues('getModule', 'done', 2, 'deviceId', 'moduleId');
 
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_032: [The `getModule` method shall construct an HTTP request using information supplied by the caller, as follows:
     ```
@@ -1491,9 +1534,8 @@ describe('Registry', function() {
   describe ('#updateModule', function() {
     testErrorCallback('updateModule', fakeModule);
 
-    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_033: [The `updateModule` method shall throw a `ReferenceError` exception if `module` or `done` is falsy. ]*/
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_033: [The `updateModule` method shall throw a `ReferenceError` exception if `module` is falsy. ]*/
     testAllFalsyArgValues('updateModule', 'module', 0, fakeModule, true);
-    testAllFalsyArgValues('updateModule', 'done', 2, fakeModule, true);
 
     [undefined, null, ''].forEach(function(badValue) {
       /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_034: [The `updateModule` method shall throw an `ArgumentError` exception if `module.deviceId` or `module.moduleId` is falsy. ]*/
@@ -1551,10 +1593,9 @@ describe('Registry', function() {
   describe ('#removeModule', function() {
     testErrorCallback('removeModule', 'deviceId', 'moduleId');
 
-    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_039: [The `removeModule` method shall throw a `ReferenceError` exception if `deviceId`, `moduleId`, or `done` is falsy. ]*/
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_039: [The `removeModule` method shall throw a `ReferenceError` exception if `deviceId` or `moduleId` is falsy. ]*/
     testAllFalsyArgValues('removeModule', 'deviceId', 0, 'deviceId', 'moduleId');
     testAllFalsyArgValues('removeModule', 'moduleId', 1, 'deviceId', 'moduleId');
-    testAllFalsyArgValues('removeModule', 'done', 2, 'deviceId', 'moduleId');
 
     /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_043: [The `removeModule` method shall throw an `ArgumentError` if `deviceId` or `moduleId` parameters are not strings.]*/
     it ('throws with non-string deviceId', function() {
@@ -1570,7 +1611,7 @@ describe('Registry', function() {
       }, errors.ArgumentError);
     });
 
-    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_044: [The `removeModule` method shall throw an `ArgumentError` if the `done` parameter is not a function.]*/
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_18_044: [The `removeModule` method shall throw an `ArgumentError` if the `done` parameter is specified and is not a function.]*/
     it ('throws when done is not a function', function() {
       assert.throws(function() {
         var registry = new Registry(fakeConfig, {});
@@ -1622,4 +1663,185 @@ describe('Registry', function() {
     });
 
   });
-});
\ No newline at end of file
+
+  describe('#setRetryPolicy', function() {
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_061: [The `setRetryPolicy` method shall throw a `ReferenceError` if the `policy` argument is falsy.]*/
+    [undefined, null].forEach(function(badPolicy) {
+      it('throws a ReferenceError if the policy is \'' + badPolicy + '\'', function() {
+        var registry = new Registry(fakeConfig, {});
+        assert.throws(function() {
+          registry.setRetryPolicy(badPolicy);
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_062: [The `setRetryPolicy` method shall throw an `ArgumentError` if the `policy` object does not have a `shouldRetry` method and a `nextRetryTimeout` method.]*/
+    [{ shouldRetry: function() {} }, { nextRetryTimeout: function() {} }].forEach(function(badPolicy) {
+      it('throws an ArgumentError if the policy does not have both a shouldRetry and a nextRetryTimeout method', function() {
+        var registry = new Registry(fakeConfig, {});
+        assert.throws(function() {
+          registry.setRetryPolicy(badPolicy);
+        }, errors.ArgumentError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_063: [The `setRetryPolicy` method shall pass the `policy` to the `setRetryPolicy` method of the `RestApiClient` so that it is used by all subsequent requests.]*/
+    it('passes the policy to the RestApiClient', function() {
+      var fakeRestApiClient = { setRetryPolicy: sinon.stub() };
+      var fakePolicy = { shouldRetry: function() {}, nextRetryTimeout: function() {} };
+      var registry = new Registry(fakeConfig, fakeRestApiClient);
+      registry.setRetryPolicy(fakePolicy);
+      assert.isTrue(fakeRestApiClient.setRetryPolicy.calledWith(fakePolicy));
+    });
+  });
+
+  describe('#setOptions', function() {
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_068: [The `setOptions` method shall pass `options` to the `setOptions` method of the `RestApiClient`.]*/
+    it('sends the device identity requests through the interceptors', function(testCallback) {
+      var fakeHttpHelper = {
+        setOptions: sinon.stub(),
+        buildRequest: sinon.spy(function() {
+          var requestCallback = arguments[arguments.length - 1];
+          return {
+            write: sinon.stub(),
+            end: function() {
+              requestCallback(null, JSON.stringify(fakeDevice), { statusCode: 200 });
+            }
+          };
+        })
+      };
+      var registry = new Registry(fakeConfig, new RestApiClient(fakeConfig, 'fakeAgent', fakeHttpHelper));
+      registry.setOptions({
+        interceptors: [function(request, next, done) {
+          request.headers['x-correlation-id'] = 'fakeCorrelationId';
+          next(request, done);
+        }]
+      });
+      registry.get('deviceId', function(err, device) {
+        assert.isNull(err);
+        assert.strictEqual(device.deviceId, fakeDevice.deviceId);
+        assert.strictEqual(fakeHttpHelper.buildRequest.args[0][2]['x-correlation-id'], 'fakeCorrelationId');
+        testCallback();
+      });
+    });
+  });
+
+  describe('#setBulkRateLimit', function() {
+    var clock;
+    var fakeRestApiClient;
+
+    var makeDevices = function(count) {
+      var devices = [];
+      for (var i = 0; i < count; i++) {
+        devices.push({ deviceId: 'device' + i });
+      }
+      return devices;
+    };
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+      fakeRestApiClient = {
+        executeApiCall: sinon.spy(function(method, path, httpHeaders, body, done) {
+          done(null, { isSuccessful: true, errors: [] }, { statusCode: 200 });
+        })
+      };
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_064: [The `setBulkRateLimit` method shall limit the number of devices sent per minute to the identity registry operations quota of `options.tier` (100 per unit for `F1`, `B1`, `B2`, `S1` and `S2`, 5000 per unit for `B3` and `S3`) multiplied by `options.units`, or 1 unit if not specified.]*/
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_066: [The `addDevices`, `updateDevices` and `removeDevices` methods shall wait until sending the devices does not exceed the rate set with `setBulkRateLimit`, if any, and send the requests in the order in which the methods were called.]*/
+    it('delays bulk operations that would exceed the quota of the tier', function(testCallback) {
+      var registry = new Registry(fakeConfig, fakeRestApiClient);
+      registry.setBulkRateLimit({ tier: 'S1', units: 2 });
+      registry.addDevices(makeDevices(100), function() {});
+      registry.updateDevices(makeDevices(100), true, function() {});
+      registry.removeDevices(makeDevices(50), true, function(err) {
+        assert.isNull(err);
+        assert.isTrue(fakeRestApiClient.executeApiCall.calledThrice);
+        assert.strictEqual(fakeRestApiClient.executeApiCall.args[2][3][0].importMode, 'Delete');
+        testCallback();
+      });
+      assert.isTrue(fakeRestApiClient.executeApiCall.calledTwice);
+      clock.tick(14999);
+      assert.isTrue(fakeRestApiClient.executeApiCall.calledTwice);
+      clock.tick(1);
+    });
+
+    it('uses the quota of the S3 tier', function() {
+      var registry = new Registry(fakeConfig, fakeRestApiClient);
+      registry.setBulkRateLimit({ tier: 'S3' });
+      for (var i = 0; i < 51; i++) {
+        registry.addDevices(makeDevices(100), function() {});
+      }
+      assert.strictEqual(fakeRestApiClient.executeApiCall.callCount, 50);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_065: [The `setBulkRateLimit` method shall limit the number of devices sent per minute to `options.devicesPerMinute` if specified.]*/
+    it('uses the devicesPerMinute option instead of the quota of the tier', function() {
+      var registry = new Registry(fakeConfig, fakeRestApiClient);
+      registry.setBulkRateLimit({ tier: 'S3', devicesPerMinute: 10 });
+      registry.addDevices(makeDevices(10), function() {});
+      registry.addDevices(makeDevices(10), function() {});
+      assert.isTrue(fakeRestApiClient.executeApiCall.calledOnce);
+      clock.tick(60000);
+      assert.isTrue(fakeRestApiClient.executeApiCall.calledTwice);
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_067: [The `setBulkRateLimit` method shall disable rate limiting if `options` is falsy.]*/
+    it('disables rate limiting if options is falsy', function() {
+      var registry = new Registry(fakeConfig, fakeRestApiClient);
+      registry.setBulkRateLimit({ tier: 'F1' });
+      registry.setBulkRateLimit(null);
+      registry.addDevices(makeDevices(100), function() {});
+      registry.addDevices(makeDevices(100), function() {});
+      assert.isTrue(fakeRestApiClient.executeApiCall.calledTwice);
+    });
+
+    [
+      { description: 'the tier is unknown', options: { tier: 'S4' } },
+      { description: 'neither the tier nor devicesPerMinute is specified', options: { units: 1 } },
+      { description: 'units is not a positive integer', options: { tier: 'S1', units: 0.5 } },
+      { description: 'devicesPerMinute is not a positive number', options: { devicesPerMinute: 0 } }
+    ].forEach(function(testConfig) {
+      it('throws an ArgumentError if ' + testConfig.description, function() {
+        var registry = new Registry(fakeConfig, fakeRestApiClient);
+        assert.throws(function() {
+          registry.setBulkRateLimit(testConfig.options);
+        }, errors.ArgumentError);
+      });
+    });
+  });
+
+  describe('Promise API', function() {
+    [
+      { methodName: 'create', args: [{ deviceId: 'deviceId' }], fakeResult: { deviceId: 'deviceId' } },
+      { methodName: 'get', args: ['deviceId'], fakeResult: { deviceId: 'deviceId' } },
+      { methodName: 'list', args: [], fakeResult: [{ deviceId: 'deviceId' }] },
+      { methodName: 'delete', args: ['deviceId'] },
+      { methodName: 'addDevices', args: [[{ deviceId: 'deviceId' }]] },
+      { methodName: 'getRegistryStatistics', args: [] },
+      { methodName: 'getConfigurations', args: [] },
+      { methodName: 'getModulesOnDevice', args: ['deviceId'] },
+      { methodName: 'removeModule', args: ['deviceId', 'moduleId'] }
+    ].forEach(function(testConfig) {
+      /*Tests_SRS_NODE_IOTHUB_REGISTRY_16_059: [If the `done` callback is not specified, any registry operation method shall return a `Promise` that is resolved with an object containing the `result` and the `response` that would have been passed to the `done` callback.]*/
+      it(testConfig.methodName + ' returns a Promise resolved with the result and the response if no callback is specified', function() {
+        var fakeResponse = { statusCode: 200 };
+        var fakeHttpHelper = {
+          executeApiCall: function (method, path, httpHeaders, body, done) {
+            done(null, testConfig.fakeResult || {}, fakeResponse);
+          }
+        };
+
+        var registry = new Registry(fakeConfig, fakeHttpHelper);
+        return registry[testConfig.methodName].apply(registry, testConfig.args).then(function(res) {
+          assert.isOk(res.result);
+          assert.strictEqual(res.response, fakeResponse);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,594 @@
+// Copyright (c) Microsoft. All rights reserved.
+// Licensed under the MIT license. See LICENSE file in the project root for full license information.
+
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var EventEmitter = require('events').EventEmitter;
+var errors = require('azure-iot-common').errors;
+var Message = require('azure-iot-common').Message;
+var TelemetryReceiver = require('../lib/telemetry_receiver.js').TelemetryReceiver;
+var InMemoryCheckpointStore = require('../lib/checkpoint_store.js').InMemoryCheckpointStore;
+
+var fakeConfig = { host: 'hub.host.name', keyName: 'iothubowner', key: 'a2V5' };
+var fakeEventHubHost = 'fake-ns.servicebus.windows.net';
+var fakeEventHubName = 'iothub-ehub-fake';
+var fakeRedirectError = {
+  condition: 'amqp:link:redirect',
+  description: 'redirected',
+  info: { hostname: fakeEventHubHost, address: 'amqps://' + fakeEventHubHost + ':5671/' + fakeEventHubName + '/ConsumerGroups/$Default/Partitions/0' }
+};
+
+function partitionEndpoint(consumerGroup, partitionId) {
+  return fakeEventHubName + '/ConsumerGroups/' + consumerGroup + '/Partitions/' + partitionId;
+}
+
+function createFakeAmqp() {
+  var fakeAmqp = new EventEmitter();
+  fakeAmqp.connect = sinon.stub().callsArgWith(1, null);
+  fakeAmqp.initializeCBS = sinon.stub().callsArg(0);
+  fakeAmqp.putToken = sinon.stub().callsArg(2);
+  fakeAmqp.disconnect = sinon.stub().callsArg(0);
+  fakeAmqp.detachReceiverLink = sinon.stub().callsArg(1);
+  fakeAmqp.detachSenderLink = sinon.stub().callsArg(1);
+  fakeAmqp.setDisconnectHandler = sinon.spy(function (handler) {
+    fakeAmqp.disconnectHandler = handler;
+  });
+  return fakeAmqp;
+}
+
+describe('TelemetryReceiver', function () {
+  var fakeIotHubAmqp;
+  var fakeEventHubAmqp;
+  var fakeManagementReceiver;
+  var fakeManagementSender;
+  var fakePartitionLinks;
+  var fakeAmqpFactory;
+  var managementResponse;
+
+  beforeEach(function () {
+    fakeIotHubAmqp = createFakeAmqp();
+    fakeIotHubAmqp.attachReceiverLink = sinon.stub().callsArgWith(2, fakeRedirectError);
+
+    managementResponse = { application_properties: { 'status-code': 200 }, body: { partition_ids: ['0', '1'] } };
+    fakeManagementReceiver = new EventEmitter();
+    fakeManagementSender = {
+      send: sinon.spy(function (request, callback) {
+        callback();
+        managementResponse.correlation_id = request.message_id;
+        process.nextTick(function () {
+          fakeManagementReceiver.emit('message', { correlation_id: 'another-request' });
+          fakeManagementReceiver.emit('message', managementResponse);
+        });
+      })
+    };
+
+    fakePartitionLinks = {};
+    fakeEventHubAmqp = createFakeAmqp();
+    fakeEventHubAmqp.attachSenderLink = sinon.stub().callsArgWith(2, null, fakeManagementSender);
+    fakeEventHubAmqp.attachReceiverLink = sinon.spy(function (endpoint, linkOptions, callback) {
+      if (endpoint === '$management') {
+        callback(null, fakeManagementReceiver);
+      } else {
+        fakePartitionLinks[endpoint] = new EventEmitter();
+        callback(null, fakePartitionLinks[endpoint]);
+      }
+    });
+
+    fakeAmqpFactory = sinon.stub();
+    fakeAmqpFactory.onFirstCall().returns(fakeIotHubAmqp);
+    fakeAmqpFactory.onSecondCall().returns(fakeEventHubAmqp);
+  });
+
+  describe('#fromConnectionString', function () {
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_001: [The `fromConnectionString` method shall throw a `ReferenceError` if `connectionString` is falsy.]*/
+    [undefined, null, ''].forEach(function (badConnectionString) {
+      it('throws a ReferenceError if connectionString is \'' + badConnectionString + '\'', function () {
+        assert.throws(function () {
+          return TelemetryReceiver.fromConnectionString(badConnectionString);
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_002: [The `fromConnectionString` method shall parse the connection string and return a new `TelemetryReceiver` using its `HostName`, `SharedAccessKeyName` and `SharedAccessKey`.]*/
+    it('returns a TelemetryReceiver configured from the connection string', function () {
+      var receiver = TelemetryReceiver.fromConnectionString('HostName=hub.host.name;SharedAccessKeyName=iothubowner;SharedAccessKey=a2V5');
+      assert.instanceOf(receiver, TelemetryReceiver);
+      assert.deepEqual(receiver._config, fakeConfig);
+    });
+
+    it('throws an ArgumentError if the connection string is missing the shared access key', function () {
+      assert.throws(function () {
+        return TelemetryReceiver.fromConnectionString('HostName=hub.host.name;SharedAccessKeyName=iothubowner');
+      }, errors.ArgumentError);
+    });
+  });
+
+  describe('#constructor', function () {
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_003: [The `TelemetryReceiver` constructor shall throw an `ArgumentError` if `options.startPosition` is not `start`, `end`, a `Date`, an object with an `offset` string or an object with a `sequenceNumber` number.]*/
+    ['beginning', 42, {}, { offset: 42 }, { sequenceNumber: '42' }].forEach(function (badStartPosition) {
+      it('throws an ArgumentError if options.startPosition is ' + JSON.stringify(badStartPosition), function () {
+        assert.throws(function () {
+          return new TelemetryReceiver(fakeConfig, { startPosition: badStartPosition });
+        }, errors.ArgumentError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_004: [The `TelemetryReceiver` constructor shall throw an `ArgumentError` if `options.partitionIds` is specified and is not a non-empty array.]*/
+    [[], '0', null].forEach(function (badPartitionIds) {
+      it('throws an ArgumentError if options.partitionIds is ' + JSON.stringify(badPartitionIds), function () {
+        assert.throws(function () {
+          return new TelemetryReceiver(fakeConfig, { partitionIds: badPartitionIds });
+        }, errors.ArgumentError);
+      });
+    });
+  });
+
+  describe('#resolveEventHubEndpoint', function () {
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_005: [The `resolveEventHubEndpoint` method shall connect to the IoT hub, initialize CBS and put a token for the IoT hub host created from the shared access key of the connection string.]*/
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_006: [The `resolveEventHubEndpoint` method shall attach a receiver link to `messages/events/ConsumerGroups/<consumerGroup>/Partitions/0` and resolve the Event Hub-compatible `host` and `eventHubName` from the address of the `amqp:link:redirect` error returned by the IoT hub.]*/
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_008: [The `resolveEventHubEndpoint` method shall disconnect from the IoT hub and call its callback with the resolved endpoint or with the translated error whether it succeeds or fails.]*/
+    it('resolves the endpoint from the redirection of the telemetry link and disconnects', function (testCallback) {
+      var receiver = new TelemetryReceiver(fakeConfig, { consumerGroup: 'cg' }, fakeAmqpFactory);
+      receiver.resolveEventHubEndpoint(function (err, endpoint) {
+        assert.isNull(err);
+        assert.deepEqual(endpoint, { host: fakeEventHubHost, eventHubName: fakeEventHubName });
+        assert.strictEqual(fakeIotHubAmqp.connect.firstCall.args[0].uri, 'amqps://hub.host.name');
+        assert.isTrue(fakeIotHubAmqp.initializeCBS.calledOnce);
+        assert.strictEqual(fakeIotHubAmqp.putToken.firstCall.args[0], 'hub.host.name');
+        assert.include(fakeIotHubAmqp.putToken.firstCall.args[1], 'skn=iothubowner');
+        assert.strictEqual(fakeIotHubAmqp.attachReceiverLink.firstCall.args[0], 'messages/events/ConsumerGroups/cg/Partitions/0');
+        assert.isTrue(fakeIotHubAmqp.disconnect.calledOnce);
+        testCallback();
+      });
+    });
+
+    it('disconnects and calls back with a translated error if putting the token fails', function (testCallback) {
+      fakeIotHubAmqp.putToken = sinon.stub().callsArgWith(2, { condition: 'amqp:unauthorized-access' });
+      var receiver = new TelemetryReceiver(fakeConfig, {}, fakeAmqpFactory);
+      receiver.resolveEventHubEndpoint(function (err) {
+        assert.instanceOf(err, errors.UnauthorizedError);
+        assert.isTrue(fakeIotHubAmqp.attachReceiverLink.notCalled);
+        assert.isTrue(fakeIotHubAmqp.disconnect.calledOnce);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_007: [The `resolveEventHubEndpoint` method shall call its callback with an error if the IoT hub does not redirect the link.]*/
+    it('detaches the link and calls back with an error if the IoT hub does not redirect it', function (testCallback) {
+      fakeIotHubAmqp.attachReceiverLink = sinon.stub().callsArgWith(2, null, new EventEmitter());
+      var receiver = new TelemetryReceiver(fakeConfig, {}, fakeAmqpFactory);
+      receiver.resolveEventHubEndpoint(function (err) {
+        assert.instanceOf(err, Error);
+        assert.isTrue(fakeIotHubAmqp.detachReceiverLink.calledWith('messages/events/ConsumerGroups/$Default/Partitions/0'));
+        assert.isTrue(fakeIotHubAmqp.disconnect.calledOnce);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_009: [The `resolveEventHubEndpoint` method shall reuse the endpoint it has already resolved.]*/
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_025: [The `resolveEventHubEndpoint` method shall return a `Promise` if no callback is specified.]*/
+    it('returns a Promise and reuses the resolved endpoint', function () {
+      var receiver = new TelemetryReceiver(fakeConfig, {}, fakeAmqpFactory);
+      return receiver.resolveEventHubEndpoint().then(function (endpoint) {
+        return receiver.resolveEventHubEndpoint().then(function (secondEndpoint) {
+          assert.strictEqual(secondEndpoint, endpoint);
+          assert.isTrue(fakeAmqpFactory.calledOnce);
+        });
+      });
+    });
+  });
+
+  describe('#start', function () {
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_012: [The `start` method shall connect to the Event Hub-compatible host, initialize CBS and put a token for `sb://<host>/<eventHubName>` created from the shared access key of the connection string.]*/
+    it('connects and authenticates with the Event Hub-compatible endpoint', function (testCallback) {
+      var receiver = new TelemetryReceiver(fakeConfig, {}, fakeAmqpFactory);
+      receiver.start(function (err) {
+        assert.isUndefined(err);
+        assert.strictEqual(fakeEventHubAmqp.connect.firstCall.args[0].uri, 'amqps://' + fakeEventHubHost);
+        assert.isTrue(fakeEventHubAmqp.initializeCBS.calledOnce);
+        assert.strictEqual(fakeEventHubAmqp.putToken.firstCall.args[0], 'sb://' + fakeEventHubHost + '/' + fakeEventHubName);
+        assert.include(fakeEventHubAmqp.putToken.firstCall.args[1], 'sr=' + encodeURIComponent('sb://' + fakeEventHubHost + '/' + fakeEventHubName));
+        assert.include(fakeEventHubAmqp.putToken.firstCall.args[1], 'skn=iothubowner');
+        receiver.stop(testCallback);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_015: [If `options.partitionIds` is not specified, the `start` method shall get the partition identifiers by sending a `READ` request of type `com.microsoft:eventhub` for the `eventHubName` to the `$management` endpoint and waiting for the response with the matching `correlation_id`.]*/
+    it('reads the partition identifiers from the $management endpoint and receives from all of them', function (testCallback) {
+      var receiver = new TelemetryReceiver(fakeConfig, {}, fakeAmqpFactory);
+      receiver.start(function (err) {
+        assert.isUndefined(err);
+        var request = fakeManagementSender.send.firstCall.args[0];
+        assert.strictEqual(request.application_properties.operation, 'READ');
+        assert.strictEqual(request.application_properties.type, 'com.microsoft:eventhub');
+        assert.strictEqual(request.application_properties.name, fakeEventHubName);
+        assert.isOk(request.application_properties.security_token);
+        assert.strictEqual(fakeEventHubAmqp.attachReceiverLink.firstCall.args[1].target.address, request.reply_to);
+        assert.isTrue(fakeEventHubAmqp.detachSenderLink.calledWith('$management'));
+        assert.isTrue(fakeEventHubAmqp.detachReceiverLink.calledWith('$management'));
+        assert.sameMembers(Object.keys(fakePartitionLinks), [partitionEndpoint('$Default', '0'), partitionEndpoint('$Default', '1')]);
+        receiver.stop(testCallback);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_016: [The `start` method shall fail with an error if the status code of the `$management` response is not 200.]*/
+    it('disconnects and calls back with an error if the $management response is not 200', function (testCallback) {
+      managementResponse = { application_properties: { 'status-code': 401, 'status-description': 'unauthorized' } };
+      var receiver = new TelemetryReceiver(fakeConfig, {}, fakeAmqpFactory);
+      receiver.start(function (err) {
+        assert.instanceOf(err, Error);
+        assert.include(err.message, '401');
+        assert.deepEqual(Object.keys(fakePartitionLinks), []);
+        assert.isTrue(fakeEventHubAmqp.disconnect.calledOnce);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_032: [The `start` method shall detach the `$management` links and fail with a `TimeoutError` if the `$management` response is not received within a minute.]*/
+    it('detaches the $management links and calls back with a TimeoutError if the $management response is not received', function (testCallback) {
+      var clock = sinon.useFakeTimers();
+      fakeManagementSender.send = sinon.spy(function (request, callback) {
+        callback();
+        clock.tick(59999);
+        assert.isTrue(fakeEventHubAmqp.detachReceiverLink.notCalled);
+        clock.tick(1);
+      });
+      var receiver = new TelemetryReceiver(fakeConfig, {}, fakeAmqpFactory);
+      receiver.start(function (err) {
+        clock.restore();
+        assert.instanceOf(err, errors.TimeoutError);
+        assert.isTrue(fakeEventHubAmqp.detachSenderLink.calledWith('$management'));
+        assert.isTrue(fakeEventHubAmqp.detachReceiverLink.calledWith('$management'));
+        assert.isTrue(fakeEventHubAmqp.disconnect.calledOnce);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_014: [The `start` method shall only receive from the partitions listed in `options.partitionIds` if specified.]*/
+    it('only receives from options.partitionIds with the consumer group if specified', function (testCallback) {
+      var receiver = new TelemetryReceiver(fakeConfig, { partitionIds: ['3'], consumerGroup: 'cg' }, fakeAmqpFactory);
+      receiver.start(function (err) {
+        assert.isUndefined(err);
+        assert.isTrue(fakeEventHubAmqp.attachSenderLink.notCalled);
+        assert.deepEqual(Object.keys(fakePartitionLinks), [partitionEndpoint('cg', '3')]);
+        receiver.stop(testCallback);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_017: [The `start` method shall attach a receiver link to `<eventHubName>/ConsumerGroups/<consumerGroup>/Partitions/<partitionId>` for each partition, with a selector filter starting after the offset of the checkpoint of the partition if there is one, or at `options.startPosition` otherwise.]*/
+    [
+      { startPosition: undefined, filter: 'amqp.annotation.x-opt-offset > \'@latest\'' },
+      { startPosition: 'end', filter: 'amqp.annotation.x-opt-offset > \'@latest\'' },
+      { startPosition: 'start', filter: 'amqp.annotation.x-opt-offset > \'-1\'' },
+      { startPosition: new Date(1500000000000), filter: 'amqp.annotation.x-opt-enqueued-time > \'1500000000000\'' },
+      { startPosition: { offset: '1234' }, filter: 'amqp.annotation.x-opt-offset > \'1234\'' },
+      { startPosition: { sequenceNumber: 42 }, filter: 'amqp.annotation.x-opt-sequence-number > 42' }
+    ].forEach(function (testConfig) {
+      it('uses the \'' + testConfig.filter + '\' selector filter when startPosition is ' + JSON.stringify(testConfig.startPosition), function (testCallback) {
+        var receiver = new TelemetryReceiver(fakeConfig, { partitionIds: ['0'], startPosition: testConfig.startPosition }, fakeAmqpFactory);
+        receiver.start(function (err) {
+          assert.isUndefined(err);
+          var linkOptions = fakeEventHubAmqp.attachReceiverLink.firstCall.args[1];
+          assert.strictEqual(linkOptions.source.address, partitionEndpoint('$Default', '0'));
+          var selector = linkOptions.source.filter['jms-selector'];
+          assert.strictEqual(selector.descriptor.value.toString(16), '468c00000004');
+          assert.strictEqual(selector.value, testConfig.filter);
+          receiver.stop(testCallback);
+        });
+      });
+    });
+
+    it('starts after the checkpoint of the partitions that have one', function (testCallback) {
+      var checkpointStore = new InMemoryCheckpointStore();
+      checkpointStore.setCheckpoint({ eventHubName: fakeEventHubName, consumerGroup: '$Default', partitionId: '1' }, { offset: '5678', sequenceNumber: 12, enqueuedTimeUtc: new Date() }, function () {
+        var receiver = new TelemetryReceiver(fakeConfig, { startPosition: 'start', checkpointStore: checkpointStore }, fakeAmqpFactory);
+        receiver.start(function (err) {
+          assert.isUndefined(err);
+          var filters = {};
+          fakeEventHubAmqp.attachReceiverLink.args.forEach(function (args) {
+            if (args[0] !== '$management') {
+              filters[args[0]] = args[1].source.filter['jms-selector'].value;
+            }
+          });
+          assert.strictEqual(filters[partitionEndpoint('$Default', '0')], 'amqp.annotation.x-opt-offset > \'-1\'');
+          assert.strictEqual(filters[partitionEndpoint('$Default', '1')], 'amqp.annotation.x-opt-offset > \'5678\'');
+          receiver.stop(testCallback);
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_018: [The `start` method shall disconnect and call its callback with the error if any step fails, translated if it comes from the AMQP layer.]*/
+    it('detaches the attached partition links, disconnects and calls back with a translated error if a partition link fails to attach', function (testCallback) {
+      fakeEventHubAmqp.attachReceiverLink = sinon.spy(function (endpoint, linkOptions, callback) {
+        if (endpoint === partitionEndpoint('$Default', '1')) {
+          callback({ condition: 'amqp:not-found' });
+        } else {
+          callback(null, new EventEmitter());
+        }
+      });
+      var receiver = new TelemetryReceiver(fakeConfig, { partitionIds: ['0', '1'] }, fakeAmqpFactory);
+      receiver.start(function (err) {
+        assert.instanceOf(err, errors.DeviceNotFoundError);
+        assert.isTrue(fakeEventHubAmqp.detachReceiverLink.calledWith(partitionEndpoint('$Default', '0')));
+        assert.isTrue(fakeEventHubAmqp.disconnect.calledOnce);
+        testCallback();
+      });
+    });
+
+    it('calls back with the error of the checkpoint store as is', function (testCallback) {
+      var fakeError = new Error('fake');
+      fakeError.code = 'EACCES';
+      var checkpointStore = { getCheckpoint: sinon.stub().callsArgWith(1, fakeError) };
+      var receiver = new TelemetryReceiver(fakeConfig, { partitionIds: ['0'], checkpointStore: checkpointStore }, fakeAmqpFactory);
+      receiver.start(function (err) {
+        assert.strictEqual(err, fakeError);
+        assert.isTrue(fakeEventHubAmqp.disconnect.calledOnce);
+        testCallback();
+      });
+    });
+
+    it('calls back with the error and does not connect to the Event Hub-compatible endpoint if the endpoint cannot be resolved', function (testCallback) {
+      fakeIotHubAmqp.connect = sinon.stub().callsArgWith(1, new Error('fake'));
+      var receiver = new TelemetryReceiver(fakeConfig, {}, fakeAmqpFactory);
+      receiver.start(function (err) {
+        assert.instanceOf(err, Error);
+        assert.isTrue(fakeAmqpFactory.calledOnce);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_010: [The `start` method shall call its callback immediately if the receiver is already started.]*/
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_026: [The `start` method shall return a `Promise` if no callback is specified.]*/
+    it('returns a Promise and does nothing if the receiver is already started', function () {
+      var receiver = new TelemetryReceiver(fakeConfig, { partitionIds: ['0'] }, fakeAmqpFactory);
+      return receiver.start().then(function () {
+        return receiver.start();
+      }).then(function () {
+        assert.isTrue(fakeEventHubAmqp.connect.calledOnce);
+        return receiver.stop();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_011: [The `start` method shall call its callback with an `InvalidOperationError` if the receiver is starting or stopping.]*/
+    it('calls back with an InvalidOperationError if the receiver is starting', function (testCallback) {
+      var receiver = new TelemetryReceiver(fakeConfig, { partitionIds: ['0'] }, fakeAmqpFactory);
+      fakeIotHubAmqp.connect = sinon.stub();
+      receiver.start(function () {});
+      receiver.start(function (err) {
+        assert.instanceOf(err, errors.InvalidOperationError);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_013: [The receiver shall put a new token every 45 minutes while it is started.]*/
+    it('renews the token every 45 minutes while started', function (testCallback) {
+      var clock = sinon.useFakeTimers();
+      var receiver = new TelemetryReceiver(fakeConfig, { partitionIds: ['0'] }, fakeAmqpFactory);
+      receiver.start(function (err) {
+        assert.isUndefined(err);
+        assert.isTrue(fakeEventHubAmqp.putToken.calledOnce);
+        clock.tick(2700000);
+        assert.isTrue(fakeEventHubAmqp.putToken.calledTwice);
+        clock.tick(2700000);
+        assert.isTrue(fakeEventHubAmqp.putToken.calledThrice);
+        receiver.stop(function () {
+          clock.tick(2700000);
+          assert.isTrue(fakeEventHubAmqp.putToken.calledThrice);
+          clock.restore();
+          testCallback();
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_030: [If putting a new token fails, the receiver shall try again every minute while it is started.]*/
+    it('tries to put a new token again every minute if the renewal fails', function (testCallback) {
+      var clock = sinon.useFakeTimers();
+      var receiver = new TelemetryReceiver(fakeConfig, { partitionIds: ['0'] }, fakeAmqpFactory);
+      receiver.start(function (err) {
+        assert.isUndefined(err);
+        fakeEventHubAmqp.putToken = sinon.stub();
+        fakeEventHubAmqp.putToken.onFirstCall().callsArgWith(2, new Error('fake'));
+        fakeEventHubAmqp.putToken.callsArg(2);
+        clock.tick(2700000);
+        assert.isTrue(fakeEventHubAmqp.putToken.calledOnce);
+        clock.tick(59999);
+        assert.isTrue(fakeEventHubAmqp.putToken.calledOnce);
+        clock.tick(1);
+        assert.isTrue(fakeEventHubAmqp.putToken.calledTwice);
+        clock.tick(60000);
+        assert.isTrue(fakeEventHubAmqp.putToken.calledTwice);
+        clock.tick(2640000);
+        assert.isTrue(fakeEventHubAmqp.putToken.calledThrice);
+        receiver.stop(function () {
+          clock.restore();
+          testCallback();
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_031: [If putting a new token fails 10 times in a row, the receiver shall stop trying and emit an `error` event with the translated error.]*/
+    it('emits an error event and stops trying if the token cannot be renewed 10 times in a row', function (testCallback) {
+      var clock = sinon.useFakeTimers();
+      var receiver = new TelemetryReceiver(fakeConfig, { partitionIds: ['0'] }, fakeAmqpFactory);
+      var errorSpy = sinon.spy();
+      receiver.on('error', errorSpy);
+      receiver.start(function (err) {
+        assert.isUndefined(err);
+        fakeEventHubAmqp.putToken = sinon.stub().callsArgWith(2, new Error('fake'));
+        clock.tick(2700000 + 8 * 60000);
+        assert.strictEqual(fakeEventHubAmqp.putToken.callCount, 9);
+        assert.isTrue(errorSpy.notCalled);
+        clock.tick(60000);
+        assert.strictEqual(fakeEventHubAmqp.putToken.callCount, 10);
+        assert.isTrue(errorSpy.calledOnce);
+        assert.instanceOf(errorSpy.firstCall.args[0], Error);
+        clock.tick(3600000);
+        assert.strictEqual(fakeEventHubAmqp.putToken.callCount, 10);
+        receiver.stop(function () {
+          clock.restore();
+          testCallback();
+        });
+      });
+    });
+  });
+
+  describe('events', function () {
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_024: [The receiver shall emit a `message` event with a `TelemetryEvent` for each message received on a partition link, with the `partitionId`, the `x-opt-offset`, `x-opt-sequence-number` and `x-opt-enqueued-time` annotations and the `iothub-connection-device-id` and `iothub-connection-module-id` annotations if present.]*/
+    it('emits a message event with a TelemetryEvent for each message received on a partition', function (testCallback) {
+      var receiver = new TelemetryReceiver(fakeConfig, { partitionIds: ['2'] }, fakeAmqpFactory);
+      var enqueuedTime = new Date(1500000000000);
+      receiver.on('message', function (event) {
+        assert.strictEqual(event.partitionId, '2');
+        assert.strictEqual(event.offset, '1234');
+        assert.strictEqual(event.sequenceNumber, 42);
+        assert.strictEqual(event.enqueuedTimeUtc, enqueuedTime);
+        assert.strictEqual(event.deviceId, 'fakeDevice');
+        assert.strictEqual(event.moduleId, 'fakeModule');
+        assert.instanceOf(event.message, Message);
+        assert.strictEqual(event.message.getData().toString(), 'telemetry');
+        assert.strictEqual(event.message.properties.getValue('key'), 'value');
+        receiver.stop(testCallback);
+      });
+      receiver.start(function (err) {
+        assert.isUndefined(err);
+        fakePartitionLinks[partitionEndpoint('$Default', '2')].emit('message', {
+          body: { content: Buffer.from('telemetry') },
+          application_properties: { key: 'value' },
+          message_annotations: {
+            'x-opt-offset': '1234',
+            'x-opt-sequence-number': 42,
+            'x-opt-enqueued-time': enqueuedTime,
+            'iothub-connection-device-id': 'fakeDevice',
+            'iothub-connection-module-id': 'fakeModule'
+          }
+        });
+      });
+    });
+
+    it('does not set the moduleId of the events sent by devices', function (testCallback) {
+      var receiver = new TelemetryReceiver(fakeConfig, { partitionIds: ['0'] }, fakeAmqpFactory);
+      receiver.on('message', function (event) {
+        assert.strictEqual(event.deviceId, 'fakeDevice');
+        assert.notProperty(event, 'moduleId');
+        assert.strictEqual(event.enqueuedTimeUtc.getTime(), 1500000000000);
+        receiver.stop(testCallback);
+      });
+      receiver.start(function () {
+        fakePartitionLinks[partitionEndpoint('$Default', '0')].emit('message', {
+          body: { content: Buffer.from('telemetry') },
+          message_annotations: { 'x-opt-offset': '1', 'x-opt-sequence-number': 1, 'x-opt-enqueued-time': 1500000000000, 'iothub-connection-device-id': 'fakeDevice' }
+        });
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_029: [If the connection or a partition link fails while the receiver is started, the receiver shall detach all the links, disconnect and emit a `disconnect` event with the translated error.]*/
+    it('disconnects and emits a disconnect event if a partition link fails', function (testCallback) {
+      var receiver = new TelemetryReceiver(fakeConfig, { partitionIds: ['0', '1'] }, fakeAmqpFactory);
+      receiver.on('disconnect', function (err) {
+        assert.instanceOf(err, errors.InternalServerError);
+        assert.isTrue(fakeEventHubAmqp.detachReceiverLink.calledWith(partitionEndpoint('$Default', '0')));
+        assert.isTrue(fakeEventHubAmqp.detachReceiverLink.calledWith(partitionEndpoint('$Default', '1')));
+        assert.isTrue(fakeEventHubAmqp.disconnect.calledOnce);
+        testCallback();
+      });
+      receiver.start(function () {
+        fakePartitionLinks[partitionEndpoint('$Default', '1')].emit('error', { condition: 'amqp:internal-error' });
+      });
+    });
+
+    it('emits a disconnect event once if the connection is lost and can be started again', function (testCallback) {
+      var receiver = new TelemetryReceiver(fakeConfig, { partitionIds: ['0'] }, fakeAmqpFactory);
+      var secondEventHubAmqp = createFakeAmqp();
+      secondEventHubAmqp.attachReceiverLink = sinon.stub().callsArgWith(2, null, new EventEmitter());
+      fakeAmqpFactory.onThirdCall().returns(secondEventHubAmqp);
+      receiver.on('disconnect', function (err) {
+        assert.instanceOf(err, errors.NotConnectedError);
+        receiver.start(function (err) {
+          assert.isUndefined(err);
+          assert.isTrue(secondEventHubAmqp.connect.calledOnce);
+          receiver.stop(testCallback);
+        });
+      });
+      receiver.start(function () {
+        var socketError = new Error('fake');
+        socketError.code = 'ECONNRESET';
+        fakeEventHubAmqp.disconnectHandler(socketError);
+        fakeEventHubAmqp.disconnectHandler(socketError);
+      });
+    });
+  });
+
+  describe('#checkpoint', function () {
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_019: [The `checkpoint` method shall throw a `ReferenceError` if `event` is falsy.]*/
+    [undefined, null].forEach(function (badEvent) {
+      it('throws a ReferenceError if event is \'' + badEvent + '\'', function () {
+        var receiver = new TelemetryReceiver(fakeConfig, {}, fakeAmqpFactory);
+        assert.throws(function () {
+          receiver.checkpoint(badEvent, function () {});
+        }, ReferenceError);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_020: [The `checkpoint` method shall call its callback with an `InvalidOperationError` if the Event Hub-compatible endpoint has not been resolved yet.]*/
+    it('calls back with an InvalidOperationError if the endpoint has not been resolved yet', function (testCallback) {
+      var receiver = new TelemetryReceiver(fakeConfig, {}, fakeAmqpFactory);
+      receiver.checkpoint({ partitionId: '0', offset: '1' }, function (err) {
+        assert.instanceOf(err, errors.InvalidOperationError);
+        testCallback();
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_021: [The `checkpoint` method shall call `setCheckpoint` on the checkpoint store with the `eventHubName`, `consumerGroup` and `partitionId` of the event and its `offset`, `sequenceNumber` and `enqueuedTimeUtc`.]*/
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_027: [The `checkpoint` method shall return a `Promise` if no callback is specified.]*/
+    it('saves the position of the event in the checkpoint store', function () {
+      var checkpointStore = new InMemoryCheckpointStore();
+      sinon.spy(checkpointStore, 'setCheckpoint');
+      var enqueuedTime = new Date();
+      var receiver = new TelemetryReceiver(fakeConfig, { consumerGroup: 'cg', checkpointStore: checkpointStore }, fakeAmqpFactory);
+      return receiver.resolveEventHubEndpoint().then(function () {
+        return receiver.checkpoint({ partitionId: '1', offset: '1234', sequenceNumber: 42, enqueuedTimeUtc: enqueuedTime, deviceId: 'fakeDevice' });
+      }).then(function () {
+        assert.deepEqual(checkpointStore.setCheckpoint.firstCall.args[0], { eventHubName: fakeEventHubName, consumerGroup: 'cg', partitionId: '1' });
+        assert.deepEqual(checkpointStore.setCheckpoint.firstCall.args[1], { offset: '1234', sequenceNumber: 42, enqueuedTimeUtc: enqueuedTime });
+      });
+    });
+  });
+
+  describe('#stop', function () {
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_022: [The `stop` method shall call its callback immediately if the receiver is already stopped.]*/
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_028: [The `stop` method shall return a `Promise` if no callback is specified.]*/
+    it('returns a Promise and does nothing if the receiver is stopped', function () {
+      var receiver = new TelemetryReceiver(fakeConfig, {}, fakeAmqpFactory);
+      return receiver.stop().then(function () {
+        assert.isTrue(fakeAmqpFactory.notCalled);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TELEMETRY_RECEIVER_16_023: [The `stop` method shall detach the links of all the partitions, disconnect and call its callback.]*/
+    it('detaches the links of all the partitions and disconnects', function (testCallback) {
+      var receiver = new TelemetryReceiver(fakeConfig, {}, fakeAmqpFactory);
+      receiver.start(function () {
+        receiver.stop(function (err) {
+          assert.isUndefined(err);
+          assert.isTrue(fakeEventHubAmqp.detachReceiverLink.calledWith(partitionEndpoint('$Default', '0')));
+          assert.isTrue(fakeEventHubAmqp.detachReceiverLink.calledWith(partitionEndpoint('$Default', '1')));
+          assert.isTrue(fakeEventHubAmqp.disconnect.calledOnce);
+          testCallback();
+        });
+      });
+    });
+
+    it('calls back with a translated error if disconnecting fails', function (testCallback) {
+      fakeEventHubAmqp.disconnect = sinon.stub().callsArgWith(0, { condition: 'amqp:internal-error' });
+      var receiver = new TelemetryReceiver(fakeConfig, { partitionIds: ['0'] }, fakeAmqpFactory);
+      receiver.start(function () {
+        receiver.stop(function (err) {
+          assert.instanceOf(err, errors.InternalServerError);
+          testCallback();
+        });
+      });
+    });
+  });
+});
@@ -159,6 +159,43 @@ describe('Twin', function() {
         testCallback();
       });
     });
+
+    /*Tests_SRS_NODE_IOTHUB_TWIN_16_024: [If no `done` callback is specified, the method shall return a `Promise` that is rejected with an `Error` object if the request failed, or resolved with an object containing the parent instance as `result` and the transport `response` object if the request succeeded.]*/
+    it('returns a Promise resolved with the twin and the response if no callback is specified', function() {
+      var fakeDeviceId = 'deviceId';
+      var fakeTwin = { deviceId: fakeDeviceId, tags: { foo: 'bar' } };
+      var fakeResponse = { statusCode: 200 };
+      var registry = new Registry(fakeConfig, {});
+      var twin = new Twin(fakeDeviceId, registry);
+
+      sinon.stub(registry, 'getTwin').callsFake(function(deviceId, callback) {
+        callback(null, fakeTwin, fakeResponse);
+      });
+
+      return twin.get().then(function(res) {
+        assert.strictEqual(res.result, twin);
+        assert.deepEqual(twin.tags, fakeTwin.tags);
+        assert.strictEqual(res.response, fakeResponse);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TWIN_16_024: [If no `done` callback is specified, the method shall return a `Promise` that is rejected with an `Error` object if the request failed, or resolved with an object containing the parent instance as `result` and the transport `response` object if the request succeeded.]*/
+    it('returns a Promise rejected with an Error if the request failed and no callback is specified', function(testCallback) {
+      var fakeError = new Error('fake');
+      var registry = new Registry(fakeConfig, {});
+      var twin = new Twin('deviceId', registry);
+
+      sinon.stub(registry, 'getTwin').callsFake(function(deviceId, callback) {
+        callback(fakeError);
+      });
+
+      twin.get().then(function() {
+        testCallback(new Error('the Promise should have been rejected'));
+      }, function(err) {
+        assert.strictEqual(err, fakeError);
+        testCallback();
+      });
+    });
   });
 
   describe('update', function() {
@@ -274,6 +311,43 @@ describe('Twin', function() {
         testCallback();
       });
     });
+
+    /*Tests_SRS_NODE_IOTHUB_TWIN_16_024: [If no `done` callback is specified, the method shall return a `Promise` that is rejected with an `Error` object if the request failed, or resolved with an object containing the parent instance as `result` and the transport `response` object if the request succeeded.]*/
+    it('returns a Promise resolved with the twin and the response if no callback is specified', function() {
+      var fakeDeviceId = 'deviceId';
+      var fakeTwin = { deviceId: fakeDeviceId, tags: { foo: 'bar' } };
+      var fakeResponse = { statusCode: 200 };
+      var registry = new Registry(fakeConfig, {});
+      var twin = new Twin(fakeDeviceId, registry);
+
+      sinon.stub(registry, 'updateTwin').callsFake(function(deviceId, patch, etag, callback) {
+        callback(null, fakeTwin, fakeResponse);
+      });
+
+      return twin.update({}).then(function(res) {
+        assert.strictEqual(res.result, twin);
+        assert.deepEqual(twin.tags, fakeTwin.tags);
+        assert.strictEqual(res.response, fakeResponse);
+      });
+    });
+
+    /*Tests_SRS_NODE_IOTHUB_TWIN_16_024: [If no `done` callback is specified, the method shall return a `Promise` that is rejected with an `Error` object if the request failed, or resolved with an object containing the parent instance as `result` and the transport `response` object if the request succeeded.]*/
+    it('returns a Promise rejected with an Error if the request failed and no callback is specified', function(testCallback) {
+      var fakeError = new Error('fake');
+      var registry = new Registry(fakeConfig, {});
+      var twin = new Twin('deviceId', registry);
+
+      sinon.stub(registry, 'updateTwin').callsFake(function(deviceId, patch, etag, callback) {
+        callback(fakeError);
+      });
+
+      twin.update({}).then(function() {
+        testCallback(new Error('the Promise should have been rejected'));
+      }, function(err) {
+        assert.strictEqual(err, fakeError);
+        testCallback();
+      });
+    });
   });
 
   describe('toJSON', function() {